@@ -10,6 +10,12 @@ import teamRoutes from './routes/team.js';
 import reportRoutes from './routes/reports.js';
 import fileRoutes from './routes/files.js';
 import productRoutes from './routes/products.js';
+import auditRoutes from './routes/audit.js';
+import commissionRoutes from './routes/commissions.js';
+import opportunityRoutes from './routes/opportunities.js';
+import scheduledReportRoutes from './routes/scheduledReports.js';
+import jobRoutes from './routes/jobs.js';
+import roleRoutes from './routes/roles.js';
 
 const app = express();
 
@@ -36,7 +42,13 @@ app.get('/', (req, res) => {
       team: '/team',
       reports: '/reports',
       files: '/files',
-      products: '/products'
+      products: '/products',
+      audit: '/audit',
+      commissions: '/commissions',
+      opportunities: '/opportunities',
+      scheduledReports: '/scheduled-reports',
+      jobs: '/jobs',
+      roles: '/roles'
     },
     documentation: 'API documentation and usage examples available in the README'
   });
@@ -54,5 +66,11 @@ app.use('/team', teamRoutes);
 app.use('/reports', reportRoutes);
 app.use('/files', fileRoutes);
 app.use('/products', productRoutes);
+app.use('/audit', auditRoutes);
+app.use('/commissions', commissionRoutes);
+app.use('/opportunities', opportunityRoutes);
+app.use('/scheduled-reports', scheduledReportRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/roles', roleRoutes);
 
 export default app;
@@ -5,6 +5,7 @@ dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 
 // Generate JWT token
 export const generateToken = (payload) => {
@@ -33,20 +34,65 @@ export const decodeToken = (token) => {
   }
 };
 
-// Refresh token (optional - for longer sessions)
-export const refreshToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: '7d', // Longer refresh token
+// Generate refresh token (longer lived, only accepted by /auth/refresh)
+export const generateRefreshToken = (payload) => {
+  return jwt.sign({ ...payload, type: 'refresh' }, JWT_SECRET, {
+    expiresIn: JWT_REFRESH_EXPIRES_IN,
+    issuer: 'bulwark-cms',
+    audience: 'bulwark-users'
+  });
+};
+
+// Verify refresh token
+export const verifyRefreshToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  if (decoded.type !== 'refresh') {
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  return decoded;
+};
+
+// Generate short-lived challenge token for the second login step
+export const generateChallengeToken = (payload) => {
+  return jwt.sign({ ...payload, type: 'two_factor_challenge' }, JWT_SECRET, {
+    expiresIn: '5m',
     issuer: 'bulwark-cms',
     audience: 'bulwark-users'
   });
 };
 
+// Verify challenge token
+export const verifyChallengeToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired challenge token');
+  }
+
+  if (decoded.type !== 'two_factor_challenge') {
+    throw new Error('Invalid or expired challenge token');
+  }
+
+  return decoded;
+};
+
 export default {
   generateToken,
   verifyToken,
   decodeToken,
-  refreshToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   JWT_SECRET,
-  JWT_EXPIRES_IN
+  JWT_EXPIRES_IN,
+  JWT_REFRESH_EXPIRES_IN
 };
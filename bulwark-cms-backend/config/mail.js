@@ -0,0 +1,50 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+export const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@bulwark-cms.local';
+
+// Build a nodemailer transport from the environment
+// 'smtp' sends real mail, 'json' and 'stream' build the message without sending it (development and tests)
+const createTransport = () => {
+  switch (MAIL_TRANSPORT) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'stream':
+      return nodemailer.createTransport({ streamTransport: true, newline: 'unix', buffer: true });
+    case 'json':
+    default:
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+};
+
+let transport = null;
+
+// Get the active transport, creating it on first use
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    console.log(`📧 Mail transport: ${MAIL_TRANSPORT}`);
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with a local SMTP server or a stub in tests)
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export default {
+  getTransport,
+  setTransport,
+  MAIL_FROM
+};
@@ -141,4 +141,27 @@ export const bulkUpload = multer({
   }
 });
 
+export const calendarUpload = multer({
+  storage: multer.diskStorage({
+    destination: './uploads/temp/',
+    filename: (req, file, cb) => {
+      const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`;
+      cb(null, uniqueName);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    // Browsers often send .ics files as text/plain or application/octet-stream, so the extension is checked too
+    const allowedTypes = ['text/calendar', 'application/ics', 'text/x-vcalendar'];
+
+    if (allowedTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.ics') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only iCalendar (.ics) files are allowed for calendar imports'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB for calendar imports
+  }
+});
+
 export default upload;
@@ -1,4 +1,5 @@
-import { verifyToken } from '../config/auth.js';
+import { verifyToken, verifyRefreshToken } from '../config/auth.js';
+import { isSessionActive } from '../services/sessionService.js';
 import { db } from '../config/database.js';
 import { users } from '../models/schema.js';
 import { eq } from 'drizzle-orm';
@@ -26,6 +27,23 @@ export const authenticateToken = async (req, res, next) => {
       decodedIdIsNaN: isNaN(decoded.id)
     });
     
+    // Refresh tokens are only valid at /auth/refresh, and access tokens must belong to a live session
+    if (decoded.type === 'refresh' || !decoded.sid) {
+      return res.status(401).json({ 
+        error: 'Invalid or expired token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        error: 'Session has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    req.sessionId = decoded.sid;
+    
     // Also decode without verification to see raw token content
     try {
       const rawDecoded = jwt.decode(token);
@@ -174,7 +192,10 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      const user = await db.select().from(users).where(eq(users.id, decoded.id)).limit(1);
+      const sessionActive = decoded.type !== 'refresh' && decoded.sid && await isSessionActive(decoded.sid);
+      const user = sessionActive
+        ? await db.select().from(users).where(eq(users.id, decoded.id)).limit(1)
+        : [];
       
       if (user && user.length > 0 && user[0].isActive) {
         req.user = {
@@ -211,7 +232,14 @@ export const authenticateRefreshToken = async (req, res, next) => {
     }
 
     // Verify refresh token
-    const decoded = verifyToken(refreshToken);
+    const decoded = verifyRefreshToken(refreshToken);
+
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
     
     // Check if user exists and is active
     const user = await db.select().from(users).where(eq(users.id, decoded.id)).limit(1);
@@ -1,5 +1,5 @@
 import multer from 'multer';
-import upload, { avatarUpload, contentUpload, bulkUpload } from '../config/multer.js';
+import upload, { avatarUpload, contentUpload, bulkUpload, calendarUpload } from '../config/multer.js';
 
 // File upload middleware wrapper
 export const handleFileUpload = (uploadType = 'default', maxFiles = 1) => {
@@ -15,6 +15,9 @@ export const handleFileUpload = (uploadType = 'default', maxFiles = 1) => {
     case 'bulk':
       uploadMiddleware = bulkUpload;
       break;
+    case 'calendar':
+      uploadMiddleware = calendarUpload;
+      break;
     default:
       uploadMiddleware = upload;
   }
@@ -70,6 +73,7 @@ export const handleFileUpload = (uploadType = 'default', maxFiles = 1) => {
 export const uploadAvatar = handleFileUpload('avatar', 1);
 export const uploadContent = handleFileUpload('content', 5);
 export const uploadBulk = handleFileUpload('bulk', 1);
+export const uploadCalendar = handleFileUpload('calendar', 1);
 export const uploadDefault = handleFileUpload('default', 5);
 
 // Validate file types
@@ -151,6 +155,7 @@ export default {
   uploadAvatar,
   uploadContent,
   uploadBulk,
+  uploadCalendar,
   uploadDefault,
   validateFileType,
   validateFileSize,
@@ -0,0 +1,26 @@
+-- Migration: Add audit events table
+-- Records who created, changed or deleted clients, sales, goals, users, reminders and content
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(id),
+  action VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id INTEGER,
+  changes JSON,
+  before JSON,
+  after JSON,
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_entity_idx ON audit_events (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS audit_actor_idx ON audit_events (actor_id);
+CREATE INDEX IF NOT EXISTS audit_created_at_idx ON audit_events (created_at);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN audit_events.actor_id IS 'User who made the change. NULL for system actions';
+COMMENT ON COLUMN audit_events.changes IS 'Changed fields only, as { field: { from, to } }';
+COMMENT ON COLUMN audit_events.before IS 'Snapshot of the record before the change. NULL for creates';
+COMMENT ON COLUMN audit_events.after IS 'Snapshot of the record after the change. NULL for deletes';
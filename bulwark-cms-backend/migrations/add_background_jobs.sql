@@ -0,0 +1,36 @@
+-- Migration: Add background jobs
+-- Persistent job queue for the in-process job runner (reminder notifications, goal sync, policy sweeps, scheduled reports)
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  payload JSON,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  unique_key VARCHAR(100),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP,
+  locked_by VARCHAR(255),
+  last_error TEXT,
+  result JSON,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS background_job_pending_idx ON background_jobs (status, run_at);
+CREATE INDEX IF NOT EXISTS background_job_name_idx ON background_jobs (name, created_at);
+
+-- Only one queued or running copy of each recurring job
+CREATE UNIQUE INDEX IF NOT EXISTS background_job_unique_key_idx ON background_jobs (unique_key) WHERE status IN ('pending', 'running');
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN background_jobs.name IS 'Job type, e.g. reminder_notifications, goal_sync, policy_expiry';
+COMMENT ON COLUMN background_jobs.status IS 'pending, running, completed or failed';
+COMMENT ON COLUMN background_jobs.unique_key IS 'Set on recurring runs so each recurring job is queued at most once';
+COMMENT ON COLUMN background_jobs.run_at IS 'Earliest time the job may run; pushed back after a failed attempt';
+COMMENT ON COLUMN background_jobs.locked_by IS 'hostname:pid of the worker that claimed the job';
+COMMENT ON COLUMN background_jobs.result IS 'Summary returned by the job handler, e.g. number of notifications created';
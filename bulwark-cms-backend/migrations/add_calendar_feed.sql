@@ -0,0 +1,22 @@
+-- Migration: Add reminder calendar feed
+-- Adds per-user tokens for the reminders .ics feed and remembers which calendar event an imported reminder came from
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  token_hash VARCHAR(64) NOT NULL,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_feed_token_hash_idx ON calendar_feed_tokens (token_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_feed_token_user_idx ON calendar_feed_tokens (user_id);
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS reminder_external_uid_idx ON reminders (agent_id, external_uid);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN calendar_feed_tokens.token_hash IS 'SHA-256 hash of the token in the feed URL; the token itself is only shown once';
+COMMENT ON COLUMN calendar_feed_tokens.last_used_at IS 'Last time a calendar app fetched the feed';
+COMMENT ON COLUMN reminders.external_uid IS 'UID of the calendar event an imported reminder came from, so the same event is not imported twice';
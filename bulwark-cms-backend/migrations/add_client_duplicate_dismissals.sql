@@ -0,0 +1,16 @@
+-- Migration: Add client duplicate dismissals
+-- Remembers possible duplicate client pairs a manager has reviewed and marked as different people
+
+CREATE TABLE IF NOT EXISTS client_duplicate_dismissals (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id),
+  other_client_id INTEGER NOT NULL REFERENCES clients(id),
+  dismissed_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS client_duplicate_dismissal_pair_idx ON client_duplicate_dismissals (client_id, other_client_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN client_duplicate_dismissals.client_id IS 'Lower id of the pair, so each pair is stored once';
+COMMENT ON COLUMN client_duplicate_dismissals.other_client_id IS 'Higher id of the pair';
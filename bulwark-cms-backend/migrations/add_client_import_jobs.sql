@@ -0,0 +1,34 @@
+-- Migration: Add client import jobs
+-- Tracks two-phase client spreadsheet imports: upload, column mapping, dry run and commit
+
+CREATE TABLE IF NOT EXISTS client_import_jobs (
+  id SERIAL PRIMARY KEY,
+  uploaded_by INTEGER NOT NULL REFERENCES users(id),
+  agent_id INTEGER REFERENCES users(id),
+  file_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'uploaded',
+  headers JSON NOT NULL,
+  rows JSON NOT NULL,
+  mapping JSON,
+  row_results JSON,
+  total_rows INTEGER DEFAULT 0,
+  valid_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  duplicate_count INTEGER DEFAULT 0,
+  imported_count INTEGER DEFAULT 0,
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  validated_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS client_import_job_uploaded_by_idx ON client_import_jobs (uploaded_by);
+CREATE INDEX IF NOT EXISTS client_import_job_created_at_idx ON client_import_jobs (created_at);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN client_import_jobs.agent_id IS 'Agent who will own the imported clients';
+COMMENT ON COLUMN client_import_jobs.status IS 'uploaded, validated, completed or failed';
+COMMENT ON COLUMN client_import_jobs.rows IS 'Raw spreadsheet rows keyed by header, kept for re-validation and the error report';
+COMMENT ON COLUMN client_import_jobs.mapping IS 'Client field to spreadsheet header mapping used for the last dry run';
+COMMENT ON COLUMN client_import_jobs.row_results IS 'Per-row dry run report: status, errors and possible duplicates';
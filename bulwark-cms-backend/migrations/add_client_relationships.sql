@@ -0,0 +1,20 @@
+-- Migration: Add client relationships
+-- Links clients into households (spouses, children) and records beneficiaries, employers and referrals
+
+CREATE TABLE IF NOT EXISTS client_relationships (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id),
+  related_client_id INTEGER NOT NULL REFERENCES clients(id),
+  relationship_type VARCHAR(20) NOT NULL,
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS client_relationship_client_idx ON client_relationships (client_id);
+CREATE INDEX IF NOT EXISTS client_relationship_related_client_idx ON client_relationships (related_client_id);
+CREATE UNIQUE INDEX IF NOT EXISTS client_relationship_unique_idx ON client_relationships (client_id, related_client_id, relationship_type);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN client_relationships.relationship_type IS 'spouse, child, beneficiary, employer_of or referred_by. Reads "client is the <type> of related client"';
+COMMENT ON COLUMN client_relationships.related_client_id IS 'The other client, e.g. the parent when relationship_type is child';
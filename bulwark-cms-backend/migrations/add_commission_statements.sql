@@ -0,0 +1,56 @@
+-- Migration: Add commission statements and payout reconciliation
+-- Stores imported carrier commission statements and matches each line to a sale by policy number
+
+CREATE TABLE IF NOT EXISTS commission_statements (
+  id SERIAL PRIMARY KEY,
+  carrier_name VARCHAR(100) NOT NULL,
+  statement_date DATE NOT NULL,
+  period_start DATE,
+  period_end DATE,
+  file_name VARCHAR(255),
+  total_amount DECIMAL(12, 2) DEFAULT 0,
+  line_count INTEGER DEFAULT 0,
+  matched_count INTEGER DEFAULT 0,
+  discrepancy_count INTEGER DEFAULT 0,
+  unmatched_count INTEGER DEFAULT 0,
+  chargeback_count INTEGER DEFAULT 0,
+  imported_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS commission_statement_carrier_idx ON commission_statements (carrier_name);
+CREATE INDEX IF NOT EXISTS commission_statement_date_idx ON commission_statements (statement_date);
+
+CREATE TABLE IF NOT EXISTS commission_statement_lines (
+  id SERIAL PRIMARY KEY,
+  statement_id INTEGER NOT NULL REFERENCES commission_statements(id),
+  row_number INTEGER,
+  policy_number VARCHAR(100),
+  insured_name VARCHAR(200),
+  paid_amount DECIMAL(10, 2) NOT NULL,
+  premium_amount DECIMAL(10, 2),
+  payment_date DATE NOT NULL,
+  sale_id INTEGER REFERENCES sales(id),
+  agent_id INTEGER REFERENCES users(id),
+  expected_amount DECIMAL(10, 2),
+  variance_amount DECIMAL(10, 2),
+  match_status VARCHAR(20) NOT NULL,
+  is_resolved BOOLEAN DEFAULT FALSE,
+  resolution_note TEXT,
+  resolved_by INTEGER REFERENCES users(id),
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS commission_line_statement_idx ON commission_statement_lines (statement_id);
+CREATE INDEX IF NOT EXISTS commission_line_sale_idx ON commission_statement_lines (sale_id);
+CREATE INDEX IF NOT EXISTS commission_line_agent_date_idx ON commission_statement_lines (agent_id, payment_date);
+CREATE INDEX IF NOT EXISTS commission_line_status_idx ON commission_statement_lines (match_status);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN commission_statement_lines.paid_amount IS 'Amount the carrier paid; negative for chargebacks';
+COMMENT ON COLUMN commission_statement_lines.payment_date IS 'Payment date from the statement, or the statement date if the line has none. Decides the pay period';
+COMMENT ON COLUMN commission_statement_lines.expected_amount IS 'commission_amount of the matched sale at the time of matching';
+COMMENT ON COLUMN commission_statement_lines.match_status IS 'matched, discrepancy (paid differs from expected), unmatched (no sale with that policy number) or chargeback';
@@ -0,0 +1,19 @@
+-- Migration: Add content category ordering
+-- Categories nest through parent_id; position orders the categories that share a parent
+
+ALTER TABLE content_categories ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+
+-- Keep existing categories in alphabetical order within each parent
+UPDATE content_categories c
+SET position = ordered.position
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY parent_id ORDER BY name, id) AS position
+  FROM content_categories
+) ordered
+WHERE c.id = ordered.id;
+
+CREATE INDEX IF NOT EXISTS content_category_parent_idx ON content_categories(parent_id, position);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN content_categories.parent_id IS 'Parent category; NULL for a top-level category';
+COMMENT ON COLUMN content_categories.position IS 'Order among categories with the same parent, lowest first';
@@ -0,0 +1,24 @@
+-- Migration: Add notifications table
+-- Stores in-app notifications for sales, goals, reminders, team changes and content
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  entity_type VARCHAR(50),
+  entity_id INTEGER,
+  link VARCHAR(255),
+  is_read BOOLEAN DEFAULT false,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notification_user_idx ON notifications (user_id);
+CREATE INDEX IF NOT EXISTS notification_read_idx ON notifications (user_id, is_read);
+CREATE INDEX IF NOT EXISTS notification_entity_idx ON notifications (entity_type, entity_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN notifications.type IS 'sale_created, goal_completed, reminder_due, team_update, content_published';
+COMMENT ON COLUMN notifications.entity_type IS 'Kind of record the notification refers to (sale, goal, reminder, user, team, content)';
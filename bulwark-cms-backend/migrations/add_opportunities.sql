@@ -0,0 +1,56 @@
+-- Migration: Add sales pipeline opportunities
+-- Tracks potential sales through configurable stages until they are issued as a sale or lost
+
+CREATE TABLE IF NOT EXISTS opportunity_stages (
+  id SERIAL PRIMARY KEY,
+  key VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  default_probability INTEGER DEFAULT 0,
+  outcome VARCHAR(10),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS opportunity_stage_position_idx ON opportunity_stages (position);
+
+-- Default pipeline
+INSERT INTO opportunity_stages (key, name, position, default_probability, outcome) VALUES
+  ('lead', 'Lead', 1, 10, NULL),
+  ('quoted', 'Quoted', 2, 30, NULL),
+  ('application_submitted', 'Application Submitted', 3, 60, NULL),
+  ('underwriting', 'Underwriting', 4, 80, NULL),
+  ('issued', 'Issued', 5, 100, 'won'),
+  ('lost', 'Lost', 6, 0, 'lost')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS opportunities (
+  id SERIAL PRIMARY KEY,
+  agent_id INTEGER NOT NULL REFERENCES users(id),
+  client_id INTEGER NOT NULL REFERENCES clients(id),
+  product_id INTEGER REFERENCES products(id),
+  stage_id INTEGER NOT NULL REFERENCES opportunity_stages(id),
+  title VARCHAR(255) NOT NULL,
+  expected_premium DECIMAL(10, 2),
+  probability INTEGER DEFAULT 0,
+  expected_close_date DATE,
+  lost_reason TEXT,
+  sale_id INTEGER REFERENCES sales(id),
+  notes TEXT,
+  closed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS opportunity_agent_idx ON opportunities (agent_id);
+CREATE INDEX IF NOT EXISTS opportunity_client_idx ON opportunities (client_id);
+CREATE INDEX IF NOT EXISTS opportunity_stage_idx ON opportunities (stage_id);
+CREATE INDEX IF NOT EXISTS opportunity_close_date_idx ON opportunities (expected_close_date);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN opportunity_stages.default_probability IS 'Probability (0-100) given to an opportunity when it moves into this stage';
+COMMENT ON COLUMN opportunity_stages.outcome IS 'NULL for open stages; won (closing creates a sale) or lost';
+COMMENT ON COLUMN opportunities.probability IS 'Chance of closing, 0-100';
+COMMENT ON COLUMN opportunities.sale_id IS 'Sale created when the opportunity was issued';
+COMMENT ON COLUMN opportunities.closed_at IS 'When the opportunity reached a won or lost stage';
@@ -0,0 +1,19 @@
+-- Migration: Add password reset tokens table
+-- Stores hashed, single-use, expiring tokens for self-service password reset
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  token_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  requested_ip VARCHAR(45),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS password_reset_token_hash_idx ON password_reset_tokens (token_hash);
+CREATE INDEX IF NOT EXISTS password_reset_user_idx ON password_reset_tokens (user_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 hash of the emailed token. The token itself is never stored';
+COMMENT ON COLUMN password_reset_tokens.used_at IS 'Set when the token is used or superseded by a newer request. NULL = still usable until expires_at';
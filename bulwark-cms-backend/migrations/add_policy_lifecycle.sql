@@ -0,0 +1,46 @@
+-- Migration: Add policy lifecycle tracking
+-- Adds effective dates, terms and renewal dates to sales, a status transition log, and links reminders to policies
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS sale_type VARCHAR(20) DEFAULT 'new_business';
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS effective_date DATE;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS term_months INTEGER DEFAULT 12;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS renewal_date DATE;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS renewed_from_sale_id INTEGER REFERENCES sales(id);
+
+-- Existing policies took effect on their sale date with the default 12 month term
+UPDATE sales SET effective_date = sale_date::date WHERE effective_date IS NULL;
+UPDATE sales SET term_months = 12 WHERE term_months IS NULL;
+UPDATE sales SET renewal_date = (effective_date + (term_months * INTERVAL '1 month'))::date WHERE renewal_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS sale_renewal_date_idx ON sales (renewal_date);
+CREATE INDEX IF NOT EXISTS sale_renewed_from_idx ON sales (renewed_from_sale_id);
+
+CREATE TABLE IF NOT EXISTS policy_status_history (
+  id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES sales(id),
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  reason TEXT,
+  effective_date DATE,
+  changed_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS policy_status_sale_idx ON policy_status_history (sale_id);
+
+-- Every existing policy starts its history in its current status
+INSERT INTO policy_status_history (sale_id, from_status, to_status, effective_date, changed_by, created_at)
+SELECT s.id, NULL, COALESCE(s.status, 'active'), s.effective_date, s.agent_id, s.created_at
+FROM sales s
+WHERE NOT EXISTS (SELECT 1 FROM policy_status_history h WHERE h.sale_id = s.id);
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS sale_id INTEGER REFERENCES sales(id);
+CREATE INDEX IF NOT EXISTS reminder_sale_idx ON reminders (sale_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN sales.sale_type IS 'new_business or renewal';
+COMMENT ON COLUMN sales.term_months IS 'Policy term in months, used to work out the renewal date';
+COMMENT ON COLUMN sales.renewal_date IS 'effective_date + term_months';
+COMMENT ON COLUMN sales.renewed_from_sale_id IS 'The policy this sale renewed, if it is a renewal';
+COMMENT ON COLUMN policy_status_history.from_status IS 'NULL for the entry created with the policy';
+COMMENT ON COLUMN reminders.sale_id IS 'Policy the reminder relates to, e.g. for policy_renewal reminders';
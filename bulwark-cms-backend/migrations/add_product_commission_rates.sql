@@ -0,0 +1,46 @@
+-- Migration: Add product archiving and commission rate schedules
+-- Lets managers maintain the product catalog and the default commission rates used for new sales
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS product_commission_rates (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  commission_type VARCHAR(20) NOT NULL DEFAULT 'first_year',
+  rate DECIMAL(5, 2) NOT NULL,
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS commission_rate_product_idx ON product_commission_rates (product_id, commission_type);
+CREATE INDEX IF NOT EXISTS commission_rate_effective_idx ON product_commission_rates (effective_from);
+
+-- Backfill an open-ended first-year rate for products that were already being sold, so new sales keep
+-- working after the upgrade. The rate is the one used on the product's most recent sale (worked out from
+-- the amount when no rate was recorded), effective from its first sale. Products with rates are skipped.
+INSERT INTO product_commission_rates (product_id, commission_type, rate, effective_from)
+SELECT latest.product_id, 'first_year', latest.rate, first_sale.sale_date
+FROM (
+  SELECT DISTINCT ON (product_id)
+    product_id,
+    COALESCE(commission_rate, ROUND(commission_amount * 100 / NULLIF(premium_amount, 0), 2)) AS rate
+  FROM sales
+  WHERE COALESCE(commission_rate, ROUND(commission_amount * 100 / NULLIF(premium_amount, 0), 2)) BETWEEN 0 AND 100
+  ORDER BY product_id, sale_date DESC, id DESC
+) latest
+INNER JOIN (
+  SELECT product_id, MIN(sale_date) AS sale_date FROM sales GROUP BY product_id
+) first_sale ON first_sale.product_id = latest.product_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM product_commission_rates existing WHERE existing.product_id = latest.product_id
+);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN products.archived_at IS 'When the product was archived. Archived products stay on existing sales but cannot be sold';
+COMMENT ON COLUMN product_commission_rates.commission_type IS 'first_year for new business, renewal for renewed policies';
+COMMENT ON COLUMN product_commission_rates.rate IS 'Commission as a percentage of the premium';
+COMMENT ON COLUMN product_commission_rates.effective_to IS 'Last day the rate applies (inclusive). NULL = open-ended';
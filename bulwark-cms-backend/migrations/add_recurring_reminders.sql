@@ -0,0 +1,35 @@
+-- Migration: Add recurring reminders
+-- Adds reminder series (template plus RRULE-style recurrence rule) and links reminder occurrences to their series
+
+CREATE TABLE IF NOT EXISTS reminder_series (
+  id SERIAL PRIMARY KEY,
+  agent_id INTEGER NOT NULL REFERENCES users(id),
+  client_id INTEGER REFERENCES clients(id),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  priority VARCHAR(20) DEFAULT 'medium',
+  type VARCHAR(50),
+  recurrence_rule VARCHAR(255) NOT NULL,
+  start_date TIMESTAMP NOT NULL,
+  time_zone VARCHAR(100) DEFAULT 'UTC',
+  occurrence_count INTEGER DEFAULT 1,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS reminder_series_agent_idx ON reminder_series (agent_id);
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES reminder_series(id);
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS occurrence_date TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS reminder_series_idx ON reminders (series_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN reminder_series.recurrence_rule IS 'RRULE-style rule: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with optional INTERVAL, COUNT or UNTIL, and BYDAY';
+COMMENT ON COLUMN reminder_series.start_date IS 'First occurrence; the rule is counted from here and it sets the time of day';
+COMMENT ON COLUMN reminder_series.time_zone IS 'Time zone the rule is read in, so a 09:00 reminder stays at 09:00 across daylight saving changes';
+COMMENT ON COLUMN reminder_series.occurrence_count IS 'Number of occurrences generated so far';
+COMMENT ON COLUMN reminder_series.is_active IS 'False once the rule has no more occurrences';
+COMMENT ON COLUMN reminders.series_id IS 'Series this reminder is an occurrence of, if it repeats';
+COMMENT ON COLUMN reminders.occurrence_date IS 'Date the series scheduled this occurrence for; the next one is worked out from this even if the reminder was moved';
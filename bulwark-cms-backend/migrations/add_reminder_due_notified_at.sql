@@ -0,0 +1,19 @@
+-- Migration: Add due notification tracking to reminders
+-- The due-reminder sweep marks each reminder it handles, so reminders whose agent opted out are not checked again
+
+-- Add the handled column
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS due_notified_at TIMESTAMP;
+
+-- Reminders already notified count as handled at the time of their latest notification
+UPDATE reminders r
+SET due_notified_at = n.notified_at
+FROM (
+  SELECT entity_id, MAX(created_at) AS notified_at
+  FROM notifications
+  WHERE entity_type = 'reminder' AND type = 'reminder_due'
+  GROUP BY entity_id
+) n
+WHERE n.entity_id = r.id AND r.due_notified_at IS NULL;
+
+-- Add a comment to explain the field
+COMMENT ON COLUMN reminders.due_notified_at IS 'When the due-reminder sweep last handled this reminder, notified or skipped because the agent opted out. Earlier than reminder_date after a snooze';
@@ -0,0 +1,26 @@
+-- Migration: Add reminder snoozing and escalation
+-- Keeps a history of reminder snoozes and records when an overdue reminder was escalated to the agent's manager
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS snooze_count INTEGER DEFAULT 0;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS escalated_to INTEGER REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS reminder_snoozes (
+  id SERIAL PRIMARY KEY,
+  reminder_id INTEGER NOT NULL REFERENCES reminders(id),
+  user_id INTEGER REFERENCES users(id),
+  preset VARCHAR(20) NOT NULL,
+  previous_date TIMESTAMP NOT NULL,
+  snoozed_until TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS reminder_snooze_reminder_idx ON reminder_snoozes (reminder_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN reminders.snooze_count IS 'Number of times the reminder has been snoozed';
+COMMENT ON COLUMN reminders.escalated_at IS 'When the overdue high or urgent reminder was escalated; cleared when it is reassigned';
+COMMENT ON COLUMN reminders.escalated_to IS 'Manager the reminder was escalated to';
+COMMENT ON COLUMN reminder_snoozes.preset IS 'Snooze chosen: 15m, 1h, tomorrow (09:00 in the user''s time zone) or custom';
+COMMENT ON COLUMN reminder_snoozes.previous_date IS 'When the reminder was due before this snooze';
+COMMENT ON COLUMN reminder_snoozes.snoozed_until IS 'New due time the snooze moved the reminder to';
@@ -0,0 +1,24 @@
+-- Migration: Add roles and permissions
+-- Named permissions grouped into editable roles; users.role holds the role name
+
+CREATE TABLE IF NOT EXISTS roles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(20) NOT NULL UNIQUE,
+  label VARCHAR(100) NOT NULL,
+  description TEXT,
+  permissions JSON NOT NULL,
+  is_system BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Built-in roles, granting what the old hardcoded manager and agent checks allowed
+INSERT INTO roles (name, label, description, permissions, is_system) VALUES
+  ('manager', 'Manager', 'Full access to the agency', '["org.view_branch", "clients.edit_others", "clients.assign", "clients.delete", "clients.merge", "sales.edit_others", "sales.assign", "sales.override_commission", "goals.edit_others", "goals.recalculate_all", "reminders.edit_others", "reminders.reassign", "opportunities.edit_others", "opportunities.manage_stages", "reports.view_team", "reports.schedule", "content.publish", "content.manage", "products.manage", "commissions.reconcile", "team.manage", "users.manage", "users.reset_credentials", "audit.view", "jobs.manage", "roles.manage"]', TRUE),
+  ('agent', 'Agent', 'Works their own clients, sales, goals and reminders', '["content.publish"]', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN roles.name IS 'Stored in users.role; cannot be changed once created';
+COMMENT ON COLUMN roles.permissions IS 'Array of permission names, e.g. ["clients.delete", "reports.view_team"]';
+COMMENT ON COLUMN roles.is_system IS 'The built-in manager and agent roles cannot be deleted';
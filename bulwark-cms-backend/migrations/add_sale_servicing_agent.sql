@@ -0,0 +1,10 @@
+-- Migration: Add servicing agent to sales
+-- A book transfer with renewals hands a policy's renewals to another agent without moving the original sale's credit
+
+-- Add the servicing agent column
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS servicing_agent_id INTEGER REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS sale_servicing_agent_idx ON sales (servicing_agent_id);
+
+-- Add a comment to explain the field
+COMMENT ON COLUMN sales.servicing_agent_id IS 'Agent who handles renewals of this policy when it is not the selling agent (agent_id). NULL means the selling agent';
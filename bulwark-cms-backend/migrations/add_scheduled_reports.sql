@@ -0,0 +1,50 @@
+-- Migration: Add scheduled reports
+-- Saved report definitions that are rendered (XLSX/PDF) and emailed on a cron schedule, with their run history
+
+CREATE TABLE IF NOT EXISTS scheduled_reports (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  report_type VARCHAR(50) NOT NULL,
+  filters JSON NOT NULL,
+  format VARCHAR(10) NOT NULL DEFAULT 'xlsx',
+  recipients JSON NOT NULL,
+  schedule VARCHAR(100) NOT NULL,
+  time_zone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+  is_active BOOLEAN DEFAULT TRUE,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_run_status VARCHAR(20),
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_report_next_run_idx ON scheduled_reports (is_active, next_run_at);
+
+CREATE TABLE IF NOT EXISTS report_runs (
+  id SERIAL PRIMARY KEY,
+  scheduled_report_id INTEGER NOT NULL REFERENCES scheduled_reports(id),
+  trigger VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  triggered_by INTEGER REFERENCES users(id),
+  recipients JSON,
+  period_start DATE,
+  period_end DATE,
+  file_name VARCHAR(255),
+  row_count INTEGER,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS report_run_report_started_idx ON report_runs (scheduled_report_id, started_at);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN scheduled_reports.report_type IS 'sales, agent_performance or leaderboard';
+COMMENT ON COLUMN scheduled_reports.filters IS 'Report filters: relative period (e.g. previous_week), optional agentId, status and limit';
+COMMENT ON COLUMN scheduled_reports.schedule IS 'Five-field cron expression (minute hour day-of-month month day-of-week)';
+COMMENT ON COLUMN scheduled_reports.time_zone IS 'IANA time zone the schedule and report period are read in';
+COMMENT ON COLUMN scheduled_reports.next_run_at IS 'When the scheduler will next send the report; advanced before each scheduled run';
+COMMENT ON COLUMN report_runs.trigger IS 'schedule for scheduler runs, manual for "send now"';
+COMMENT ON COLUMN report_runs.status IS 'running, sent or failed';
+COMMENT ON COLUMN report_runs.error IS 'Why the report could not be generated or emailed';
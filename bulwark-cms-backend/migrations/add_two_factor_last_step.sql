@@ -0,0 +1,8 @@
+-- Migration: Add last accepted TOTP step to users table
+-- A TOTP code is valid for up to 90 seconds; remembering the last accepted time step stops the same code being used twice
+
+-- Add the last step column
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step INTEGER;
+
+-- Add a comment to explain the field
+COMMENT ON COLUMN users.two_factor_last_step IS 'Last TOTP time step (Unix time / 30) accepted for this user. Codes for this step or earlier are rejected';
@@ -0,0 +1,8 @@
+-- Migration: Add two-factor recovery codes to users table
+-- Stores SHA-256 hashes of the single-use recovery codes issued when 2FA is enabled
+
+-- Add the recovery codes column
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_recovery_codes JSON;
+
+-- Add a comment to explain the field
+COMMENT ON COLUMN users.two_factor_recovery_codes IS 'Array of SHA-256 hashes of unused 2FA recovery codes. NULL when 2FA is disabled';
@@ -0,0 +1,33 @@
+-- Migration: Add user sessions and refresh tokens
+-- Sessions are created on login and revoked on logout; refresh tokens are rotated on every use
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(45),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS session_user_idx ON user_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES user_sessions(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  jti VARCHAR(36) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS refresh_token_jti_idx ON refresh_tokens (jti);
+CREATE INDEX IF NOT EXISTS refresh_token_session_idx ON refresh_tokens (session_id);
+
+-- Add comments to explain the fields
+COMMENT ON COLUMN user_sessions.revoked_at IS 'Timestamp when the session was revoked. NULL = active';
+COMMENT ON COLUMN refresh_tokens.used_at IS 'Set when the token is exchanged. Presenting a used token again revokes the session';
@@ -5,15 +5,36 @@ export * from './schema.js';
 export {
   users,
   clients,
+  clientRelationships,
+  clientDuplicateDismissals,
+  clientImportJobs,
   products,
+  productCommissionRates,
   sales,
+  policyStatusHistory,
   goals,
   reminders,
+  reminderSeries,
+  reminderSnoozes,
+  calendarFeedTokens,
   contentCategories,
   content,
   teams,
   teamMembers,
-  clientNotes
+  clientNotes,
+  notifications,
+  userSessions,
+  refreshTokens,
+  passwordResetTokens,
+  auditEvents,
+  commissionStatements,
+  commissionStatementLines,
+  opportunityStages,
+  opportunities,
+  scheduledReports,
+  reportRuns,
+  backgroundJobs,
+  roles
 } from './schema.js';
 
 // Export database instance
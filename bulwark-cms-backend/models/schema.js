@@ -1,5 +1,5 @@
 import { pgTable, serial, varchar, text, boolean, timestamp, integer, decimal, date, json, uniqueIndex, index } from 'drizzle-orm/pg-core';
-import { relations } from 'drizzle-orm';
+import { relations, sql } from 'drizzle-orm';
 
 // Users table
 export const users = pgTable('users', {
@@ -8,7 +8,7 @@ export const users = pgTable('users', {
   passwordHash: varchar('password_hash', { length: 255 }).notNull(),
   firstName: varchar('first_name', { length: 100 }).notNull(),
   lastName: varchar('last_name', { length: 100 }).notNull(),
-  role: varchar('role', { length: 20 }).notNull().default('agent'), // 'manager', 'agent'
+  role: varchar('role', { length: 20 }).notNull().default('agent'), // roles.name, e.g. 'manager', 'agent'
   isActive: boolean('is_active').default(true),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
@@ -63,6 +63,8 @@ export const users = pgTable('users', {
   // Account Settings
   twoFactorEnabled: boolean('two_factor_enabled').default(false),
   twoFactorSecret: varchar('two_factor_secret', { length: 255 }),
+  twoFactorRecoveryCodes: json('two_factor_recovery_codes'), // SHA-256 hashes of unused recovery codes
+  twoFactorLastStep: integer('two_factor_last_step'), // last TOTP time step accepted, so a code cannot be replayed
   passwordChangedAt: timestamp('password_changed_at'),
   failedLoginAttempts: integer('failed_login_attempts').default(0),
   accountLockedUntil: timestamp('account_locked_until'),
@@ -95,6 +97,61 @@ export const clients = pgTable('clients', {
   emailIdx: index('client_email_idx').on(table.email)
 }));
 
+// Client relationships table (households, beneficiaries, employers and referrals)
+// Each row reads "client is the <relationship type> of related client", e.g. client 7 is the child of client 3
+export const clientRelationships = pgTable('client_relationships', {
+  id: serial('id').primaryKey(),
+  clientId: integer('client_id').notNull().references(() => clients.id),
+  relatedClientId: integer('related_client_id').notNull().references(() => clients.id),
+  relationshipType: varchar('relationship_type', { length: 20 }).notNull(), // 'spouse', 'child', 'beneficiary', 'employer_of', 'referred_by'
+  notes: text('notes'),
+  createdBy: integer('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  clientIdx: index('client_relationship_client_idx').on(table.clientId),
+  relatedClientIdx: index('client_relationship_related_client_idx').on(table.relatedClientId),
+  uniqueRelationshipIdx: uniqueIndex('client_relationship_unique_idx').on(table.clientId, table.relatedClientId, table.relationshipType)
+}));
+
+// Client duplicate dismissals table (pairs a manager reviewed and marked as different people)
+// The lower client id is always stored in client_id
+export const clientDuplicateDismissals = pgTable('client_duplicate_dismissals', {
+  id: serial('id').primaryKey(),
+  clientId: integer('client_id').notNull().references(() => clients.id),
+  otherClientId: integer('other_client_id').notNull().references(() => clients.id),
+  dismissedBy: integer('dismissed_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  pairIdx: uniqueIndex('client_duplicate_dismissal_pair_idx').on(table.clientId, table.otherClientId)
+}));
+
+// Client import jobs table (one row per uploaded client spreadsheet)
+// The raw rows are kept so the import can be re-validated and its error report downloaded later
+export const clientImportJobs = pgTable('client_import_jobs', {
+  id: serial('id').primaryKey(),
+  uploadedBy: integer('uploaded_by').notNull().references(() => users.id),
+  agentId: integer('agent_id').references(() => users.id), // agent who will own the imported clients
+  fileName: varchar('file_name', { length: 255 }),
+  status: varchar('status', { length: 20 }).notNull().default('uploaded'), // 'uploaded', 'validated', 'completed', 'failed'
+  headers: json('headers').notNull(),
+  rows: json('rows').notNull(),
+  mapping: json('mapping'),
+  rowResults: json('row_results'),
+  totalRows: integer('total_rows').default(0),
+  validCount: integer('valid_count').default(0),
+  errorCount: integer('error_count').default(0),
+  duplicateCount: integer('duplicate_count').default(0),
+  importedCount: integer('imported_count').default(0),
+  failureReason: text('failure_reason'),
+  createdAt: timestamp('created_at').defaultNow(),
+  validatedAt: timestamp('validated_at'),
+  completedAt: timestamp('completed_at'),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  uploadedByIdx: index('client_import_job_uploaded_by_idx').on(table.uploadedBy),
+  createdAtIdx: index('client_import_job_created_at_idx').on(table.createdAt)
+}));
+
 // Products table
 export const products = pgTable('products', {
   id: serial('id').primaryKey(),
@@ -102,10 +159,28 @@ export const products = pgTable('products', {
   description: text('description'),
   category: varchar('category', { length: 100 }),
   isActive: boolean('is_active').default(true),
+  archivedAt: timestamp('archived_at'), // set when a manager archives the product; archived products cannot be sold
+  createdBy: integer('created_by').references(() => users.id),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 });
 
+// Product commission rates table (default commission schedule per product)
+export const productCommissionRates = pgTable('product_commission_rates', {
+  id: serial('id').primaryKey(),
+  productId: integer('product_id').notNull().references(() => products.id),
+  commissionType: varchar('commission_type', { length: 20 }).notNull().default('first_year'), // 'first_year', 'renewal'
+  rate: decimal('rate', { precision: 5, scale: 2 }).notNull(), // percentage of premium
+  effectiveFrom: date('effective_from').notNull(),
+  effectiveTo: date('effective_to'), // null = open-ended
+  createdBy: integer('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  productIdx: index('commission_rate_product_idx').on(table.productId, table.commissionType),
+  effectiveIdx: index('commission_rate_effective_idx').on(table.effectiveFrom)
+}));
+
 // Sales table
 export const sales = pgTable('sales', {
   id: serial('id').primaryKey(),
@@ -117,17 +192,42 @@ export const sales = pgTable('sales', {
   commissionRate: decimal('commission_rate', { precision: 5, scale: 2 }),
   saleDate: date('sale_date').notNull(),
   policyNumber: varchar('policy_number', { length: 100 }),
-  status: varchar('status', { length: 20 }).default('active'), // 'active', 'cancelled', 'expired'
+  status: varchar('status', { length: 20 }).default('active'), // 'active', 'cancelled', 'lapsed', 'renewed', 'expired'
   productName: varchar('product_name', { length: 255 }),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
-  notes: text('notes')
+  notes: text('notes'),
+
+  // Policy lifecycle
+  saleType: varchar('sale_type', { length: 20 }).default('new_business'), // 'new_business', 'renewal'
+  effectiveDate: date('effective_date'),
+  termMonths: integer('term_months').default(12),
+  renewalDate: date('renewal_date'),
+  renewedFromSaleId: integer('renewed_from_sale_id').references(() => sales.id),
+  servicingAgentId: integer('servicing_agent_id').references(() => users.id) // handles renewals instead of the selling agent, e.g. after a book transfer
 }, (table) => ({
   agentIdx: index('sale_agent_idx').on(table.agentId),
   clientIdx: index('sale_client_idx').on(table.clientId),
   productIdx: index('sale_product_idx').on(table.productId),
   dateIdx: index('sale_date_idx').on(table.saleDate),
-  statusIdx: index('sale_status_idx').on(table.status)
+  statusIdx: index('sale_status_idx').on(table.status),
+  renewalDateIdx: index('sale_renewal_date_idx').on(table.renewalDate),
+  renewedFromIdx: index('sale_renewed_from_idx').on(table.renewedFromSaleId),
+  servicingAgentIdx: index('sale_servicing_agent_idx').on(table.servicingAgentId)
+}));
+
+// Policy status history table (one row per status transition of a sale)
+export const policyStatusHistory = pgTable('policy_status_history', {
+  id: serial('id').primaryKey(),
+  saleId: integer('sale_id').notNull().references(() => sales.id),
+  fromStatus: varchar('from_status', { length: 20 }), // null for the initial status
+  toStatus: varchar('to_status', { length: 20 }).notNull(),
+  reason: text('reason'),
+  effectiveDate: date('effective_date'),
+  changedBy: integer('changed_by').references(() => users.id), // null for system changes
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  saleIdx: index('policy_status_sale_idx').on(table.saleId)
 }));
 
 // Goals table
@@ -152,6 +252,26 @@ export const goals = pgTable('goals', {
 }));
 
 // Reminders table
+// Reminder series table - the template and recurrence rule behind a repeating reminder; each occurrence is a row in reminders
+export const reminderSeries = pgTable('reminder_series', {
+  id: serial('id').primaryKey(),
+  agentId: integer('agent_id').notNull().references(() => users.id),
+  clientId: integer('client_id').references(() => clients.id),
+  title: varchar('title', { length: 255 }).notNull(),
+  description: text('description'),
+  priority: varchar('priority', { length: 20 }).default('medium'),
+  type: varchar('type', { length: 50 }),
+  recurrenceRule: varchar('recurrence_rule', { length: 255 }).notNull(), // RRULE-style, e.g. 'FREQ=MONTHLY;INTERVAL=3'
+  startDate: timestamp('start_date').notNull(), // first occurrence; sets the time of day for the rest
+  timeZone: varchar('time_zone', { length: 100 }).default('UTC'), // zone the rule is read in, so 09:00 stays 09:00 across DST
+  occurrenceCount: integer('occurrence_count').default(1), // occurrences generated so far, for COUNT
+  isActive: boolean('is_active').default(true), // false once the rule has run out
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  agentIdx: index('reminder_series_agent_idx').on(table.agentId)
+}));
+
 export const reminders = pgTable('reminders', {
   id: serial('id').primaryKey(),
   agentId: integer('agent_id').notNull().references(() => users.id),
@@ -162,13 +282,49 @@ export const reminders = pgTable('reminders', {
   isCompleted: boolean('is_completed').default(false),
   priority: varchar('priority', { length: 20 }).default('medium'), // 'low', 'medium', 'high', 'urgent'
   type: varchar('type', { length: 50 }), // 'call_back', 'outstanding_documents', 'delayed_start_date', 'follow_up', 'policy_renewal'
+  saleId: integer('sale_id').references(() => sales.id), // policy a 'policy_renewal' reminder is about
+  seriesId: integer('series_id').references(() => reminderSeries.id), // set on occurrences of a repeating reminder
+  occurrenceDate: timestamp('occurrence_date'), // when the series scheduled this occurrence, even if reminderDate was moved
+  externalUid: varchar('external_uid', { length: 255 }), // UID of the calendar event an imported reminder came from
+  snoozeCount: integer('snooze_count').default(0),
+  escalatedAt: timestamp('escalated_at'), // set when an overdue high/urgent reminder was escalated to the agent's manager
+  escalatedTo: integer('escalated_to').references(() => users.id),
+  dueNotifiedAt: timestamp('due_notified_at'), // when the due-reminder sweep last handled it, whether or not the agent was notified
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 }, (table) => ({
   agentIdx: index('reminder_agent_idx').on(table.agentId),
+  seriesIdx: index('reminder_series_idx').on(table.seriesId),
+  externalUidIdx: index('reminder_external_uid_idx').on(table.agentId, table.externalUid),
   clientIdx: index('reminder_client_idx').on(table.clientId),
   dateIdx: index('reminder_date_idx').on(table.reminderDate),
-  completedIdx: index('reminder_completed_idx').on(table.isCompleted)
+  completedIdx: index('reminder_completed_idx').on(table.isCompleted),
+  saleIdx: index('reminder_sale_idx').on(table.saleId)
+}));
+
+// Reminder snoozes table - history of each time a reminder was pushed back
+export const reminderSnoozes = pgTable('reminder_snoozes', {
+  id: serial('id').primaryKey(),
+  reminderId: integer('reminder_id').notNull().references(() => reminders.id),
+  userId: integer('user_id').references(() => users.id), // who snoozed it
+  preset: varchar('preset', { length: 20 }).notNull(), // '15m', '1h', 'tomorrow', 'custom'
+  previousDate: timestamp('previous_date').notNull(),
+  snoozedUntil: timestamp('snoozed_until').notNull(),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  reminderIdx: index('reminder_snooze_reminder_idx').on(table.reminderId)
+}));
+
+// Calendar feed tokens table - secret for a user's reminder calendar subscription (.ics feed)
+export const calendarFeedTokens = pgTable('calendar_feed_tokens', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull(),
+  lastUsedAt: timestamp('last_used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  tokenHashIdx: uniqueIndex('calendar_feed_token_hash_idx').on(table.tokenHash),
+  userIdx: uniqueIndex('calendar_feed_token_user_idx').on(table.userId)
 }));
 
 // Content categories table
@@ -176,11 +332,14 @@ export const contentCategories = pgTable('content_categories', {
   id: serial('id').primaryKey(),
   name: varchar('name', { length: 100 }).notNull(),
   description: text('description'),
-  parentId: integer('parent_id').references(() => contentCategories.id),
+  parentId: integer('parent_id').references(() => contentCategories.id), // NULL = top level
+  position: integer('position').notNull().default(0), // Order among categories with the same parent
   isActive: boolean('is_active').default(true),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
-});
+}, (table) => ({
+  parentIdx: index('content_category_parent_idx').on(table.parentId, table.position)
+}));
 
 // Content table
 export const content = pgTable('content', {
@@ -274,6 +433,253 @@ export const clientNotes = pgTable('client_notes', {
   typeIdx: index('note_type_idx').on(table.noteType)
 }));
 
+// Notifications table
+export const notifications = pgTable('notifications', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  type: varchar('type', { length: 50 }).notNull(), // 'sale_created', 'goal_completed', 'reminder_due', 'team_update', 'clients_transferred', 'content_published'
+  title: varchar('title', { length: 255 }).notNull(),
+  message: text('message'),
+  entityType: varchar('entity_type', { length: 50 }), // 'sale', 'goal', 'reminder', 'user', 'team', 'content'
+  entityId: integer('entity_id'),
+  link: varchar('link', { length: 255 }),
+  isRead: boolean('is_read').default(false),
+  readAt: timestamp('read_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  userIdx: index('notification_user_idx').on(table.userId),
+  readIdx: index('notification_read_idx').on(table.userId, table.isRead),
+  entityIdx: index('notification_entity_idx').on(table.entityType, table.entityId)
+}));
+
+// User sessions table (one row per login, revoked on logout)
+export const userSessions = pgTable('user_sessions', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  userAgent: varchar('user_agent', { length: 500 }),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  expiresAt: timestamp('expires_at').notNull(),
+  lastUsedAt: timestamp('last_used_at').defaultNow(),
+  revokedAt: timestamp('revoked_at'),
+  revokedReason: varchar('revoked_reason', { length: 50 }), // 'logout', 'logout_all', 'token_reuse', 'password_changed', 'user_deactivated'
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  userIdx: index('session_user_idx').on(table.userId)
+}));
+
+// Refresh tokens table (rotated on every refresh; a reused token revokes its session)
+export const refreshTokens = pgTable('refresh_tokens', {
+  id: serial('id').primaryKey(),
+  sessionId: integer('session_id').notNull().references(() => userSessions.id),
+  userId: integer('user_id').notNull().references(() => users.id),
+  jti: varchar('jti', { length: 36 }).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  jtiIdx: uniqueIndex('refresh_token_jti_idx').on(table.jti),
+  sessionIdx: index('refresh_token_session_idx').on(table.sessionId)
+}));
+
+// Password reset tokens table (only a SHA-256 hash of the emailed token is stored)
+export const passwordResetTokens = pgTable('password_reset_tokens', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'),
+  requestedIp: varchar('requested_ip', { length: 45 }),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  tokenHashIdx: uniqueIndex('password_reset_token_hash_idx').on(table.tokenHash),
+  userIdx: index('password_reset_user_idx').on(table.userId)
+}));
+
+// Audit events table (append-only record of every create/update/delete)
+export const auditEvents = pgTable('audit_events', {
+  id: serial('id').primaryKey(),
+  actorId: integer('actor_id').references(() => users.id), // null for system actions
+  action: varchar('action', { length: 50 }).notNull(), // 'create', 'update', 'delete', 'deactivate', 'reactivate', ...
+  entityType: varchar('entity_type', { length: 50 }).notNull(), // 'client', 'sale', 'goal', 'user', 'reminder', 'content', ...
+  entityId: integer('entity_id'),
+  changes: json('changes'), // { field: { from, to } }
+  before: json('before'),
+  after: json('after'),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  userAgent: varchar('user_agent', { length: 500 }),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => ({
+  entityIdx: index('audit_entity_idx').on(table.entityType, table.entityId),
+  actorIdx: index('audit_actor_idx').on(table.actorId),
+  createdAtIdx: index('audit_created_at_idx').on(table.createdAt)
+}));
+
+// Carrier commission statements (one row per imported statement file)
+export const commissionStatements = pgTable('commission_statements', {
+  id: serial('id').primaryKey(),
+  carrierName: varchar('carrier_name', { length: 100 }).notNull(),
+  statementDate: date('statement_date').notNull(),
+  periodStart: date('period_start'),
+  periodEnd: date('period_end'),
+  fileName: varchar('file_name', { length: 255 }),
+  totalAmount: decimal('total_amount', { precision: 12, scale: 2 }).default('0'),
+  lineCount: integer('line_count').default(0),
+  matchedCount: integer('matched_count').default(0),
+  discrepancyCount: integer('discrepancy_count').default(0),
+  unmatchedCount: integer('unmatched_count').default(0),
+  chargebackCount: integer('chargeback_count').default(0),
+  importedBy: integer('imported_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  carrierIdx: index('commission_statement_carrier_idx').on(table.carrierName),
+  dateIdx: index('commission_statement_date_idx').on(table.statementDate)
+}));
+
+// Commission statement lines, each matched to a sale by policy number where possible
+export const commissionStatementLines = pgTable('commission_statement_lines', {
+  id: serial('id').primaryKey(),
+  statementId: integer('statement_id').notNull().references(() => commissionStatements.id),
+  rowNumber: integer('row_number'),
+  policyNumber: varchar('policy_number', { length: 100 }),
+  insuredName: varchar('insured_name', { length: 200 }),
+  paidAmount: decimal('paid_amount', { precision: 10, scale: 2 }).notNull(), // negative for chargebacks
+  premiumAmount: decimal('premium_amount', { precision: 10, scale: 2 }),
+  paymentDate: date('payment_date').notNull(),
+  saleId: integer('sale_id').references(() => sales.id),
+  agentId: integer('agent_id').references(() => users.id),
+  expectedAmount: decimal('expected_amount', { precision: 10, scale: 2 }),
+  varianceAmount: decimal('variance_amount', { precision: 10, scale: 2 }),
+  matchStatus: varchar('match_status', { length: 20 }).notNull(), // 'matched', 'discrepancy', 'unmatched', 'chargeback'
+  isResolved: boolean('is_resolved').default(false),
+  resolutionNote: text('resolution_note'),
+  resolvedBy: integer('resolved_by').references(() => users.id),
+  resolvedAt: timestamp('resolved_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  statementIdx: index('commission_line_statement_idx').on(table.statementId),
+  saleIdx: index('commission_line_sale_idx').on(table.saleId),
+  agentDateIdx: index('commission_line_agent_date_idx').on(table.agentId, table.paymentDate),
+  statusIdx: index('commission_line_status_idx').on(table.matchStatus)
+}));
+
+// Opportunity stages table (configurable sales pipeline columns)
+export const opportunityStages = pgTable('opportunity_stages', {
+  id: serial('id').primaryKey(),
+  key: varchar('key', { length: 50 }).notNull().unique(),
+  name: varchar('name', { length: 100 }).notNull(),
+  position: integer('position').notNull().default(0),
+  defaultProbability: integer('default_probability').default(0), // 0-100
+  outcome: varchar('outcome', { length: 10 }), // NULL = open, 'won' creates a sale, 'lost' closes without one
+  isActive: boolean('is_active').default(true),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  positionIdx: index('opportunity_stage_position_idx').on(table.position)
+}));
+
+// Opportunities table (potential sales moving through the pipeline before a policy is issued)
+export const opportunities = pgTable('opportunities', {
+  id: serial('id').primaryKey(),
+  agentId: integer('agent_id').notNull().references(() => users.id),
+  clientId: integer('client_id').notNull().references(() => clients.id),
+  productId: integer('product_id').references(() => products.id),
+  stageId: integer('stage_id').notNull().references(() => opportunityStages.id),
+  title: varchar('title', { length: 255 }).notNull(),
+  expectedPremium: decimal('expected_premium', { precision: 10, scale: 2 }),
+  probability: integer('probability').default(0), // 0-100
+  expectedCloseDate: date('expected_close_date'),
+  lostReason: text('lost_reason'),
+  saleId: integer('sale_id').references(() => sales.id), // set when the opportunity is issued
+  notes: text('notes'),
+  closedAt: timestamp('closed_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  agentIdx: index('opportunity_agent_idx').on(table.agentId),
+  clientIdx: index('opportunity_client_idx').on(table.clientId),
+  stageIdx: index('opportunity_stage_idx').on(table.stageId),
+  closeDateIdx: index('opportunity_close_date_idx').on(table.expectedCloseDate)
+}));
+
+// Saved report definitions emailed to recipients on a cron schedule
+export const scheduledReports = pgTable('scheduled_reports', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull(),
+  reportType: varchar('report_type', { length: 50 }).notNull(), // 'sales', 'agent_performance', 'leaderboard'
+  filters: json('filters').notNull(), // { period, agentId, status, limit }
+  format: varchar('format', { length: 10 }).notNull().default('xlsx'), // 'xlsx' or 'pdf'
+  recipients: json('recipients').notNull(), // array of email addresses
+  schedule: varchar('schedule', { length: 100 }).notNull(), // five-field cron expression
+  timeZone: varchar('time_zone', { length: 100 }).notNull().default('UTC'),
+  isActive: boolean('is_active').default(true),
+  nextRunAt: timestamp('next_run_at'),
+  lastRunAt: timestamp('last_run_at'),
+  lastRunStatus: varchar('last_run_status', { length: 20 }), // 'sent' or 'failed'
+  createdBy: integer('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  nextRunIdx: index('scheduled_report_next_run_idx').on(table.isActive, table.nextRunAt)
+}));
+
+// Run history for scheduled reports, one row per scheduled or "send now" delivery
+export const reportRuns = pgTable('report_runs', {
+  id: serial('id').primaryKey(),
+  scheduledReportId: integer('scheduled_report_id').notNull().references(() => scheduledReports.id),
+  trigger: varchar('trigger', { length: 20 }).notNull(), // 'schedule' or 'manual'
+  status: varchar('status', { length: 20 }).notNull().default('running'), // 'running', 'sent', 'failed'
+  triggeredBy: integer('triggered_by').references(() => users.id), // null for scheduled runs
+  recipients: json('recipients'),
+  periodStart: date('period_start'),
+  periodEnd: date('period_end'),
+  fileName: varchar('file_name', { length: 255 }),
+  rowCount: integer('row_count'),
+  error: text('error'),
+  startedAt: timestamp('started_at').defaultNow(),
+  completedAt: timestamp('completed_at')
+}, (table) => ({
+  reportStartedIdx: index('report_run_report_started_idx').on(table.scheduledReportId, table.startedAt)
+}));
+
+// Background job queue; workers claim rows with FOR UPDATE SKIP LOCKED so each job runs on one instance
+export const backgroundJobs = pgTable('background_jobs', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 100 }).notNull(), // job type, e.g. 'reminder_notifications'
+  payload: json('payload'),
+  status: varchar('status', { length: 20 }).notNull().default('pending'), // 'pending', 'running', 'completed', 'failed'
+  uniqueKey: varchar('unique_key', { length: 100 }), // set for recurring runs so only one is queued at a time
+  attempts: integer('attempts').notNull().default(0),
+  maxAttempts: integer('max_attempts').notNull().default(3),
+  runAt: timestamp('run_at').notNull().defaultNow(),
+  lockedAt: timestamp('locked_at'),
+  lockedBy: varchar('locked_by', { length: 255 }), // hostname:pid of the worker running the job
+  lastError: text('last_error'),
+  result: json('result'),
+  createdBy: integer('created_by').references(() => users.id), // set when a manager runs a job by hand
+  createdAt: timestamp('created_at').defaultNow(),
+  startedAt: timestamp('started_at'),
+  completedAt: timestamp('completed_at'),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => ({
+  pendingIdx: index('background_job_pending_idx').on(table.status, table.runAt),
+  nameIdx: index('background_job_name_idx').on(table.name, table.createdAt),
+  uniqueKeyIdx: uniqueIndex('background_job_unique_key_idx').on(table.uniqueKey).where(sql`status IN ('pending', 'running')`)
+}));
+
+// Roles and the named permissions they grant; users.role holds the role name
+export const roles = pgTable('roles', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 20 }).notNull().unique(), // e.g. 'manager', 'senior_agent'
+  label: varchar('label', { length: 100 }).notNull(),
+  description: text('description'),
+  permissions: json('permissions').notNull(), // array of permission names, e.g. ['clients.delete']
+  isSystem: boolean('is_system').default(false), // the built-in manager and agent roles can't be deleted
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+});
+
 // Define relationships
 export const usersRelations = relations(users, ({ many, one }) => ({
   clients: many(clients),
@@ -284,6 +690,10 @@ export const usersRelations = relations(users, ({ many, one }) => ({
   teams: many(teams),
   teamMembers: many(teamMembers),
   clientNotes: many(clientNotes),
+  notifications: many(notifications),
+  sessions: many(userSessions),
+  auditEvents: many(auditEvents),
+  opportunities: many(opportunities),
   manager: one(users, { fields: [users.managerId], references: [users.id] }),
   createdUsers: many(users, { relationName: 'createdBy' })
 }));
@@ -292,13 +702,52 @@ export const clientsRelations = relations(clients, ({ many, one }) => ({
   sales: many(sales),
   reminders: many(reminders),
   notes: many(clientNotes),
+  opportunities: many(opportunities),
+  relationships: many(clientRelationships, { relationName: 'clientRelationships' }),
+  relatedRelationships: many(clientRelationships, { relationName: 'relatedClientRelationships' }),
   agent: one(users, { fields: [clients.agentId], references: [users.id] })
 }));
 
-export const salesRelations = relations(sales, ({ one }) => ({
+export const clientRelationshipsRelations = relations(clientRelationships, ({ one }) => ({
+  client: one(clients, { fields: [clientRelationships.clientId], references: [clients.id], relationName: 'clientRelationships' }),
+  relatedClient: one(clients, { fields: [clientRelationships.relatedClientId], references: [clients.id], relationName: 'relatedClientRelationships' }),
+  createdByUser: one(users, { fields: [clientRelationships.createdBy], references: [users.id] })
+}));
+
+export const clientDuplicateDismissalsRelations = relations(clientDuplicateDismissals, ({ one }) => ({
+  client: one(clients, { fields: [clientDuplicateDismissals.clientId], references: [clients.id] }),
+  otherClient: one(clients, { fields: [clientDuplicateDismissals.otherClientId], references: [clients.id] }),
+  dismissedByUser: one(users, { fields: [clientDuplicateDismissals.dismissedBy], references: [users.id] })
+}));
+
+export const clientImportJobsRelations = relations(clientImportJobs, ({ one }) => ({
+  uploadedByUser: one(users, { fields: [clientImportJobs.uploadedBy], references: [users.id] }),
+  agent: one(users, { fields: [clientImportJobs.agentId], references: [users.id] })
+}));
+
+export const productsRelations = relations(products, ({ many }) => ({
+  sales: many(sales),
+  commissionRates: many(productCommissionRates),
+  opportunities: many(opportunities)
+}));
+
+export const productCommissionRatesRelations = relations(productCommissionRates, ({ one }) => ({
+  product: one(products, { fields: [productCommissionRates.productId], references: [products.id] })
+}));
+
+export const salesRelations = relations(sales, ({ one, many }) => ({
   agent: one(users, { fields: [sales.agentId], references: [users.id] }),
   client: one(clients, { fields: [sales.clientId], references: [clients.id] }),
-  product: one(products, { fields: [sales.productId], references: [products.id] })
+  product: one(products, { fields: [sales.productId], references: [products.id] }),
+  renewedFrom: one(sales, { fields: [sales.renewedFromSaleId], references: [sales.id], relationName: 'renewals' }),
+  renewals: many(sales, { relationName: 'renewals' }),
+  statusHistory: many(policyStatusHistory),
+  commissionLines: many(commissionStatementLines)
+}));
+
+export const policyStatusHistoryRelations = relations(policyStatusHistory, ({ one }) => ({
+  sale: one(sales, { fields: [policyStatusHistory.saleId], references: [sales.id] }),
+  changedByUser: one(users, { fields: [policyStatusHistory.changedBy], references: [users.id] })
 }));
 
 export const goalsRelations = relations(goals, ({ one }) => ({
@@ -307,7 +756,24 @@ export const goalsRelations = relations(goals, ({ one }) => ({
 
 export const remindersRelations = relations(reminders, ({ one }) => ({
   agent: one(users, { fields: [reminders.agentId], references: [users.id] }),
-  client: one(clients, { fields: [reminders.clientId], references: [clients.id] })
+  client: one(clients, { fields: [reminders.clientId], references: [clients.id] }),
+  sale: one(sales, { fields: [reminders.saleId], references: [sales.id] }),
+  series: one(reminderSeries, { fields: [reminders.seriesId], references: [reminderSeries.id] })
+}));
+
+export const reminderSnoozesRelations = relations(reminderSnoozes, ({ one }) => ({
+  reminder: one(reminders, { fields: [reminderSnoozes.reminderId], references: [reminders.id] }),
+  user: one(users, { fields: [reminderSnoozes.userId], references: [users.id] })
+}));
+
+export const calendarFeedTokensRelations = relations(calendarFeedTokens, ({ one }) => ({
+  user: one(users, { fields: [calendarFeedTokens.userId], references: [users.id] })
+}));
+
+export const reminderSeriesRelations = relations(reminderSeries, ({ one, many }) => ({
+  agent: one(users, { fields: [reminderSeries.agentId], references: [users.id] }),
+  client: one(clients, { fields: [reminderSeries.clientId], references: [clients.id] }),
+  occurrences: many(reminders)
 }));
 
 export const contentRelations = relations(content, ({ one }) => ({
@@ -329,3 +795,62 @@ export const clientNotesRelations = relations(clientNotes, ({ one }) => ({
   client: one(clients, { fields: [clientNotes.clientId], references: [clients.id] }),
   agent: one(users, { fields: [clientNotes.agentId], references: [users.id] })
 }));
+
+export const notificationsRelations = relations(notifications, ({ one }) => ({
+  user: one(users, { fields: [notifications.userId], references: [users.id] })
+}));
+
+export const userSessionsRelations = relations(userSessions, ({ many, one }) => ({
+  user: one(users, { fields: [userSessions.userId], references: [users.id] }),
+  refreshTokens: many(refreshTokens)
+}));
+
+export const refreshTokensRelations = relations(refreshTokens, ({ one }) => ({
+  session: one(userSessions, { fields: [refreshTokens.sessionId], references: [userSessions.id] }),
+  user: one(users, { fields: [refreshTokens.userId], references: [users.id] })
+}));
+
+export const passwordResetTokensRelations = relations(passwordResetTokens, ({ one }) => ({
+  user: one(users, { fields: [passwordResetTokens.userId], references: [users.id] })
+}));
+
+export const auditEventsRelations = relations(auditEvents, ({ one }) => ({
+  actor: one(users, { fields: [auditEvents.actorId], references: [users.id] })
+}));
+
+export const commissionStatementsRelations = relations(commissionStatements, ({ many, one }) => ({
+  lines: many(commissionStatementLines),
+  importedByUser: one(users, { fields: [commissionStatements.importedBy], references: [users.id] })
+}));
+
+export const commissionStatementLinesRelations = relations(commissionStatementLines, ({ one }) => ({
+  statement: one(commissionStatements, { fields: [commissionStatementLines.statementId], references: [commissionStatements.id] }),
+  sale: one(sales, { fields: [commissionStatementLines.saleId], references: [sales.id] }),
+  agent: one(users, { fields: [commissionStatementLines.agentId], references: [users.id] })
+}));
+
+export const opportunityStagesRelations = relations(opportunityStages, ({ many }) => ({
+  opportunities: many(opportunities)
+}));
+
+export const opportunitiesRelations = relations(opportunities, ({ one }) => ({
+  agent: one(users, { fields: [opportunities.agentId], references: [users.id] }),
+  client: one(clients, { fields: [opportunities.clientId], references: [clients.id] }),
+  product: one(products, { fields: [opportunities.productId], references: [products.id] }),
+  stage: one(opportunityStages, { fields: [opportunities.stageId], references: [opportunityStages.id] }),
+  sale: one(sales, { fields: [opportunities.saleId], references: [sales.id] })
+}));
+
+export const scheduledReportsRelations = relations(scheduledReports, ({ many, one }) => ({
+  runs: many(reportRuns),
+  creator: one(users, { fields: [scheduledReports.createdBy], references: [users.id] })
+}));
+
+export const reportRunsRelations = relations(reportRuns, ({ one }) => ({
+  scheduledReport: one(scheduledReports, { fields: [reportRuns.scheduledReportId], references: [scheduledReports.id] }),
+  triggeredByUser: one(users, { fields: [reportRuns.triggeredBy], references: [users.id] })
+}));
+
+export const backgroundJobsRelations = relations(backgroundJobs, ({ one }) => ({
+  creator: one(users, { fields: [backgroundJobs.createdBy], references: [users.id] })
+}));
@@ -0,0 +1,117 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { db } from '../config/database.js';
+import { auditEvents, users } from '../models/schema.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, desc, gte, lte, count } from 'drizzle-orm';
+
+const router = express.Router();
+
+const AUDIT_ENTITY_TYPES = ['client', 'client_note', 'client_relationship', 'sale', 'goal', 'user', 'team', 'team_member', 'reminder', 'reminder_series', 'content', 'product', 'commission_rate', 'commission_statement', 'commission_statement_line', 'opportunity', 'opportunity_stage', 'scheduled_report', 'role', 'content_category'];
+
+// GET / - List audit events with filters (needs audit.view)
+router.get('/', authenticateToken, requirePermission('audit.view'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('entityType').optional().isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isInt({ min: 1 }).withMessage('Entity ID must be a positive integer'),
+  query('actorId').optional().isInt({ min: 1 }).withMessage('Actor ID must be a positive integer'),
+  query('action').optional().isLength({ min: 1, max: 50 }).withMessage('Action must be 1-50 characters'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, entityType, entityId, actorId, action, startDate, endDate } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Build where conditions
+    let whereConditions = [];
+
+    if (entityType) {
+      whereConditions.push(eq(auditEvents.entityType, entityType));
+    }
+    if (entityId) {
+      whereConditions.push(eq(auditEvents.entityId, parseInt(entityId)));
+    }
+    if (actorId) {
+      whereConditions.push(eq(auditEvents.actorId, parseInt(actorId)));
+    }
+    if (action) {
+      whereConditions.push(eq(auditEvents.action, action));
+    }
+    if (startDate) {
+      whereConditions.push(gte(auditEvents.createdAt, new Date(startDate)));
+    }
+    if (endDate) {
+      // A bare date includes the whole day
+      const end = new Date(endDate);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        end.setUTCHours(23, 59, 59, 999);
+      }
+      whereConditions.push(lte(auditEvents.createdAt, end));
+    }
+
+    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+
+    const totalResult = await db.select({ count: count() })
+      .from(auditEvents)
+      .where(whereClause);
+    const total = Number(totalResult[0]?.count || 0);
+
+    const events = await db.select({
+      id: auditEvents.id,
+      action: auditEvents.action,
+      entityType: auditEvents.entityType,
+      entityId: auditEvents.entityId,
+      changes: auditEvents.changes,
+      before: auditEvents.before,
+      after: auditEvents.after,
+      ipAddress: auditEvents.ipAddress,
+      userAgent: auditEvents.userAgent,
+      createdAt: auditEvents.createdAt,
+      actor: {
+        id: users.id,
+        firstName: users.firstName,
+        lastName: users.lastName,
+        email: users.email
+      }
+    })
+    .from(auditEvents)
+    .leftJoin(users, eq(auditEvents.actorId, users.id))
+    .where(whereClause)
+    .orderBy(desc(auditEvents.createdAt), desc(auditEvents.id))
+    .limit(parseInt(limit))
+    .offset(offset);
+
+    res.json({
+      message: 'Audit events retrieved successfully',
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
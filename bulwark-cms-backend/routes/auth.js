@@ -3,12 +3,110 @@ import bcrypt from 'bcryptjs';
 import { body, validationResult } from 'express-validator';
 import { db } from '../config/database.js';
 import { users } from '../models/schema.js';
-import { generateToken, refreshToken } from '../config/auth.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import { generateChallengeToken, verifyChallengeToken } from '../config/auth.js';
+import { createPasswordResetToken, consumePasswordResetToken, RESET_TOKEN_TTL_MINUTES } from '../services/passwordResetService.js';
+import { sendPasswordResetEmail } from '../services/mailService.js';
+import { generateSecret, findTotpStep, buildOtpauthUrl, generateRecoveryCodes, hashRecoveryCode } from '../services/twoFactorService.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { eq } from 'drizzle-orm';
+import { getRolePermissions, roleExists, userCan } from '../services/permissionService.js';
+import { eq, and, or, lt, isNull, sql } from 'drizzle-orm';
 
 const router = express.Router();
 
+// Function to record a failed login attempt and lock the account after 5 failures
+const recordFailedLogin = async (userData) => {
+  const failedAttempts = (userData.failedLoginAttempts || 0) + 1;
+  let accountLockedUntil = null;
+  
+  // Lock account after 5 failed attempts for 15 minutes
+  if (failedAttempts >= 5) {
+    accountLockedUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+  }
+  
+  await db.update(users)
+    .set({ 
+      failedLoginAttempts: failedAttempts,
+      accountLockedUntil: accountLockedUntil
+    })
+    .where(eq(users.id, userData.id));
+
+  return { failedAttempts, accountLockedUntil };
+};
+
+// Function to finish a successful login: reset lockout state, start a session and build the response
+const completeLogin = async (userData, req) => {
+  // Reset failed login attempts on successful login
+  await db.update(users)
+    .set({ 
+      failedLoginAttempts: 0,
+      accountLockedUntil: null,
+      lastLogin: new Date()
+    })
+    .where(eq(users.id, userData.id));
+
+  // Start a server-side session and generate tokens
+  const { accessToken, refreshToken: refreshTokenValue } = await createSession(userData, req);
+
+  // Return user data (excluding sensitive information)
+  const userResponse = {
+    id: userData.id,
+    email: userData.email,
+    firstName: userData.firstName,
+    lastName: userData.lastName,
+    role: userData.role,
+    isActive: userData.isActive,
+    managerId: userData.managerId,
+    department: userData.department,
+    position: userData.position,
+    avatarPath: userData.avatarPath,
+    twoFactorEnabled: !!userData.twoFactorEnabled,
+    lastLogin: userData.lastLogin,
+    permissions: [...(await getRolePermissions(userData.role))]
+  };
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshTokenValue,
+    user: userResponse
+  };
+};
+
+// Function to accept a TOTP code at most once. The code's time step is claimed with a conditional update,
+// so a step that was already used (or an earlier one) is rejected even when two requests race.
+const claimTotpCode = async (userData, code) => {
+  const step = findTotpStep(userData.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await db.update(users)
+    .set({ twoFactorLastStep: step })
+    .where(and(
+      eq(users.id, userData.id),
+      or(isNull(users.twoFactorLastStep), lt(users.twoFactorLastStep, step))
+    ))
+    .returning({ id: users.id });
+
+  return claimed.length > 0;
+};
+
+// Function to redeem a single-use recovery code. Its hash is removed in the same update that checks for it;
+// returns the number of codes left, or null if the code was not (or no longer) valid
+const redeemRecoveryCode = async (userData, code) => {
+  const hash = hashRecoveryCode(code);
+
+  const redeemed = await db.update(users)
+    .set({ twoFactorRecoveryCodes: sql`(${users.twoFactorRecoveryCodes}::jsonb - ${hash}::text)::json` })
+    .where(and(
+      eq(users.id, userData.id),
+      sql`${users.twoFactorRecoveryCodes}::jsonb @> jsonb_build_array(${hash}::text)`
+    ))
+    .returning({ twoFactorRecoveryCodes: users.twoFactorRecoveryCodes });
+
+  return redeemed.length > 0 ? redeemed[0].twoFactorRecoveryCodes.length : null;
+};
+
 // Validation middleware
 const validateLogin = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
@@ -20,7 +118,12 @@ const validateRegistration = [
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('firstName').trim().isLength({ min: 2 }).withMessage('First name is required'),
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name is required'),
-  body('role').isIn(['agent', 'manager']).withMessage('Valid role is required')
+  body('role').custom(async (value) => {
+    if (!(await roleExists(value))) {
+      throw new Error('Unknown role');
+    }
+    return true;
+  }).withMessage('Valid role is required')
 ];
 
 // POST /auth/login - User login
@@ -71,21 +174,7 @@ router.post('/login', validateLogin, async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, userData.passwordHash);
     
     if (!isValidPassword) {
-      // Increment failed login attempts
-      const failedAttempts = (userData.failedLoginAttempts || 0) + 1;
-      let accountLockedUntil = null;
-      
-      // Lock account after 5 failed attempts for 15 minutes
-      if (failedAttempts >= 5) {
-        accountLockedUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-      }
-      
-      await db.update(users)
-        .set({ 
-          failedLoginAttempts: failedAttempts,
-          accountLockedUntil: accountLockedUntil
-        })
-        .where(eq(users.id, userData.id));
+      const { failedAttempts, accountLockedUntil } = await recordFailedLogin(userData);
       
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -95,51 +184,429 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
-    // Reset failed login attempts on successful login
+    // Users with 2FA enabled get a short-lived challenge token instead of a session
+    if (userData.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        code: 'TWO_FACTOR_REQUIRED',
+        two_factor_required: true,
+        challenge_token: generateChallengeToken({ id: userData.id })
+      });
+    }
+
+    const tokens = await completeLogin(userData, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/forgot-password - Email a one-time password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await db.select().from(users).where(eq(users.email, email)).limit(1);
+
+    // Only active accounts get a link, but the response never reveals whether the email exists
+    if (user.length > 0 && user[0].isActive && !user[0].deletedAt) {
+      const token = await createPasswordResetToken(user[0].id, req.ip);
+      try {
+        await sendPasswordResetEmail(user[0], token, RESET_TOKEN_TTL_MINUTES);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/reset-password - Set a new password using an emailed reset token
+router.post('/reset-password', [
+  body('token').isLength({ min: 64, max: 64 }).isHexadecimal().withMessage('Valid reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const userId = await consumePasswordResetToken(token);
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    // Hash new password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // A successful reset also unlocks the account
     await db.update(users)
-      .set({ 
+      .set({
+        passwordHash,
+        passwordChangedAt: new Date(),
         failedLoginAttempts: 0,
         accountLockedUntil: null,
-        lastLogin: new Date()
+        updatedAt: new Date()
       })
-      .where(eq(users.id, userData.id));
+      .where(eq(users.id, userId));
 
-    // Generate tokens
-    const accessToken = generateToken({
-      id: userData.id,
-      email: userData.email,
-      role: userData.role
+    // Sign out every device that was using the old password
+    await revokeAllSessions(userId, 'password_changed');
+
+    res.json({
+      message: 'Password reset successfully'
     });
 
-    const refreshTokenValue = refreshToken({
-      id: userData.id,
-      email: userData.email
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
+  }
+});
 
-    // Return user data (excluding sensitive information)
-    const userResponse = {
-      id: userData.id,
-      email: userData.email,
-      firstName: userData.firstName,
-      lastName: userData.lastName,
-      role: userData.role,
-      isActive: userData.isActive,
-      managerId: userData.managerId,
-      department: userData.department,
-      position: userData.position,
-      avatarPath: userData.avatarPath,
-      lastLogin: userData.lastLogin
-    };
+// POST /auth/2fa/verify - Complete login with a TOTP or recovery code
+router.post('/2fa/verify', [
+  body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits'),
+  body('recovery_code').optional().isLength({ min: 10, max: 11 }).withMessage('Recovery code is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!code && !recovery_code) {
+      return res.status(400).json({
+        error: 'A verification code or recovery code is required',
+        code: 'TWO_FACTOR_CODE_MISSING'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challenge_token);
+    } catch (tokenError) {
+      return res.status(401).json({
+        error: 'Login challenge has expired, please sign in again',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    const user = await db.select().from(users).where(eq(users.id, decoded.id)).limit(1);
+
+    if (!user || user.length === 0 || !user[0].isActive || !user[0].twoFactorEnabled) {
+      return res.status(401).json({
+        error: 'Login challenge has expired, please sign in again',
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    const userData = user[0];
+
+    if (userData.accountLockedUntil && new Date() < new Date(userData.accountLockedUntil)) {
+      return res.status(423).json({
+        error: 'Account is temporarily locked',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: userData.accountLockedUntil
+      });
+    }
+
+    let verified = false;
+    let recoveryCodesRemaining = null;
+
+    if (code) {
+      verified = await claimTotpCode(userData, code);
+    } else {
+      recoveryCodesRemaining = await redeemRecoveryCode(userData, recovery_code);
+      verified = recoveryCodesRemaining !== null;
+    }
+
+    if (!verified) {
+      const { failedAttempts, accountLockedUntil } = await recordFailedLogin(userData);
+
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE',
+        failedAttempts,
+        accountLocked: !!accountLockedUntil
+      });
+    }
+
+    const tokens = await completeLogin(userData, req);
 
     res.json({
       message: 'Login successful',
-      access_token: accessToken,
-      refresh_token: refreshTokenValue,
-      user: userResponse
+      ...tokens,
+      ...(recoveryCodesRemaining !== null && { recoveryCodesRemaining })
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/2fa/setup - Start 2FA enrollment and return the otpauth URI for the QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await db.select().from(users).where(eq(users.id, req.user.id)).limit(1);
+
+    if (user[0].twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // The secret is stored right away but only takes effect once the first code is verified
+    const secret = generateSecret();
+    await db.update(users)
+      .set({
+        twoFactorSecret: secret,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, req.user.id));
+
+    res.json({
+      message: 'Two-factor setup started',
+      secret,
+      otpauthUrl: buildOtpauthUrl(req.user.email, secret)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/2fa/enable - Verify the first code, enable 2FA and issue recovery codes
+router.post('/2fa/enable', authenticateToken, [
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const user = await db.select().from(users).where(eq(users.id, req.user.id)).limit(1);
+    const userData = user[0];
+
+    if (userData.twoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!userData.twoFactorSecret) {
+      return res.status(400).json({
+        error: 'Two-factor setup has not been started',
+        code: 'TWO_FACTOR_NOT_STARTED'
+      });
+    }
+
+    if (!(await claimTotpCode(userData, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await db.update(users)
+      .set({
+        twoFactorEnabled: true,
+        twoFactorRecoveryCodes: hashes,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, req.user.id));
+
+    res.json({
+      message: 'Two-factor authentication enabled successfully',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/2fa/disable - Turn off 2FA (requires password and a current code)
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const user = await db.select().from(users).where(eq(users.id, req.user.id)).limit(1);
+    const userData = user[0];
+
+    if (!userData.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, userData.passwordHash);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        error: 'Current password is incorrect',
+        code: 'INCORRECT_PASSWORD'
+      });
+    }
+
+    if (!(await claimTotpCode(userData, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await db.update(users)
+      .set({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: null,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, req.user.id));
+
+    res.json({
+      message: 'Two-factor authentication disabled successfully'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/2fa/recovery-codes - Replace recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const user = await db.select().from(users).where(eq(users.id, req.user.id)).limit(1);
+    const userData = user[0];
+
+    if (!userData.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await claimTotpCode(userData, req.body.code))) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await db.update(users)
+      .set({
+        twoFactorRecoveryCodes: hashes,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, req.user.id));
+
+    res.json({
+      message: 'Recovery codes regenerated successfully',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -150,8 +617,9 @@ router.post('/login', validateLogin, async (req, res) => {
 // POST /auth/logout - User logout
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return success
+    // Revoke the session so both the access and refresh tokens stop working
+    await revokeSession(req.sessionId, 'logout');
+
     res.json({
       message: 'Logout successful'
     });
@@ -164,7 +632,25 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /auth/refresh - Refresh access token
+// POST /auth/logout-all - Log out of every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices successfully',
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /auth/refresh - Rotate refresh token and issue a new access token
 router.post('/refresh', async (req, res) => {
   try {
     const { refresh_token } = req.body;
@@ -176,36 +662,31 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = refreshToken(refresh_token);
-    
-    // Find user
-    const user = await db.select().from(users).where(eq(users.id, decoded.id)).limit(1);
-    
-    if (!user || user.length === 0 || !user[0].isActive) {
-      return res.status(401).json({
-        error: 'Invalid refresh token',
-        code: 'INVALID_REFRESH_TOKEN'
-      });
-    }
+    const loadUser = async (userId) => {
+      const user = await db.select().from(users).where(eq(users.id, userId)).limit(1);
+      return user[0];
+    };
 
-    // Generate new access token
-    const newAccessToken = generateToken({
-      id: user[0].id,
-      email: user[0].email,
-      role: user[0].role
-    });
+    const { accessToken, refreshToken: newRefreshToken } = await rotateRefreshToken(refresh_token, loadUser);
 
     res.json({
       message: 'Token refreshed successfully',
-      access_token: newAccessToken
+      access_token: accessToken,
+      refresh_token: newRefreshToken
     });
 
   } catch (error) {
+    if (['INVALID_REFRESH_TOKEN', 'SESSION_REVOKED', 'REFRESH_TOKEN_REUSED'].includes(error.code)) {
+      return res.status(401).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Token refresh error:', error);
-    res.status(401).json({
-      error: 'Invalid refresh token',
-      code: 'INVALID_REFRESH_TOKEN'
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
@@ -264,6 +745,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       showPerformanceStats: userData.showPerformanceStats,
       twoFactorEnabled: userData.twoFactorEnabled,
       lastLogin: userData.lastLogin,
+      permissions: [...(await getRolePermissions(userData.role))],
       createdAt: userData.createdAt,
       updatedAt: userData.updatedAt
     };
@@ -282,13 +764,12 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /auth/register - User registration (managers only)
+// POST /auth/register - User registration (needs users.manage)
 router.post('/register', validateRegistration, authenticateToken, async (req, res) => {
   try {
-    // Check if user is manager
-    if (req.user.role !== 'manager') {
+    if (!(await userCan(req, 'users.manage'))) {
       return res.status(403).json({
-        error: 'Only managers can register new users',
+        error: 'You do not have permission to register new users',
         code: 'INSUFFICIENT_PERMISSIONS'
       });
     }
@@ -332,12 +813,8 @@ router.post('/register', validateRegistration, authenticateToken, async (req, re
       updatedAt: new Date()
     }).returning();
 
-    // Generate token for new user
-    const accessToken = generateToken({
-      id: newUser[0].id,
-      email: newUser[0].email,
-      role: newUser[0].role
-    });
+    // No session for the new user: registering is done by someone else, who stays signed in.
+    // The new user gets tokens when they first log in.
 
     // Return user data (excluding password)
     const userResponse = {
@@ -352,7 +829,6 @@ router.post('/register', validateRegistration, authenticateToken, async (req, re
 
     res.status(201).json({
       message: 'User registered successfully',
-      access_token: accessToken,
       user: userResponse
     });
 
@@ -417,6 +893,9 @@ router.post('/change-password', authenticateToken, [
       })
       .where(eq(users.id, userId));
 
+    // Sign out every other device that was using the old password
+    await revokeAllSessions(userId, 'password_changed', req.sessionId);
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -1,14 +1,31 @@
 import express from 'express';
 import { body, validationResult, query } from 'express-validator';
 import { db } from '../config/database.js';
-import { clients, users, clientNotes, goals } from '../models/schema.js';
+import { clients, users, clientNotes, goals, opportunities, clientRelationships, clientDuplicateDismissals, clientImportJobs, reminders, reminderSeries } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager, canViewAllData } from '../middleware/roleCheck.js';
+import { requirePermission } from '../middleware/roleCheck.js';
 import { uploadBulk } from '../middleware/upload.js';
-import { eq, and, like, or, desc, asc, count } from 'drizzle-orm';
-import csv from 'csv-parser';
+import { eq, and, like, or, desc, count, isNull, inArray } from 'drizzle-orm';
+import { notifyGoalCompleted, hasReachedTarget, notifyClientsTransferred } from '../services/notificationService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { getPermissions, userCan } from '../services/permissionService.js';
+import { RELATIONSHIP_TYPES, findExistingRelationship, getHousehold } from '../services/householdService.js';
+import { findDuplicateCandidates, toDuplicateSummary, findDuplicatePairs, dismissDuplicatePair, mergeClients } from '../services/clientDuplicateService.js';
+import {
+  IMPORT_STATUSES,
+  CLIENT_IMPORT_FIELDS,
+  suggestMapping,
+  createImportJob,
+  runImportDryRun,
+  commitImportJob,
+  buildErrorCsv
+} from '../services/clientImportService.js';
+import { EXPORT_FORMATS, sendExport } from '../services/exportService.js';
+import { TIMELINE_TYPES, getClientTimeline } from '../services/clientTimelineService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+import { TRANSFER_MODES, MAX_TRANSFER_CLIENTS, planClientTransfer, commitClientTransfer } from '../services/clientTransferService.js';
+import { readSpreadsheetRows } from '../utils/spreadsheet.js';
 import fs from 'fs';
-import path from 'path';
 
 const router = express.Router();
 
@@ -36,6 +53,10 @@ const updateGoalProgressOnClientCreate = async (agentId) => {
         .where(eq(goals.id, goal.id));
       
       console.log(`Updated client_count goal ${goal.id} from ${goal.currentValue} to ${newCurrentValue}`);
+
+      if (hasReachedTarget(goal, goal.currentValue, newCurrentValue)) {
+        await notifyGoalCompleted(goal);
+      }
     }
   } catch (error) {
     console.error('Error updating goal progress on client create:', error);
@@ -49,7 +70,69 @@ const validateClient = [
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name is required'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('phone').optional().isLength({ min: 7, max: 15 }).withMessage('Phone number must be between 7 and 15 characters'),
-  body('status').optional().isIn(['prospect', 'client']).withMessage('Valid status is required')
+  body('status').optional().isIn(['prospect', 'client']).withMessage('Valid status is required'),
+  body('allowDuplicate').optional().isBoolean().withMessage('allowDuplicate must be a boolean')
+];
+
+const validateRelationship = [
+  body('relatedClientId').isInt({ min: 1 }).withMessage('Valid related client ID is required'),
+  body('relationshipType').isIn(RELATIONSHIP_TYPES).withMessage('Relationship type must be spouse, child, beneficiary, employer_of or referred_by'),
+  body('notes').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+];
+
+// Filters shared by the client list and the client export
+const clientListFilters = [
+  query('search').optional().trim(),
+  query('status').optional().isIn(['prospect', 'client']).withMessage('Valid status is required'),
+  query('agent_id').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+];
+
+// Function to build the where conditions for the client list filters (users only ever see clients in their org scope)
+const buildClientFilters = (req, scope) => {
+  const { search, status, agent_id } = req.query;
+  const whereConditions = [];
+
+  const scopeCondition = scopeToOrg(scope, clients.agentId);
+  if (scopeCondition) {
+    whereConditions.push(scopeCondition);
+  }
+  if (agent_id) {
+    whereConditions.push(eq(clients.agentId, parseInt(agent_id)));
+  }
+
+  if (status) {
+    whereConditions.push(eq(clients.status, status));
+  }
+
+  if (search) {
+    whereConditions.push(
+      or(
+        like(clients.firstName, `%${search}%`),
+        like(clients.lastName, `%${search}%`),
+        like(clients.email, `%${search}%`),
+        like(clients.phone, `%${search}%`),
+        like(clients.employer, `%${search}%`)
+      )
+    );
+  }
+
+  return whereConditions;
+};
+
+const CLIENT_EXPORT_COLUMNS = [
+  { header: 'ID', value: client => client.id, type: 'number', width: 8 },
+  { header: 'First Name', value: client => client.firstName, width: 15 },
+  { header: 'Last Name', value: client => client.lastName, width: 15 },
+  { header: 'Email', value: client => client.email, width: 25 },
+  { header: 'Phone', value: client => client.phone, width: 14 },
+  { header: 'Date of Birth', value: client => client.dateOfBirth, type: 'date', width: 12 },
+  { header: 'Employer', value: client => client.employer, width: 20 },
+  { header: 'Status', value: client => client.status, width: 10 },
+  { header: 'Agent', value: client => [client.agentFirstName, client.agentLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Agent Email', value: client => client.agentEmail, width: 25 },
+  { header: 'Notes', value: client => client.notes, width: 30 },
+  { header: 'Created At', value: client => client.createdAt, type: 'datetime', width: 18 },
+  { header: 'Updated At', value: client => client.updatedAt, type: 'datetime', width: 18 }
 ];
 
 const validateClientNote = [
@@ -80,11 +163,7 @@ router.get('/debug', authenticateToken, async (req, res) => {
         total: totalClients[0]?.count || 0,
         userOwned: userClients[0]?.count || 0
       },
-      permissions: {
-        canViewAllClients: userRole === 'manager',
-        canViewOwnClients: userRole === 'agent',
-        canCreateClients: userRole === 'manager' || userRole === 'agent'
-      }
+      permissions: [...(await getPermissions(req))]
     });
   } catch (error) {
     console.error('Client debug endpoint error:', error);
@@ -96,9 +175,7 @@ router.get('/debug', authenticateToken, async (req, res) => {
 router.get('/', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('search').optional().trim(),
-  query('status').optional().isIn(['prospect', 'client']).withMessage('Valid status is required'),
-  query('agent_id').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+  ...clientListFilters
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -111,49 +188,16 @@ router.get('/', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 20, search, status, agent_id } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Build where conditions
-    let whereConditions = [];
-
-    // Role-based filtering
     console.log('🔍 Role-based filtering - User role:', userRole, 'User ID:', userId);
-    if (userRole === 'manager') {
-      // Managers can see all clients
-      console.log('🔍 Manager access - can see all clients');
-      if (agent_id) {
-        whereConditions.push(eq(clients.agentId, parseInt(agent_id)));
-        console.log('🔍 Filtering by specific agent:', agent_id);
-      }
-    } else {
-      // Regular agents can only see their own clients
-      console.log('🔍 Agent access - can only see own clients');
-      whereConditions.push(eq(clients.agentId, userId));
-    }
-    
+    const whereConditions = buildClientFilters(req, await getOrgScope(req));
     console.log('🔍 Where conditions:', whereConditions);
 
-    // Status filter
-    if (status) {
-      whereConditions.push(eq(clients.status, status));
-    }
-
-    // Search filter
-    if (search) {
-      whereConditions.push(
-        or(
-          like(clients.firstName, `%${search}%`),
-          like(clients.lastName, `%${search}%`),
-          like(clients.email, `%${search}%`),
-          like(clients.phone, `%${search}%`),
-          like(clients.employer, `%${search}%`)
-        )
-      );
-    }
-
     // Build query
     let query = db.select({
       id: clients.id,
@@ -178,42 +222,757 @@ router.get('/', authenticateToken, [
     .from(clients)
     .leftJoin(users, eq(clients.agentId, users.id));
 
-    if (whereConditions.length > 0) {
-      query = query.where(and(...whereConditions));
+    if (whereConditions.length > 0) {
+      query = query.where(and(...whereConditions));
+    }
+
+    // Get total count for pagination
+    const countQuery = db.select({ count: count(clients.id) }).from(clients);
+    let finalCountQuery = countQuery;
+    if (whereConditions.length > 0) {
+      finalCountQuery = countQuery.where(and(...whereConditions));
+    }
+    const totalResult = await finalCountQuery;
+    const total = totalResult[0]?.count || 0;
+
+    // Get paginated results
+    console.log('🔍 Executing final query with conditions:', whereConditions);
+    const results = await query
+      .orderBy(desc(clients.createdAt))
+      .limit(parseInt(limit))
+      .offset(offset);
+    
+    console.log('🔍 Query results count:', results.length);
+    console.log('🔍 First few results:', results.slice(0, 3));
+
+    res.json({
+      message: 'Clients retrieved successfully',
+      clients: results,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get clients error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /clients/duplicates - List possible duplicate client pairs (needs clients.merge)
+router.get('/duplicates', authenticateToken, requirePermission('clients.merge'), [
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const pairs = await findDuplicatePairs({ limit: parseInt(req.query.limit) || 100 });
+
+    res.json({
+      message: 'Possible duplicates retrieved successfully',
+      pairs
+    });
+
+  } catch (error) {
+    console.error('Get duplicate clients error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /clients/duplicates/dismiss - Mark a pair as different people so it is no longer suggested (needs clients.merge)
+router.post('/duplicates/dismiss', authenticateToken, requirePermission('clients.merge'), [
+  body('clientId').isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  body('otherClientId').isInt({ min: 1 }).withMessage('Valid other client ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const clientId = parseInt(req.body.clientId);
+    const otherClientId = parseInt(req.body.otherClientId);
+
+    if (clientId === otherClientId) {
+      return res.status(400).json({
+        error: 'A client cannot be compared with itself',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const pair = await db.select({ id: clients.id, agentId: clients.agentId }).from(clients).where(or(eq(clients.id, clientId), eq(clients.id, otherClientId)));
+    if (pair.length < 2) {
+      return res.status(404).json({
+        error: 'Client not found',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    const scope = await getOrgScope(req);
+    if (!pair.every(client => canSeeAgent(scope, client.agentId))) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const dismissal = await dismissDuplicatePair(clientId, otherClientId, req.user.id);
+
+    if (dismissal) {
+      await recordAuditEvent(req, { action: 'dismiss', entityType: 'client', entityId: dismissal.clientId, after: dismissal });
+    }
+
+    res.json({
+      message: 'Pair marked as not duplicates successfully'
+    });
+
+  } catch (error) {
+    console.error('Dismiss duplicate clients error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /clients/merge - Merge a duplicate client into the surviving one (needs clients.merge)
+// Sales, reminders, notes, opportunities and relationships move to the survivor; the duplicate is deleted
+router.post('/merge', authenticateToken, requirePermission('clients.merge'), [
+  body('survivorId').isInt({ min: 1 }).withMessage('Valid surviving client ID is required'),
+  body('duplicateId').isInt({ min: 1 }).withMessage('Valid duplicate client ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const survivorId = parseInt(req.body.survivorId);
+    const duplicateId = parseInt(req.body.duplicateId);
+
+    // Both clients must be in the user's part of the org
+    const scope = await getOrgScope(req);
+    const pair = await db.select({ agentId: clients.agentId }).from(clients).where(or(eq(clients.id, survivorId), eq(clients.id, duplicateId)));
+    if (!pair.every(client => canSeeAgent(scope, client.agentId))) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    let result;
+    try {
+      result = await mergeClients(survivorId, duplicateId);
+    } catch (mergeError) {
+      if (mergeError.code === 'CLIENT_NOT_FOUND') {
+        return res.status(404).json({ error: mergeError.message, code: mergeError.code });
+      }
+      if (mergeError.code === 'INVALID_MERGE') {
+        return res.status(400).json({ error: mergeError.message, code: mergeError.code });
+      }
+      throw mergeError;
+    }
+
+    await recordAuditEvent(req, {
+      action: 'merge',
+      entityType: 'client',
+      before: result.survivor,
+      after: { ...result.client, mergedClientId: duplicateId, moved: result.moved }
+    });
+    await recordAuditEvent(req, { action: 'delete', entityType: 'client', before: result.duplicate });
+
+    res.json({
+      message: 'Clients merged successfully',
+      client: result.client,
+      moved: result.moved
+    });
+
+  } catch (error) {
+    console.error('Merge clients error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Status codes for errors raised by the client transfer service
+const TRANSFER_ERROR_STATUS = {
+  AGENT_NOT_FOUND: 404,
+  CLIENT_NOT_OWNED: 400,
+  NO_CLIENTS: 400,
+  TRANSFER_TOO_LARGE: 400,
+  NO_TARGETS: 400,
+  SAME_AGENT: 400,
+  TARGET_NOT_FOUND: 400
+};
+
+// POST /clients/transfer - Move an agent's book, or some of it, to one or more other agents (needs clients.assign)
+// Open reminders and active repeating reminders go with each client, and with includeRenewals the receiving
+// agent also services the renewals of active policies that have not renewed yet. With dryRun (the default) nothing is written and the plan is returned.
+router.post('/transfer', authenticateToken, requirePermission('clients.assign'), [
+  body('fromAgentId').isInt({ min: 1 }).withMessage('Valid agent ID to transfer from is required'),
+  body('mode').optional().isIn(TRANSFER_MODES).withMessage('Mode must be round_robin or manual'),
+  body('clientIds').optional().isArray({ min: 1, max: MAX_TRANSFER_CLIENTS }).withMessage('Client IDs must be a non-empty list'),
+  body('clientIds.*').isInt({ min: 1 }).withMessage('Valid client IDs are required'),
+  body('toAgentIds').if(body('mode').not().equals('manual'))
+    .isArray({ min: 1 }).withMessage('Choose at least one agent to receive the clients'),
+  body('toAgentIds.*').isInt({ min: 1 }).withMessage('Valid agent IDs are required'),
+  body('assignments').if(body('mode').equals('manual'))
+    .isArray({ min: 1, max: MAX_TRANSFER_CLIENTS }).withMessage('Manual transfers need an assignment for each client'),
+  body('assignments.*.clientId').isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  body('assignments.*.toAgentId').isInt({ min: 1 }).withMessage('Valid agent ID is required'),
+  body('includeRenewals').optional().isBoolean().withMessage('includeRenewals must be a boolean'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const fromAgentId = parseInt(req.body.fromAgentId);
+    const mode = req.body.mode || 'round_robin';
+    const toAgentIds = (req.body.toAgentIds || []).map(Number);
+    const assignments = req.body.assignments || [];
+
+    // Books can only be moved within the part of the org the user can see
+    const scope = await getOrgScope(req);
+    const targetIds = mode === 'manual' ? assignments.map(assignment => Number(assignment.toAgentId)) : toAgentIds;
+    if (![fromAgentId, ...targetIds].every(agentId => canSeeAgent(scope, agentId))) {
+      return res.status(403).json({
+        error: 'Access denied - You can only move clients between agents in your branch',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    let plan;
+    try {
+      plan = await planClientTransfer({
+        fromAgentId,
+        clientIds: req.body.clientIds ? req.body.clientIds.map(Number) : null,
+        mode,
+        toAgentIds,
+        assignments,
+        includeRenewals: req.body.includeRenewals === true || req.body.includeRenewals === 'true'
+      });
+    } catch (transferError) {
+      if (TRANSFER_ERROR_STATUS[transferError.code]) {
+        return res.status(TRANSFER_ERROR_STATUS[transferError.code]).json({ error: transferError.message, code: transferError.code });
+      }
+      throw transferError;
+    }
+
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+    if (dryRun) {
+      return res.json({
+        message: 'Client transfer preview generated successfully',
+        dryRun: true,
+        ...plan
+      });
+    }
+
+    const moved = await commitClientTransfer(plan);
+
+    for (const client of moved.clients) {
+      await recordAuditEvent(req, { action: 'transfer', entityType: 'client', before: { ...client, agentId: fromAgentId }, after: client });
+    }
+    for (const reminder of moved.reminders) {
+      await recordAuditEvent(req, { action: 'reassign', entityType: 'reminder', before: { ...reminder, agentId: fromAgentId }, after: reminder });
+    }
+    for (const series of moved.series) {
+      await recordAuditEvent(req, { action: 'reassign', entityType: 'reminder_series', before: { ...series, agentId: fromAgentId }, after: series });
+    }
+    for (const sale of moved.sales) {
+      await recordAuditEvent(req, {
+        action: 'transfer',
+        entityType: 'sale',
+        before: { ...sale, servicingAgentId: sale.agentId === fromAgentId ? null : fromAgentId },
+        after: sale
+      });
+    }
+
+    const received = new Map();
+    for (const client of moved.clients) {
+      received.set(client.agentId, (received.get(client.agentId) || 0) + 1);
+    }
+    for (const [agentId, clientCount] of received) {
+      await notifyClientsTransferred(agentId, {
+        clientCount,
+        fromAgentName: plan.fromAgent.name,
+        transferredBy: `${req.user.firstName} ${req.user.lastName}`
+      });
+    }
+
+    console.log(`🔀 Client transfer - ${moved.clients.length} client(s), ${moved.reminders.length} reminder(s) and ${moved.sales.length} renewal(s) moved from agent ${fromAgentId}`);
+
+    res.json({
+      message: 'Clients transferred successfully',
+      dryRun: false,
+      ...plan,
+      moved: {
+        clientCount: moved.clients.length,
+        reminderCount: moved.reminders.length,
+        reminderSeriesCount: moved.series.length,
+        renewalCount: moved.sales.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Transfer clients error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Function to pick the agent who will own imported clients: users with clients.assign can name
+// any active user and default to themselves; everyone else always imports for themselves
+const resolveImportAgent = async (req, requestedAgentId) => {
+  if (!requestedAgentId || !(await userCan(req, 'clients.assign'))) {
+    return req.user.id;
+  }
+
+  const agent = await db.select({ id: users.id })
+    .from(users)
+    .where(and(
+      eq(users.id, parseInt(requestedAgentId)),
+      eq(users.isActive, true),
+      isNull(users.deletedAt),
+      scopeToOrg(await getOrgScope(req), users.id)
+    ))
+    .limit(1);
+
+  return agent.length > 0 ? agent[0].id : null;
+};
+
+// Function to load an import job if the user may see it: their own uploads, or with clients.edit_others
+// the uploads of anyone in their part of the org
+const getImportJobForUser = async (jobId, req) => {
+  const job = await db.select().from(clientImportJobs).where(eq(clientImportJobs.id, jobId)).limit(1);
+
+  if (job.length === 0) {
+    return { error: { status: 404, body: { error: 'Import not found', code: 'IMPORT_NOT_FOUND' } } };
+  }
+  if (!canSeeAgent(await getOrgScope(req), job[0].uploadedBy)
+    || (job[0].uploadedBy !== req.user.id && !(await userCan(req, 'clients.edit_others')))) {
+    return { error: { status: 403, body: { error: 'Access denied', code: 'ACCESS_DENIED' } } };
+  }
+
+  return { job: job[0] };
+};
+
+// Function to describe an import job without its raw rows
+const toImportJobSummary = (job) => ({
+  id: job.id,
+  uploadedBy: job.uploadedBy,
+  agentId: job.agentId,
+  fileName: job.fileName,
+  status: job.status,
+  headers: job.headers,
+  mapping: job.mapping,
+  totalRows: job.totalRows,
+  validCount: job.validCount,
+  errorCount: job.errorCount,
+  duplicateCount: job.duplicateCount,
+  importedCount: job.importedCount,
+  failureReason: job.failureReason,
+  createdAt: job.createdAt,
+  validatedAt: job.validatedAt,
+  completedAt: job.completedAt
+});
+
+// Status codes for import errors raised by the import service
+const IMPORT_ERROR_STATUS = {
+  UNSUPPORTED_FILE_TYPE: 400,
+  EMPTY_IMPORT: 400,
+  IMPORT_TOO_LARGE: 400,
+  INVALID_MAPPING: 400,
+  MAPPING_INCOMPLETE: 400,
+  IMPORT_NOT_VALIDATED: 400,
+  IMPORT_HAS_ERRORS: 400,
+  IMPORT_ALREADY_COMPLETED: 409
+};
+
+// POST /clients/imports - Upload a CSV or XLSX client file and get a suggested column mapping
+router.post('/imports', authenticateToken, uploadBulk, [
+  body('agentId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Client file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const agentId = await resolveImportAgent(req, req.body.agentId);
+    if (!agentId) {
+      return res.status(400).json({
+        error: 'Agent not found or inactive',
+        code: 'AGENT_NOT_FOUND'
+      });
+    }
+
+    const rows = await readSpreadsheetRows(filePath, req.file.originalname);
+    const job = await createImportJob({
+      rows,
+      fileName: req.file.originalname,
+      uploadedBy: req.user.id,
+      agentId
+    });
+
+    res.status(201).json({
+      message: 'Client file uploaded successfully',
+      job: toImportJobSummary(job),
+      suggestedMapping: suggestMapping(job.headers),
+      fields: CLIENT_IMPORT_FIELDS,
+      preview: job.rows.slice(0, 5)
+    });
+
+  } catch (error) {
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Upload client import error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
+// GET /clients/imports - List client import jobs (managers see all, agents their own)
+router.get('/imports', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(IMPORT_STATUSES).withMessage('Valid import status is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereConditions = [scopeToOrg(await getOrgScope(req), clientImportJobs.uploadedBy)];
+    if (!(await userCan(req, 'clients.edit_others'))) {
+      whereConditions.push(eq(clientImportJobs.uploadedBy, req.user.id));
+    }
+    if (status) {
+      whereConditions.push(eq(clientImportJobs.status, status));
+    }
+    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+
+    const totalResult = await db.select({ count: count() })
+      .from(clientImportJobs)
+      .where(whereClause);
+    const total = Number(totalResult[0]?.count || 0);
+
+    const jobs = await db.select({
+      id: clientImportJobs.id,
+      fileName: clientImportJobs.fileName,
+      status: clientImportJobs.status,
+      agentId: clientImportJobs.agentId,
+      totalRows: clientImportJobs.totalRows,
+      validCount: clientImportJobs.validCount,
+      errorCount: clientImportJobs.errorCount,
+      duplicateCount: clientImportJobs.duplicateCount,
+      importedCount: clientImportJobs.importedCount,
+      failureReason: clientImportJobs.failureReason,
+      createdAt: clientImportJobs.createdAt,
+      completedAt: clientImportJobs.completedAt,
+      uploadedBy: {
+        id: users.id,
+        firstName: users.firstName,
+        lastName: users.lastName
+      }
+    })
+    .from(clientImportJobs)
+    .leftJoin(users, eq(clientImportJobs.uploadedBy, users.id))
+    .where(whereClause)
+    .orderBy(desc(clientImportJobs.createdAt))
+    .limit(parseInt(limit))
+    .offset(offset);
+
+    res.json({
+      message: 'Client imports retrieved successfully',
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get client imports error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /clients/imports/:id - Get an import job with its row-level report
+router.get('/imports/:id', authenticateToken, async (req, res) => {
+  try {
+    const { job, error } = await getImportJobForUser(parseInt(req.params.id), req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    res.json({
+      message: 'Client import retrieved successfully',
+      job: toImportJobSummary(job),
+      suggestedMapping: suggestMapping(job.headers),
+      fields: CLIENT_IMPORT_FIELDS,
+      preview: job.rows.slice(0, 5),
+      rowResults: job.rowResults || []
+    });
+
+  } catch (error) {
+    console.error('Get client import error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /clients/imports/:id/dry-run - Validate every row with the given column mapping without importing
+router.post('/imports/:id/dry-run', authenticateToken, [
+  body('mapping').isObject().withMessage('Column mapping is required'),
+  body('agentId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { job, error } = await getImportJobForUser(parseInt(req.params.id), req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const agentId = await resolveImportAgent(req, req.body.agentId || job.agentId);
+    if (!agentId) {
+      return res.status(400).json({
+        error: 'Agent not found or inactive',
+        code: 'AGENT_NOT_FOUND'
+      });
+    }
+
+    const validatedJob = await runImportDryRun(job, { mapping: req.body.mapping, agentId });
+
+    res.json({
+      message: 'Dry run completed successfully',
+      job: toImportJobSummary(validatedJob),
+      rowResults: validatedJob.rowResults
+    });
+
+  } catch (error) {
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Client import dry run error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /clients/imports/:id/commit - Import the validated rows in a single transaction
+router.post('/imports/:id/commit', authenticateToken, [
+  body('skipInvalidRows').optional().isBoolean().withMessage('skipInvalidRows must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { job, error } = await getImportJobForUser(parseInt(req.params.id), req);
+    if (error) {
+      return res.status(error.status).json(error.body);
     }
 
-    // Get total count for pagination
-    const countQuery = db.select({ count: count(clients.id) }).from(clients);
-    let finalCountQuery = countQuery;
-    if (whereConditions.length > 0) {
-      finalCountQuery = countQuery.where(and(...whereConditions));
+    const result = await commitImportJob(job, {
+      skipInvalidRows: req.body.skipInvalidRows === true || req.body.skipInvalidRows === 'true'
+    });
+
+    for (const client of result.clients) {
+      await recordAuditEvent(req, { action: 'import', entityType: 'client', entityId: client.id, after: client });
     }
-    const totalResult = await finalCountQuery;
-    const total = totalResult[0]?.count || 0;
 
-    // Get paginated results
-    console.log('🔍 Executing final query with conditions:', whereConditions);
-    const results = await query
-      .orderBy(desc(clients.createdAt))
-      .limit(parseInt(limit))
-      .offset(offset);
-    
-    console.log('🔍 Query results count:', results.length);
-    console.log('🔍 First few results:', results.slice(0, 3));
+    console.log(`📁 Client import ${job.id} - imported ${result.clients.length} client(s) for agent ${job.agentId}`);
 
     res.json({
-      message: 'Clients retrieved successfully',
-      clients: results,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      message: 'Client import completed successfully',
+      job: toImportJobSummary(result.job)
     });
 
   } catch (error) {
-    console.error('Get clients error:', error);
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Commit client import error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /clients/imports/:id/errors.csv - Download the rows that failed validation with their errors
+router.get('/imports/:id/errors.csv', authenticateToken, async (req, res) => {
+  try {
+    const { job, error } = await getImportJobForUser(parseInt(req.params.id), req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=client-import-${job.id}-errors.csv`);
+    res.send(buildErrorCsv(job));
+
+  } catch (error) {
+    console.error('Download client import errors error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /clients/export - Export clients as CSV, XLSX or PDF using the same filters as GET /clients
+router.get('/export', authenticateToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or pdf'),
+  ...clientListFilters
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const whereConditions = buildClientFilters(req, await getOrgScope(req));
+
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'clients',
+      title: 'Clients',
+      filters: { Search: req.query.search, Status: req.query.status, 'Agent ID': req.query.agent_id },
+      columns: CLIENT_EXPORT_COLUMNS,
+      fetchBatch: (offset, limit) => db.select({
+        id: clients.id,
+        firstName: clients.firstName,
+        lastName: clients.lastName,
+        email: clients.email,
+        phone: clients.phone,
+        dateOfBirth: clients.dateOfBirth,
+        employer: clients.employer,
+        status: clients.status,
+        notes: clients.notes,
+        createdAt: clients.createdAt,
+        updatedAt: clients.updatedAt,
+        agentFirstName: users.firstName,
+        agentLastName: users.lastName,
+        agentEmail: users.email
+      })
+        .from(clients)
+        .leftJoin(users, eq(clients.agentId, users.id))
+        .where(and(...whereConditions))
+        .orderBy(desc(clients.createdAt), desc(clients.id))
+        .limit(limit)
+        .offset(offset)
+    });
+
+  } catch (error) {
+    console.error('Export clients error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -225,8 +984,6 @@ router.get('/', authenticateToken, [
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const clientId = parseInt(req.params.id);
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Get client with agent info
     const client = await db.select({
@@ -263,7 +1020,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const clientData = client[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && clientData.agent.id !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), clientData.agent.id)) {
       return res.status(403).json({
         error: 'Access denied to this client',
         code: 'ACCESS_DENIED'
@@ -275,11 +1032,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
       .where(eq(clientNotes.clientId, clientId))
       .orderBy(desc(clientNotes.createdAt));
 
+    // Household members, their relationships and combined policies
+    const household = await getHousehold(clientId);
+
     res.json({
       message: 'Client retrieved successfully',
       client: {
         ...clientData,
-        notes
+        notes,
+        household
       }
     });
 
@@ -321,6 +1082,18 @@ router.post('/', authenticateToken, validateClient, async (req, res) => {
       }
     }
 
+    // Warn about clients that look like the same person unless the user has already seen the warning
+    if (!req.body.allowDuplicate) {
+      const candidates = await findDuplicateCandidates({ firstName, lastName, email, phone, dateOfBirth });
+      if (candidates.length > 0) {
+        return res.status(409).json({
+          error: 'This client may already exist',
+          code: 'POSSIBLE_DUPLICATE',
+          duplicates: candidates.slice(0, 5).map(toDuplicateSummary)
+        });
+      }
+    }
+
     // Create client
     const newClient = await db.insert(clients).values({
       agentId,
@@ -336,6 +1109,8 @@ router.post('/', authenticateToken, validateClient, async (req, res) => {
       updatedAt: new Date()
     }).returning();
 
+    await recordAuditEvent(req, { action: 'create', entityType: 'client', after: newClient[0] });
+
     // Update goal progress after client creation
     await updateGoalProgressOnClientCreate(agentId);
 
@@ -368,7 +1143,6 @@ router.put('/:id', authenticateToken, validateClient, async (req, res) => {
 
     const clientId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { firstName, lastName, email, phone, dateOfBirth, employer, status, notes } = req.body;
 
     // Get client to check permissions
@@ -384,7 +1158,8 @@ router.put('/:id', authenticateToken, validateClient, async (req, res) => {
     const clientData = existingClient[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && clientData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), clientData.agentId)
+      || (!(await userCan(req, 'clients.edit_others')) && clientData.agentId !== userId)) {
       return res.status(403).json({
         error: 'Access denied to this client',
         code: 'ACCESS_DENIED'
@@ -418,6 +1193,8 @@ router.put('/:id', authenticateToken, validateClient, async (req, res) => {
       .where(eq(clients.id, clientId))
       .returning();
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'client', before: clientData, after: updatedClient[0] });
+
     res.json({
       message: 'Client updated successfully',
       client: updatedClient[0]
@@ -433,7 +1210,7 @@ router.put('/:id', authenticateToken, validateClient, async (req, res) => {
 });
 
 // DELETE /clients/:id - Delete client
-router.delete('/:id', authenticateToken, requireManager, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('clients.delete'), async (req, res) => {
   try {
     const clientId = parseInt(req.params.id);
 
@@ -447,12 +1224,36 @@ router.delete('/:id', authenticateToken, requireManager, async (req, res) => {
       });
     }
 
-    // Delete client notes first
+    // Check access permissions
+    if (!canSeeAgent(await getOrgScope(req), existingClient[0].agentId)) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Delete client notes, pipeline opportunities, relationships and duplicate reviews first
     await db.delete(clientNotes).where(eq(clientNotes.clientId, clientId));
+    await db.delete(opportunities).where(eq(opportunities.clientId, clientId));
+    await db.delete(clientRelationships).where(
+      or(eq(clientRelationships.clientId, clientId), eq(clientRelationships.relatedClientId, clientId))
+    );
+    await db.delete(clientDuplicateDismissals).where(
+      or(eq(clientDuplicateDismissals.clientId, clientId), eq(clientDuplicateDismissals.otherClientId, clientId))
+    );
+
+    // Stop the client's repeating reminders; occurrences already created are unlinked from the series first
+    const clientSeries = db.select({ id: reminderSeries.id }).from(reminderSeries).where(eq(reminderSeries.clientId, clientId));
+    await db.update(reminders)
+      .set({ seriesId: null, updatedAt: new Date() })
+      .where(inArray(reminders.seriesId, clientSeries));
+    await db.delete(reminderSeries).where(eq(reminderSeries.clientId, clientId));
 
     // Delete client
     await db.delete(clients).where(eq(clients.id, clientId));
 
+    await recordAuditEvent(req, { action: 'delete', entityType: 'client', before: existingClient[0] });
+
     res.json({
       message: 'Client deleted successfully'
     });
@@ -496,7 +1297,8 @@ router.post('/:id/notes', authenticateToken, validateClientNote, async (req, res
     const clientData = client[0];
 
     // Check access permissions
-    if (req.user.role !== 'manager' && clientData.agentId !== agentId) {
+    if (!canSeeAgent(await getOrgScope(req), clientData.agentId)
+      || (!(await userCan(req, 'clients.edit_others')) && clientData.agentId !== agentId)) {
       return res.status(403).json({
         error: 'Access denied to this client',
         code: 'ACCESS_DENIED'
@@ -514,6 +1316,8 @@ router.post('/:id/notes', authenticateToken, validateClientNote, async (req, res
       updatedAt: new Date()
     }).returning();
 
+    await recordAuditEvent(req, { action: 'create', entityType: 'client_note', after: newNote[0] });
+
     res.status(201).json({
       message: 'Note added successfully',
       note: newNote[0]
@@ -532,7 +1336,6 @@ router.post('/:id/notes', authenticateToken, validateClientNote, async (req, res
 router.get('/:id/notes', authenticateToken, async (req, res) => {
   try {
     const clientId = parseInt(req.params.id);
-    const agentId = req.user.id;
 
     // Check if client exists and user has access
     const client = await db.select().from(clients).where(eq(clients.id, clientId)).limit(1);
@@ -547,7 +1350,7 @@ router.get('/:id/notes', authenticateToken, async (req, res) => {
     const clientData = client[0];
 
     // Check access permissions
-    if (req.user.role !== 'manager' && clientData.agentId !== agentId) {
+    if (!canSeeAgent(await getOrgScope(req), clientData.agentId)) {
       return res.status(403).json({
         error: 'Access denied to this client',
         code: 'ACCESS_DENIED'
@@ -587,268 +1390,194 @@ router.get('/:id/notes', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /clients/bulk-import - Bulk import clients from CSV
-router.post('/bulk-import', authenticateToken, uploadBulk, async (req, res) => {
+// GET /clients/:id/timeline - Everything that happened with a client, newest first
+// types narrows the feed to a comma-separated list of TIMELINE_TYPES
+router.get('/:id/timeline', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('types').optional().custom(value => {
+    const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+    if (types.length === 0 || types.some(type => !TIMELINE_TYPES.includes(type))) {
+      throw new Error(`Types must be a comma-separated list of ${TIMELINE_TYPES.join(', ')}`);
+    }
+    return true;
+  })
+], async (req, res) => {
   try {
-    console.log('📁 CSV Import - Request received:', {
-      hasFile: !!req.file,
-      fileInfo: req.file ? {
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        path: req.file.path
-      } : null,
-      user: req.user
-    });
-
-    if (!req.file) {
-      console.log('❌ CSV Import - No file provided');
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'CSV file is required',
-        code: 'FILE_REQUIRED'
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
       });
     }
 
-    const filePath = req.file.path;
-    const results = [];
-    const errors = [];
+    const clientId = parseInt(req.params.id);
+    const [clientData] = await db.select().from(clients).where(eq(clients.id, clientId)).limit(1);
 
-    console.log('📁 CSV Import - Starting file parsing:', filePath);
-    
-    // Parse CSV file
-    fs.createReadStream(filePath)
-      .pipe(csv({
-        headers: ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'employer', 'status', 'notes'],
-        skipEmptyLines: true
-      }))
-      .on('data', (data) => {
-        console.log('📁 CSV Import - Parsing row:', data);
-        
-        // Skip empty rows
-        if (!data || Object.keys(data).length === 0) {
-          console.log('📁 CSV Import - Skipping empty row');
-          return;
-        }
-        
-        // Skip header row if it's being processed as data
-        if (data.firstName === 'firstName' && data.lastName === 'lastName') {
-          console.log('📁 CSV Import - Skipping header row');
-          return;
-        }
-        
-        // Validate required fields
-        if (!data.firstName || !data.lastName) {
-          errors.push({
-            row: results.length + 1,
-            error: 'First name and last name are required'
-          });
-          return;
-        }
-
-        // Validate email format if provided
-        if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email.trim())) {
-          errors.push({
-            row: results.length + 1,
-            error: 'Invalid email format'
-          });
-          return;
-        }
-
-        // Validate status if provided
-        if (data.status && !['client', 'prospect'].includes(data.status.toLowerCase())) {
-          errors.push({
-            row: results.length + 1,
-            error: 'Status must be either "client" or "prospect"'
-          });
-          return;
-        }
-
-        // Parse date of birth if provided
-        let dateOfBirth = null;
-        if (data.dateOfBirth || data.date_of_birth) {
-          const dateStr = data.dateOfBirth || data.date_of_birth;
-          const parsedDate = new Date(dateStr);
-          if (!isNaN(parsedDate.getTime())) {
-            dateOfBirth = parsedDate.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-          }
-        }
-
-        const processedRow = {
-          firstName: data.firstName.trim(),
-          lastName: data.lastName.trim(),
-          email: data.email ? data.email.trim() : null,
-          phone: data.phone ? data.phone.trim() : null,
-          dateOfBirth: dateOfBirth,
-          employer: data.employer ? data.employer.trim() : null,
-          status: data.status && data.status.toLowerCase() === 'client' ? 'client' : 'prospect',
-          notes: data.notes ? data.notes.trim() : null
-        };
-        
-        console.log('📁 CSV Import - Processed row:', processedRow);
-        results.push(processedRow);
-      })
-      .on('end', async () => {
-        console.log('📁 CSV Import - End event triggered');
-        console.log('📁 CSV Import - Total errors:', errors.length);
-        console.log('📁 CSV Import - Total results:', results.length);
-        
-        try {
-          // Clean up file
-          console.log('📁 CSV Import - Cleaning up file:', filePath);
-          fs.unlinkSync(filePath);
-          console.log('📁 CSV Import - File cleaned up successfully');
-
-          if (errors.length > 0) {
-            return res.status(400).json({
-              error: 'CSV validation failed',
-              code: 'CSV_VALIDATION_ERROR',
-              errors,
-              validRows: results.length
-            });
-          }
-
-          console.log('📁 CSV Import - Total results to insert:', results.length);
-          console.log('📁 CSV Import - Results:', results);
-
-          // Insert clients in batches
-          const batchSize = 100;
-          const insertedClients = [];
-
-          for (let i = 0; i < results.length; i += batchSize) {
-            const batch = results.slice(i, i + batchSize);
-            const batchData = batch.map(client => ({
-              ...client,
-              agentId: req.user.id,
-              createdAt: new Date(),
-              updatedAt: new Date()
-            }));
-
-            console.log('📁 CSV Import - Batch data to insert:', batchData);
-            
-            try {
-              const inserted = await db.insert(clients).values(batchData).returning();
-              console.log('📁 CSV Import - Successfully inserted batch:', inserted);
-              insertedClients.push(...inserted);
-            } catch (insertError) {
-              console.error('📁 CSV Import - Database insert error:', insertError);
-              throw insertError;
-            }
-          }
-
-          res.json({
-            message: 'Bulk import completed successfully',
-            imported_count: insertedClients.length,
-            totalRows: results.length
-          });
-
-        } catch (error) {
-          console.error('Bulk import error:', error);
-          res.status(500).json({
-            error: 'Bulk import failed',
-            code: 'BULK_IMPORT_ERROR'
-          });
-        }
-      })
-      .on('error', (error) => {
-        console.error('📁 CSV Import - Parsing error:', error);
-        
-        // Clean up file
-        try {
-          fs.unlinkSync(filePath);
-          console.log('📁 CSV Import - File cleaned up after error');
-        } catch (unlinkError) {
-          console.error('📁 CSV Import - Error deleting file:', unlinkError);
-        }
-
-        res.status(400).json({
-          error: 'Invalid CSV file',
-          code: 'INVALID_CSV',
-          details: error.message
-        });
+    if (!clientData) {
+      return res.status(404).json({
+        error: 'Client not found',
+        code: 'CLIENT_NOT_FOUND'
+      });
+    }
+
+    if (!canSeeAgent(await getOrgScope(req), clientData.agentId)) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
       });
+    }
+
+    const types = req.query.types
+      ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+      : TIMELINE_TYPES;
+    const timeline = await getClientTimeline(clientId, {
+      types,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 25
+    });
+
+    res.json({
+      message: 'Timeline retrieved successfully',
+      events: timeline.events,
+      types,
+      pagination: timeline.pagination
+    });
 
   } catch (error) {
-    console.error('📁 CSV Import - Main error:', error);
-    console.error('📁 CSV Import - Error stack:', error.stack);
+    console.error('Get client timeline error:', error);
     res.status(500).json({
       error: 'Internal server error',
-      code: 'INTERNAL_ERROR',
-      details: error.message
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
-// GET /clients/export - Export clients to CSV
-router.get('/export', authenticateToken, async (req, res) => {
+// POST /clients/:id/relationships - Link a client to another client
+// The relationship reads "client is the <relationshipType> of related client"
+router.post('/:id/relationships', authenticateToken, validateRelationship, async (req, res) => {
   try {
-    const { status, agent_id } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
 
-    // Build where conditions
-    let whereConditions = [];
+    const clientId = parseInt(req.params.id);
+    const relatedClientId = parseInt(req.body.relatedClientId);
+    const { relationshipType, notes } = req.body;
 
-    // Role-based filtering
-    if (userRole === 'manager') {
-      if (agent_id) {
-        whereConditions.push(eq(clients.agentId, parseInt(agent_id)));
-      }
-    } else {
-      whereConditions.push(eq(clients.agentId, userId));
+    if (clientId === relatedClientId) {
+      return res.status(400).json({
+        error: 'A client cannot be related to themselves',
+        code: 'INVALID_RELATIONSHIP'
+      });
     }
 
-    // Status filter
-    if (status) {
-      whereConditions.push(eq(clients.status, status));
+    const linkedClients = await db.select().from(clients).where(or(eq(clients.id, clientId), eq(clients.id, relatedClientId)));
+    const client = linkedClients.find(c => c.id === clientId);
+    const relatedClient = linkedClients.find(c => c.id === relatedClientId);
+
+    if (!client || !relatedClient) {
+      return res.status(404).json({
+        error: 'Client not found',
+        code: 'CLIENT_NOT_FOUND'
+      });
     }
 
-    // Get clients
-    let query = db.select({
-      firstName: clients.firstName,
-      lastName: clients.lastName,
-      email: clients.email,
-      phone: clients.phone,
-      employer: clients.employer,
-      status: clients.status,
-      createdAt: clients.createdAt,
-      agentName: users.firstName
-    })
-    .from(clients)
-    .leftJoin(users, eq(clients.agentId, users.id));
+    // Agents may only link clients they own on both sides, others only clients in their part of the org
+    const scope = await getOrgScope(req);
+    if (!canSeeAgent(scope, client.agentId) || !canSeeAgent(scope, relatedClient.agentId)
+      || (!(await userCan(req, 'clients.edit_others')) && (client.agentId !== req.user.id || relatedClient.agentId !== req.user.id))) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
+      });
+    }
 
-    if (whereConditions.length > 0) {
-      query = query.where(and(...whereConditions));
+    const existingRelationship = await findExistingRelationship(clientId, relatedClientId, relationshipType);
+    if (existingRelationship) {
+      return res.status(409).json({
+        error: 'These clients are already linked this way',
+        code: 'RELATIONSHIP_EXISTS'
+      });
     }
 
-    const results = await query.orderBy(asc(clients.lastName));
+    const newRelationship = await db.insert(clientRelationships).values({
+      clientId,
+      relatedClientId,
+      relationshipType,
+      notes: notes || null,
+      createdBy: req.user.id,
+      createdAt: new Date()
+    }).returning();
 
-    // Set response headers for CSV download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=clients-${Date.now()}.csv`);
-
-    // Write CSV header
-    res.write('First Name,Last Name,Email,Phone,Employer,Status,Created At,Agent\n');
-
-    // Write CSV data
-    results.forEach(client => {
-      const row = [
-        client.firstName,
-        client.lastName,
-        client.email || '',
-        client.phone || '',
-        client.employer || '',
-        client.status,
-        client.createdAt.toISOString().split('T')[0],
-        client.agentName || ''
-      ].map(field => `"${field}"`).join(',');
-      
-      res.write(row + '\n');
+    await recordAuditEvent(req, { action: 'create', entityType: 'client_relationship', after: newRelationship[0] });
+
+    res.status(201).json({
+      message: 'Relationship created successfully',
+      relationship: newRelationship[0],
+      household: await getHousehold(clientId)
+    });
+
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
     });
+  }
+});
+
+// DELETE /clients/:id/relationships/:relationshipId - Unlink two clients
+router.delete('/:id/relationships/:relationshipId', authenticateToken, async (req, res) => {
+  try {
+    const clientId = parseInt(req.params.id);
+    const relationshipId = parseInt(req.params.relationshipId);
+
+    const existingRelationship = await db.select()
+      .from(clientRelationships)
+      .where(and(
+        eq(clientRelationships.id, relationshipId),
+        or(eq(clientRelationships.clientId, clientId), eq(clientRelationships.relatedClientId, clientId))
+      ))
+      .limit(1);
+
+    if (existingRelationship.length === 0) {
+      return res.status(404).json({
+        error: 'Relationship not found',
+        code: 'RELATIONSHIP_NOT_FOUND'
+      });
+    }
+
+    const client = await db.select().from(clients).where(eq(clients.id, clientId)).limit(1);
+
+    if (!canSeeAgent(await getOrgScope(req), client[0]?.agentId)
+      || (!(await userCan(req, 'clients.edit_others')) && client[0]?.agentId !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied to this client',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    await db.delete(clientRelationships).where(eq(clientRelationships.id, relationshipId));
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'client_relationship', before: existingRelationship[0] });
 
-    res.end();
+    res.json({
+      message: 'Relationship removed successfully',
+      household: await getHousehold(clientId)
+    });
 
   } catch (error) {
-    console.error('Export clients error:', error);
+    console.error('Delete relationship error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -856,4 +1585,99 @@ router.get('/export', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /clients/bulk-import - Upload, validate and import a client file in one step
+// Columns are matched by header name; use /clients/imports to review the mapping and a dry run first
+router.post('/bulk-import', authenticateToken, uploadBulk, [
+  body('agentId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'CSV file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const agentId = await resolveImportAgent(req, req.body.agentId);
+    if (!agentId) {
+      return res.status(400).json({
+        error: 'Agent not found or inactive',
+        code: 'AGENT_NOT_FOUND'
+      });
+    }
+
+    const rows = await readSpreadsheetRows(filePath, req.file.originalname);
+    const job = await createImportJob({
+      rows,
+      fileName: req.file.originalname,
+      uploadedBy: req.user.id,
+      agentId
+    });
+    const validatedJob = await runImportDryRun(job, { mapping: suggestMapping(job.headers), agentId });
+
+    if (validatedJob.errorCount > 0) {
+      return res.status(400).json({
+        error: 'CSV validation failed',
+        code: 'CSV_VALIDATION_ERROR',
+        jobId: validatedJob.id,
+        errors: validatedJob.rowResults
+          .filter(result => result.status === 'error')
+          .map(result => ({ row: result.row, error: result.errors.join('; ') })),
+        validRows: validatedJob.validCount
+      });
+    }
+
+    const result = await commitImportJob(validatedJob);
+
+    for (const client of result.clients) {
+      await recordAuditEvent(req, { action: 'import', entityType: 'client', entityId: client.id, after: client });
+    }
+
+    res.json({
+      message: 'Bulk import completed successfully',
+      jobId: result.job.id,
+      imported_count: result.clients.length,
+      totalRows: validatedJob.totalRows,
+      // Rows that look like existing clients or earlier rows in the same file; they are still imported
+      duplicateWarnings: validatedJob.rowResults
+        .filter(row => row.duplicates.length > 0 || row.duplicateOfRow)
+        .map(row => ({
+          row: row.row,
+          name: `${row.client.firstName} ${row.client.lastName}`,
+          matches: row.duplicates,
+          duplicateOfRow: row.duplicateOfRow
+        }))
+    });
+
+  } catch (error) {
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Bulk import error:', error);
+    res.status(500).json({
+      error: 'Bulk import failed',
+      code: 'BULK_IMPORT_ERROR'
+    });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
 export default router;
@@ -0,0 +1,479 @@
+import express from 'express';
+import fs from 'fs';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../config/database.js';
+import { commissionStatements, commissionStatementLines, sales, clients, users } from '../models/schema.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { uploadBulk } from '../middleware/upload.js';
+import { eq, and, desc, asc, gte, lte, ilike, count } from 'drizzle-orm';
+import { recordAuditEvent } from '../services/auditService.js';
+import { userCan } from '../services/permissionService.js';
+import { readSpreadsheetRows } from '../utils/spreadsheet.js';
+import {
+  MATCH_STATUSES,
+  parseStatementRows,
+  reconcileLine,
+  refreshStatementTotals,
+  importStatement,
+  getAgentStatement,
+  getPayablesSummary
+} from '../services/commissionStatementService.js';
+
+const router = express.Router();
+
+const validatePeriod = [
+  query('periodStart').isISO8601().withMessage('Valid period start date is required'),
+  query('periodEnd').isISO8601().withMessage('Valid period end date is required')
+];
+
+// GET /commissions/statements - List imported carrier statements (needs commissions.reconcile)
+router.get('/statements', authenticateToken, requirePermission('commissions.reconcile'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('carrierName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Carrier name must be 1-100 characters'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, carrierName, startDate, endDate } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Build where conditions
+    let whereConditions = [];
+
+    if (carrierName) {
+      whereConditions.push(ilike(commissionStatements.carrierName, `%${carrierName}%`));
+    }
+    if (startDate) {
+      whereConditions.push(gte(commissionStatements.statementDate, startDate));
+    }
+    if (endDate) {
+      whereConditions.push(lte(commissionStatements.statementDate, endDate));
+    }
+
+    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+
+    const totalResult = await db.select({ count: count() })
+      .from(commissionStatements)
+      .where(whereClause);
+    const total = Number(totalResult[0]?.count || 0);
+
+    const statements = await db.select({
+      id: commissionStatements.id,
+      carrierName: commissionStatements.carrierName,
+      statementDate: commissionStatements.statementDate,
+      periodStart: commissionStatements.periodStart,
+      periodEnd: commissionStatements.periodEnd,
+      fileName: commissionStatements.fileName,
+      totalAmount: commissionStatements.totalAmount,
+      lineCount: commissionStatements.lineCount,
+      matchedCount: commissionStatements.matchedCount,
+      discrepancyCount: commissionStatements.discrepancyCount,
+      unmatchedCount: commissionStatements.unmatchedCount,
+      chargebackCount: commissionStatements.chargebackCount,
+      createdAt: commissionStatements.createdAt,
+      importedBy: {
+        id: users.id,
+        firstName: users.firstName,
+        lastName: users.lastName
+      }
+    })
+    .from(commissionStatements)
+    .leftJoin(users, eq(commissionStatements.importedBy, users.id))
+    .where(whereClause)
+    .orderBy(desc(commissionStatements.statementDate), desc(commissionStatements.id))
+    .limit(parseInt(limit))
+    .offset(offset);
+
+    res.json({
+      message: 'Commission statements retrieved successfully',
+      statements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get commission statements error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /commissions/statements/import - Import a carrier statement (CSV/XLSX) and reconcile it against sales (needs commissions.reconcile)
+router.post('/statements/import', authenticateToken, requirePermission('commissions.reconcile'), uploadBulk, [
+  body('carrierName').trim().isLength({ min: 1, max: 100 }).withMessage('Carrier name is required'),
+  body('statementDate').isISO8601().withMessage('Valid statement date is required'),
+  body('periodStart').optional({ values: 'falsy' }).isISO8601().withMessage('Valid period start date is required'),
+  body('periodEnd').optional({ values: 'falsy' }).isISO8601().withMessage('Valid period end date is required')
+], async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Statement file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const { carrierName, statementDate, periodStart, periodEnd } = req.body;
+
+    const rows = await readSpreadsheetRows(filePath, req.file.originalname);
+    const { lines, errors: rowErrors } = parseStatementRows(rows, { statementDate: statementDate.split('T')[0] });
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Statement validation failed',
+        code: 'STATEMENT_VALIDATION_ERROR',
+        errors: rowErrors,
+        validRows: lines.length
+      });
+    }
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        error: 'No commission lines found in the statement. Check it has policy number and commission columns.',
+        code: 'EMPTY_STATEMENT'
+      });
+    }
+
+    const statement = await importStatement({
+      lines,
+      carrierName,
+      statementDate,
+      periodStart,
+      periodEnd,
+      fileName: req.file.originalname,
+      importedBy: req.user.id
+    });
+
+    console.log(`💵 Imported ${carrierName} commission statement ${statement.id} with ${statement.lineCount} line(s)`);
+
+    await recordAuditEvent(req, { action: 'import', entityType: 'commission_statement', after: statement });
+
+    res.status(201).json({
+      message: 'Commission statement imported successfully',
+      statement
+    });
+
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Import commission statement error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
+// GET /commissions/statements/:id - Get a statement with its reconciled lines (needs commissions.reconcile)
+router.get('/statements/:id', authenticateToken, requirePermission('commissions.reconcile'), [
+  query('matchStatus').optional().isIn(MATCH_STATUSES).withMessage('Valid match status is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const statementId = parseInt(req.params.id);
+    const { matchStatus } = req.query;
+
+    const statement = await db.select().from(commissionStatements).where(eq(commissionStatements.id, statementId)).limit(1);
+
+    if (!statement || statement.length === 0) {
+      return res.status(404).json({
+        error: 'Commission statement not found',
+        code: 'COMMISSION_STATEMENT_NOT_FOUND'
+      });
+    }
+
+    let whereConditions = [eq(commissionStatementLines.statementId, statementId)];
+    if (matchStatus) {
+      whereConditions.push(eq(commissionStatementLines.matchStatus, matchStatus));
+    }
+
+    const lines = await db.select({
+      id: commissionStatementLines.id,
+      rowNumber: commissionStatementLines.rowNumber,
+      policyNumber: commissionStatementLines.policyNumber,
+      insuredName: commissionStatementLines.insuredName,
+      paidAmount: commissionStatementLines.paidAmount,
+      premiumAmount: commissionStatementLines.premiumAmount,
+      paymentDate: commissionStatementLines.paymentDate,
+      saleId: commissionStatementLines.saleId,
+      expectedAmount: commissionStatementLines.expectedAmount,
+      varianceAmount: commissionStatementLines.varianceAmount,
+      matchStatus: commissionStatementLines.matchStatus,
+      isResolved: commissionStatementLines.isResolved,
+      resolutionNote: commissionStatementLines.resolutionNote,
+      resolvedAt: commissionStatementLines.resolvedAt,
+      agent: {
+        id: users.id,
+        firstName: users.firstName,
+        lastName: users.lastName
+      },
+      client: {
+        id: clients.id,
+        firstName: clients.firstName,
+        lastName: clients.lastName
+      }
+    })
+    .from(commissionStatementLines)
+    .leftJoin(users, eq(commissionStatementLines.agentId, users.id))
+    .leftJoin(sales, eq(commissionStatementLines.saleId, sales.id))
+    .leftJoin(clients, eq(sales.clientId, clients.id))
+    .where(and(...whereConditions))
+    .orderBy(asc(commissionStatementLines.rowNumber), asc(commissionStatementLines.id));
+
+    res.json({
+      message: 'Commission statement retrieved successfully',
+      statement: {
+        ...statement[0],
+        lines
+      }
+    });
+
+  } catch (error) {
+    console.error('Get commission statement error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /commissions/statements/:id/lines/:lineId - Match a line to a sale by hand or resolve it (needs commissions.reconcile)
+router.put('/statements/:id/lines/:lineId', authenticateToken, requirePermission('commissions.reconcile'), [
+  body('saleId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid sale ID is required'),
+  body('isResolved').optional().isBoolean().withMessage('isResolved must be true or false'),
+  body('resolutionNote').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Resolution note must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const statementId = parseInt(req.params.id);
+    const lineId = parseInt(req.params.lineId);
+    const { saleId, isResolved, resolutionNote } = req.body;
+
+    const existingLine = await db.select()
+      .from(commissionStatementLines)
+      .where(and(
+        eq(commissionStatementLines.id, lineId),
+        eq(commissionStatementLines.statementId, statementId)
+      ))
+      .limit(1);
+
+    if (!existingLine || existingLine.length === 0) {
+      return res.status(404).json({
+        error: 'Statement line not found',
+        code: 'STATEMENT_LINE_NOT_FOUND'
+      });
+    }
+
+    const line = existingLine[0];
+    const updates = { updatedAt: new Date() };
+
+    // Re-point the line at another sale (or clear the match with null)
+    if (saleId !== undefined) {
+      let sale = null;
+      if (saleId !== null) {
+        const saleResult = await db.select().from(sales).where(eq(sales.id, parseInt(saleId))).limit(1);
+        if (!saleResult || saleResult.length === 0) {
+          return res.status(404).json({
+            error: 'Sale not found',
+            code: 'SALE_NOT_FOUND'
+          });
+        }
+        sale = saleResult[0];
+      }
+      Object.assign(updates, reconcileLine(line, sale));
+    }
+
+    if (isResolved !== undefined) {
+      const resolved = isResolved === true || isResolved === 'true';
+      updates.isResolved = resolved;
+      updates.resolvedBy = resolved ? req.user.id : null;
+      updates.resolvedAt = resolved ? new Date() : null;
+    }
+    if (resolutionNote !== undefined) {
+      updates.resolutionNote = resolutionNote;
+    }
+
+    const [updatedLine] = await db.update(commissionStatementLines)
+      .set(updates)
+      .where(eq(commissionStatementLines.id, lineId))
+      .returning();
+
+    const statement = await refreshStatementTotals(statementId);
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'commission_statement_line', before: line, after: updatedLine });
+
+    res.json({
+      message: 'Statement line updated successfully',
+      line: updatedLine,
+      statement
+    });
+
+  } catch (error) {
+    console.error('Update statement line error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /commissions/statements/:id - Delete an imported statement, e.g. to re-import a corrected file (needs commissions.reconcile)
+router.delete('/statements/:id', authenticateToken, requirePermission('commissions.reconcile'), async (req, res) => {
+  try {
+    const statementId = parseInt(req.params.id);
+
+    const statement = await db.select().from(commissionStatements).where(eq(commissionStatements.id, statementId)).limit(1);
+
+    if (!statement || statement.length === 0) {
+      return res.status(404).json({
+        error: 'Commission statement not found',
+        code: 'COMMISSION_STATEMENT_NOT_FOUND'
+      });
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.delete(commissionStatementLines).where(eq(commissionStatementLines.statementId, statementId));
+      await tx.delete(commissionStatements).where(eq(commissionStatements.id, statementId));
+    });
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'commission_statement', before: statement[0] });
+
+    res.json({
+      message: 'Commission statement deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete commission statement error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /commissions/payables - Net commission payable per agent for a pay period (needs commissions.reconcile)
+router.get('/payables', authenticateToken, requirePermission('commissions.reconcile'), validatePeriod, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { periodStart, periodEnd } = req.query;
+    const payables = await getPayablesSummary({ periodStart, periodEnd });
+
+    res.json({
+      message: 'Commission payables retrieved successfully',
+      periodStart,
+      periodEnd,
+      payables
+    });
+
+  } catch (error) {
+    console.error('Get commission payables error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /commissions/agent-statement - Payable statement for one agent and pay period (agents see their own)
+router.get('/agent-statement', authenticateToken, [
+  ...validatePeriod,
+  query('agentId').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { periodStart, periodEnd, agentId } = req.query;
+
+    // Without commissions.reconcile users only see their own statement, regardless of query params
+    const statementAgentId = agentId && (await userCan(req, 'commissions.reconcile')) ? parseInt(agentId) : req.user.id;
+
+    const statement = await getAgentStatement({ agentId: statementAgentId, periodStart, periodEnd });
+
+    res.json({
+      message: 'Commission statement retrieved successfully',
+      statement
+    });
+
+  } catch (error) {
+    console.error('Get agent commission statement error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,39 @@
 import express from 'express';
-import { body, validationResult, query } from 'express-validator';
+import { body, validationResult, query, param } from 'express-validator';
 import { db } from '../config/database.js';
 import { content, users } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager } from '../middleware/roleCheck.js';
-import { eq, and, like, desc, asc, or, gte, lte } from 'drizzle-orm';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, like, desc, asc, or, gte, lte, inArray } from 'drizzle-orm';
 import path from 'path';
 import fs from 'fs';
 import { contentUpload } from '../config/multer.js';
+import { notifyContentPublished } from '../services/notificationService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { userCan } from '../services/permissionService.js';
+import {
+  getCategories,
+  getCategoryById,
+  getCategorySubtreeIds,
+  buildCategoryTree,
+  countVisibleContent,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+} from '../services/contentCategoryService.js';
 
 const router = express.Router();
 
+const CATEGORY_ERROR_STATUS = {
+  PARENT_NOT_FOUND: 400,
+  CATEGORY_CYCLE: 400,
+  CATEGORY_EXISTS: 409,
+  ORDER_MISMATCH: 400,
+  CATEGORY_HAS_CHILDREN: 409,
+  CATEGORY_IN_USE: 409
+};
+
 // Validation middleware
 const validateContent = [
   body('title').isLength({ min: 1, max: 255 }).withMessage('Title is required (1-255 characters)'),
@@ -19,6 +42,9 @@ const validateContent = [
   body('content_type').optional().isIn(['knowledge_base', 'policy_update', 'event', 'announcement', 'training']).withMessage('Valid content type is required'),
   body('contentText').optional().isLength({ max: 10000 }).withMessage('Content text must be less than 10000 characters'),
   body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  // Support both field name formats; an empty value means no category
+  body('categoryId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid category ID is required'),
+  body('category_id').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid category ID is required'),
   // Support both field name formats and handle string boolean values
   body('isPublic').optional().custom((value) => {
     if (value === undefined || value === null) return true;
@@ -54,6 +80,236 @@ const validateContent = [
   }).withMessage('isPublished must be a boolean or valid string representation')
 ];
 
+const validateCategory = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (1-100 characters)'),
+  body('description').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid parent category ID is required')
+];
+
+// GET /categories - Get the category tree, with how many documents the user can see in each
+router.get('/categories', authenticateToken, [
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const categoryList = await getCategories({ includeInactive: req.query.includeInactive === 'true' });
+    const contentCounts = await countVisibleContent(req.user.id);
+
+    res.json({
+      message: 'Categories retrieved successfully',
+      categories: buildCategoryTree(categoryList, contentCounts)
+    });
+
+  } catch (error) {
+    console.error('Get content categories error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /categories - Create a category, at the end of its parent's list (needs content.manage)
+router.post('/categories', authenticateToken, requirePermission('content.manage'), validateCategory, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, parentId } = req.body;
+
+    let category;
+    try {
+      category = await createCategory({ name, description, parentId: parentId ? parseInt(parentId) : null });
+    } catch (categoryError) {
+      if (CATEGORY_ERROR_STATUS[categoryError.code]) {
+        return res.status(CATEGORY_ERROR_STATUS[categoryError.code]).json({ error: categoryError.message, code: categoryError.code });
+      }
+      throw categoryError;
+    }
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'content_category', after: category });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+
+  } catch (error) {
+    console.error('Create content category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /categories/reorder - Set the order of the categories under one parent (needs content.manage)
+router.post('/categories/reorder', authenticateToken, requirePermission('content.manage'), [
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid parent category ID is required'),
+  body('categoryIds').isArray({ min: 1 }).withMessage('Category IDs must be a non-empty list'),
+  body('categoryIds.*').isInt({ min: 1 }).withMessage('Valid category IDs are required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const parentId = req.body.parentId ? parseInt(req.body.parentId) : null;
+
+    let categories;
+    try {
+      categories = await reorderCategories(parentId, req.body.categoryIds.map(Number));
+    } catch (categoryError) {
+      if (CATEGORY_ERROR_STATUS[categoryError.code]) {
+        return res.status(CATEGORY_ERROR_STATUS[categoryError.code]).json({ error: categoryError.message, code: categoryError.code });
+      }
+      throw categoryError;
+    }
+
+    res.json({
+      message: 'Categories reordered successfully',
+      categories
+    });
+
+  } catch (error) {
+    console.error('Reorder content categories error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /categories/:id - Rename, move or deactivate a category (needs content.manage)
+router.put('/categories/:id', authenticateToken, requirePermission('content.manage'), [
+  param('id').isInt({ min: 1 }).withMessage('Valid category ID is required'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('description').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid parent category ID is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const category = await getCategoryById(parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    const { name, description, parentId, isActive } = req.body;
+
+    let updated;
+    try {
+      updated = await updateCategory(category, {
+        name,
+        description,
+        // null moves the category to the top level
+        parentId: parentId === undefined ? undefined : parentId ? parseInt(parentId) : null,
+        isActive
+      });
+    } catch (categoryError) {
+      if (CATEGORY_ERROR_STATUS[categoryError.code]) {
+        return res.status(CATEGORY_ERROR_STATUS[categoryError.code]).json({ error: categoryError.message, code: categoryError.code });
+      }
+      throw categoryError;
+    }
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'content_category', before: category, after: updated });
+
+    res.json({
+      message: 'Category updated successfully',
+      category: updated
+    });
+
+  } catch (error) {
+    console.error('Update content category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /categories/:id - Delete a category with no subcategories or documents (needs content.manage)
+router.delete('/categories/:id', authenticateToken, requirePermission('content.manage'), [
+  param('id').isInt({ min: 1 }).withMessage('Valid category ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const category = await getCategoryById(parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
+
+    try {
+      await deleteCategory(category);
+    } catch (categoryError) {
+      if (CATEGORY_ERROR_STATUS[categoryError.code]) {
+        return res.status(CATEGORY_ERROR_STATUS[categoryError.code]).json({ error: categoryError.message, code: categoryError.code });
+      }
+      throw categoryError;
+    }
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'content_category', before: category });
+
+    res.json({
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete content category error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /content - Get content (filtered by user role)
 router.get('/content', authenticateToken, [
   // Add debugging for received query parameters
@@ -81,7 +337,9 @@ router.get('/content', authenticateToken, [
   query('search').optional().custom((value) => {
     if (value === '' || value === undefined || value === null) return true;
     return value.length >= 1;
-  }).withMessage('Search term is required if provided')
+  }).withMessage('Search term is required if provided'),
+  query('category_id').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid category ID is required'),
+  query('include_subcategories').optional().isBoolean().withMessage('include_subcategories must be a boolean')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -94,7 +352,7 @@ router.get('/content', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 20, type, visibility, author_id, search } = req.query;
+    const { page = 1, limit = 20, type, visibility, author_id, search, category_id, include_subcategories } = req.query;
     const offset = (page - 1) * limit;
     const userId = req.user.id;
     const userRole = req.user.role;
@@ -140,6 +398,14 @@ router.get('/content', authenticateToken, [
       }
     }
 
+    // Category filter, covering every subcategory unless include_subcategories=false
+    if (category_id) {
+      const categoryIds = include_subcategories === 'false'
+        ? [parseInt(category_id)]
+        : await getCategorySubtreeIds(parseInt(category_id));
+      whereConditions.push(inArray(content.categoryId, categoryIds));
+    }
+
     // Search filter
     if (search && search !== '') {
       whereConditions.push(
@@ -159,6 +425,7 @@ router.get('/content', authenticateToken, [
       contentText: content.contentText,
       description: content.description,
       contentUrl: content.contentUrl,
+      categoryId: content.categoryId,
       filePath: content.filePath,
       fileName: content.fileName,
       fileSize: content.fileSize,
@@ -289,7 +556,9 @@ router.post('/content', authenticateToken, contentUpload.single('file'), validat
       isPublic,
       is_public,
       status = 'draft',
-      tags = []
+      tags = [],
+      categoryId,
+      category_id
     } = req.body;
     
     // Map field names to handle both formats
@@ -299,6 +568,7 @@ router.post('/content', authenticateToken, contentUpload.single('file'), validat
     const mappedFileType = fileType || file_type;
     const mappedFileExtension = fileExtension || file_extension;
     const mappedMimeType = mimeType || mime_type;
+    const mappedCategoryId = categoryId || category_id ? parseInt(categoryId || category_id) : null;
     
     // Convert string boolean values to actual booleans
     const convertToBoolean = (value) => {
@@ -310,7 +580,22 @@ router.post('/content', authenticateToken, contentUpload.single('file'), validat
       return Boolean(value);
     };
     
-    const mappedIsPublic = convertToBoolean(isPublic !== undefined ? isPublic : is_public);
+    // Sharing with everyone needs content.publish; without it content defaults to private
+    const canPublish = await userCan(req, 'content.publish');
+    const requestedIsPublic = isPublic !== undefined ? isPublic : is_public;
+    const mappedIsPublic = requestedIsPublic === undefined ? canPublish : convertToBoolean(requestedIsPublic);
+    if (mappedIsPublic && !canPublish) {
+      return res.status(403).json({
+        error: 'Access denied - You cannot share content with everyone',
+        code: 'PUBLISH_NOT_ALLOWED'
+      });
+    }
+    if (mappedCategoryId && !(await getCategoryById(mappedCategoryId))) {
+      return res.status(400).json({
+        error: 'Category not found',
+        code: 'CATEGORY_NOT_FOUND'
+      });
+    }
     const mappedIsActive = convertToBoolean(isActive !== undefined ? isActive : is_active);
     const mappedIsPublished = convertToBoolean(isPublished !== undefined ? isPublished : is_published);
     const mappedIsFeatured = convertToBoolean(isFeatured !== undefined ? isFeatured : is_featured);
@@ -363,6 +648,7 @@ router.post('/content', authenticateToken, contentUpload.single('file'), validat
       fileExtension: fileInfo.fileExtension || mappedFileExtension,
       mimeType: fileInfo.fileType || mappedMimeType,
       authorId: userId,
+      categoryId: mappedCategoryId,
       isFeatured: mappedIsFeatured,
       isActive: mappedIsActive,
       isPublished: mappedIsPublished,
@@ -382,6 +668,12 @@ router.post('/content', authenticateToken, contentUpload.single('file'), validat
     const newContent = await db.insert(content).values(insertData).returning();
     console.log('🔍 Content creation - Database insertion successful:', newContent);
 
+    await recordAuditEvent(req, { action: 'create', entityType: 'content', after: newContent[0] });
+
+    if (newContent[0].isPublished) {
+      await notifyContentPublished(newContent[0]);
+    }
+
     res.status(201).json({
       message: 'Content created successfully',
       content: newContent[0]
@@ -444,6 +736,7 @@ router.get('/content/:id', authenticateToken, async (req, res) => {
       contentText: content.contentText,
       description: content.description,
       contentUrl: content.contentUrl,
+      categoryId: content.categoryId,
       filePath: content.filePath,
       fileName: content.fileName,
       fileSize: content.fileSize,
@@ -537,11 +830,7 @@ router.put('/content/:id', authenticateToken, validateContent, async (req, res)
     const userRole = req.user.role;
 
     // Check if content exists and user has permission to edit
-    const existingContent = await db.select({
-      id: content.id,
-      authorId: content.authorId,
-      isPublic: content.isPublic
-    })
+    const existingContent = await db.select()
     .from(content)
     .where(eq(content.id, contentId))
     .limit(1);
@@ -567,12 +856,37 @@ router.put('/content/:id', authenticateToken, validateContent, async (req, res)
     const updateData = req.body;
     updateData.updatedAt = new Date();
 
+    // An empty category moves the content out of every category
+    if (updateData.categoryId !== undefined) {
+      updateData.categoryId = updateData.categoryId ? parseInt(updateData.categoryId) : null;
+      if (updateData.categoryId && !(await getCategoryById(updateData.categoryId))) {
+        return res.status(400).json({
+          error: 'Category not found',
+          code: 'CATEGORY_NOT_FOUND'
+        });
+      }
+    }
+
+    const makingPublic = !item.isPublic && [true, 'true', '1'].includes(updateData.isPublic);
+    if (makingPublic && !(await userCan(req, 'content.publish'))) {
+      return res.status(403).json({
+        error: 'Access denied - You cannot share content with everyone',
+        code: 'PUBLISH_NOT_ALLOWED'
+      });
+    }
+
     // Update content
     const updatedContent = await db.update(content)
       .set(updateData)
       .where(eq(content.id, contentId))
       .returning();
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'content', before: item, after: updatedContent[0] });
+
+    if (!item.isPublished && updatedContent[0].isPublished) {
+      await notifyContentPublished(updatedContent[0]);
+    }
+
     res.json({
       message: 'Content updated successfully',
       content: updatedContent[0]
@@ -595,11 +909,7 @@ router.delete('/content/:id', authenticateToken, async (req, res) => {
     const userRole = req.user.role;
 
     // Check if content exists and user has permission to delete
-    const existingContent = await db.select({
-      id: content.id,
-      authorId: content.authorId,
-      filePath: content.filePath
-    })
+    const existingContent = await db.select()
     .from(content)
     .where(eq(content.id, contentId))
     .limit(1);
@@ -633,6 +943,8 @@ router.delete('/content/:id', authenticateToken, async (req, res) => {
     // Delete content from database
     await db.delete(content).where(eq(content.id, contentId));
 
+    await recordAuditEvent(req, { action: 'delete', entityType: 'content', before: item });
+
     res.json({
       message: 'Content deleted successfully'
     });
@@ -3,7 +3,7 @@ import { body, validationResult, query } from 'express-validator';
 import { db } from '../config/database.js';
 import { content, users } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager } from '../middleware/roleCheck.js';
+import { userCan } from '../services/permissionService.js';
 import { eq, and, like, desc, asc, or, sql, count, sum } from 'drizzle-orm';
 import path from 'path';
 import fs from 'fs';
@@ -85,14 +85,13 @@ router.get('/', authenticateToken, [
     const { page = 1, limit = 20, type, search, fileType } = req.query;
     const offset = (page - 1) * limit;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Build where conditions
     let whereConditions = [];
 
-    // Role-based filtering
-    if (userRole === 'manager') {
-      // Managers can see all files
+    // Permission-based filtering
+    if (await userCan(req, 'content.manage')) {
+      // Content managers can see all files
       if (type) {
         whereConditions.push(eq(content.contentType, type));
       }
@@ -276,7 +275,6 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
   try {
     const contentId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Get content with file information
     const contentItem = await db.select({
@@ -302,7 +300,7 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
     const item = contentItem[0];
 
     // Check access permissions
-    if (!item.isPublic && item.authorId !== userId && userRole !== 'manager') {
+    if (!item.isPublic && item.authorId !== userId && !(await userCan(req, 'content.manage'))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -355,7 +353,6 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const contentId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Check if content exists and user has permission to delete
     const existingContent = await db.select({
@@ -377,7 +374,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const item = existingContent[0];
 
     // Check delete permissions
-    if (item.authorId !== userId && userRole !== 'manager') {
+    if (item.authorId !== userId && !(await userCan(req, 'content.manage'))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -412,12 +409,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     let whereConditions = [];
 
     // Role-based filtering
-    if (userRole !== 'manager') {
+    if (!(await userCan(req, 'content.manage'))) {
       whereConditions.push(eq(content.authorId, userId));
     }
 
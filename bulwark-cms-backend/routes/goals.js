@@ -4,6 +4,13 @@ import { db } from '../config/database.js';
 import { goals, users, sales, clients } from '../models/schema.js';
 import { eq, and, or, desc, asc, gte, lte, between, sum, count } from 'drizzle-orm';
 import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { notifyGoalCompleted, hasReachedTarget } from '../services/notificationService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { calculateExistingData } from '../services/goalService.js';
+import { EXPORT_FORMATS, sendExport } from '../services/exportService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+import { userCan } from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -54,116 +61,6 @@ const safeDecimalToNumber = (value) => {
   return 0;
 };
 
-// Helper function to calculate existing data for a goal time period
-const calculateExistingData = async (startDate, endDate, agentId, metricType) => {
-  try {
-    // Safety check for required parameters
-    if (!agentId) {
-      console.error(`❌ agentId is undefined for metric ${metricType}`);
-      return { total: 0, sales: [], clients: [] };
-    }
-    
-    if (!startDate || !endDate) {
-      console.error(`❌ startDate or endDate is undefined for agent ${agentId}, metric ${metricType}`);
-      return { total: 0, sales: [], clients: [] };
-    }
-    
-    if (!metricType) {
-      console.error(`❌ metricType is undefined for agent ${agentId}`);
-      return { total: 0, sales: [], clients: [] };
-    }
-
-    // Convert dates to Date objects and then to ISO strings for database queries
-    const startDateObj = new Date(startDate);
-    const endDateObj = new Date(endDate);
-    
-    // Add time to make it a full day range
-    startDateObj.setHours(0, 0, 0, 0);
-    endDateObj.setHours(23, 59, 59, 999);
-    
-    // Convert to ISO strings for database queries
-    const startDateISO = startDateObj.toISOString();
-    const endDateISO = endDateObj.toISOString();
-    
-
-
-    if (metricType === 'new_clients') {
-      // Query clients table for new clients created in the date range
-      
-      // For timestamp fields, we need to use Date objects, not ISO strings
-      const clientsInRange = await db.select({
-        id: clients.id,
-        createdAt: clients.createdAt
-      }).from(clients).where(
-        and(
-          eq(clients.agentId, agentId),
-          gte(clients.createdAt, startDateObj),
-          lte(clients.createdAt, endDateObj)
-        )
-      );
-
-      console.log(`👥 Found ${clientsInRange.length} clients created in date range for agent ${agentId}`);
-      if (clientsInRange.length > 0) {
-        console.log(`👥 Client IDs found:`, clientsInRange.map(c => ({ id: c.id, createdAt: c.createdAt })));
-      }
-
-      return {
-        total: clientsInRange.length,
-        sales: [],
-        clients: clientsInRange
-      };
-    } else {
-      // Query sales table for sales in the date range
-      console.log(`📊 Querying sales table for agent ${agentId} between ${startDateISO} and ${endDateISO}`);
-      
-      // For date fields, we can use ISO strings
-      const salesInRange = await db.select({
-        id: sales.id,
-        premiumAmount: sales.premiumAmount,
-        commissionAmount: sales.commissionAmount,
-        saleDate: sales.saleDate,
-        clientId: sales.clientId,
-        agentId: sales.agentId
-      }).from(sales).where(
-        and(
-          eq(sales.agentId, agentId),
-          gte(sales.saleDate, startDateISO),
-          lte(sales.saleDate, endDateISO)
-        )
-      );
-
-      console.log(`📊 Found ${salesInRange.length} sales in date range for agent ${agentId}`);
-      if (salesInRange.length > 0) {
-        console.log(`📊 Sales found:`, salesInRange.map(s => ({ 
-          id: s.id, 
-          saleDate: s.saleDate, 
-          premiumAmount: s.premiumAmount,
-          commissionAmount: s.commissionAmount
-        })));
-      }
-
-      let total = 0;
-      if (metricType === 'sales_count') {
-        total = salesInRange.length;
-      } else if (metricType === 'sales_amount') {
-        total = salesInRange.reduce((sum, sale) => sum + (parseFloat(sale.premiumAmount) || 0), 0);
-      } else if (metricType === 'commission') {
-        total = salesInRange.reduce((sum, sale) => sum + (parseFloat(sale.commissionAmount) || 0), 0);
-      }
-
-      console.log(`✅ Calculated existing data: ${total} for ${metricType}`);
-      return {
-        total,
-        sales: salesInRange,
-        clients: []
-      };
-    }
-  } catch (error) {
-    console.error(`❌ Error calculating existing data:`, error);
-    return { total: 0, sales: [], clients: [] };
-  }
-};
-
 // Helper function to format goal data for frontend
 const formatGoalForFrontend = (goal) => {
   console.log('🔍 formatGoalForFrontend input:', goal);
@@ -264,16 +161,59 @@ const validateGoal = [
   body('end_date').optional().isISO8601().withMessage('Valid end date is required')
 ];
 
-// GET /goals - Get all goals (filtered by user role)
-router.get('/', authenticateToken, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+// Filters shared by the goal list and the goal export
+const goalListFilters = [
   query('goalType').optional().isIn(['weekly', 'monthly', 'quarterly', 'half_yearly', 'annual']).withMessage('Valid goal type is required'),
   query('goal_type').optional().isIn(['weekly', 'monthly', 'quarterly', 'half_yearly', 'annual']).withMessage('Valid goal type is required'),
   query('metricType').optional().isIn(['sales_amount', 'client_count', 'commission', 'policies_sold', 'sales_count', 'new_clients']).withMessage('Valid metric type is required'),
   query('metric_type').optional().isIn(['sales_amount', 'client_count', 'commission', 'policies_sold', 'sales_count', 'new_clients']).withMessage('Valid metric type is required'),
-  query('isActive').optional().isBoolean().withMessage('Valid boolean value is required'),
+  query('isActive').optional().isBoolean().withMessage('Valid boolean value is required')
   // Note: agent_id parameter removed since managers now only see their own goals
+];
+
+// Function to build the where conditions for the goal list filters (everyone sees only their own goals)
+const buildGoalFilters = (req) => {
+  const { goalType, goal_type, metricType, metric_type, isActive } = req.query;
+
+  // Map query parameters to handle both field name formats
+  const mappedGoalType = goalType || goal_type;
+  const mappedMetricType = metricType || metric_type;
+
+  const whereConditions = [eq(goals.agentId, req.user.id)];
+
+  if (mappedGoalType) {
+    whereConditions.push(eq(goals.goalType, mappedGoalType));
+  }
+  if (mappedMetricType) {
+    whereConditions.push(eq(goals.metricType, mappedMetricType));
+  }
+  if (isActive !== undefined) {
+    whereConditions.push(eq(goals.isActive, isActive === 'true'));
+  }
+
+  return whereConditions;
+};
+
+const GOAL_EXPORT_COLUMNS = [
+  { header: 'ID', value: goal => goal.id, type: 'number', width: 8 },
+  { header: 'Title', value: goal => goal.title, width: 25 },
+  { header: 'Goal Type', value: goal => goal.goalType, width: 12 },
+  { header: 'Metric', value: goal => goal.metricType, width: 14 },
+  { header: 'Target', value: goal => goal.targetValue, type: 'number', width: 12 },
+  { header: 'Current', value: goal => goal.currentValue, type: 'number', width: 12 },
+  { header: 'Progress', value: goal => goal.progress, type: 'percent', width: 10 },
+  { header: 'Start Date', value: goal => goal.startDate, type: 'date', width: 12 },
+  { header: 'End Date', value: goal => goal.endDate, type: 'date', width: 12 },
+  { header: 'Active', value: goal => goal.isActive, type: 'boolean', width: 8 },
+  { header: 'Agent', value: goal => [goal.agentFirstName, goal.agentLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Notes', value: goal => goal.notes, width: 30 }
+];
+
+// GET /goals - Get all goals (filtered by user role)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...goalListFilters
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -290,43 +230,16 @@ router.get('/', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 20, goalType, goal_type, metricType, metric_type, isActive } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
     const userId = req.user.id;
     const userRole = req.user.role;
 
-    // Map query parameters to handle both field name formats
-    const mappedGoalType = goalType || goal_type;
-    const mappedMetricType = metricType || metric_type;
-
     console.log(`🔍 Fetching goals for user ${userId} with role ${userRole}`);
 
-    // Build where conditions
-    let whereConditions = [];
-
-    // Role-based filtering - Both managers and agents see only their own goals
-      whereConditions.push(eq(goals.agentId, userId));
+    // Build where conditions - both managers and agents see only their own goals
+    const whereConditions = buildGoalFilters(req);
     console.log(`👤 ${userRole === 'manager' ? 'Manager' : 'Agent'} access: viewing own goals only`);
-    
-    // Note: Removed agent_id filtering since managers now only see their own goals
-
-    // Filter by goal type
-    if (mappedGoalType) {
-      whereConditions.push(eq(goals.goalType, mappedGoalType));
-      console.log(`🎯 Filtering by goal type: ${mappedGoalType}`);
-    }
-
-    // Filter by metric type
-    if (mappedMetricType) {
-      whereConditions.push(eq(goals.metricType, mappedMetricType));
-      console.log(`📊 Filtering by metric type: ${mappedMetricType}`);
-    }
-
-    // Filter by active status
-    if (isActive !== undefined) {
-      whereConditions.push(eq(goals.isActive, isActive === 'true'));
-      console.log(`✅ Filtering by active status: ${isActive}`);
-    }
 
     // Build query
     let query = db.select({
@@ -457,12 +370,85 @@ router.get('/', authenticateToken, [
   }
 });
 
+// GET /goals/export - Export goals as CSV, XLSX or PDF using the same filters as GET /goals
+// Current values are recalculated from the database, as in the list
+router.get('/export', authenticateToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or pdf'),
+  ...goalListFilters
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const whereConditions = buildGoalFilters(req);
+
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'goals',
+      title: 'Goals',
+      filters: {
+        'Goal Type': req.query.goalType || req.query.goal_type,
+        Metric: req.query.metricType || req.query.metric_type,
+        Active: req.query.isActive
+      },
+      columns: GOAL_EXPORT_COLUMNS,
+      fetchBatch: async (offset, limit) => {
+        const results = await db.select({
+          id: goals.id,
+          agentId: goals.agentId,
+          title: goals.title,
+          goalType: goals.goalType,
+          metricType: goals.metricType,
+          targetValue: goals.targetValue,
+          startDate: goals.startDate,
+          endDate: goals.endDate,
+          isActive: goals.isActive,
+          notes: goals.notes,
+          agentFirstName: users.firstName,
+          agentLastName: users.lastName
+        })
+          .from(goals)
+          .leftJoin(users, eq(goals.agentId, users.id))
+          .where(and(...whereConditions))
+          .orderBy(desc(goals.createdAt), desc(goals.id))
+          .limit(limit)
+          .offset(offset);
+
+        return Promise.all(results.map(async (goal) => {
+          const { total: currentValue } = await calculateExistingData(goal.startDate, goal.endDate, goal.agentId, goal.metricType);
+          const targetValue = safeDecimalToNumber(goal.targetValue);
+          return {
+            ...goal,
+            currentValue,
+            progress: targetValue > 0 ? Math.round((currentValue / targetValue) * 10000) / 100 : 0
+          };
+        }));
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Export goals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /goals/:id - Get goal by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const goalId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     console.log(`🔍 Fetching goal ${goalId} for user ${userId}`);
 
@@ -505,7 +491,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     let goalData = goal[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && goalData.agent.id !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), goalData.agent.id)) {
       console.log(`❌ Access denied: User ${userId} cannot access goal ${goalId}`);
       return res.status(403).json({
         success: false,
@@ -768,6 +754,8 @@ router.post('/', authenticateToken, validateGoal, async (req, res) => {
       }
     }
     
+    await recordAuditEvent(req, { action: 'create', entityType: 'goal', after: goalToReturn });
+
     const formattedGoal = formatGoalForFrontend(goalToReturn);
     console.log('🔍 Formatted goal:', formattedGoal);
     console.log('🔍 Formatted goal ID:', formattedGoal.id);
@@ -809,7 +797,6 @@ router.put('/:id', authenticateToken, validateGoal, async (req, res) => {
 
     const goalId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { 
       goalType, 
       goal_type,
@@ -893,7 +880,8 @@ router.put('/:id', authenticateToken, validateGoal, async (req, res) => {
     const goalData = existingGoal[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && goalData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), goalData.agentId)
+      || (!(await userCan(req, 'goals.edit_others')) && goalData.agentId !== userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this goal',
@@ -926,6 +914,8 @@ router.put('/:id', authenticateToken, validateGoal, async (req, res) => {
       .where(eq(goals.id, goalId))
       .returning();
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'goal', before: goalData, after: updatedGoal[0] });
+
     const formattedGoal = formatGoalForFrontend(updatedGoal[0]);
     
     // Clear cache for this goal to ensure fresh data
@@ -954,7 +944,6 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const goalId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     console.log(`🗑️ Deleting goal ${goalId} for user ${userId}`);
 
@@ -972,7 +961,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const goalData = existingGoal[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && goalData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), goalData.agentId)
+      || (!(await userCan(req, 'goals.edit_others')) && goalData.agentId !== userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this goal',
@@ -983,6 +973,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     // Delete goal
     await db.delete(goals).where(eq(goals.id, goalId));
 
+    await recordAuditEvent(req, { action: 'delete', entityType: 'goal', before: goalData });
+
     // Clear cache for this goal
     clearGoalCacheOnUpdate(goalId);
 
@@ -1025,7 +1017,6 @@ router.put('/:id/progress', authenticateToken, [
 
     const goalId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { currentValue, current_value } = req.body;
 
     // Map fields to handle both snake_case and camelCase
@@ -1054,7 +1045,8 @@ router.put('/:id/progress', authenticateToken, [
     const goalData = existingGoal[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && goalData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), goalData.agentId)
+      || (!(await userCan(req, 'goals.edit_others')) && goalData.agentId !== userId)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied to this goal',
@@ -1074,6 +1066,12 @@ router.put('/:id/progress', authenticateToken, [
       .where(eq(goals.id, goalId))
       .returning();
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'goal', before: goalData, after: updatedGoal[0] });
+
+    if (hasReachedTarget(goalData, goalData.currentValue, safeCurrentValue)) {
+      await notifyGoalCompleted(updatedGoal[0]);
+    }
+
     const formattedGoal = formatGoalForFrontend(updatedGoal[0]);
     
     console.log(`✅ Goal progress updated successfully:`, formattedGoal);
@@ -1099,7 +1097,6 @@ router.get('/progress', authenticateToken, async (req, res) => {
   try {
     const { startDate, start_date, endDate, end_date } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Map query parameters to handle both field name formats
     const mappedStartDate = startDate || start_date;
@@ -1110,14 +1107,10 @@ router.get('/progress', authenticateToken, async (req, res) => {
     // Build where conditions
     let whereConditions = [];
 
-    // Role-based filtering
-    if (userRole === 'manager') {
-      // Managers can see all goals
-      console.log('👑 Manager access: viewing all goal progress');
-    } else {
-      // Regular agents can only see their own goals
-      whereConditions.push(eq(goals.agentId, userId));
-      console.log('👤 Agent access: viewing own goal progress only');
+    // Org-scoped filtering: goal progress for everyone the user can see
+    const scopeCondition = scopeToOrg(await getOrgScope(req), goals.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
     // Date range filter
@@ -1306,21 +1299,9 @@ router.post('/recalculate-progress', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /goals/sync-all - Sync all goals with current database state
-router.post('/sync-all', authenticateToken, async (req, res) => {
+// POST /goals/sync-all - Sync all goals with current database state (needs goals.recalculate_all)
+router.post('/sync-all', authenticateToken, requirePermission('goals.recalculate_all'), async (req, res) => {
   try {
-    const userRole = req.user.role;
-    
-    // Only managers can sync all goals
-    if (userRole !== 'manager') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        code: 'ACCESS_DENIED',
-        details: 'Only managers can sync all goals'
-      });
-    }
-
     console.log('🔄 Starting goal sync for all active goals...');
     
     // Get all active goals
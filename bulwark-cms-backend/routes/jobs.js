@@ -0,0 +1,169 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { db } from '../config/database.js';
+import { backgroundJobs, users } from '../models/schema.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, desc, count } from 'drizzle-orm';
+import { JOB_NAMES, JOB_STATUSES, getJobStatus, runJobNow, retryJob } from '../services/jobService.js';
+
+const router = express.Router();
+
+// GET /jobs/status - Schedule, next run, running jobs and last result for every background job (needs jobs.manage)
+router.get('/status', authenticateToken, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const status = await getJobStatus();
+    res.json(status);
+
+  } catch (error) {
+    console.error('Get job status error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /jobs - List job runs, newest first (needs jobs.manage)
+router.get('/', authenticateToken, requirePermission('jobs.manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('name').optional().isIn(JOB_NAMES).withMessage('Valid job name is required'),
+  query('status').optional().isIn(JOB_STATUSES).withMessage('Valid job status is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, name, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereConditions = [];
+    if (name) {
+      whereConditions.push(eq(backgroundJobs.name, name));
+    }
+    if (status) {
+      whereConditions.push(eq(backgroundJobs.status, status));
+    }
+    const whereClause = and(...whereConditions);
+
+    const totalResult = await db.select({ count: count() })
+      .from(backgroundJobs)
+      .where(whereClause);
+    const total = Number(totalResult[0]?.count || 0);
+
+    const jobs = await db.select({
+      id: backgroundJobs.id,
+      name: backgroundJobs.name,
+      status: backgroundJobs.status,
+      attempts: backgroundJobs.attempts,
+      maxAttempts: backgroundJobs.maxAttempts,
+      runAt: backgroundJobs.runAt,
+      lockedBy: backgroundJobs.lockedBy,
+      lastError: backgroundJobs.lastError,
+      result: backgroundJobs.result,
+      createdAt: backgroundJobs.createdAt,
+      startedAt: backgroundJobs.startedAt,
+      completedAt: backgroundJobs.completedAt,
+      creatorFirstName: users.firstName,
+      creatorLastName: users.lastName
+    })
+      .from(backgroundJobs)
+      .leftJoin(users, eq(backgroundJobs.createdBy, users.id))
+      .where(whereClause)
+      .orderBy(desc(backgroundJobs.createdAt), desc(backgroundJobs.id))
+      .limit(parseInt(limit))
+      .offset(offset);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /jobs/:name/run - Queue a job to run straight away (needs jobs.manage)
+router.post('/:name/run', authenticateToken, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    if (!JOB_NAMES.includes(req.params.name)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    const job = await runJobNow(req.params.name, req.user.id);
+
+    res.status(201).json({
+      message: 'Job queued',
+      job
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /jobs/:id/retry - Retry a failed job (needs jobs.manage)
+router.post('/:id/retry', authenticateToken, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    const existingJob = await db.select()
+      .from(backgroundJobs)
+      .where(eq(backgroundJobs.id, jobId))
+      .limit(1);
+
+    if (existingJob.length === 0) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    const job = await retryJob(existingJob[0]);
+
+    res.json({
+      message: 'Job queued for retry',
+      job
+    });
+
+  } catch (error) {
+    if (error.code === 'JOB_NOT_FAILED') {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
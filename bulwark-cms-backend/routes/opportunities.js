@@ -0,0 +1,841 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../config/database.js';
+import { opportunities, opportunityStages, clients, products, users } from '../models/schema.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, or, like, desc, asc, isNull, isNotNull, count } from 'drizzle-orm';
+import { recordAuditEvent } from '../services/auditService.js';
+import { notifySaleCreated } from '../services/notificationService.js';
+import { resolveCommission, createSale, updateGoalProgress } from '../services/saleService.js';
+import { stageKeyFromName, getStages, getStageById, getInitialStage } from '../services/opportunityService.js';
+import { userCan } from '../services/permissionService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateStage = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Stage name is required (1-100 characters)'),
+  body('position').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+  body('defaultProbability').optional({ values: 'null' }).isInt({ min: 0, max: 100 }).withMessage('Default probability must be between 0 and 100')
+];
+
+const validateOpportunity = [
+  body('clientId').isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  body('productId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid product ID is required if provided'),
+  body('stageId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid stage ID is required if provided'),
+  body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title is required (1-255 characters)'),
+  body('expectedPremium').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Expected premium must be a positive number if provided'),
+  body('probability').optional({ values: 'null' }).isInt({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100'),
+  body('expectedCloseDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid expected close date is required if provided'),
+  body('notes').optional({ values: 'null' }).isLength({ max: 5000 }).withMessage('Notes must be less than 5000 characters')
+];
+
+// Function to load an opportunity with its client, product, stage and agent for display
+const getOpportunityDetails = async (opportunityId) => {
+  const result = await db.select({
+    id: opportunities.id,
+    agentId: opportunities.agentId,
+    clientId: opportunities.clientId,
+    productId: opportunities.productId,
+    stageId: opportunities.stageId,
+    title: opportunities.title,
+    expectedPremium: opportunities.expectedPremium,
+    probability: opportunities.probability,
+    expectedCloseDate: opportunities.expectedCloseDate,
+    lostReason: opportunities.lostReason,
+    saleId: opportunities.saleId,
+    notes: opportunities.notes,
+    closedAt: opportunities.closedAt,
+    createdAt: opportunities.createdAt,
+    updatedAt: opportunities.updatedAt,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName,
+    clientStatus: clients.status,
+    productName: products.name,
+    stageName: opportunityStages.name,
+    stageOutcome: opportunityStages.outcome,
+    agentFirstName: users.firstName,
+    agentLastName: users.lastName
+  })
+    .from(opportunities)
+    .leftJoin(clients, eq(opportunities.clientId, clients.id))
+    .leftJoin(products, eq(opportunities.productId, products.id))
+    .leftJoin(opportunityStages, eq(opportunities.stageId, opportunityStages.id))
+    .leftJoin(users, eq(opportunities.agentId, users.id))
+    .where(eq(opportunities.id, opportunityId))
+    .limit(1);
+
+  return result[0] || null;
+};
+
+// Function to load a client and check the user may work with it
+const getAccessibleClient = async (req, clientId) => {
+  const client = await db.select().from(clients).where(eq(clients.id, clientId)).limit(1);
+
+  if (client.length === 0) {
+    return { error: { status: 404, error: 'Client not found', code: 'CLIENT_NOT_FOUND' } };
+  }
+  if (!canSeeAgent(await getOrgScope(req), client[0].agentId)
+    || (!(await userCan(req, 'opportunities.edit_others')) && client[0].agentId !== req.user.id)) {
+    return { error: { status: 403, error: 'Access denied to this client', code: 'ACCESS_DENIED' } };
+  }
+
+  return { client: client[0] };
+};
+
+// GET /opportunities/stages - Get pipeline stages in board order
+router.get('/stages', authenticateToken, [
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true' && (await userCan(req, 'opportunities.manage_stages'));
+    const stages = await getStages({ includeInactive });
+
+    res.json({ stages });
+
+  } catch (error) {
+    console.error('Get opportunity stages error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /opportunities/stages - Add a pipeline stage (needs opportunities.manage_stages)
+// New stages are always open; the issued and lost outcome stages are built in
+router.post('/stages', authenticateToken, requirePermission('opportunities.manage_stages'), validateStage, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { name, position, defaultProbability } = req.body;
+    const key = stageKeyFromName(name);
+
+    if (!key) {
+      return res.status(400).json({
+        error: 'Stage name must contain letters or numbers',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const existingStage = await db.select({ id: opportunityStages.id })
+      .from(opportunityStages)
+      .where(eq(opportunityStages.key, key))
+      .limit(1);
+
+    if (existingStage.length > 0) {
+      return res.status(409).json({
+        error: 'A stage with this name already exists',
+        code: 'STAGE_EXISTS'
+      });
+    }
+
+    // Without a position the stage goes after the last open stage
+    let stagePosition = position;
+    if (stagePosition === undefined || stagePosition === null) {
+      const stages = await getStages();
+      const openStages = stages.filter(stage => !stage.outcome);
+      stagePosition = openStages.length > 0 ? openStages[openStages.length - 1].position + 1 : 1;
+    }
+
+    const newStage = await db.insert(opportunityStages).values({
+      key,
+      name,
+      position: parseInt(stagePosition),
+      defaultProbability: defaultProbability !== undefined && defaultProbability !== null ? parseInt(defaultProbability) : 0,
+      outcome: null,
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'opportunity_stage', after: newStage[0] });
+
+    res.status(201).json({
+      message: 'Stage created successfully',
+      stage: newStage[0]
+    });
+
+  } catch (error) {
+    console.error('Create opportunity stage error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /opportunities/stages/:id - Rename, reorder or re-activate a stage (needs opportunities.manage_stages)
+router.put('/stages/:id', authenticateToken, requirePermission('opportunities.manage_stages'), [
+  ...validateStage,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const stageId = parseInt(req.params.id);
+    const { name, position, defaultProbability, isActive } = req.body;
+
+    const existingStage = await getStageById(stageId);
+
+    if (!existingStage) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+
+    if (existingStage.outcome && isActive === false) {
+      return res.status(400).json({
+        error: 'The issued and lost stages cannot be deactivated',
+        code: 'STAGE_PROTECTED'
+      });
+    }
+
+    const updatedStage = await db.update(opportunityStages)
+      .set({
+        name,
+        position: position ?? existingStage.position,
+        defaultProbability: defaultProbability ?? existingStage.defaultProbability,
+        isActive: isActive ?? existingStage.isActive,
+        updatedAt: new Date()
+      })
+      .where(eq(opportunityStages.id, stageId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'opportunity_stage', before: existingStage, after: updatedStage[0] });
+
+    res.json({
+      message: 'Stage updated successfully',
+      stage: updatedStage[0]
+    });
+
+  } catch (error) {
+    console.error('Update opportunity stage error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /opportunities/stages/:id - Deactivate a stage (needs opportunities.manage_stages)
+// Stages are never hard-deleted because closed opportunities reference them
+router.delete('/stages/:id', authenticateToken, requirePermission('opportunities.manage_stages'), async (req, res) => {
+  try {
+    const stageId = parseInt(req.params.id);
+
+    const existingStage = await getStageById(stageId);
+
+    if (!existingStage) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+
+    if (existingStage.outcome) {
+      return res.status(400).json({
+        error: 'The issued and lost stages cannot be deactivated',
+        code: 'STAGE_PROTECTED'
+      });
+    }
+
+    const openCount = await db.select({ count: count() })
+      .from(opportunities)
+      .where(and(eq(opportunities.stageId, stageId), isNull(opportunities.closedAt)));
+
+    if (Number(openCount[0]?.count || 0) > 0) {
+      return res.status(400).json({
+        error: 'Move the open opportunities out of this stage before deactivating it',
+        code: 'STAGE_IN_USE'
+      });
+    }
+
+    const deactivatedStage = await db.update(opportunityStages)
+      .set({ isActive: false, updatedAt: new Date() })
+      .where(eq(opportunityStages.id, stageId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'deactivate', entityType: 'opportunity_stage', before: existingStage, after: deactivatedStage[0] });
+
+    res.json({
+      message: 'Stage deactivated successfully',
+      stage: deactivatedStage[0]
+    });
+
+  } catch (error) {
+    console.error('Deactivate opportunity stage error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /opportunities - Get opportunities (filtered by user role)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('stageId').optional().isInt({ min: 1 }).withMessage('Valid stage ID is required'),
+  query('clientId').optional().isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed'),
+  query('search').optional().trim(),
+  query('agent_id').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 100, stageId, clientId, status, search, agent_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Build where conditions
+    let whereConditions = [];
+
+    // Org-scoped filtering; agent_id narrows it down to one agent
+    const scopeCondition = scopeToOrg(await getOrgScope(req), opportunities.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+    if (agent_id) {
+      whereConditions.push(eq(opportunities.agentId, parseInt(agent_id)));
+    }
+
+    if (stageId) {
+      whereConditions.push(eq(opportunities.stageId, parseInt(stageId)));
+    }
+    if (clientId) {
+      whereConditions.push(eq(opportunities.clientId, parseInt(clientId)));
+    }
+    if (status === 'open') {
+      whereConditions.push(isNull(opportunities.closedAt));
+    } else if (status === 'closed') {
+      whereConditions.push(isNotNull(opportunities.closedAt));
+    }
+    if (search) {
+      whereConditions.push(
+        or(
+          like(opportunities.title, `%${search}%`),
+          like(clients.firstName, `%${search}%`),
+          like(clients.lastName, `%${search}%`)
+        )
+      );
+    }
+
+    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+
+    const totalResult = await db.select({ count: count() })
+      .from(opportunities)
+      .leftJoin(clients, eq(opportunities.clientId, clients.id))
+      .where(whereClause);
+    const total = Number(totalResult[0]?.count || 0);
+
+    const opportunityList = await db.select({
+      id: opportunities.id,
+      agentId: opportunities.agentId,
+      clientId: opportunities.clientId,
+      productId: opportunities.productId,
+      stageId: opportunities.stageId,
+      title: opportunities.title,
+      expectedPremium: opportunities.expectedPremium,
+      probability: opportunities.probability,
+      expectedCloseDate: opportunities.expectedCloseDate,
+      lostReason: opportunities.lostReason,
+      saleId: opportunities.saleId,
+      notes: opportunities.notes,
+      closedAt: opportunities.closedAt,
+      createdAt: opportunities.createdAt,
+      updatedAt: opportunities.updatedAt,
+      clientFirstName: clients.firstName,
+      clientLastName: clients.lastName,
+      productName: products.name,
+      agentFirstName: users.firstName,
+      agentLastName: users.lastName
+    })
+      .from(opportunities)
+      .leftJoin(clients, eq(opportunities.clientId, clients.id))
+      .leftJoin(products, eq(opportunities.productId, products.id))
+      .leftJoin(users, eq(opportunities.agentId, users.id))
+      .where(whereClause)
+      .orderBy(asc(opportunities.expectedCloseDate), desc(opportunities.updatedAt))
+      .limit(parseInt(limit))
+      .offset(offset);
+
+    res.json({
+      opportunities: opportunityList,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get opportunities error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /opportunities/:id - Get a single opportunity
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const opportunity = await getOpportunityDetails(parseInt(req.params.id));
+
+    if (!opportunity) {
+      return res.status(404).json({
+        error: 'Opportunity not found',
+        code: 'OPPORTUNITY_NOT_FOUND'
+      });
+    }
+
+    if (!canSeeAgent(await getOrgScope(req), opportunity.agentId)
+      || (!(await userCan(req, 'opportunities.edit_others')) && opportunity.agentId !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied to this opportunity',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    res.json({ opportunity });
+
+  } catch (error) {
+    console.error('Get opportunity error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /opportunities - Create an opportunity
+router.post('/', authenticateToken, validateOpportunity, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { clientId, productId, stageId, title, expectedPremium, probability, expectedCloseDate, notes } = req.body;
+
+    const { client, error: clientError } = await getAccessibleClient(req, parseInt(clientId));
+    if (clientError) {
+      return res.status(clientError.status).json({ error: clientError.error, code: clientError.code });
+    }
+
+    // Opportunities start in an open stage; issuing and losing go through PUT /:id/stage
+    const stage = stageId ? await getStageById(parseInt(stageId)) : await getInitialStage();
+    if (!stage || !stage.isActive) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+    if (stage.outcome) {
+      return res.status(400).json({
+        error: 'New opportunities must start in an open stage',
+        code: 'INVALID_STAGE'
+      });
+    }
+
+    const newOpportunity = await db.insert(opportunities).values({
+      // The opportunity belongs to whoever owns the client, even when a manager creates it
+      agentId: client.agentId,
+      clientId: client.id,
+      productId: productId ? parseInt(productId) : null,
+      stageId: stage.id,
+      title,
+      expectedPremium: expectedPremium ? parseFloat(expectedPremium) : null,
+      probability: probability !== undefined && probability !== null ? parseInt(probability) : stage.defaultProbability,
+      expectedCloseDate: expectedCloseDate || null,
+      notes: notes || null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'opportunity', after: newOpportunity[0] });
+
+    res.status(201).json({
+      message: 'Opportunity created successfully',
+      opportunity: await getOpportunityDetails(newOpportunity[0].id)
+    });
+
+  } catch (error) {
+    console.error('Create opportunity error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /opportunities/:id - Update an open opportunity's details
+router.put('/:id', authenticateToken, validateOpportunity, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const opportunityId = parseInt(req.params.id);
+    const { clientId, productId, title, expectedPremium, probability, expectedCloseDate, notes } = req.body;
+
+    const existingOpportunity = await db.select().from(opportunities).where(eq(opportunities.id, opportunityId)).limit(1);
+
+    if (existingOpportunity.length === 0) {
+      return res.status(404).json({
+        error: 'Opportunity not found',
+        code: 'OPPORTUNITY_NOT_FOUND'
+      });
+    }
+
+    const opportunityData = existingOpportunity[0];
+
+    if (!canSeeAgent(await getOrgScope(req), opportunityData.agentId)
+      || (!(await userCan(req, 'opportunities.edit_others')) && opportunityData.agentId !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied to this opportunity',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (opportunityData.closedAt) {
+      return res.status(400).json({
+        error: 'Closed opportunities cannot be edited',
+        code: 'OPPORTUNITY_CLOSED'
+      });
+    }
+
+    const { client, error: clientError } = await getAccessibleClient(req, parseInt(clientId));
+    if (clientError) {
+      return res.status(clientError.status).json({ error: clientError.error, code: clientError.code });
+    }
+
+    const updatedOpportunity = await db.update(opportunities)
+      .set({
+        agentId: client.agentId,
+        clientId: client.id,
+        productId: productId ? parseInt(productId) : null,
+        title,
+        expectedPremium: expectedPremium ? parseFloat(expectedPremium) : null,
+        probability: probability ?? opportunityData.probability,
+        expectedCloseDate: expectedCloseDate || null,
+        notes: notes ?? opportunityData.notes,
+        updatedAt: new Date()
+      })
+      .where(eq(opportunities.id, opportunityId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'opportunity', before: opportunityData, after: updatedOpportunity[0] });
+
+    res.json({
+      message: 'Opportunity updated successfully',
+      opportunity: await getOpportunityDetails(opportunityId)
+    });
+
+  } catch (error) {
+    console.error('Update opportunity error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /opportunities/:id/stage - Move an opportunity to another stage
+// Moving to the issued stage records the sale and makes the prospect a client
+router.put('/:id/stage', authenticateToken, [
+  body('stageId').isInt({ min: 1 }).withMessage('Valid stage ID is required'),
+  body('lostReason').optional({ values: 'falsy' }).trim().isLength({ max: 1000 }).withMessage('Lost reason must be less than 1000 characters'),
+  body('productId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid product ID is required if provided'),
+  body('premiumAmount').optional({ values: 'falsy' }).isFloat({ gt: 0 }).withMessage('Premium amount must be positive if provided'),
+  body('commissionAmount').optional({ values: 'falsy' }).isFloat({ gt: 0 }).withMessage('Commission amount must be positive if provided'),
+  body('saleDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid sale date is required if provided'),
+  body('effectiveDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required if provided'),
+  body('termMonths').optional({ values: 'falsy' }).isInt({ min: 1, max: 120 }).withMessage('Term must be between 1 and 120 months'),
+  body('policyNumber').optional({ values: 'falsy' }).trim().isLength({ min: 1 }).withMessage('Policy number is required if provided')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const opportunityId = parseInt(req.params.id);
+
+    const existingOpportunity = await db.select().from(opportunities).where(eq(opportunities.id, opportunityId)).limit(1);
+
+    if (existingOpportunity.length === 0) {
+      return res.status(404).json({
+        error: 'Opportunity not found',
+        code: 'OPPORTUNITY_NOT_FOUND'
+      });
+    }
+
+    const opportunityData = existingOpportunity[0];
+
+    if (!canSeeAgent(await getOrgScope(req), opportunityData.agentId)
+      || (!(await userCan(req, 'opportunities.edit_others')) && opportunityData.agentId !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied to this opportunity',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Issued opportunities have a sale behind them and stay closed; lost ones may be reopened
+    if (opportunityData.saleId) {
+      return res.status(400).json({
+        error: 'This opportunity has already been issued',
+        code: 'OPPORTUNITY_CLOSED'
+      });
+    }
+
+    const stage = await getStageById(parseInt(req.body.stageId));
+    if (!stage || !stage.isActive) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+
+    if (stage.id === opportunityData.stageId) {
+      return res.json({
+        message: 'Opportunity stage updated successfully',
+        opportunity: await getOpportunityDetails(opportunityId)
+      });
+    }
+
+    let updates = {
+      stageId: stage.id,
+      probability: stage.defaultProbability,
+      lostReason: null,
+      closedAt: null,
+      updatedAt: new Date()
+    };
+    let sale = null;
+
+    if (stage.outcome === 'lost') {
+      if (!req.body.lostReason) {
+        return res.status(400).json({
+          error: 'A reason is required when an opportunity is lost',
+          code: 'LOST_REASON_REQUIRED'
+        });
+      }
+      updates = { ...updates, probability: 0, lostReason: req.body.lostReason, closedAt: new Date() };
+    }
+
+    if (stage.outcome === 'won') {
+      const { client, error: clientError } = await getAccessibleClient(req, opportunityData.clientId);
+      if (clientError) {
+        return res.status(clientError.status).json({ error: clientError.error, code: clientError.code });
+      }
+
+      const productId = req.body.productId ? parseInt(req.body.productId) : opportunityData.productId;
+      if (!productId) {
+        return res.status(400).json({
+          error: 'A product is required to issue an opportunity',
+          code: 'PRODUCT_REQUIRED'
+        });
+      }
+
+      const product = await db.select().from(products).where(eq(products.id, productId)).limit(1);
+      if (product.length === 0) {
+        return res.status(404).json({
+          error: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND'
+        });
+      }
+      if (product[0].archivedAt || product[0].isActive === false) {
+        return res.status(400).json({
+          error: 'This product is no longer available for new sales',
+          code: 'PRODUCT_INACTIVE'
+        });
+      }
+
+      const premiumAmount = req.body.premiumAmount || opportunityData.expectedPremium;
+      if (!premiumAmount || parseFloat(premiumAmount) <= 0) {
+        return res.status(400).json({
+          error: 'A premium amount is required to issue an opportunity',
+          code: 'PREMIUM_REQUIRED'
+        });
+      }
+
+      const saleDate = req.body.saleDate || new Date().toISOString().split('T')[0];
+
+      const commission = await resolveCommission(req, {
+        productId,
+        premiumAmount,
+        saleDate,
+        commissionAmount: req.body.commissionAmount,
+        commissionRate: req.body.commissionRate
+      });
+      if (!commission) {
+        return res.status(400).json({
+          error: 'No commission rate is configured for this product on the sale date',
+          code: 'COMMISSION_RATE_NOT_CONFIGURED'
+        });
+      }
+
+      // The sale is credited to the opportunity's agent, not the manager closing it
+      sale = await createSale({
+        agentId: opportunityData.agentId,
+        clientId: client.id,
+        productId,
+        premiumAmount,
+        commission,
+        saleDate,
+        policyNumber: req.body.policyNumber || null,
+        productName: product[0].name,
+        notes: opportunityData.notes,
+        effectiveDate: req.body.effectiveDate,
+        termMonths: req.body.termMonths,
+        statusReason: `Issued from opportunity #${opportunityData.id}`,
+        changedBy: req.user.id
+      });
+
+      await recordAuditEvent(req, { action: 'create', entityType: 'sale', after: sale });
+      await updateGoalProgress(sale.agentId, sale);
+
+      const agent = await db.select().from(users).where(eq(users.id, sale.agentId)).limit(1);
+      await notifySaleCreated(sale, agent[0] || req.user);
+
+      if (client.status !== 'client') {
+        const updatedClient = await db.update(clients)
+          .set({ status: 'client', updatedAt: new Date() })
+          .where(eq(clients.id, client.id))
+          .returning();
+
+        await recordAuditEvent(req, { action: 'update', entityType: 'client', before: client, after: updatedClient[0] });
+      }
+
+      updates = {
+        ...updates,
+        productId,
+        expectedPremium: parseFloat(premiumAmount),
+        probability: 100,
+        saleId: sale.id,
+        closedAt: new Date()
+      };
+    }
+
+    const updatedOpportunity = await db.update(opportunities)
+      .set(updates)
+      .where(eq(opportunities.id, opportunityId))
+      .returning();
+
+    await recordAuditEvent(req, {
+      action: stage.outcome === 'won' ? 'issue' : 'stage_change',
+      entityType: 'opportunity',
+      before: opportunityData,
+      after: updatedOpportunity[0]
+    });
+
+    res.json({
+      message: stage.outcome === 'won' ? 'Opportunity issued successfully' : 'Opportunity stage updated successfully',
+      opportunity: await getOpportunityDetails(opportunityId),
+      sale
+    });
+
+  } catch (error) {
+    console.error('Update opportunity stage error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /opportunities/:id - Delete an opportunity (any sale it created is kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const opportunityId = parseInt(req.params.id);
+
+    const existingOpportunity = await db.select().from(opportunities).where(eq(opportunities.id, opportunityId)).limit(1);
+
+    if (existingOpportunity.length === 0) {
+      return res.status(404).json({
+        error: 'Opportunity not found',
+        code: 'OPPORTUNITY_NOT_FOUND'
+      });
+    }
+
+    if (!canSeeAgent(await getOrgScope(req), existingOpportunity[0].agentId)
+      || (!(await userCan(req, 'opportunities.edit_others')) && existingOpportunity[0].agentId !== req.user.id)) {
+      return res.status(403).json({
+        error: 'Access denied to this opportunity',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    await db.delete(opportunities).where(eq(opportunities.id, opportunityId));
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'opportunity', before: existingOpportunity[0] });
+
+    res.json({
+      message: 'Opportunity deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete opportunity error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
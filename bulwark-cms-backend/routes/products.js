@@ -1,19 +1,62 @@
 import express from 'express';
-import { query, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { db } from '../config/database.js';
-import { products } from '../models/schema.js';
+import { products, productCommissionRates } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { eq, and, like, desc, asc, or } from 'drizzle-orm';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, like, desc, asc, or, isNull, count } from 'drizzle-orm';
+import { recordAuditEvent } from '../services/auditService.js';
+import { COMMISSION_TYPES, findOverlappingRate } from '../services/commissionService.js';
 
 const router = express.Router();
 
+// Validation middleware
+const validateProduct = [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Product name is required (1-255 characters)'),
+  body('description').optional({ values: 'null' }).isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+  body('category').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('Category must be less than 100 characters')
+];
+
+const validateCommissionRate = [
+  body('commissionType').isIn(COMMISSION_TYPES).withMessage('Commission type must be first_year or renewal'),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('effectiveFrom').isISO8601().withMessage('Valid effective from date is required'),
+  body('effectiveTo').optional({ values: 'falsy' }).isISO8601().withMessage('Effective to must be a valid date if provided')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.effectiveFrom)) {
+        throw new Error('Effective to must be on or after effective from');
+      }
+      return true;
+    })
+];
+
+// Function to load a product with its commission schedule
+const getProductWithRates = async (productId) => {
+  const product = await db.select()
+    .from(products)
+    .where(eq(products.id, productId))
+    .limit(1);
+
+  if (product.length === 0) {
+    return null;
+  }
+
+  const commissionRates = await db.select()
+    .from(productCommissionRates)
+    .where(eq(productCommissionRates.productId, productId))
+    .orderBy(asc(productCommissionRates.commissionType), desc(productCommissionRates.effectiveFrom));
+
+  return { ...product[0], commissionRates };
+};
+
 // GET / - Get all products
 router.get('/', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isLength({ min: 1 }).withMessage('Category is required if provided'),
   query('search').optional().isLength({ min: 1 }).withMessage('Search term is required if provided'),
-  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -26,12 +69,16 @@ router.get('/', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 50, category, search, isActive } = req.query;
+    const { page = 1, limit = 50, category, search, isActive, includeArchived } = req.query;
     const offset = (page - 1) * limit;
 
     // Build where conditions
     let whereConditions = [];
 
+    // Archived products are only listed for the catalog admin screen
+    if (includeArchived !== 'true') {
+      whereConditions.push(isNull(products.archivedAt));
+    }
     if (category) {
       whereConditions.push(eq(products.category, category));
     }
@@ -55,6 +102,7 @@ router.get('/', authenticateToken, [
       description: products.description,
       category: products.category,
       isActive: products.isActive,
+      archivedAt: products.archivedAt,
       createdAt: products.createdAt,
       updatedAt: products.updatedAt
     }).from(products);
@@ -64,12 +112,12 @@ router.get('/', authenticateToken, [
     }
 
     // Get total count for pagination
-    const countQuery = db.select({ count: products.id }).from(products);
+    let countQuery = db.select({ count: count() }).from(products);
     if (whereConditions.length > 0) {
       countQuery = countQuery.where(and(...whereConditions));
     }
     const totalResult = await countQuery;
-    const total = totalResult[0]?.count || 0;
+    const total = Number(totalResult[0]?.count || 0);
 
     // Get paginated results
     const results = await query
@@ -97,25 +145,14 @@ router.get('/', authenticateToken, [
   }
 });
 
-// GET /:id - Get product by ID
+// GET /:id - Get product by ID (includes its commission schedule)
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
 
-    const product = await db.select({
-      id: products.id,
-      name: products.name,
-      description: products.description,
-      category: products.category,
-      isActive: products.isActive,
-      createdAt: products.createdAt,
-      updatedAt: products.updatedAt
-    })
-    .from(products)
-    .where(eq(products.id, productId))
-    .limit(1);
+    const product = await getProductWithRates(productId);
 
-    if (!product || product.length === 0) {
+    if (!product) {
       return res.status(404).json({
         error: 'Product not found',
         code: 'PRODUCT_NOT_FOUND'
@@ -124,7 +161,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'Product retrieved successfully',
-      product: product[0]
+      product
     });
 
   } catch (error) {
@@ -136,4 +173,382 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// POST / - Create product (needs products.manage)
+router.post('/', authenticateToken, requirePermission('products.manage'), validateProduct, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { name, description, category } = req.body;
+
+    // Product names must be unique so sales imports can match them
+    const existingProduct = await db.select({ id: products.id })
+      .from(products)
+      .where(eq(products.name, name))
+      .limit(1);
+
+    if (existingProduct.length > 0) {
+      return res.status(409).json({
+        error: 'A product with this name already exists',
+        code: 'PRODUCT_EXISTS'
+      });
+    }
+
+    const newProduct = await db.insert(products).values({
+      name,
+      description: description || null,
+      category: category || null,
+      isActive: true,
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'product', after: newProduct[0] });
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: { ...newProduct[0], commissionRates: [] }
+    });
+
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /:id - Update product (needs products.manage)
+router.put('/:id', authenticateToken, requirePermission('products.manage'), [
+  ...validateProduct,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.params.id);
+    const { name, description, category, isActive } = req.body;
+
+    const existingProduct = await db.select().from(products).where(eq(products.id, productId)).limit(1);
+
+    if (existingProduct.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    if (name !== existingProduct[0].name) {
+      const nameTaken = await db.select({ id: products.id })
+        .from(products)
+        .where(eq(products.name, name))
+        .limit(1);
+
+      if (nameTaken.length > 0) {
+        return res.status(409).json({
+          error: 'A product with this name already exists',
+          code: 'PRODUCT_EXISTS'
+        });
+      }
+    }
+
+    const updatedProduct = await db.update(products)
+      .set({
+        name,
+        description: description ?? existingProduct[0].description,
+        category: category ?? existingProduct[0].category,
+        isActive: isActive ?? existingProduct[0].isActive,
+        updatedAt: new Date()
+      })
+      .where(eq(products.id, productId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'product', before: existingProduct[0], after: updatedProduct[0] });
+
+    res.json({
+      message: 'Product updated successfully',
+      product: updatedProduct[0]
+    });
+
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /:id - Archive product (needs products.manage)
+// Products are never hard-deleted because existing sales reference them
+router.delete('/:id', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    const existingProduct = await db.select().from(products).where(eq(products.id, productId)).limit(1);
+
+    if (existingProduct.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    if (existingProduct[0].archivedAt) {
+      return res.status(400).json({
+        error: 'Product is already archived',
+        code: 'PRODUCT_ARCHIVED'
+      });
+    }
+
+    const archivedProduct = await db.update(products)
+      .set({
+        isActive: false,
+        archivedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(eq(products.id, productId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'archive', entityType: 'product', before: existingProduct[0], after: archivedProduct[0] });
+
+    res.json({
+      message: 'Product archived successfully',
+      product: archivedProduct[0]
+    });
+
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /:id/restore - Restore an archived product (needs products.manage)
+router.put('/:id/restore', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    const existingProduct = await db.select().from(products).where(eq(products.id, productId)).limit(1);
+
+    if (existingProduct.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    if (!existingProduct[0].archivedAt) {
+      return res.status(400).json({
+        error: 'Product is not archived',
+        code: 'PRODUCT_NOT_ARCHIVED'
+      });
+    }
+
+    const restoredProduct = await db.update(products)
+      .set({
+        isActive: true,
+        archivedAt: null,
+        updatedAt: new Date()
+      })
+      .where(eq(products.id, productId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'restore', entityType: 'product', before: existingProduct[0], after: restoredProduct[0] });
+
+    res.json({
+      message: 'Product restored successfully',
+      product: restoredProduct[0]
+    });
+
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /:id/commission-rates - Add a rate to a product's commission schedule (needs products.manage)
+router.post('/:id/commission-rates', authenticateToken, requirePermission('products.manage'), validateCommissionRate, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.params.id);
+    const { commissionType, rate, effectiveFrom, effectiveTo } = req.body;
+
+    const product = await db.select({ id: products.id }).from(products).where(eq(products.id, productId)).limit(1);
+
+    if (product.length === 0) {
+      return res.status(404).json({
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      });
+    }
+
+    const overlapping = await findOverlappingRate({ productId, commissionType, effectiveFrom, effectiveTo });
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'This period overlaps an existing rate of the same type',
+        code: 'COMMISSION_RATE_OVERLAP',
+        conflictingRateId: overlapping.id
+      });
+    }
+
+    const newRate = await db.insert(productCommissionRates).values({
+      productId,
+      commissionType,
+      rate: parseFloat(rate),
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'commission_rate', after: newRate[0] });
+
+    res.status(201).json({
+      message: 'Commission rate created successfully',
+      commissionRate: newRate[0]
+    });
+
+  } catch (error) {
+    console.error('Create commission rate error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /:id/commission-rates/:rateId - Update a commission rate (needs products.manage)
+router.put('/:id/commission-rates/:rateId', authenticateToken, requirePermission('products.manage'), validateCommissionRate, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const productId = parseInt(req.params.id);
+    const rateId = parseInt(req.params.rateId);
+    const { commissionType, rate, effectiveFrom, effectiveTo } = req.body;
+
+    const existingRate = await db.select()
+      .from(productCommissionRates)
+      .where(and(eq(productCommissionRates.id, rateId), eq(productCommissionRates.productId, productId)))
+      .limit(1);
+
+    if (existingRate.length === 0) {
+      return res.status(404).json({
+        error: 'Commission rate not found',
+        code: 'COMMISSION_RATE_NOT_FOUND'
+      });
+    }
+
+    const overlapping = await findOverlappingRate({ productId, commissionType, effectiveFrom, effectiveTo, excludeId: rateId });
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'This period overlaps an existing rate of the same type',
+        code: 'COMMISSION_RATE_OVERLAP',
+        conflictingRateId: overlapping.id
+      });
+    }
+
+    const updatedRate = await db.update(productCommissionRates)
+      .set({
+        commissionType,
+        rate: parseFloat(rate),
+        effectiveFrom,
+        effectiveTo: effectiveTo || null,
+        updatedAt: new Date()
+      })
+      .where(eq(productCommissionRates.id, rateId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'commission_rate', before: existingRate[0], after: updatedRate[0] });
+
+    res.json({
+      message: 'Commission rate updated successfully',
+      commissionRate: updatedRate[0]
+    });
+
+  } catch (error) {
+    console.error('Update commission rate error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /:id/commission-rates/:rateId - Remove a commission rate (needs products.manage)
+// Sales keep the rate they were created with, so removing a rate never changes past commissions
+router.delete('/:id/commission-rates/:rateId', authenticateToken, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const rateId = parseInt(req.params.rateId);
+
+    const existingRate = await db.select()
+      .from(productCommissionRates)
+      .where(and(eq(productCommissionRates.id, rateId), eq(productCommissionRates.productId, productId)))
+      .limit(1);
+
+    if (existingRate.length === 0) {
+      return res.status(404).json({
+        error: 'Commission rate not found',
+        code: 'COMMISSION_RATE_NOT_FOUND'
+      });
+    }
+
+    await db.delete(productCommissionRates).where(eq(productCommissionRates.id, rateId));
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'commission_rate', before: existingRate[0] });
+
+    res.json({
+      message: 'Commission rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete commission rate error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 export default router;
@@ -1,9 +1,38 @@
 import express from 'express';
+import fs from 'fs';
 import { body, validationResult, query } from 'express-validator';
 import { db } from '../config/database.js';
-import { reminders, clients, users } from '../models/schema.js';
+import { reminders, reminderSeries, reminderSnoozes, clients, users } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { eq, and, like, desc, asc, or, gte, lte, count } from 'drizzle-orm';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { uploadCalendar } from '../middleware/upload.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { notifyUser } from '../services/notificationService.js';
+import { isValidTimeZone } from '../utils/cron.js';
+import { EXPORT_FORMATS, sendExport } from '../services/exportService.js';
+import {
+  EDIT_SCOPES,
+  normaliseRecurrence,
+  getSeries,
+  startSeries,
+  createNextOccurrence,
+  updateSeries,
+  endSeries,
+  deleteSeries
+} from '../services/reminderSeriesService.js';
+import {
+  getFeedToken,
+  createFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+  buildReminderFeed,
+  previewCalendarImport,
+  commitCalendarImport
+} from '../services/reminderCalendarService.js';
+import { SNOOZE_PRESETS, snoozeReminder, getSnoozeHistory, reassignReminder } from '../services/reminderWorkflowService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+import { userCan } from '../services/permissionService.js';
+import { eq, and, like, desc, asc, or, gte, lte, lt, count, isNull } from 'drizzle-orm';
 
 const router = express.Router();
 
@@ -22,19 +51,77 @@ const validateReminder = [
   body('client_id').optional().custom((value) => {
     if (value === null || value === undefined || value === '') return true;
     return Number.isInteger(parseInt(value)) && parseInt(value) > 0;
-  }).withMessage('Client ID must be a positive integer if provided')
+  }).withMessage('Client ID must be a positive integer if provided'),
+  body('recurrenceRule').optional({ values: 'null' }).isString().isLength({ max: 255 }).withMessage('Recurrence rule must be at most 255 characters'),
+  body('timeZone').optional({ values: 'falsy' }).isLength({ max: 100 }).withMessage('Time zone must be at most 100 characters'),
+  body('scope').optional().isIn(EDIT_SCOPES).withMessage('Scope must be occurrence or series')
 ];
 
-// GET / - Get reminders (filtered by user role)
-router.get('/', authenticateToken, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+const RECURRENCE_ERROR_STATUS = {
+  INVALID_RECURRENCE: 400,
+  INVALID_TIMEZONE: 400
+};
+
+const REMINDER_ACTION_ERROR_STATUS = {
+  INVALID_SNOOZE: 400,
+  ALREADY_COMPLETED: 400,
+  SAME_AGENT: 400
+};
 
+// Filters shared by the reminder list and the reminder export
+const reminderListFilters = [
   query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Valid priority is required'),
   query('type').optional().isIn(['call_back', 'outstanding_documents', 'delayed_start_date', 'follow_up', 'policy_renewal']).withMessage('Valid reminder type is required'),
   query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  query('view').optional().isIn(['mine', 'escalated']).withMessage('View must be mine or escalated')
   // Note: agent_id parameter removed since managers now only see their own reminders
+];
+
+// Function to build the where conditions for the reminder list filters. Everyone sees only their own reminders,
+// except that view=escalated lists other agents' overdue reminders that were escalated to the user.
+const buildReminderFilters = (req) => {
+  const { priority, type, startDate, endDate, view } = req.query;
+  const whereConditions = [
+    view === 'escalated' ? eq(reminders.escalatedTo, req.user.id) : eq(reminders.agentId, req.user.id)
+  ];
+
+  if (priority) {
+    whereConditions.push(eq(reminders.priority, priority));
+  }
+  if (type) {
+    whereConditions.push(eq(reminders.type, type));
+  }
+
+  // Date range filter
+  if (startDate) {
+    whereConditions.push(gte(reminders.reminderDate, startDate));
+  }
+  if (endDate) {
+    whereConditions.push(lte(reminders.reminderDate, endDate));
+  }
+
+  return whereConditions;
+};
+
+const REMINDER_EXPORT_COLUMNS = [
+  { header: 'ID', value: reminder => reminder.id, type: 'number', width: 8 },
+  { header: 'Title', value: reminder => reminder.title, width: 25 },
+  { header: 'Type', value: reminder => reminder.type, width: 16 },
+  { header: 'Priority', value: reminder => reminder.priority, width: 10 },
+  { header: 'Due', value: reminder => reminder.reminderDate, type: 'datetime', width: 18 },
+  { header: 'Completed', value: reminder => reminder.isCompleted, type: 'boolean', width: 10 },
+  { header: 'Client', value: reminder => [reminder.clientFirstName, reminder.clientLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Client Phone', value: reminder => reminder.clientPhone, width: 14 },
+  { header: 'Description', value: reminder => reminder.description, width: 35 },
+  { header: 'Created At', value: reminder => reminder.createdAt, type: 'datetime', width: 18 }
+];
+
+// GET / - Get reminders (filtered by user role)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ...reminderListFilters
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -50,35 +137,13 @@ router.get('/', authenticateToken, [
       });
     }
 
-    const { page = 1, limit = 20, priority, type, startDate, endDate } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
-    const userId = req.user.id;
     const userRole = req.user.role;
 
-    // Build where conditions
-    let whereConditions = [];
-
-    // Role-based filtering - Both managers and agents see only their own reminders
-    whereConditions.push(eq(reminders.agentId, userId));
+    // Build where conditions - both managers and agents see only their own reminders
+    const whereConditions = buildReminderFilters(req);
     console.log(`👤 ${userRole === 'manager' ? 'Manager' : 'Agent'} access: viewing own reminders only`);
-    
-    // Note: Removed agent_id filtering since managers now only see their own reminders
-    
-    // Apply other filters for all users
-    if (priority) {
-      whereConditions.push(eq(reminders.priority, priority));
-    }
-    if (type) {
-      whereConditions.push(eq(reminders.type, type));
-    }
-
-    // Date range filter
-    if (startDate) {
-      whereConditions.push(gte(reminders.reminderDate, startDate));
-    }
-    if (endDate) {
-      whereConditions.push(lte(reminders.reminderDate, endDate));
-    }
 
     // Build query
     let query = db.select({
@@ -94,11 +159,19 @@ router.get('/', authenticateToken, [
       client_id: reminders.clientId, // Add client_id for reference
       client_name: clients.firstName, // We'll handle concatenation in the response
       client_last_name: clients.lastName, // Add last name separately
-      agent_id: reminders.agentId
+      agent_id: reminders.agentId,
+      agent_first_name: users.firstName,
+      agent_last_name: users.lastName,
+      series_id: reminders.seriesId,
+      occurrence_date: reminders.occurrenceDate,
+      recurrence_rule: reminderSeries.recurrenceRule,
+      snooze_count: reminders.snoozeCount,
+      escalated_at: reminders.escalatedAt
     })
     .from(reminders)
     .leftJoin(clients, eq(reminders.clientId, clients.id))
-    .leftJoin(users, eq(reminders.agentId, users.id));
+    .leftJoin(users, eq(reminders.agentId, users.id))
+    .leftJoin(reminderSeries, eq(reminders.seriesId, reminderSeries.id));
 
     if (whereConditions.length > 0) {
       query = query.where(and(...whereConditions));
@@ -184,26 +257,44 @@ router.post('/', authenticateToken, validateReminder, async (req, res) => {
       });
     }
 
-    // Create reminder
-    const newReminder = await db.insert(reminders).values({
-      title: reminderData.title,
-      description: reminderData.description,
-      reminderDate: reminderData.reminderDate,
-      priority: reminderData.priority,
-      type: reminderData.type,
-      clientId: reminderData.clientId,
-      agentId: userId,
-      isCompleted: false,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    }).returning();
+    const recurrence = requestBody.recurrenceRule ? normaliseRecurrence(requestBody) : null;
+
+    // Create reminder, as the first occurrence of a new series when it repeats
+    const { reminder: newReminder, series } = await db.transaction(async (tx) => {
+      const [createdReminder] = await tx.insert(reminders).values({
+        title: reminderData.title,
+        description: reminderData.description,
+        reminderDate: reminderData.reminderDate,
+        priority: reminderData.priority,
+        type: reminderData.type,
+        clientId: reminderData.clientId,
+        agentId: userId,
+        isCompleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }).returning();
+
+      return recurrence ? startSeries(createdReminder, recurrence, tx) : { reminder: createdReminder, series: null };
+    });
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'reminder', after: newReminder });
+    if (series) {
+      await recordAuditEvent(req, { action: 'create', entityType: 'reminder_series', entityId: series.id, after: series });
+    }
 
     res.status(201).json({
       message: 'Reminder created successfully',
-      reminder: newReminder[0]
+      reminder: newReminder,
+      series
     });
 
   } catch (error) {
+    if (RECURRENCE_ERROR_STATUS[error.code]) {
+      return res.status(RECURRENCE_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
     console.error('Create reminder error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -212,12 +303,336 @@ router.post('/', authenticateToken, validateReminder, async (req, res) => {
   }
 });
 
+// GET /export - Export reminders as CSV, XLSX or PDF using the same filters as GET /
+router.get('/export', authenticateToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or pdf'),
+  ...reminderListFilters
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const whereConditions = buildReminderFilters(req);
+
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'reminders',
+      title: 'Reminders',
+      filters: {
+        Priority: req.query.priority,
+        Type: req.query.type,
+        From: req.query.startDate,
+        To: req.query.endDate
+      },
+      columns: REMINDER_EXPORT_COLUMNS,
+      fetchBatch: (offset, limit) => db.select({
+        id: reminders.id,
+        title: reminders.title,
+        description: reminders.description,
+        reminderDate: reminders.reminderDate,
+        priority: reminders.priority,
+        type: reminders.type,
+        isCompleted: reminders.isCompleted,
+        createdAt: reminders.createdAt,
+        clientFirstName: clients.firstName,
+        clientLastName: clients.lastName,
+        clientPhone: clients.phone
+      })
+        .from(reminders)
+        .leftJoin(clients, eq(reminders.clientId, clients.id))
+        .where(and(...whereConditions))
+        .orderBy(asc(reminders.reminderDate), asc(reminders.id))
+        .limit(limit)
+        .offset(offset)
+    });
+
+  } catch (error) {
+    console.error('Export reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /calendar.ics - iCalendar feed of the user's open reminders for calendar apps to subscribe to
+// Calendar apps can't send our auth header, so the feed is authenticated by the secret token in its URL instead
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const user = await findFeedUser(req.query.token);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or revoked calendar feed link',
+        code: 'INVALID_CALENDAR_TOKEN'
+      });
+    }
+
+    const calendar = await buildReminderFeed(user);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="reminders.ics"');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Get reminder calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /calendar-feed - Whether the user has a calendar feed link, and when it was created and last used
+router.get('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const feed = await getFeedToken(req.user.id);
+    res.json({ feed });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /calendar-feed - Create a calendar feed link; any earlier link stops working. The token is only returned here.
+router.post('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const token = await createFeedToken(req.user.id);
+
+    console.log(`📅 Calendar feed link created for user ${req.user.id}`);
+
+    res.status(201).json({
+      message: 'Calendar feed link created',
+      token,
+      path: `/reminders/calendar.ics?token=${token}`,
+      feed: await getFeedToken(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /calendar-feed - Turn off the calendar feed; subscribed calendars stop updating
+router.delete('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Calendar feed not found',
+        code: 'CALENDAR_FEED_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Calendar feed turned off'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /import - Create reminders from the events in an .ics file
+// With dryRun (the default) nothing is written and the per-event preview is returned
+router.post('/import', authenticateToken, uploadCalendar, [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('includePast').optional().isBoolean().withMessage('includePast must be a boolean'),
+  body('timeZone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone'),
+  body('type').optional().isIn(['call_back', 'outstanding_documents', 'delayed_start_date', 'follow_up', 'policy_renewal']).withMessage('Valid reminder type is required')
+], async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Calendar file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+    const text = await fs.promises.readFile(filePath, 'utf8');
+
+    const preview = await previewCalendarImport(req.user.id, text, {
+      // Floating and all-day event times are read in the importer's time zone
+      timeZone: req.body.timeZone || 'UTC',
+      includePast: req.body.includePast === 'true' || req.body.includePast === true
+    });
+
+    if (dryRun) {
+      return res.json({
+        message: 'Calendar import preview generated successfully',
+        dryRun: true,
+        ...preview
+      });
+    }
+
+    const created = await commitCalendarImport(req.user.id, preview, { type: req.body.type || 'follow_up' });
+
+    for (const reminder of created) {
+      await recordAuditEvent(req, { action: 'import', entityType: 'reminder', entityId: reminder.id, after: reminder });
+    }
+
+    console.log(`📅 Calendar import - ${created.length} reminder(s) for user ${req.user.id}`);
+
+    res.status(201).json({
+      message: 'Reminders imported successfully',
+      dryRun: false,
+      summary: {
+        ...preview.summary,
+        importedCount: created.length
+      },
+      events: preview.events
+    });
+
+  } catch (error) {
+    if (['INVALID_CALENDAR', 'EMPTY_IMPORT', 'IMPORT_TOO_LARGE'].includes(error.code)) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Import reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
+// GET /upcoming - Open reminders for the dashboard: the next ones due and an overdue bucket, with a total for each
+router.get('/upcoming', authenticateToken, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('agent_id').optional().isInt({ min: 1 }).withMessage('Agent ID must be a positive integer')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const now = new Date();
+
+    // Build where conditions
+    const whereConditions = [
+      or(eq(reminders.isCompleted, false), isNull(reminders.isCompleted))
+    ];
+
+    // Org-scoped filtering; agent_id narrows it down to one agent
+    const scopeCondition = scopeToOrg(await getOrgScope(req), reminders.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+    if (req.query.agent_id) {
+      whereConditions.push(eq(reminders.agentId, parseInt(req.query.agent_id)));
+    }
+
+    const upcomingConditions = and(...whereConditions, gte(reminders.reminderDate, now));
+    const overdueConditions = and(...whereConditions, lt(reminders.reminderDate, now));
+
+    // Reminders in one bucket, soonest (or longest overdue) first
+    const selectReminders = (conditions) => db.select({
+      id: reminders.id,
+      title: reminders.title,
+      description: reminders.description,
+      reminder_date: reminders.reminderDate, // Frontend expects reminder_date
+      priority: reminders.priority,
+      status: reminders.type, // Frontend expects status, not type
+      is_completed: reminders.isCompleted, // Frontend expects is_completed
+      client_id: reminders.clientId, // Add client_id for reference
+      client_name: clients.firstName, // We'll handle concatenation in the response
+      client_last_name: clients.lastName, // Add last name separately
+      agent_id: reminders.agentId,
+      series_id: reminders.seriesId,
+      recurrence_rule: reminderSeries.recurrenceRule,
+      snooze_count: reminders.snoozeCount,
+      escalated_at: reminders.escalatedAt
+    })
+    .from(reminders)
+    .leftJoin(clients, eq(reminders.clientId, clients.id))
+    .leftJoin(reminderSeries, eq(reminders.seriesId, reminderSeries.id))
+    .where(conditions)
+    .orderBy(asc(reminders.reminderDate))
+    .limit(limit);
+
+    const upcomingReminders = await selectReminders(upcomingConditions);
+    const overdueReminders = await selectReminders(overdueConditions);
+    const [upcomingTotal] = await db.select({ count: count(reminders.id) }).from(reminders).where(upcomingConditions);
+    const [overdueTotal] = await db.select({ count: count(reminders.id) }).from(reminders).where(overdueConditions);
+
+    // Process results to concatenate client names
+    const processReminders = (results) => results.map(reminder => ({
+      ...reminder,
+      client_name: reminder.client_name && reminder.client_last_name ? 
+        `${reminder.client_name} ${reminder.client_last_name}` : 
+        null
+    }));
+
+    res.json({
+      message: 'Upcoming reminders retrieved successfully',
+      reminders: processReminders(upcomingReminders),
+      overdue: processReminders(overdueReminders),
+      counts: {
+        upcoming: upcomingTotal?.count || 0,
+        overdue: overdueTotal?.count || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get upcoming reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /:id - Get reminder by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const reminderId = parseInt(req.params.id);
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Get reminder with client and agent information
     const reminder = await db.select({
@@ -233,11 +648,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
       client_id: reminders.clientId, // Add client_id for reference
       client_name: clients.firstName, // We'll handle concatenation in the response
       client_last_name: clients.lastName, // Add last name separately
-      agent_id: reminders.agentId
+      agent_id: reminders.agentId,
+      series_id: reminders.seriesId,
+      occurrence_date: reminders.occurrenceDate,
+      recurrence_rule: reminderSeries.recurrenceRule,
+      recurrence_time_zone: reminderSeries.timeZone
     })
     .from(reminders)
     .leftJoin(clients, eq(reminders.clientId, clients.id))
     .leftJoin(users, eq(reminders.agentId, users.id))
+    .leftJoin(reminderSeries, eq(reminders.seriesId, reminderSeries.id))
     .where(eq(reminders.id, reminderId))
     .limit(1);
 
@@ -259,7 +679,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     };
 
     // Check access permissions
-    if (processedItem.agent_id !== userId && userRole !== 'manager') {
+    if (!canSeeAgent(await getOrgScope(req), processedItem.agent_id)) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -280,7 +700,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /:id - Update reminder
+// PUT /:id - Update reminder; for a repeating reminder, scope=series applies the change (and recurrenceRule) to the whole series
 router.put('/:id', authenticateToken, validateReminder, async (req, res) => {
   try {
     // Check validation errors
@@ -298,13 +718,9 @@ router.put('/:id', authenticateToken, validateReminder, async (req, res) => {
 
     const reminderId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Check if reminder exists and user has permission to edit
-    const existingReminder = await db.select({
-      id: reminders.id,
-      agentId: reminders.agentId
-    })
+    const existingReminder = await db.select()
     .from(reminders)
     .where(eq(reminders.id, reminderId))
     .limit(1);
@@ -319,7 +735,8 @@ router.put('/:id', authenticateToken, validateReminder, async (req, res) => {
     const item = existingReminder[0];
 
     // Check edit permissions
-    if (item.agentId !== userId && userRole !== 'manager') {
+    if (!canSeeAgent(await getOrgScope(req), item.agentId)
+      || (item.agentId !== userId && !(await userCan(req, 'reminders.edit_others')))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -348,18 +765,60 @@ router.put('/:id', authenticateToken, validateReminder, async (req, res) => {
       });
     }
 
-    // Update reminder
-    const updatedReminder = await db.update(reminders)
-      .set(updateData)
-      .where(eq(reminders.id, reminderId))
-      .returning();
+    const series = item.seriesId ? await getSeries(item.seriesId) : null;
+    const scope = series && requestBody.scope === 'series' ? 'series' : 'occurrence';
+
+    // recurrenceRule only applies to one-off reminders (to start a series) or to series edits; an empty rule stops the series
+    const ruleGiven = requestBody.recurrenceRule !== undefined && (!series || scope === 'series');
+    const recurrence = ruleGiven && requestBody.recurrenceRule
+      ? normaliseRecurrence(requestBody)
+      : scope === 'series' && !ruleGiven
+        ? { recurrenceRule: series.recurrenceRule, timeZone: series.timeZone }
+        : null;
+
+    const result = await db.transaction(async (tx) => {
+      if (scope === 'series' && recurrence) {
+        return updateSeries(series, item, updateData, recurrence, tx);
+      }
+
+      if (scope === 'series') {
+        await endSeries(series.id, tx);
+      }
+
+      const [updated] = await tx.update(reminders)
+        .set(updateData)
+        .where(eq(reminders.id, reminderId))
+        .returning();
+
+      return !series && recurrence ? startSeries(updated, recurrence, tx) : { reminder: updated, series: null };
+    });
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'reminder', before: item, after: result.reminder });
+    if (scope === 'series') {
+      await recordAuditEvent(req, {
+        action: result.series ? 'update' : 'delete',
+        entityType: 'reminder_series',
+        entityId: series.id,
+        before: series,
+        after: result.series
+      });
+    } else if (result.series) {
+      await recordAuditEvent(req, { action: 'create', entityType: 'reminder_series', entityId: result.series.id, after: result.series });
+    }
 
     res.json({
-      message: 'Reminder updated successfully',
-      reminder: updatedReminder[0]
+      message: scope === 'series' && result.series ? 'Reminder series updated successfully' : 'Reminder updated successfully',
+      reminder: result.reminder,
+      series: result.series
     });
 
   } catch (error) {
+    if (RECURRENCE_ERROR_STATUS[error.code]) {
+      return res.status(RECURRENCE_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
     console.error('Update reminder error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -368,18 +827,26 @@ router.put('/:id', authenticateToken, validateReminder, async (req, res) => {
   }
 });
 
-// DELETE /:id - Delete reminder
-router.delete('/:id', authenticateToken, async (req, res) => {
+// DELETE /:id - Delete reminder; deleting an open occurrence moves its series on, and scope=series deletes the whole series
+router.delete('/:id', authenticateToken, [
+  query('scope').optional().isIn(EDIT_SCOPES).withMessage('Scope must be occurrence or series')
+], async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
     const reminderId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Check if reminder exists and user has permission to delete
-    const existingReminder = await db.select({
-      id: reminders.id,
-      agentId: reminders.agentId
-    })
+    const existingReminder = await db.select()
     .from(reminders)
     .where(eq(reminders.id, reminderId))
     .limit(1);
@@ -394,18 +861,47 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const item = existingReminder[0];
 
     // Check delete permissions
-    if (item.agentId !== userId && userRole !== 'manager') {
+    if (!canSeeAgent(await getOrgScope(req), item.agentId)
+      || (item.agentId !== userId && !(await userCan(req, 'reminders.edit_others')))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
       });
     }
 
-    // Delete reminder
-    await db.delete(reminders).where(eq(reminders.id, reminderId));
+    const series = item.seriesId ? await getSeries(item.seriesId) : null;
+
+    if (series && req.query.scope === 'series') {
+      await db.transaction(async (tx) => {
+        await deleteSeries(series.id, tx);
+        // The occurrence being looked at goes too, even if it was already completed
+        await tx.delete(reminderSnoozes).where(eq(reminderSnoozes.reminderId, reminderId));
+        await tx.delete(reminders).where(eq(reminders.id, reminderId));
+      });
+
+      await recordAuditEvent(req, { action: 'delete', entityType: 'reminder', before: item });
+      await recordAuditEvent(req, { action: 'delete', entityType: 'reminder_series', entityId: series.id, before: series });
+
+      return res.json({
+        message: 'Reminder series deleted successfully'
+      });
+    }
+
+    // Delete reminder; skipping an open occurrence of a series schedules the next one
+    const nextReminder = await db.transaction(async (tx) => {
+      await tx.delete(reminderSnoozes).where(eq(reminderSnoozes.reminderId, reminderId));
+      await tx.delete(reminders).where(eq(reminders.id, reminderId));
+      return item.isCompleted ? null : createNextOccurrence(item, tx);
+    });
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'reminder', before: item });
+    if (nextReminder) {
+      await recordAuditEvent(req, { action: 'create', entityType: 'reminder', after: nextReminder });
+    }
 
     res.json({
-      message: 'Reminder deleted successfully'
+      message: 'Reminder deleted successfully',
+      nextReminder
     });
 
   } catch (error) {
@@ -417,60 +913,69 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /upcoming - Get upcoming reminders for dashboard
-router.get('/upcoming', authenticateToken, async (req, res) => {
+// PUT /:id/complete - Mark reminder as completed; for a repeating reminder this creates the next occurrence
+router.put('/:id/complete', authenticateToken, async (req, res) => {
   try {
+    const reminderId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
-    const today = new Date().toISOString().split('T')[0]; // Get today's date as YYYY-MM-DD
 
-    // Build where conditions
-    let whereConditions = [
-      gte(reminders.reminderDate, today),
-      eq(reminders.isCompleted, false)
-    ];
+    // Check if reminder exists and user has permission to complete
+    const existingReminder = await db.select()
+    .from(reminders)
+    .where(eq(reminders.id, reminderId))
+    .limit(1);
+
+    if (!existingReminder || existingReminder.length === 0) {
+      return res.status(404).json({
+        error: 'Reminder not found',
+        code: 'REMINDER_NOT_FOUND'
+      });
+    }
+
+    const item = existingReminder[0];
 
-    // Role-based filtering
-    if (userRole !== 'manager') {
-      whereConditions.push(eq(reminders.agentId, userId));
+    // Check permissions
+    if (!canSeeAgent(await getOrgScope(req), item.agentId)
+      || (item.agentId !== userId && !(await userCan(req, 'reminders.edit_others')))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
     }
 
-    // Get upcoming reminders
-    const upcomingReminders = await db.select({
-      id: reminders.id,
-      title: reminders.title,
-      description: reminders.description,
-      reminder_date: reminders.reminderDate, // Frontend expects reminder_date
-      priority: reminders.priority,
-      status: reminders.type, // Frontend expects status, not type
-      is_completed: reminders.isCompleted, // Frontend expects is_completed
-      client_id: reminders.clientId, // Add client_id for reference
-      client_name: clients.firstName, // We'll handle concatenation in the response
-      client_last_name: clients.lastName, // Add last name separately
-      agent_id: reminders.agentId
-    })
-    .from(reminders)
-    .leftJoin(clients, eq(reminders.clientId, clients.id))
-    .leftJoin(users, eq(reminders.agentId, users.id))
-    .where(and(...whereConditions))
-    .orderBy(asc(reminders.reminderDate))
-    .limit(10);
+    if (item.isCompleted) {
+      return res.status(400).json({
+        error: 'Reminder is already completed',
+        code: 'ALREADY_COMPLETED'
+      });
+    }
 
-    // Process results to concatenate client names
-    const processedUpcomingReminders = upcomingReminders.map(reminder => ({
-      ...reminder,
-      client_name: reminder.client_name && reminder.client_last_name ? 
-        `${reminder.client_name} ${reminder.client_last_name}` : 
-        null
-    }));
+    // Mark as completed
+    const { updatedReminder, nextReminder } = await db.transaction(async (tx) => {
+      const [completed] = await tx.update(reminders)
+        .set({
+          isCompleted: true,
+          updatedAt: new Date()
+        })
+        .where(eq(reminders.id, reminderId))
+        .returning();
+
+      return { updatedReminder: completed, nextReminder: await createNextOccurrence(completed, tx) };
+    });
+
+    await recordAuditEvent(req, { action: 'complete', entityType: 'reminder', before: item, after: updatedReminder });
+    if (nextReminder) {
+      await recordAuditEvent(req, { action: 'create', entityType: 'reminder', after: nextReminder });
+    }
 
     res.json({
-      message: 'Upcoming reminders retrieved successfully',
-      reminders: processedUpcomingReminders
+      message: nextReminder ? 'Reminder marked as completed; the next occurrence has been scheduled' : 'Reminder marked as completed',
+      reminder: updatedReminder,
+      nextReminder
     });
 
   } catch (error) {
-    console.error('Get upcoming reminders error:', error);
+    console.error('Complete reminder error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -478,19 +983,27 @@ router.get('/upcoming', authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /:id/complete - Mark reminder as completed
-router.put('/:id/complete', authenticateToken, async (req, res) => {
+// POST /:id/snooze - Push a reminder back 15 minutes, an hour, to tomorrow morning or to a custom time; every snooze is kept
+router.post('/:id/snooze', authenticateToken, [
+  body('preset').isIn(SNOOZE_PRESETS).withMessage(`Snooze must be one of ${SNOOZE_PRESETS.join(', ')}`),
+  body('until').if(body('preset').equals('custom')).isISO8601().withMessage('Valid snooze date is required for a custom snooze'),
+  body('timeZone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone')
+], async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
     const reminderId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
-    // Check if reminder exists and user has permission to complete
-    const existingReminder = await db.select({
-      id: reminders.id,
-      agentId: reminders.agentId,
-      isCompleted: reminders.isCompleted
-    })
+    const existingReminder = await db.select()
     .from(reminders)
     .where(eq(reminders.id, reminderId))
     .limit(1);
@@ -505,36 +1018,184 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
     const item = existingReminder[0];
 
     // Check permissions
-    if (item.agentId !== userId && userRole !== 'manager') {
+    if (!canSeeAgent(await getOrgScope(req), item.agentId)
+      || (item.agentId !== userId && !(await userCan(req, 'reminders.edit_others')))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
       });
     }
 
-    if (item.isCompleted) {
+    const { reminder: snoozedReminder, snooze } = await snoozeReminder(item, {
+      preset: req.body.preset,
+      until: req.body.until,
+      timeZone: req.body.timeZone || 'UTC',
+      userId
+    });
+
+    await recordAuditEvent(req, { action: 'snooze', entityType: 'reminder', before: item, after: snoozedReminder });
+
+    res.json({
+      message: 'Reminder snoozed',
+      reminder: snoozedReminder,
+      snooze
+    });
+
+  } catch (error) {
+    if (REMINDER_ACTION_ERROR_STATUS[error.code]) {
+      return res.status(REMINDER_ACTION_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Snooze reminder error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /:id/snoozes - Snooze history of a reminder, newest first
+router.get('/:id/snoozes', authenticateToken, async (req, res) => {
+  try {
+    const reminderId = parseInt(req.params.id);
+
+    const existingReminder = await db.select({ agentId: reminders.agentId })
+    .from(reminders)
+    .where(eq(reminders.id, reminderId))
+    .limit(1);
+
+    if (!existingReminder || existingReminder.length === 0) {
+      return res.status(404).json({
+        error: 'Reminder not found',
+        code: 'REMINDER_NOT_FOUND'
+      });
+    }
+
+    // Check permissions
+    if (!canSeeAgent(await getOrgScope(req), existingReminder[0].agentId)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const snoozes = await getSnoozeHistory(reminderId);
+
+    res.json({
+      message: 'Snooze history retrieved successfully',
+      snoozes
+    });
+
+  } catch (error) {
+    console.error('Get snooze history error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /:id/reassign - Give a reminder to another agent (e.g. while its agent is on leave); scope=series moves the whole series
+router.put('/:id/reassign', authenticateToken, requirePermission('reminders.reassign'), [
+  body('agentId').isInt({ min: 1 }).withMessage('Valid agent ID is required'),
+  body('scope').optional().isIn(EDIT_SCOPES).withMessage('Scope must be occurrence or series')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Reminder is already completed',
-        code: 'ALREADY_COMPLETED'
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
       });
     }
 
-    // Mark as completed
-    const updatedReminder = await db.update(reminders)
-      .set({
-        isCompleted: true,
-        updatedAt: new Date()
-      })
-      .where(eq(reminders.id, reminderId))
-      .returning();
+    const reminderId = parseInt(req.params.id);
+
+    const existingReminder = await db.select()
+    .from(reminders)
+    .where(eq(reminders.id, reminderId))
+    .limit(1);
+
+    if (!existingReminder || existingReminder.length === 0) {
+      return res.status(404).json({
+        error: 'Reminder not found',
+        code: 'REMINDER_NOT_FOUND'
+      });
+    }
+
+    const item = existingReminder[0];
+
+    // Reminders can only be moved within the part of the org the user can see
+    const scope = await getOrgScope(req);
+    if (!canSeeAgent(scope, item.agentId)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const agent = await db.select({ id: users.id, firstName: users.firstName, lastName: users.lastName })
+      .from(users)
+      .where(and(
+        eq(users.id, parseInt(req.body.agentId)),
+        eq(users.isActive, true),
+        isNull(users.deletedAt),
+        scopeToOrg(scope, users.id)
+      ))
+      .limit(1);
+    if (agent.length === 0) {
+      return res.status(400).json({
+        error: 'Agent not found or inactive',
+        code: 'AGENT_NOT_FOUND'
+      });
+    }
+
+    const { reminders: reassignedReminders, series } = await reassignReminder(item, agent[0].id, { scope: req.body.scope });
+
+    for (const reassigned of reassignedReminders) {
+      const before = reassigned.id === item.id ? item : { ...reassigned, agentId: item.agentId };
+      await recordAuditEvent(req, { action: 'reassign', entityType: 'reminder', before, after: reassigned });
+    }
+    if (series) {
+      await recordAuditEvent(req, {
+        action: 'reassign',
+        entityType: 'reminder_series',
+        entityId: series.id,
+        before: { ...series, agentId: item.agentId },
+        after: series
+      });
+    }
+
+    const reassignedReminder = reassignedReminders.find(reminder => reminder.id === item.id);
+    await notifyUser(agent[0].id, {
+      type: 'reminder_assigned',
+      title: 'Reminder assigned to you',
+      message: `${req.user.firstName} ${req.user.lastName} assigned you "${item.title}"${series ? ' and its future occurrences' : ''}`,
+      entityType: 'reminder',
+      entityId: item.id,
+      link: '/reminders'
+    });
+
+    console.log(`🔁 Reminder ${item.id} reassigned from agent ${item.agentId} to agent ${agent[0].id}`);
 
     res.json({
-      message: 'Reminder marked as completed',
-      reminder: updatedReminder[0]
+      message: `Reminder reassigned to ${agent[0].firstName} ${agent[0].lastName}`,
+      reminder: reassignedReminder,
+      reassignedCount: reassignedReminders.length
     });
 
   } catch (error) {
-    console.error('Complete reminder error:', error);
+    if (REMINDER_ACTION_ERROR_STATUS[error.code]) {
+      return res.status(REMINDER_ACTION_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Reassign reminder error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
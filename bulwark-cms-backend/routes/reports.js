@@ -3,7 +3,8 @@ import { query, validationResult } from 'express-validator';
 import { db } from '../config/database.js';
 import { sales, clients, users, goals } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager } from '../middleware/roleCheck.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+import { userCan } from '../services/permissionService.js';
 import { eq, and, desc, asc, gte, lte, sum, count, sql } from 'drizzle-orm';
 
 const router = express.Router();
@@ -14,11 +15,10 @@ router.get('/dashboard', authenticateToken, [
 ], async (req, res) => {
   try {
     const { user_id } = req.query;
-    const userId = user_id || req.user.id;
-    const userRole = req.user.role;
+    const userId = user_id ? parseInt(user_id) : req.user.id;
 
     // Check permissions
-    if (userRole !== 'manager' && userId !== req.user.id) {
+    if (!canSeeAgent(await getOrgScope(req), userId)) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -91,8 +91,6 @@ router.get('/sales', authenticateToken, [
     }
 
     const { startDate, endDate, agentId, productId, status, groupBy = 'month' } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validate agent ID if provided
     let parsedAgentId = undefined;
@@ -127,9 +125,10 @@ router.get('/sales', authenticateToken, [
       whereConditions.push(eq(sales.status, status));
     }
 
-    // Role-based filtering
-    if (userRole !== 'manager') {
-      whereConditions.push(eq(sales.agentId, userId));
+    // Org-scoped filtering
+    const scopeCondition = scopeToOrg(await getOrgScope(req), sales.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
     let reportQuery;
@@ -302,8 +301,6 @@ router.get('/performance', authenticateToken, [
     }
 
     const { startDate, endDate, agentId } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validate agent ID if provided
     let parsedAgentId = undefined;
@@ -332,9 +329,10 @@ router.get('/performance', authenticateToken, [
       whereConditions.push(eq(sales.agentId, parsedAgentId));
     }
 
-    // Role-based filtering
-    if (userRole !== 'manager') {
-      whereConditions.push(eq(sales.agentId, userId));
+    // Org-scoped filtering
+    const scopeCondition = scopeToOrg(await getOrgScope(req), users.id);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
     // Get agent performance data
@@ -420,12 +418,11 @@ router.get('/team', authenticateToken, [
 
     const { startDate, endDate } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
-    // Only managers can access team reports
-    if (userRole !== 'manager') {
+    // Team reports need reports.view_team
+    if (!(await userCan(req, 'reports.view_team'))) {
       return res.status(403).json({
-        error: 'Access denied. Manager role required.',
+        error: 'Access denied. Team report permission required.',
         code: 'ACCESS_DENIED'
       });
     }
@@ -440,6 +437,12 @@ router.get('/team', authenticateToken, [
       whereConditions.push(lte(sales.saleDate, endDate));
     }
 
+    // Managers below the top of the org only see their own part of it
+    const scopeCondition = scopeToOrg(await getOrgScope(req), users.id);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+
     // Get team performance data with user details
     const teamPerformance = await db.select({
       id: users.id,
@@ -525,8 +528,6 @@ router.get('/goals', authenticateToken, [
     }
 
     const { startDate, endDate, goalType } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Build where conditions
     let whereConditions = [];
@@ -541,9 +542,10 @@ router.get('/goals', authenticateToken, [
       whereConditions.push(eq(goals.goalType, goalType));
     }
 
-    // Role-based filtering
-    if (userRole !== 'manager') {
-      whereConditions.push(eq(goals.agentId, userId));
+    // Org-scoped filtering
+    const scopeCondition = scopeToOrg(await getOrgScope(req), goals.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
     // Get goal progress data
@@ -672,9 +674,11 @@ router.get('/comprehensive', authenticateToken, [
       whereConditions.push(eq(sales.agentId, parsedAgentId));
     }
 
-    // Role-based filtering
-    if (userRole !== 'manager') {
-      whereConditions.push(eq(sales.agentId, userId));
+    // Org-scoped filtering
+    const scope = await getOrgScope(req);
+    const scopeCondition = scopeToOrg(scope, sales.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
     }
 
     // Get sales data
@@ -704,12 +708,11 @@ router.get('/comprehensive', authenticateToken, [
     })
     .from(clients);
     
-    // Apply role-based filtering for clients
-    if (userRole !== 'manager') {
-      clientsQuery = clientsQuery.where(eq(clients.agentId, userId));
-    } else if (parsedAgentId) {
-      clientsQuery = clientsQuery.where(eq(clients.agentId, parsedAgentId));
-    }
+    // Apply org-scoped filtering for clients
+    clientsQuery = clientsQuery.where(and(
+      scopeToOrg(scope, clients.agentId),
+      parsedAgentId ? eq(clients.agentId, parsedAgentId) : undefined
+    ));
     
     const clientsData = await clientsQuery;
 
@@ -723,12 +726,11 @@ router.get('/comprehensive', authenticateToken, [
     })
     .from(goals);
     
-    // Apply role-based filtering for goals
-    if (userRole !== 'manager') {
-      goalsQuery = goalsQuery.where(eq(goals.agentId, userId));
-    } else if (parsedAgentId) {
-      goalsQuery = goalsQuery.where(eq(goals.agentId, parsedAgentId));
-    }
+    // Apply org-scoped filtering for goals
+    goalsQuery = goalsQuery.where(and(
+      scopeToOrg(scope, goals.agentId),
+      parsedAgentId ? eq(goals.agentId, parsedAgentId) : undefined
+    ));
     
     const goalsData = await goalsQuery;
 
@@ -0,0 +1,228 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  getRoles,
+  getPermissions,
+  canAssignRole,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../services/permissionService.js';
+
+const router = express.Router();
+
+const ROLE_ERROR_STATUS = {
+  ROLE_EXISTS: 409,
+  SYSTEM_ROLE: 400,
+  ROLE_IN_USE: 409,
+  LAST_ROLE_MANAGER: 400
+};
+
+// Validation middleware
+const validatePermissions = body('permissions').isArray().withMessage('Permissions must be a list')
+  .custom((permissions) => {
+    const unknown = permissions.filter(permission => !PERMISSION_NAMES.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateRole = [
+  body('name').matches(/^[a-z][a-z0-9_]{1,19}$/).withMessage('Name must be 2-20 lowercase letters, digits or underscores, starting with a letter'),
+  body('label').trim().isLength({ min: 1, max: 100 }).withMessage('Label is required (1-100 characters)'),
+  body('description').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  validatePermissions
+];
+
+const validateRoleUpdate = [
+  param('id').isInt({ min: 1 }).withMessage('Valid role ID is required'),
+  body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be 1-100 characters'),
+  body('description').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  validatePermissions.optional()
+];
+
+// GET / - Get all roles and the permissions they can grant (needs roles.manage)
+router.get('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roleList = await getRoles();
+
+    res.json({
+      message: 'Roles retrieved successfully',
+      roles: roleList,
+      permissions: PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /assignable - Get the roles the user can give to others (needs users.manage)
+router.get('/assignable', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const permissions = await getPermissions(req);
+    const roleList = (await getRoles()).filter(role => canAssignRole(permissions, new Set(role.permissions || [])));
+
+    res.json({
+      message: 'Roles retrieved successfully',
+      roles: roleList.map(role => ({ name: role.name, label: role.label, description: role.description }))
+    });
+
+  } catch (error) {
+    console.error('Get assignable roles error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST / - Create a role (needs roles.manage)
+router.post('/', authenticateToken, requirePermission('roles.manage'), validateRole, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { name, label, description, permissions } = req.body;
+
+    let role;
+    try {
+      role = await createRole({ name, label, description, permissions });
+    } catch (roleError) {
+      if (ROLE_ERROR_STATUS[roleError.code]) {
+        return res.status(ROLE_ERROR_STATUS[roleError.code]).json({ error: roleError.message, code: roleError.code });
+      }
+      throw roleError;
+    }
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'role', after: role });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /:id - Update a role's label, description and permissions (needs roles.manage)
+router.put('/:id', authenticateToken, requirePermission('roles.manage'), validateRoleUpdate, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const role = await getRoleById(parseInt(req.params.id));
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    const { label, description, permissions } = req.body;
+
+    let updated;
+    try {
+      updated = await updateRole(role, { label, description, permissions });
+    } catch (roleError) {
+      if (ROLE_ERROR_STATUS[roleError.code]) {
+        return res.status(ROLE_ERROR_STATUS[roleError.code]).json({ error: roleError.message, code: roleError.code });
+      }
+      throw roleError;
+    }
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'role', before: role, after: updated });
+
+    res.json({
+      message: 'Role updated successfully',
+      role: updated
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /:id - Delete a role no one holds (needs roles.manage)
+router.delete('/:id', authenticateToken, requirePermission('roles.manage'), [
+  param('id').isInt({ min: 1 }).withMessage('Valid role ID is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const role = await getRoleById(parseInt(req.params.id));
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    try {
+      await deleteRole(role);
+    } catch (roleError) {
+      if (ROLE_ERROR_STATUS[roleError.code]) {
+        return res.status(ROLE_ERROR_STATUS[roleError.code]).json({ error: roleError.message, code: roleError.code });
+      }
+      throw roleError;
+    }
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'role', before: role });
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -1,215 +1,37 @@
 import express from 'express';
 import { body, validationResult, query } from 'express-validator';
 import { db } from '../config/database.js';
-import { sales, clients, users, products, goals } from '../models/schema.js';
+import { sales, clients, users, products, reminders, policyStatusHistory, commissionStatementLines, opportunities } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager, canViewAllData } from '../middleware/roleCheck.js';
-import { eq, and, like, or, desc, asc, gte, lte, sum, count } from 'drizzle-orm';
+import { uploadBulk } from '../middleware/upload.js';
+import { eq, and, like, or, desc, asc, gte, lte, sum, count, isNull } from 'drizzle-orm';
+import { notifySaleCreated } from '../services/notificationService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import {
+  DEFAULT_TERM_MONTHS,
+  canTransition,
+  calculateRenewalDate,
+  recordStatusChange,
+  transitionPolicy,
+  getStatusHistory
+} from '../services/policyService.js';
+import {
+  updateGoalProgress,
+  updateGoalProgressOnModify,
+  updateGoalProgressOnDelete,
+  resolveCommission,
+  createSale
+} from '../services/saleService.js';
+import { refreshStatementTotals } from '../services/commissionStatementService.js';
+import { previewSalesImport, commitSalesImport } from '../services/saleImportService.js';
+import { EXPORT_FORMATS, sendExport } from '../services/exportService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent } from '../services/orgScopeService.js';
+import { getPermissions, userCan } from '../services/permissionService.js';
+import { readSpreadsheetRows } from '../utils/spreadsheet.js';
+import fs from 'fs';
 
 const router = express.Router();
 
-// Function to update goal progress when a sale is created
-const updateGoalProgress = async (agentId, saleData) => {
-  try {
-    console.log(`🔄 Updating goal progress for agent ${agentId} after sale creation`);
-    console.log('Sale data:', saleData);
-    
-    // Get all active goals for this agent
-    const agentGoals = await db.select().from(goals).where(
-      and(
-        eq(goals.agentId, agentId),
-        eq(goals.isActive, true)
-      )
-    );
-
-    console.log(`Found ${agentGoals.length} active goals for agent ${agentId}`);
-    console.log('Agent goals:', agentGoals);
-
-    for (const goal of agentGoals) {
-      let shouldUpdate = false;
-      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
-
-      // Check if this goal should be updated based on the sale
-      switch (goal.metricType) {
-        case 'sales_amount':
-          // Update sales amount goal
-          shouldUpdate = true;
-          newCurrentValue = newCurrentValue + parseFloat(saleData.premiumAmount);
-          console.log(`📈 Updating sales_amount goal ${goal.id}: ${newCurrentValue - parseFloat(saleData.premiumAmount)} + ${saleData.premiumAmount} = ${newCurrentValue}`);
-          break;
-        
-        case 'commission':
-          // Update commission goal
-          shouldUpdate = true;
-          newCurrentValue = newCurrentValue + parseFloat(saleData.commissionAmount);
-          console.log(`💰 Updating commission goal ${goal.id}: ${newCurrentValue - parseFloat(saleData.commissionAmount)} + ${saleData.commissionAmount} = ${newCurrentValue}`);
-          break;
-        
-        case 'policies_sold':
-        case 'sales_count':
-          // Update policies sold goal (count) - both types work the same way
-          shouldUpdate = true;
-          newCurrentValue = newCurrentValue + 1;
-          console.log(`📋 Updating ${goal.metricType} goal ${goal.id}: ${newCurrentValue - 1} + 1 = ${newCurrentValue}`);
-          break;
-        
-        case 'client_count':
-        case 'new_clients':
-          // Check if this is a new client (you might need to add logic here)
-          // For now, we'll assume each sale represents a new client interaction
-          shouldUpdate = true;
-          newCurrentValue = newCurrentValue + 1;
-          console.log(`👥 Updating ${goal.metricType} goal ${goal.id}: ${newCurrentValue - 1} + 1 = ${newCurrentValue}`);
-          break;
-      }
-
-      // Update the goal if needed
-      if (shouldUpdate) {
-        await db.update(goals)
-          .set({
-            currentValue: newCurrentValue,
-            updatedAt: new Date()
-          })
-          .where(eq(goals.id, goal.id));
-        
-        console.log(`✅ Successfully updated goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error updating goal progress:', error);
-    // Don't fail the sale creation if goal update fails
-  }
-};
-
-// Function to handle goal progress updates when a sale is modified
-const updateGoalProgressOnModify = async (agentId, oldSaleData, newSaleData) => {
-  try {
-    console.log(`🔄 Updating goal progress for agent ${agentId} after sale modification`);
-    
-    // Get all active goals for this agent
-    const agentGoals = await db.select().from(goals).where(
-      and(
-        eq(goals.agentId, agentId),
-        eq(goals.isActive, true)
-      )
-    );
-
-    for (const goal of agentGoals) {
-      let shouldUpdate = false;
-      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
-
-      // Calculate the difference and update accordingly
-      switch (goal.metricType) {
-        case 'sales_amount':
-          const salesDiff = parseFloat(newSaleData.premiumAmount) - parseFloat(oldSaleData.premiumAmount);
-          if (salesDiff !== 0) {
-            shouldUpdate = true;
-            newCurrentValue = newCurrentValue + salesDiff;
-            console.log(`📈 Updating sales_amount goal ${goal.id}: ${newCurrentValue - salesDiff} + ${salesDiff} = ${newCurrentValue}`);
-          }
-          break;
-        
-        case 'commission':
-          const commissionDiff = parseFloat(newSaleData.commissionAmount) - parseFloat(oldSaleData.commissionAmount);
-          if (commissionDiff !== 0) {
-            shouldUpdate = true;
-            newCurrentValue = newCurrentValue + commissionDiff;
-            console.log(`💰 Updating commission goal ${goal.id}: ${newCurrentValue - commissionDiff} + ${commissionDiff} = ${newCurrentValue}`);
-          }
-          break;
-        
-        case 'policies_sold':
-        case 'sales_count':
-          // For policies sold and sales count, we don't change the count on update
-          break;
-        
-        case 'client_count':
-        case 'new_clients':
-          // For client count and new clients, we don't change on update
-          break;
-      }
-
-      // Update the goal if needed
-      if (shouldUpdate) {
-        await db.update(goals)
-          .set({
-            currentValue: newCurrentValue,
-            updatedAt: new Date()
-          })
-          .where(eq(goals.id, goal.id));
-        
-        console.log(`✅ Successfully updated goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error updating goal progress on modify:', error);
-  }
-};
-
-// Function to handle goal progress updates when a sale is deleted
-const updateGoalProgressOnDelete = async (agentId, saleData) => {
-  try {
-    console.log(`🔄 Updating goal progress for agent ${agentId} after sale deletion`);
-    
-    // Get all active goals for this agent
-    const agentGoals = await db.select().from(goals).where(
-      and(
-        eq(goals.agentId, agentId),
-        eq(goals.isActive, true)
-      )
-    );
-
-    for (const goal of agentGoals) {
-      let shouldUpdate = false;
-      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
-
-      // Reverse the sale impact on goals
-      switch (goal.metricType) {
-        case 'sales_amount':
-          shouldUpdate = true;
-          newCurrentValue = Math.max(0, newCurrentValue - parseFloat(saleData.premiumAmount));
-          console.log(`📈 Reversing sales_amount goal ${goal.id}: ${newCurrentValue + parseFloat(saleData.premiumAmount)} - ${saleData.premiumAmount} = ${newCurrentValue}`);
-          break;
-        
-        case 'commission':
-          shouldUpdate = true;
-          newCurrentValue = Math.max(0, newCurrentValue - parseFloat(saleData.commissionAmount));
-          console.log(`💰 Reversing commission goal ${goal.id}: ${newCurrentValue + parseFloat(saleData.commissionAmount)} - ${saleData.commissionAmount} = ${newCurrentValue}`);
-          break;
-        
-        case 'policies_sold':
-        case 'sales_count':
-          shouldUpdate = true;
-          newCurrentValue = Math.max(0, newCurrentValue - 1);
-          console.log(`📋 Reversing ${goal.metricType} goal ${goal.id}: ${newCurrentValue + 1} - 1 = ${newCurrentValue}`);
-          break;
-        
-        case 'client_count':
-        case 'new_clients':
-          shouldUpdate = true;
-          newCurrentValue = Math.max(0, newCurrentValue - 1);
-          console.log(`👥 Reversing ${goal.metricType} goal ${goal.id}: ${newCurrentValue + 1} - 1 = ${newCurrentValue}`);
-          break;
-      }
-
-      // Update the goal if needed (ensure it doesn't go below 0)
-      if (shouldUpdate) {
-        newCurrentValue = Math.max(0, newCurrentValue); // Don't allow negative values
-        await db.update(goals)
-          .set({
-            currentValue: newCurrentValue,
-            updatedAt: new Date()
-          })
-          .where(eq(goals.id, goal.id));
-        
-        console.log(`✅ Successfully reversed goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error updating goal progress on delete:', error);
-  }
-};
-
 // Validation middleware
 const validateSale = [
   body('clientId').custom((value) => {
@@ -233,10 +55,11 @@ const validateSale = [
     }
     return true;
   }),
-  body('commissionAmount').custom((value) => {
+  // Commission is normally calculated from the product's schedule; a manual amount is only used without one
+  body('commissionAmount').optional({ values: 'falsy' }).custom((value) => {
     const num = parseFloat(value);
     if (isNaN(num) || num <= 0) {
-      throw new Error('Valid commission amount is required');
+      throw new Error('Commission amount must be positive if provided');
     }
     return true;
   }),
@@ -247,17 +70,75 @@ const validateSale = [
     }
     return true;
   }),
-  body('policyNumber').optional().trim().isLength({ min: 1 }).withMessage('Policy number is required if provided')
+  body('policyNumber').optional().trim().isLength({ min: 1 }).withMessage('Policy number is required if provided'),
+  body('effectiveDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required'),
+  body('termMonths').optional({ values: 'falsy' }).isInt({ min: 1, max: 120 }).withMessage('Term must be between 1 and 120 months')
+];
+
+// Filters shared by the sales list and the sales export
+const saleListFilters = [
+  query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  query('status').optional().isIn(['active', 'cancelled', 'lapsed', 'renewed', 'expired']).withMessage('Valid status is required'),
+  query('agent_id').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+];
+
+// Function to build the where conditions for the sales list filters (users only ever see sales in their org scope)
+const buildSaleFilters = (req, scope) => {
+  const { startDate, endDate, status, agent_id } = req.query;
+  const whereConditions = [];
+
+  // The scope always applies, so agent_id can only narrow it down
+  const scopeCondition = scopeToOrg(scope, sales.agentId);
+  if (scopeCondition) {
+    whereConditions.push(scopeCondition);
+  }
+  if (agent_id) {
+    whereConditions.push(eq(sales.agentId, parseInt(agent_id)));
+  }
+
+  // Date range filter
+  if (startDate) {
+    whereConditions.push(gte(sales.saleDate, startDate));
+  }
+  if (endDate) {
+    whereConditions.push(lte(sales.saleDate, endDate));
+  }
+
+  // Status filter
+  if (status) {
+    whereConditions.push(eq(sales.status, status));
+  }
+
+  return whereConditions;
+};
+
+const SALE_EXPORT_COLUMNS = [
+  { header: 'ID', value: sale => sale.id, type: 'number', width: 8 },
+  { header: 'Policy Number', value: sale => sale.policyNumber, width: 16 },
+  { header: 'Sale Date', value: sale => sale.saleDate, type: 'date', width: 12 },
+  { header: 'Effective Date', value: sale => sale.effectiveDate, type: 'date', width: 12 },
+  { header: 'Renewal Date', value: sale => sale.renewalDate, type: 'date', width: 12 },
+  { header: 'Status', value: sale => sale.status, width: 10 },
+  { header: 'Sale Type', value: sale => sale.saleType, width: 10 },
+  { header: 'Client', value: sale => [sale.clientFirstName, sale.clientLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Client Email', value: sale => sale.clientEmail, width: 24 },
+  { header: 'Product', value: sale => sale.productName || sale.catalogProductName, width: 18 },
+  { header: 'Category', value: sale => sale.productCategory, width: 12 },
+  { header: 'Premium', value: sale => sale.premiumAmount, type: 'currency', width: 12 },
+  { header: 'Commission', value: sale => sale.commissionAmount, type: 'currency', width: 12 },
+  { header: 'Commission Rate', value: sale => sale.commissionRate, type: 'percent', width: 10 },
+  { header: 'Term (Months)', value: sale => sale.termMonths, type: 'number', width: 8 },
+  { header: 'Agent', value: sale => [sale.agentFirstName, sale.agentLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Agent Email', value: sale => sale.agentEmail, width: 24 },
+  { header: 'Notes', value: sale => sale.notes, width: 30 }
 ];
 
 // GET /sales - Get all sales (filtered by user role)
 router.get('/', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
-  query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
-  query('status').optional().isIn(['active', 'cancelled', 'expired']).withMessage('Valid status is required'),
-  query('agent_id').optional().isInt({ min: 1 }).withMessage('Valid agent ID is required')
+  ...saleListFilters
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -279,37 +160,9 @@ router.get('/', authenticateToken, [
     console.log('🔍 Query parameters received:', { page, limit, startDate, endDate, status, agent_id });
 
     // Build where conditions
-    let whereConditions = [];
-
-    // Role-based filtering
-    if (userRole === 'manager') {
-      console.log('🔍 Manager access - can see all sales');
-      if (agent_id) {
-        whereConditions.push(eq(sales.agentId, parseInt(agent_id)));
-        console.log('🔍 Filtering by specific agent:', agent_id);
-      }
-    } else {
-      console.log('🔍 Agent access - can only see own sales');
-      // For agents, always filter by their own ID, regardless of query params
-      whereConditions.push(eq(sales.agentId, userId));
-      console.log('🔍 Agent filtered to own sales only, userId:', userId);
-    }
-    
+    const whereConditions = buildSaleFilters(req, await getOrgScope(req));
     console.log('🔍 Sales where conditions:', whereConditions);
 
-    // Date range filter
-    if (startDate) {
-      whereConditions.push(gte(sales.saleDate, startDate));
-    }
-    if (endDate) {
-      whereConditions.push(lte(sales.saleDate, endDate));
-    }
-
-    // Status filter
-    if (status) {
-      whereConditions.push(eq(sales.status, status));
-    }
-
     // Build query
     let query = db.select({
       id: sales.id,
@@ -319,6 +172,12 @@ router.get('/', authenticateToken, [
       saleDate: sales.saleDate,
       policyNumber: sales.policyNumber,
       status: sales.status,
+      saleType: sales.saleType,
+      effectiveDate: sales.effectiveDate,
+      termMonths: sales.termMonths,
+      renewalDate: sales.renewalDate,
+      renewedFromSaleId: sales.renewedFromSaleId,
+      servicingAgentId: sales.servicingAgentId,
       productName: sales.productName,
       notes: sales.notes,
       createdAt: sales.createdAt,
@@ -394,12 +253,81 @@ router.get('/', authenticateToken, [
   }
 });
 
+// GET /sales/export - Export sales as CSV, XLSX or PDF using the same filters as GET /sales
+router.get('/export', authenticateToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or pdf'),
+  ...saleListFilters
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const whereConditions = buildSaleFilters(req, await getOrgScope(req));
+
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'sales',
+      title: 'Sales',
+      filters: {
+        From: req.query.startDate,
+        To: req.query.endDate,
+        Status: req.query.status,
+        'Agent ID': req.query.agent_id
+      },
+      columns: SALE_EXPORT_COLUMNS,
+      fetchBatch: (offset, limit) => db.select({
+        id: sales.id,
+        policyNumber: sales.policyNumber,
+        saleDate: sales.saleDate,
+        effectiveDate: sales.effectiveDate,
+        renewalDate: sales.renewalDate,
+        status: sales.status,
+        saleType: sales.saleType,
+        productName: sales.productName,
+        premiumAmount: sales.premiumAmount,
+        commissionAmount: sales.commissionAmount,
+        commissionRate: sales.commissionRate,
+        termMonths: sales.termMonths,
+        notes: sales.notes,
+        clientFirstName: clients.firstName,
+        clientLastName: clients.lastName,
+        clientEmail: clients.email,
+        catalogProductName: products.name,
+        productCategory: products.category,
+        agentFirstName: users.firstName,
+        agentLastName: users.lastName,
+        agentEmail: users.email
+      })
+        .from(sales)
+        .leftJoin(clients, eq(sales.clientId, clients.id))
+        .leftJoin(users, eq(sales.agentId, users.id))
+        .leftJoin(products, eq(sales.productId, products.id))
+        .where(and(...whereConditions))
+        .orderBy(desc(sales.saleDate), desc(sales.id))
+        .limit(limit)
+        .offset(offset)
+    });
+
+  } catch (error) {
+    console.error('Export sales error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /sales/:id - Get sale by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const saleId = parseInt(req.params.id);
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Get sale with related data
     const sale = await db.select({
@@ -410,6 +338,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
       saleDate: sales.saleDate,
       policyNumber: sales.policyNumber,
       status: sales.status,
+      saleType: sales.saleType,
+      effectiveDate: sales.effectiveDate,
+      termMonths: sales.termMonths,
+      renewalDate: sales.renewalDate,
+      renewedFromSaleId: sales.renewedFromSaleId,
       productName: sales.productName,
       notes: sales.notes,
       createdAt: sales.createdAt,
@@ -450,8 +383,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     const saleData = sale[0];
 
-    // Check access permissions
-    if (userRole !== 'manager' && saleData.agent.id !== userId) {
+    // Check access permissions; the agent servicing a transferred policy can see it too
+    const scope = await getOrgScope(req);
+    if (!canSeeAgent(scope, saleData.agent.id) && !(saleData.servicingAgentId && canSeeAgent(scope, saleData.servicingAgentId))) {
       return res.status(403).json({
         error: 'Access denied to this sale',
         code: 'ACCESS_DENIED'
@@ -484,11 +418,7 @@ router.get('/debug', authenticateToken, async (req, res) => {
         firstName: req.user.firstName,
         lastName: req.user.lastName
       },
-      permissions: {
-        canCreateSales: req.user.role === 'manager' || req.user.role === 'agent',
-        canViewAllSales: req.user.role === 'manager',
-        canViewOwnSales: req.user.role === 'agent'
-      }
+      permissions: [...(await getPermissions(req))]
     });
   } catch (error) {
     console.error('Debug endpoint error:', error);
@@ -524,7 +454,9 @@ router.post('/', authenticateToken, validateSale, async (req, res) => {
       saleDate, 
       policyNumber, 
       productName, 
-      notes 
+      notes,
+      effectiveDate,
+      termMonths
     } = req.body;
     
     const agentId = req.user.id;
@@ -548,8 +480,9 @@ router.post('/', authenticateToken, validateSale, async (req, res) => {
     console.log('🔍 Client agent ID:', clientData.agentId);
 
     // Check access permissions
-    if (req.user.role !== 'manager' && clientData.agentId !== agentId) {
-      console.log('❌ Access denied: User role is not manager and client does not belong to user');
+    if (!canSeeAgent(await getOrgScope(req), clientData.agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && clientData.agentId !== agentId)) {
+      console.log('❌ Access denied: Client belongs to another agent');
       return res.status(403).json({
         error: 'Access denied to this client',
         code: 'ACCESS_DENIED'
@@ -568,33 +501,50 @@ router.post('/', authenticateToken, validateSale, async (req, res) => {
       });
     }
 
+    if (product[0].archivedAt || product[0].isActive === false) {
+      return res.status(400).json({
+        error: 'This product is no longer available for new sales',
+        code: 'PRODUCT_INACTIVE'
+      });
+    }
+
+    const commission = await resolveCommission(req, { productId, premiumAmount, saleDate, commissionAmount, commissionRate });
+    if (!commission) {
+      return res.status(400).json({
+        error: 'No commission rate is configured for this product on the sale date',
+        code: 'COMMISSION_RATE_NOT_CONFIGURED'
+      });
+    }
+
     // Create sale
-    const newSale = await db.insert(sales).values({
+    const newSale = await createSale({
       agentId,
       clientId,
       productId,
-      premiumAmount: parseFloat(premiumAmount),
-      commissionAmount: parseFloat(commissionAmount),
-      commissionRate: commissionRate ? parseFloat(commissionRate) : null,
-      saleDate: saleDate,
+      premiumAmount,
+      commission,
+      saleDate,
       policyNumber,
-      status: 'active',
       productName: productName || product[0].name,
       notes,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    }).returning();
+      effectiveDate,
+      termMonths
+    });
+
+    console.log('✅ Sale created successfully:', newSale);
 
-    console.log('✅ Sale created successfully:', newSale[0]);
+    await recordAuditEvent(req, { action: 'create', entityType: 'sale', after: newSale });
 
     // Update goal progress after sale creation
     console.log('🔄 Calling updateGoalProgress function...');
-    await updateGoalProgress(agentId, newSale[0]);
+    await updateGoalProgress(agentId, newSale);
     console.log('✅ Goal progress update completed');
 
+    await notifySaleCreated(newSale, req.user);
+
     res.status(201).json({
       message: 'Sale created successfully',
-      sale: newSale[0]
+      sale: newSale
     });
 
   } catch (error) {
@@ -608,6 +558,114 @@ router.post('/', authenticateToken, validateSale, async (req, res) => {
   }
 });
 
+// POST /sales/import - Import sales from a carrier production report (CSV/XLSX)
+// With dryRun (the default) nothing is written and the per-row preview is returned
+router.post('/import', authenticateToken, uploadBulk, [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('createMissingClients').optional().isBoolean().withMessage('createMissingClients must be a boolean'),
+  body('skipInvalidRows').optional().isBoolean().withMessage('skipInvalidRows must be a boolean'),
+  body('agentId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid agent ID is required')
+], async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Production report file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    // Sales are imported for the uploader unless they have sales.assign and name another active agent in their part of the org
+    let agentId = req.user.id;
+    if (req.body.agentId && (await userCan(req, 'sales.assign'))) {
+      const agent = await db.select({ id: users.id })
+        .from(users)
+        .where(and(
+          eq(users.id, parseInt(req.body.agentId)),
+          eq(users.isActive, true),
+          isNull(users.deletedAt),
+          scopeToOrg(await getOrgScope(req), users.id)
+        ))
+        .limit(1);
+      if (agent.length === 0) {
+        return res.status(400).json({
+          error: 'Agent not found or inactive',
+          code: 'AGENT_NOT_FOUND'
+        });
+      }
+      agentId = agent[0].id;
+    }
+
+    const dryRun = req.body.dryRun !== 'false' && req.body.dryRun !== false;
+    const rows = await readSpreadsheetRows(filePath, req.file.originalname);
+    const preview = await previewSalesImport(req, rows, {
+      agentId,
+      createMissingClients: req.body.createMissingClients === 'true' || req.body.createMissingClients === true
+    });
+
+    if (dryRun) {
+      return res.json({
+        message: 'Sales import preview generated successfully',
+        dryRun: true,
+        ...preview
+      });
+    }
+
+    const result = await commitSalesImport(req, preview, {
+      agentId,
+      skipInvalidRows: req.body.skipInvalidRows === 'true' || req.body.skipInvalidRows === true
+    });
+
+    for (const client of result.clients) {
+      await recordAuditEvent(req, { action: 'import', entityType: 'client', entityId: client.id, after: client });
+    }
+    for (const sale of result.sales) {
+      await recordAuditEvent(req, { action: 'import', entityType: 'sale', entityId: sale.id, after: sale });
+    }
+
+    console.log(`📁 Sales import - ${result.sales.length} sale(s) and ${result.clients.length} new client(s) for agent ${agentId}`);
+
+    res.status(201).json({
+      message: 'Sales imported successfully',
+      dryRun: false,
+      summary: {
+        ...preview.summary,
+        importedCount: result.sales.length,
+        createdClientCount: result.clients.length
+      },
+      rowResults: preview.rowResults
+    });
+
+  } catch (error) {
+    if (['UNSUPPORTED_FILE_TYPE', 'IMPORT_TOO_LARGE', 'IMPORT_HAS_ERRORS', 'EMPTY_IMPORT'].includes(error.code)) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Import sales error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
 // PUT /sales/:id - Update sale
 router.put('/:id', authenticateToken, validateSale, async (req, res) => {
   try {
@@ -623,7 +681,6 @@ router.put('/:id', authenticateToken, validateSale, async (req, res) => {
 
     const saleId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { 
       clientId, 
       productId, 
@@ -634,7 +691,9 @@ router.put('/:id', authenticateToken, validateSale, async (req, res) => {
       policyNumber, 
       productName, 
       status, 
-      notes 
+      notes,
+      effectiveDate,
+      termMonths
     } = req.body;
 
     // Get sale to check permissions
@@ -650,24 +709,64 @@ router.put('/:id', authenticateToken, validateSale, async (req, res) => {
     const oldSaleData = existingSale[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && oldSaleData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), oldSaleData.agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && oldSaleData.agentId !== userId)) {
       return res.status(403).json({
         error: 'Access denied to this sale',
         code: 'ACCESS_DENIED'
       });
     }
 
+    if (status && status !== oldSaleData.status && !canTransition(oldSaleData.status, status)) {
+      return res.status(400).json({
+        error: `Cannot change a ${oldSaleData.status} policy to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    let commission = await resolveCommission(req, {
+      productId,
+      premiumAmount,
+      saleDate,
+      commissionAmount,
+      commissionRate,
+      commissionType: oldSaleData.saleType === 'renewal' ? 'renewal' : 'first_year'
+    });
+
+    // Older sales of unscheduled products keep their recorded commission as long as the amounts it was based on are unchanged
+    if (!commission
+      && parseInt(productId) === oldSaleData.productId
+      && parseFloat(premiumAmount) === parseFloat(oldSaleData.premiumAmount)) {
+      commission = {
+        commissionAmount: parseFloat(oldSaleData.commissionAmount),
+        commissionRate: oldSaleData.commissionRate !== null ? parseFloat(oldSaleData.commissionRate) : null
+      };
+    }
+
+    if (!commission) {
+      return res.status(400).json({
+        error: 'No commission rate is configured for this product on the sale date',
+        code: 'COMMISSION_RATE_NOT_CONFIGURED'
+      });
+    }
+
+    const policyEffectiveDate = effectiveDate || oldSaleData.effectiveDate || saleDate;
+    const policyTermMonths = termMonths ? parseInt(termMonths) : (oldSaleData.termMonths || DEFAULT_TERM_MONTHS);
+
     // Update sale
     const updatedSale = await db.update(sales)
       .set({
         clientId: parseInt(clientId),
         productId: parseInt(productId),
         premiumAmount: parseFloat(premiumAmount),
-        commissionAmount: parseFloat(commissionAmount),
-        commissionRate: commissionRate ? parseFloat(commissionRate) : null,
+        commissionAmount: commission.commissionAmount,
+        commissionRate: commission.commissionRate,
         saleDate: saleDate,
         policyNumber,
         status: status || oldSaleData.status,
+        effectiveDate: policyEffectiveDate,
+        termMonths: policyTermMonths,
+        renewalDate: calculateRenewalDate(policyEffectiveDate, policyTermMonths),
         productName: productName || oldSaleData.productName,
         notes,
         updatedAt: new Date()
@@ -675,6 +774,16 @@ router.put('/:id', authenticateToken, validateSale, async (req, res) => {
       .where(eq(sales.id, saleId))
       .returning();
 
+    if (updatedSale[0].status !== oldSaleData.status) {
+      await recordStatusChange(saleId, {
+        fromStatus: oldSaleData.status,
+        toStatus: updatedSale[0].status,
+        changedBy: userId
+      });
+    }
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'sale', before: oldSaleData, after: updatedSale[0] });
+
     // Update goal progress after sale modification
     await updateGoalProgressOnModify(oldSaleData.agentId, oldSaleData, updatedSale[0]);
 
@@ -725,7 +834,8 @@ router.patch('/:id/notes', authenticateToken, [
     const oldSaleData = existingSale[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && oldSaleData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), oldSaleData.agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && oldSaleData.agentId !== userId)) {
       return res.status(403).json({
         error: 'Access denied to this sale',
         code: 'ACCESS_DENIED'
@@ -741,6 +851,8 @@ router.patch('/:id/notes', authenticateToken, [
       .where(eq(sales.id, saleId))
       .returning();
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'sale', before: oldSaleData, after: updatedSale[0] });
+
     res.json({
       message: 'Sale notes updated successfully',
       sale: updatedSale[0]
@@ -755,12 +867,292 @@ router.patch('/:id/notes', authenticateToken, [
   }
 });
 
+// Function to build a handler that moves a policy to a new status and logs why
+const changePolicyStatus = (toStatus, action, message) => async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const saleId = parseInt(req.params.id);
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { reason, effectiveDate } = req.body;
+
+    const existingSale = await db.select().from(sales).where(eq(sales.id, saleId)).limit(1);
+
+    if (!existingSale || existingSale.length === 0) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    const saleData = existingSale[0];
+
+    // Check access permissions
+    if (!canSeeAgent(await getOrgScope(req), saleData.agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && saleData.agentId !== userId)) {
+      return res.status(403).json({
+        error: 'Access denied to this sale',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const updatedSale = await db.transaction((tx) => transitionPolicy(saleData, toStatus, {
+      reason: reason || null,
+      effectiveDate,
+      changedBy: userId
+    }, tx));
+
+    await recordAuditEvent(req, { action, entityType: 'sale', before: saleData, after: updatedSale });
+
+    res.json({
+      message,
+      sale: updatedSale
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_STATUS_TRANSITION' || error.code === 'POLICY_STATUS_CHANGED') {
+      return res.status(error.code === 'POLICY_STATUS_CHANGED' ? 409 : 400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error(`Policy ${action} error:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+const validateStatusChange = [
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('effectiveDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required')
+];
+
+// GET /sales/:id/history - Get a policy's status history
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const saleId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const existingSale = await db.select().from(sales).where(eq(sales.id, saleId)).limit(1);
+
+    if (!existingSale || existingSale.length === 0) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    // Check access permissions
+    if (!canSeeAgent(await getOrgScope(req), existingSale[0].agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && existingSale[0].agentId !== userId)) {
+      return res.status(403).json({
+        error: 'Access denied to this sale',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const history = await getStatusHistory(saleId);
+
+    // Renewals of this policy, so the chain can be followed both ways
+    const renewals = await db.select({
+      id: sales.id,
+      saleDate: sales.saleDate,
+      effectiveDate: sales.effectiveDate,
+      renewalDate: sales.renewalDate,
+      status: sales.status,
+      policyNumber: sales.policyNumber
+    })
+    .from(sales)
+    .where(eq(sales.renewedFromSaleId, saleId))
+    .orderBy(asc(sales.effectiveDate));
+
+    res.json({
+      message: 'Policy history retrieved successfully',
+      history,
+      renewedFromSaleId: existingSale[0].renewedFromSaleId,
+      renewals
+    });
+
+  } catch (error) {
+    console.error('Get policy history error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /sales/:id/cancel - Cancel a policy (reason required)
+router.post('/:id/cancel', authenticateToken, [
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Cancellation reason is required'),
+  body('effectiveDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required')
+], changePolicyStatus('cancelled', 'cancel', 'Policy cancelled successfully'));
+
+// POST /sales/:id/lapse - Mark a policy as lapsed for non-payment
+router.post('/:id/lapse', authenticateToken, validateStatusChange, changePolicyStatus('lapsed', 'lapse', 'Policy marked as lapsed successfully'));
+
+// POST /sales/:id/reinstate - Reinstate a lapsed or cancelled policy
+router.post('/:id/reinstate', authenticateToken, validateStatusChange, changePolicyStatus('active', 'reinstate', 'Policy reinstated successfully'));
+
+// POST /sales/:id/renew - Renew a policy, creating a linked renewal sale
+router.post('/:id/renew', authenticateToken, [
+  body('premiumAmount').optional({ values: 'falsy' }).custom((value) => {
+    const num = parseFloat(value);
+    if (isNaN(num) || num <= 0) {
+      throw new Error('Premium amount must be positive if provided');
+    }
+    return true;
+  }),
+  body('commissionAmount').optional({ values: 'falsy' }).custom((value) => {
+    const num = parseFloat(value);
+    if (isNaN(num) || num <= 0) {
+      throw new Error('Commission amount must be positive if provided');
+    }
+    return true;
+  }),
+  body('effectiveDate').optional({ values: 'falsy' }).isISO8601().withMessage('Valid effective date is required'),
+  body('termMonths').optional({ values: 'falsy' }).isInt({ min: 1, max: 120 }).withMessage('Term must be between 1 and 120 months'),
+  body('policyNumber').optional({ values: 'falsy' }).trim().isLength({ min: 1 }).withMessage('Policy number is required if provided')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const saleId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const existingSale = await db.select().from(sales).where(eq(sales.id, saleId)).limit(1);
+
+    if (!existingSale || existingSale.length === 0) {
+      return res.status(404).json({
+        error: 'Sale not found',
+        code: 'SALE_NOT_FOUND'
+      });
+    }
+
+    const saleData = existingSale[0];
+
+    // Renewals belong to the agent servicing the policy, who is the selling agent unless the book was transferred
+    const renewingAgentId = saleData.servicingAgentId || saleData.agentId;
+
+    // Check access permissions
+    if (!canSeeAgent(await getOrgScope(req), renewingAgentId)
+      || (!(await userCan(req, 'sales.edit_others')) && renewingAgentId !== userId)) {
+      return res.status(403).json({
+        error: 'Access denied to this sale',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (!canTransition(saleData.status, 'renewed')) {
+      return res.status(400).json({
+        error: `Cannot renew a ${saleData.status} policy`,
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    // The renewal term starts where the current one ends, on the same terms unless overridden
+    const premiumAmount = req.body.premiumAmount ? parseFloat(req.body.premiumAmount) : parseFloat(saleData.premiumAmount);
+    const termMonths = req.body.termMonths ? parseInt(req.body.termMonths) : (saleData.termMonths || DEFAULT_TERM_MONTHS);
+    const effectiveDate = req.body.effectiveDate
+      || saleData.renewalDate
+      || calculateRenewalDate(saleData.effectiveDate || saleData.saleDate, saleData.termMonths || DEFAULT_TERM_MONTHS);
+
+    const commission = await resolveCommission(req, {
+      productId: saleData.productId,
+      premiumAmount,
+      saleDate: effectiveDate,
+      commissionAmount: req.body.commissionAmount,
+      commissionRate: req.body.commissionRate,
+      commissionType: 'renewal'
+    });
+    if (!commission) {
+      return res.status(400).json({
+        error: 'No renewal commission rate is configured for this product on the renewal date',
+        code: 'COMMISSION_RATE_NOT_CONFIGURED'
+      });
+    }
+
+    // The new term and the old policy's status change succeed or fail together; if someone else renewed
+    // or cancelled the policy meanwhile, transitionPolicy throws and the new sale is rolled back
+    const { renewal, renewedSale } = await db.transaction(async (tx) => {
+      const renewal = await createSale({
+        agentId: renewingAgentId,
+        clientId: saleData.clientId,
+        productId: saleData.productId,
+        premiumAmount,
+        commission,
+        saleDate: effectiveDate,
+        policyNumber: req.body.policyNumber || saleData.policyNumber,
+        productName: saleData.productName,
+        notes: req.body.notes,
+        effectiveDate,
+        termMonths,
+        saleType: 'renewal',
+        renewedFromSaleId: saleData.id,
+        statusReason: `Renewal of sale #${saleData.id}`,
+        changedBy: userId
+      }, tx);
+
+      const renewedSale = await transitionPolicy(saleData, 'renewed', {
+        reason: `Renewed as sale #${renewal.id}`,
+        effectiveDate,
+        changedBy: userId
+      }, tx);
+
+      return { renewal, renewedSale };
+    });
+
+    await recordAuditEvent(req, { action: 'renew', entityType: 'sale', before: saleData, after: renewedSale });
+    await recordAuditEvent(req, { action: 'create', entityType: 'sale', after: renewal });
+
+    // Renewals count towards the agent's goals like any other sale
+    await updateGoalProgress(renewingAgentId, renewal);
+
+    res.status(201).json({
+      message: 'Policy renewed successfully',
+      sale: renewal,
+      previousSale: renewedSale
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_STATUS_TRANSITION' || error.code === 'POLICY_STATUS_CHANGED') {
+      return res.status(error.code === 'POLICY_STATUS_CHANGED' ? 409 : 400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Renew policy error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // DELETE /sales/:id - Delete sale
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const saleId = parseInt(req.params.id);
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Get sale to check permissions
     const existingSale = await db.select().from(sales).where(eq(sales.id, saleId)).limit(1);
@@ -775,16 +1167,33 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const saleData = existingSale[0];
 
     // Check access permissions
-    if (userRole !== 'manager' && saleData.agentId !== userId) {
+    if (!canSeeAgent(await getOrgScope(req), saleData.agentId)
+      || (!(await userCan(req, 'sales.edit_others')) && saleData.agentId !== userId)) {
       return res.status(403).json({
         error: 'Access denied to this sale',
         code: 'ACCESS_DENIED'
       });
     }
 
+    // Detach reminders, renewals and opportunities that point at this policy, then drop its history
+    await db.update(reminders).set({ saleId: null }).where(eq(reminders.saleId, saleId));
+    await db.update(sales).set({ renewedFromSaleId: null }).where(eq(sales.renewedFromSaleId, saleId));
+    await db.update(opportunities).set({ saleId: null }).where(eq(opportunities.saleId, saleId));
+    await db.delete(policyStatusHistory).where(eq(policyStatusHistory.saleId, saleId));
+    // Carrier payments against the policy stay on their statement, but become unmatched
+    const unmatchedLines = await db.update(commissionStatementLines)
+      .set({ saleId: null, agentId: null, expectedAmount: null, varianceAmount: null, matchStatus: 'unmatched', updatedAt: new Date() })
+      .where(eq(commissionStatementLines.saleId, saleId))
+      .returning({ statementId: commissionStatementLines.statementId });
+    for (const statementId of new Set(unmatchedLines.map(line => line.statementId))) {
+      await refreshStatementTotals(statementId);
+    }
+
     // Delete sale
     await db.delete(sales).where(eq(sales.id, saleId));
 
+    await recordAuditEvent(req, { action: 'delete', entityType: 'sale', before: saleData });
+
     // Update goal progress after sale deletion
     await updateGoalProgressOnDelete(saleData.agentId, saleData);
 
@@ -805,19 +1214,18 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
     const { startDate, endDate, agent_id } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    const scope = await getOrgScope(req);
 
     // Build where conditions
     let whereConditions = [];
 
-    // Role-based filtering
-    if (userRole === 'manager') {
-      if (agent_id) {
-        whereConditions.push(eq(sales.agentId, parseInt(agent_id)));
-      }
-    } else {
-      whereConditions.push(eq(sales.agentId, userId));
+    // Org-scoped filtering; agent_id narrows it down to one agent
+    const scopeCondition = scopeToOrg(scope, sales.agentId);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+    if (agent_id) {
+      whereConditions.push(eq(sales.agentId, parseInt(agent_id)));
     }
 
     // Date range filter
@@ -886,9 +1294,9 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
       .orderBy(desc(sales.saleDate))
       .limit(10);
 
-    // Get top performing agents (managers only)
+    // Get top performing agents (for anyone who can see more than their own sales)
     let topAgents = [];
-    if (userRole === 'manager') {
+    if (scope === null || scope.length > 1) {
       const agentQuery = db.select({
         agentId: sales.agentId,
         agentName: users.firstName,
@@ -0,0 +1,347 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { db } from '../config/database.js';
+import { scheduledReports, reportRuns, users } from '../models/schema.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, desc, count } from 'drizzle-orm';
+import { recordAuditEvent } from '../services/auditService.js';
+import { POLICY_STATUSES } from '../services/policyService.js';
+import {
+  REPORT_FORMATS,
+  REPORT_PERIODS,
+  REPORT_TYPE_KEYS,
+  MAX_RECIPIENTS,
+  getReportOptions,
+  normaliseFilters,
+  getNextRunAt,
+  runScheduledReport
+} from '../services/scheduledReportService.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateScheduledReport = [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required (1-255 characters)'),
+  body('reportType').isIn(REPORT_TYPE_KEYS).withMessage('Valid report type is required'),
+  body('format').isIn(REPORT_FORMATS).withMessage('Format must be xlsx or pdf'),
+  body('schedule').trim().isLength({ min: 1, max: 100 }).withMessage('Schedule is required'),
+  body('timeZone').optional({ values: 'falsy' }).trim().isLength({ max: 100 }).withMessage('Time zone must be at most 100 characters'),
+  body('recipients').isArray({ min: 1, max: MAX_RECIPIENTS }).withMessage(`Between 1 and ${MAX_RECIPIENTS} recipients are required`),
+  body('recipients.*').trim().isEmail().withMessage('Each recipient must be a valid email address'),
+  body('filters').optional({ values: 'null' }).isObject().withMessage('Filters must be an object'),
+  body('filters.period').optional().isIn(Object.keys(REPORT_PERIODS)).withMessage('Valid report period is required'),
+  body('filters.agentId').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid agent ID is required if provided'),
+  body('filters.status').optional({ values: 'falsy' }).isIn(POLICY_STATUSES).withMessage('Valid sale status is required if provided'),
+  body('filters.limit').optional({ values: 'falsy' }).isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided')
+];
+
+const SCHEDULE_ERROR_STATUS = {
+  INVALID_SCHEDULE: 400,
+  INVALID_TIMEZONE: 400
+};
+
+// Function to turn a request body into the stored report fields
+const toReportValues = (body) => ({
+  name: body.name,
+  reportType: body.reportType,
+  format: body.format,
+  schedule: body.schedule,
+  timeZone: body.timeZone || 'UTC',
+  recipients: [...new Set(body.recipients.map(email => email.toLowerCase()))],
+  filters: normaliseFilters(body.reportType, body.filters || {}),
+  isActive: body.isActive ?? true
+});
+
+const getScheduledReport = async (reportId) => {
+  const result = await db.select().from(scheduledReports).where(eq(scheduledReports.id, reportId)).limit(1);
+  return result[0] || null;
+};
+
+// GET /scheduled-reports/options - Report types, periods and formats for the schedule form
+router.get('/options', authenticateToken, requirePermission('reports.schedule'), async (req, res) => {
+  res.json(getReportOptions());
+});
+
+// GET /scheduled-reports - List scheduled reports (needs reports.schedule, as reports cover the whole team)
+router.get('/', authenticateToken, requirePermission('reports.schedule'), async (req, res) => {
+  try {
+    const reports = await db.select({
+      id: scheduledReports.id,
+      name: scheduledReports.name,
+      reportType: scheduledReports.reportType,
+      filters: scheduledReports.filters,
+      format: scheduledReports.format,
+      recipients: scheduledReports.recipients,
+      schedule: scheduledReports.schedule,
+      timeZone: scheduledReports.timeZone,
+      isActive: scheduledReports.isActive,
+      nextRunAt: scheduledReports.nextRunAt,
+      lastRunAt: scheduledReports.lastRunAt,
+      lastRunStatus: scheduledReports.lastRunStatus,
+      createdBy: scheduledReports.createdBy,
+      createdAt: scheduledReports.createdAt,
+      updatedAt: scheduledReports.updatedAt,
+      creatorFirstName: users.firstName,
+      creatorLastName: users.lastName
+    })
+      .from(scheduledReports)
+      .leftJoin(users, eq(scheduledReports.createdBy, users.id))
+      .orderBy(scheduledReports.name);
+
+    res.json({ reports });
+
+  } catch (error) {
+    console.error('Get scheduled reports error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /scheduled-reports/:id/runs - Run history for a scheduled report, newest first
+router.get('/:id/runs', authenticateToken, requirePermission('reports.schedule'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const reportId = parseInt(req.params.id);
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const report = await getScheduledReport(reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Scheduled report not found',
+        code: 'SCHEDULED_REPORT_NOT_FOUND'
+      });
+    }
+
+    const totalResult = await db.select({ count: count() })
+      .from(reportRuns)
+      .where(eq(reportRuns.scheduledReportId, reportId));
+    const total = Number(totalResult[0]?.count || 0);
+
+    const runs = await db.select({
+      id: reportRuns.id,
+      trigger: reportRuns.trigger,
+      status: reportRuns.status,
+      recipients: reportRuns.recipients,
+      periodStart: reportRuns.periodStart,
+      periodEnd: reportRuns.periodEnd,
+      fileName: reportRuns.fileName,
+      rowCount: reportRuns.rowCount,
+      error: reportRuns.error,
+      startedAt: reportRuns.startedAt,
+      completedAt: reportRuns.completedAt,
+      triggeredByFirstName: users.firstName,
+      triggeredByLastName: users.lastName
+    })
+      .from(reportRuns)
+      .leftJoin(users, eq(reportRuns.triggeredBy, users.id))
+      .where(eq(reportRuns.scheduledReportId, reportId))
+      .orderBy(desc(reportRuns.startedAt), desc(reportRuns.id))
+      .limit(parseInt(limit))
+      .offset(offset);
+
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled report runs error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /scheduled-reports - Create a scheduled report
+router.post('/', authenticateToken, requirePermission('reports.schedule'), validateScheduledReport, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const values = toReportValues(req.body);
+    const nextRunAt = getNextRunAt(values);
+
+    const newReport = await db.insert(scheduledReports).values({
+      ...values,
+      nextRunAt,
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'scheduled_report', after: newReport[0] });
+
+    res.status(201).json({
+      message: 'Scheduled report created successfully',
+      report: newReport[0]
+    });
+
+  } catch (error) {
+    if (SCHEDULE_ERROR_STATUS[error.code]) {
+      return res.status(SCHEDULE_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Create scheduled report error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /scheduled-reports/:id - Update a scheduled report; the next run is worked out again from now
+router.put('/:id', authenticateToken, requirePermission('reports.schedule'), validateScheduledReport, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const reportId = parseInt(req.params.id);
+    const existingReport = await getScheduledReport(reportId);
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Scheduled report not found',
+        code: 'SCHEDULED_REPORT_NOT_FOUND'
+      });
+    }
+
+    const values = toReportValues(req.body);
+    const nextRunAt = getNextRunAt(values);
+
+    const updatedReport = await db.update(scheduledReports)
+      .set({ ...values, nextRunAt, updatedAt: new Date() })
+      .where(eq(scheduledReports.id, reportId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'scheduled_report', before: existingReport, after: updatedReport[0] });
+
+    res.json({
+      message: 'Scheduled report updated successfully',
+      report: updatedReport[0]
+    });
+
+  } catch (error) {
+    if (SCHEDULE_ERROR_STATUS[error.code]) {
+      return res.status(SCHEDULE_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Update scheduled report error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /scheduled-reports/:id - Delete a scheduled report and its run history
+router.delete('/:id', authenticateToken, requirePermission('reports.schedule'), async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.id);
+    const existingReport = await getScheduledReport(reportId);
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Scheduled report not found',
+        code: 'SCHEDULED_REPORT_NOT_FOUND'
+      });
+    }
+
+    await db.transaction(async (tx) => {
+      await tx.delete(reportRuns).where(eq(reportRuns.scheduledReportId, reportId));
+      await tx.delete(scheduledReports).where(eq(scheduledReports.id, reportId));
+    });
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'scheduled_report', before: existingReport });
+
+    res.json({
+      message: 'Scheduled report deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete scheduled report error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /scheduled-reports/:id/send - Generate and email the report now, without changing its schedule
+router.post('/:id/send', authenticateToken, requirePermission('reports.schedule'), async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.id);
+    const report = await getScheduledReport(reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Scheduled report not found',
+        code: 'SCHEDULED_REPORT_NOT_FOUND'
+      });
+    }
+
+    const run = await runScheduledReport(report, { trigger: 'manual', triggeredBy: req.user.id });
+
+    if (run.status !== 'sent') {
+      return res.status(502).json({
+        error: `The report could not be sent: ${run.error}`,
+        code: 'REPORT_DELIVERY_FAILED',
+        run
+      });
+    }
+
+    res.json({
+      message: `Report sent to ${report.recipients.length} recipient(s)`,
+      run
+    });
+
+  } catch (error) {
+    console.error('Send scheduled report error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
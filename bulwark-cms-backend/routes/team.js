@@ -1,9 +1,28 @@
 import express from 'express';
-import { query, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { db } from '../config/database.js';
-import { users, sales, clients, goals } from '../models/schema.js';
+import { users, sales, clients, goals, teams, teamMembers } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { eq, and, desc, asc, gte, lte, sum, count, sql, inArray } from 'drizzle-orm';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, desc, asc, gte, lte, sum, count, sql, inArray, isNull } from 'drizzle-orm';
+import { EXPORT_FORMATS, sendExport } from '../services/exportService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { notifyTeamUpdate } from '../services/notificationService.js';
+import { getOrgScope, scopeToOrg, getOrgTree } from '../services/orgScopeService.js';
+import { userCan } from '../services/permissionService.js';
+import {
+  TEAM_MEMBER_ROLES,
+  getTeams,
+  getTeamById,
+  findTeamByName,
+  getTeamMembers,
+  getTeamMemberIds,
+  canViewTeam,
+  addTeamMember,
+  setTeamMemberRole,
+  removeTeamMember,
+  getTeamRoleCounts
+} from '../services/teamService.js';
 
 const router = express.Router();
 
@@ -62,16 +81,36 @@ const formatTeamMember = (member) => {
   };
 };
 
+// Function to resolve the optional teamId filter to the team and the ids of its active members
+// Managers can scope to any team; agents only to a team they manage or lead
+const getTeamScope = async (req) => {
+  if (!req.query.teamId) {
+    return {};
+  }
+
+  const team = await getTeamById(parseInt(req.query.teamId));
+  if (!team) {
+    return { error: { status: 404, error: 'Team not found', code: 'TEAM_NOT_FOUND' } };
+  }
+  if (!(await canViewTeam(req.user, team))) {
+    return { error: { status: 403, error: 'Access denied to this team', code: 'ACCESS_DENIED' } };
+  }
+
+  return { team, memberIds: await getTeamMemberIds(team.id) };
+};
+
+const teamIdFilter = query('teamId').optional().isInt({ min: 1 }).withMessage('Valid team ID is required');
+
 // GET / - Get team information
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
+    const scope = await getOrgScope(req);
 
     let teamMembers = [];
 
-    if (userRole === 'manager') {
-      // Managers can see all team members (including suspended ones, but not deleted ones)
+    if (scope === null || scope.length > 1) {
+      // Managers and team leads see everyone in their part of the org (including suspended people, but not deleted ones)
       teamMembers = await db.select({
         id: users.id,
         firstName: users.firstName,
@@ -86,10 +125,10 @@ router.get('/', authenticateToken, async (req, res) => {
         lastLogin: users.lastLogin
       })
       .from(users)
-      .where(sql`${users.deletedAt} IS NULL`) // Use raw SQL to avoid Drizzle ORM issues
+      .where(and(sql`${users.deletedAt} IS NULL`, scopeToOrg(scope, users.id))) // Use raw SQL to avoid Drizzle ORM issues
       .orderBy(asc(users.firstName));
     } else {
-      // Regular agents can only see themselves
+      // Agents without reports can only see themselves
       teamMembers = await db.select({
         id: users.id,
         firstName: users.firstName,
@@ -148,13 +187,14 @@ router.get('/members', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
+    const scope = await getOrgScope(req);
 
     console.log(`🔍 Fetching team members for user ${userId} with role ${userRole}`);
 
     let teamMembers = [];
 
-    if (userRole === 'manager') {
-      // Managers see all team members (excluding deleted users)
+    if (scope === null || scope.length > 1) {
+      // Managers and team leads see everyone in their part of the org (excluding deleted users)
       const currentMonth = new Date();
       const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
       const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0, 23, 59, 59);
@@ -181,7 +221,7 @@ router.get('/members', authenticateToken, async (req, res) => {
            isActive: users.isActive
          })
          .from(users)
-         .where(sql`${users.deletedAt} IS NULL`)
+         .where(and(sql`${users.deletedAt} IS NULL`, scopeToOrg(scope, users.id)))
          .orderBy(asc(users.firstName));
 
        // Get metrics for each member individually to ensure data isolation
@@ -283,7 +323,7 @@ router.get('/members', authenticateToken, async (req, res) => {
 
 
     } else {
-      // Regular agents can only see their own data (optimized)
+      // Agents without reports can only see their own data (optimized)
       const currentMonth = new Date();
       const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
       const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0, 23, 59, 59);
@@ -414,11 +454,28 @@ router.get('/members', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /performance - Get team performance overview
-router.get('/performance', authenticateToken, [
+// Filters shared by the team performance overview and its export
+const performanceFilters = [
   query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
-  query('endDate').optional().isISO8601().withMessage('Valid end date is required')
-], async (req, res) => {
+  query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  teamIdFilter
+];
+
+const PERFORMANCE_EXPORT_COLUMNS = [
+  { header: 'Agent', value: member => `${member.firstName} ${member.lastName}`, width: 20 },
+  { header: 'Email', value: member => member.email, width: 25 },
+  { header: 'Role', value: member => member.role, width: 10 },
+  { header: 'Department', value: member => member.department, width: 15 },
+  { header: 'Sales', value: member => member.totalSales, type: 'number', width: 8 },
+  { header: 'Premium', value: member => member.totalRevenue, type: 'currency', width: 14 },
+  { header: 'Commission', value: member => member.totalCommission, type: 'currency', width: 14 },
+  { header: 'Average Premium', value: member => member.averagePremium, type: 'currency', width: 14 },
+  { header: 'Clients Sold To', value: member => member.clientsSoldTo, type: 'number', width: 10 },
+  { header: 'New Clients', value: member => member.newClients, type: 'number', width: 10 }
+];
+
+// GET /performance - Get team performance overview
+router.get('/performance', authenticateToken, performanceFilters, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -432,7 +489,12 @@ router.get('/performance', authenticateToken, [
 
     const { startDate, endDate } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
+    const scope = await getOrgScope(req);
+
+    const { team, memberIds, error: teamError } = await getTeamScope(req);
+    if (teamError) {
+      return res.status(teamError.status).json({ error: teamError.error, code: teamError.code });
+    }
 
     let whereConditions = [];
 
@@ -446,14 +508,27 @@ router.get('/performance', authenticateToken, [
     // FIXED: Simplified and optimized performance query
     let performanceQuery;
 
-    if (userRole === 'manager') {
-      // Managers see all team performance
+    if (team) {
+      // A team's performance covers its active members, whatever their role
+      whereConditions.push(inArray(sales.agentId, memberIds));
+      performanceQuery = db.select({
+        totalSales: count(sales.id),
+        totalRevenue: sum(sales.premiumAmount),
+        totalCommission: sum(sales.commissionAmount),
+        totalClients: sql`0`,
+        activeAgents: sql`${memberIds.length}::int`
+      })
+      .from(sales)
+      .where(and(...whereConditions));
+    } else if (scope === null || scope.length > 1) {
+      // Managers and team leads see the performance of their part of the org
+      const scopeCondition = scopeToOrg(scope, users.id);
       performanceQuery = db.select({
         totalSales: count(sales.id),
         totalRevenue: sum(sales.premiumAmount),
         totalCommission: sum(sales.commissionAmount),
         totalClients: sql`0`, // Simplified for now - will add proper client counting later
-        activeAgents: sql`(SELECT COUNT(*) FROM ${users} WHERE ${users.isActive} = true AND ${users.role} = 'agent' AND ${users.deletedAt} IS NULL)`
+        activeAgents: sql`(SELECT COUNT(*) FROM ${users} WHERE ${users.isActive} = true AND ${users.role} = 'agent' AND ${users.deletedAt} IS NULL${scopeCondition ? sql` AND ${scopeCondition}` : sql``})`
       })
       .from(sales)
       .innerJoin(users, and(
@@ -461,7 +536,7 @@ router.get('/performance', authenticateToken, [
         eq(users.isActive, true),
         sql`${users.deletedAt} IS NULL` // Use raw SQL to avoid Drizzle ORM issues
       ))
-      .where(and(...whereConditions));
+      .where(and(...whereConditions, scopeCondition));
     } else {
       // Regular agents see only their performance
       whereConditions.push(eq(sales.agentId, userId));
@@ -501,6 +576,7 @@ router.get('/performance', authenticateToken, [
 
     res.json({
       message: 'Team performance retrieved successfully',
+      team: team ? { id: team.id, name: team.name } : null,
       performance: formattedPerformance
     });
 
@@ -513,10 +589,92 @@ router.get('/performance', authenticateToken, [
   }
 });
 
+// GET /performance/export - Export per-agent performance as CSV, XLSX or PDF for the same date range as GET /performance
+router.get('/performance/export', authenticateToken, [
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv, xlsx or pdf'),
+  ...performanceFilters
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+
+    const { team, memberIds, error: teamError } = await getTeamScope(req);
+    if (teamError) {
+      return res.status(teamError.status).json({ error: teamError.error, code: teamError.code });
+    }
+
+    // Sales in the period are joined per agent; new clients are counted by creation date
+    const salesConditions = [eq(sales.agentId, users.id)];
+    const clientConditions = [eq(clients.agentId, users.id)];
+    if (startDate) {
+      salesConditions.push(gte(sales.saleDate, startDate));
+      clientConditions.push(sql`${clients.createdAt}::date >= ${startDate}`);
+    }
+    if (endDate) {
+      salesConditions.push(lte(sales.saleDate, endDate));
+      clientConditions.push(sql`${clients.createdAt}::date <= ${endDate}`);
+    }
+
+    // A team covers its members; otherwise everyone active in the user's part of the org
+    const userConditions = [eq(users.isActive, true), sql`${users.deletedAt} IS NULL`];
+    if (team) {
+      userConditions.push(inArray(users.id, memberIds));
+    } else {
+      userConditions.push(scopeToOrg(await getOrgScope(req), users.id));
+    }
+
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'team-performance',
+      title: 'Team Performance',
+      filters: { Team: team?.name, From: startDate, To: endDate },
+      columns: PERFORMANCE_EXPORT_COLUMNS,
+      fetchBatch: (offset, limit) => db.select({
+        id: users.id,
+        firstName: users.firstName,
+        lastName: users.lastName,
+        email: users.email,
+        role: users.role,
+        department: users.department,
+        totalSales: count(sales.id),
+        totalRevenue: sql`COALESCE(SUM(${sales.premiumAmount}), 0)`,
+        totalCommission: sql`COALESCE(SUM(${sales.commissionAmount}), 0)`,
+        averagePremium: sql`COALESCE(AVG(${sales.premiumAmount}), 0)`,
+        clientsSoldTo: sql`COUNT(DISTINCT ${sales.clientId})`,
+        newClients: sql`(SELECT COUNT(*) FROM ${clients} WHERE ${and(...clientConditions)})`
+      })
+        .from(users)
+        .leftJoin(sales, and(...salesConditions))
+        .where(and(...userConditions))
+        .groupBy(users.id)
+        .orderBy(desc(sql`COALESCE(SUM(${sales.premiumAmount}), 0)`), asc(users.id))
+        .limit(limit)
+        .offset(offset)
+    });
+
+  } catch (error) {
+    console.error('Export team performance error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /leaderboard - Get team leaderboard
 router.get('/leaderboard', authenticateToken, [
   query('period').optional().isIn(['week', 'month', 'quarter', 'year']).withMessage('Valid period is required'),
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  teamIdFilter
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -530,8 +688,11 @@ router.get('/leaderboard', authenticateToken, [
     }
 
     const { period = 'month', limit = 10 } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
+
+    const { team, memberIds, error: teamError } = await getTeamScope(req);
+    if (teamError) {
+      return res.status(teamError.status).json({ error: teamError.error, code: teamError.code });
+    }
 
     // Calculate date range based on period
     const now = new Date();
@@ -552,8 +713,16 @@ router.get('/leaderboard', authenticateToken, [
         break;
     }
 
+    // A team's leaderboard ranks its members; otherwise everyone in the user's part of the org
+    const userConditions = [sql`${users.deletedAt} IS NULL`]; // Use raw SQL to avoid Drizzle ORM issues
+    if (team) {
+      userConditions.push(inArray(users.id, memberIds));
+    } else {
+      userConditions.push(scopeToOrg(await getOrgScope(req), users.id));
+    }
+
     // FIXED: Optimized leaderboard query
-    let leaderboardQuery = db.select({
+    const leaderboard = await db.select({
       id: users.id,
       firstName: users.firstName,
       lastName: users.lastName,
@@ -569,21 +738,11 @@ router.get('/leaderboard', authenticateToken, [
       eq(users.id, sales.agentId),
       gte(sales.saleDate, startDate.toISOString())
     ))
-    .where(and(
-      sql`${users.deletedAt} IS NULL`, // Use raw SQL to avoid Drizzle ORM issues
-      userRole === 'agent' ? eq(users.id, userId) : undefined
-    ).filter(Boolean))
+    .where(and(...userConditions))
     .groupBy(users.id)
     .orderBy(desc(sum(sales.premiumAmount)))
     .limit(parseInt(limit));
 
-    if (userRole === 'agent') {
-      // Regular agents see only themselves
-      leaderboardQuery = leaderboardQuery.where(eq(users.id, userId));
-    }
-
-    const leaderboard = await leaderboardQuery;
-
     // Format leaderboard consistently
     const formattedLeaderboard = leaderboard.map((member, index) => ({
       ...formatTeamMember(member),
@@ -594,6 +753,7 @@ router.get('/leaderboard', authenticateToken, [
     res.json({
       message: 'Leaderboard retrieved successfully',
       period,
+      team: team ? { id: team.id, name: team.name } : null,
       leaderboard: formattedLeaderboard
     });
 
@@ -607,15 +767,50 @@ router.get('/leaderboard', authenticateToken, [
 });
 
 // GET /stats - Get team statistics summary
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, [teamIdFilter], async (req, res) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const scope = await getOrgScope(req);
+
+    const { team, error: teamError } = await getTeamScope(req);
+    if (teamError) {
+      return res.status(teamError.status).json({ error: teamError.error, code: teamError.code });
+    }
 
     let stats = {};
 
-    if (userRole === 'manager') {
-      // Get overall team statistics
+    if (team) {
+      // Everyone currently on the team, suspended users included, with a head count by team role
+      const teamStats = await db.select({
+        totalMembers: count(users.id),
+        activeMembers: sql`SUM(CASE WHEN ${users.isActive} = true THEN 1 ELSE 0 END)`,
+        managers: sql`SUM(CASE WHEN ${users.role} = 'manager' THEN 1 ELSE 0 END)`,
+        agents: sql`SUM(CASE WHEN ${users.role} = 'agent' THEN 1 ELSE 0 END)`
+      })
+      .from(teamMembers)
+      .innerJoin(users, eq(teamMembers.userId, users.id))
+      .where(and(eq(teamMembers.teamId, team.id), eq(teamMembers.isActive, true), isNull(users.deletedAt)));
+
+      stats = {
+        totalMembers: safeDecimalToNumber(teamStats[0]?.totalMembers),
+        total_members: safeDecimalToNumber(teamStats[0]?.totalMembers),
+        activeMembers: safeDecimalToNumber(teamStats[0]?.activeMembers),
+        active_members: safeDecimalToNumber(teamStats[0]?.activeMembers),
+        managers: safeDecimalToNumber(teamStats[0]?.managers),
+        agents: safeDecimalToNumber(teamStats[0]?.agents),
+        teamRoles: await getTeamRoleCounts(team.id)
+      };
+    } else if (scope === null || scope.length > 1) {
+      // Statistics for everyone in the user's part of the org
       const teamStats = await db.select({
         totalMembers: count(users.id),
         activeMembers: sql`SUM(CASE WHEN ${users.isActive} = true THEN 1 ELSE 0 END)`,
@@ -623,7 +818,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         agents: sql`SUM(CASE WHEN ${users.role} = 'agent' THEN 1 ELSE 0 END)`
       })
       .from(users)
-      .where(sql`${users.deletedAt} IS NULL`); // Use raw SQL to avoid Drizzle ORM issues
+      .where(and(sql`${users.deletedAt} IS NULL`, scopeToOrg(scope, users.id))); // Use raw SQL to avoid Drizzle ORM issues
 
       stats = {
         totalMembers: safeDecimalToNumber(teamStats[0]?.totalMembers),
@@ -647,6 +842,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 
     res.json({
       message: 'Team statistics retrieved successfully',
+      team: team ? { id: team.id, name: team.name } : null,
       stats
     });
 
@@ -662,10 +858,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
 // GET /top-agents - Get top 5 agents by monthly sales
 router.get('/top-agents', authenticateToken, async (req, res) => {
   try {
-    const userRole = req.user.role;
-    
-    // Only managers can access this endpoint
-    if (userRole !== 'manager') {
+    // Needs reports.view_team
+    if (!(await userCan(req, 'reports.view_team'))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
@@ -692,7 +886,8 @@ router.get('/top-agents', authenticateToken, async (req, res) => {
     ))
     .where(and(
       sql`${users.deletedAt} IS NULL`, // Only non-deleted users
-      eq(users.role, 'agent') // Only agents, not managers
+      eq(users.role, 'agent'), // Only agents, not managers
+      scopeToOrg(await getOrgScope(req), users.id) // Only agents in the manager's part of the org
     ))
     .groupBy(users.id)
     .orderBy(desc(count(sales.id))) // Order by sales count
@@ -722,14 +917,469 @@ router.get('/top-agents', authenticateToken, async (req, res) => {
   }
 });
 
+// Function to drop the parts of a reporting line the user can't see (a team lead's reports' reports)
+const pruneToScope = (node, scope) => ({
+  ...node,
+  reports: node.reports.filter(report => scope.includes(report.id)).map(report => pruneToScope(report, scope))
+});
+
+// GET /org-chart - Get the reporting lines (users.managerId) the user can see
+// Top-level managers get the whole org; everyone else the branch below them
+router.get('/org-chart', authenticateToken, async (req, res) => {
+  try {
+    const scope = await getOrgScope(req);
+    const chart = scope === null
+      ? await getOrgTree()
+      : (await getOrgTree(req.user.id)).map(root => pruneToScope(root, scope));
+
+    res.json({
+      message: 'Org chart retrieved successfully',
+      chart
+    });
+
+  } catch (error) {
+    console.error('Get org chart error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Function to load a team for the team CRUD routes
+const loadTeam = async (req, res) => {
+  const team = await getTeamById(parseInt(req.params.id));
+  if (!team) {
+    res.status(404).json({
+      error: 'Team not found',
+      code: 'TEAM_NOT_FOUND'
+    });
+    return null;
+  }
+  return team;
+};
+
+// Function to check a user can be a team's manager or member
+const findActiveUser = async (userId) => {
+  const [user] = await db.select()
+    .from(users)
+    .where(and(eq(users.id, userId), eq(users.isActive, true), isNull(users.deletedAt)))
+    .limit(1);
+  return user || null;
+};
+
+const TEAM_ERROR_STATUS = {
+  TEAM_ARCHIVED: 400,
+  ALREADY_MEMBER: 409,
+  NOT_A_MEMBER: 404
+};
+
+const TEAM_ROLE_LABELS = {
+  member: 'a member',
+  lead: 'the team lead',
+  specialist: 'a specialist'
+};
+
+const validateTeam = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Team name is required (max 100 characters)'),
+  body('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  body('managerId').optional().isInt({ min: 1 }).withMessage('Valid manager ID is required')
+];
+
+// GET /teams - List teams with their manager and member count
+// Managers see every team (archived ones with includeArchived=true); agents the teams they manage or lead
+router.get('/teams', authenticateToken, [
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const canManageTeams = await userCan(req, 'team.manage');
+    let teamList = await getTeams({ includeArchived: canManageTeams && req.query.includeArchived === 'true' });
+
+    if (!canManageTeams) {
+      const visible = await Promise.all(teamList.map(team => canViewTeam(req.user, team)));
+      teamList = teamList.filter((team, index) => visible[index]);
+    }
+
+    res.json({
+      message: 'Teams retrieved successfully',
+      teams: teamList,
+      roles: TEAM_MEMBER_ROLES
+    });
+
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /teams - Create a team (needs team.manage); managerId defaults to the creating manager
+router.post('/teams', authenticateToken, requirePermission('team.manage'), validateTeam, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+    const managerId = req.body.managerId ? parseInt(req.body.managerId) : req.user.id;
+
+    if (!(await findActiveUser(managerId))) {
+      return res.status(400).json({
+        error: 'Manager not found or inactive',
+        code: 'MANAGER_NOT_FOUND'
+      });
+    }
+
+    if (await findTeamByName(name)) {
+      return res.status(409).json({
+        error: 'A team with this name already exists',
+        code: 'TEAM_EXISTS'
+      });
+    }
+
+    const [team] = await db.insert(teams).values({
+      name: name.trim(),
+      description: description || null,
+      managerId,
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'team', after: team });
+
+    res.status(201).json({
+      message: 'Team created successfully',
+      team
+    });
+
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// GET /teams/:id - Get a team with its current members
+router.get('/teams/:id', authenticateToken, async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!(await canViewTeam(req.user, team))) {
+      return res.status(403).json({
+        error: 'Access denied to this team',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const members = await getTeamMembers(team.id);
+
+    res.json({
+      message: 'Team retrieved successfully',
+      team: { ...team, members }
+    });
+
+  } catch (error) {
+    console.error('Get team details error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /teams/:id - Rename a team, change its description or manager, or restore it with isActive=true (needs team.manage)
+router.put('/teams/:id', authenticateToken, requirePermission('team.manage'), [
+  ...validateTeam,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const { name, description, isActive } = req.body;
+    const managerId = req.body.managerId ? parseInt(req.body.managerId) : team.managerId;
+
+    if (managerId !== team.managerId && !(await findActiveUser(managerId))) {
+      return res.status(400).json({
+        error: 'Manager not found or inactive',
+        code: 'MANAGER_NOT_FOUND'
+      });
+    }
+
+    const sameName = await findTeamByName(name);
+    if (sameName && sameName.id !== team.id) {
+      return res.status(409).json({
+        error: 'A team with this name already exists',
+        code: 'TEAM_EXISTS'
+      });
+    }
+
+    const [updatedTeam] = await db.update(teams)
+      .set({
+        name: name.trim(),
+        description: description !== undefined ? description : team.description,
+        managerId,
+        isActive: isActive ?? team.isActive,
+        updatedAt: new Date()
+      })
+      .where(eq(teams.id, team.id))
+      .returning();
+
+    const action = !team.isActive && updatedTeam.isActive ? 'restore' : 'update';
+    await recordAuditEvent(req, { action, entityType: 'team', before: team, after: updatedTeam });
+
+    if (managerId !== team.managerId) {
+      await notifyTeamUpdate([managerId], {
+        title: 'You now manage a team',
+        message: `You have been made the manager of ${updatedTeam.name}`,
+        entityId: updatedTeam.id
+      });
+    }
+
+    res.json({
+      message: 'Team updated successfully',
+      team: updatedTeam
+    });
+
+  } catch (error) {
+    console.error('Update team error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /teams/:id - Archive a team (needs team.manage)
+// Teams are never hard-deleted; memberships are kept so the team can be restored as it was
+router.delete('/teams/:id', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    if (!team.isActive) {
+      return res.status(400).json({
+        error: 'Team is already archived',
+        code: 'TEAM_ARCHIVED'
+      });
+    }
+
+    const [archivedTeam] = await db.update(teams)
+      .set({ isActive: false, updatedAt: new Date() })
+      .where(eq(teams.id, team.id))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'archive', entityType: 'team', before: team, after: archivedTeam });
+
+    res.json({
+      message: 'Team archived successfully',
+      team: archivedTeam
+    });
+
+  } catch (error) {
+    console.error('Archive team error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// POST /teams/:id/members - Add a user to a team as member, lead or specialist (needs team.manage)
+router.post('/teams/:id/members', authenticateToken, requirePermission('team.manage'), [
+  body('userId').isInt({ min: 1 }).withMessage('Valid user ID is required'),
+  body('role').optional().isIn(TEAM_MEMBER_ROLES).withMessage(`Role must be one of ${TEAM_MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const userId = parseInt(req.body.userId);
+    const role = req.body.role || 'member';
+
+    if (!(await findActiveUser(userId))) {
+      return res.status(400).json({
+        error: 'User not found or inactive',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    let membership;
+    try {
+      membership = await addTeamMember(team, userId, role);
+    } catch (memberError) {
+      if (TEAM_ERROR_STATUS[memberError.code]) {
+        return res.status(TEAM_ERROR_STATUS[memberError.code]).json({ error: memberError.message, code: memberError.code });
+      }
+      throw memberError;
+    }
+
+    await recordAuditEvent(req, { action: 'create', entityType: 'team_member', after: membership });
+
+    await notifyTeamUpdate([userId], {
+      title: 'You have joined a team',
+      message: `You have been added to ${team.name} as ${TEAM_ROLE_LABELS[role]}`,
+      entityId: team.id
+    });
+
+    res.status(201).json({
+      message: 'Team member added successfully',
+      membership
+    });
+
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// PUT /teams/:id/members/:userId - Change a member's team role (needs team.manage)
+router.put('/teams/:id/members/:userId', authenticateToken, requirePermission('team.manage'), [
+  body('role').isIn(TEAM_MEMBER_ROLES).withMessage(`Role must be one of ${TEAM_MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const userId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    let result;
+    try {
+      result = await setTeamMemberRole(team, userId, role);
+    } catch (memberError) {
+      if (TEAM_ERROR_STATUS[memberError.code]) {
+        return res.status(TEAM_ERROR_STATUS[memberError.code]).json({ error: memberError.message, code: memberError.code });
+      }
+      throw memberError;
+    }
+
+    await recordAuditEvent(req, { action: 'update', entityType: 'team_member', before: result.before, after: result.membership });
+
+    if (result.before.role !== role) {
+      await notifyTeamUpdate([userId], {
+        title: 'Your team role has changed',
+        message: `You are now ${TEAM_ROLE_LABELS[role]} of ${team.name}`,
+        entityId: team.id
+      });
+    }
+
+    res.json({
+      message: 'Team member updated successfully',
+      membership: result.membership
+    });
+
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// DELETE /teams/:id/members/:userId - Remove a user from a team (needs team.manage)
+router.delete('/teams/:id/members/:userId', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const team = await loadTeam(req, res);
+    if (!team) return;
+
+    const userId = parseInt(req.params.userId);
+
+    let result;
+    try {
+      result = await removeTeamMember(team, userId);
+    } catch (memberError) {
+      if (TEAM_ERROR_STATUS[memberError.code]) {
+        return res.status(TEAM_ERROR_STATUS[memberError.code]).json({ error: memberError.message, code: memberError.code });
+      }
+      throw memberError;
+    }
+
+    await recordAuditEvent(req, { action: 'delete', entityType: 'team_member', before: result.before });
+
+    await notifyTeamUpdate([userId], {
+      title: 'You have left a team',
+      message: `You have been removed from ${team.name}`,
+      entityId: team.id
+    });
+
+    res.json({
+      message: 'Team member removed successfully',
+      membership: result.membership
+    });
+
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // GET /debug-sales - Debug endpoint to test sales calculations
 router.get('/debug-sales', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
     
-    // Only managers can access this debug endpoint
-    if (userRole !== 'manager') {
+    // Needs reports.view_team
+    if (!(await userCan(req, 'reports.view_team'))) {
       return res.status(403).json({
         error: 'Access denied',
         code: 'ACCESS_DENIED'
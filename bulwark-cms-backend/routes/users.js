@@ -1,32 +1,102 @@
 import express from 'express';
 import { body, validationResult, query } from 'express-validator';
 import { db } from '../config/database.js';
-import { users } from '../models/schema.js';
+import { users, notifications } from '../models/schema.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { requireManager } from '../middleware/roleCheck.js';
-import { eq, and, like, desc, asc, or } from 'drizzle-orm';
+import { requirePermission } from '../middleware/roleCheck.js';
+import { eq, and, like, desc, asc, or, count, isNull } from 'drizzle-orm';
 import bcrypt from 'bcryptjs';
+import { NOTIFICATION_PREFERENCES, notifyTeamUpdate } from '../services/notificationService.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { recordAuditEvent } from '../services/auditService.js';
+import { roleExists, getRolePermissions, getPermissions, canAssignRole, countUsersWithPermission } from '../services/permissionService.js';
+import { getBookSize } from '../services/clientTransferService.js';
+import { getOrgScope, scopeToOrg, canSeeAgent, wouldCreateReportingCycle } from '../services/orgScopeService.js';
 import { sql } from 'drizzle-orm';
 
 const router = express.Router();
 
+// Roles live in the roles table, so new ones can be assigned without a code change
+const isKnownRole = async (value) => {
+  if (!(await roleExists(value))) {
+    throw new Error('Unknown role');
+  }
+  return true;
+};
+
+// Function to check the caller may give out a role; without roles.manage they can only assign
+// roles whose permissions they already hold
+const mayAssignRole = async (req, role) => canAssignRole(await getPermissions(req), await getRolePermissions(role));
+
+const roleNotAssignable = (res) => res.status(403).json({
+  error: 'You cannot assign a role with permissions you do not have',
+  code: 'INSUFFICIENT_PERMISSIONS'
+});
+
+// Fields PUT /:id may change; anything else in the body is ignored
+const USER_UPDATE_FIELDS = ['email', 'firstName', 'lastName', 'role', 'isActive', 'department', 'position', 'managerId'];
+
+const pickUserUpdates = (body) => Object.fromEntries(
+  USER_UPDATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Function to check a reporting line change, returning { status, error, code } when it is not allowed.
+// The manager decides what org.view_branch holders see, so nobody moves themselves, a manager must be
+// someone the caller can see, and only someone who sees the whole org can leave a user without one.
+const checkManagerChange = async (req, user, managerId) => {
+  if (managerId === undefined || managerId === user.managerId) {
+    return null;
+  }
+  if (user.id === req.user.id) {
+    return { status: 403, error: 'You cannot change your own manager', code: 'OWN_MANAGER' };
+  }
+
+  const scope = await getOrgScope(req);
+  if (managerId === null) {
+    return scope === null ? null : { status: 403, error: 'Only someone who sees the whole organisation can remove a manager', code: 'ACCESS_DENIED' };
+  }
+
+  const [manager] = await db.select({ id: users.id })
+    .from(users)
+    .where(and(eq(users.id, managerId), eq(users.isActive, true), isNull(users.deletedAt)))
+    .limit(1);
+  if (!manager || !canSeeAgent(scope, managerId)) {
+    return { status: 400, error: 'Manager not found', code: 'MANAGER_NOT_FOUND' };
+  }
+  if (await wouldCreateReportingCycle(user.id, managerId)) {
+    return { status: 400, error: 'A user cannot report to themselves or to someone below them', code: 'REPORTING_CYCLE' };
+  }
+  return null;
+};
+
+// Function to check a change would still leave someone able to manage roles
+const wouldLockOutRoles = async (user, { role = user.role, isActive = true } = {}) => {
+  const holdsNow = user.isActive && !user.deletedAt && (await getRolePermissions(user.role)).has('roles.manage');
+  const holdsAfter = isActive && (await getRolePermissions(role)).has('roles.manage');
+  if (!holdsNow || holdsAfter) {
+    return false;
+  }
+  return (await countUsersWithPermission('roles.manage', { excludeUserId: user.id })) === 0;
+};
+
 // Validation middleware
 const validateUser = [
   body('email').isEmail().withMessage('Valid email is required'),
   body('firstName').isLength({ min: 1, max: 100 }).withMessage('First name is required (1-100 characters)'),
   body('lastName').isLength({ min: 1, max: 100 }).withMessage('Last name is required (1-100 characters)'),
-  body('role').isIn(['manager', 'agent']).withMessage('Valid role is required'),
+  body('role').custom(isKnownRole).withMessage('Valid role is required'),
   body('department').optional().isLength({ min: 1, max: 100 }).withMessage('Department must be 1-100 characters'),
   body('position').optional().isLength({ min: 1, max: 100 }).withMessage('Position must be 1-100 characters')
 ];
 
-// GET / - Get all users (managers only)
-router.get('/', authenticateToken, requireManager, [
+// GET / - Get all users (needs users.manage)
+router.get('/', authenticateToken, requirePermission('users.manage'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('role').optional().isIn(['manager', 'agent']).withMessage('Valid role is required'),
+  query('role').optional().isLength({ min: 1, max: 20 }).withMessage('Valid role is required'),
   query('department').optional().isLength({ min: 1 }).withMessage('Department is required if provided'),
-  query('search').optional().isLength({ min: 1 }).withMessage('Search term is required if provided')
+  query('search').optional().isLength({ min: 1 }).withMessage('Search term is required if provided'),
+  query('include_deleted').optional().isBoolean().withMessage('include_deleted must be a boolean')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -39,7 +109,7 @@ router.get('/', authenticateToken, requireManager, [
       });
     }
 
-    const { page = 1, limit = 20, role, department, search } = req.query;
+    const { page = 1, limit = 20, role, department, search, include_deleted } = req.query;
     const offset = (page - 1) * limit;
     
     console.log('🔍 [GET /api/users] Query params:', { page, limit, role, department, search });
@@ -47,8 +117,10 @@ router.get('/', authenticateToken, requireManager, [
     // Build where conditions
     let whereConditions = [];
 
-    // Always exclude deleted users
-    whereConditions.push(sql`${users.deletedAt} IS NULL`);
+    // Exclude deleted users unless asked for, e.g. to move the clients a deleted agent left behind
+    if (include_deleted !== 'true') {
+      whereConditions.push(sql`${users.deletedAt} IS NULL`);
+    }
 
     if (role) {
       whereConditions.push(eq(users.role, role));
@@ -58,6 +130,12 @@ router.get('/', authenticateToken, requireManager, [
       whereConditions.push(eq(users.department, department));
     }
 
+    // Only people in the caller's part of the org
+    const scopeCondition = scopeToOrg(await getOrgScope(req), users.id);
+    if (scopeCondition) {
+      whereConditions.push(scopeCondition);
+    }
+
     if (search) {
       whereConditions.push(
         or(
@@ -128,13 +206,13 @@ router.get('/', authenticateToken, requireManager, [
   }
 });
 
-// POST / - Create new user (managers only)
-router.post('/', authenticateToken, requireManager, [
+// POST / - Create new user (needs users.manage)
+router.post('/', authenticateToken, requirePermission('users.manage'), [
   body('email').isEmail().withMessage('Valid email is required'),
   body('firstName').isLength({ min: 1, max: 100 }).withMessage('First name is required (1-100 characters)'),
   body('lastName').isLength({ min: 1, max: 100 }).withMessage('Last name is required (1-100 characters)'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role').isIn(['manager', 'agent']).withMessage('Valid role is required')
+  body('role').custom(isKnownRole).withMessage('Valid role is required')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -149,6 +227,10 @@ router.post('/', authenticateToken, requireManager, [
 
     const { email, firstName, lastName, password, role } = req.body;
 
+    if (!(await mayAssignRole(req, role))) {
+      return roleNotAssignable(res);
+    }
+
     // Check if user already exists
     const existingUser = await db.select({ id: users.id })
       .from(users)
@@ -185,6 +267,8 @@ router.post('/', authenticateToken, requireManager, [
 
     const createdUser = newUser[0];
 
+    await recordAuditEvent(req, { action: 'create', entityType: 'user', after: createdUser });
+
     // Return user without password
     const { password: _, ...userWithoutPassword } = createdUser;
 
@@ -202,13 +286,16 @@ router.post('/', authenticateToken, requireManager, [
   }
 });
 
-// PUT /:id - Update user (managers only)
-router.put('/:id', authenticateToken, requireManager, [
+// PUT /:id - Update user (needs users.manage)
+router.put('/:id', authenticateToken, requirePermission('users.manage'), [
   body('email').optional().isEmail().withMessage('Valid email is required if provided'),
   body('firstName').optional().isLength({ min: 1, max: 100 }).withMessage('First name must be 1-100 characters if provided'),
   body('lastName').optional().isLength({ min: 1, max: 100 }).withMessage('Last name must be 1-100 characters if provided'),
-  body('role').optional().isIn(['manager', 'agent']).withMessage('Valid role is required if provided'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided')
+  body('role').optional().custom(isKnownRole).withMessage('Valid role is required if provided'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean if provided'),
+  body('department').optional({ values: 'null' }).isLength({ max: 100 }).withMessage('Department must be at most 100 characters'),
+  body('position').optional({ values: 'null' }).isLength({ max: 100 }).withMessage('Position must be at most 100 characters'),
+  body('managerId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid manager ID is required if provided').toInt()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -222,21 +309,30 @@ router.put('/:id', authenticateToken, requireManager, [
     }
 
     const userId = parseInt(req.params.id);
-    const updateData = req.body;
+    const updateData = pickUserUpdates(req.body);
 
     // Check if user exists
-    const existingUser = await db.select({ id: users.id })
+    const existingUser = await db.select()
       .from(users)
       .where(eq(users.id, userId))
       .limit(1);
 
-    if (existingUser.length === 0) {
+    if (existingUser.length === 0 || !canSeeAgent(await getOrgScope(req), userId)) {
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
       });
     }
 
+    if (updateData.role !== undefined && updateData.role !== existingUser[0].role && !(await mayAssignRole(req, updateData.role))) {
+      return roleNotAssignable(res);
+    }
+
+    const managerError = await checkManagerChange(req, existingUser[0], updateData.managerId);
+    if (managerError) {
+      return res.status(managerError.status).json({ error: managerError.error, code: managerError.code });
+    }
+
     // Check if email is being changed and if it's already taken
     if (updateData.email) {
       const emailCheck = await db.select({ id: users.id })
@@ -255,6 +351,14 @@ router.put('/:id', authenticateToken, requireManager, [
       }
     }
 
+    // Don't let the last person who can manage roles lose that ability
+    if (await wouldLockOutRoles(existingUser[0], { role: updateData.role, isActive: updateData.isActive ?? existingUser[0].isActive })) {
+      return res.status(400).json({
+        error: 'This is the last active user who can manage roles',
+        code: 'LAST_ROLE_MANAGER'
+      });
+    }
+
     // Update user
     const updatedUser = await db.update(users)
       .set({
@@ -271,6 +375,30 @@ router.put('/:id', authenticateToken, requireManager, [
     const user = updatedUser[0];
     const { password: _, ...userWithoutPassword } = user;
 
+    await recordAuditEvent(req, { action: 'update', entityType: 'user', before: existingUser[0], after: user });
+
+    if (updateData.isActive === false) {
+      await revokeAllSessions(userId, 'user_deactivated');
+    }
+
+    // Let the user and their new manager know about a reporting line change
+    if (updateData.managerId !== undefined && user.managerId !== existingUser[0].managerId) {
+      await notifyTeamUpdate([user.id], {
+        title: 'Your team has changed',
+        message: user.managerId ? 'You have been assigned to a new manager' : 'You have been removed from your manager\'s team',
+        entityType: 'user',
+        entityId: user.id
+      });
+      if (user.managerId) {
+        await notifyTeamUpdate([user.managerId], {
+          title: 'New team member',
+          message: `${user.firstName} ${user.lastName} has joined your team`,
+          entityType: 'user',
+          entityId: user.id
+        });
+      }
+    }
+
     res.json({
       message: 'User updated successfully',
       user: userWithoutPassword
@@ -285,55 +413,52 @@ router.put('/:id', authenticateToken, requireManager, [
   }
 });
 
-// DELETE /:id - Delete user (managers only)
-router.delete('/:id', authenticateToken, requireManager, async (req, res) => {
+// DELETE /:id - Delete user (needs users.manage)
+router.delete('/:id', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
 
     // Check if user exists
-    const existingUser = await db.select({ id: users.id, role: users.role })
+    const existingUser = await db.select()
       .from(users)
       .where(eq(users.id, userId))
       .limit(1);
 
-    if (existingUser.length === 0) {
+    if (existingUser.length === 0 || !canSeeAgent(await getOrgScope(req), userId)) {
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
       });
     }
 
-    // Prevent deleting the last manager
-    if (existingUser[0].role === 'manager') {
-      // Count only active managers
-      const managerCountResult = await db.select({ count: sql`count(*)` })
-        .from(users)
-        .where(and(
-          eq(users.role, 'manager'),
-          eq(users.isActive, true)
-        ));
-
-      const activeManagerCount = parseInt(managerCountResult[0]?.count || 0);
-      
-      if (activeManagerCount <= 1) {
-        return res.status(400).json({
-          error: 'Cannot delete the last active manager',
-          code: 'LAST_MANAGER'
-        });
-      }
+    // Prevent deleting the last person who can manage roles
+    if (await wouldLockOutRoles(existingUser[0], { isActive: false })) {
+      return res.status(400).json({
+        error: 'Cannot delete the last active user who can manage roles',
+        code: 'LAST_ROLE_MANAGER'
+      });
     }
 
     // Soft delete by setting isActive to false and recording deletion timestamp
-    await db.update(users)
+    const deletedUser = await db.update(users)
       .set({
         isActive: false,
         deletedAt: new Date(),
         updatedAt: new Date()
       })
-      .where(eq(users.id, userId));
+      .where(eq(users.id, userId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'deactivate', entityType: 'user', before: existingUser[0], after: deletedUser[0] });
+
+    await revokeAllSessions(userId, 'user_deactivated');
+
+    // Their clients stay with them until moved with POST /clients/transfer
+    const remainingBook = await getBookSize(userId);
 
     res.json({
-      message: 'User deleted successfully'
+      message: 'User deleted successfully',
+      remainingBook
     });
 
   } catch (error) {
@@ -345,18 +470,18 @@ router.delete('/:id', authenticateToken, requireManager, async (req, res) => {
   }
 });
 
-// PUT /:id/reactivate - Reactivate deleted user (managers only)
-router.put('/:id/reactivate', authenticateToken, requireManager, async (req, res) => {
+// PUT /:id/reactivate - Reactivate deleted user (needs users.manage)
+router.put('/:id/reactivate', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
 
     // Check if user exists
-    const existingUser = await db.select({ id: users.id, deletedAt: users.deletedAt })
+    const existingUser = await db.select()
       .from(users)
       .where(eq(users.id, userId))
       .limit(1);
 
-    if (existingUser.length === 0) {
+    if (existingUser.length === 0 || !canSeeAgent(await getOrgScope(req), userId)) {
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
@@ -372,13 +497,16 @@ router.put('/:id/reactivate', authenticateToken, requireManager, async (req, res
     }
 
     // Reactivate user by clearing deletedAt and setting isActive to true
-    await db.update(users)
+    const reactivatedUser = await db.update(users)
       .set({
         isActive: true,
         deletedAt: null,
         updatedAt: new Date()
       })
-      .where(eq(users.id, userId));
+      .where(eq(users.id, userId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'reactivate', entityType: 'user', before: existingUser[0], after: reactivatedUser[0] });
 
     res.json({
       message: 'User reactivated successfully'
@@ -598,13 +726,66 @@ router.get('/settings', authenticateToken, async (req, res) => {
 });
 
 // GET /notifications - Get current user notifications
-router.get('/notifications', authenticateToken, async (req, res) => {
+router.get('/notifications', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean'),
+  query('type').optional().isIn(Object.keys(NOTIFICATION_PREFERENCES)).withMessage('Valid notification type is required')
+], async (req, res) => {
   try {
-    // For now, return empty notifications array
-    // This can be expanded later with actual notification system
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const unreadOnly = req.query.unreadOnly === 'true';
+
+    let whereConditions = [eq(notifications.userId, userId)];
+    if (unreadOnly) {
+      whereConditions.push(eq(notifications.isRead, false));
+    }
+    if (req.query.type) {
+      whereConditions.push(eq(notifications.type, req.query.type));
+    }
+
+    const userNotifications = await db.select()
+      .from(notifications)
+      .where(and(...whereConditions))
+      .orderBy(desc(notifications.createdAt), desc(notifications.id))
+      .limit(limit)
+      .offset(offset);
+
+    const totalResult = await db.select({ count: count() })
+      .from(notifications)
+      .where(and(...whereConditions));
+
+    const unreadResult = await db.select({ count: count() })
+      .from(notifications)
+      .where(and(
+        eq(notifications.userId, userId),
+        eq(notifications.isRead, false)
+      ));
+
+    const total = Number(totalResult[0]?.count || 0);
+
     res.json({
       message: 'Notifications retrieved successfully',
-      notifications: []
+      notifications: userNotifications,
+      unreadCount: Number(unreadResult[0]?.count || 0),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
   } catch (error) {
@@ -616,17 +797,23 @@ router.get('/notifications', authenticateToken, async (req, res) => {
   }
 });
 
-// PATCH /notifications/:id/read - Mark notification as read
-router.patch('/notifications/:id/read', authenticateToken, async (req, res) => {
+// GET /notifications/unread-count - Get number of unread notifications
+router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
   try {
-    // For now, just return success since we don't have a notifications table yet
-    // This can be expanded later with actual notification system
+    const unreadResult = await db.select({ count: count() })
+      .from(notifications)
+      .where(and(
+        eq(notifications.userId, req.user.id),
+        eq(notifications.isRead, false)
+      ));
+
     res.json({
-      message: 'Notification marked as read successfully'
+      message: 'Unread count retrieved successfully',
+      unreadCount: Number(unreadResult[0]?.count || 0)
     });
 
   } catch (error) {
-    console.error('Mark notification read error:', error);
+    console.error('Get unread count error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -637,10 +824,20 @@ router.patch('/notifications/:id/read', authenticateToken, async (req, res) => {
 // PATCH /notifications/read-all - Mark all notifications as read
 router.patch('/notifications/read-all', authenticateToken, async (req, res) => {
   try {
-    // For now, just return success since we don't have a notifications table yet
-    // This can be expanded later with actual notification system
+    const updated = await db.update(notifications)
+      .set({
+        isRead: true,
+        readAt: new Date()
+      })
+      .where(and(
+        eq(notifications.userId, req.user.id),
+        eq(notifications.isRead, false)
+      ))
+      .returning({ id: notifications.id });
+
     res.json({
-      message: 'All notifications marked as read successfully'
+      message: 'All notifications marked as read successfully',
+      updatedCount: updated.length
     });
 
   } catch (error) {
@@ -652,6 +849,62 @@ router.patch('/notifications/read-all', authenticateToken, async (req, res) => {
   }
 });
 
+// PATCH /notifications/:id/read - Mark notification as read
+router.patch('/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+    if (isNaN(notificationId)) {
+      return res.status(400).json({
+        error: 'Invalid notification ID',
+        code: 'INVALID_ID'
+      });
+    }
+
+    const existing = await db.select()
+      .from(notifications)
+      .where(eq(notifications.id, notificationId))
+      .limit(1);
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    if (existing[0].userId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied to this notification',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    let notification = existing[0];
+    if (!notification.isRead) {
+      const updated = await db.update(notifications)
+        .set({
+          isRead: true,
+          readAt: new Date()
+        })
+        .where(eq(notifications.id, notificationId))
+        .returning();
+      notification = updated[0];
+    }
+
+    res.json({
+      message: 'Notification marked as read successfully',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // PUT /settings/preferences - Update user preferences
 router.put('/settings/preferences', authenticateToken, [
   body('timezone').optional().isLength({ max: 50 }).withMessage('Timezone must be less than 50 characters'),
@@ -836,10 +1089,7 @@ router.put('/profile/password', authenticateToken, [
     const { current_password, new_password } = req.body;
 
     // Get current user with password hash
-    const user = await db.select({
-      id: users.id,
-      passwordHash: users.passwordHash
-    })
+    const user = await db.select()
     .from(users)
     .where(eq(users.id, userId))
     .limit(1);
@@ -878,6 +1128,11 @@ router.put('/profile/password', authenticateToken, [
       throw new Error('Failed to update password');
     }
 
+    await recordAuditEvent(req, { action: 'change_password', entityType: 'user', before: user[0], after: updatedUser[0] });
+
+    // Sign out every other device that was using the old password
+    await revokeAllSessions(userId, 'password_changed', req.sessionId);
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -1037,6 +1292,8 @@ router.put('/profile', authenticateToken, [
     console.log('Profile update - SQL WHERE condition: userId =', validUserId);
 
     try {
+      const previousUser = await db.select().from(users).where(eq(users.id, validUserId)).limit(1);
+
       const updatedUser = await db.update(users)
         .set(mappedData)
         .where(eq(users.id, validUserId))
@@ -1051,6 +1308,8 @@ router.put('/profile', authenticateToken, [
         });
       }
 
+      await recordAuditEvent(req, { action: 'update', entityType: 'user', before: previousUser[0], after: updatedUser[0] });
+
       // Map the response back to frontend format
       const user = updatedUser[0];
       const responseUser = {
@@ -1112,8 +1371,8 @@ router.put('/profile', authenticateToken, [
   }
 });
 
-// POST /:id/reset-password - Reset user password (managers only)
-router.post('/:id/reset-password', authenticateToken, requireManager, [
+// POST /:id/reset-password - Reset user password (needs users.reset_credentials)
+router.post('/:id/reset-password', authenticateToken, requirePermission('users.reset_credentials'), [
   body('new_password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
 ], async (req, res) => {
   try {
@@ -1136,8 +1395,8 @@ router.post('/:id/reset-password', authenticateToken, requireManager, [
     // Check if user exists
     const user = await db.select().from(users).where(eq(users.id, userId)).limit(1);
     
-    if (!user || user.length === 0) {
-      console.log('🔧 Password reset - User not found');
+    if (!user || user.length === 0 || !canSeeAgent(await getOrgScope(req), userId)) {
+      console.log('🔧 Password reset - User not found or not visible');
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
@@ -1166,6 +1425,10 @@ router.post('/:id/reset-password', authenticateToken, requireManager, [
     console.log('🔧 Password reset - Database update successful');
     console.log('🔧 Password reset - Updated user ID:', updatedUser[0].id);
 
+    await recordAuditEvent(req, { action: 'reset_password', entityType: 'user', before: user[0], after: updatedUser[0] });
+
+    await revokeAllSessions(userId, 'password_changed', userId === req.user.id ? req.sessionId : null);
+
     res.json({
       message: 'Password reset successfully',
       user: {
@@ -1184,4 +1447,53 @@ router.post('/:id/reset-password', authenticateToken, requireManager, [
   }
 });
 
+// POST /:id/reset-2fa - Reset a user's two-factor authentication (needs users.reset_credentials)
+router.post('/:id/reset-2fa', authenticateToken, requirePermission('users.reset_credentials'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await db.select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user || user.length === 0 || !canSeeAgent(await getOrgScope(req), userId)) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Clearing the secret lets the user sign in with their password and enroll again
+    const updatedUser = await db.update(users)
+      .set({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: null,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+
+    await recordAuditEvent(req, { action: 'reset_2fa', entityType: 'user', before: user[0], after: updatedUser[0] });
+
+    console.log(`🔧 2FA reset for user ${userId} by manager ${req.user.id}`);
+
+    res.json({
+      message: 'Two-factor authentication reset successfully',
+      user: {
+        id: userId,
+        twoFactorEnabled: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 export default router;
@@ -11,6 +11,7 @@ import { fileURLToPath } from 'url';
 
 // Import app configuration
 import app from './app.js';
+import { startJobRunner, stopJobRunner } from './services/jobService.js';
 
 // Load environment variables
 dotenv.config();
@@ -96,6 +97,15 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true, // Don't count successful logins
 });
 
+// Password reset emails are limited per IP to prevent mail flooding
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many password reset requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Speed limiting - More lenient for development
 const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -107,6 +117,7 @@ const speedLimiter = slowDown({
 });
 
 // Apply rate limiting to specific routes
+server.use('/api/auth/forgot-password', passwordResetLimiter);
 server.use('/api/auth', authLimiter); // Stricter for auth
 server.use('/api/', generalLimiter); // General rate limiting for other routes
 server.use('/api/', speedLimiter); // Speed limiting
@@ -210,17 +221,22 @@ const httpServer = server.listen(PORT, () => {
   console.log(`📚 API Documentation: http://localhost:${PORT}/api`);
 });
 
+// Background jobs (reminder notifications, goal sync, policy sweeps, scheduled reports) run from the job queue
+startJobRunner();
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await stopJobRunner();
   httpServer.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await stopJobRunner();
   httpServer.close(() => {
     console.log('Process terminated');
     process.exit(0);
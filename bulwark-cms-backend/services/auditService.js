@@ -0,0 +1,79 @@
+import { db } from '../config/database.js';
+import { auditEvents } from '../models/schema.js';
+
+// Fields that must never be copied into the audit log
+const REDACTED_FIELDS = ['passwordHash', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastStep'];
+
+// Bookkeeping fields that change on every write and would only add noise to diffs
+const IGNORED_DIFF_FIELDS = ['updatedAt', 'lastLogin'];
+
+// Function to turn a row into a plain JSON snapshot without sensitive fields
+const toSnapshot = (record) => {
+  if (!record) {
+    return null;
+  }
+
+  const snapshot = JSON.parse(JSON.stringify(record));
+  for (const field of REDACTED_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+};
+
+// Compare two snapshots and return { field: { from, to } } for every changed field
+export const diffRecords = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Record a create/update/delete; `before` is null for creates and `after` is null for deletes
+export const recordAuditEvent = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+  try {
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+    const changes = diffRecords(beforeSnapshot, afterSnapshot);
+
+    // Updates that did not change anything are not worth an entry
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    const [event] = await db.insert(auditEvents).values({
+      actorId: req?.user?.id || null,
+      action,
+      entityType,
+      entityId: entityId ?? afterSnapshot?.id ?? beforeSnapshot?.id ?? null,
+      changes,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent')?.substring(0, 500) || null,
+      createdAt: new Date()
+    }).returning();
+
+    return event;
+  } catch (error) {
+    // Logged loudly, but a failed audit write must not undo a change that already happened
+    console.error(`❌ Error recording audit event (${action} ${entityType} ${entityId ?? ''}):`, error);
+    return null;
+  }
+};
+
+export default {
+  diffRecords,
+  recordAuditEvent
+};
@@ -0,0 +1,365 @@
+import { db } from '../config/database.js';
+import {
+  clients,
+  users,
+  sales,
+  reminders,
+  reminderSeries,
+  clientNotes,
+  opportunities,
+  clientRelationships,
+  clientDuplicateDismissals
+} from '../models/schema.js';
+import { eq, or, and, ne, inArray, sql } from 'drizzle-orm';
+
+// Pairs scoring at least this much are reported as possible duplicates
+export const DUPLICATE_THRESHOLD = parseFloat(process.env.CLIENT_DUPLICATE_THRESHOLD) || 0.5;
+
+// How much each kind of match counts towards the score (capped at 1)
+const MATCH_WEIGHTS = {
+  email: 0.6,
+  phone: 0.4,
+  name_dob: 0.5,
+  name: 0.25
+};
+
+// Names at least this similar (0-1) count as the same person
+const NAME_SIMILARITY = 0.85;
+
+// Helper to build an error carrying an API error code
+const duplicateError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export const normaliseEmail = (email) => {
+  return email ? String(email).trim().toLowerCase() : null;
+};
+
+// Compare phone numbers on their last 10 digits so country codes and formatting don't matter
+export const normalisePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+export const normaliseName = (name) => {
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+};
+
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  return typeof value === 'string' ? value.split('T')[0] : value.toISOString().split('T')[0];
+};
+
+// Levenshtein distance turned into a 0-1 similarity
+const similarity = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// Score how likely two clients are the same person; returns { score, reasons }
+export const scoreClientMatch = (a, b) => {
+  const reasons = [];
+
+  const emailA = normaliseEmail(a.email);
+  if (emailA && emailA === normaliseEmail(b.email)) {
+    reasons.push('email');
+  }
+
+  const phoneA = normalisePhone(a.phone);
+  if (phoneA && phoneA === normalisePhone(b.phone)) {
+    reasons.push('phone');
+  }
+
+  const nameScore = similarity(
+    normaliseName(a.firstName) + normaliseName(a.lastName),
+    normaliseName(b.firstName) + normaliseName(b.lastName)
+  );
+  if (nameScore >= NAME_SIMILARITY) {
+    const dobA = toDateString(a.dateOfBirth);
+    const dobB = toDateString(b.dateOfBirth);
+    if (dobA && dobA === dobB) {
+      reasons.push('name_dob');
+    } else if (!dobA || !dobB) {
+      // A different date of birth rules the name match out
+      reasons.push('name');
+    }
+  }
+
+  const score = Math.min(1, reasons.reduce((total, reason) => total + MATCH_WEIGHTS[reason], 0));
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+const candidateFields = {
+  id: clients.id,
+  agentId: clients.agentId,
+  firstName: clients.firstName,
+  lastName: clients.lastName,
+  email: clients.email,
+  phone: clients.phone,
+  dateOfBirth: clients.dateOfBirth,
+  status: clients.status,
+  agentFirstName: users.firstName,
+  agentLastName: users.lastName
+};
+
+// Find existing clients that look like the given one, across all agents, best match first
+export const findDuplicateCandidates = async (client, { excludeId = null } = {}) => {
+  const conditions = [];
+
+  const email = normaliseEmail(client.email);
+  if (email) {
+    conditions.push(sql`lower(${clients.email}) = ${email}`);
+  }
+
+  const phone = normalisePhone(client.phone);
+  if (phone) {
+    conditions.push(sql`right(regexp_replace(${clients.phone}, '[^0-9]', '', 'g'), 10) = ${phone}`);
+  }
+
+  // Narrow name matches to the same first or last name; the fuzzy comparison happens below
+  const firstName = String(client.firstName || '').trim().toLowerCase();
+  const lastName = String(client.lastName || '').trim().toLowerCase();
+  if (firstName) {
+    conditions.push(sql`lower(${clients.firstName}) = ${firstName}`);
+  }
+  if (lastName) {
+    conditions.push(sql`lower(${clients.lastName}) = ${lastName}`);
+  }
+
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const whereClause = excludeId ? and(or(...conditions), ne(clients.id, excludeId)) : or(...conditions);
+
+  const possible = await db.select(candidateFields)
+    .from(clients)
+    .leftJoin(users, eq(clients.agentId, users.id))
+    .where(whereClause)
+    .limit(200);
+
+  return possible
+    .map(candidate => ({ ...candidate, ...scoreClientMatch(client, candidate) }))
+    .filter(candidate => candidate.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Describe a possible duplicate without exposing more of another agent's client than needed
+export const toDuplicateSummary = (candidate) => ({
+  id: candidate.id,
+  firstName: candidate.firstName,
+  lastName: candidate.lastName,
+  agentName: candidate.agentFirstName ? `${candidate.agentFirstName} ${candidate.agentLastName}` : null,
+  score: candidate.score,
+  reasons: candidate.reasons
+});
+
+// Key a pair of client ids the same way whichever order they come in
+const pairKey = (idA, idB) => (idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`);
+
+// List possible duplicate pairs across the whole client book for manager review
+export const findDuplicatePairs = async ({ limit = 100 } = {}) => {
+  const allClients = await db.select(candidateFields)
+    .from(clients)
+    .leftJoin(users, eq(clients.agentId, users.id));
+
+  // Only compare clients sharing an email, phone, date of birth or surname rather than every pair
+  const blocks = new Map();
+  const addToBlock = (key, client) => {
+    if (!blocks.has(key)) {
+      blocks.set(key, []);
+    }
+    blocks.get(key).push(client);
+  };
+
+  for (const client of allClients) {
+    const email = normaliseEmail(client.email);
+    const phone = normalisePhone(client.phone);
+    const dob = toDateString(client.dateOfBirth);
+    const lastName = normaliseName(client.lastName);
+    if (email) addToBlock(`email:${email}`, client);
+    if (phone) addToBlock(`phone:${phone}`, client);
+    if (dob) addToBlock(`dob:${dob}`, client);
+    if (lastName) addToBlock(`last:${lastName}`, client);
+  }
+
+  const dismissals = await db.select().from(clientDuplicateDismissals);
+  const dismissed = new Set(dismissals.map(row => pairKey(row.clientId, row.otherClientId)));
+
+  const pairs = new Map();
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = pairKey(members[i].id, members[j].id);
+        if (pairs.has(key) || dismissed.has(key)) {
+          continue;
+        }
+        const { score, reasons } = scoreClientMatch(members[i], members[j]);
+        if (score >= DUPLICATE_THRESHOLD) {
+          // Older record first; it is usually the one to keep
+          const [first, second] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+          pairs.set(key, { client: first, duplicate: second, score, reasons });
+        }
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Record that two clients were reviewed and are not the same person
+export const dismissDuplicatePair = async (clientId, otherClientId, dismissedBy) => {
+  const [first, second] = clientId < otherClientId ? [clientId, otherClientId] : [otherClientId, clientId];
+
+  const [dismissal] = await db.insert(clientDuplicateDismissals).values({
+    clientId: first,
+    otherClientId: second,
+    dismissedBy,
+    createdAt: new Date()
+  })
+    .onConflictDoNothing()
+    .returning();
+
+  return dismissal || null;
+};
+
+// The survivor keeps its own details and picks up whatever it was missing from the duplicate
+export const mergeClientDetails = (survivor, duplicate) => ({
+  email: survivor.email || duplicate.email,
+  phone: survivor.phone || duplicate.phone,
+  dateOfBirth: survivor.dateOfBirth || duplicate.dateOfBirth,
+  employer: survivor.employer || duplicate.employer,
+  status: survivor.status === 'client' || duplicate.status === 'client' ? 'client' : 'prospect',
+  notes: [survivor.notes, duplicate.notes].filter(Boolean).join('\n\n') || null
+});
+
+// Merge the duplicate client into the surviving one: re-point everything that references
+// the duplicate, fill gaps in the survivor's details, then delete the duplicate
+export const mergeClients = async (survivorId, duplicateId) => {
+  if (survivorId === duplicateId) {
+    throw duplicateError('A client cannot be merged into itself', 'INVALID_MERGE');
+  }
+
+  return db.transaction(async (tx) => {
+    const rows = await tx.select().from(clients).where(inArray(clients.id, [survivorId, duplicateId]));
+    const survivor = rows.find(row => row.id === survivorId);
+    const duplicate = rows.find(row => row.id === duplicateId);
+
+    if (!survivor || !duplicate) {
+      throw duplicateError('Client not found', 'CLIENT_NOT_FOUND');
+    }
+
+    const movedSales = await tx.update(sales)
+      .set({ clientId: survivorId, updatedAt: new Date() })
+      .where(eq(sales.clientId, duplicateId))
+      .returning({ id: sales.id });
+    const movedReminders = await tx.update(reminders)
+      .set({ clientId: survivorId, updatedAt: new Date() })
+      .where(eq(reminders.clientId, duplicateId))
+      .returning({ id: reminders.id });
+    // Repeating reminders keep generating occurrences for the surviving client
+    await tx.update(reminderSeries)
+      .set({ clientId: survivorId, updatedAt: new Date() })
+      .where(eq(reminderSeries.clientId, duplicateId));
+    const movedNotes = await tx.update(clientNotes)
+      .set({ clientId: survivorId })
+      .where(eq(clientNotes.clientId, duplicateId))
+      .returning({ id: clientNotes.id });
+    const movedOpportunities = await tx.update(opportunities)
+      .set({ clientId: survivorId, updatedAt: new Date() })
+      .where(eq(opportunities.clientId, duplicateId))
+      .returning({ id: opportunities.id });
+
+    // Relationships between the two clients disappear; the rest move across unless the survivor already has them
+    await tx.delete(clientRelationships).where(or(
+      and(eq(clientRelationships.clientId, survivorId), eq(clientRelationships.relatedClientId, duplicateId)),
+      and(eq(clientRelationships.clientId, duplicateId), eq(clientRelationships.relatedClientId, survivorId))
+    ));
+    const survivorLinks = await tx.select().from(clientRelationships).where(or(
+      eq(clientRelationships.clientId, survivorId),
+      eq(clientRelationships.relatedClientId, survivorId)
+    ));
+    const duplicateLinks = await tx.select().from(clientRelationships).where(or(
+      eq(clientRelationships.clientId, duplicateId),
+      eq(clientRelationships.relatedClientId, duplicateId)
+    ));
+    const linkKey = (link) => `${link.clientId}:${link.relatedClientId}:${link.relationshipType}`;
+    const existingLinks = new Set(survivorLinks.map(linkKey));
+
+    for (const link of duplicateLinks) {
+      const moved = {
+        ...link,
+        clientId: link.clientId === duplicateId ? survivorId : link.clientId,
+        relatedClientId: link.relatedClientId === duplicateId ? survivorId : link.relatedClientId
+      };
+      if (existingLinks.has(linkKey(moved))) {
+        await tx.delete(clientRelationships).where(eq(clientRelationships.id, link.id));
+      } else {
+        await tx.update(clientRelationships)
+          .set({ clientId: moved.clientId, relatedClientId: moved.relatedClientId })
+          .where(eq(clientRelationships.id, link.id));
+        existingLinks.add(linkKey(moved));
+      }
+    }
+
+    await tx.delete(clientDuplicateDismissals).where(or(
+      eq(clientDuplicateDismissals.clientId, duplicateId),
+      eq(clientDuplicateDismissals.otherClientId, duplicateId)
+    ));
+
+    const [mergedClient] = await tx.update(clients)
+      .set({ ...mergeClientDetails(survivor, duplicate), updatedAt: new Date() })
+      .where(eq(clients.id, survivorId))
+      .returning();
+
+    await tx.delete(clients).where(eq(clients.id, duplicateId));
+
+    return {
+      survivor,
+      duplicate,
+      client: mergedClient,
+      moved: {
+        sales: movedSales.length,
+        reminders: movedReminders.length,
+        notes: movedNotes.length,
+        opportunities: movedOpportunities.length
+      }
+    };
+  });
+};
+
+export default {
+  DUPLICATE_THRESHOLD,
+  normaliseEmail,
+  normalisePhone,
+  normaliseName,
+  scoreClientMatch,
+  findDuplicateCandidates,
+  toDuplicateSummary,
+  findDuplicatePairs,
+  dismissDuplicatePair,
+  mergeClientDetails,
+  mergeClients
+};
@@ -0,0 +1,333 @@
+import { db } from '../config/database.js';
+import { clients, clientImportJobs } from '../models/schema.js';
+import { eq } from 'drizzle-orm';
+import { normaliseHeader, parseDate, toCsv } from '../utils/spreadsheet.js';
+import { findDuplicateCandidates, toDuplicateSummary, scoreClientMatch, DUPLICATE_THRESHOLD } from './clientDuplicateService.js';
+
+export const IMPORT_STATUSES = ['uploaded', 'validated', 'completed', 'failed'];
+
+// Client fields a spreadsheet column can be mapped to
+export const CLIENT_IMPORT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'employer', 'status', 'notes'];
+
+const REQUIRED_FIELDS = ['firstName', 'lastName'];
+
+// Reject files bigger than this so a single import stays reviewable
+export const MAX_IMPORT_ROWS = 5000;
+
+// Header names commonly used for each client field, used to suggest a mapping
+const COLUMN_ALIASES = {
+  firstName: ['firstName', 'first name', 'first', 'given name', 'forename'],
+  lastName: ['lastName', 'last name', 'last', 'surname', 'family name'],
+  email: ['email', 'email address', 'e-mail'],
+  phone: ['phone', 'phone number', 'telephone', 'mobile', 'cell', 'contact number'],
+  dateOfBirth: ['dateOfBirth', 'date of birth', 'date_of_birth', 'dob', 'birth date', 'birthday'],
+  employer: ['employer', 'company', 'employer name', 'organisation', 'organization'],
+  status: ['status', 'client status', 'type', 'client type'],
+  notes: ['notes', 'note', 'comments', 'comment']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper to build an error carrying an API error code
+const importError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Every header that appears in the file, in first-seen order
+const collectHeaders = (rows) => {
+  const headers = [];
+  for (const row of rows) {
+    for (const header of Object.keys(row)) {
+      if (header && !headers.includes(header)) {
+        headers.push(header);
+      }
+    }
+  }
+  return headers;
+};
+
+// Guess which header holds each client field; fields with no likely column map to null
+export const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of CLIENT_IMPORT_FIELDS) {
+    const aliases = COLUMN_ALIASES[field].map(normaliseHeader);
+    const match = aliases
+      .map(alias => headers.find(header => !used.has(header) && normaliseHeader(header) === alias))
+      .find(Boolean);
+    mapping[field] = match || null;
+    if (match) {
+      used.add(match);
+    }
+  }
+
+  return mapping;
+};
+
+// Check a mapping only names known fields and headers present in the file, and covers the required fields
+export const checkMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw importError('Column mapping is required', 'INVALID_MAPPING');
+  }
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!CLIENT_IMPORT_FIELDS.includes(field)) {
+      throw importError(`Unknown client field "${field}"`, 'INVALID_MAPPING');
+    }
+    if (header && !headers.includes(header)) {
+      throw importError(`Column "${header}" is not in the uploaded file`, 'INVALID_MAPPING');
+    }
+  }
+
+  if (REQUIRED_FIELDS.some(field => !mapping[field])) {
+    throw importError('Map columns to both first name and last name before importing', 'MAPPING_INCOMPLETE');
+  }
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Apply the mapping to one raw row and validate it; returns { client, errors } or null for a blank row
+const mapRow = (row, mapping) => {
+  const value = (field) => (mapping[field] ? cellText(row[mapping[field]]) : '');
+
+  if (CLIENT_IMPORT_FIELDS.every(field => value(field) === '')) {
+    return null;
+  }
+
+  const errors = [];
+  const firstName = value('firstName');
+  const lastName = value('lastName');
+  const email = value('email').toLowerCase();
+  const phone = value('phone');
+  const employer = value('employer');
+  const rawStatus = value('status');
+  const rawDateOfBirth = value('dateOfBirth');
+
+  if (firstName.length < 2 || firstName.length > 100) {
+    errors.push('First name is required (2-100 characters)');
+  }
+  if (lastName.length < 2 || lastName.length > 100) {
+    errors.push('Last name is required (2-100 characters)');
+  }
+  if (email && (!EMAIL_PATTERN.test(email) || email.length > 255)) {
+    errors.push(`Email "${email}" is not a valid email address`);
+  }
+  if (phone && (phone.length < 7 || phone.length > 15)) {
+    errors.push(`Phone "${phone}" must be between 7 and 15 characters`);
+  }
+  if (employer.length > 255) {
+    errors.push('Employer must be at most 255 characters');
+  }
+
+  let dateOfBirth = null;
+  if (rawDateOfBirth) {
+    dateOfBirth = parseDate(row[mapping.dateOfBirth]);
+    if (!dateOfBirth) {
+      errors.push(`Date of birth "${rawDateOfBirth}" is not a valid date`);
+    } else if (dateOfBirth > new Date().toISOString().split('T')[0]) {
+      errors.push('Date of birth cannot be in the future');
+    }
+  }
+
+  // Unknown statuses are reported rather than quietly imported as prospects
+  const status = rawStatus ? rawStatus.toLowerCase() : 'prospect';
+  if (!['client', 'prospect'].includes(status)) {
+    errors.push(`Status "${rawStatus}" must be either "client" or "prospect"`);
+  }
+
+  return {
+    client: {
+      firstName,
+      lastName,
+      email: email || null,
+      phone: phone || null,
+      dateOfBirth,
+      employer: employer || null,
+      status,
+      notes: value('notes') || null
+    },
+    errors
+  };
+};
+
+// Dry run: map and validate every row, flag possible duplicates, and build the per-row report
+export const validateImportRows = async (rows, mapping) => {
+  const rowResults = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const mapped = mapRow(rows[index], mapping);
+    if (!mapped) {
+      continue; // blank row
+    }
+
+    // Row 1 is the header, so data starts on row 2
+    const result = {
+      row: index + 2,
+      status: mapped.errors.length > 0 ? 'error' : 'valid',
+      errors: mapped.errors,
+      client: mapped.client,
+      duplicates: [],
+      duplicateOfRow: null
+    };
+
+    // Possible duplicates are warnings; the row is still imported
+    if (result.status === 'valid') {
+      result.duplicates = (await findDuplicateCandidates(mapped.client)).slice(0, 5).map(toDuplicateSummary);
+      const earlier = rowResults.find(other => other.status === 'valid' && scoreClientMatch(mapped.client, other.client).score >= DUPLICATE_THRESHOLD);
+      result.duplicateOfRow = earlier ? earlier.row : null;
+    }
+
+    rowResults.push(result);
+  }
+
+  return {
+    rowResults,
+    summary: {
+      totalRows: rowResults.length,
+      validCount: rowResults.filter(result => result.status === 'valid').length,
+      errorCount: rowResults.filter(result => result.status === 'error').length,
+      duplicateCount: rowResults.filter(result => result.duplicates.length > 0 || result.duplicateOfRow).length
+    }
+  };
+};
+
+// Store an uploaded spreadsheet as a new import job
+export const createImportJob = async ({ rows, fileName, uploadedBy, agentId }) => {
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importError(`Files can contain at most ${MAX_IMPORT_ROWS} rows`, 'IMPORT_TOO_LARGE');
+  }
+
+  const headers = collectHeaders(rows);
+  if (headers.length === 0 || rows.length === 0) {
+    throw importError('The file has no rows to import', 'EMPTY_IMPORT');
+  }
+
+  const [job] = await db.insert(clientImportJobs).values({
+    uploadedBy,
+    agentId,
+    fileName,
+    status: 'uploaded',
+    headers,
+    // Round-trip through JSON so spreadsheet dates are stored as ISO strings
+    rows: JSON.parse(JSON.stringify(rows)),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }).returning();
+
+  return job;
+};
+
+// Run a dry run for a job with the given mapping and owning agent, and save the report on the job
+export const runImportDryRun = async (job, { mapping, agentId }) => {
+  if (job.status === 'completed') {
+    throw importError('This import has already been completed', 'IMPORT_ALREADY_COMPLETED');
+  }
+
+  checkMapping(mapping, job.headers);
+
+  // Keep only the mapped fields so the saved mapping is tidy
+  const cleanMapping = Object.fromEntries(CLIENT_IMPORT_FIELDS.map(field => [field, mapping[field] || null]));
+  const { rowResults, summary } = await validateImportRows(job.rows, cleanMapping);
+
+  const [updatedJob] = await db.update(clientImportJobs)
+    .set({
+      agentId,
+      mapping: cleanMapping,
+      rowResults,
+      status: 'validated',
+      ...summary,
+      failureReason: null,
+      validatedAt: new Date(),
+      updatedAt: new Date()
+    })
+    .where(eq(clientImportJobs.id, job.id))
+    .returning();
+
+  return updatedJob;
+};
+
+// Insert the valid rows of a validated job in one transaction; nothing is imported if any insert fails
+export const commitImportJob = async (job, { skipInvalidRows = false } = {}) => {
+  if (job.status === 'completed') {
+    throw importError('This import has already been completed', 'IMPORT_ALREADY_COMPLETED');
+  }
+  if (job.status !== 'validated') {
+    throw importError('Run a dry run before committing the import', 'IMPORT_NOT_VALIDATED');
+  }
+  if (job.errorCount > 0 && !skipInvalidRows) {
+    throw importError(`${job.errorCount} row(s) have errors. Fix them or choose to skip invalid rows.`, 'IMPORT_HAS_ERRORS');
+  }
+
+  const validRows = job.rowResults.filter(result => result.status === 'valid');
+  if (validRows.length === 0) {
+    throw importError('There are no valid rows to import', 'EMPTY_IMPORT');
+  }
+
+  try {
+    return await db.transaction(async (tx) => {
+      const batchSize = 100;
+      const insertedClients = [];
+
+      for (let i = 0; i < validRows.length; i += batchSize) {
+        const batch = validRows.slice(i, i + batchSize).map(result => ({
+          ...result.client,
+          agentId: job.agentId,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }));
+        insertedClients.push(...await tx.insert(clients).values(batch).returning());
+      }
+
+      const [completedJob] = await tx.update(clientImportJobs)
+        .set({
+          status: 'completed',
+          importedCount: insertedClients.length,
+          completedAt: new Date(),
+          updatedAt: new Date()
+        })
+        .where(eq(clientImportJobs.id, job.id))
+        .returning();
+
+      return { job: completedJob, clients: insertedClients };
+    });
+  } catch (error) {
+    await db.update(clientImportJobs)
+      .set({ status: 'failed', failureReason: error.message, updatedAt: new Date() })
+      .where(eq(clientImportJobs.id, job.id));
+    throw error;
+  }
+};
+
+// Build the downloadable error report: one line per rejected row with its errors and original values
+export const buildErrorCsv = (job) => {
+  const errorRows = (job.rowResults || []).filter(result => result.status === 'error');
+
+  return toCsv(
+    ['Row', 'Errors', ...job.headers],
+    errorRows.map(result => {
+      const raw = job.rows[result.row - 2] || {};
+      return [result.row, result.errors.join('; '), ...job.headers.map(header => raw[header])];
+    })
+  );
+};
+
+export default {
+  IMPORT_STATUSES,
+  CLIENT_IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  suggestMapping,
+  checkMapping,
+  validateImportRows,
+  createImportJob,
+  runImportDryRun,
+  commitImportJob,
+  buildErrorCsv
+};
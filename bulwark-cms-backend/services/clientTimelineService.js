@@ -0,0 +1,442 @@
+import { db } from '../config/database.js';
+import { clientNotes, sales, policyStatusHistory, reminders, auditEvents, users } from '../models/schema.js';
+import { eq, and, or, not, desc, inArray, isNotNull, isNull, ne, count, sql } from 'drizzle-orm';
+
+// Kinds of event on a client's timeline:
+// note - notes; sale - sales recorded or edited; status - client and policy status changes;
+// reminder - reminders set or completed; document - outstanding-document requests and their receipt; change - other client edits
+export const TIMELINE_TYPES = ['note', 'sale', 'status', 'reminder', 'document', 'change'];
+
+const DOCUMENT_REMINDER_TYPE = 'outstanding_documents';
+
+const NOTE_TYPE_LABELS = {
+  general: 'Note',
+  follow_up: 'Follow-up note',
+  policy: 'Policy note',
+  important: 'Important note'
+};
+
+// "premiumAmount" -> "premium amount"
+const fieldLabel = (field) => field.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+const describeChanges = (changes) => {
+  const fields = Object.keys(changes || {});
+  return fields.length > 0 ? `Changed ${fields.map(fieldLabel).join(', ')}` : null;
+};
+
+const actorOf = (row) => (row.actorId ? { id: row.actorId, firstName: row.actorFirstName, lastName: row.actorLastName } : null);
+
+const actorFields = {
+  actorId: users.id,
+  actorFirstName: users.firstName,
+  actorLastName: users.lastName
+};
+
+// Run a source's newest `take` rows and its total in one go
+const pageOf = async (rowsQuery, countQuery) => {
+  const rows = await rowsQuery;
+  const [total] = await countQuery;
+  return { rows, total: Number(total?.count || 0) };
+};
+
+// Every source returns its newest `take` events for the selected types and how many it has in total
+const noteEvents = async (clientId, types, take) => {
+  if (!types.includes('note')) {
+    return { events: [], total: 0 };
+  }
+
+  const where = eq(clientNotes.clientId, clientId);
+  const { rows, total } = await pageOf(
+    db.select({
+      id: clientNotes.id,
+      note: clientNotes.note,
+      noteType: clientNotes.noteType,
+      isPrivate: clientNotes.isPrivate,
+      createdAt: clientNotes.createdAt,
+      ...actorFields
+    })
+      .from(clientNotes)
+      .leftJoin(users, eq(clientNotes.agentId, users.id))
+      .where(where)
+      .orderBy(desc(clientNotes.createdAt), desc(clientNotes.id))
+      .limit(take),
+    db.select({ count: count() }).from(clientNotes).where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => ({
+      id: `note-${row.id}`,
+      type: 'note',
+      action: 'created',
+      occurredAt: row.createdAt,
+      entityType: 'note',
+      entityId: row.id,
+      title: NOTE_TYPE_LABELS[row.noteType] || 'Note',
+      description: row.note,
+      actor: actorOf(row),
+      details: { noteType: row.noteType, isPrivate: row.isPrivate }
+    }))
+  };
+};
+
+const saleEvents = async (clientId, types, take) => {
+  if (!types.includes('sale')) {
+    return { events: [], total: 0 };
+  }
+
+  const where = eq(sales.clientId, clientId);
+  const { rows, total } = await pageOf(
+    db.select({
+      id: sales.id,
+      productName: sales.productName,
+      policyNumber: sales.policyNumber,
+      premiumAmount: sales.premiumAmount,
+      commissionAmount: sales.commissionAmount,
+      saleType: sales.saleType,
+      status: sales.status,
+      saleDate: sales.saleDate,
+      createdAt: sales.createdAt,
+      ...actorFields
+    })
+      .from(sales)
+      .leftJoin(users, eq(sales.agentId, users.id))
+      .where(where)
+      .orderBy(desc(sales.createdAt), desc(sales.id))
+      .limit(take),
+    db.select({ count: count() }).from(sales).where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => ({
+      id: `sale-${row.id}`,
+      type: 'sale',
+      action: 'created',
+      occurredAt: row.createdAt,
+      entityType: 'sale',
+      entityId: row.id,
+      title: `${row.saleType === 'renewal' ? 'Renewal' : 'Sale'} recorded: ${row.productName || 'policy'}`,
+      description: row.policyNumber ? `Policy ${row.policyNumber}` : null,
+      actor: actorOf(row),
+      details: {
+        policyNumber: row.policyNumber,
+        premiumAmount: row.premiumAmount,
+        commissionAmount: row.commissionAmount,
+        saleDate: row.saleDate,
+        status: row.status
+      }
+    }))
+  };
+};
+
+// Edits to the client's sales, from the audit log
+const saleChangeEvents = async (clientId, types, take) => {
+  if (!types.includes('sale')) {
+    return { events: [], total: 0 };
+  }
+
+  const where = and(
+    eq(auditEvents.entityType, 'sale'),
+    eq(auditEvents.action, 'update'),
+    inArray(auditEvents.entityId, db.select({ id: sales.id }).from(sales).where(eq(sales.clientId, clientId)))
+  );
+  const { rows, total } = await pageOf(
+    db.select({
+      id: auditEvents.id,
+      entityId: auditEvents.entityId,
+      changes: auditEvents.changes,
+      after: auditEvents.after,
+      createdAt: auditEvents.createdAt,
+      ...actorFields
+    })
+      .from(auditEvents)
+      .leftJoin(users, eq(auditEvents.actorId, users.id))
+      .where(where)
+      .orderBy(desc(auditEvents.createdAt), desc(auditEvents.id))
+      .limit(take),
+    db.select({ count: count() }).from(auditEvents).where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => ({
+      id: `audit-${row.id}`,
+      type: 'sale',
+      action: 'updated',
+      occurredAt: row.createdAt,
+      entityType: 'sale',
+      entityId: row.entityId,
+      title: `Sale updated: ${row.after?.productName || 'policy'}`,
+      description: describeChanges(row.changes),
+      actor: actorOf(row),
+      details: { changes: row.changes }
+    }))
+  };
+};
+
+// Policy status transitions (cancelled, lapsed, renewed, ...); the initial status is covered by the sale itself
+const policyStatusEvents = async (clientId, types, take) => {
+  if (!types.includes('status')) {
+    return { events: [], total: 0 };
+  }
+
+  const where = and(eq(sales.clientId, clientId), isNotNull(policyStatusHistory.fromStatus));
+  const { rows, total } = await pageOf(
+    db.select({
+      id: policyStatusHistory.id,
+      saleId: policyStatusHistory.saleId,
+      fromStatus: policyStatusHistory.fromStatus,
+      toStatus: policyStatusHistory.toStatus,
+      reason: policyStatusHistory.reason,
+      effectiveDate: policyStatusHistory.effectiveDate,
+      createdAt: policyStatusHistory.createdAt,
+      productName: sales.productName,
+      policyNumber: sales.policyNumber,
+      ...actorFields
+    })
+      .from(policyStatusHistory)
+      .innerJoin(sales, eq(policyStatusHistory.saleId, sales.id))
+      .leftJoin(users, eq(policyStatusHistory.changedBy, users.id))
+      .where(where)
+      .orderBy(desc(policyStatusHistory.createdAt), desc(policyStatusHistory.id))
+      .limit(take),
+    db.select({ count: count() })
+      .from(policyStatusHistory)
+      .innerJoin(sales, eq(policyStatusHistory.saleId, sales.id))
+      .where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => ({
+      id: `policy-status-${row.id}`,
+      type: 'status',
+      action: 'status_change',
+      occurredAt: row.createdAt,
+      entityType: 'sale',
+      entityId: row.saleId,
+      title: `Policy ${row.policyNumber || row.productName || ''} ${row.fromStatus} → ${row.toStatus}`.replace(/\s+/g, ' '),
+      description: row.reason,
+      actor: actorOf(row),
+      details: { fromStatus: row.fromStatus, toStatus: row.toStatus, effectiveDate: row.effectiveDate }
+    }))
+  };
+};
+
+const CLIENT_ACTION_TITLES = {
+  create: 'Client created',
+  import: 'Client imported',
+  merge: 'Duplicate client merged in',
+  dismiss: 'Possible duplicate dismissed',
+  update: 'Client details updated'
+};
+
+// Changes to the client record from the audit log; updates that changed the status are 'status' events
+const clientChangeEvents = async (clientId, types, take) => {
+  if (!types.includes('status') && !types.includes('change')) {
+    return { events: [], total: 0 };
+  }
+
+  const isStatusChange = and(eq(auditEvents.action, 'update'), sql`(${auditEvents.changes}->'status') IS NOT NULL`);
+  const conditions = [eq(auditEvents.entityType, 'client'), eq(auditEvents.entityId, clientId)];
+  if (!types.includes('change')) {
+    conditions.push(isStatusChange);
+  } else if (!types.includes('status')) {
+    conditions.push(not(isStatusChange));
+  }
+
+  const where = and(...conditions);
+  const { rows, total } = await pageOf(
+    db.select({
+      id: auditEvents.id,
+      action: auditEvents.action,
+      changes: auditEvents.changes,
+      createdAt: auditEvents.createdAt,
+      ...actorFields
+    })
+      .from(auditEvents)
+      .leftJoin(users, eq(auditEvents.actorId, users.id))
+      .where(where)
+      .orderBy(desc(auditEvents.createdAt), desc(auditEvents.id))
+      .limit(take),
+    db.select({ count: count() }).from(auditEvents).where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => {
+      const statusChange = row.action === 'update' ? row.changes?.status : null;
+      return {
+        id: `audit-${row.id}`,
+        type: statusChange ? 'status' : 'change',
+        action: statusChange ? 'status_change' : row.action,
+        occurredAt: row.createdAt,
+        entityType: 'client',
+        entityId: clientId,
+        title: statusChange
+          ? `Status changed from ${statusChange.from || 'none'} to ${statusChange.to}`
+          : CLIENT_ACTION_TITLES[row.action] || `Client ${row.action}`,
+        description: row.action === 'update' ? describeChanges(row.changes) : null,
+        actor: actorOf(row),
+        details: row.action === 'update' ? { changes: row.changes } : {}
+      };
+    })
+  };
+};
+
+// Reminders that are document requests count as 'document' events, the rest as 'reminder' events
+const reminderTypeCondition = (types) => {
+  const conditions = [];
+  if (types.includes('document')) {
+    conditions.push(eq(reminders.type, DOCUMENT_REMINDER_TYPE));
+  }
+  if (types.includes('reminder')) {
+    conditions.push(or(ne(reminders.type, DOCUMENT_REMINDER_TYPE), isNull(reminders.type)));
+  }
+  return conditions.length > 0 ? or(...conditions) : null;
+};
+
+const reminderEvents = async (clientId, types, take) => {
+  const typeCondition = reminderTypeCondition(types);
+  if (!typeCondition) {
+    return { events: [], total: 0 };
+  }
+
+  const where = and(eq(reminders.clientId, clientId), typeCondition);
+  const { rows, total } = await pageOf(
+    db.select({
+      id: reminders.id,
+      title: reminders.title,
+      description: reminders.description,
+      type: reminders.type,
+      priority: reminders.priority,
+      reminderDate: reminders.reminderDate,
+      isCompleted: reminders.isCompleted,
+      createdAt: reminders.createdAt,
+      ...actorFields
+    })
+      .from(reminders)
+      .leftJoin(users, eq(reminders.agentId, users.id))
+      .where(where)
+      .orderBy(desc(reminders.createdAt), desc(reminders.id))
+      .limit(take),
+    db.select({ count: count() }).from(reminders).where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => {
+      const isDocument = row.type === DOCUMENT_REMINDER_TYPE;
+      return {
+        id: `reminder-${row.id}`,
+        type: isDocument ? 'document' : 'reminder',
+        action: 'created',
+        occurredAt: row.createdAt,
+        entityType: 'reminder',
+        entityId: row.id,
+        title: `${isDocument ? 'Documents requested' : 'Reminder set'}: ${row.title}`,
+        description: row.description,
+        actor: actorOf(row),
+        details: { reminderDate: row.reminderDate, priority: row.priority, isCompleted: row.isCompleted }
+      };
+    })
+  };
+};
+
+// Reminder completions, from the audit log
+const reminderCompletionEvents = async (clientId, types, take) => {
+  const typeCondition = reminderTypeCondition(types);
+  if (!typeCondition) {
+    return { events: [], total: 0 };
+  }
+
+  const where = and(
+    eq(auditEvents.entityType, 'reminder'),
+    eq(auditEvents.action, 'complete'),
+    eq(reminders.clientId, clientId),
+    typeCondition
+  );
+  const { rows, total } = await pageOf(
+    db.select({
+      id: auditEvents.id,
+      reminderId: reminders.id,
+      title: reminders.title,
+      type: reminders.type,
+      createdAt: auditEvents.createdAt,
+      ...actorFields
+    })
+      .from(auditEvents)
+      .innerJoin(reminders, eq(auditEvents.entityId, reminders.id))
+      .leftJoin(users, eq(auditEvents.actorId, users.id))
+      .where(where)
+      .orderBy(desc(auditEvents.createdAt), desc(auditEvents.id))
+      .limit(take),
+    db.select({ count: count() })
+      .from(auditEvents)
+      .innerJoin(reminders, eq(auditEvents.entityId, reminders.id))
+      .where(where)
+  );
+
+  return {
+    total,
+    events: rows.map(row => {
+      const isDocument = row.type === DOCUMENT_REMINDER_TYPE;
+      return {
+        id: `audit-${row.id}`,
+        type: isDocument ? 'document' : 'reminder',
+        action: 'completed',
+        occurredAt: row.createdAt,
+        entityType: 'reminder',
+        entityId: row.reminderId,
+        title: `${isDocument ? 'Documents received' : 'Reminder completed'}: ${row.title}`,
+        description: null,
+        actor: actorOf(row),
+        details: {}
+      };
+    })
+  };
+};
+
+const TIMELINE_SOURCES = [
+  noteEvents,
+  saleEvents,
+  saleChangeEvents,
+  policyStatusEvents,
+  clientChangeEvents,
+  reminderEvents,
+  reminderCompletionEvents
+];
+
+// One page of a client's activity, newest first. Each source is asked for its newest (offset + limit) events,
+// which is enough to fill the page once they are merged.
+export const getClientTimeline = async (clientId, { types = TIMELINE_TYPES, page = 1, limit = 25 } = {}) => {
+  const offset = (page - 1) * limit;
+  const take = offset + limit;
+
+  const results = [];
+  for (const source of TIMELINE_SOURCES) {
+    results.push(await source(clientId, types, take));
+  }
+
+  const events = results
+    .flatMap(result => result.events)
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt) || b.id.localeCompare(a.id))
+    .slice(offset, offset + limit);
+  const total = results.reduce((sum, result) => sum + result.total, 0);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export default {
+  TIMELINE_TYPES,
+  getClientTimeline
+};
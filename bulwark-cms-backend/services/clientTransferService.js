@@ -0,0 +1,235 @@
+import { db } from '../config/database.js';
+import { clients, users, sales, reminders, reminderSeries } from '../models/schema.js';
+import { eq, and, or, asc, gte, inArray, isNull, count } from 'drizzle-orm';
+
+export const TRANSFER_MODES = ['round_robin', 'manual'];
+
+// Largest book that can be moved in one request
+export const MAX_TRANSFER_CLIENTS = 5000;
+
+// Helper to build an error carrying an API error code
+const transferError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const agentName = (agent) => `${agent.firstName} ${agent.lastName}`;
+
+// Reminders still to be done; rows from before is_completed had a default are NULL
+const isOpenReminder = or(eq(reminders.isCompleted, false), isNull(reminders.isCompleted));
+
+// Active policies that have not reached their renewal date yet
+const isFutureRenewal = (today) => and(eq(sales.status, 'active'), gte(sales.renewalDate, today));
+
+// Policies whose renewals an agent handles: their own sales unless handed to someone else, and sales handed to them
+const isServicedBy = (agentId) => or(
+  eq(sales.servicingAgentId, agentId),
+  and(isNull(sales.servicingAgentId), eq(sales.agentId, agentId))
+);
+
+const countBy = (rows, key = 'clientId') => rows.reduce((counts, row) => {
+  counts.set(row[key], (counts.get(row[key]) || 0) + Number(row.count));
+  return counts;
+}, new Map());
+
+// How many clients and open reminders an agent still holds, e.g. to prompt a transfer when they leave
+export const getBookSize = async (agentId) => {
+  const [clientTotal] = await db.select({ count: count() }).from(clients).where(eq(clients.agentId, agentId));
+  const [reminderTotal] = await db.select({ count: count() })
+    .from(reminders)
+    .where(and(eq(reminders.agentId, agentId), isOpenReminder));
+  return { clientCount: Number(clientTotal.count), openReminderCount: Number(reminderTotal.count) };
+};
+
+// Receiving agent for each client id, in the order given. Round robin deals the clients out across
+// targetIds in turn; manual looks each one up in manualTargets (client id to agent id).
+export const assignReceivingAgents = (clientIds, { mode = 'round_robin', targetIds = [], manualTargets = new Map() }) => {
+  return new Map(clientIds.map((clientId, index) => [
+    clientId,
+    mode === 'manual' ? manualTargets.get(clientId) : targetIds[index % targetIds.length]
+  ]));
+};
+
+// Work out which of an agent's clients go to whom and what moves with them. Nothing is written.
+// Round robin deals the clients out in name order; manual takes a target for every client.
+export const planClientTransfer = async ({
+  fromAgentId,
+  clientIds = null,
+  mode = 'round_robin',
+  toAgentIds = [],
+  assignments = [],
+  includeRenewals = false,
+  now = new Date()
+}) => {
+  const [fromAgent] = await db.select({ id: users.id, firstName: users.firstName, lastName: users.lastName })
+    .from(users)
+    .where(eq(users.id, fromAgentId))
+    .limit(1);
+  if (!fromAgent) {
+    throw transferError('Agent to transfer from not found', 'AGENT_NOT_FOUND');
+  }
+
+  const manualTargets = new Map(assignments.map(assignment => [Number(assignment.clientId), Number(assignment.toAgentId)]));
+  const selectedIds = mode === 'manual' ? [...manualTargets.keys()] : clientIds;
+
+  const book = await db.select({ id: clients.id, firstName: clients.firstName, lastName: clients.lastName })
+    .from(clients)
+    .where(and(
+      eq(clients.agentId, fromAgentId),
+      selectedIds ? inArray(clients.id, selectedIds) : undefined
+    ))
+    .orderBy(asc(clients.lastName), asc(clients.firstName), asc(clients.id));
+
+  if (selectedIds) {
+    const owned = new Set(book.map(client => client.id));
+    const notOwned = selectedIds.filter(id => !owned.has(Number(id)));
+    if (notOwned.length > 0) {
+      throw transferError(`Clients ${notOwned.join(', ')} do not belong to this agent`, 'CLIENT_NOT_OWNED');
+    }
+  }
+  if (book.length === 0) {
+    throw transferError('This agent has no clients to transfer', 'NO_CLIENTS');
+  }
+  if (book.length > MAX_TRANSFER_CLIENTS) {
+    throw transferError(`At most ${MAX_TRANSFER_CLIENTS} clients can be transferred at once`, 'TRANSFER_TOO_LARGE');
+  }
+
+  const targetIds = [...new Set(mode === 'manual' ? [...manualTargets.values()] : toAgentIds.map(Number))];
+  if (targetIds.length === 0) {
+    throw transferError('Choose at least one agent to receive the clients', 'NO_TARGETS');
+  }
+  if (targetIds.includes(fromAgentId)) {
+    throw transferError('Clients cannot be transferred to the agent they belong to', 'SAME_AGENT');
+  }
+
+  const targets = await db.select({ id: users.id, firstName: users.firstName, lastName: users.lastName })
+    .from(users)
+    .where(and(inArray(users.id, targetIds), eq(users.isActive, true), isNull(users.deletedAt)));
+  if (targets.length !== targetIds.length) {
+    throw transferError('Every receiving agent must be an active user', 'TARGET_NOT_FOUND');
+  }
+  const targetsById = new Map(targets.map(target => [target.id, target]));
+
+  const bookIds = book.map(client => client.id);
+  const today = toDateString(now);
+
+  const openReminders = await db.select({ clientId: reminders.clientId, count: count() })
+    .from(reminders)
+    .where(and(inArray(reminders.clientId, bookIds), eq(reminders.agentId, fromAgentId), isOpenReminder))
+    .groupBy(reminders.clientId);
+
+  const activeSeries = await db.select({ clientId: reminderSeries.clientId, count: count() })
+    .from(reminderSeries)
+    .where(and(inArray(reminderSeries.clientId, bookIds), eq(reminderSeries.agentId, fromAgentId), eq(reminderSeries.isActive, true)))
+    .groupBy(reminderSeries.clientId);
+
+  const renewals = includeRenewals
+    ? await db.select({ clientId: sales.clientId, count: count() })
+      .from(sales)
+      .where(and(inArray(sales.clientId, bookIds), isServicedBy(fromAgentId), isFutureRenewal(today)))
+      .groupBy(sales.clientId)
+    : [];
+
+  const reminderCounts = countBy(openReminders);
+  const seriesCounts = countBy(activeSeries);
+  const renewalCounts = countBy(renewals);
+
+  const receivingAgents = assignReceivingAgents(bookIds, { mode, targetIds, manualTargets });
+  const plan = book.map(client => {
+    const toAgentId = receivingAgents.get(client.id);
+    return {
+      clientId: client.id,
+      clientName: `${client.firstName} ${client.lastName}`,
+      toAgentId,
+      toAgentName: agentName(targetsById.get(toAgentId)),
+      openReminderCount: reminderCounts.get(client.id) || 0,
+      reminderSeriesCount: seriesCounts.get(client.id) || 0,
+      renewalCount: renewalCounts.get(client.id) || 0
+    };
+  });
+
+  const byAgent = targetIds.map(id => {
+    const share = plan.filter(entry => entry.toAgentId === id);
+    return {
+      agentId: id,
+      agentName: agentName(targetsById.get(id)),
+      clientCount: share.length,
+      openReminderCount: share.reduce((total, entry) => total + entry.openReminderCount, 0),
+      renewalCount: share.reduce((total, entry) => total + entry.renewalCount, 0)
+    };
+  });
+
+  return {
+    fromAgent: { id: fromAgent.id, name: agentName(fromAgent) },
+    mode,
+    includeRenewals,
+    renewalsFrom: today,
+    summary: {
+      clientCount: plan.length,
+      openReminderCount: byAgent.reduce((total, agent) => total + agent.openReminderCount, 0),
+      reminderSeriesCount: plan.reduce((total, entry) => total + entry.reminderSeriesCount, 0),
+      renewalCount: byAgent.reduce((total, agent) => total + agent.renewalCount, 0),
+      byAgent
+    },
+    assignments: plan
+  };
+};
+
+// Carry out a plan from planClientTransfer in one transaction. Only rows still held by the
+// original agent are moved, so a client someone else took in the meantime stays where it is.
+// Moved reminders start escalation over, as with a single reassignment. Renewals move by making the
+// receiving agent the policy's servicing agent; the sale itself stays credited to the agent who made it.
+// Goals are not moved: they are the departing agent's own targets.
+export const commitClientTransfer = async (plan, database = db) => {
+  const fromAgentId = plan.fromAgent.id;
+  const today = plan.renewalsFrom;
+
+  const groups = new Map();
+  for (const entry of plan.assignments) {
+    groups.set(entry.toAgentId, [...(groups.get(entry.toAgentId) || []), entry.clientId]);
+  }
+
+  return database.transaction(async (tx) => {
+    const moved = { clients: [], reminders: [], series: [], sales: [] };
+
+    for (const [toAgentId, clientIds] of groups) {
+      const updatedAt = new Date();
+
+      moved.clients.push(...await tx.update(clients)
+        .set({ agentId: toAgentId, updatedAt })
+        .where(and(inArray(clients.id, clientIds), eq(clients.agentId, fromAgentId)))
+        .returning());
+
+      moved.reminders.push(...await tx.update(reminders)
+        .set({ agentId: toAgentId, escalatedAt: null, escalatedTo: null, updatedAt })
+        .where(and(inArray(reminders.clientId, clientIds), eq(reminders.agentId, fromAgentId), isOpenReminder))
+        .returning());
+
+      moved.series.push(...await tx.update(reminderSeries)
+        .set({ agentId: toAgentId, updatedAt })
+        .where(and(inArray(reminderSeries.clientId, clientIds), eq(reminderSeries.agentId, fromAgentId), eq(reminderSeries.isActive, true)))
+        .returning());
+
+      if (plan.includeRenewals) {
+        moved.sales.push(...await tx.update(sales)
+          .set({ servicingAgentId: toAgentId, updatedAt })
+          .where(and(inArray(sales.clientId, clientIds), isServicedBy(fromAgentId), isFutureRenewal(today)))
+          .returning());
+      }
+    }
+
+    return moved;
+  });
+};
+
+export default {
+  TRANSFER_MODES,
+  MAX_TRANSFER_CLIENTS,
+  getBookSize,
+  assignReceivingAgents,
+  planClientTransfer,
+  commitClientTransfer
+};
@@ -0,0 +1,85 @@
+import { db } from '../config/database.js';
+import { productCommissionRates } from '../models/schema.js';
+import { eq, and } from 'drizzle-orm';
+
+export const COMMISSION_TYPES = ['first_year', 'renewal'];
+
+// Function to normalise a date or date string to YYYY-MM-DD
+const toDateString = (value) => {
+  if (!value) {
+    return new Date().toISOString().split('T')[0];
+  }
+  return typeof value === 'string' ? value.split('T')[0] : value.toISOString().split('T')[0];
+};
+
+// Whether a rate applies on a day; effectiveTo is inclusive and a missing one means open-ended
+export const rateAppliesOn = (rate, day) => {
+  const date = toDateString(day);
+  return toDateString(rate.effectiveFrom) <= date && (!rate.effectiveTo || toDateString(rate.effectiveTo) >= date);
+};
+
+// Whether two rate periods share at least one day
+export const ratePeriodsOverlap = (first, second) => {
+  const endsAfterStart = (rate, other) => !rate.effectiveTo || toDateString(rate.effectiveTo) >= toDateString(other.effectiveFrom);
+  return endsAfterStart(first, second) && endsAfterStart(second, first);
+};
+
+// Pick the rate in effect on a day from a product's rates of one commission type, or null if none applies
+// If periods overlap, the most recently started rate wins
+export const pickApplicableRate = (rates, saleDate) => {
+  const applicable = rates
+    .filter(rate => rateAppliesOn(rate, saleDate))
+    .sort((a, b) => toDateString(b.effectiveFrom).localeCompare(toDateString(a.effectiveFrom)) || b.id - a.id);
+  return applicable[0] || null;
+};
+
+const getProductRates = (productId, commissionType) => {
+  return db.select()
+    .from(productCommissionRates)
+    .where(and(
+      eq(productCommissionRates.productId, productId),
+      eq(productCommissionRates.commissionType, commissionType)
+    ));
+};
+
+// Find the rate in effect for a product on a given date, or null if none is configured
+export const getApplicableRate = async (productId, saleDate, commissionType = 'first_year') => {
+  return pickApplicableRate(await getProductRates(productId, commissionType), toDateString(saleDate));
+};
+
+// Commission for a premium at a percentage rate, rounded to cents
+export const calculateCommission = (premiumAmount, rate) => {
+  const amount = parseFloat(premiumAmount) * parseFloat(rate) / 100;
+  return Math.round(amount * 100) / 100;
+};
+
+// Look up the rate for a sale and return { commissionRate, commissionAmount, rateId }, or null without a schedule
+export const calculateSaleCommission = async ({ productId, premiumAmount, saleDate, commissionType = 'first_year' }) => {
+  const rate = await getApplicableRate(productId, saleDate, commissionType);
+  if (!rate) {
+    return null;
+  }
+
+  return {
+    rateId: rate.id,
+    commissionRate: parseFloat(rate.rate),
+    commissionAmount: calculateCommission(premiumAmount, rate.rate)
+  };
+};
+
+// Returns the first existing rate whose period overlaps the given one, so schedules stay unambiguous
+export const findOverlappingRate = async ({ productId, commissionType, effectiveFrom, effectiveTo = null, excludeId = null }) => {
+  const rates = await getProductRates(productId, commissionType);
+  return rates.find(rate => rate.id !== excludeId && ratePeriodsOverlap(rate, { effectiveFrom, effectiveTo })) || null;
+};
+
+export default {
+  COMMISSION_TYPES,
+  rateAppliesOn,
+  ratePeriodsOverlap,
+  pickApplicableRate,
+  getApplicableRate,
+  calculateCommission,
+  calculateSaleCommission,
+  findOverlappingRate
+};
@@ -0,0 +1,295 @@
+import { db } from '../config/database.js';
+import { commissionStatements, commissionStatementLines, sales, clients, users } from '../models/schema.js';
+import { eq, and, gte, lte, inArray, sql, count, sum, asc } from 'drizzle-orm';
+import { pickColumn, parseAmount, parseDate } from '../utils/spreadsheet.js';
+
+export const MATCH_STATUSES = ['matched', 'discrepancy', 'unmatched', 'chargeback'];
+
+// Paid amounts within this many dollars of the recorded commission count as matched
+export const VARIANCE_TOLERANCE = parseFloat(process.env.COMMISSION_VARIANCE_TOLERANCE) || 0.01;
+
+// Header names carriers commonly use for each column
+const COLUMN_ALIASES = {
+  policyNumber: ['policyNumber', 'policy number', 'policy no', 'policy #', 'policy', 'contract number', 'certificate number'],
+  paidAmount: ['commissionAmount', 'commission amount', 'commission paid', 'commission', 'paid amount', 'amount paid', 'amount', 'payment'],
+  premiumAmount: ['premiumAmount', 'premium amount', 'premium'],
+  insuredName: ['insuredName', 'insured name', 'insured', 'client name', 'client', 'name'],
+  paymentDate: ['paymentDate', 'payment date', 'paid date', 'transaction date', 'date'],
+  transactionType: ['transactionType', 'transaction type', 'type', 'description']
+};
+
+const CHARGEBACK_PATTERN = /charge\s*back|reversal|clawback|recapture/i;
+
+// Function to normalise a policy number for matching, e.g. " ab-123 " -> "AB-123"
+export const normalisePolicyNumber = (value) => {
+  return value === null || value === undefined ? '' : String(value).replace(/\s+/g, '').toUpperCase();
+};
+
+// Turn raw spreadsheet rows into statement lines; rows that cannot be read are returned as errors
+export const parseStatementRows = (rows, { statementDate }) => {
+  const lines = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    // Row 1 is the header, so data starts on row 2
+    const rowNumber = index + 2;
+    const rawAmount = pickColumn(row, COLUMN_ALIASES.paidAmount);
+    const policyNumber = pickColumn(row, COLUMN_ALIASES.policyNumber);
+
+    if (rawAmount === null && policyNumber === null) {
+      return; // blank row
+    }
+
+    let paidAmount = parseAmount(rawAmount);
+    if (paidAmount === null) {
+      errors.push({ row: rowNumber, error: 'Commission amount is missing or not a number' });
+      return;
+    }
+
+    const transactionType = pickColumn(row, COLUMN_ALIASES.transactionType);
+    if (transactionType && CHARGEBACK_PATTERN.test(String(transactionType))) {
+      paidAmount = -Math.abs(paidAmount);
+    }
+
+    const premiumAmount = pickColumn(row, COLUMN_ALIASES.premiumAmount);
+    const insuredName = pickColumn(row, COLUMN_ALIASES.insuredName);
+
+    lines.push({
+      rowNumber,
+      policyNumber: policyNumber !== null ? String(policyNumber).trim() : null,
+      insuredName: insuredName !== null ? String(insuredName).trim() : null,
+      paidAmount: Math.round(paidAmount * 100) / 100,
+      premiumAmount: premiumAmount !== null ? parseAmount(premiumAmount) : null,
+      paymentDate: parseDate(pickColumn(row, COLUMN_ALIASES.paymentDate)) || statementDate
+    });
+  });
+
+  return { lines, errors };
+};
+
+// Load the sales for a set of policy numbers, grouped by normalised policy number
+const findSalesByPolicyNumber = async (policyNumbers, tx = db) => {
+  const wanted = [...new Set(policyNumbers.map(normalisePolicyNumber).filter(Boolean))];
+  if (wanted.length === 0) {
+    return new Map();
+  }
+
+  const normalisedColumn = sql`upper(regexp_replace(${sales.policyNumber}, '\\s', '', 'g'))`;
+  const candidates = await tx.select({
+    id: sales.id,
+    agentId: sales.agentId,
+    policyNumber: sales.policyNumber,
+    commissionAmount: sales.commissionAmount,
+    saleDate: sales.saleDate,
+    effectiveDate: sales.effectiveDate,
+    renewalDate: sales.renewalDate
+  })
+  .from(sales)
+  .where(inArray(normalisedColumn, wanted));
+
+  const byPolicy = new Map();
+  for (const sale of candidates) {
+    const key = normalisePolicyNumber(sale.policyNumber);
+    byPolicy.set(key, [...(byPolicy.get(key) || []), sale]);
+  }
+  return byPolicy;
+};
+
+// Renewals share a policy number, so prefer the term the payment falls in, then the latest term
+export const pickSaleForPayment = (candidates, paymentDate) => {
+  if (!candidates || candidates.length === 0) {
+    return null;
+  }
+
+  const inTerm = candidates.find(sale => {
+    const start = sale.effectiveDate || sale.saleDate;
+    return start <= paymentDate && (!sale.renewalDate || paymentDate < sale.renewalDate);
+  });
+  if (inTerm) {
+    return inTerm;
+  }
+
+  return [...candidates].sort((a, b) => String(b.effectiveDate || b.saleDate).localeCompare(String(a.effectiveDate || a.saleDate)))[0];
+};
+
+// Work out the match fields for a line against the sale it was matched to (or none)
+export const reconcileLine = (line, sale) => {
+  if (!sale) {
+    return { saleId: null, agentId: null, expectedAmount: null, varianceAmount: null, matchStatus: 'unmatched' };
+  }
+
+  const expectedAmount = parseFloat(sale.commissionAmount);
+  const paidAmount = parseFloat(line.paidAmount);
+
+  if (paidAmount < 0) {
+    return { saleId: sale.id, agentId: sale.agentId, expectedAmount, varianceAmount: null, matchStatus: 'chargeback' };
+  }
+
+  const varianceAmount = Math.round((paidAmount - expectedAmount) * 100) / 100;
+  return {
+    saleId: sale.id,
+    agentId: sale.agentId,
+    expectedAmount,
+    varianceAmount,
+    matchStatus: Math.abs(varianceAmount) <= VARIANCE_TOLERANCE ? 'matched' : 'discrepancy'
+  };
+};
+
+// Recalculate a statement's totals and per-status counts from its lines
+export const refreshStatementTotals = async (statementId, tx = db) => {
+  const totals = await tx.select({
+    matchStatus: commissionStatementLines.matchStatus,
+    lines: count(commissionStatementLines.id),
+    amount: sum(commissionStatementLines.paidAmount)
+  })
+  .from(commissionStatementLines)
+  .where(eq(commissionStatementLines.statementId, statementId))
+  .groupBy(commissionStatementLines.matchStatus);
+
+  const countFor = (status) => totals.find(row => row.matchStatus === status)?.lines || 0;
+
+  const [statement] = await tx.update(commissionStatements)
+    .set({
+      totalAmount: totals.reduce((total, row) => total + (parseFloat(row.amount) || 0), 0),
+      lineCount: totals.reduce((total, row) => total + row.lines, 0),
+      matchedCount: countFor('matched'),
+      discrepancyCount: countFor('discrepancy'),
+      unmatchedCount: countFor('unmatched'),
+      chargebackCount: countFor('chargeback'),
+      updatedAt: new Date()
+    })
+    .where(eq(commissionStatements.id, statementId))
+    .returning();
+
+  return statement;
+};
+
+// Store a parsed statement and reconcile each line against sales in one transaction
+export const importStatement = async ({ lines, carrierName, statementDate, periodStart, periodEnd, fileName, importedBy }) => {
+  return db.transaction(async (tx) => {
+    const [statement] = await tx.insert(commissionStatements).values({
+      carrierName,
+      statementDate,
+      periodStart: periodStart || null,
+      periodEnd: periodEnd || null,
+      fileName,
+      importedBy,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }).returning();
+
+    const salesByPolicy = await findSalesByPolicyNumber(lines.map(line => line.policyNumber), tx);
+
+    if (lines.length > 0) {
+      await tx.insert(commissionStatementLines).values(lines.map(line => {
+        const sale = pickSaleForPayment(salesByPolicy.get(normalisePolicyNumber(line.policyNumber)), line.paymentDate);
+        return {
+          ...line,
+          ...reconcileLine(line, sale),
+          statementId: statement.id,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+      }));
+    }
+
+    return refreshStatementTotals(statement.id, tx);
+  });
+};
+
+// Agent's payable statement for a pay period: every statement line paid against their sales
+export const getAgentStatement = async ({ agentId, periodStart, periodEnd }) => {
+  const lines = await db.select({
+    id: commissionStatementLines.id,
+    statementId: commissionStatementLines.statementId,
+    carrierName: commissionStatements.carrierName,
+    policyNumber: commissionStatementLines.policyNumber,
+    paymentDate: commissionStatementLines.paymentDate,
+    paidAmount: commissionStatementLines.paidAmount,
+    expectedAmount: commissionStatementLines.expectedAmount,
+    varianceAmount: commissionStatementLines.varianceAmount,
+    matchStatus: commissionStatementLines.matchStatus,
+    isResolved: commissionStatementLines.isResolved,
+    saleId: commissionStatementLines.saleId,
+    productName: sales.productName,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName
+  })
+  .from(commissionStatementLines)
+  .innerJoin(commissionStatements, eq(commissionStatementLines.statementId, commissionStatements.id))
+  .leftJoin(sales, eq(commissionStatementLines.saleId, sales.id))
+  .leftJoin(clients, eq(sales.clientId, clients.id))
+  .where(and(
+    eq(commissionStatementLines.agentId, agentId),
+    gte(commissionStatementLines.paymentDate, periodStart),
+    lte(commissionStatementLines.paymentDate, periodEnd)
+  ))
+  .orderBy(asc(commissionStatementLines.paymentDate), asc(commissionStatementLines.id));
+
+  const commissionPaid = lines
+    .filter(line => line.matchStatus !== 'chargeback')
+    .reduce((total, line) => total + parseFloat(line.paidAmount), 0);
+  const chargebacks = lines
+    .filter(line => line.matchStatus === 'chargeback')
+    .reduce((total, line) => total + parseFloat(line.paidAmount), 0);
+
+  return {
+    agentId,
+    periodStart,
+    periodEnd,
+    lines,
+    totals: {
+      lineCount: lines.length,
+      commissionPaid: Math.round(commissionPaid * 100) / 100,
+      chargebacks: Math.round(chargebacks * 100) / 100,
+      netPayable: Math.round((commissionPaid + chargebacks) * 100) / 100,
+      openDiscrepancies: lines.filter(line => line.matchStatus === 'discrepancy' && !line.isResolved).length
+    }
+  };
+};
+
+// Net payable per agent for a pay period, for the manager's payout run
+export const getPayablesSummary = async ({ periodStart, periodEnd }) => {
+  const isChargeback = sql`${commissionStatementLines.matchStatus} = 'chargeback'`;
+
+  const rows = await db.select({
+    agentId: commissionStatementLines.agentId,
+    firstName: users.firstName,
+    lastName: users.lastName,
+    email: users.email,
+    lineCount: count(commissionStatementLines.id),
+    commissionPaid: sql`COALESCE(SUM(CASE WHEN ${isChargeback} THEN 0 ELSE ${commissionStatementLines.paidAmount} END), 0)`,
+    chargebacks: sql`COALESCE(SUM(CASE WHEN ${isChargeback} THEN ${commissionStatementLines.paidAmount} ELSE 0 END), 0)`,
+    netPayable: sum(commissionStatementLines.paidAmount),
+    openDiscrepancies: sql`COUNT(*) FILTER (WHERE ${commissionStatementLines.matchStatus} = 'discrepancy' AND ${commissionStatementLines.isResolved} = false)`
+  })
+  .from(commissionStatementLines)
+  .innerJoin(users, eq(commissionStatementLines.agentId, users.id))
+  .where(and(
+    gte(commissionStatementLines.paymentDate, periodStart),
+    lte(commissionStatementLines.paymentDate, periodEnd)
+  ))
+  .groupBy(commissionStatementLines.agentId, users.firstName, users.lastName, users.email)
+  .orderBy(users.lastName, users.firstName);
+
+  return rows.map(row => ({
+    ...row,
+    commissionPaid: parseFloat(row.commissionPaid) || 0,
+    chargebacks: parseFloat(row.chargebacks) || 0,
+    netPayable: parseFloat(row.netPayable) || 0,
+    openDiscrepancies: parseInt(row.openDiscrepancies) || 0
+  }));
+};
+
+export default {
+  MATCH_STATUSES,
+  VARIANCE_TOLERANCE,
+  normalisePolicyNumber,
+  parseStatementRows,
+  pickSaleForPayment,
+  reconcileLine,
+  refreshStatementTotals,
+  importStatement,
+  getAgentStatement,
+  getPayablesSummary
+};
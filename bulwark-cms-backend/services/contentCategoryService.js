@@ -0,0 +1,202 @@
+import { db } from '../config/database.js';
+import { content, contentCategories } from '../models/schema.js';
+import { eq, and, or, asc, desc, count, isNull, sql } from 'drizzle-orm';
+
+// Helper to build an error carrying an API error code
+const categoryError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const sameParent = (parentId) => (parentId ? eq(contentCategories.parentId, parentId) : isNull(contentCategories.parentId));
+
+// All categories in display order, inactive ones only when asked for
+export const getCategories = async ({ includeInactive = false } = {}) => {
+  return db.select()
+    .from(contentCategories)
+    .where(includeInactive ? undefined : eq(contentCategories.isActive, true))
+    .orderBy(asc(contentCategories.position), asc(contentCategories.name), asc(contentCategories.id));
+};
+
+export const getCategoryById = async (categoryId) => {
+  const [category] = await db.select().from(contentCategories).where(eq(contentCategories.id, categoryId)).limit(1);
+  return category || null;
+};
+
+// A category and everything below it, at any depth
+export const getCategorySubtreeIds = async (categoryId) => {
+  const rows = await db.execute(sql`
+    WITH RECURSIVE subtree AS (
+      SELECT id FROM ${contentCategories} WHERE id = ${categoryId}
+      UNION
+      SELECT c.id FROM ${contentCategories} c INNER JOIN subtree s ON c.parent_id = s.id
+    )
+    SELECT id FROM subtree
+  `);
+  return rows.map(row => Number(row.id));
+};
+
+// Nest a flat category list under each parent. contentCounts (category id to number of documents)
+// gives each node its own contentCount and a totalCount that includes its subcategories.
+// A category whose parent is missing or left out (inactive) becomes a root.
+export const buildCategoryTree = (categories, contentCounts = new Map()) => {
+  const nodes = new Map(categories.map(category => [category.id, {
+    ...category,
+    contentCount: contentCounts.get(category.id) || 0,
+    totalCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parentId);
+    if (parent && parent.id !== node.id) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const total = (node) => {
+    node.totalCount = node.children.reduce((sum, child) => sum + total(child), node.contentCount);
+    return node.totalCount;
+  };
+  roots.forEach(total);
+  return roots;
+};
+
+// The documents a user can see in each category: public ones and their own
+export const countVisibleContent = async (userId) => {
+  const rows = await db.select({ categoryId: content.categoryId, count: count() })
+    .from(content)
+    .where(or(eq(content.isPublic, true), eq(content.authorId, userId)))
+    .groupBy(content.categoryId);
+  return new Map(rows.filter(row => row.categoryId).map(row => [row.categoryId, Number(row.count)]));
+};
+
+const checkParent = async (parentId, categoryId = null) => {
+  if (!parentId) {
+    return;
+  }
+  const parent = await getCategoryById(parentId);
+  if (!parent) {
+    throw categoryError('Parent category not found', 'PARENT_NOT_FOUND');
+  }
+  if (categoryId && (await getCategorySubtreeIds(categoryId)).includes(parentId)) {
+    throw categoryError('A category cannot be moved inside itself', 'CATEGORY_CYCLE');
+  }
+};
+
+const checkNameFree = async (name, parentId, categoryId = null) => {
+  const [existing] = await db.select({ id: contentCategories.id })
+    .from(contentCategories)
+    .where(and(sameParent(parentId), sql`lower(${contentCategories.name}) = lower(${name})`))
+    .limit(1);
+  if (existing && existing.id !== categoryId) {
+    throw categoryError('A category with this name already exists here', 'CATEGORY_EXISTS');
+  }
+};
+
+// New and moved categories go after their last sibling
+const nextPosition = async (parentId) => {
+  const [last] = await db.select({ position: contentCategories.position })
+    .from(contentCategories)
+    .where(sameParent(parentId))
+    .orderBy(desc(contentCategories.position))
+    .limit(1);
+  return last ? last.position + 1 : 1;
+};
+
+export const createCategory = async ({ name, description, parentId = null }) => {
+  await checkParent(parentId);
+  await checkNameFree(name, parentId);
+
+  const [category] = await db.insert(contentCategories).values({
+    name,
+    description: description || null,
+    parentId,
+    position: await nextPosition(parentId),
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }).returning();
+  return category;
+};
+
+export const updateCategory = async (category, { name, description, parentId, isActive }) => {
+  const newParentId = parentId === undefined ? category.parentId : parentId;
+  const moving = newParentId !== category.parentId;
+  if (moving) {
+    await checkParent(newParentId, category.id);
+  }
+  if (name !== undefined || moving) {
+    await checkNameFree(name ?? category.name, newParentId, category.id);
+  }
+
+  const [updated] = await db.update(contentCategories)
+    .set({
+      name: name ?? category.name,
+      description: description === undefined ? category.description : description || null,
+      parentId: newParentId,
+      position: moving ? await nextPosition(newParentId) : category.position,
+      isActive: isActive ?? category.isActive,
+      updatedAt: new Date()
+    })
+    .where(eq(contentCategories.id, category.id))
+    .returning();
+  return updated;
+};
+
+// Set the order of the categories under one parent; categoryIds must list every one of them
+export const reorderCategories = async (parentId, categoryIds) => {
+  const siblings = await db.select({ id: contentCategories.id }).from(contentCategories).where(sameParent(parentId));
+  const siblingIds = new Set(siblings.map(sibling => sibling.id));
+  if (categoryIds.length !== siblingIds.size || new Set(categoryIds).size !== categoryIds.length
+    || !categoryIds.every(id => siblingIds.has(id))) {
+    throw categoryError('List every category under this parent exactly once', 'ORDER_MISMATCH');
+  }
+
+  return db.transaction(async (tx) => {
+    const reordered = [];
+    for (const [index, id] of categoryIds.entries()) {
+      const [category] = await tx.update(contentCategories)
+        .set({ position: index + 1, updatedAt: new Date() })
+        .where(eq(contentCategories.id, id))
+        .returning();
+      reordered.push(category);
+    }
+    return reordered;
+  });
+};
+
+// Only empty categories can be deleted; others can be deactivated instead
+export const deleteCategory = async (category) => {
+  const [children] = await db.select({ count: count() })
+    .from(contentCategories)
+    .where(eq(contentCategories.parentId, category.id));
+  if (Number(children.count) > 0) {
+    throw categoryError('Move or delete its subcategories first', 'CATEGORY_HAS_CHILDREN');
+  }
+
+  const [documents] = await db.select({ count: count() })
+    .from(content)
+    .where(eq(content.categoryId, category.id));
+  if (Number(documents.count) > 0) {
+    throw categoryError('Move its documents to another category first', 'CATEGORY_IN_USE');
+  }
+
+  await db.delete(contentCategories).where(eq(contentCategories.id, category.id));
+};
+
+export default {
+  getCategories,
+  getCategoryById,
+  getCategorySubtreeIds,
+  buildCategoryTree,
+  countVisibleContent,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+};
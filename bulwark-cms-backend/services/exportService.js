@@ -0,0 +1,287 @@
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { toCsvLine } from '../utils/spreadsheet.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+// Rows are fetched and written this many at a time so large exports never sit in memory
+export const EXPORT_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Excel number formats for each column type
+const XLSX_NUMBER_FORMATS = {
+  number: '#,##0.##',
+  currency: '"$"#,##0.00',
+  percent: '0.00"%"',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+
+// Function to turn a date column value into a Date; YYYY-MM-DD strings are read as UTC dates
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Function to read a column's value from a row as a typed JS value (number, Date, boolean or string)
+const typedValue = (column, row) => {
+  const value = column.value(row);
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (column.type) {
+    case 'number':
+    case 'percent': {
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'currency': {
+      const number = Number(value);
+      return isNaN(number) ? null : Math.round(number * 100) / 100;
+    }
+    case 'date':
+    case 'datetime':
+      return toDate(value);
+    case 'boolean':
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+};
+
+// Function to format a typed value as display text (used for CSV and PDF)
+const formatValue = (column, value, { forPdf = false } = {}) => {
+  if (value === null) {
+    return '';
+  }
+
+  switch (column.type) {
+    case 'currency':
+      return forPdf
+        ? `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        : value.toFixed(2);
+    case 'percent':
+      return forPdf ? `${value}%` : String(value);
+    case 'date':
+      return value.toISOString().split('T')[0];
+    case 'datetime':
+      return forPdf ? value.toISOString().slice(0, 16).replace('T', ' ') : value.toISOString();
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    default:
+      return String(value);
+  }
+};
+
+// Write a chunk and wait for the stream to drain if its buffer is full
+const write = (stream, chunk) => {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => stream.once('drain', resolve));
+};
+
+const waitForFinish = (stream) => {
+  return new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('error', reject);
+  });
+};
+
+const createCsvWriter = (stream, { columns }) => ({
+  // The byte order mark makes Excel open the file as UTF-8
+  start: () => write(stream, '\uFEFF' + toCsvLine(columns.map(column => column.header)) + '\n'),
+  addRows: (rows) => write(stream, rows
+    .map(row => toCsvLine(columns.map(column => formatValue(column, typedValue(column, row)))) + '\n')
+    .join('')),
+  finish: () => {
+    const finished = waitForFinish(stream);
+    stream.end();
+    return finished;
+  }
+});
+
+const createXlsxWriter = (stream, { title, columns }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const worksheet = workbook.addWorksheet(title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  return {
+    start: async () => {
+      worksheet.columns = columns.map((column, index) => ({
+        header: column.header,
+        key: String(index),
+        width: column.width || 15,
+        style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {}
+      }));
+      worksheet.getRow(1).font = { bold: true };
+    },
+    addRows: async (rows) => {
+      for (const row of rows) {
+        worksheet.addRow(columns.map(column => typedValue(column, row))).commit();
+      }
+    },
+    finish: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+const createPdfWriter = (stream, { title, filters, columns }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(stream);
+
+  const fontSize = 8;
+  const rowHeight = 14;
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWeight = columns.reduce((total, column) => total + (column.width || 15), 0);
+  const widths = columns.map(column => usableWidth * (column.width || 15) / totalWeight);
+  let rowCount = 0;
+
+  // Function to shorten text with "..." until it fits the column
+  const fitText = (text, width) => {
+    if (doc.widthOfString(text) <= width) {
+      return text;
+    }
+    let shortened = text;
+    while (shortened.length > 0 && doc.widthOfString(`${shortened}...`) > width) {
+      shortened = shortened.slice(0, -1);
+    }
+    return `${shortened}...`;
+  };
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+    let x = left;
+    cells.forEach((text, index) => {
+      const width = widths[index] - 4;
+      doc.text(fitText(text, width), x + 2, y + 3, {
+        width,
+        lineBreak: false,
+        align: NUMERIC_TYPES.includes(columns[index].type) ? 'right' : 'left'
+      });
+      x += widths[index];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + usableWidth, y + rowHeight).lineWidth(0.5).strokeColor('#dddddd').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.header), { bold: true });
+
+  return {
+    start: async () => {
+      doc.font('Helvetica-Bold').fontSize(14).text(title);
+      doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+      const filterText = Object.entries(filters || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([label, value]) => `${label}: ${value}`)
+        .join(', ');
+      if (filterText) {
+        doc.text(`Filters: ${filterText}`);
+      }
+      doc.fillColor('#000000').moveDown();
+      drawHeader();
+    },
+    addRows: async (rows) => {
+      for (const row of rows) {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          drawHeader();
+        }
+        drawRow(columns.map(column => formatValue(column, typedValue(column, row), { forPdf: true })));
+        rowCount++;
+      }
+    },
+    finish: async () => {
+      doc.moveDown().font('Helvetica').fontSize(9).text(`${rowCount} row(s)`, left);
+      const finished = waitForFinish(stream);
+      doc.end();
+      await finished;
+    }
+  };
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  xlsx: createXlsxWriter,
+  pdf: createPdfWriter
+};
+
+// Write every row returned by fetchBatch(offset, limit) to the stream in the given format, then end the stream.
+// Columns are { header, value: row => value, type, width } where type is text, number, currency, percent, date, datetime or boolean.
+// Returns the number of rows written.
+export const writeExport = async (stream, { format, title, filters, columns, fetchBatch, firstBatch }) => {
+  const writer = WRITERS[format](stream, { title, filters, columns });
+  await writer.start();
+
+  let offset = 0;
+  let rowCount = 0;
+  let batch = firstBatch || await fetchBatch(0, EXPORT_BATCH_SIZE);
+  while (batch.length > 0) {
+    await writer.addRows(batch);
+    rowCount += batch.length;
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      break;
+    }
+    offset += EXPORT_BATCH_SIZE;
+    batch = await fetchBatch(offset, EXPORT_BATCH_SIZE);
+  }
+
+  await writer.finish();
+  return rowCount;
+};
+
+// Render an export in memory, e.g. for an email attachment; returns { content, contentType, rowCount }
+export const renderExport = async ({ format, ...options }) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => stream.once('end', resolve));
+
+  const rowCount = await writeExport(stream, { format, ...options });
+  await ended;
+
+  return { content: Buffer.concat(chunks), contentType: CONTENT_TYPES[format], rowCount };
+};
+
+// Send an export as a file download. The first batch is loaded before any headers go out,
+// so a failing query still gets the usual JSON error; later failures abort the download.
+export const sendExport = async (res, { format, fileName, ...options }) => {
+  const firstBatch = await options.fetchBatch(0, EXPORT_BATCH_SIZE);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${new Date().toISOString().split('T')[0]}.${format}"`);
+
+  try {
+    await writeExport(res, { format, ...options, firstBatch });
+  } catch (error) {
+    console.error(`Export ${fileName} error:`, error);
+    res.destroy(error);
+  }
+};
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  writeExport,
+  renderExport,
+  sendExport
+};
@@ -0,0 +1,171 @@
+import { db } from '../config/database.js';
+import { goals, sales, clients } from '../models/schema.js';
+import { eq, and, gte, lte, inArray } from 'drizzle-orm';
+import { notifyGoalCompleted, hasReachedTarget } from './notificationService.js';
+
+// Function to calculate a goal metric from the sales and clients in its time period
+export const calculateExistingData = async (startDate, endDate, agentId, metricType) => {
+  try {
+    // Safety check for required parameters
+    if (!agentId) {
+      console.error(`❌ agentId is undefined for metric ${metricType}`);
+      return { total: 0, sales: [], clients: [] };
+    }
+    
+    if (!startDate || !endDate) {
+      console.error(`❌ startDate or endDate is undefined for agent ${agentId}, metric ${metricType}`);
+      return { total: 0, sales: [], clients: [] };
+    }
+    
+    if (!metricType) {
+      console.error(`❌ metricType is undefined for agent ${agentId}`);
+      return { total: 0, sales: [], clients: [] };
+    }
+
+    // Convert dates to Date objects and then to ISO strings for database queries
+    const startDateObj = new Date(startDate);
+    const endDateObj = new Date(endDate);
+    
+    // Add time to make it a full day range
+    startDateObj.setHours(0, 0, 0, 0);
+    endDateObj.setHours(23, 59, 59, 999);
+    
+    // Convert to ISO strings for database queries
+    const startDateISO = startDateObj.toISOString();
+    const endDateISO = endDateObj.toISOString();
+    
+
+
+    if (metricType === 'new_clients' || metricType === 'client_count') {
+      // Query clients table for new clients created in the date range
+      
+      // For timestamp fields, we need to use Date objects, not ISO strings
+      const clientsInRange = await db.select({
+        id: clients.id,
+        createdAt: clients.createdAt
+      }).from(clients).where(
+        and(
+          eq(clients.agentId, agentId),
+          gte(clients.createdAt, startDateObj),
+          lte(clients.createdAt, endDateObj)
+        )
+      );
+
+      console.log(`👥 Found ${clientsInRange.length} clients created in date range for agent ${agentId}`);
+      if (clientsInRange.length > 0) {
+        console.log(`👥 Client IDs found:`, clientsInRange.map(c => ({ id: c.id, createdAt: c.createdAt })));
+      }
+
+      return {
+        total: clientsInRange.length,
+        sales: [],
+        clients: clientsInRange
+      };
+    } else {
+      // Query sales table for sales in the date range
+      console.log(`📊 Querying sales table for agent ${agentId} between ${startDateISO} and ${endDateISO}`);
+      
+      // For date fields, we can use ISO strings
+      const salesInRange = await db.select({
+        id: sales.id,
+        premiumAmount: sales.premiumAmount,
+        commissionAmount: sales.commissionAmount,
+        saleDate: sales.saleDate,
+        clientId: sales.clientId,
+        agentId: sales.agentId
+      }).from(sales).where(
+        and(
+          eq(sales.agentId, agentId),
+          gte(sales.saleDate, startDateISO),
+          lte(sales.saleDate, endDateISO)
+        )
+      );
+
+      console.log(`📊 Found ${salesInRange.length} sales in date range for agent ${agentId}`);
+      if (salesInRange.length > 0) {
+        console.log(`📊 Sales found:`, salesInRange.map(s => ({ 
+          id: s.id, 
+          saleDate: s.saleDate, 
+          premiumAmount: s.premiumAmount,
+          commissionAmount: s.commissionAmount
+        })));
+      }
+
+      let total = 0;
+      if (metricType === 'sales_count' || metricType === 'policies_sold') {
+        total = salesInRange.length;
+      } else if (metricType === 'sales_amount') {
+        total = salesInRange.reduce((sum, sale) => sum + (parseFloat(sale.premiumAmount) || 0), 0);
+      } else if (metricType === 'commission') {
+        total = salesInRange.reduce((sum, sale) => sum + (parseFloat(sale.commissionAmount) || 0), 0);
+      }
+
+      console.log(`✅ Calculated existing data: ${total} for ${metricType}`);
+      return {
+        total,
+        sales: salesInRange,
+        clients: []
+      };
+    }
+  } catch (error) {
+    console.error(`❌ Error calculating existing data:`, error);
+    return { total: 0, sales: [], clients: [] };
+  }
+};
+
+// Recalculate every active goal for the given agents from the database, once per goal.
+// Used after batch changes such as sales imports instead of updating goals row by row
+export const recalculateAgentGoals = async (agentIds) => {
+  const ids = [...new Set(agentIds)].filter(Boolean);
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const agentGoals = await db.select().from(goals).where(
+    and(
+      inArray(goals.agentId, ids),
+      eq(goals.isActive, true)
+    )
+  );
+
+  let recalculatedCount = 0;
+  for (const goal of agentGoals) {
+    try {
+      const { total: newCurrentValue } = await calculateExistingData(goal.startDate, goal.endDate, goal.agentId, goal.metricType);
+
+      await db.update(goals)
+        .set({
+          currentValue: newCurrentValue,
+          updatedAt: new Date()
+        })
+        .where(eq(goals.id, goal.id));
+
+      if (hasReachedTarget(goal, goal.currentValue, newCurrentValue)) {
+        await notifyGoalCompleted(goal);
+      }
+      recalculatedCount++;
+    } catch (error) {
+      // One bad goal shouldn't stop the others being brought up to date
+      console.error(`❌ Error recalculating goal ${goal.id}:`, error);
+    }
+  }
+
+  console.log(`🎯 Recalculated ${recalculatedCount}/${agentGoals.length} goals for ${ids.length} agent(s)`);
+  return recalculatedCount;
+};
+
+// Recalculate every active goal for every agent (the nightly goal sync)
+export const recalculateAllGoals = async () => {
+  const agentRows = await db.selectDistinct({ agentId: goals.agentId })
+    .from(goals)
+    .where(eq(goals.isActive, true));
+
+  const recalculated = await recalculateAgentGoals(agentRows.map(row => row.agentId));
+  return { agents: agentRows.length, recalculated };
+};
+
+export default {
+  calculateExistingData,
+  recalculateAgentGoals,
+  recalculateAllGoals
+};
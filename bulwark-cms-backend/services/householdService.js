@@ -0,0 +1,143 @@
+import { db } from '../config/database.js';
+import { clients, clientRelationships, sales } from '../models/schema.js';
+import { eq, or, and, inArray, desc } from 'drizzle-orm';
+
+// A relationship row reads "client is the <type> of related client"
+export const RELATIONSHIP_TYPES = ['spouse', 'child', 'beneficiary', 'employer_of', 'referred_by'];
+
+// Spouses and children make up a household; the other types are shown but not combined
+export const HOUSEHOLD_RELATIONSHIP_TYPES = ['spouse', 'child'];
+
+// Stop walking a household after this many members
+const MAX_HOUSEHOLD_SIZE = 50;
+
+// Function to load relationships touching any of the given clients, with both clients' names
+const getRelationshipsFor = async (clientIds, types = RELATIONSHIP_TYPES) => {
+  if (clientIds.length === 0) {
+    return [];
+  }
+
+  const rows = await db.select()
+    .from(clientRelationships)
+    .where(and(
+      or(
+        inArray(clientRelationships.clientId, clientIds),
+        inArray(clientRelationships.relatedClientId, clientIds)
+      ),
+      inArray(clientRelationships.relationshipType, types)
+    ));
+
+  const ids = [...new Set(rows.flatMap(row => [row.clientId, row.relatedClientId]))];
+  const names = ids.length > 0
+    ? await db.select({ id: clients.id, firstName: clients.firstName, lastName: clients.lastName })
+      .from(clients)
+      .where(inArray(clients.id, ids))
+    : [];
+  const nameById = new Map(names.map(client => [client.id, `${client.firstName} ${client.lastName}`]));
+
+  return rows.map(row => ({
+    ...row,
+    clientName: nameById.get(row.clientId) || null,
+    relatedClientName: nameById.get(row.relatedClientId) || null
+  }));
+};
+
+// Get all relationships a client is on either side of
+export const getClientRelationships = async (clientId) => {
+  return getRelationshipsFor([clientId]);
+};
+
+// Whether a relationship between the two clients already exists (spouse links count in either direction)
+export const findExistingRelationship = async (clientId, relatedClientId, relationshipType) => {
+  const sameDirection = and(
+    eq(clientRelationships.clientId, clientId),
+    eq(clientRelationships.relatedClientId, relatedClientId),
+    eq(clientRelationships.relationshipType, relationshipType)
+  );
+  const reverseSpouse = and(
+    eq(clientRelationships.clientId, relatedClientId),
+    eq(clientRelationships.relatedClientId, clientId),
+    eq(clientRelationships.relationshipType, 'spouse')
+  );
+
+  const existing = await db.select()
+    .from(clientRelationships)
+    .where(relationshipType === 'spouse' ? or(sameDirection, reverseSpouse) : sameDirection)
+    .limit(1);
+
+  return existing[0] || null;
+};
+
+// Build a client's household: everyone reachable through spouse and child links,
+// the relationships between them, and their combined policies and premium
+export const getHousehold = async (clientId) => {
+  const memberIds = new Set([clientId]);
+  let frontier = [clientId];
+
+  while (frontier.length > 0 && memberIds.size < MAX_HOUSEHOLD_SIZE) {
+    const links = await getRelationshipsFor(frontier, HOUSEHOLD_RELATIONSHIP_TYPES);
+    frontier = [];
+    for (const link of links) {
+      for (const id of [link.clientId, link.relatedClientId]) {
+        if (!memberIds.has(id) && memberIds.size < MAX_HOUSEHOLD_SIZE) {
+          memberIds.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  const ids = [...memberIds];
+
+  const members = await db.select({
+    id: clients.id,
+    agentId: clients.agentId,
+    firstName: clients.firstName,
+    lastName: clients.lastName,
+    dateOfBirth: clients.dateOfBirth,
+    status: clients.status
+  })
+    .from(clients)
+    .where(inArray(clients.id, ids));
+
+  // Household links between members, plus every other kind of link on the client itself
+  const householdLinks = (await getRelationshipsFor(ids, HOUSEHOLD_RELATIONSHIP_TYPES))
+    .filter(link => memberIds.has(link.clientId) && memberIds.has(link.relatedClientId));
+  const otherLinks = (await getRelationshipsFor([clientId]))
+    .filter(link => !HOUSEHOLD_RELATIONSHIP_TYPES.includes(link.relationshipType));
+
+  const policies = await db.select({
+    id: sales.id,
+    clientId: sales.clientId,
+    productName: sales.productName,
+    policyNumber: sales.policyNumber,
+    premiumAmount: sales.premiumAmount,
+    status: sales.status,
+    saleDate: sales.saleDate,
+    renewalDate: sales.renewalDate
+  })
+    .from(sales)
+    .where(inArray(sales.clientId, ids))
+    .orderBy(desc(sales.saleDate));
+
+  const activePolicies = policies.filter(policy => policy.status === 'active');
+
+  return {
+    members,
+    relationships: [...householdLinks, ...otherLinks],
+    policies,
+    totals: {
+      memberCount: members.length,
+      activePolicies: activePolicies.length,
+      totalPremium: activePolicies.reduce((total, policy) => total + (parseFloat(policy.premiumAmount) || 0), 0)
+    }
+  };
+};
+
+export default {
+  RELATIONSHIP_TYPES,
+  HOUSEHOLD_RELATIONSHIP_TYPES,
+  getClientRelationships,
+  findExistingRelationship,
+  getHousehold
+};
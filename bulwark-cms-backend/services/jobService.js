@@ -0,0 +1,383 @@
+import os from 'os';
+import { db } from '../config/database.js';
+import { backgroundJobs } from '../models/schema.js';
+import { eq, and, lte, lt, gte, asc, desc, inArray, count, min } from 'drizzle-orm';
+import { notifyDueReminders } from './notificationService.js';
+import { escalateOverdueReminders } from './reminderWorkflowService.js';
+import { createRenewalReminders, expireOverduePolicies } from './policyService.js';
+import { recalculateAllGoals } from './goalService.js';
+import { runDueScheduledReports } from './scheduledReportService.js';
+import { getNextCronRun } from '../utils/cron.js';
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// How often each server checks the queue for jobs that are due
+export const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+// A running job whose worker has not finished it within this time is assumed to have died with its server
+export const JOB_LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// Failed attempts are retried after 30s, 60s, 120s, ...
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 30 * 1000;
+
+// Finished job runs are deleted after this many days
+export const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
+// Recurring job schedules are read in this time zone
+const JOB_TIME_ZONE = process.env.JOB_TIME_ZONE || 'UTC';
+
+export const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Helper to build an error carrying an API error code
+const jobError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Delete finished job runs older than the retention period
+export const deleteOldJobs = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const deleted = await db.delete(backgroundJobs)
+    .where(and(
+      inArray(backgroundJobs.status, ['completed', 'failed']),
+      lt(backgroundJobs.completedAt, cutoff)
+    ))
+    .returning({ id: backgroundJobs.id });
+
+  return { deleted: deleted.length };
+};
+
+// Every job the runner knows about. Handlers throw to fail the attempt and return a summary stored on the job.
+const JOB_DEFINITIONS = {
+  reminder_notifications: {
+    description: 'Notify agents about reminders that have come due',
+    schedule: '*/5 * * * *',
+    handler: () => notifyDueReminders()
+  },
+  reminder_escalation: {
+    description: 'Escalate overdue high and urgent reminders to the agent\'s manager',
+    schedule: '*/15 * * * *',
+    handler: () => escalateOverdueReminders()
+  },
+  scheduled_reports: {
+    description: 'Email scheduled reports that have come due',
+    schedule: '* * * * *',
+    handler: () => runDueScheduledReports()
+  },
+  renewal_reminders: {
+    description: 'Create renewal reminders for policies renewing soon',
+    schedule: '0 * * * *',
+    handler: () => createRenewalReminders()
+  },
+  policy_expiry: {
+    description: 'Expire active policies whose renewal date has passed without renewal',
+    schedule: '0 1 * * *',
+    handler: () => expireOverduePolicies()
+  },
+  goal_sync: {
+    description: 'Recalculate progress on every active goal',
+    schedule: '0 2 * * *',
+    handler: () => recalculateAllGoals()
+  },
+  job_cleanup: {
+    description: 'Delete finished job runs older than the retention period',
+    schedule: '30 3 * * *',
+    handler: () => deleteOldJobs()
+  }
+};
+
+export const JOB_NAMES = Object.keys(JOB_DEFINITIONS);
+
+// Add a job to the queue. Returns null when a job with the same unique key is already pending or running.
+export const enqueueJob = async (name, { payload = null, runAt = new Date(), uniqueKey = null, maxAttempts = 3, createdBy = null } = {}) => {
+  if (!JOB_DEFINITIONS[name]) {
+    throw jobError(`Unknown job "${name}"`, 'JOB_NOT_FOUND');
+  }
+
+  const [job] = await db.insert(backgroundJobs).values({
+    name,
+    payload,
+    status: 'pending',
+    uniqueKey,
+    maxAttempts,
+    runAt,
+    createdBy,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  })
+    .onConflictDoNothing()
+    .returning();
+
+  return job || null;
+};
+
+// Queue the next run of a recurring job after `after`
+const scheduleNextRun = async (name, after = new Date()) => {
+  const runAt = getNextCronRun(JOB_DEFINITIONS[name].schedule, after, JOB_TIME_ZONE);
+  return enqueueJob(name, { runAt, uniqueKey: name });
+};
+
+// Make sure every recurring job has its next run queued (done when the runner starts)
+export const ensureRecurringJobs = async (now = new Date()) => {
+  for (const name of JOB_NAMES) {
+    await scheduleNextRun(name, now);
+  }
+};
+
+// Claim the oldest due job for this worker. SKIP LOCKED lets other servers claim other jobs at the same time.
+export const claimNextJob = async (workerId = WORKER_ID, now = new Date()) => {
+  return db.transaction(async (tx) => {
+    const [job] = await tx.select()
+      .from(backgroundJobs)
+      .where(and(eq(backgroundJobs.status, 'pending'), lte(backgroundJobs.runAt, now)))
+      .orderBy(asc(backgroundJobs.runAt), asc(backgroundJobs.id))
+      .limit(1)
+      .for('update', { skipLocked: true });
+
+    if (!job) {
+      return null;
+    }
+
+    const [claimedJob] = await tx.update(backgroundJobs)
+      .set({
+        status: 'running',
+        attempts: job.attempts + 1,
+        lockedAt: now,
+        lockedBy: workerId,
+        startedAt: now,
+        updatedAt: now
+      })
+      .where(eq(backgroundJobs.id, job.id))
+      .returning();
+
+    return claimedJob;
+  });
+};
+
+// Record a failed attempt: retry later with backoff, or mark the job failed once it is out of attempts
+const failJob = async (job, error, now = new Date()) => {
+  const willRetry = job.attempts < job.maxAttempts;
+
+  const [failedJob] = await db.update(backgroundJobs)
+    .set({
+      status: willRetry ? 'pending' : 'failed',
+      runAt: willRetry ? new Date(now.getTime() + JOB_RETRY_DELAY_MS * 2 ** (job.attempts - 1)) : job.runAt,
+      lastError: error.message || String(error),
+      lockedAt: null,
+      lockedBy: null,
+      completedAt: willRetry ? null : now,
+      updatedAt: now
+    })
+    .where(eq(backgroundJobs.id, job.id))
+    .returning();
+
+  return failedJob;
+};
+
+// Put jobs left running by a worker that went away back in the queue (or fail them if they are out of attempts)
+export const releaseStaleJobs = async (now = new Date()) => {
+  const staleJobs = await db.select()
+    .from(backgroundJobs)
+    .where(and(
+      eq(backgroundJobs.status, 'running'),
+      lt(backgroundJobs.lockedAt, new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS))
+    ));
+
+  for (const job of staleJobs) {
+    console.warn(`⚠️ Job ${job.id} (${job.name}) was left running by ${job.lockedBy}; releasing it`);
+    const releasedJob = await failJob(job, new Error(`Worker ${job.lockedBy} stopped before the job finished`), now);
+    if (releasedJob.status === 'failed' && releasedJob.uniqueKey) {
+      await scheduleNextRun(releasedJob.name, now);
+    }
+  }
+
+  return staleJobs.length;
+};
+
+// Run one claimed job and record the outcome; recurring jobs queue their next run once this one is finished
+export const executeJob = async (job) => {
+  const definition = JOB_DEFINITIONS[job.name];
+  let finishedJob;
+
+  try {
+    if (!definition) {
+      throw new Error(`No handler is registered for job "${job.name}"`);
+    }
+    const result = await definition.handler(job.payload || {}, job);
+
+    [finishedJob] = await db.update(backgroundJobs)
+      .set({
+        status: 'completed',
+        result: result ?? null,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(eq(backgroundJobs.id, job.id))
+      .returning();
+  } catch (error) {
+    console.error(`❌ Job ${job.id} (${job.name}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error);
+    finishedJob = await failJob(job, error);
+  }
+
+  if (finishedJob.status !== 'pending' && finishedJob.uniqueKey && definition) {
+    await scheduleNextRun(job.name);
+  }
+
+  return finishedJob;
+};
+
+// How often the runner re-checks that every recurring job has its next run queued
+const RECURRING_CHECK_INTERVAL_MS = 60 * 1000;
+
+let pollTimer = null;
+let activeTick = null;
+let stopping = false;
+let recurringCheckedAt = 0;
+
+// One pass of the runner: release stale jobs, then run due jobs one at a time until none are left.
+// Recurring jobs are re-queued now and then so a failed reschedule (e.g. the database was down) heals itself.
+const tick = async () => {
+  try {
+    if (Date.now() - recurringCheckedAt >= RECURRING_CHECK_INTERVAL_MS) {
+      await ensureRecurringJobs();
+      recurringCheckedAt = Date.now();
+    }
+    await releaseStaleJobs();
+    while (!stopping) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      await executeJob(job);
+    }
+  } catch (error) {
+    console.error('❌ Job runner error:', error);
+  }
+};
+
+const scheduleTick = () => {
+  pollTimer = setTimeout(() => {
+    activeTick = tick().finally(() => {
+      activeTick = null;
+      if (!stopping) {
+        scheduleTick();
+      }
+    });
+  }, JOB_POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+// Start polling the queue in this process
+export const startJobRunner = async () => {
+  stopping = false;
+  try {
+    await ensureRecurringJobs();
+    recurringCheckedAt = Date.now();
+  } catch (error) {
+    // The runner keeps polling and queues them again on a later tick
+    console.error('❌ Error queueing recurring jobs:', error);
+  }
+  scheduleTick();
+  console.log(`⚙️ Job runner started on ${WORKER_ID} (polling every ${JOB_POLL_INTERVAL_MS}ms)`);
+};
+
+// Stop polling and wait for the job in progress, if any, to finish
+export const stopJobRunner = async () => {
+  stopping = true;
+  clearTimeout(pollTimer);
+  if (activeTick) {
+    await activeTick;
+  }
+};
+
+// Queue a job to run straight away (the "Run now" button); manual runs are tried once
+export const runJobNow = async (name, userId) => {
+  return enqueueJob(name, { maxAttempts: 1, createdBy: userId });
+};
+
+// Put a failed job back in the queue with a fresh set of attempts.
+// The retry is a one-off, so a recurring job's own schedule carries on as before.
+export const retryJob = async (job) => {
+  if (job.status !== 'failed') {
+    throw jobError('Only failed jobs can be retried', 'JOB_NOT_FAILED');
+  }
+
+  const [retriedJob] = await db.update(backgroundJobs)
+    .set({ status: 'pending', attempts: 0, uniqueKey: null, runAt: new Date(), completedAt: null, updatedAt: new Date() })
+    .where(eq(backgroundJobs.id, job.id))
+    .returning();
+
+  return retriedJob;
+};
+
+// Summary of every job for the status page: schedule, next run, what is running and the last finished run
+export const getJobStatus = async (now = new Date()) => {
+  const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const [pending, running, recentFailures] = await Promise.all([
+    db.select({ name: backgroundJobs.name, nextRunAt: min(backgroundJobs.runAt), count: count() })
+      .from(backgroundJobs)
+      .where(eq(backgroundJobs.status, 'pending'))
+      .groupBy(backgroundJobs.name),
+    db.select()
+      .from(backgroundJobs)
+      .where(eq(backgroundJobs.status, 'running')),
+    db.select({ name: backgroundJobs.name, count: count() })
+      .from(backgroundJobs)
+      .where(and(eq(backgroundJobs.status, 'failed'), gte(backgroundJobs.completedAt, since)))
+      .groupBy(backgroundJobs.name)
+  ]);
+
+  const jobs = [];
+  for (const [name, definition] of Object.entries(JOB_DEFINITIONS)) {
+    const [lastRun] = await db.select()
+      .from(backgroundJobs)
+      .where(and(eq(backgroundJobs.name, name), inArray(backgroundJobs.status, ['completed', 'failed'])))
+      .orderBy(desc(backgroundJobs.completedAt))
+      .limit(1);
+
+    const pendingRow = pending.find(row => row.name === name);
+    jobs.push({
+      name,
+      description: definition.description,
+      schedule: definition.schedule,
+      nextRunAt: pendingRow?.nextRunAt || null,
+      pendingCount: Number(pendingRow?.count || 0),
+      running: running.filter(job => job.name === name),
+      lastRun: lastRun || null,
+      failuresLast24h: Number(recentFailures.find(row => row.name === name)?.count || 0)
+    });
+  }
+
+  return {
+    worker: WORKER_ID,
+    timeZone: JOB_TIME_ZONE,
+    pollIntervalMs: JOB_POLL_INTERVAL_MS,
+    jobs
+  };
+};
+
+export default {
+  JOB_STATUSES,
+  JOB_NAMES,
+  JOB_POLL_INTERVAL_MS,
+  JOB_LOCK_TIMEOUT_MS,
+  JOB_RETENTION_DAYS,
+  WORKER_ID,
+  enqueueJob,
+  ensureRecurringJobs,
+  claimNextJob,
+  releaseStaleJobs,
+  executeJob,
+  startJobRunner,
+  stopJobRunner,
+  runJobNow,
+  retryJob,
+  deleteOldJobs,
+  getJobStatus
+};
@@ -0,0 +1,91 @@
+import { getTransport, MAIL_FROM } from '../config/mail.js';
+
+export const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Escape user-provided values before putting them in HTML emails
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const info = await getTransport().sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  console.log(`📧 Sent "${subject}" to ${Array.isArray(to) ? to.join(', ') : to}`);
+
+  // The JSON stand-in transport returns the rendered message instead of delivering it
+  if (info.message && process.env.NODE_ENV === 'development') {
+    console.log('📧 Message preview:', info.message.toString());
+  }
+
+  return info;
+};
+
+// Send the password reset link email
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const resetUrl = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Bulwark CMS password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your Bulwark CMS password.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email. Your password will not change.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>We received a request to reset your Bulwark CMS password.</p>
+      <p>Use the link below within ${expiresInMinutes} minutes to choose a new one:</p>
+      <p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+      <p>If you did not request this, you can ignore this email. Your password will not change.</p>
+    `
+  });
+};
+
+// Send a scheduled report with the rendered file attached
+export const sendScheduledReportEmail = async ({ to, reportName, periodLabel, rowCount, attachment }) => {
+  const reportsUrl = `${APP_URL}/reports/scheduled`;
+
+  return sendMail({
+    to,
+    subject: `${reportName} (${periodLabel})`,
+    text: [
+      `Your scheduled report "${reportName}" is attached.`,
+      '',
+      `Period: ${periodLabel}`,
+      `Rows: ${rowCount}`,
+      '',
+      `Manage scheduled reports: ${reportsUrl}`
+    ].join('\n'),
+    html: `
+      <p>Your scheduled report <strong>${escapeHtml(reportName)}</strong> is attached.</p>
+      <p>Period: ${escapeHtml(periodLabel)}<br>Rows: ${rowCount}</p>
+      <p><a href="${escapeHtml(reportsUrl)}">Manage scheduled reports</a></p>
+    `,
+    attachments: [attachment]
+  });
+};
+
+export default {
+  escapeHtml,
+  sendMail,
+  sendPasswordResetEmail,
+  sendScheduledReportEmail,
+  APP_URL
+};
@@ -0,0 +1,217 @@
+import { db } from '../config/database.js';
+import { notifications, users, reminders, clients } from '../models/schema.js';
+import { eq, and, or, inArray, isNull, gte, lt, lte, ne, sql } from 'drizzle-orm';
+
+// Reminders that came due longer ago than this are not notified retroactively
+const REMINDER_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Maps each notification type to the user preference flag that controls it
+export const NOTIFICATION_PREFERENCES = {
+  sale_created: 'notifySalesUpdates',
+  goal_completed: 'notifyGoalProgress',
+  reminder_due: 'notifyReminders',
+  reminder_assigned: 'notifyReminders',
+  reminder_escalated: 'notifyReminders',
+  team_update: 'notifyTeamUpdates',
+  clients_transferred: 'notifyTeamUpdates',
+  content_published: 'notifyTeamUpdates'
+};
+
+// Function to filter recipients down to active users who opted in to this notification type
+const getOptedInUserIds = async (userIds, type) => {
+  const uniqueIds = [...new Set(userIds.filter(Boolean).map(Number))];
+  if (uniqueIds.length === 0) {
+    return [];
+  }
+
+  const preferenceField = NOTIFICATION_PREFERENCES[type];
+
+  const recipients = await db.select({
+    id: users.id,
+    optedIn: preferenceField ? users[preferenceField] : sql`true`
+  })
+  .from(users)
+  .where(and(
+    inArray(users.id, uniqueIds),
+    eq(users.isActive, true),
+    isNull(users.deletedAt)
+  ));
+
+  // A NULL preference means the user never changed the default, which is on
+  return recipients.filter(r => r.optedIn !== false).map(r => r.id);
+};
+
+// Create a notification for each recipient who has the matching preference enabled
+export const notifyUsers = async (userIds, { type, title, message = null, entityType = null, entityId = null, link = null }) => {
+  try {
+    const recipientIds = await getOptedInUserIds(userIds, type);
+    if (recipientIds.length === 0) {
+      return [];
+    }
+
+    const created = await db.insert(notifications).values(
+      recipientIds.map(userId => ({
+        userId,
+        type,
+        title,
+        message,
+        entityType,
+        entityId,
+        link,
+        isRead: false,
+        createdAt: new Date()
+      }))
+    ).returning();
+
+    console.log(`🔔 Created ${created.length} '${type}' notification(s)`);
+    return created;
+  } catch (error) {
+    console.error('❌ Error creating notifications:', error);
+    // Notifications are best-effort and must never fail the originating request
+    return [];
+  }
+};
+
+export const notifyUser = (userId, payload) => notifyUsers([userId], payload);
+
+// Notify the agent's manager that a sale was recorded
+export const notifySaleCreated = async (sale, agent) => {
+  if (!agent?.managerId || agent.managerId === agent.id) {
+    return [];
+  }
+
+  const premium = parseFloat(sale.premiumAmount || 0).toFixed(2);
+  return notifyUser(agent.managerId, {
+    type: 'sale_created',
+    title: 'New sale recorded',
+    message: `${agent.firstName} ${agent.lastName} recorded a sale of ${sale.productName || 'a policy'} ($${premium})`,
+    entityType: 'sale',
+    entityId: sale.id,
+    link: '/sales'
+  });
+};
+
+// Notify an agent that one of their goals has just reached its target
+export const notifyGoalCompleted = async (goal) => {
+  return notifyUser(goal.agentId, {
+    type: 'goal_completed',
+    title: 'Goal achieved',
+    message: `You reached your ${goal.title || goal.metricType.replace(/_/g, ' ')} goal of ${parseFloat(goal.targetValue)}`,
+    entityType: 'goal',
+    entityId: goal.id,
+    link: '/goals'
+  });
+};
+
+// Returns true when a progress change moves a goal across its target
+export const hasReachedTarget = (goal, previousValue, newValue) => {
+  const target = parseFloat(goal.targetValue);
+  return target > 0 && Number(previousValue) < target && Number(newValue) >= target;
+};
+
+// Notify a user about a change to their team or reporting line
+export const notifyTeamUpdate = async (userIds, { title, message, entityType = 'team', entityId = null, link = '/team' }) => {
+  return notifyUsers(userIds, {
+    type: 'team_update',
+    title,
+    message,
+    entityType,
+    entityId,
+    link
+  });
+};
+
+// Notify an agent that clients from another agent's book were given to them
+export const notifyClientsTransferred = async (agentId, { clientCount, fromAgentName, transferredBy }) => {
+  return notifyUser(agentId, {
+    type: 'clients_transferred',
+    title: clientCount === 1 ? 'A client was transferred to you' : `${clientCount} clients were transferred to you`,
+    message: `${transferredBy} moved ${clientCount === 1 ? 'a client' : `${clientCount} clients`} from ${fromAgentName}'s book to you, with their open reminders`,
+    entityType: 'client',
+    link: '/clients'
+  });
+};
+
+// Notify everyone except the author that content has been published
+export const notifyContentPublished = async (item) => {
+  try {
+    const audience = await db.select({ id: users.id })
+      .from(users)
+      .where(and(
+        ne(users.id, item.authorId),
+        eq(users.isActive, true),
+        isNull(users.deletedAt)
+      ));
+
+    return notifyUsers(audience.map(u => u.id), {
+      type: 'content_published',
+      title: 'New content published',
+      message: item.title,
+      entityType: 'content',
+      entityId: item.id,
+      link: '/content'
+    });
+  } catch (error) {
+    console.error('❌ Error notifying content publication:', error);
+    return [];
+  }
+};
+
+// Create 'reminder_due' notifications for reminders that have come due and were not yet handled.
+// Every reminder checked is marked handled, including those whose agent opted out, so later sweeps skip it.
+// A snoozed reminder is handled again when its new time comes, as the earlier mark predates it.
+export const notifyDueReminders = async (now = new Date()) => {
+  const dueReminders = await db.select({
+    id: reminders.id,
+    agentId: reminders.agentId,
+    title: reminders.title,
+    reminderDate: reminders.reminderDate,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName
+  })
+  .from(reminders)
+  .leftJoin(clients, eq(reminders.clientId, clients.id))
+  .where(and(
+    or(eq(reminders.isCompleted, false), isNull(reminders.isCompleted)),
+    lte(reminders.reminderDate, now),
+    gte(reminders.reminderDate, new Date(now.getTime() - REMINDER_LOOKBACK_MS)),
+    or(isNull(reminders.dueNotifiedAt), lt(reminders.dueNotifiedAt, reminders.reminderDate))
+  ));
+
+  let created = 0;
+  for (const reminder of dueReminders) {
+    const clientName = reminder.clientFirstName
+      ? ` for ${reminder.clientFirstName} ${reminder.clientLastName}`
+      : '';
+    const result = await notifyUser(reminder.agentId, {
+      type: 'reminder_due',
+      title: 'Reminder due',
+      message: `${reminder.title}${clientName}`,
+      entityType: 'reminder',
+      entityId: reminder.id,
+      link: '/reminders'
+    });
+    created += result.length;
+  }
+
+  if (dueReminders.length > 0) {
+    await db.update(reminders)
+      .set({ dueNotifiedAt: now })
+      .where(inArray(reminders.id, dueReminders.map(reminder => reminder.id)));
+  }
+
+  return { checked: dueReminders.length, created };
+};
+
+export default {
+  NOTIFICATION_PREFERENCES,
+  notifyUsers,
+  notifyUser,
+  notifySaleCreated,
+  notifyGoalCompleted,
+  hasReachedTarget,
+  notifyTeamUpdate,
+  notifyClientsTransferred,
+  notifyContentPublished,
+  notifyDueReminders
+};
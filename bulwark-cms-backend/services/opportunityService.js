@@ -0,0 +1,48 @@
+import { db } from '../config/database.js';
+import { opportunityStages } from '../models/schema.js';
+import { eq, asc } from 'drizzle-orm';
+
+export const STAGE_OUTCOMES = ['won', 'lost'];
+
+// Default pipeline, also seeded by migrations/add_opportunities.sql
+export const DEFAULT_OPPORTUNITY_STAGES = [
+  { key: 'lead', name: 'Lead', position: 1, defaultProbability: 10, outcome: null },
+  { key: 'quoted', name: 'Quoted', position: 2, defaultProbability: 30, outcome: null },
+  { key: 'application_submitted', name: 'Application Submitted', position: 3, defaultProbability: 60, outcome: null },
+  { key: 'underwriting', name: 'Underwriting', position: 4, defaultProbability: 80, outcome: null },
+  { key: 'issued', name: 'Issued', position: 5, defaultProbability: 100, outcome: 'won' },
+  { key: 'lost', name: 'Lost', position: 6, defaultProbability: 0, outcome: 'lost' }
+];
+
+// Function to turn a stage name into a stable key, e.g. "Application Submitted" -> "application_submitted"
+export const stageKeyFromName = (name) => {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+// Get the pipeline stages in board order
+export const getStages = async ({ includeInactive = false } = {}) => {
+  return db.select()
+    .from(opportunityStages)
+    .where(includeInactive ? undefined : eq(opportunityStages.isActive, true))
+    .orderBy(asc(opportunityStages.position), asc(opportunityStages.id));
+};
+
+export const getStageById = async (stageId) => {
+  const [stage] = await db.select().from(opportunityStages).where(eq(opportunityStages.id, stageId)).limit(1);
+  return stage || null;
+};
+
+// The first open stage, used for new opportunities created without one
+export const getInitialStage = async () => {
+  const stages = await getStages();
+  return stages.find(stage => !stage.outcome) || null;
+};
+
+export default {
+  STAGE_OUTCOMES,
+  DEFAULT_OPPORTUNITY_STAGES,
+  stageKeyFromName,
+  getStages,
+  getStageById,
+  getInitialStage
+};
@@ -0,0 +1,122 @@
+import { db } from '../config/database.js';
+import { users } from '../models/schema.js';
+import { eq, asc, isNull, inArray, sql } from 'drizzle-orm';
+import { hasPermission } from './permissionService.js';
+
+// Everyone below a user in the reporting tree (users.managerId), at any depth.
+// Deleted users stay in the tree so their clients and sales remain visible to their managers.
+export const getDescendantIds = async (userId) => {
+  const rows = await db.execute(sql`
+    WITH RECURSIVE reports AS (
+      SELECT id FROM ${users} WHERE manager_id = ${userId}
+      UNION
+      SELECT u.id FROM ${users} u INNER JOIN reports r ON u.manager_id = r.id
+    )
+    SELECT id FROM reports
+  `);
+  return rows.map(row => Number(row.id)).filter(id => id !== userId);
+};
+
+// Whether making managerId the manager of userId would loop the reporting line back on itself
+export const wouldCreateReportingCycle = async (userId, managerId) => {
+  if (managerId === null || managerId === undefined) {
+    return false;
+  }
+  return managerId === userId || (await getDescendantIds(userId)).includes(managerId);
+};
+
+export const getDirectReportIds = async (userId) => {
+  const reports = await db.select({ id: users.id }).from(users).where(eq(users.managerId, userId));
+  return reports.map(report => report.id);
+};
+
+// Whose data a user can see, as a list of agent ids, or null for everyone:
+// - someone with org.view_branch at the top of the org (with no manager of their own) sees everyone
+// - others with org.view_branch see themselves and everyone below them
+// - anyone else with direct reports (a team lead) sees themselves and those reports
+// - everyone else sees only themselves
+export const getVisibleAgentIds = async (user) => {
+  if (await hasPermission(user, 'org.view_branch')) {
+    if (!user.managerId) {
+      return null;
+    }
+    return [user.id, ...(await getDescendantIds(user.id))];
+  }
+  return [user.id, ...(await getDirectReportIds(user.id))];
+};
+
+// The requesting user's visibility, worked out once per request
+export const getOrgScope = async (req) => {
+  if (req.orgScope === undefined) {
+    req.orgScope = await getVisibleAgentIds(req.user);
+  }
+  return req.orgScope;
+};
+
+// Condition limiting an agent id column to a scope, or undefined when the scope covers everyone
+export const scopeToOrg = (scope, column) => (scope === null ? undefined : inArray(column, scope));
+
+export const canSeeAgent = (scope, agentId) => scope === null || scope.includes(Number(agentId));
+
+// The org chart as nested reporting lines. Without a rootId every top-level person is a root;
+// with one, just that person and everyone below them.
+export const getOrgTree = async (rootId = null) => {
+  const people = await db.select({
+    id: users.id,
+    firstName: users.firstName,
+    lastName: users.lastName,
+    email: users.email,
+    role: users.role,
+    position: users.position,
+    department: users.department,
+    managerId: users.managerId,
+    isActive: users.isActive
+  })
+    .from(users)
+    .where(isNull(users.deletedAt))
+    .orderBy(asc(users.firstName), asc(users.lastName));
+
+  const nodes = new Map(people.map(person => [person.id, { ...person, reports: [] }]));
+  const placed = new Set();
+
+  // Each person appears once; a report already placed can only be a loop back up the chain
+  const place = (node) => {
+    placed.add(node.id);
+    node.reports = node.reports.filter(report => !placed.has(report.id)).map(place);
+    return node;
+  };
+
+  for (const node of nodes.values()) {
+    const manager = nodes.get(node.managerId);
+    if (manager && manager.id !== node.id) {
+      manager.reports.push(node);
+    }
+  }
+
+  if (rootId) {
+    const root = nodes.get(rootId);
+    return root ? [place(root)] : [];
+  }
+
+  // People whose manager is missing or deleted start their own branch
+  const roots = [...nodes.values()].filter(node => !nodes.has(node.managerId) || node.managerId === node.id).map(place);
+
+  // A reporting loop has no top; break it at whoever is left over
+  for (const node of nodes.values()) {
+    if (!placed.has(node.id)) {
+      roots.push(place(node));
+    }
+  }
+  return roots;
+};
+
+export default {
+  getDescendantIds,
+  getDirectReportIds,
+  wouldCreateReportingCycle,
+  getVisibleAgentIds,
+  getOrgScope,
+  scopeToOrg,
+  canSeeAgent,
+  getOrgTree
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { passwordResetTokens } from '../models/schema.js';
+import { eq, and, isNull, gt } from 'drizzle-orm';
+
+export const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a new reset token for a user, invalidating any earlier unused ones
+export const createPasswordResetToken = async (userId, requestedIp = null) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.update(passwordResetTokens)
+    .set({ usedAt: new Date() })
+    .where(and(
+      eq(passwordResetTokens.userId, userId),
+      isNull(passwordResetTokens.usedAt)
+    ));
+
+  await db.insert(passwordResetTokens).values({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp,
+    createdAt: new Date()
+  });
+
+  return token;
+};
+
+// Mark a reset token as used and return its user ID, or null if it is unknown, expired or already used
+export const consumePasswordResetToken = async (token) => {
+  const consumed = await db.update(passwordResetTokens)
+    .set({ usedAt: new Date() })
+    .where(and(
+      eq(passwordResetTokens.tokenHash, hashToken(token)),
+      isNull(passwordResetTokens.usedAt),
+      gt(passwordResetTokens.expiresAt, new Date())
+    ))
+    .returning({ userId: passwordResetTokens.userId });
+
+  return consumed.length > 0 ? consumed[0].userId : null;
+};
+
+export default {
+  RESET_TOKEN_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken
+};
@@ -0,0 +1,225 @@
+import { db } from '../config/database.js';
+import { roles, users } from '../models/schema.js';
+import { eq, and, asc, isNull, inArray, count, sql } from 'drizzle-orm';
+
+// Every permission a role can grant. Routes check these names, never role names.
+export const PERMISSIONS = [
+  { name: 'org.view_branch', group: 'Organization', description: 'See the data of everyone below them in the org chart' },
+  { name: 'clients.edit_others', group: 'Clients', description: "View, edit and add notes to other agents' clients and imports" },
+  { name: 'clients.assign', group: 'Clients', description: 'Import clients for other agents and move clients between agents' },
+  { name: 'clients.delete', group: 'Clients', description: 'Delete clients' },
+  { name: 'clients.merge', group: 'Clients', description: 'Review and merge duplicate clients' },
+  { name: 'sales.edit_others', group: 'Sales', description: "Record, edit and delete sales for other agents' clients" },
+  { name: 'sales.assign', group: 'Sales', description: 'Import sales on behalf of other agents' },
+  { name: 'sales.override_commission', group: 'Sales', description: 'Override the calculated commission on a sale' },
+  { name: 'goals.edit_others', group: 'Goals', description: "Edit and delete other agents' goals" },
+  { name: 'goals.recalculate_all', group: 'Goals', description: "Recalculate every agent's goal progress" },
+  { name: 'reminders.edit_others', group: 'Reminders', description: "Edit, complete and delete other agents' reminders" },
+  { name: 'reminders.reassign', group: 'Reminders', description: 'Reassign reminders to another agent' },
+  { name: 'opportunities.edit_others', group: 'Pipeline', description: "Work other agents' opportunities" },
+  { name: 'opportunities.manage_stages', group: 'Pipeline', description: 'Add, change and retire pipeline stages' },
+  { name: 'reports.view_team', group: 'Reports', description: 'View team reports and top agents' },
+  { name: 'reports.schedule', group: 'Reports', description: 'Schedule emailed reports' },
+  { name: 'content.publish', group: 'Content', description: 'Share content with everyone' },
+  { name: 'content.manage', group: 'Content', description: "View and delete everyone's files and organize document categories" },
+  { name: 'products.manage', group: 'Products', description: 'Manage products and commission rates' },
+  { name: 'commissions.reconcile', group: 'Commissions', description: "Import carrier statements and view every agent's commission" },
+  { name: 'team.manage', group: 'Team', description: 'Create teams and manage their members' },
+  { name: 'users.manage', group: 'Users', description: 'Create, edit, suspend and delete users' },
+  { name: 'users.reset_credentials', group: 'Users', description: "Reset other users' passwords and two-factor authentication" },
+  { name: 'audit.view', group: 'Administration', description: 'View the audit log' },
+  { name: 'jobs.manage', group: 'Administration', description: 'View and run background jobs' },
+  { name: 'roles.manage', group: 'Administration', description: 'Create and edit roles and their permissions' }
+];
+
+export const PERMISSION_NAMES = PERMISSIONS.map(permission => permission.name);
+
+// What the built-in roles grant when the roles table has no row for them yet
+export const DEFAULT_ROLE_PERMISSIONS = {
+  manager: PERMISSION_NAMES,
+  agent: ['content.publish']
+};
+
+// Role permissions are read on nearly every request, so they are cached briefly.
+// Changes made here clear the cache at once; other server instances pick them up within the TTL.
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+
+const permissionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const loadRolePermissions = async () => {
+  if (roleCache && Date.now() - roleCache.loadedAt < CACHE_TTL_MS) {
+    return roleCache.permissionsByRole;
+  }
+  const rows = await db.select({ name: roles.name, permissions: roles.permissions }).from(roles);
+  roleCache = {
+    loadedAt: Date.now(),
+    permissionsByRole: new Map(rows.map(row => [row.name, new Set(row.permissions || [])]))
+  };
+  return roleCache.permissionsByRole;
+};
+
+export const clearRoleCache = () => {
+  roleCache = null;
+};
+
+const permissionsFor = (permissionsByRole, roleName) => {
+  return permissionsByRole.get(roleName) || new Set(DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+};
+
+export const getRolePermissions = async (roleName) => permissionsFor(await loadRolePermissions(), roleName);
+
+export const hasPermission = async (user, permission) => (await getRolePermissions(user.role)).has(permission);
+
+// The requesting user's permissions, worked out once per request
+export const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getRolePermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+// Whether someone holding callerPermissions may give out a role granting rolePermissions: they need
+// roles.manage, or to hold everything the role grants already, so nobody can hand out more than they have
+export const canAssignRole = (callerPermissions, rolePermissions) => {
+  return callerPermissions.has('roles.manage') || [...rolePermissions].every(permission => callerPermissions.has(permission));
+};
+
+export const userCan = async (req, permission) => (await getPermissions(req)).has(permission);
+
+// Roles with the number of active users holding each, built-in roles first
+export const getRoles = async () => {
+  return db.select({
+    id: roles.id,
+    name: roles.name,
+    label: roles.label,
+    description: roles.description,
+    permissions: roles.permissions,
+    isSystem: roles.isSystem,
+    createdAt: roles.createdAt,
+    updatedAt: roles.updatedAt,
+    userCount: sql`(SELECT COUNT(*) FROM ${users} WHERE ${users.role} = ${roles.name} AND ${users.deletedAt} IS NULL)`.mapWith(Number)
+  })
+    .from(roles)
+    .orderBy(sql`${roles.isSystem} DESC`, asc(roles.label));
+};
+
+export const getRoleById = async (roleId) => {
+  const [role] = await db.select().from(roles).where(eq(roles.id, roleId)).limit(1);
+  return role || null;
+};
+
+export const getRoleByName = async (name) => {
+  const [role] = await db.select().from(roles).where(eq(roles.name, name)).limit(1);
+  return role || null;
+};
+
+// Whether a role name can be given to a user
+export const roleExists = async (name) => (await loadRolePermissions()).has(name) || name in DEFAULT_ROLE_PERMISSIONS;
+
+// Active users who hold a permission through their role, optionally leaving one user out
+export const countUsersWithPermission = async (permission, { excludeUserId } = {}) => {
+  const permissionsByRole = await loadRolePermissions();
+  const roleNames = [...new Set([...Object.keys(DEFAULT_ROLE_PERMISSIONS), ...permissionsByRole.keys()])]
+    .filter(name => permissionsFor(permissionsByRole, name).has(permission));
+
+  const [result] = await db.select({ count: count() })
+    .from(users)
+    .where(and(
+      inArray(users.role, roleNames),
+      eq(users.isActive, true),
+      isNull(users.deletedAt),
+      excludeUserId ? sql`${users.id} <> ${excludeUserId}` : undefined
+    ));
+  return Number(result.count);
+};
+
+export const createRole = async ({ name, label, description, permissions }) => {
+  if (await getRoleByName(name)) {
+    throw permissionError('A role with this name already exists', 'ROLE_EXISTS');
+  }
+
+  const [role] = await db.insert(roles).values({
+    name,
+    label,
+    description: description || null,
+    permissions: [...new Set(permissions)],
+    isSystem: false
+  }).returning();
+  clearRoleCache();
+  return role;
+};
+
+// The name is what users.role points at, so only the label, description and permissions can change
+export const updateRole = async (role, { label, description, permissions }) => {
+  const updateData = { updatedAt: new Date() };
+  if (label !== undefined) updateData.label = label;
+  if (description !== undefined) updateData.description = description || null;
+
+  if (permissions !== undefined) {
+    updateData.permissions = [...new Set(permissions)];
+
+    // Someone must always be left who can edit roles, or nobody could undo this change
+    if (role.permissions.includes('roles.manage') && !updateData.permissions.includes('roles.manage')) {
+      const [others] = await db.select({ count: count() })
+        .from(users)
+        .innerJoin(roles, eq(users.role, roles.name))
+        .where(and(
+          sql`${roles.id} <> ${role.id}`,
+          sql`${roles.permissions}::jsonb ? 'roles.manage'`,
+          eq(users.isActive, true),
+          isNull(users.deletedAt)
+        ));
+      if (Number(others.count) === 0) {
+        throw permissionError('No one else would be able to manage roles', 'LAST_ROLE_MANAGER');
+      }
+    }
+  }
+
+  const [updated] = await db.update(roles)
+    .set(updateData)
+    .where(eq(roles.id, role.id))
+    .returning();
+  clearRoleCache();
+  return updated;
+};
+
+export const deleteRole = async (role) => {
+  if (role.isSystem) {
+    throw permissionError('Built-in roles cannot be deleted', 'SYSTEM_ROLE');
+  }
+
+  const [holders] = await db.select({ count: count() })
+    .from(users)
+    .where(and(eq(users.role, role.name), isNull(users.deletedAt)));
+  if (Number(holders.count) > 0) {
+    throw permissionError('Move the users with this role to another role first', 'ROLE_IN_USE');
+  }
+
+  await db.delete(roles).where(eq(roles.id, role.id));
+  clearRoleCache();
+};
+
+export default {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  DEFAULT_ROLE_PERMISSIONS,
+  clearRoleCache,
+  getRolePermissions,
+  hasPermission,
+  getPermissions,
+  canAssignRole,
+  userCan,
+  getRoles,
+  getRoleById,
+  getRoleByName,
+  roleExists,
+  countUsersWithPermission,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,222 @@
+import { db } from '../config/database.js';
+import { sales, policyStatusHistory, reminders, clients } from '../models/schema.js';
+import { eq, and, gte, lte, lt, isNull, isNotNull, sql } from 'drizzle-orm';
+
+export const POLICY_STATUSES = ['active', 'cancelled', 'lapsed', 'renewed', 'expired'];
+export const DEFAULT_TERM_MONTHS = 12;
+
+// Renewal reminders are created this many days before the renewal date
+export const RENEWAL_REMINDER_DAYS = parseInt(process.env.RENEWAL_REMINDER_DAYS) || 30;
+
+// Active policies are expired this many days after an unrenewed renewal date
+export const POLICY_EXPIRY_GRACE_DAYS = parseInt(process.env.POLICY_EXPIRY_GRACE_DAYS) || 30;
+
+// Allowed status transitions; anything else is rejected
+const TRANSITIONS = {
+  active: ['cancelled', 'lapsed', 'renewed', 'expired'],
+  lapsed: ['active', 'cancelled'],
+  cancelled: ['active'],
+  expired: ['renewed'],
+  renewed: []
+};
+
+// Helper to build an error carrying an API error code
+const policyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Function to normalise a date or date string to YYYY-MM-DD
+const toDateString = (value) => {
+  if (!value) {
+    return new Date().toISOString().split('T')[0];
+  }
+  return typeof value === 'string' ? value.split('T')[0] : value.toISOString().split('T')[0];
+};
+
+// Whether a policy may move from one status to another
+export const canTransition = (fromStatus, toStatus) => {
+  return (TRANSITIONS[fromStatus || 'active'] || []).includes(toStatus);
+};
+
+// Renewal date is the effective date plus the term, clamped to the end of shorter months
+export const calculateRenewalDate = (effectiveDate, termMonths = DEFAULT_TERM_MONTHS) => {
+  if (!effectiveDate) {
+    return null;
+  }
+
+  const start = new Date(`${toDateString(effectiveDate)}T00:00:00Z`);
+  const day = start.getUTCDate();
+  const renewal = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + parseInt(termMonths), 1));
+  const lastDay = new Date(Date.UTC(renewal.getUTCFullYear(), renewal.getUTCMonth() + 1, 0)).getUTCDate();
+  renewal.setUTCDate(Math.min(day, lastDay));
+
+  return toDateString(renewal);
+};
+
+// Append an entry to a policy's status history
+export const recordStatusChange = async (saleId, { fromStatus = null, toStatus, reason = null, effectiveDate = null, changedBy = null }, tx = db) => {
+  const [entry] = await tx.insert(policyStatusHistory).values({
+    saleId,
+    fromStatus,
+    toStatus,
+    reason,
+    effectiveDate: effectiveDate ? toDateString(effectiveDate) : toDateString(),
+    changedBy,
+    createdAt: new Date()
+  }).returning();
+
+  return entry;
+};
+
+// Move a policy to a new status and log the transition; throws INVALID_STATUS_TRANSITION if not allowed
+// The update only applies while the policy still has the status it was read with, otherwise it throws
+// POLICY_STATUS_CHANGED. Pass a transaction as tx so a failed transition rolls back the caller's other writes.
+export const transitionPolicy = async (sale, toStatus, { reason = null, effectiveDate = null, changedBy = null } = {}, tx = db) => {
+  const fromStatus = sale.status || 'active';
+  if (!canTransition(fromStatus, toStatus)) {
+    throw policyError(`Cannot change a ${fromStatus} policy to ${toStatus}`, 'INVALID_STATUS_TRANSITION');
+  }
+
+  const [updatedSale] = await tx.update(sales)
+    .set({ status: toStatus, updatedAt: new Date() })
+    .where(and(
+      eq(sales.id, sale.id),
+      sale.status ? eq(sales.status, sale.status) : isNull(sales.status)
+    ))
+    .returning();
+
+  if (!updatedSale) {
+    throw policyError('This policy was changed by someone else, reload it and try again', 'POLICY_STATUS_CHANGED');
+  }
+
+  await recordStatusChange(sale.id, { fromStatus, toStatus, reason, effectiveDate, changedBy }, tx);
+
+  // Open renewal reminders are moot once the policy is no longer active
+  if (toStatus !== 'active') {
+    await tx.update(reminders)
+      .set({ isCompleted: true, updatedAt: new Date() })
+      .where(and(
+        eq(reminders.saleId, sale.id),
+        eq(reminders.type, 'policy_renewal'),
+        eq(reminders.isCompleted, false)
+      ));
+  }
+
+  return updatedSale;
+};
+
+// Get a policy's status history, oldest first
+export const getStatusHistory = async (saleId) => {
+  return db.select()
+    .from(policyStatusHistory)
+    .where(eq(policyStatusHistory.saleId, saleId))
+    .orderBy(policyStatusHistory.createdAt, policyStatusHistory.id);
+};
+
+// Create 'policy_renewal' reminders for active policies renewing within the reminder window
+// Each policy gets at most one renewal reminder per renewal date
+export const createRenewalReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + RENEWAL_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const dueForRenewal = await db.select({
+    id: sales.id,
+    agentId: sales.agentId,
+    servicingAgentId: sales.servicingAgentId,
+    clientId: sales.clientId,
+    policyNumber: sales.policyNumber,
+    productName: sales.productName,
+    renewalDate: sales.renewalDate,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName
+  })
+  .from(sales)
+  .leftJoin(clients, eq(sales.clientId, clients.id))
+  .where(and(
+    eq(sales.status, 'active'),
+    isNotNull(sales.renewalDate),
+    gte(sales.renewalDate, toDateString(now)),
+    lte(sales.renewalDate, toDateString(windowEnd)),
+    sql`NOT EXISTS (
+      SELECT 1 FROM ${reminders}
+      WHERE ${reminders.saleId} = ${sales.id}
+        AND ${reminders.type} = 'policy_renewal'
+        AND ${reminders.reminderDate}::date >= ${sales.renewalDate} - ${RENEWAL_REMINDER_DAYS}::integer
+    )`
+  ));
+
+  if (dueForRenewal.length === 0) {
+    return { created: 0 };
+  }
+
+  const created = await db.insert(reminders).values(
+    dueForRenewal.map(policy => {
+      const clientName = [policy.clientFirstName, policy.clientLastName].filter(Boolean).join(' ');
+      // Remind a week ahead of renewal, or straight away if that is already past
+      const remindAt = new Date(`${policy.renewalDate}T09:00:00Z`);
+      remindAt.setUTCDate(remindAt.getUTCDate() - 7);
+
+      return {
+        agentId: policy.servicingAgentId || policy.agentId,
+        clientId: policy.clientId,
+        saleId: policy.id,
+        title: `Policy renewal: ${clientName || 'client'}${policy.policyNumber ? ` (${policy.policyNumber})` : ''}`,
+        description: `${policy.productName || 'Policy'} renews on ${policy.renewalDate}.`,
+        reminderDate: remindAt > now ? remindAt : now,
+        priority: 'high',
+        type: 'policy_renewal',
+        isCompleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+    })
+  ).returning({ id: reminders.id });
+
+  return { created: created.length };
+};
+
+// Mark active policies as expired once their renewal date is more than POLICY_EXPIRY_GRACE_DAYS in the past
+export const expireOverduePolicies = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - POLICY_EXPIRY_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  const overdue = await db.select()
+    .from(sales)
+    .where(and(
+      eq(sales.status, 'active'),
+      isNotNull(sales.renewalDate),
+      lt(sales.renewalDate, toDateString(cutoff))
+    ));
+
+  let expired = 0;
+  for (const sale of overdue) {
+    try {
+      await db.transaction((tx) => transitionPolicy(sale, 'expired', {
+        reason: 'Renewal date passed without the policy being renewed',
+        effectiveDate: sale.renewalDate
+      }, tx));
+      expired++;
+    } catch (error) {
+      // Renewed or cancelled since it was read; nothing left to expire
+      if (error.code !== 'POLICY_STATUS_CHANGED') {
+        throw error;
+      }
+    }
+  }
+
+  return { expired };
+};
+
+export default {
+  POLICY_STATUSES,
+  DEFAULT_TERM_MONTHS,
+  RENEWAL_REMINDER_DAYS,
+  POLICY_EXPIRY_GRACE_DAYS,
+  canTransition,
+  calculateRenewalDate,
+  recordStatusChange,
+  transitionPolicy,
+  getStatusHistory,
+  createRenewalReminders,
+  expireOverduePolicies
+};
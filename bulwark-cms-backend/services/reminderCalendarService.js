@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { reminders, reminderSeries, clients, users, calendarFeedTokens } from '../models/schema.js';
+import { eq, and, or, asc, isNull, inArray } from 'drizzle-orm';
+import { buildCalendar, parseCalendarEvents } from '../utils/ical.js';
+import { getNextOccurrence } from '../utils/rrule.js';
+import { APP_URL } from './mailService.js';
+import { normaliseRecurrence, startSeries } from './reminderSeriesService.js';
+
+// Calendar apps are asked to refresh the feed this often
+export const CALENDAR_REFRESH_MINUTES = 30;
+
+// Reminders are points in time; calendars show them as events of this length
+const REMINDER_EVENT_MINUTES = 30;
+
+const MAX_FEED_EVENTS = 1000;
+export const MAX_IMPORT_EVENTS = 500;
+
+// UIDs of feed events end with this, so importing our own feed back in is recognised
+const FEED_UID_DOMAIN = 'reminders.bulwark-cms';
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest)
+const ICAL_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const calendarError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const labelOf = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '');
+
+// When the user's feed token was created and last used, or null if they have none
+export const getFeedToken = async (userId) => {
+  const result = await db.select({ createdAt: calendarFeedTokens.createdAt, lastUsedAt: calendarFeedTokens.lastUsedAt })
+    .from(calendarFeedTokens)
+    .where(eq(calendarFeedTokens.userId, userId))
+    .limit(1);
+  return result[0] || null;
+};
+
+// Create the user's feed token, replacing any earlier one (which stops working). Only a hash is stored.
+export const createFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.transaction(async (tx) => {
+    await tx.delete(calendarFeedTokens).where(eq(calendarFeedTokens.userId, userId));
+    await tx.insert(calendarFeedTokens).values({
+      userId,
+      tokenHash: hashToken(token),
+      createdAt: new Date()
+    });
+  });
+
+  return token;
+};
+
+export const revokeFeedToken = async (userId) => {
+  const deleted = await db.delete(calendarFeedTokens)
+    .where(eq(calendarFeedTokens.userId, userId))
+    .returning({ id: calendarFeedTokens.id });
+  return deleted.length > 0;
+};
+
+// The active user a feed token belongs to, or null if the token is unknown
+export const findFeedUser = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const result = await db.select({
+    tokenId: calendarFeedTokens.id,
+    id: users.id,
+    firstName: users.firstName,
+    lastName: users.lastName
+  })
+    .from(calendarFeedTokens)
+    .innerJoin(users, eq(calendarFeedTokens.userId, users.id))
+    .where(and(
+      eq(calendarFeedTokens.tokenHash, hashToken(String(token))),
+      eq(users.isActive, true),
+      isNull(users.deletedAt)
+    ))
+    .limit(1);
+
+  if (result.length === 0) {
+    return null;
+  }
+
+  await db.update(calendarFeedTokens)
+    .set({ lastUsedAt: new Date() })
+    .where(eq(calendarFeedTokens.id, result[0].tokenId));
+
+  return result[0];
+};
+
+// The user's open reminders as an iCalendar feed; completed reminders drop off it
+export const buildReminderFeed = async (user) => {
+  const openReminders = await db.select({
+    id: reminders.id,
+    title: reminders.title,
+    description: reminders.description,
+    reminderDate: reminders.reminderDate,
+    priority: reminders.priority,
+    type: reminders.type,
+    createdAt: reminders.createdAt,
+    updatedAt: reminders.updatedAt,
+    seriesId: reminders.seriesId,
+    recurrenceRule: reminderSeries.recurrenceRule,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName,
+    clientPhone: clients.phone
+  })
+    .from(reminders)
+    .leftJoin(clients, eq(reminders.clientId, clients.id))
+    .leftJoin(reminderSeries, eq(reminders.seriesId, reminderSeries.id))
+    .where(and(
+      eq(reminders.agentId, user.id),
+      or(eq(reminders.isCompleted, false), isNull(reminders.isCompleted))
+    ))
+    .orderBy(asc(reminders.reminderDate))
+    .limit(MAX_FEED_EVENTS);
+
+  const events = openReminders.map(reminder => {
+    const clientName = [reminder.clientFirstName, reminder.clientLastName].filter(Boolean).join(' ');
+    const details = [
+      clientName && `Client: ${clientName}${reminder.clientPhone ? ` (${reminder.clientPhone})` : ''}`,
+      reminder.priority && `Priority: ${labelOf(reminder.priority)}`,
+      reminder.type && `Type: ${labelOf(reminder.type)}`,
+      reminder.recurrenceRule && `Repeats: ${reminder.recurrenceRule}`
+    ].filter(Boolean);
+
+    return {
+      uid: `reminder-${reminder.id}@${FEED_UID_DOMAIN}`,
+      stamp: reminder.updatedAt || reminder.createdAt || new Date(),
+      lastModified: reminder.updatedAt,
+      start: reminder.reminderDate,
+      end: new Date(reminder.reminderDate.getTime() + REMINDER_EVENT_MINUTES * 60 * 1000),
+      summary: clientName ? `${reminder.title} - ${clientName}` : reminder.title,
+      description: [details.join('\n'), reminder.description, `${APP_URL}/reminders`].filter(Boolean).join('\n\n'),
+      priority: ICAL_PRIORITY[reminder.priority],
+      categories: reminder.type ? [labelOf(reminder.type)] : [],
+      url: `${APP_URL}/reminders`
+    };
+  });
+
+  return buildCalendar({
+    name: `Bulwark reminders - ${user.firstName} ${user.lastName}`,
+    description: 'Open reminders from Bulwark CMS',
+    refreshMinutes: CALENDAR_REFRESH_MINUTES,
+    events
+  });
+};
+
+// iCalendar PRIORITY back to a reminder priority (0 means undefined)
+const priorityFromIcal = (priority) => {
+  if (priority === 1) return 'urgent';
+  if (priority >= 2 && priority <= 4) return 'high';
+  if (priority >= 6 && priority <= 9) return 'low';
+  return 'medium';
+};
+
+// Work out what importing a calendar file would do, event by event, without writing anything.
+// Past one-off events are skipped unless includePast is set; repeating events start from their next occurrence.
+export const previewCalendarImport = async (agentId, text, { timeZone = 'UTC', includePast = false, now = new Date() } = {}) => {
+  const events = parseCalendarEvents(text, { timeZone });
+  if (events.length === 0) {
+    throw calendarError('The calendar has no events to import', 'EMPTY_IMPORT');
+  }
+  if (events.length > MAX_IMPORT_EVENTS) {
+    throw calendarError(`A calendar import can have at most ${MAX_IMPORT_EVENTS} events`, 'IMPORT_TOO_LARGE');
+  }
+
+  const uids = [...new Set(events.map(event => event.uid).filter(Boolean))];
+  const existing = uids.length > 0
+    ? await db.select({ externalUid: reminders.externalUid })
+      .from(reminders)
+      .where(and(eq(reminders.agentId, agentId), inArray(reminders.externalUid, uids)))
+    : [];
+  const importedUids = new Set(existing.map(row => row.externalUid));
+  const seenUids = new Set();
+
+  const eventResults = events.map(event => {
+    const result = {
+      index: event.index,
+      uid: event.uid,
+      title: (event.summary || 'Calendar event').slice(0, 255),
+      description: [event.description, event.location && `Location: ${event.location}`].filter(Boolean).join('\n\n').slice(0, 1000) || null,
+      priority: priorityFromIcal(event.priority),
+      reminderDate: event.start,
+      startDate: event.start,
+      position: 1,
+      recurrence: null,
+      status: 'ready',
+      message: null
+    };
+    const skip = (message, status = 'skipped') => ({ ...result, status, message });
+
+    if (event.error) {
+      return skip(event.error, 'error');
+    }
+    if (event.status === 'CANCELLED') {
+      return skip('Cancelled event');
+    }
+    if (event.recurrenceId) {
+      return skip('Changed instance of a repeating event');
+    }
+    if (event.uid?.endsWith(`@${FEED_UID_DOMAIN}`)) {
+      return skip('Event came from a Bulwark reminder feed');
+    }
+    if (event.uid && (importedUids.has(event.uid) || seenUids.has(event.uid))) {
+      return skip('Already imported');
+    }
+    if (event.uid) {
+      seenUids.add(event.uid);
+    }
+
+    if (event.rrule) {
+      try {
+        result.recurrence = normaliseRecurrence({ recurrenceRule: event.rrule, timeZone: event.timeZone });
+      } catch (error) {
+        result.message = `Repeat rule not supported (${error.message}); imported as a one-off reminder`;
+      }
+    }
+
+    if (event.start <= now && !includePast) {
+      if (!result.recurrence) {
+        return skip('Event is in the past');
+      }
+      const next = getNextOccurrence(result.recurrence.recurrenceRule, event.start, now, result.recurrence.timeZone);
+      if (!next) {
+        return skip('Repeating event has ended');
+      }
+      result.reminderDate = next.date;
+      result.position = next.position;
+    }
+
+    return result;
+  });
+
+  const count = (status) => eventResults.filter(event => event.status === status).length;
+  return {
+    summary: {
+      totalEvents: eventResults.length,
+      readyCount: count('ready'),
+      repeatingCount: eventResults.filter(event => event.status === 'ready' && event.recurrence).length,
+      skippedCount: count('skipped'),
+      errorCount: count('error')
+    },
+    events: eventResults
+  };
+};
+
+// Create reminders (and series for repeating events) for the events a preview marked ready
+export const commitCalendarImport = async (agentId, preview, { type = 'follow_up' } = {}) => {
+  const readyEvents = preview.events.filter(event => event.status === 'ready');
+  if (readyEvents.length === 0) {
+    throw calendarError('None of the events can be imported', 'EMPTY_IMPORT');
+  }
+
+  return db.transaction(async (tx) => {
+    const created = [];
+    for (const event of readyEvents) {
+      const [reminder] = await tx.insert(reminders).values({
+        agentId,
+        title: event.title,
+        description: event.description,
+        reminderDate: event.reminderDate,
+        priority: event.priority,
+        type,
+        externalUid: event.uid,
+        isCompleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }).returning();
+
+      created.push(event.recurrence
+        ? (await startSeries(reminder, event.recurrence, tx, { startDate: event.startDate, position: event.position })).reminder
+        : reminder);
+    }
+    return created;
+  });
+};
+
+export default {
+  CALENDAR_REFRESH_MINUTES,
+  MAX_IMPORT_EVENTS,
+  getFeedToken,
+  createFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+  buildReminderFeed,
+  previewCalendarImport,
+  commitCalendarImport
+};
@@ -0,0 +1,163 @@
+import { db } from '../config/database.js';
+import { reminders, reminderSeries, reminderSnoozes } from '../models/schema.js';
+import { eq, and, inArray } from 'drizzle-orm';
+import { normaliseRRule, getNextOccurrence } from '../utils/rrule.js';
+import { isValidTimeZone } from '../utils/cron.js';
+
+export const EDIT_SCOPES = ['occurrence', 'series'];
+
+const seriesError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Template fields a series hands on to each occurrence
+const templateOf = (values) => ({
+  clientId: values.clientId ?? null,
+  title: values.title,
+  description: values.description ?? null,
+  priority: values.priority,
+  type: values.type ?? null
+});
+
+// Validate a recurrence rule and time zone from a request; throws INVALID_RECURRENCE or INVALID_TIMEZONE
+export const normaliseRecurrence = ({ recurrenceRule, timeZone }) => {
+  const zone = timeZone || 'UTC';
+  if (!isValidTimeZone(zone)) {
+    throw seriesError(`Unknown time zone "${zone}"`, 'INVALID_TIMEZONE');
+  }
+  return { recurrenceRule: normaliseRRule(recurrenceRule), timeZone: zone };
+};
+
+export const getSeries = async (seriesId, tx = db) => {
+  const result = await tx.select().from(reminderSeries).where(eq(reminderSeries.id, seriesId)).limit(1);
+  return result[0] || null;
+};
+
+// Make a reminder the first occurrence of a new series. An imported series can start earlier than its first
+// reminder, in which case `position` says which occurrence the reminder is.
+export const startSeries = async (reminder, recurrence, tx = db, { startDate = reminder.reminderDate, position = 1 } = {}) => {
+  const [series] = await tx.insert(reminderSeries).values({
+    agentId: reminder.agentId,
+    ...templateOf(reminder),
+    recurrenceRule: recurrence.recurrenceRule,
+    timeZone: recurrence.timeZone,
+    startDate,
+    occurrenceCount: position,
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }).returning();
+
+  const [occurrence] = await tx.update(reminders)
+    .set({ seriesId: series.id, occurrenceDate: reminder.reminderDate, updatedAt: new Date() })
+    .where(eq(reminders.id, reminder.id))
+    .returning();
+
+  return { series, reminder: occurrence };
+};
+
+// Create the occurrence that follows `reminder` (after it was completed or deleted).
+// Occurrences that were missed while this one was open are skipped rather than created overdue.
+// Returns the new reminder, or null when the reminder is not part of a series or the rule has run out.
+export const createNextOccurrence = async (reminder, tx = db, now = new Date()) => {
+  if (!reminder.seriesId) {
+    return null;
+  }
+
+  const series = await getSeries(reminder.seriesId, tx);
+  if (!series || !series.isActive) {
+    return null;
+  }
+
+  const scheduledFor = reminder.occurrenceDate || reminder.reminderDate;
+  const after = scheduledFor > now ? scheduledFor : now;
+  const next = getNextOccurrence(series.recurrenceRule, series.startDate, after, series.timeZone);
+
+  if (!next) {
+    await tx.update(reminderSeries)
+      .set({ isActive: false, updatedAt: new Date() })
+      .where(eq(reminderSeries.id, series.id));
+    return null;
+  }
+
+  const [nextReminder] = await tx.insert(reminders).values({
+    agentId: series.agentId,
+    ...templateOf(series),
+    reminderDate: next.date,
+    occurrenceDate: next.date,
+    seriesId: series.id,
+    isCompleted: false,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }).returning();
+
+  await tx.update(reminderSeries)
+    .set({ occurrenceCount: next.position, updatedAt: new Date() })
+    .where(eq(reminderSeries.id, series.id));
+
+  return nextReminder;
+};
+
+// Apply an edit to a whole series: the template, its open occurrences and, when the date or rule changed, the schedule.
+// A changed schedule restarts the series from the edited occurrence's new date.
+export const updateSeries = async (series, reminder, values, recurrence, tx = db) => {
+  const rescheduled = values.reminderDate.getTime() !== reminder.reminderDate.getTime() ||
+    recurrence.recurrenceRule !== series.recurrenceRule ||
+    recurrence.timeZone !== series.timeZone;
+
+  const [updatedSeries] = await tx.update(reminderSeries)
+    .set({
+      ...templateOf(values),
+      recurrenceRule: recurrence.recurrenceRule,
+      timeZone: recurrence.timeZone,
+      ...(rescheduled ? { startDate: values.reminderDate, occurrenceCount: 1, isActive: true } : {}),
+      updatedAt: new Date()
+    })
+    .where(eq(reminderSeries.id, series.id))
+    .returning();
+
+  await tx.update(reminders)
+    .set({ ...templateOf(values), updatedAt: new Date() })
+    .where(and(eq(reminders.seriesId, series.id), eq(reminders.isCompleted, false)));
+
+  const [updatedReminder] = await tx.update(reminders)
+    .set({
+      ...templateOf(values),
+      ...(rescheduled ? { reminderDate: values.reminderDate, occurrenceDate: values.reminderDate } : {}),
+      updatedAt: new Date()
+    })
+    .where(eq(reminders.id, reminder.id))
+    .returning();
+
+  return { series: updatedSeries, reminder: updatedReminder };
+};
+
+// Stop a series repeating: its reminders stay as one-off reminders and the series is removed
+export const endSeries = async (seriesId, tx = db) => {
+  await tx.update(reminders)
+    .set({ seriesId: null, updatedAt: new Date() })
+    .where(eq(reminders.seriesId, seriesId));
+  await tx.delete(reminderSeries).where(eq(reminderSeries.id, seriesId));
+};
+
+// Delete a series with its open occurrences; completed occurrences are kept as history
+export const deleteSeries = async (seriesId, tx = db) => {
+  const openOccurrences = and(eq(reminders.seriesId, seriesId), eq(reminders.isCompleted, false));
+  await tx.delete(reminderSnoozes)
+    .where(inArray(reminderSnoozes.reminderId, tx.select({ id: reminders.id }).from(reminders).where(openOccurrences)));
+  await tx.delete(reminders).where(openOccurrences);
+  await endSeries(seriesId, tx);
+};
+
+export default {
+  EDIT_SCOPES,
+  normaliseRecurrence,
+  getSeries,
+  startSeries,
+  createNextOccurrence,
+  updateSeries,
+  endSeries,
+  deleteSeries
+};
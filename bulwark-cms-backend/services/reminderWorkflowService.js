@@ -0,0 +1,206 @@
+import { db } from '../config/database.js';
+import { reminders, reminderSeries, reminderSnoozes, users, clients } from '../models/schema.js';
+import { eq, and, or, desc, inArray, isNull, isNotNull, lte, ne, sql } from 'drizzle-orm';
+import { zonedParts } from '../utils/cron.js';
+import { zonedTimeToUtc } from '../utils/rrule.js';
+import { notifyUser } from './notificationService.js';
+
+export const SNOOZE_PRESETS = ['15m', '1h', 'tomorrow', 'custom'];
+
+// Minutes each relative snooze pushes a reminder back by
+const SNOOZE_MINUTES = { '15m': 15, '1h': 60 };
+
+// "Tomorrow" means this time tomorrow morning in the user's time zone
+const SNOOZE_MORNING_HOUR = 9;
+
+// Only open reminders with these priorities are escalated
+export const ESCALATION_PRIORITIES = ['high', 'urgent'];
+
+// How long a high or urgent reminder can stay overdue before it is escalated to the agent's manager
+export const REMINDER_ESCALATION_GRACE_HOURS = parseInt(process.env.REMINDER_ESCALATION_GRACE_HOURS) || 24;
+
+const workflowError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// When a snooze preset moves a reminder to. Relative presets count from now, or from the due time if it is still ahead.
+export const getSnoozeUntil = (preset, { reminderDate, until, timeZone = 'UTC', now = new Date() }) => {
+  const from = reminderDate > now ? reminderDate : now;
+  let snoozedUntil;
+
+  if (SNOOZE_MINUTES[preset]) {
+    snoozedUntil = new Date(from.getTime() + SNOOZE_MINUTES[preset] * 60 * 1000);
+  } else if (preset === 'tomorrow') {
+    const today = zonedParts(now, timeZone);
+    snoozedUntil = zonedTimeToUtc(today.year, today.month, today.day + 1, SNOOZE_MORNING_HOUR, 0, timeZone);
+  } else if (preset === 'custom') {
+    snoozedUntil = until ? new Date(until) : null;
+    if (!snoozedUntil || isNaN(snoozedUntil.getTime())) {
+      throw workflowError('A custom snooze needs a valid date and time', 'INVALID_SNOOZE');
+    }
+  } else {
+    throw workflowError(`Snooze must be one of ${SNOOZE_PRESETS.join(', ')}`, 'INVALID_SNOOZE');
+  }
+
+  if (snoozedUntil <= from) {
+    throw workflowError('A reminder can only be snoozed to a later time', 'INVALID_SNOOZE');
+  }
+  return snoozedUntil;
+};
+
+// Push an open reminder back and record the snooze. An occurrence of a series keeps its occurrenceDate,
+// so the series carries on from its original schedule.
+export const snoozeReminder = async (reminder, { preset, until, timeZone, userId, now = new Date() }) => {
+  if (reminder.isCompleted) {
+    throw workflowError('Completed reminders cannot be snoozed', 'ALREADY_COMPLETED');
+  }
+
+  const snoozedUntil = getSnoozeUntil(preset, { reminderDate: reminder.reminderDate, until, timeZone, now });
+
+  return db.transaction(async (tx) => {
+    const [snoozed] = await tx.update(reminders)
+      .set({
+        reminderDate: snoozedUntil,
+        snoozeCount: sql`COALESCE(${reminders.snoozeCount}, 0) + 1`,
+        updatedAt: new Date()
+      })
+      .where(eq(reminders.id, reminder.id))
+      .returning();
+
+    const [snooze] = await tx.insert(reminderSnoozes).values({
+      reminderId: reminder.id,
+      userId,
+      preset,
+      previousDate: reminder.reminderDate,
+      snoozedUntil,
+      createdAt: new Date()
+    }).returning();
+
+    return { reminder: snoozed, snooze };
+  });
+};
+
+// Snoozes of a reminder, newest first, with who snoozed it
+export const getSnoozeHistory = async (reminderId) => {
+  return db.select({
+    id: reminderSnoozes.id,
+    preset: reminderSnoozes.preset,
+    previousDate: reminderSnoozes.previousDate,
+    snoozedUntil: reminderSnoozes.snoozedUntil,
+    createdAt: reminderSnoozes.createdAt,
+    userId: reminderSnoozes.userId,
+    userFirstName: users.firstName,
+    userLastName: users.lastName
+  })
+    .from(reminderSnoozes)
+    .leftJoin(users, eq(reminderSnoozes.userId, users.id))
+    .where(eq(reminderSnoozes.reminderId, reminderId))
+    .orderBy(desc(reminderSnoozes.createdAt), desc(reminderSnoozes.id));
+};
+
+// Give a reminder to another agent. scope=series moves the series and all of its open occurrences, so later
+// occurrences go to the new agent too. Escalation starts over for the new agent.
+export const reassignReminder = async (reminder, agentId, { scope = 'occurrence' } = {}) => {
+  if (reminder.isCompleted) {
+    throw workflowError('Completed reminders cannot be reassigned', 'ALREADY_COMPLETED');
+  }
+  if (reminder.agentId === agentId) {
+    throw workflowError('The reminder is already assigned to this agent', 'SAME_AGENT');
+  }
+
+  const reassignment = { agentId, escalatedAt: null, escalatedTo: null, updatedAt: new Date() };
+
+  return db.transaction(async (tx) => {
+    if (scope === 'series' && reminder.seriesId) {
+      const [series] = await tx.update(reminderSeries)
+        .set({ agentId, updatedAt: new Date() })
+        .where(eq(reminderSeries.id, reminder.seriesId))
+        .returning();
+
+      const reassigned = await tx.update(reminders)
+        .set(reassignment)
+        .where(and(eq(reminders.seriesId, reminder.seriesId), eq(reminders.isCompleted, false)))
+        .returning();
+
+      return { reminders: reassigned, series };
+    }
+
+    const reassigned = await tx.update(reminders)
+      .set(reassignment)
+      .where(eq(reminders.id, reminder.id))
+      .returning();
+
+    return { reminders: reassigned, series: null };
+  });
+};
+
+// Escalate open high and urgent reminders that have been overdue for longer than the grace period to the agent's manager.
+// Each reminder is escalated once; snoozing moves its due time, and reassigning it starts escalation over.
+export const escalateOverdueReminders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REMINDER_ESCALATION_GRACE_HOURS * 60 * 60 * 1000);
+
+  const overdueReminders = await db.select({
+    id: reminders.id,
+    title: reminders.title,
+    priority: reminders.priority,
+    reminderDate: reminders.reminderDate,
+    agentId: reminders.agentId,
+    managerId: users.managerId,
+    agentFirstName: users.firstName,
+    agentLastName: users.lastName,
+    clientFirstName: clients.firstName,
+    clientLastName: clients.lastName
+  })
+    .from(reminders)
+    .innerJoin(users, eq(reminders.agentId, users.id))
+    .leftJoin(clients, eq(reminders.clientId, clients.id))
+    .where(and(
+      or(eq(reminders.isCompleted, false), isNull(reminders.isCompleted)),
+      inArray(reminders.priority, ESCALATION_PRIORITIES),
+      isNull(reminders.escalatedAt),
+      lte(reminders.reminderDate, cutoff),
+      isNotNull(users.managerId),
+      ne(users.managerId, reminders.agentId)
+    ));
+
+  let escalated = 0;
+  for (const reminder of overdueReminders) {
+    // Another server's run may have escalated it in the meantime
+    const [updated] = await db.update(reminders)
+      .set({ escalatedAt: now, escalatedTo: reminder.managerId })
+      .where(and(eq(reminders.id, reminder.id), isNull(reminders.escalatedAt)))
+      .returning({ id: reminders.id });
+
+    if (!updated) {
+      continue;
+    }
+    escalated++;
+
+    const clientName = reminder.clientFirstName
+      ? ` for ${reminder.clientFirstName} ${reminder.clientLastName}`
+      : '';
+    await notifyUser(reminder.managerId, {
+      type: 'reminder_escalated',
+      title: `Overdue ${reminder.priority} reminder escalated`,
+      message: `${reminder.agentFirstName} ${reminder.agentLastName} has not completed "${reminder.title}"${clientName}, due ${reminder.reminderDate.toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+      entityType: 'reminder',
+      entityId: reminder.id,
+      link: '/reminders?view=escalated'
+    });
+  }
+
+  return { checked: overdueReminders.length, escalated };
+};
+
+export default {
+  SNOOZE_PRESETS,
+  ESCALATION_PRIORITIES,
+  REMINDER_ESCALATION_GRACE_HOURS,
+  getSnoozeUntil,
+  snoozeReminder,
+  getSnoozeHistory,
+  reassignReminder,
+  escalateOverdueReminders
+};
@@ -0,0 +1,353 @@
+import { db } from '../config/database.js';
+import { clients, products, sales } from '../models/schema.js';
+import { eq, and, inArray, sql } from 'drizzle-orm';
+import { pickColumn, parseAmount, parseDate, normaliseHeader } from '../utils/spreadsheet.js';
+import { normaliseEmail, normaliseName } from './clientDuplicateService.js';
+import { normalisePolicyNumber } from './commissionStatementService.js';
+import { resolveCommission, createSale } from './saleService.js';
+import { recalculateAgentGoals } from './goalService.js';
+
+// Reject files bigger than this so a single import stays reviewable
+export const MAX_SALES_IMPORT_ROWS = 5000;
+
+// Header names carriers commonly use in production reports for each column
+const COLUMN_ALIASES = {
+  policyNumber: ['policyNumber', 'policy number', 'policy no', 'policy #', 'policy', 'contract number', 'certificate number'],
+  firstName: ['firstName', 'first name', 'insured first name', 'owner first name'],
+  lastName: ['lastName', 'last name', 'insured last name', 'owner last name', 'surname'],
+  insuredName: ['insuredName', 'insured name', 'insured', 'owner name', 'client name', 'client', 'name'],
+  email: ['email', 'email address', 'insured email', 'client email'],
+  phone: ['phone', 'phone number', 'insured phone', 'telephone', 'mobile'],
+  dateOfBirth: ['dateOfBirth', 'date of birth', 'dob', 'insured dob', 'birth date'],
+  productName: ['productName', 'product name', 'product', 'plan name', 'plan'],
+  premiumAmount: ['premiumAmount', 'annualized premium', 'annual premium', 'premium amount', 'premium', 'target premium'],
+  commissionAmount: ['commissionAmount', 'commission amount', 'commission'],
+  saleDate: ['saleDate', 'sale date', 'issue date', 'written date', 'submitted date', 'application date', 'app date', 'date'],
+  effectiveDate: ['effectiveDate', 'effective date', 'policy effective date']
+};
+
+// Helper to build an error carrying an API error code
+const importError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const cellText = (value) => {
+  return value === null || value === undefined ? '' : String(value).trim();
+};
+
+// Split a single insured name column, accepting both "Jane Smith" and "Smith, Jane"
+const splitName = (fullName) => {
+  if (fullName.includes(',')) {
+    const [lastName, firstName] = fullName.split(',').map(part => part.trim());
+    return { firstName: firstName || '', lastName: lastName || '' };
+  }
+  const parts = fullName.split(/\s+/);
+  return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] || '' };
+};
+
+// Turn raw production report rows into sale lines; problems are kept on each line rather than thrown
+export const parseSaleRows = (rows) => {
+  const lines = [];
+
+  rows.forEach((row, index) => {
+    const column = (field) => pickColumn(row, COLUMN_ALIASES[field]);
+    const policyNumber = cellText(column('policyNumber'));
+    const rawPremium = column('premiumAmount');
+    const productName = cellText(column('productName'));
+
+    if (!policyNumber && rawPremium === null && !productName) {
+      return; // blank or summary row
+    }
+
+    let firstName = cellText(column('firstName'));
+    let lastName = cellText(column('lastName'));
+    if (!firstName || !lastName) {
+      const insuredName = cellText(column('insuredName'));
+      if (insuredName) {
+        ({ firstName, lastName } = splitName(insuredName));
+      }
+    }
+
+    const errors = [];
+    const premiumAmount = parseAmount(rawPremium);
+    if (premiumAmount === null || premiumAmount <= 0) {
+      errors.push('Premium is missing or not a positive number');
+    }
+    if (!productName) {
+      errors.push('Product is missing');
+    }
+
+    const rawSaleDate = column('saleDate');
+    const saleDate = parseDate(rawSaleDate);
+    if (!saleDate) {
+      errors.push(rawSaleDate ? `Sale date "${cellText(rawSaleDate)}" is not a valid date` : 'Sale date is missing');
+    }
+
+    const rawCommission = column('commissionAmount');
+    const commissionAmount = rawCommission !== null ? parseAmount(rawCommission) : null;
+
+    lines.push({
+      // Row 1 is the header, so data starts on row 2
+      row: index + 2,
+      policyNumber: policyNumber || null,
+      firstName,
+      lastName,
+      email: normaliseEmail(column('email')),
+      phone: cellText(column('phone')) || null,
+      dateOfBirth: parseDate(column('dateOfBirth')),
+      productName,
+      premiumAmount: premiumAmount !== null ? Math.round(premiumAmount * 100) / 100 : null,
+      commissionAmount,
+      saleDate,
+      effectiveDate: parseDate(column('effectiveDate')),
+      errors
+    });
+  });
+
+  return lines;
+};
+
+// Function to find the agent's client for a line: by policy number, then email, then name (and date of birth)
+export const matchClient = (line, { agentClients, clientIdByPolicy }) => {
+  const policyKey = normalisePolicyNumber(line.policyNumber);
+  if (policyKey && clientIdByPolicy.has(policyKey)) {
+    return { client: agentClients.find(client => client.id === clientIdByPolicy.get(policyKey)), matchedBy: 'policy' };
+  }
+
+  if (line.email) {
+    const byEmail = agentClients.find(client => normaliseEmail(client.email) === line.email);
+    if (byEmail) {
+      return { client: byEmail, matchedBy: 'email' };
+    }
+  }
+
+  const nameKey = normaliseName(line.firstName) + normaliseName(line.lastName);
+  if (nameKey) {
+    let byName = agentClients.filter(client => normaliseName(client.firstName) + normaliseName(client.lastName) === nameKey);
+    if (byName.length > 1 && line.dateOfBirth) {
+      byName = byName.filter(client => String(client.dateOfBirth || '').startsWith(line.dateOfBirth));
+    }
+    if (byName.length === 1) {
+      return { client: byName[0], matchedBy: 'name' };
+    }
+    if (byName.length > 1) {
+      return { ambiguous: true };
+    }
+  }
+
+  return null;
+};
+
+// Dry run: match every line to a client and product, work out commission and flag anything that
+// would stop it importing. Nothing is written.
+export const previewSalesImport = async (req, rows, { agentId, createMissingClients = false }) => {
+  if (rows.length > MAX_SALES_IMPORT_ROWS) {
+    throw importError(`Files can contain at most ${MAX_SALES_IMPORT_ROWS} rows`, 'IMPORT_TOO_LARGE');
+  }
+
+  const lines = parseSaleRows(rows);
+
+  const productList = await db.select().from(products);
+  const productByName = new Map(productList.map(product => [normaliseHeader(product.name), product]));
+
+  const agentClients = await db.select({
+    id: clients.id,
+    firstName: clients.firstName,
+    lastName: clients.lastName,
+    email: clients.email,
+    dateOfBirth: clients.dateOfBirth,
+    status: clients.status
+  })
+    .from(clients)
+    .where(eq(clients.agentId, agentId));
+
+  // Existing policies on the agent's book, used both to find the client and to spot rows already imported
+  const policyKeys = [...new Set(lines.map(line => normalisePolicyNumber(line.policyNumber)).filter(Boolean))];
+  const existingSales = policyKeys.length > 0
+    ? await db.select({ id: sales.id, clientId: sales.clientId, policyNumber: sales.policyNumber, saleDate: sales.saleDate })
+      .from(sales)
+      .where(and(
+        eq(sales.agentId, agentId),
+        inArray(sql`upper(regexp_replace(${sales.policyNumber}, '\\s', '', 'g'))`, policyKeys)
+      ))
+    : [];
+  const clientIdByPolicy = new Map(existingSales.map(sale => [normalisePolicyNumber(sale.policyNumber), sale.clientId]));
+  const recorded = new Map(existingSales.map(sale => [`${normalisePolicyNumber(sale.policyNumber)}:${sale.saleDate}`, sale.id]));
+
+  const newClientKeys = new Set();
+  const rowResults = [];
+
+  for (const line of lines) {
+    const errors = [...line.errors];
+    let status = null;
+    let note = null;
+
+    const product = line.productName ? productByName.get(normaliseHeader(line.productName)) : null;
+    if (line.productName && !product) {
+      errors.push(`Product "${line.productName}" is not in the product catalog`);
+    } else if (product && (product.archivedAt || product.isActive === false)) {
+      errors.push(`Product "${product.name}" is no longer available for new sales`);
+    }
+
+    let client = null;
+    let matchedBy = null;
+    const match = matchClient(line, { agentClients, clientIdByPolicy });
+    if (match?.ambiguous) {
+      errors.push(`Several clients are named ${line.firstName} ${line.lastName}; add an email or policy number to tell them apart`);
+    } else if (match) {
+      client = match.client;
+      matchedBy = match.matchedBy;
+    } else if (!line.firstName || !line.lastName) {
+      errors.push('Insured name is missing');
+    } else if (createMissingClients) {
+      matchedBy = 'new';
+      newClientKeys.add(line.email || normaliseName(line.firstName) + normaliseName(line.lastName));
+    } else {
+      errors.push(`No client matches ${line.firstName} ${line.lastName}`);
+    }
+
+    let commission = null;
+    if (errors.length === 0) {
+      commission = await resolveCommission(req, {
+        productId: product.id,
+        premiumAmount: line.premiumAmount,
+        saleDate: line.saleDate,
+        commissionAmount: line.commissionAmount
+      });
+      if (!commission) {
+        errors.push(`No commission rate is configured for ${product.name} on ${line.saleDate}`);
+      }
+    }
+
+    // The same policy and sale date means the row is already on the books
+    const recordedKey = `${normalisePolicyNumber(line.policyNumber)}:${line.saleDate}`;
+    if (errors.length > 0) {
+      status = 'error';
+    } else if (line.policyNumber && recorded.has(recordedKey)) {
+      status = 'skipped';
+      note = recorded.get(recordedKey) ? `Already recorded as sale #${recorded.get(recordedKey)}` : 'Repeats an earlier row in this file';
+    } else {
+      status = 'ready';
+      if (line.policyNumber) {
+        recorded.set(recordedKey, null);
+      }
+    }
+
+    rowResults.push({
+      row: line.row,
+      status,
+      errors,
+      note,
+      policyNumber: line.policyNumber,
+      client: {
+        id: client?.id || null,
+        matchedBy,
+        firstName: client?.firstName || line.firstName,
+        lastName: client?.lastName || line.lastName,
+        email: client?.email || line.email,
+        phone: line.phone,
+        dateOfBirth: line.dateOfBirth
+      },
+      productId: product?.id || null,
+      productName: product?.name || line.productName,
+      premiumAmount: line.premiumAmount,
+      commissionAmount: commission?.commissionAmount ?? null,
+      commissionRate: commission?.commissionRate ?? null,
+      saleDate: line.saleDate,
+      effectiveDate: line.effectiveDate
+    });
+  }
+
+  const ready = rowResults.filter(result => result.status === 'ready');
+  return {
+    rowResults,
+    summary: {
+      totalRows: rowResults.length,
+      readyCount: ready.length,
+      errorCount: rowResults.filter(result => result.status === 'error').length,
+      skippedCount: rowResults.filter(result => result.status === 'skipped').length,
+      newClientCount: newClientKeys.size,
+      totalPremium: Math.round(ready.reduce((total, result) => total + result.premiumAmount, 0) * 100) / 100,
+      totalCommission: Math.round(ready.reduce((total, result) => total + parseFloat(result.commissionAmount), 0) * 100) / 100
+    }
+  };
+};
+
+// Import the ready rows of a preview in one transaction, then bring the agent's goals up to date once
+export const commitSalesImport = async (req, preview, { agentId, skipInvalidRows = false }) => {
+  if (preview.summary.errorCount > 0 && !skipInvalidRows) {
+    throw importError(`${preview.summary.errorCount} row(s) have errors. Fix them or choose to skip invalid rows.`, 'IMPORT_HAS_ERRORS');
+  }
+
+  const readyRows = preview.rowResults.filter(result => result.status === 'ready');
+  if (readyRows.length === 0) {
+    throw importError('There are no new sales to import', 'EMPTY_IMPORT');
+  }
+
+  const result = await db.transaction(async (tx) => {
+    const createdClients = new Map();
+    const createdSales = [];
+
+    for (const row of readyRows) {
+      let clientId = row.client.id;
+
+      if (!clientId) {
+        // Rows for the same new person share one client
+        const key = row.client.email || normaliseName(row.client.firstName) + normaliseName(row.client.lastName);
+        if (!createdClients.has(key)) {
+          const [client] = await tx.insert(clients).values({
+            agentId,
+            firstName: row.client.firstName,
+            lastName: row.client.lastName,
+            email: row.client.email,
+            phone: row.client.phone,
+            dateOfBirth: row.client.dateOfBirth,
+            status: 'client',
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }).returning();
+          createdClients.set(key, client);
+        }
+        clientId = createdClients.get(key).id;
+      }
+
+      createdSales.push(await createSale({
+        agentId,
+        clientId,
+        productId: row.productId,
+        premiumAmount: row.premiumAmount,
+        commission: { commissionAmount: row.commissionAmount, commissionRate: row.commissionRate },
+        saleDate: row.saleDate,
+        policyNumber: row.policyNumber,
+        productName: row.productName,
+        effectiveDate: row.effectiveDate,
+        statusReason: 'Imported from carrier report',
+        changedBy: req.user.id
+      }, tx));
+    }
+
+    // Matched prospects now hold a policy
+    const matchedIds = [...new Set(readyRows.map(row => row.client.id).filter(Boolean))];
+    if (matchedIds.length > 0) {
+      await tx.update(clients)
+        .set({ status: 'client', updatedAt: new Date() })
+        .where(and(inArray(clients.id, matchedIds), eq(clients.status, 'prospect')));
+    }
+
+    return { sales: createdSales, clients: [...createdClients.values()] };
+  });
+
+  await recalculateAgentGoals([agentId]);
+
+  return result;
+};
+
+export default {
+  MAX_SALES_IMPORT_ROWS,
+  parseSaleRows,
+  matchClient,
+  previewSalesImport,
+  commitSalesImport
+};
@@ -0,0 +1,299 @@
+import { db } from '../config/database.js';
+import { sales, goals } from '../models/schema.js';
+import { eq, and } from 'drizzle-orm';
+import { notifyGoalCompleted, hasReachedTarget } from './notificationService.js';
+import { calculateSaleCommission } from './commissionService.js';
+import { DEFAULT_TERM_MONTHS, calculateRenewalDate, recordStatusChange } from './policyService.js';
+import { userCan } from './permissionService.js';
+
+// Function to update goal progress when a sale is created
+export const updateGoalProgress = async (agentId, saleData) => {
+  try {
+    console.log(`🔄 Updating goal progress for agent ${agentId} after sale creation`);
+    console.log('Sale data:', saleData);
+    
+    // Get all active goals for this agent
+    const agentGoals = await db.select().from(goals).where(
+      and(
+        eq(goals.agentId, agentId),
+        eq(goals.isActive, true)
+      )
+    );
+
+    console.log(`Found ${agentGoals.length} active goals for agent ${agentId}`);
+    console.log('Agent goals:', agentGoals);
+
+    for (const goal of agentGoals) {
+      let shouldUpdate = false;
+      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
+
+      // Check if this goal should be updated based on the sale
+      switch (goal.metricType) {
+        case 'sales_amount':
+          // Update sales amount goal
+          shouldUpdate = true;
+          newCurrentValue = newCurrentValue + parseFloat(saleData.premiumAmount);
+          console.log(`📈 Updating sales_amount goal ${goal.id}: ${newCurrentValue - parseFloat(saleData.premiumAmount)} + ${saleData.premiumAmount} = ${newCurrentValue}`);
+          break;
+        
+        case 'commission':
+          // Update commission goal
+          shouldUpdate = true;
+          newCurrentValue = newCurrentValue + parseFloat(saleData.commissionAmount);
+          console.log(`💰 Updating commission goal ${goal.id}: ${newCurrentValue - parseFloat(saleData.commissionAmount)} + ${saleData.commissionAmount} = ${newCurrentValue}`);
+          break;
+        
+        case 'policies_sold':
+        case 'sales_count':
+          // Update policies sold goal (count) - both types work the same way
+          shouldUpdate = true;
+          newCurrentValue = newCurrentValue + 1;
+          console.log(`📋 Updating ${goal.metricType} goal ${goal.id}: ${newCurrentValue - 1} + 1 = ${newCurrentValue}`);
+          break;
+        
+        case 'client_count':
+        case 'new_clients':
+          // Check if this is a new client (you might need to add logic here)
+          // For now, we'll assume each sale represents a new client interaction
+          shouldUpdate = true;
+          newCurrentValue = newCurrentValue + 1;
+          console.log(`👥 Updating ${goal.metricType} goal ${goal.id}: ${newCurrentValue - 1} + 1 = ${newCurrentValue}`);
+          break;
+      }
+
+      // Update the goal if needed
+      if (shouldUpdate) {
+        await db.update(goals)
+          .set({
+            currentValue: newCurrentValue,
+            updatedAt: new Date()
+          })
+          .where(eq(goals.id, goal.id));
+        
+        console.log(`✅ Successfully updated goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
+
+        if (hasReachedTarget(goal, goal.currentValue, newCurrentValue)) {
+          await notifyGoalCompleted(goal);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error updating goal progress:', error);
+    // Don't fail the sale creation if goal update fails
+  }
+};
+
+// Function to handle goal progress updates when a sale is modified
+export const updateGoalProgressOnModify = async (agentId, oldSaleData, newSaleData) => {
+  try {
+    console.log(`🔄 Updating goal progress for agent ${agentId} after sale modification`);
+    
+    // Get all active goals for this agent
+    const agentGoals = await db.select().from(goals).where(
+      and(
+        eq(goals.agentId, agentId),
+        eq(goals.isActive, true)
+      )
+    );
+
+    for (const goal of agentGoals) {
+      let shouldUpdate = false;
+      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
+
+      // Calculate the difference and update accordingly
+      switch (goal.metricType) {
+        case 'sales_amount':
+          const salesDiff = parseFloat(newSaleData.premiumAmount) - parseFloat(oldSaleData.premiumAmount);
+          if (salesDiff !== 0) {
+            shouldUpdate = true;
+            newCurrentValue = newCurrentValue + salesDiff;
+            console.log(`📈 Updating sales_amount goal ${goal.id}: ${newCurrentValue - salesDiff} + ${salesDiff} = ${newCurrentValue}`);
+          }
+          break;
+        
+        case 'commission':
+          const commissionDiff = parseFloat(newSaleData.commissionAmount) - parseFloat(oldSaleData.commissionAmount);
+          if (commissionDiff !== 0) {
+            shouldUpdate = true;
+            newCurrentValue = newCurrentValue + commissionDiff;
+            console.log(`💰 Updating commission goal ${goal.id}: ${newCurrentValue - commissionDiff} + ${commissionDiff} = ${newCurrentValue}`);
+          }
+          break;
+        
+        case 'policies_sold':
+        case 'sales_count':
+          // For policies sold and sales count, we don't change the count on update
+          break;
+        
+        case 'client_count':
+        case 'new_clients':
+          // For client count and new clients, we don't change on update
+          break;
+      }
+
+      // Update the goal if needed
+      if (shouldUpdate) {
+        await db.update(goals)
+          .set({
+            currentValue: newCurrentValue,
+            updatedAt: new Date()
+          })
+          .where(eq(goals.id, goal.id));
+        
+        console.log(`✅ Successfully updated goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
+
+        if (hasReachedTarget(goal, goal.currentValue, newCurrentValue)) {
+          await notifyGoalCompleted(goal);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error updating goal progress on modify:', error);
+  }
+};
+
+// Function to handle goal progress updates when a sale is deleted
+export const updateGoalProgressOnDelete = async (agentId, saleData) => {
+  try {
+    console.log(`🔄 Updating goal progress for agent ${agentId} after sale deletion`);
+    
+    // Get all active goals for this agent
+    const agentGoals = await db.select().from(goals).where(
+      and(
+        eq(goals.agentId, agentId),
+        eq(goals.isActive, true)
+      )
+    );
+
+    for (const goal of agentGoals) {
+      let shouldUpdate = false;
+      let newCurrentValue = Number(goal.currentValue) || 0; // Convert to number, default to 0
+
+      // Reverse the sale impact on goals
+      switch (goal.metricType) {
+        case 'sales_amount':
+          shouldUpdate = true;
+          newCurrentValue = Math.max(0, newCurrentValue - parseFloat(saleData.premiumAmount));
+          console.log(`📈 Reversing sales_amount goal ${goal.id}: ${newCurrentValue + parseFloat(saleData.premiumAmount)} - ${saleData.premiumAmount} = ${newCurrentValue}`);
+          break;
+        
+        case 'commission':
+          shouldUpdate = true;
+          newCurrentValue = Math.max(0, newCurrentValue - parseFloat(saleData.commissionAmount));
+          console.log(`💰 Reversing commission goal ${goal.id}: ${newCurrentValue + parseFloat(saleData.commissionAmount)} - ${saleData.commissionAmount} = ${newCurrentValue}`);
+          break;
+        
+        case 'policies_sold':
+        case 'sales_count':
+          shouldUpdate = true;
+          newCurrentValue = Math.max(0, newCurrentValue - 1);
+          console.log(`📋 Reversing ${goal.metricType} goal ${goal.id}: ${newCurrentValue + 1} - 1 = ${newCurrentValue}`);
+          break;
+        
+        case 'client_count':
+        case 'new_clients':
+          shouldUpdate = true;
+          newCurrentValue = Math.max(0, newCurrentValue - 1);
+          console.log(`👥 Reversing ${goal.metricType} goal ${goal.id}: ${newCurrentValue + 1} - 1 = ${newCurrentValue}`);
+          break;
+      }
+
+      // Update the goal if needed (ensure it doesn't go below 0)
+      if (shouldUpdate) {
+        newCurrentValue = Math.max(0, newCurrentValue); // Don't allow negative values
+        await db.update(goals)
+          .set({
+            currentValue: newCurrentValue,
+            updatedAt: new Date()
+          })
+          .where(eq(goals.id, goal.id));
+        
+        console.log(`✅ Successfully reversed goal ${goal.id} (${goal.metricType}) from ${goal.currentValue} to ${newCurrentValue}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error updating goal progress on delete:', error);
+  }
+};
+
+// Function to work out a sale's commission from the product's commission schedule
+// Users with sales.override_commission may enter commission by hand for products without a schedule
+export const resolveCommission = async (req, { productId, premiumAmount, saleDate, commissionAmount, commissionRate, commissionType = 'first_year' }) => {
+  const scheduled = await calculateSaleCommission({ productId, premiumAmount, saleDate, commissionType });
+  if (scheduled) {
+    return scheduled;
+  }
+
+  const manualAmount = parseFloat(commissionAmount);
+  if (isNaN(manualAmount) || manualAmount <= 0 || !(await userCan(req, 'sales.override_commission'))) {
+    return null;
+  }
+
+  return {
+    commissionAmount: manualAmount,
+    commissionRate: commissionRate ? parseFloat(commissionRate) : null
+  };
+};
+
+// Insert a sale with its policy lifecycle fields and log its initial status
+// Callers are responsible for access checks, commission (see resolveCommission) and goal updates
+// Pass a transaction as tx to insert the sale as part of a larger batch
+export const createSale = async ({
+  agentId,
+  clientId,
+  productId,
+  premiumAmount,
+  commission,
+  saleDate,
+  policyNumber = null,
+  productName,
+  notes = null,
+  effectiveDate = null,
+  termMonths = null,
+  saleType = 'new_business',
+  renewedFromSaleId = null,
+  statusReason = null,
+  changedBy = agentId
+}, tx = db) => {
+  // Policies take effect on the sale date unless told otherwise
+  const policyEffectiveDate = effectiveDate || saleDate;
+  const policyTermMonths = termMonths ? parseInt(termMonths) : DEFAULT_TERM_MONTHS;
+
+  const [sale] = await tx.insert(sales).values({
+    agentId,
+    clientId,
+    productId,
+    premiumAmount: parseFloat(premiumAmount),
+    commissionAmount: commission.commissionAmount,
+    commissionRate: commission.commissionRate,
+    saleDate,
+    policyNumber,
+    status: 'active',
+    saleType,
+    effectiveDate: policyEffectiveDate,
+    termMonths: policyTermMonths,
+    renewalDate: calculateRenewalDate(policyEffectiveDate, policyTermMonths),
+    renewedFromSaleId,
+    productName,
+    notes,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  }).returning();
+
+  await recordStatusChange(sale.id, {
+    toStatus: 'active',
+    reason: statusReason,
+    effectiveDate: policyEffectiveDate,
+    changedBy
+  }, tx);
+
+  return sale;
+};
+
+export default {
+  updateGoalProgress,
+  updateGoalProgressOnModify,
+  updateGoalProgressOnDelete,
+  resolveCommission,
+  createSale
+};
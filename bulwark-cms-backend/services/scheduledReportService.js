@@ -0,0 +1,355 @@
+import { db } from '../config/database.js';
+import { scheduledReports, reportRuns, sales, clients, users, products } from '../models/schema.js';
+import { eq, and, gte, lte, desc, asc, isNull, count, sql } from 'drizzle-orm';
+import { renderExport } from './exportService.js';
+import { sendScheduledReportEmail } from './mailService.js';
+import { POLICY_STATUSES } from './policyService.js';
+import { parseCron, getNextCronRun, isValidTimeZone, zonedParts } from '../utils/cron.js';
+
+// Scheduled reports are attachments, so only the formats that open well in a mail client
+export const REPORT_FORMATS = ['xlsx', 'pdf'];
+export const MAX_RECIPIENTS = 20;
+export const DEFAULT_LEADERBOARD_LIMIT = 10;
+
+// Relative periods, worked out from the run date in the report's time zone
+export const REPORT_PERIODS = {
+  previous_day: 'Yesterday',
+  previous_week: 'Previous week (Mon-Sun)',
+  previous_month: 'Previous month',
+  last_7_days: 'Last 7 days',
+  last_30_days: 'Last 30 days',
+  month_to_date: 'Month to date',
+  quarter_to_date: 'Quarter to date',
+  year_to_date: 'Year to date'
+};
+
+// Helper to build an error carrying an API error code
+const scheduleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const SALES_COLUMNS = [
+  { header: 'Sale Date', value: sale => sale.saleDate, type: 'date', width: 12 },
+  { header: 'Policy Number', value: sale => sale.policyNumber, width: 16 },
+  { header: 'Client', value: sale => [sale.clientFirstName, sale.clientLastName].filter(Boolean).join(' '), width: 18 },
+  { header: 'Product', value: sale => sale.productName || sale.catalogProductName, width: 18 },
+  { header: 'Status', value: sale => sale.status, width: 10 },
+  { header: 'Premium', value: sale => sale.premiumAmount, type: 'currency', width: 12 },
+  { header: 'Commission', value: sale => sale.commissionAmount, type: 'currency', width: 12 },
+  { header: 'Agent', value: sale => [sale.agentFirstName, sale.agentLastName].filter(Boolean).join(' '), width: 18 }
+];
+
+const AGENT_PERFORMANCE_COLUMNS = [
+  { header: 'Agent', value: row => `${row.firstName} ${row.lastName}`, width: 20 },
+  { header: 'Email', value: row => row.email, width: 26 },
+  { header: 'Department', value: row => row.department, width: 14 },
+  { header: 'Sales', value: row => row.totalSales, type: 'number', width: 8 },
+  { header: 'Premium', value: row => row.totalRevenue, type: 'currency', width: 14 },
+  { header: 'Commission', value: row => row.totalCommission, type: 'currency', width: 14 },
+  { header: 'Average Premium', value: row => row.averagePremium, type: 'currency', width: 14 },
+  { header: 'Clients Sold To', value: row => row.clientsSoldTo, type: 'number', width: 10 },
+  { header: 'New Clients', value: row => row.newClients, type: 'number', width: 10 }
+];
+
+const LEADERBOARD_COLUMNS = [
+  { header: 'Rank', value: row => row.rank, type: 'number', width: 6 },
+  { header: 'Agent', value: row => `${row.firstName} ${row.lastName}`, width: 20 },
+  { header: 'Department', value: row => row.department, width: 14 },
+  { header: 'Sales', value: row => row.totalSales, type: 'number', width: 8 },
+  { header: 'Premium', value: row => row.totalRevenue, type: 'currency', width: 14 },
+  { header: 'Commission', value: row => row.totalCommission, type: 'currency', width: 14 }
+];
+
+// Per-agent totals for a period, highest premium first
+const agentTotalsQuery = ({ startDate, endDate, agentId }) => {
+  const premiumTotal = sql`COALESCE(SUM(${sales.premiumAmount}), 0)`;
+
+  return db.select({
+    id: users.id,
+    firstName: users.firstName,
+    lastName: users.lastName,
+    email: users.email,
+    department: users.department,
+    totalSales: count(sales.id),
+    totalRevenue: premiumTotal,
+    totalCommission: sql`COALESCE(SUM(${sales.commissionAmount}), 0)`,
+    averagePremium: sql`COALESCE(AVG(${sales.premiumAmount}), 0)`,
+    clientsSoldTo: sql`COUNT(DISTINCT ${sales.clientId})`,
+    newClients: sql`(SELECT COUNT(*) FROM ${clients} WHERE ${clients.agentId} = ${users.id} AND ${clients.createdAt}::date BETWEEN ${startDate} AND ${endDate})`
+  })
+    .from(users)
+    .leftJoin(sales, and(eq(sales.agentId, users.id), gte(sales.saleDate, startDate), lte(sales.saleDate, endDate)))
+    .where(and(eq(users.isActive, true), isNull(users.deletedAt), agentId ? eq(users.id, agentId) : undefined))
+    .groupBy(users.id)
+    .orderBy(desc(premiumTotal), asc(users.id));
+};
+
+// Report types: the filters each one accepts and how its rows are fetched in batches
+const REPORT_TYPES = {
+  sales: {
+    label: 'Sales',
+    title: 'Sales Report',
+    filters: ['period', 'agentId', 'status'],
+    columns: SALES_COLUMNS,
+    fetchBatch: ({ startDate, endDate, agentId, status }) => (offset, limit) => db.select({
+      saleDate: sales.saleDate,
+      policyNumber: sales.policyNumber,
+      status: sales.status,
+      productName: sales.productName,
+      premiumAmount: sales.premiumAmount,
+      commissionAmount: sales.commissionAmount,
+      clientFirstName: clients.firstName,
+      clientLastName: clients.lastName,
+      catalogProductName: products.name,
+      agentFirstName: users.firstName,
+      agentLastName: users.lastName
+    })
+      .from(sales)
+      .leftJoin(clients, eq(sales.clientId, clients.id))
+      .leftJoin(users, eq(sales.agentId, users.id))
+      .leftJoin(products, eq(sales.productId, products.id))
+      .where(and(
+        gte(sales.saleDate, startDate),
+        lte(sales.saleDate, endDate),
+        agentId ? eq(sales.agentId, agentId) : undefined,
+        status ? eq(sales.status, status) : undefined
+      ))
+      .orderBy(desc(sales.saleDate), desc(sales.id))
+      .limit(limit)
+      .offset(offset)
+  },
+  agent_performance: {
+    label: 'Agent performance',
+    title: 'Agent Performance',
+    filters: ['period', 'agentId'],
+    columns: AGENT_PERFORMANCE_COLUMNS,
+    fetchBatch: (filters) => (offset, limit) => agentTotalsQuery(filters).limit(limit).offset(offset)
+  },
+  leaderboard: {
+    label: 'Team leaderboard',
+    title: 'Team Leaderboard',
+    filters: ['period', 'limit'],
+    columns: LEADERBOARD_COLUMNS,
+    // Only the top `limit` agents are included
+    fetchBatch: ({ limit: top, ...filters }) => async (offset, limit) => {
+      if (offset >= top) {
+        return [];
+      }
+      const rows = await agentTotalsQuery(filters).limit(Math.min(limit, top - offset)).offset(offset);
+      return rows.map((row, index) => ({ ...row, rank: offset + index + 1 }));
+    }
+  }
+};
+
+export const REPORT_TYPE_KEYS = Object.keys(REPORT_TYPES);
+
+// Report types, periods and formats for the scheduled report form
+export const getReportOptions = () => ({
+  reportTypes: Object.entries(REPORT_TYPES).map(([value, type]) => ({ value, label: type.label, filters: type.filters })),
+  periods: Object.entries(REPORT_PERIODS).map(([value, label]) => ({ value, label })),
+  formats: REPORT_FORMATS,
+  saleStatuses: POLICY_STATUSES
+});
+
+// Keep only the filters the report type uses, with defaults filled in
+export const normaliseFilters = (reportType, filters = {}) => {
+  const allowed = REPORT_TYPES[reportType].filters;
+  const normalised = { period: REPORT_PERIODS[filters.period] ? filters.period : 'previous_week' };
+
+  if (allowed.includes('agentId')) {
+    normalised.agentId = filters.agentId ? parseInt(filters.agentId) : null;
+  }
+  if (allowed.includes('status')) {
+    normalised.status = POLICY_STATUSES.includes(filters.status) ? filters.status : null;
+  }
+  if (allowed.includes('limit')) {
+    normalised.limit = parseInt(filters.limit) || DEFAULT_LEADERBOARD_LIMIT;
+  }
+
+  return normalised;
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Date range for a relative period as of `now` in the time zone; returns { startDate, endDate } as YYYY-MM-DD
+export const resolvePeriod = (period, timeZone = 'UTC', now = new Date()) => {
+  const { year, month, day, weekday } = zonedParts(now, timeZone);
+  const date = (y, m, d) => toDateString(new Date(Date.UTC(y, m - 1, d)));
+  const today = date(year, month, day);
+
+  switch (period) {
+    case 'previous_day':
+      return { startDate: date(year, month, day - 1), endDate: date(year, month, day - 1) };
+    case 'previous_week': {
+      // Weeks start on Monday
+      const sinceMonday = (weekday + 6) % 7;
+      return { startDate: date(year, month, day - sinceMonday - 7), endDate: date(year, month, day - sinceMonday - 1) };
+    }
+    case 'previous_month':
+      return { startDate: date(year, month - 1, 1), endDate: date(year, month, 0) };
+    case 'last_30_days':
+      return { startDate: date(year, month, day - 29), endDate: today };
+    case 'month_to_date':
+      return { startDate: date(year, month, 1), endDate: today };
+    case 'quarter_to_date':
+      return { startDate: date(year, Math.floor((month - 1) / 3) * 3 + 1, 1), endDate: today };
+    case 'year_to_date':
+      return { startDate: date(year, 1, 1), endDate: today };
+    case 'last_7_days':
+    default:
+      return { startDate: date(year, month, day - 6), endDate: today };
+  }
+};
+
+// Check a schedule and time zone and return the first run after `after`
+export const getNextRunAt = ({ schedule, timeZone }, after = new Date()) => {
+  if (!isValidTimeZone(timeZone)) {
+    throw scheduleError(`"${timeZone}" is not a known time zone`, 'INVALID_TIMEZONE');
+  }
+  parseCron(schedule);
+
+  const nextRunAt = getNextCronRun(schedule, after, timeZone);
+  if (!nextRunAt) {
+    throw scheduleError('This schedule never runs', 'INVALID_SCHEDULE');
+  }
+  return nextRunAt;
+};
+
+// Render a report for the period it covers as of `now`; returns the attachment and what went into it
+export const generateReport = async (report, now = new Date()) => {
+  const type = REPORT_TYPES[report.reportType];
+  if (!type) {
+    throw scheduleError(`Unknown report type "${report.reportType}"`, 'INVALID_REPORT_TYPE');
+  }
+
+  const filters = normaliseFilters(report.reportType, report.filters);
+  const { startDate, endDate } = resolvePeriod(filters.period, report.timeZone, now);
+
+  let agentName = null;
+  if (filters.agentId) {
+    const [agent] = await db.select({ firstName: users.firstName, lastName: users.lastName })
+      .from(users)
+      .where(eq(users.id, filters.agentId))
+      .limit(1);
+    agentName = agent ? `${agent.firstName} ${agent.lastName}` : `#${filters.agentId}`;
+  }
+
+  const { content, contentType, rowCount } = await renderExport({
+    format: report.format,
+    title: report.name,
+    filters: {
+      Report: type.title,
+      Period: `${startDate} to ${endDate}`,
+      Agent: agentName,
+      Status: filters.status,
+      Top: filters.limit
+    },
+    columns: type.columns,
+    fetchBatch: type.fetchBatch({ ...filters, startDate, endDate })
+  });
+
+  const slug = report.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+
+  return {
+    startDate,
+    endDate,
+    rowCount,
+    attachment: { filename: `${slug}-${endDate}.${report.format}`, content, contentType }
+  };
+};
+
+// Generate and email a report, recording the attempt in the run history; failures are recorded, not thrown
+export const runScheduledReport = async (report, { trigger = 'schedule', triggeredBy = null, now = new Date() } = {}) => {
+  const [run] = await db.insert(reportRuns).values({
+    scheduledReportId: report.id,
+    trigger,
+    status: 'running',
+    triggeredBy,
+    recipients: report.recipients,
+    startedAt: now
+  }).returning();
+
+  let outcome;
+  try {
+    const { startDate, endDate, rowCount, attachment } = await generateReport(report, now);
+
+    await sendScheduledReportEmail({
+      to: report.recipients,
+      reportName: report.name,
+      periodLabel: startDate === endDate ? startDate : `${startDate} to ${endDate}`,
+      rowCount,
+      attachment
+    });
+
+    outcome = { status: 'sent', periodStart: startDate, periodEnd: endDate, fileName: attachment.filename, rowCount };
+  } catch (error) {
+    console.error(`❌ Error sending scheduled report ${report.id}:`, error);
+    outcome = { status: 'failed', error: error.message };
+  }
+
+  const [completedRun] = await db.update(reportRuns)
+    .set({ ...outcome, completedAt: new Date() })
+    .where(eq(reportRuns.id, run.id))
+    .returning();
+
+  await db.update(scheduledReports)
+    .set({ lastRunAt: now, lastRunStatus: outcome.status })
+    .where(eq(scheduledReports.id, report.id));
+
+  return completedRun;
+};
+
+// Send every active report whose next run has come due.
+// Each report is claimed by moving its next run forward first, so two servers never send the same run.
+export const runDueScheduledReports = async (now = new Date()) => {
+  const dueReports = await db.select()
+    .from(scheduledReports)
+    .where(and(eq(scheduledReports.isActive, true), lte(scheduledReports.nextRunAt, now)));
+
+  let sent = 0;
+  let failed = 0;
+  for (const report of dueReports) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = getNextRunAt(report, now);
+    } catch (error) {
+      console.error(`❌ Scheduled report ${report.id} has an invalid schedule:`, error.message);
+    }
+
+    // Reports whose schedule can no longer run are switched off
+    const claimed = await db.update(scheduledReports)
+      .set({ nextRunAt, isActive: nextRunAt !== null, updatedAt: new Date() })
+      .where(and(eq(scheduledReports.id, report.id), eq(scheduledReports.nextRunAt, report.nextRunAt)))
+      .returning();
+
+    if (claimed.length === 0 || !nextRunAt) {
+      continue;
+    }
+
+    const run = await runScheduledReport(report, { trigger: 'schedule', now });
+    if (run.status === 'sent') {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { checked: dueReports.length, sent, failed };
+};
+
+export default {
+  REPORT_FORMATS,
+  REPORT_PERIODS,
+  REPORT_TYPE_KEYS,
+  MAX_RECIPIENTS,
+  DEFAULT_LEADERBOARD_LIMIT,
+  getReportOptions,
+  normaliseFilters,
+  resolvePeriod,
+  getNextRunAt,
+  generateReport,
+  runScheduledReport,
+  runDueScheduledReports
+};
@@ -0,0 +1,171 @@
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../config/database.js';
+import { userSessions, refreshTokens } from '../models/schema.js';
+import { generateToken, generateRefreshToken, verifyRefreshToken, decodeToken } from '../config/auth.js';
+import { eq, and, isNull, ne } from 'drizzle-orm';
+
+// Helper to build an error carrying an API error code
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Function to issue and persist a new refresh token for a session
+const issueRefreshToken = async (session, user) => {
+  const jti = uuidv4();
+  const token = generateRefreshToken({ id: user.id, sid: session.id, jti });
+  const expiresAt = new Date(decodeToken(token).exp * 1000);
+
+  await db.insert(refreshTokens).values({
+    sessionId: session.id,
+    userId: user.id,
+    jti,
+    expiresAt,
+    createdAt: new Date()
+  });
+
+  await db.update(userSessions)
+    .set({ expiresAt, lastUsedAt: new Date() })
+    .where(eq(userSessions.id, session.id));
+
+  return token;
+};
+
+// Function to sign an access token bound to a session
+const issueAccessToken = (session, user) => generateToken({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  sid: session.id
+});
+
+// Start a new session for a user and return its first token pair
+export const createSession = async (user, req) => {
+  const [session] = await db.insert(userSessions).values({
+    userId: user.id,
+    userAgent: req?.get?.('user-agent')?.substring(0, 500) || null,
+    ipAddress: req?.ip || null,
+    // Replaced with the refresh token expiry as soon as it is issued
+    expiresAt: new Date(),
+    createdAt: new Date()
+  }).returning();
+
+  const refreshToken = await issueRefreshToken(session, user);
+
+  return {
+    sessionId: session.id,
+    accessToken: issueAccessToken(session, user),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair; presenting a used token revokes the whole session
+export const rotateRefreshToken = async (token, loadUser) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token);
+  } catch (error) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const stored = await db.select()
+    .from(refreshTokens)
+    .where(eq(refreshTokens.jti, decoded.jti || ''))
+    .limit(1);
+
+  if (stored.length === 0 || stored[0].sessionId !== decoded.sid) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const record = stored[0];
+
+  const session = await db.select()
+    .from(userSessions)
+    .where(eq(userSessions.id, record.sessionId))
+    .limit(1);
+
+  if (session.length === 0 || session[0].revokedAt) {
+    throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+  }
+
+  // Mark the token used atomically so two concurrent refreshes cannot both succeed
+  const claimed = await db.update(refreshTokens)
+    .set({ usedAt: new Date() })
+    .where(and(eq(refreshTokens.id, record.id), isNull(refreshTokens.usedAt)))
+    .returning({ id: refreshTokens.id });
+
+  if (claimed.length === 0) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${record.sessionId}, revoking session`);
+    await revokeSession(record.sessionId, 'token_reuse');
+    throw sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const user = await loadUser(record.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(record.sessionId, 'user_deactivated');
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const refreshToken = await issueRefreshToken(session[0], user);
+
+  return {
+    sessionId: session[0].id,
+    accessToken: issueAccessToken(session[0], user),
+    refreshToken,
+    user
+  };
+};
+
+// Returns true if the session exists and has not been revoked or expired
+export const isSessionActive = async (sessionId) => {
+  const session = await db.select({
+    revokedAt: userSessions.revokedAt,
+    expiresAt: userSessions.expiresAt
+  })
+  .from(userSessions)
+  .where(eq(userSessions.id, sessionId))
+  .limit(1);
+
+  if (session.length === 0 || session[0].revokedAt) {
+    return false;
+  }
+
+  return new Date(session[0].expiresAt) > new Date();
+};
+
+// Revoke a single session
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const revoked = await db.update(userSessions)
+    .set({ revokedAt: new Date(), revokedReason: reason })
+    .where(and(eq(userSessions.id, sessionId), isNull(userSessions.revokedAt)))
+    .returning({ id: userSessions.id });
+
+  return revoked.length;
+};
+
+// Revoke every session of a user, optionally keeping the current one
+export const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const conditions = [
+    eq(userSessions.userId, userId),
+    isNull(userSessions.revokedAt)
+  ];
+  if (exceptSessionId) {
+    conditions.push(ne(userSessions.id, exceptSessionId));
+  }
+
+  const revoked = await db.update(userSessions)
+    .set({ revokedAt: new Date(), revokedReason: reason })
+    .where(and(...conditions))
+    .returning({ id: userSessions.id });
+
+  return revoked.length;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,195 @@
+import { db } from '../config/database.js';
+import { teams, teamMembers, users } from '../models/schema.js';
+import { eq, and, asc, isNull, count, sql } from 'drizzle-orm';
+import { hasPermission } from './permissionService.js';
+
+export const TEAM_MEMBER_ROLES = ['member', 'lead', 'specialist'];
+
+const teamError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Teams with their manager and number of active members, active teams first
+export const getTeams = async ({ includeArchived = false } = {}) => {
+  return db.select({
+    id: teams.id,
+    name: teams.name,
+    description: teams.description,
+    managerId: teams.managerId,
+    managerFirstName: users.firstName,
+    managerLastName: users.lastName,
+    isActive: teams.isActive,
+    createdAt: teams.createdAt,
+    updatedAt: teams.updatedAt,
+    memberCount: sql`(SELECT COUNT(*) FROM ${teamMembers} WHERE ${teamMembers.teamId} = ${teams.id} AND ${teamMembers.isActive} = true)`.mapWith(Number)
+  })
+    .from(teams)
+    .leftJoin(users, eq(teams.managerId, users.id))
+    .where(includeArchived ? undefined : eq(teams.isActive, true))
+    .orderBy(sql`${teams.isActive} DESC`, asc(teams.name));
+};
+
+export const getTeamById = async (teamId) => {
+  const [team] = await db.select().from(teams).where(eq(teams.id, teamId)).limit(1);
+  return team || null;
+};
+
+// Case-insensitive name check, so two active teams can't share a name
+export const findTeamByName = async (name) => {
+  const [team] = await db.select()
+    .from(teams)
+    .where(and(sql`LOWER(${teams.name}) = LOWER(${name.trim()})`, eq(teams.isActive, true)))
+    .limit(1);
+  return team || null;
+};
+
+// Current members of a team with their user details, leads first
+export const getTeamMembers = async (teamId) => {
+  return db.select({
+    id: teamMembers.id,
+    userId: users.id,
+    firstName: users.firstName,
+    lastName: users.lastName,
+    email: users.email,
+    userRole: users.role,
+    isUserActive: users.isActive,
+    role: teamMembers.role,
+    joinedAt: teamMembers.joinedAt
+  })
+    .from(teamMembers)
+    .innerJoin(users, eq(teamMembers.userId, users.id))
+    .where(and(eq(teamMembers.teamId, teamId), eq(teamMembers.isActive, true), isNull(users.deletedAt)))
+    .orderBy(sql`CASE ${teamMembers.role} WHEN 'lead' THEN 0 WHEN 'specialist' THEN 1 ELSE 2 END`, asc(users.firstName));
+};
+
+// Ids of the team's active, non-deleted members, used to scope team statistics
+export const getTeamMemberIds = async (teamId) => {
+  const members = await db.select({ userId: teamMembers.userId })
+    .from(teamMembers)
+    .innerJoin(users, eq(teamMembers.userId, users.id))
+    .where(and(
+      eq(teamMembers.teamId, teamId),
+      eq(teamMembers.isActive, true),
+      eq(users.isActive, true),
+      isNull(users.deletedAt)
+    ));
+  return members.map(member => member.userId);
+};
+
+const getMembership = async (teamId, userId) => {
+  const [membership] = await db.select()
+    .from(teamMembers)
+    .where(and(eq(teamMembers.teamId, teamId), eq(teamMembers.userId, userId)))
+    .limit(1);
+  return membership || null;
+};
+
+// Users with team.manage can see any team; others only a team they manage or lead
+export const canViewTeam = async (user, team) => {
+  if (team.managerId === user.id || await hasPermission(user, 'team.manage')) {
+    return true;
+  }
+  const membership = await getMembership(team.id, user.id);
+  return !!membership && membership.isActive && membership.role === 'lead';
+};
+
+// Add a user to a team. Someone who left the team earlier gets their old membership back with the new role.
+export const addTeamMember = async (team, userId, role = 'member') => {
+  if (!team.isActive) {
+    throw teamError('Archived teams cannot be changed', 'TEAM_ARCHIVED');
+  }
+
+  const existing = await getMembership(team.id, userId);
+  if (existing?.isActive) {
+    throw teamError('This user is already on the team', 'ALREADY_MEMBER');
+  }
+
+  if (existing) {
+    const [membership] = await db.update(teamMembers)
+      .set({ role, isActive: true, joinedAt: new Date() })
+      .where(eq(teamMembers.id, existing.id))
+      .returning();
+    return membership;
+  }
+
+  const [membership] = await db.insert(teamMembers).values({
+    teamId: team.id,
+    userId,
+    role,
+    joinedAt: new Date(),
+    isActive: true
+  }).returning();
+  return membership;
+};
+
+export const setTeamMemberRole = async (team, userId, role) => {
+  if (!team.isActive) {
+    throw teamError('Archived teams cannot be changed', 'TEAM_ARCHIVED');
+  }
+
+  const existing = await getMembership(team.id, userId);
+  if (!existing?.isActive) {
+    throw teamError('This user is not on the team', 'NOT_A_MEMBER');
+  }
+
+  const [membership] = await db.update(teamMembers)
+    .set({ role })
+    .where(eq(teamMembers.id, existing.id))
+    .returning();
+  return { before: existing, membership };
+};
+
+// Memberships are deactivated rather than deleted, so the row can be restored if the user rejoins
+export const removeTeamMember = async (team, userId) => {
+  if (!team.isActive) {
+    throw teamError('Archived teams cannot be changed', 'TEAM_ARCHIVED');
+  }
+
+  const existing = await getMembership(team.id, userId);
+  if (!existing?.isActive) {
+    throw teamError('This user is not on the team', 'NOT_A_MEMBER');
+  }
+
+  const [membership] = await db.update(teamMembers)
+    .set({ isActive: false })
+    .where(eq(teamMembers.id, existing.id))
+    .returning();
+  return { before: existing, membership };
+};
+
+// Head count of a team's active members by team role
+export const getTeamRoleCounts = async (teamId) => {
+  const rows = await db.select({ role: teamMembers.role, count: count() })
+    .from(teamMembers)
+    .innerJoin(users, eq(teamMembers.userId, users.id))
+    .where(and(
+      eq(teamMembers.teamId, teamId),
+      eq(teamMembers.isActive, true),
+      eq(users.isActive, true),
+      isNull(users.deletedAt)
+    ))
+    .groupBy(teamMembers.role);
+
+  const counts = Object.fromEntries(TEAM_MEMBER_ROLES.map(role => [role, 0]));
+  for (const row of rows) {
+    const role = TEAM_MEMBER_ROLES.includes(row.role) ? row.role : 'member';
+    counts[role] += Number(row.count);
+  }
+  return counts;
+};
+
+export default {
+  TEAM_MEMBER_ROLES,
+  getTeams,
+  getTeamById,
+  findTeamByName,
+  getTeamMembers,
+  getTeamMemberIds,
+  canViewTeam,
+  addTeamMember,
+  setTeamMemberRole,
+  removeTeamMember,
+  getTeamRoleCounts
+};
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+
+// TOTP parameters (RFC 6238 defaults, supported by all common authenticator apps)
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side to tolerate clock drift
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'Bulwark CMS';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Function to encode bytes as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Function to decode an RFC 4648 base32 string
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Function to compute the HOTP value for a counter (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Generate a new random TOTP secret (160 bits, base32 encoded)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Generate the current TOTP code for a secret
+export const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, Math.floor(time / 1000 / TOTP_STEP_SECONDS));
+};
+
+// Find the time step a TOTP code was generated for, allowing for small clock drift; returns null if it does not match.
+// Callers must accept each step at most once per user so a code cannot be replayed within its window.
+export const findTotpStep = (secret, code, time = Date.now()) => {
+  if (!secret || !code) {
+    return null;
+  }
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = generateHotp(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+// Verify a TOTP code against a secret, allowing for small clock drift
+export const verifyTotp = (secret, code, time = Date.now()) => findTotpStep(secret, code, time) !== null;
+
+// Build the otpauth:// URI that authenticator apps scan as a QR code
+export const buildOtpauthUrl = (accountName, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes are stored hashed, like passwords
+export const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+};
+
+// Generate a fresh set of single-use recovery codes; returns plain codes for the user and hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+export default {
+  generateSecret,
+  generateTotp,
+  findTotpStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { auditEvents } from '../models/schema.js';
+import { diffRecords, recordAuditEvent } from '../services/auditService.js';
+
+// Captures what recordAuditEvent would insert
+const captureInsert = (t) => {
+  const inserted = [];
+  t.mock.method(db, 'insert', (table) => ({
+    values: (values) => ({
+      returning: async () => {
+        inserted.push({ table, values });
+        return [{ id: inserted.length, ...values }];
+      }
+    })
+  }));
+  return inserted;
+};
+
+const req = { user: { id: 9 }, ip: '203.0.113.7', get: (header) => (header === 'user-agent' ? 'node-test' : undefined) };
+
+test('diffs list changed fields and skip bookkeeping ones', () => {
+  const before = { id: 1, firstName: 'Sam', phone: null, tags: ['a'], updatedAt: '2026-01-01' };
+  const after = { id: 1, firstName: 'Samira', tags: ['a', 'b'], city: 'Leeds', updatedAt: '2026-02-01' };
+
+  assert.deepEqual(diffRecords(before, after), {
+    firstName: { from: 'Sam', to: 'Samira' },
+    tags: { from: ['a'], to: ['a', 'b'] },
+    city: { from: null, to: 'Leeds' }
+  });
+  assert.deepEqual(diffRecords(null, { id: 2, name: 'New' }), { id: { from: null, to: 2 }, name: { from: null, to: 'New' } });
+});
+
+test('credentials and two-factor state never reach the audit log', async (t) => {
+  const inserted = captureInsert(t);
+  const before = {
+    id: 4,
+    email: 'agent@example.com',
+    passwordHash: '$2a$12$old',
+    twoFactorSecret: 'GEZDGNBVGY3TQOJQ',
+    twoFactorRecoveryCodes: ['hash-1'],
+    twoFactorLastStep: 58000000,
+    twoFactorEnabled: true
+  };
+  const after = { ...before, passwordHash: '$2a$12$new', twoFactorLastStep: 58000001, twoFactorEnabled: false };
+
+  await recordAuditEvent(req, { action: 'update', entityType: 'user', before, after });
+
+  const [{ table, values }] = inserted;
+  assert.equal(table, auditEvents);
+  assert.deepEqual(values.changes, { twoFactorEnabled: { from: true, to: false } });
+  for (const snapshot of [values.before, values.after]) {
+    for (const field of ['passwordHash', 'twoFactorSecret', 'twoFactorRecoveryCodes', 'twoFactorLastStep']) {
+      assert.equal(field in snapshot, false, `${field} was recorded`);
+    }
+  }
+  assert.equal(values.entityId, 4);
+  assert.equal(values.actorId, 9);
+  assert.equal(values.ipAddress, '203.0.113.7');
+  assert.equal(values.userAgent, 'node-test');
+});
+
+test('updates that only touch redacted or bookkeeping fields are not recorded', async (t) => {
+  const inserted = captureInsert(t);
+  const before = { id: 4, twoFactorLastStep: 1, updatedAt: new Date('2026-01-01T00:00:00Z') };
+  const after = { id: 4, twoFactorLastStep: 2, updatedAt: new Date('2026-01-02T00:00:00Z') };
+
+  assert.equal(await recordAuditEvent(req, { action: 'update', entityType: 'user', before, after }), null);
+  assert.equal(inserted.length, 0);
+});
+
+test('creates and deletes keep a full snapshot on one side', async (t) => {
+  const inserted = captureInsert(t);
+  await recordAuditEvent(req, { action: 'create', entityType: 'client', after: { id: 12, firstName: 'Ada' } });
+  await recordAuditEvent(null, { action: 'delete', entityType: 'client', before: { id: 12, firstName: 'Ada' } });
+
+  assert.deepEqual(inserted.map(({ values }) => [values.action, values.before, values.after, values.entityId, values.actorId]), [
+    ['create', null, { id: 12, firstName: 'Ada' }, 12, 9],
+    ['delete', { id: 12, firstName: 'Ada' }, null, 12, null]
+  ]);
+});
+
+test('a failed audit write does not throw', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(db, 'insert', () => {
+    throw new Error('connection refused');
+  });
+
+  assert.equal(await recordAuditEvent(req, { action: 'create', entityType: 'client', after: { id: 1 } }), null);
+});
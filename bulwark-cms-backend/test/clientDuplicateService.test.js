@@ -0,0 +1,77 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { findDuplicatePairs, mergeClientDetails, mergeClients, normalisePhone, scoreClientMatch } from '../services/clientDuplicateService.js';
+
+const person = (id, details = {}) => ({ id, firstName: 'Jon', lastName: 'Smith', email: null, phone: null, dateOfBirth: null, ...details });
+
+test('phone numbers compare on their last ten digits', () => {
+  assert.equal(normalisePhone('+1 (555) 010-2030'), '5550102030');
+  assert.equal(normalisePhone('555-010-2030'), '5550102030');
+  assert.equal(normalisePhone('12345'), null);
+});
+
+test('matches are scored on email, phone and name with date of birth', () => {
+  assert.deepEqual(scoreClientMatch(person(1, { email: 'Jon@Example.com ' }), person(2, { email: 'jon@example.com' })), { score: 0.85, reasons: ['email', 'name'] });
+
+  // Small spelling differences still match, and a shared birthday makes the name match stronger
+  const birthday = { dateOfBirth: '1980-04-02' };
+  assert.deepEqual(scoreClientMatch(person(1, birthday), person(2, { ...birthday, firstName: 'John', dateOfBirth: new Date('1980-04-02T00:00:00Z') })), { score: 0.5, reasons: ['name_dob'] });
+
+  // A different date of birth rules the name out, and the total is capped at 1
+  assert.deepEqual(scoreClientMatch(person(1, birthday), person(2, { dateOfBirth: '1990-01-01' })), { score: 0, reasons: [] });
+  const everything = { email: 'a@b.co', phone: '5550102030', ...birthday };
+  assert.deepEqual(scoreClientMatch(person(1, everything), person(2, everything)), { score: 1, reasons: ['email', 'phone', 'name_dob'] });
+
+  assert.deepEqual(scoreClientMatch(person(1), person(2, { firstName: 'Maria', lastName: 'Garcia' })), { score: 0, reasons: [] });
+});
+
+test('duplicate pairs are listed once, best match and oldest record first, leaving out dismissed pairs', async (t) => {
+  const everyone = [
+    person(4, { email: 'jon@example.com' }),
+    person(1, { email: 'jon@example.com', phone: '555 010 2030' }),
+    person(2, { firstName: 'Maria', phone: '(555) 010-2030' }),
+    person(3, { firstName: 'Jonn', phone: '+1 555 010 2030' }),
+    person(5, { firstName: 'Ann', lastName: 'Lee' })
+  ];
+  const withDismissals = (dismissals) => {
+    let selects = 0;
+    t.mock.method(db, 'select', () => {
+      selects++;
+      const rows = selects === 1 ? everyone : dismissals;
+      return { from: () => Object.assign(Promise.resolve(rows), { leftJoin: async () => rows }) };
+    });
+  };
+
+  withDismissals([]);
+  const pairs = await findDuplicatePairs();
+  assert.deepEqual(pairs.map(pair => [pair.client.id, pair.duplicate.id, pair.score]), [[1, 4, 0.85], [1, 3, 0.65]]);
+  assert.deepEqual(pairs[1].reasons, ['phone', 'name']);
+
+  // Dismissals match the pair whichever way round they were stored
+  withDismissals([{ clientId: 4, otherClientId: 1 }]);
+  assert.deepEqual((await findDuplicatePairs()).map(pair => [pair.client.id, pair.duplicate.id]), [[1, 3]]);
+});
+
+test('merging keeps the survivor\'s details and fills the gaps from the duplicate', () => {
+  const survivor = { email: 'keep@example.com', phone: null, dateOfBirth: null, employer: 'Acme', status: 'prospect', notes: 'Met at fair' };
+  const duplicate = { email: 'other@example.com', phone: '555-0100', dateOfBirth: '1980-04-02', employer: 'Globex', status: 'client', notes: 'Has a term policy' };
+
+  assert.deepEqual(mergeClientDetails(survivor, duplicate), {
+    email: 'keep@example.com',
+    phone: '555-0100',
+    dateOfBirth: '1980-04-02',
+    employer: 'Acme',
+    status: 'client',
+    notes: 'Met at fair\n\nHas a term policy'
+  });
+
+  const blank = { email: null, phone: null, dateOfBirth: null, employer: null, status: 'prospect', notes: null };
+  assert.equal(mergeClientDetails(blank, { ...blank, notes: '' }).notes, null);
+  assert.equal(mergeClientDetails(blank, blank).status, 'prospect');
+});
+
+test('a client cannot be merged into itself', async () => {
+  await assert.rejects(mergeClients(7, 7), { code: 'INVALID_MERGE' });
+});
@@ -0,0 +1,97 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { auditEvents, clientNotes, policyStatusHistory } from '../models/schema.js';
+import { getClientTimeline } from '../services/clientTimelineService.js';
+
+const select = db.select.bind(db);
+
+// Serves each table's rows (already newest first) to the source that reads it, honouring its limit;
+// count queries get the table's row count. The conditions used on the audit log are kept for inspection.
+const fakeSources = (t, rowsByTable) => {
+  const auditConditions = [];
+  t.mock.method(db, 'select', (fields) => ({
+    from: (table) => {
+      const rows = rowsByTable.get(table) || [];
+      let limit = rows.length;
+      const query = {
+        leftJoin: () => query,
+        innerJoin: () => query,
+        where: (condition) => {
+          if (table === auditEvents && !('count' in fields)) {
+            auditConditions.push(condition);
+          }
+          return query;
+        },
+        orderBy: () => query,
+        limit: (take) => {
+          limit = take;
+          return query;
+        },
+        then: (resolve, reject) => Promise.resolve('count' in fields ? [{ count: rows.length }] : rows.slice(0, limit)).then(resolve, reject)
+      };
+      return query;
+    }
+  }));
+  return auditConditions;
+};
+
+const at = (hour) => new Date(`2026-10-19T${String(hour).padStart(2, '0')}:00:00Z`);
+
+const history = new Map([
+  [clientNotes, [
+    { id: 2, note: 'Wants a quote for her daughter', noteType: 'follow_up', createdAt: at(12), actorId: 3, actorFirstName: 'Sam', actorLastName: 'Lee' },
+    { id: 1, note: 'First call', noteType: 'general', createdAt: at(10), actorId: null }
+  ]],
+  [policyStatusHistory, [
+    { id: 1, saleId: 8, fromStatus: 'active', toStatus: 'lapsed', reason: 'Missed payment', createdAt: at(11), policyNumber: 'TL-1', productName: 'Term Life' }
+  ]],
+  [auditEvents, [
+    { id: 1, action: 'update', changes: { status: { from: 'prospect', to: 'client' } }, createdAt: at(13) },
+    { id: 3, action: 'update', changes: { phone: { from: null, to: '555-0100' }, dateOfBirth: { from: null, to: '1980-04-02' } }, createdAt: at(11) },
+    { id: 2, action: 'create', changes: null, createdAt: at(9) }
+  ]]
+]);
+
+test('the timeline merges every source newest first and pages across them', async (t) => {
+  fakeSources(t, history);
+  const types = ['note', 'status', 'change'];
+
+  const first = await getClientTimeline(5, { types, page: 1, limit: 3 });
+  assert.deepEqual(first.events.map(event => event.id), ['audit-1', 'note-2', 'policy-status-1']);
+  assert.deepEqual(first.pagination, { page: 1, limit: 3, total: 6, pages: 2 });
+
+  const second = await getClientTimeline(5, { types, page: 2, limit: 3 });
+  assert.deepEqual(second.events.map(event => event.id), ['audit-3', 'note-1', 'audit-2']);
+});
+
+test('events are described for display', async (t) => {
+  fakeSources(t, history);
+  const { events } = await getClientTimeline(5, { types: ['note', 'status', 'change'] });
+  const byId = new Map(events.map(event => [event.id, event]));
+
+  assert.equal(byId.get('audit-1').type, 'status');
+  assert.equal(byId.get('audit-1').title, 'Status changed from prospect to client');
+  assert.equal(byId.get('audit-3').type, 'change');
+  assert.equal(byId.get('audit-3').description, 'Changed phone, date of birth');
+  assert.equal(byId.get('audit-2').title, 'Client created');
+  assert.equal(byId.get('policy-status-1').title, 'Policy TL-1 active → lapsed');
+  assert.equal(byId.get('note-2').title, 'Follow-up note');
+  assert.deepEqual(byId.get('note-2').actor, { id: 3, firstName: 'Sam', lastName: 'Lee' });
+  assert.equal(byId.get('note-1').actor, null);
+});
+
+test('type filters skip sources and split client edits into status changes and other changes', async (t) => {
+  const auditConditions = fakeSources(t, history);
+
+  const notesOnly = await getClientTimeline(5, { types: ['note'] });
+  assert.deepEqual(notesOnly.events.map(event => event.type), ['note', 'note']);
+  assert.equal(auditConditions.length, 0);
+
+  await getClientTimeline(5, { types: ['status'] });
+  await getClientTimeline(5, { types: ['change'] });
+  const [statusOnly, changesOnly] = auditConditions.map(condition => select().from(auditEvents).where(condition).toSQL().sql);
+  assert.match(statusOnly, /and \("audit_events"\."action" = \$\d+ and \("audit_events"\."changes"->'status'\) IS NOT NULL\)\)$/);
+  assert.match(changesOnly, /and not \("audit_events"\."action" = \$\d+ and \("audit_events"\."changes"->'status'\) IS NOT NULL\)\)$/);
+});
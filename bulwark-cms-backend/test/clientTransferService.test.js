@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { clients, reminderSeries, reminders, sales } from '../models/schema.js';
+import { assignReceivingAgents, commitClientTransfer } from '../services/clientTransferService.js';
+
+test('round robin deals clients out across the receiving agents in turn', () => {
+  const assigned = assignReceivingAgents([11, 12, 13, 14, 15], { mode: 'round_robin', targetIds: [7, 8] });
+  assert.deepEqual([...assigned], [[11, 7], [12, 8], [13, 7], [14, 8], [15, 7]]);
+});
+
+test('round robin to a single agent moves every client to them', () => {
+  const assigned = assignReceivingAgents([3, 1, 2], { targetIds: [9] });
+  assert.deepEqual([...assigned.values()], [9, 9, 9]);
+});
+
+test('manual mode uses the agent chosen for each client', () => {
+  const manualTargets = new Map([[11, 8], [12, 7], [13, 8]]);
+  const assigned = assignReceivingAgents([11, 12, 13], { mode: 'manual', targetIds: [8, 7], manualTargets });
+  assert.deepEqual([...assigned], [[11, 8], [12, 7], [13, 8]]);
+});
+
+// Stands in for the database: every update inside the transaction is recorded and returns no rows
+const fakeDatabase = () => {
+  const updates = [];
+  const tx = {
+    update: (table) => ({
+      set: (values) => ({
+        where: (condition) => {
+          updates.push({ table, values, condition });
+          return { returning: async () => [] };
+        }
+      })
+    })
+  };
+  return { updates, transaction: (work) => work(tx) };
+};
+
+const plan = (includeRenewals) => ({
+  fromAgent: { id: 3, name: 'Leaving Agent' },
+  includeRenewals,
+  renewalsFrom: '2026-10-19',
+  assignments: [{ clientId: 11, toAgentId: 7 }, { clientId: 12, toAgentId: 8 }]
+});
+
+test('moving renewals hands over servicing and leaves the sale credited to the seller', async () => {
+  const database = fakeDatabase();
+  await commitClientTransfer(plan(true), database);
+
+  const saleUpdates = database.updates.filter(update => update.table === sales);
+  assert.deepEqual(saleUpdates.map(update => update.values.servicingAgentId), [7, 8]);
+  for (const update of saleUpdates) {
+    assert.equal(update.values.agentId, undefined);
+  }
+
+  // Only policies the leaving agent services, whether they sold them or had them handed over
+  const query = db.select({ id: sales.id }).from(sales).where(saleUpdates[0].condition).toSQL();
+  assert.match(query.sql, /"sales"\."servicing_agent_id" = \$\d+ or \("sales"\."servicing_agent_id" is null and "sales"\."agent_id" = \$\d+\)/);
+  assert.ok(query.params.includes('2026-10-19'));
+});
+
+test('without renewals no sale is touched', async () => {
+  const database = fakeDatabase();
+  await commitClientTransfer(plan(false), database);
+
+  assert.deepEqual(database.updates.map(update => update.table), [clients, reminders, reminderSeries, clients, reminders, reminderSeries]);
+});
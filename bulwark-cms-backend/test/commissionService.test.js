@@ -0,0 +1,53 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCommission, pickApplicableRate, rateAppliesOn, ratePeriodsOverlap } from '../services/commissionService.js';
+
+const rate = (id, effectiveFrom, effectiveTo = null, value = '10.00') => ({ id, rate: value, effectiveFrom, effectiveTo });
+
+test('rate periods include both end dates and an open end runs forever', () => {
+  const closed = rate(1, '2026-01-01', '2026-06-30');
+  assert.equal(rateAppliesOn(closed, '2025-12-31'), false);
+  assert.equal(rateAppliesOn(closed, '2026-01-01'), true);
+  assert.equal(rateAppliesOn(closed, '2026-06-30T23:00:00Z'), true);
+  assert.equal(rateAppliesOn(closed, new Date('2026-07-01T00:00:00Z')), false);
+  assert.equal(rateAppliesOn(rate(2, '2026-01-01'), '2099-12-31'), true);
+});
+
+test('overlapping rate schedules are detected', () => {
+  const first = rate(1, '2026-01-01', '2026-06-30');
+
+  // Sharing a single day counts as an overlap
+  assert.equal(ratePeriodsOverlap(first, rate(2, '2026-06-30', '2026-12-31')), true);
+  assert.equal(ratePeriodsOverlap(first, rate(2, '2026-07-01', '2026-12-31')), false);
+  assert.equal(ratePeriodsOverlap(first, rate(2, '2025-01-01', '2025-12-31')), false);
+  assert.equal(ratePeriodsOverlap(first, rate(2, '2026-03-01', '2026-03-31')), true);
+
+  // Open-ended periods overlap everything that starts on or after them
+  assert.equal(ratePeriodsOverlap(first, rate(2, '2025-01-01')), true);
+  assert.equal(ratePeriodsOverlap(rate(1, '2026-01-01'), rate(2, '2030-01-01')), true);
+  assert.equal(ratePeriodsOverlap(rate(1, '2026-01-01'), rate(2, '2025-01-01', '2025-12-31')), false);
+});
+
+test('the rate in effect on the sale date is picked, latest start first', () => {
+  const rates = [
+    rate(1, '2025-01-01', '2025-12-31', '8.00'),
+    rate(2, '2026-01-01', null, '10.00'),
+    rate(3, '2026-04-01', '2026-04-30', '12.00'),
+    rate(4, '2026-04-01', '2026-04-30', '15.00')
+  ];
+
+  assert.equal(pickApplicableRate(rates, '2024-12-31'), null);
+  assert.equal(pickApplicableRate(rates, '2025-06-15').id, 1);
+  assert.equal(pickApplicableRate(rates, '2026-03-31').id, 2);
+  assert.equal(pickApplicableRate(rates, '2026-04-15').id, 4);
+  assert.equal(pickApplicableRate(rates, '2026-05-01').id, 2);
+  assert.equal(pickApplicableRate([], '2026-05-01'), null);
+});
+
+test('commission is a percentage of the premium rounded to cents', () => {
+  assert.equal(calculateCommission('1000.00', '12.50'), 125);
+  assert.equal(calculateCommission(333.33, 7.5), 25);
+  assert.equal(calculateCommission('199.99', '3.33'), 6.66);
+  assert.equal(calculateCommission(0, '10.00'), 0);
+});
@@ -0,0 +1,58 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalisePolicyNumber, parseStatementRows, pickSaleForPayment, reconcileLine } from '../services/commissionStatementService.js';
+import { parseAmount, pickColumn } from '../utils/spreadsheet.js';
+
+test('carrier headers are matched loosely and amounts read in accounting formats', () => {
+  const row = { 'Policy No.': '', 'Policy #': 'ab 123', 'Commission Paid': '$1,234.50' };
+  assert.equal(pickColumn(row, ['policy number', 'policy no', 'policy #']), 'ab 123');
+  assert.equal(pickColumn(row, ['premium']), null);
+
+  assert.equal(parseAmount('$1,234.50'), 1234.5);
+  assert.equal(parseAmount('(45.00)'), -45);
+  assert.equal(parseAmount('-12'), -12);
+  assert.equal(parseAmount(7.25), 7.25);
+  assert.equal(parseAmount('n/a'), null);
+});
+
+test('policy numbers match regardless of spacing and case', () => {
+  assert.equal(normalisePolicyNumber(' ab-12 3 '), 'AB-123');
+  assert.equal(normalisePolicyNumber(4500), '4500');
+  assert.equal(normalisePolicyNumber(null), '');
+});
+
+test('statement rows become lines, with chargebacks negative and bad rows reported', () => {
+  const { lines, errors } = parseStatementRows([
+    { 'Policy Number': ' PN-1 ', 'Commission': '120.004', 'Premium': '1,000', 'Insured Name': ' Ada Lovelace ', 'Payment Date': '2026-03-15' },
+    { 'Policy Number': 'PN-2', 'Commission': '80', 'Type': 'Chargeback' },
+    { 'Policy Number': '', 'Commission': '' },
+    { 'Policy Number': 'PN-3', 'Commission': 'pending' }
+  ], { statementDate: '2026-03-31' });
+
+  assert.deepEqual(lines, [
+    { rowNumber: 2, policyNumber: 'PN-1', insuredName: 'Ada Lovelace', paidAmount: 120, premiumAmount: 1000, paymentDate: '2026-03-15' },
+    { rowNumber: 3, policyNumber: 'PN-2', insuredName: null, paidAmount: -80, premiumAmount: null, paymentDate: '2026-03-31' }
+  ]);
+  assert.deepEqual(errors, [{ row: 5, error: 'Commission amount is missing or not a number' }]);
+});
+
+test('payments go to the policy term they fall in, otherwise the latest term', () => {
+  const firstTerm = { id: 1, effectiveDate: '2025-01-01', renewalDate: '2026-01-01' };
+  const renewal = { id: 2, effectiveDate: '2026-01-01', renewalDate: '2027-01-01' };
+
+  assert.equal(pickSaleForPayment([renewal, firstTerm], '2025-06-01'), firstTerm);
+  assert.equal(pickSaleForPayment([firstTerm, renewal], '2026-01-01'), renewal);
+  assert.equal(pickSaleForPayment([firstTerm, renewal], '2024-06-01'), renewal);
+  assert.equal(pickSaleForPayment([], '2026-01-01'), null);
+});
+
+test('lines reconcile against the recorded commission within the tolerance', () => {
+  const sale = { id: 5, agentId: 3, commissionAmount: '100.00' };
+
+  assert.deepEqual(reconcileLine({ paidAmount: 100.01 }, sale), { saleId: 5, agentId: 3, expectedAmount: 100, varianceAmount: 0.01, matchStatus: 'matched' });
+  assert.deepEqual(reconcileLine({ paidAmount: '92.50' }, sale), { saleId: 5, agentId: 3, expectedAmount: 100, varianceAmount: -7.5, matchStatus: 'discrepancy' });
+  assert.equal(reconcileLine({ paidAmount: -100 }, sale).matchStatus, 'chargeback');
+  assert.equal(reconcileLine({ paidAmount: -100 }, sale).varianceAmount, null);
+  assert.deepEqual(reconcileLine({ paidAmount: 50 }, null), { saleId: null, agentId: null, expectedAmount: null, varianceAmount: null, matchStatus: 'unmatched' });
+});
@@ -0,0 +1,98 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { buildCategoryTree, getCategorySubtreeIds, reorderCategories, updateCategory } from '../services/contentCategoryService.js';
+
+const select = db.select.bind(db);
+
+const category = (id, name, parentId = null) => ({ id, name, parentId, isActive: true });
+
+test('categories nest under their parents with document counts rolled up', () => {
+  const tree = buildCategoryTree([
+    category(1, 'Forms'),
+    category(2, 'Life', 1),
+    category(3, 'Claims', 2),
+    category(4, 'Training'),
+    category(5, 'Orphan', 99)
+  ], new Map([[1, 2], [2, 1], [3, 4], [4, 0]]));
+
+  assert.deepEqual(tree.map(node => node.name), ['Forms', 'Training', 'Orphan']);
+  const [forms] = tree;
+  assert.deepEqual([forms.contentCount, forms.totalCount], [2, 7]);
+  assert.deepEqual([forms.children[0].name, forms.children[0].totalCount], ['Life', 5]);
+  assert.deepEqual(forms.children[0].children[0].children, []);
+  assert.equal(tree[2].totalCount, 0);
+});
+
+test('a category that lists itself as parent is treated as a root', () => {
+  const tree = buildCategoryTree([category(1, 'Loop', 1)]);
+  assert.deepEqual(tree.map(node => [node.name, node.children.length]), [['Loop', 0]]);
+});
+
+test('the subtree filter covers a category and everything below it', async (t) => {
+  let query;
+  t.mock.method(db, 'execute', async (statement) => {
+    query = db.dialect.sqlToQuery(statement);
+    return [{ id: '3' }, { id: '7' }, { id: '8' }];
+  });
+
+  assert.deepEqual(await getCategorySubtreeIds(3), [3, 7, 8]);
+  assert.match(query.sql, /WITH RECURSIVE subtree AS/);
+  assert.match(query.sql, /INNER JOIN subtree s ON c\.parent_id = s\.id/);
+  assert.deepEqual(query.params, [3]);
+});
+
+// Categories 1 > 2 > 3; subtreeOf is what the recursive subtree query returns for the category being moved
+const withCategories = (t, subtreeOf) => {
+  const categories = new Map([[1, category(1, 'Forms')], [2, category(2, 'Life', 1)], [3, category(3, 'Claims', 2)]]);
+  t.mock.method(db, 'select', (fields) => ({
+    from: (table) => ({
+      where: (condition) => ({
+        // Looking up the parent by id, or checking no sibling has the name
+        limit: async () => {
+          const [id] = select().from(table).where(condition).toSQL().params;
+          return !fields && categories.has(id) ? [categories.get(id)] : [];
+        },
+        orderBy: () => ({ limit: async () => [{ position: 4 }] })
+      })
+    })
+  }));
+  t.mock.method(db, 'execute', async () => subtreeOf.map(id => ({ id })));
+  const updated = [];
+  t.mock.method(db, 'update', () => ({
+    set: (values) => ({
+      where: () => ({
+        returning: async () => {
+          updated.push(values);
+          return [values];
+        }
+      })
+    })
+  }));
+  return updated;
+};
+
+test('a category cannot be moved inside itself or one of its descendants', async (t) => {
+  const updated = withCategories(t, [1, 2, 3]);
+
+  await assert.rejects(updateCategory(category(1, 'Forms'), { parentId: 3 }), { code: 'CATEGORY_CYCLE' });
+  await assert.rejects(updateCategory(category(1, 'Forms'), { parentId: 1 }), { code: 'CATEGORY_CYCLE' });
+  await assert.rejects(updateCategory(category(1, 'Forms'), { parentId: 42 }), { code: 'PARENT_NOT_FOUND' });
+  assert.equal(updated.length, 0);
+});
+
+test('a moved category goes after its new siblings', async (t) => {
+  const updated = withCategories(t, [3]);
+
+  await updateCategory(category(3, 'Claims', 2), { parentId: 1 });
+  assert.deepEqual([updated[0].parentId, updated[0].position], [1, 5]);
+});
+
+test('reordering must list every sibling exactly once', async (t) => {
+  t.mock.method(db, 'select', () => ({ from: () => ({ where: async () => [{ id: 1 }, { id: 4 }, { id: 6 }] }) }));
+
+  await assert.rejects(reorderCategories(null, [1, 4]), { code: 'ORDER_MISMATCH' });
+  await assert.rejects(reorderCategories(null, [1, 4, 4]), { code: 'ORDER_MISMATCH' });
+  await assert.rejects(reorderCategories(null, [1, 4, 9]), { code: 'ORDER_MISMATCH' });
+});
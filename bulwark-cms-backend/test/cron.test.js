@@ -0,0 +1,59 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextCronRun, isValidCron, isValidTimeZone, parseCron } from '../utils/cron.js';
+
+const nextRun = (expression, after, timeZone) => getNextCronRun(expression, new Date(after), timeZone)?.toISOString() ?? null;
+
+test('fields accept lists, ranges, steps, names and macros', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+
+  assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('invalid schedules are rejected with INVALID_SCHEDULE', () => {
+  for (const expression of ['', '* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '*/0 * * * *', '0 0 * foo *', '5-1 * * * *']) {
+    assert.throws(() => parseCron(expression), { code: 'INVALID_SCHEDULE' }, expression);
+    assert.equal(isValidCron(expression), false);
+  }
+  assert.equal(isValidCron('0 9 * * mon'), true);
+});
+
+test('time zones are validated', () => {
+  assert.equal(isValidTimeZone('America/New_York'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('the next run is strictly after the given time', () => {
+  assert.equal(nextRun('0 9 * * *', '2026-05-01T09:00:00Z', 'UTC'), '2026-05-02T09:00:00.000Z');
+  assert.equal(nextRun('*/15 * * * *', '2026-05-01T09:07:30Z', 'UTC'), '2026-05-01T09:15:00.000Z');
+  assert.equal(nextRun('0 0 1 * *', '2026-12-15T00:00:00Z', 'UTC'), '2027-01-01T00:00:00.000Z');
+});
+
+test('runs keep their wall-clock time across daylight saving changes', () => {
+  // New York moves to EDT on 8 March 2026 and back to EST on 1 November 2026
+  assert.equal(nextRun('0 9 * * *', '2026-03-07T15:00:00Z', 'America/New_York'), '2026-03-08T13:00:00.000Z');
+  assert.equal(nextRun('0 9 * * *', '2026-10-31T14:00:00Z', 'America/New_York'), '2026-11-01T14:00:00.000Z');
+
+  // 02:30 does not exist on the day clocks go forward, so that day is skipped
+  assert.equal(nextRun('30 2 * * *', '2026-03-08T05:00:00Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+
+  // 01:30 happens twice on the day clocks go back; the first one is used
+  assert.equal(nextRun('30 1 * * *', '2026-11-01T04:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+});
+
+test('when both day fields are restricted either one matches', () => {
+  // 13 March 2026 is a Friday; the 6th is the Friday before
+  assert.equal(nextRun('0 0 13 * 5', '2026-03-01T00:00:00Z', 'UTC'), '2026-03-06T00:00:00.000Z');
+  assert.equal(nextRun('0 0 13 * *', '2026-03-01T00:00:00Z', 'UTC'), '2026-03-13T00:00:00.000Z');
+});
+
+test('schedules that never match have no next run', () => {
+  assert.equal(nextRun('0 0 30 2 *', '2026-01-01T00:00:00Z', 'UTC'), null);
+});
@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { EXPORT_BATCH_SIZE, renderExport } from '../services/exportService.js';
+import { toCsv, toCsvLine } from '../utils/spreadsheet.js';
+
+test('CSV cells are quoted when needed and formulas are neutralised', () => {
+  assert.equal(toCsvLine(['Smith, Jane', 'Said "hi"', 'two\nlines', null, undefined, 42]), '"Smith, Jane","Said ""hi""","two\nlines",,,42');
+  assert.equal(toCsvLine(['=HYPERLINK("http://x")', '+1 555 0100', '@SUM(A1)', '\tcmd']), '"\'=HYPERLINK(""http://x"")",\'+1 555 0100,\'@SUM(A1),\'\tcmd');
+
+  // Negative amounts are data, not formulas
+  assert.equal(toCsvLine(['-12.50', -3, '-5 off']), "-12.50,-3,'-5 off");
+  assert.equal(toCsvLine([new Date('2026-03-02T10:00:00Z')]), '2026-03-02T10:00:00.000Z');
+  assert.equal(toCsv(['Name', 'Premium'], [['Jane', 10], ['Omar', 20]]), 'Name,Premium\nJane,10\nOmar,20\n');
+});
+
+const columns = [
+  { header: 'Client', value: row => row.name },
+  { header: 'Premium', value: row => row.premium, type: 'currency' },
+  { header: 'Sold', value: row => row.soldOn, type: 'date' },
+  { header: 'Active', value: row => row.active, type: 'boolean' }
+];
+
+test('CSV exports format each column by its type and fetch rows in batches', async () => {
+  const rows = Array.from({ length: EXPORT_BATCH_SIZE + 2 }, (_, index) => ({ name: `Client ${index}`, premium: '1200.456', soldOn: '2026-03-02', active: index === 0 }));
+  const fetched = [];
+  const fetchBatch = async (offset, limit) => {
+    fetched.push(offset);
+    return rows.slice(offset, offset + limit);
+  };
+
+  const { content, contentType, rowCount } = await renderExport({ format: 'csv', columns, fetchBatch });
+  const lines = content.toString('utf8').split('\n');
+
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.equal(rowCount, EXPORT_BATCH_SIZE + 2);
+  assert.deepEqual(fetched, [0, EXPORT_BATCH_SIZE]);
+  assert.equal(lines[0], '\uFEFFClient,Premium,Sold,Active');
+  assert.equal(lines[1], 'Client 0,1200.46,2026-03-02,Yes');
+  assert.equal(lines[2], 'Client 1,1200.46,2026-03-02,No');
+});
+
+test('XLSX exports keep numbers and dates as typed cells', async () => {
+  const { content, rowCount } = await renderExport({
+    format: 'xlsx',
+    title: 'Sales',
+    columns,
+    fetchBatch: async (offset) => (offset === 0 ? [{ name: '=cmd()', premium: 99.999, soldOn: '2026-03-02', active: false }, { name: 'Blank', premium: '', soldOn: null }] : [])
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(content);
+  const sheet = workbook.worksheets[0];
+  const values = (rowNumber) => [1, 2, 3, 4].map(column => sheet.getRow(rowNumber).getCell(column).value);
+
+  assert.equal(rowCount, 2);
+  assert.deepEqual(values(1), ['Client', 'Premium', 'Sold', 'Active']);
+  assert.deepEqual(values(2), ['=cmd()', 100, new Date('2026-03-02T00:00:00Z'), false]);
+  assert.deepEqual(values(3).slice(0, 3), ['Blank', null, null]);
+});
+
+test('PDF exports produce a document even with no rows', async () => {
+  const { content, contentType, rowCount } = await renderExport({ format: 'pdf', title: 'Sales', filters: ['Status: active'], columns, fetchBatch: async () => [] });
+  assert.equal(contentType, 'application/pdf');
+  assert.equal(rowCount, 0);
+  assert.equal(content.subarray(0, 5).toString(), '%PDF-');
+});
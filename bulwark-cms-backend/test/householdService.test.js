@@ -0,0 +1,83 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { clientRelationships, clients, sales } from '../models/schema.js';
+import { findExistingRelationship, getHousehold } from '../services/householdService.js';
+
+const select = db.select.bind(db);
+
+// Stands in for the database by filtering each table on the ids and types the query's condition binds
+const fakeTables = (t, tables) => {
+  const queries = [];
+  t.mock.method(db, 'select', () => ({
+    from: (table) => ({
+      where: (condition) => {
+        queries.push({ table, condition });
+        const params = select().from(table).where(condition).toSQL().params;
+        const ids = params.filter(param => typeof param === 'number');
+        const types = params.filter(param => typeof param === 'string');
+        const rows = tables.get(table).filter(row => table === clientRelationships
+          ? (ids.includes(row.clientId) || ids.includes(row.relatedClientId)) && types.includes(row.relationshipType)
+          : ids.includes(table === sales ? row.clientId : row.id));
+        const result = Promise.resolve(rows);
+        return Object.assign(result, { orderBy: () => result, limit: () => result });
+      }
+    })
+  }));
+  return queries;
+};
+
+const link = (id, clientId, relatedClientId, relationshipType) => ({ id, clientId, relatedClientId, relationshipType });
+const client = (id, firstName) => ({ id, firstName, lastName: 'Smith' });
+
+test('a household follows spouse and child links and totals its active policies', async (t) => {
+  fakeTables(t, new Map([
+    [clientRelationships, [
+      link(1, 2, 1, 'spouse'),
+      link(2, 3, 1, 'child'),
+      link(3, 4, 5, 'child'),
+      link(4, 2, 6, 'referred_by'),
+      link(5, 7, 1, 'beneficiary')
+    ]],
+    [clients, [1, 2, 3, 4, 5, 6, 7].map(id => client(id, `Client ${id}`))],
+    [sales, [
+      { id: 10, clientId: 1, premiumAmount: '1000.00', status: 'active' },
+      { id: 11, clientId: 3, premiumAmount: '250.50', status: 'active' },
+      { id: 12, clientId: 2, premiumAmount: '500.00', status: 'lapsed' },
+      { id: 13, clientId: 4, premiumAmount: '9999.00', status: 'active' }
+    ]]
+  ]));
+
+  const household = await getHousehold(1);
+
+  assert.deepEqual(household.members.map(member => member.id), [1, 2, 3]);
+  assert.deepEqual(household.relationships.map(relationship => relationship.id), [1, 2, 5]);
+  assert.equal(household.relationships[0].clientName, 'Client 2 Smith');
+  assert.deepEqual(household.policies.map(policy => policy.id), [10, 11, 12]);
+  assert.deepEqual(household.totals, { memberCount: 3, activePolicies: 2, totalPremium: 1250.5 });
+});
+
+test('a client with no links is a household of one', async (t) => {
+  fakeTables(t, new Map([[clientRelationships, []], [clients, [client(8, 'Solo')]], [sales, []]]));
+
+  const household = await getHousehold(8);
+  assert.deepEqual(household.members.map(member => member.id), [8]);
+  assert.deepEqual(household.relationships, []);
+  assert.deepEqual(household.totals, { memberCount: 1, activePolicies: 0, totalPremium: 0 });
+});
+
+test('spouse links are duplicates in either direction, other links only in the same one', async (t) => {
+  const rows = [link(1, 2, 1, 'spouse'), link(2, 3, 1, 'child')];
+  const queries = fakeTables(t, new Map([[clientRelationships, rows]]));
+
+  await findExistingRelationship(1, 2, 'spouse');
+  const spouseQuery = select().from(clientRelationships).where(queries[0].condition).toSQL();
+  assert.match(spouseQuery.sql, / or /);
+  assert.deepEqual(spouseQuery.params, [1, 2, 'spouse', 2, 1, 'spouse']);
+
+  await findExistingRelationship(1, 3, 'child');
+  const childQuery = select().from(clientRelationships).where(queries[1].condition).toSQL();
+  assert.doesNotMatch(childQuery.sql, / or /);
+  assert.deepEqual(childQuery.params, [1, 3, 'child']);
+});
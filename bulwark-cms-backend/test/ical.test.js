@@ -0,0 +1,121 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, escapeText, formatDateTime, parseCalendarEvents, unescapeText } from '../utils/ical.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('text values escape and unescape back to the original', () => {
+  const text = 'Call back; ask about life, auto\\home\nthen email';
+  assert.equal(escapeText(text), 'Call back\\; ask about life\\, auto\\\\home\\nthen email');
+  assert.equal(unescapeText(escapeText(text)), text);
+  assert.equal(unescapeText('Line one\\NLine two'), 'Line one\nLine two');
+  assert.equal(escapeText(null), '');
+});
+
+test('calendars are built with CRLF lines folded at 75 octets', () => {
+  const output = buildCalendar({
+    name: 'Sam, reminders',
+    refreshMinutes: 30,
+    events: [{
+      uid: 'reminder-1@bulwark',
+      stamp: new Date('2026-10-19T08:00:00Z'),
+      start: new Date('2026-10-20T09:00:00Z'),
+      end: new Date('2026-10-20T09:30:00Z'),
+      summary: `Review ${'é'.repeat(60)}`,
+      categories: ['follow_up', 'a,b']
+    }]
+  });
+
+  assert.ok(output.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(output.includes('X-WR-CALNAME:Sam\\, reminders\r\n'));
+  assert.ok(output.includes('REFRESH-INTERVAL;VALUE=DURATION:PT30M\r\n'));
+  assert.ok(output.includes('DTSTART:20261020T090000Z\r\n'));
+  assert.ok(output.includes('CATEGORIES:follow_up,a\\,b\r\n'));
+  for (const line of output.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+
+  // Folding never splits a character, and unfolding restores the summary
+  const [event] = parseCalendarEvents(output);
+  assert.equal(event.summary, `Review ${'é'.repeat(60)}`);
+  assert.equal(event.uid, 'reminder-1@bulwark');
+  assert.equal(formatDateTime(event.start), '20261020T090000Z');
+});
+
+test('event times honour TZID across daylight saving changes', () => {
+  const events = parseCalendarEvents(calendar(
+    'BEGIN:VEVENT',
+    'UID:before',
+    'DTSTART;TZID=Europe/London:20261024T090000',
+    'SUMMARY:Before the change',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:after',
+    'DTSTART;TZID="Europe/London":20261026T090000',
+    'SUMMARY:After the change',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:utc',
+    'DTSTART:20261026T090000Z',
+    'END:VEVENT'
+  ), { timeZone: 'America/New_York' });
+
+  assert.deepEqual(events.map(event => event.start.toISOString()), [
+    '2026-10-24T08:00:00.000Z',
+    '2026-10-26T09:00:00.000Z',
+    '2026-10-26T09:00:00.000Z'
+  ]);
+  assert.deepEqual(events.map(event => event.timeZone), ['Europe/London', 'Europe/London', 'America/New_York']);
+});
+
+test('floating and all-day events use the import time zone', () => {
+  const events = parseCalendarEvents(calendar(
+    'BEGIN:VEVENT',
+    'DTSTART:20260310T140000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260310',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=Not/A_Zone:20260310T140000',
+    'END:VEVENT'
+  ), { timeZone: 'America/New_York', allDayTime: '08:30' });
+
+  assert.equal(events[0].start.toISOString(), '2026-03-10T18:00:00.000Z');
+  assert.equal(events[0].allDay, false);
+  assert.equal(events[1].start.toISOString(), '2026-03-10T12:30:00.000Z');
+  assert.equal(events[1].allDay, true);
+  assert.equal(events[2].start.toISOString(), '2026-03-10T18:00:00.000Z');
+});
+
+test('event details are read and nested alarms are skipped', () => {
+  const [event] = parseCalendarEvents(calendar(
+    'BEGIN:VEVENT',
+    'UID:series-1',
+    'DTSTART:20260310T140000Z',
+    'SUMMARY:Policy review\\, annual',
+    'DESCRIPTION:Bring the\\nrenewal quote',
+    'PRIORITY:1',
+    'STATUS:confirmed',
+    'RRULE:FREQ=YEARLY',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Alarm text',
+    'END:VALARM',
+    'END:VEVENT'
+  ));
+
+  assert.equal(event.summary, 'Policy review, annual');
+  assert.equal(event.description, 'Bring the\nrenewal quote');
+  assert.equal(event.priority, 1);
+  assert.equal(event.status, 'CONFIRMED');
+  assert.equal(event.rrule, 'FREQ=YEARLY');
+  assert.equal(event.error, null);
+});
+
+test('events without a usable start are flagged, and other files are rejected', () => {
+  const events = parseCalendarEvents(calendar('BEGIN:VEVENT', 'SUMMARY:No start', 'END:VEVENT', 'BEGIN:VEVENT', 'DTSTART:soon', 'END:VEVENT'));
+  assert.deepEqual(events.map(event => [event.index, event.start, event.error !== null]), [[1, null, true], [2, null, true]]);
+
+  assert.throws(() => parseCalendarEvents('Name,Date\nSam,2026-01-01'), { code: 'INVALID_CALENDAR' });
+});
@@ -0,0 +1,157 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { backgroundJobs } from '../models/schema.js';
+import { JOB_LOCK_TIMEOUT_MS, claimNextJob, executeJob, releaseStaleJobs, retryJob } from '../services/jobService.js';
+
+const select = db.select.bind(db);
+
+// Records every job update and queued run; updates return the job with the new values applied
+const fakeQueue = (t, job) => {
+  const updates = [];
+  const queued = [];
+  t.mock.method(db, 'update', () => ({
+    set: (values) => ({
+      where: () => ({
+        returning: async () => {
+          updates.push(values);
+          return [{ ...job, ...values }];
+        }
+      })
+    })
+  }));
+  t.mock.method(db, 'insert', () => ({
+    values: (values) => ({
+      onConflictDoNothing: () => ({
+        returning: async () => {
+          queued.push(values);
+          return [values];
+        }
+      })
+    })
+  }));
+  return { updates, queued };
+};
+
+const job = (details = {}) => ({
+  id: 7,
+  name: 'job_cleanup',
+  payload: null,
+  status: 'running',
+  uniqueKey: 'job_cleanup',
+  attempts: 1,
+  maxAttempts: 3,
+  runAt: new Date('2026-10-19T03:30:00Z'),
+  lockedAt: new Date('2026-10-19T03:30:01Z'),
+  lockedBy: 'web-1:100',
+  ...details
+});
+
+test('claiming takes the oldest due pending job and locks it to the worker', async (t) => {
+  const now = new Date('2026-10-19T09:00:00Z');
+  let query;
+  const updates = [];
+  const tx = {
+    select: () => ({
+      from: () => ({
+        where: (condition) => ({
+          orderBy: () => ({
+            limit: () => ({
+              for: async (strength, options) => {
+                query = select().from(backgroundJobs).where(condition).for(strength, options).toSQL();
+                return [job({ status: 'pending', attempts: 0, lockedAt: null, lockedBy: null })];
+              }
+            })
+          })
+        })
+      })
+    }),
+    update: () => ({
+      set: (values) => ({
+        where: () => ({
+          returning: async () => {
+            updates.push(values);
+            return [values];
+          }
+        })
+      })
+    })
+  };
+  t.mock.method(db, 'transaction', (work) => work(tx));
+
+  await claimNextJob('web-2:200', now);
+
+  assert.match(query.sql, /"status" = \$1 and "background_jobs"\."run_at" <= \$2\) for update skip locked$/);
+  assert.deepEqual(query.params.slice(0, 1), ['pending']);
+  assert.deepEqual(updates, [{ status: 'running', attempts: 1, lockedAt: now, lockedBy: 'web-2:200', startedAt: now, updatedAt: now }]);
+});
+
+test('nothing is claimed when no job is due', async (t) => {
+  const noJobs = { from: () => ({ where: () => ({ orderBy: () => ({ limit: () => ({ for: async () => [] }) }) }) }) };
+  const update = t.mock.fn();
+  t.mock.method(db, 'transaction', (work) => work({ select: () => noJobs, update }));
+
+  assert.equal(await claimNextJob(), null);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('a finished job releases its lock and a recurring job queues its next run', async (t) => {
+  const { updates, queued } = fakeQueue(t, job());
+  t.mock.method(db, 'delete', () => ({ where: () => ({ returning: async () => [{ id: 1 }, { id: 2 }] }) }));
+
+  const finished = await executeJob(job());
+
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.result, { deleted: 2 });
+  assert.equal(updates[0].lockedAt, null);
+  assert.equal(updates[0].lockedBy, null);
+  assert.deepEqual(queued.map(row => [row.name, row.uniqueKey, row.runAt.getUTCHours(), row.runAt.getUTCMinutes()]), [['job_cleanup', 'job_cleanup', 3, 30]]);
+});
+
+test('a failed attempt releases the lock and retries with backoff until it runs out of attempts', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const retry = fakeQueue(t, job({ name: 'unknown_job', attempts: 2 }));
+  const retried = await executeJob(job({ name: 'unknown_job', attempts: 2 }));
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.lockedBy, null);
+  assert.equal(retried.completedAt, null);
+  assert.equal(retried.runAt - retried.updatedAt, 60 * 1000);
+  assert.match(retried.lastError, /No handler is registered/);
+  assert.equal(retry.queued.length, 0);
+
+  const last = fakeQueue(t, job({ name: 'unknown_job', attempts: 3 }));
+  const failed = await executeJob(job({ name: 'unknown_job', attempts: 3 }));
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.lockedAt, null);
+  assert.ok(failed.completedAt instanceof Date);
+  assert.equal(last.queued.length, 0);
+});
+
+test('jobs left running past the lock timeout are released', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const now = new Date('2026-10-19T09:00:00Z');
+  let staleQuery;
+  t.mock.method(db, 'select', () => ({
+    from: (table) => ({
+      where: async (condition) => {
+        staleQuery = select().from(table).where(condition).toSQL();
+        return [job({ attempts: 3 })];
+      }
+    })
+  }));
+  const { updates, queued } = fakeQueue(t, job({ attempts: 3 }));
+
+  assert.equal(await releaseStaleJobs(now), 1);
+  assert.deepEqual(staleQuery.params, ['running', new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS).toISOString()]);
+  assert.equal(updates[0].status, 'failed');
+  assert.equal(updates[0].lastError, 'Worker web-1:100 stopped before the job finished');
+
+  // Out of attempts, so the recurring job is put back on its schedule
+  assert.deepEqual(queued.map(row => row.uniqueKey), ['job_cleanup']);
+});
+
+test('only failed jobs can be retried', async () => {
+  await assert.rejects(retryJob(job({ status: 'completed' })), { code: 'JOB_NOT_FAILED' });
+});
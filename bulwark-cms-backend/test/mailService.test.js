@@ -0,0 +1,26 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAIL_FROM } from '../config/mail.js';
+import { APP_URL, escapeHtml, sendPasswordResetEmail } from '../services/mailService.js';
+
+test('password reset emails are built by the JSON stand-in transport', async () => {
+  const info = await sendPasswordResetEmail({ email: 'agent@example.com', firstName: '<Sam>' }, 'a+b/c', 60);
+  const message = JSON.parse(info.message);
+
+  assert.equal(message.from.address, MAIL_FROM);
+  assert.deepEqual(message.to.map(to => to.address), ['agent@example.com']);
+  assert.equal(message.subject, 'Reset your Bulwark CMS password');
+
+  // The token is URL-encoded in the link, and user input is escaped in the HTML part
+  const resetUrl = `${APP_URL}/reset-password?token=a%2Bb%2Fc`;
+  assert.ok(message.text.includes(resetUrl));
+  assert.ok(message.text.includes('within 60 minutes'));
+  assert.ok(message.html.includes('Hi &lt;Sam&gt;,'));
+  assert.ok(!message.html.includes('<Sam>'));
+});
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
@@ -0,0 +1,98 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { reminders, users } from '../models/schema.js';
+import { NOTIFICATION_PREFERENCES, hasReachedTarget, notifyDueReminders, notifyUsers } from '../services/notificationService.js';
+
+// A query builder stand-in that resolves to the given rows however the query is chained
+const rowsOf = (rows) => {
+  const query = {
+    from: () => query,
+    leftJoin: () => query,
+    where: () => query,
+    returning: () => query,
+    values: (values) => {
+      query.inserted = values;
+      return query;
+    },
+    then: (resolve, reject) => Promise.resolve(typeof rows === 'function' ? rows(query) : rows).then(resolve, reject)
+  };
+  return query;
+};
+
+test('every notification type is controlled by a user preference column', () => {
+  for (const [type, field] of Object.entries(NOTIFICATION_PREFERENCES)) {
+    assert.ok(users[field], `${type} maps to ${field}, which is not a users column`);
+  }
+  assert.equal(NOTIFICATION_PREFERENCES.reminder_due, 'notifyReminders');
+  assert.equal(NOTIFICATION_PREFERENCES.clients_transferred, 'notifyTeamUpdates');
+});
+
+test('only users who have not opted out are notified; an unset preference counts as on', async (t) => {
+  t.mock.method(db, 'select', () => rowsOf([{ id: 1, optedIn: true }, { id: 2, optedIn: false }, { id: 3, optedIn: null }]));
+  const insert = t.mock.method(db, 'insert', () => rowsOf(query => query.inserted.map((row, index) => ({ id: index + 1, ...row }))));
+
+  const created = await notifyUsers([1, 2, 3, 3, null], { type: 'reminder_due', title: 'Reminder due' });
+
+  assert.equal(insert.mock.callCount(), 1);
+  assert.deepEqual(created.map(notification => notification.userId), [1, 3]);
+  assert.equal(created[0].isRead, false);
+});
+
+test('nobody left to notify writes nothing', async (t) => {
+  t.mock.method(db, 'select', () => rowsOf([{ id: 2, optedIn: false }]));
+  const insert = t.mock.method(db, 'insert');
+
+  assert.deepEqual(await notifyUsers([2], { type: 'team_update', title: 'Team changed' }), []);
+  assert.equal(insert.mock.callCount(), 0);
+});
+
+test('notification failures are swallowed so the originating request still succeeds', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(db, 'select', () => rowsOf(() => {
+    throw new Error('connection refused');
+  }));
+
+  assert.deepEqual(await notifyUsers([1], { type: 'sale_created', title: 'New sale recorded' }), []);
+});
+
+test('due reminders are marked handled even when the agent opted out', async (t) => {
+  const due = [
+    { id: 10, agentId: 1, title: 'Call back', clientFirstName: 'Ada', clientLastName: 'Lovelace' },
+    { id: 11, agentId: 2, title: 'Send documents', clientFirstName: null, clientLastName: null }
+  ];
+  let selects = 0;
+  t.mock.method(db, 'select', () => {
+    selects++;
+    // The sweep's own query, then one recipient lookup per reminder; agent 2 has reminders turned off
+    if (selects === 1) {
+      return rowsOf(due);
+    }
+    return rowsOf(selects === 2 ? [{ id: 1, optedIn: true }] : [{ id: 2, optedIn: false }]);
+  });
+  const insert = t.mock.method(db, 'insert', () => rowsOf(query => query.inserted));
+  const marked = [];
+  t.mock.method(db, 'update', (table) => ({
+    set: (values) => ({
+      where: async () => {
+        marked.push({ table, values });
+      }
+    })
+  }));
+
+  const now = new Date('2026-10-19T09:00:00Z');
+  assert.deepEqual(await notifyDueReminders(now), { checked: 2, created: 1 });
+
+  assert.equal(insert.mock.callCount(), 1);
+  assert.equal(insert.mock.calls[0].result.inserted[0].message, 'Call back for Ada Lovelace');
+  assert.deepEqual(marked, [{ table: reminders, values: { dueNotifiedAt: now } }]);
+});
+
+test('goal targets are reached only when progress crosses them', () => {
+  const goal = { targetValue: '10' };
+  assert.equal(hasReachedTarget(goal, 9, 10), true);
+  assert.equal(hasReachedTarget(goal, 10, 12), false);
+  assert.equal(hasReachedTarget(goal, 3, 9), false);
+  assert.equal(hasReachedTarget({ targetValue: '0' }, 0, 5), false);
+});
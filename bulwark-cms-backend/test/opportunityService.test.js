@@ -0,0 +1,77 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { policyStatusHistory, sales } from '../models/schema.js';
+import { DEFAULT_OPPORTUNITY_STAGES, getInitialStage, stageKeyFromName } from '../services/opportunityService.js';
+import { createSale } from '../services/saleService.js';
+
+test('stage keys are derived from their names', () => {
+  assert.equal(stageKeyFromName('Application Submitted'), 'application_submitted');
+  assert.equal(stageKeyFromName('  Needs  Analysis / Fact-Find! '), 'needs_analysis_fact_find');
+  assert.equal(stageKeyFromName('!!!'), '');
+  assert.equal(stageKeyFromName(null), '');
+});
+
+test('the default pipeline runs through open stages to one won and one lost outcome', () => {
+  for (const stage of DEFAULT_OPPORTUNITY_STAGES) {
+    assert.equal(stageKeyFromName(stage.name), stage.key);
+  }
+
+  const open = DEFAULT_OPPORTUNITY_STAGES.filter(stage => !stage.outcome);
+  const probabilities = open.map(stage => stage.defaultProbability);
+  assert.deepEqual(probabilities, [...probabilities].sort((a, b) => a - b));
+  assert.deepEqual(DEFAULT_OPPORTUNITY_STAGES.filter(stage => stage.outcome).map(stage => [stage.key, stage.outcome]), [['issued', 'won'], ['lost', 'lost']]);
+});
+
+test('new opportunities start in the first open stage', async (t) => {
+  const query = (rows) => ({ from: () => ({ where: () => ({ orderBy: async () => rows }) }) });
+  t.mock.method(db, 'select', () => query([
+    { id: 5, key: 'issued', outcome: 'won' },
+    { id: 2, key: 'quoted', outcome: null },
+    { id: 1, key: 'lead', outcome: null }
+  ]));
+  assert.equal((await getInitialStage()).key, 'quoted');
+
+  t.mock.method(db, 'select', () => query([{ id: 5, key: 'issued', outcome: 'won' }]));
+  assert.equal(await getInitialStage(), null);
+});
+
+test('issuing an opportunity records the sale with its policy term and first status', async () => {
+  const inserted = [];
+  const tx = {
+    insert: (table) => ({
+      values: (values) => ({
+        returning: async () => {
+          inserted.push({ table, values });
+          return [{ id: 40, ...values }];
+        }
+      })
+    })
+  };
+
+  const sale = await createSale({
+    agentId: 3,
+    clientId: 11,
+    productId: 2,
+    premiumAmount: '1200.50',
+    commission: { commissionAmount: 120.05, commissionRate: 10 },
+    saleDate: '2026-03-15',
+    productName: 'Term Life',
+    statusReason: 'Issued from opportunity #8',
+    changedBy: 1
+  }, tx);
+
+  assert.deepEqual(inserted.map(({ table }) => table), [sales, policyStatusHistory]);
+  assert.equal(sale.premiumAmount, 1200.5);
+  assert.equal(sale.effectiveDate, '2026-03-15');
+  assert.equal(sale.termMonths, 12);
+  assert.equal(sale.renewalDate, '2027-03-15');
+  assert.equal(sale.status, 'active');
+
+  const [, { values: status }] = inserted;
+  assert.equal(status.saleId, 40);
+  assert.equal(status.toStatus, 'active');
+  assert.equal(status.reason, 'Issued from opportunity #8');
+  assert.equal(status.changedBy, 1);
+});
@@ -0,0 +1,47 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { clients } from '../models/schema.js';
+import { canSeeAgent, getOrgScope, scopeToOrg, wouldCreateReportingCycle } from '../services/orgScopeService.js';
+
+test('a null scope sees every agent', () => {
+  assert.equal(canSeeAgent(null, 42), true);
+  assert.equal(canSeeAgent(null, null), true);
+});
+
+test('a subtree scope sees only the agents in it', () => {
+  // A branch manager (1) with a team lead (2) and the lead's report (5)
+  const scope = [1, 2, 5];
+  assert.equal(canSeeAgent(scope, 1), true);
+  assert.equal(canSeeAgent(scope, 5), true);
+  assert.equal(canSeeAgent(scope, 3), false);
+
+  // Ids from route params and query strings arrive as strings
+  assert.equal(canSeeAgent(scope, '2'), true);
+  assert.equal(canSeeAgent(scope, '3'), false);
+  assert.equal(canSeeAgent(scope, null), false);
+  assert.equal(canSeeAgent([], 1), false);
+});
+
+test('queries are limited to the scope unless it covers everyone', () => {
+  assert.equal(scopeToOrg(null, clients.agentId), undefined);
+
+  const query = db.select({ id: clients.id }).from(clients).where(scopeToOrg([1, 2, 5], clients.agentId)).toSQL();
+  assert.match(query.sql, /where "clients"\."agent_id" in \(\$1, \$2, \$3\)$/);
+  assert.deepEqual(query.params, [1, 2, 5]);
+});
+
+test('the scope is worked out once per request', async () => {
+  const req = { user: { id: 1, role: 'agent' }, orgScope: [1, 4] };
+  assert.deepEqual(await getOrgScope(req), [1, 4]);
+
+  const everyone = { user: { id: 1, role: 'manager' }, orgScope: null };
+  assert.equal(await getOrgScope(everyone), null);
+});
+
+test('nobody can be made their own manager, and clearing a manager is never a cycle', async () => {
+  assert.equal(await wouldCreateReportingCycle(4, 4), true);
+  assert.equal(await wouldCreateReportingCycle(4, null), false);
+  assert.equal(await wouldCreateReportingCycle(4, undefined), false);
+});
@@ -0,0 +1,94 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { policyStatusHistory, reminders, sales } from '../models/schema.js';
+import { calculateRenewalDate, canTransition, transitionPolicy } from '../services/policyService.js';
+
+// Stands in for a transaction: updates of sales return updatedRows, every write is recorded
+const fakeTx = (updatedRows) => {
+  const writes = [];
+  const result = (table, rows) => {
+    const promise = Promise.resolve(table === sales ? rows : []);
+    promise.returning = () => promise;
+    return promise;
+  };
+
+  return {
+    writes,
+    update: (table) => ({
+      set: (values) => ({
+        where: () => {
+          writes.push({ type: 'update', table, values });
+          return result(table, updatedRows);
+        }
+      })
+    }),
+    insert: (table) => ({
+      values: (values) => {
+        writes.push({ type: 'insert', table, values });
+        return { returning: async () => [{ id: 1, ...values }] };
+      }
+    })
+  };
+};
+
+test('policy statuses only follow the allowed transitions', () => {
+  assert.equal(canTransition('active', 'cancelled'), true);
+  assert.equal(canTransition('active', 'renewed'), true);
+  assert.equal(canTransition('lapsed', 'active'), true);
+  assert.equal(canTransition('expired', 'renewed'), true);
+  assert.equal(canTransition('cancelled', 'lapsed'), false);
+  assert.equal(canTransition('expired', 'active'), false);
+  assert.equal(canTransition('renewed', 'active'), false);
+  assert.equal(canTransition('active', 'unknown'), false);
+
+  // Sales without a status are treated as active
+  assert.equal(canTransition(null, 'lapsed'), true);
+});
+
+test('invalid transitions are rejected before anything is written', async () => {
+  const tx = fakeTx([]);
+  await assert.rejects(
+    transitionPolicy({ id: 7, status: 'renewed' }, 'active', {}, tx),
+    { code: 'INVALID_STATUS_TRANSITION', message: 'Cannot change a renewed policy to active' }
+  );
+  assert.equal(tx.writes.length, 0);
+});
+
+test('a policy changed since it was read is not transitioned', async () => {
+  const tx = fakeTx([]);
+  await assert.rejects(
+    transitionPolicy({ id: 7, status: 'active' }, 'cancelled', {}, tx),
+    { code: 'POLICY_STATUS_CHANGED' }
+  );
+  assert.deepEqual(tx.writes.map(write => write.type), ['update']);
+});
+
+test('a transition records history and closes renewal reminders', async () => {
+  const tx = fakeTx([{ id: 7, status: 'lapsed' }]);
+  const updated = await transitionPolicy({ id: 7, status: null }, 'lapsed', { reason: 'Missed payment', effectiveDate: '2026-05-01T10:00:00Z', changedBy: 3 }, tx);
+
+  assert.deepEqual(updated, { id: 7, status: 'lapsed' });
+  assert.deepEqual(tx.writes.map(write => write.table), [sales, policyStatusHistory, reminders]);
+  assert.deepEqual(
+    { ...tx.writes[1].values, createdAt: undefined },
+    { saleId: 7, fromStatus: 'active', toStatus: 'lapsed', reason: 'Missed payment', effectiveDate: '2026-05-01', changedBy: 3, createdAt: undefined }
+  );
+  assert.equal(tx.writes[2].values.isCompleted, true);
+});
+
+test('reactivating a policy leaves its reminders open', async () => {
+  const tx = fakeTx([{ id: 7, status: 'active' }]);
+  await transitionPolicy({ id: 7, status: 'lapsed' }, 'active', {}, tx);
+  assert.deepEqual(tx.writes.map(write => write.table), [sales, policyStatusHistory]);
+});
+
+test('renewal dates add the term and clamp to the end of shorter months', () => {
+  assert.equal(calculateRenewalDate('2026-03-15'), '2027-03-15');
+  assert.equal(calculateRenewalDate('2026-01-31', 1), '2026-02-28');
+  assert.equal(calculateRenewalDate('2028-01-31', 1), '2028-02-29');
+  assert.equal(calculateRenewalDate('2024-02-29'), '2025-02-28');
+  assert.equal(calculateRenewalDate('2026-08-31', 6), '2027-02-28');
+  assert.equal(calculateRenewalDate(new Date('2026-11-30T12:00:00Z'), '3'), '2027-02-28');
+  assert.equal(calculateRenewalDate(null), null);
+});
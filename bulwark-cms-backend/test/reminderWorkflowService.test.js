@@ -0,0 +1,124 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { reminderSeries, reminders } from '../models/schema.js';
+import { REMINDER_ESCALATION_GRACE_HOURS, escalateOverdueReminders, getSnoozeUntil, reassignReminder } from '../services/reminderWorkflowService.js';
+
+const select = db.select.bind(db);
+const now = new Date('2026-10-19T14:20:00Z');
+
+test('relative snoozes count from now, or from the due time when it is still ahead', () => {
+  const overdue = new Date('2026-10-19T09:00:00Z');
+  const upcoming = new Date('2026-10-19T15:00:00Z');
+
+  assert.equal(getSnoozeUntil('15m', { reminderDate: overdue, now }).toISOString(), '2026-10-19T14:35:00.000Z');
+  assert.equal(getSnoozeUntil('1h', { reminderDate: upcoming, now }).toISOString(), '2026-10-19T16:00:00.000Z');
+});
+
+test('snoozing until tomorrow means 9am tomorrow in the user\'s time zone', () => {
+  const reminderDate = new Date('2026-10-19T09:00:00Z');
+  assert.equal(getSnoozeUntil('tomorrow', { reminderDate, now }).toISOString(), '2026-10-20T09:00:00.000Z');
+  assert.equal(getSnoozeUntil('tomorrow', { reminderDate, timeZone: 'America/New_York', now }).toISOString(), '2026-10-20T13:00:00.000Z');
+
+  // Late evening in New York is already the next day in UTC
+  const lateEvening = new Date('2026-10-20T02:00:00Z');
+  assert.equal(getSnoozeUntil('tomorrow', { reminderDate, timeZone: 'America/New_York', now: lateEvening }).toISOString(), '2026-10-20T13:00:00.000Z');
+});
+
+test('custom snoozes need a valid later time', () => {
+  const reminderDate = new Date('2026-10-19T09:00:00Z');
+  assert.equal(getSnoozeUntil('custom', { reminderDate, until: '2026-10-21T08:00:00Z', now }).toISOString(), '2026-10-21T08:00:00.000Z');
+
+  assert.throws(() => getSnoozeUntil('custom', { reminderDate, until: 'soon', now }), { code: 'INVALID_SNOOZE' });
+  assert.throws(() => getSnoozeUntil('custom', { reminderDate, now }), { code: 'INVALID_SNOOZE' });
+  assert.throws(() => getSnoozeUntil('custom', { reminderDate, until: '2026-10-19T10:00:00Z', now }), { message: 'A reminder can only be snoozed to a later time' });
+  assert.throws(() => getSnoozeUntil('1w', { reminderDate, now }), { code: 'INVALID_SNOOZE' });
+});
+
+test('only open high and urgent reminders overdue past the grace period are escalated, once', async (t) => {
+  let overdueQuery;
+  const overdue = [
+    { id: 1, title: 'Call about claim', priority: 'urgent', reminderDate: new Date('2026-10-17T09:00:00Z'), agentId: 3, managerId: 2, agentFirstName: 'Sam', agentLastName: 'Lee', clientFirstName: 'Ada', clientLastName: 'Lovelace' },
+    { id: 2, title: 'Send renewal', priority: 'high', reminderDate: new Date('2026-10-18T08:00:00Z'), agentId: 4, managerId: 2, agentFirstName: 'Kim', agentLastName: 'Park', clientFirstName: null }
+  ];
+  // The overdue sweep, then the manager's notification preference lookup
+  t.mock.method(db, 'select', (fields) => ({
+    from: (table) => {
+      if ('optedIn' in fields) {
+        return { where: async () => [{ id: 2, optedIn: true }] };
+      }
+      let real = select(fields).from(table);
+      const query = {
+        innerJoin: (...join) => {
+          real = real.innerJoin(...join);
+          return query;
+        },
+        leftJoin: (...join) => {
+          real = real.leftJoin(...join);
+          return query;
+        },
+        where: async (condition) => {
+          overdueQuery = real.where(condition).toSQL();
+          return overdue;
+        }
+      };
+      return query;
+    }
+  }));
+  const escalations = [];
+  t.mock.method(db, 'update', () => ({
+    set: (values) => ({
+      where: () => ({
+        // Reminder 2 was escalated by another server in the meantime
+        returning: async () => (escalations.push(values) === 1 ? [{ id: 1 }] : [])
+      })
+    })
+  }));
+  const notified = [];
+  t.mock.method(db, 'insert', () => ({
+    values: (rows) => ({
+      returning: async () => {
+        notified.push(...rows);
+        return rows;
+      }
+    })
+  }));
+  assert.deepEqual(await escalateOverdueReminders(now), { checked: 2, escalated: 1 });
+
+  const cutoff = new Date(now.getTime() - REMINDER_ESCALATION_GRACE_HOURS * 60 * 60 * 1000);
+  assert.ok(overdueQuery.params.includes('high') && overdueQuery.params.includes('urgent'));
+  assert.ok(overdueQuery.params.includes(cutoff.toISOString()));
+  assert.match(overdueQuery.sql, /"reminders"\."escalated_at" is null/);
+  assert.match(overdueQuery.sql, /"users"\."manager_id" <> "reminders"\."agent_id"/);
+
+  assert.deepEqual(escalations[0], { escalatedAt: now, escalatedTo: 2 });
+  assert.deepEqual(notified.map(row => [row.userId, row.type, row.entityId]), [[2, 'reminder_escalated', 1]]);
+  assert.equal(notified[0].message, 'Sam Lee has not completed "Call about claim" for Ada Lovelace, due 2026-10-17 09:00 UTC');
+});
+
+test('reassigning starts escalation over, and a series moves with its open occurrences', async (t) => {
+  const updates = [];
+  const tx = {
+    update: (table) => ({
+      set: (values) => ({
+        where: () => ({
+          returning: async () => {
+            updates.push({ table, values });
+            return [values];
+          }
+        })
+      })
+    })
+  };
+  t.mock.method(db, 'transaction', (work) => work(tx));
+
+  await reassignReminder({ id: 5, agentId: 3, seriesId: 9, isCompleted: false }, 4, { scope: 'series' });
+  assert.deepEqual(updates.map(update => update.table), [reminderSeries, reminders]);
+  assert.equal(updates[1].values.agentId, 4);
+  assert.equal(updates[1].values.escalatedAt, null);
+  assert.equal(updates[1].values.escalatedTo, null);
+
+  await assert.rejects(reassignReminder({ id: 5, agentId: 4, isCompleted: false }, 4), { code: 'SAME_AGENT' });
+  await assert.rejects(reassignReminder({ id: 5, agentId: 3, isCompleted: true }, 4), { code: 'ALREADY_COMPLETED' });
+});
@@ -0,0 +1,80 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requirePermission, requireRole } from '../middleware/roleCheck.js';
+import { DEFAULT_ROLE_PERMISSIONS, PERMISSION_NAMES, canAssignRole } from '../services/permissionService.js';
+
+// Runs a middleware and reports whether it called next or what it responded with
+const run = async (middleware, req) => {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  await middleware(req, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+};
+
+test('permission checks need a signed-in user', async () => {
+  const outcome = await run(requirePermission('clients.delete'), {});
+  assert.equal(outcome.nextCalled, false);
+  assert.equal(outcome.status, 401);
+  assert.equal(outcome.body.code, 'AUTH_REQUIRED');
+});
+
+test('requests go through when every permission is granted', async () => {
+  const req = { user: { id: 1, role: 'team_lead' }, permissions: new Set(['clients.delete', 'clients.edit_others']) };
+  const outcome = await run(requirePermission('clients.delete', 'clients.edit_others'), req);
+  assert.equal(outcome.nextCalled, true);
+  assert.equal(outcome.status, null);
+});
+
+test('requests are refused with the permissions that are missing', async () => {
+  const req = { user: { id: 1, role: 'team_lead' }, permissions: new Set(['clients.delete']) };
+  const outcome = await run(requirePermission('clients.delete', 'clients.edit_others', 'users.manage'), req);
+  assert.equal(outcome.nextCalled, false);
+  assert.equal(outcome.status, 403);
+  assert.deepEqual(outcome.body, {
+    error: 'Insufficient permissions',
+    code: 'INSUFFICIENT_PERMISSIONS',
+    required: ['clients.edit_others', 'users.manage']
+  });
+});
+
+test('built-in roles default to all permissions for managers and publishing only for agents', () => {
+  assert.deepEqual(DEFAULT_ROLE_PERMISSIONS.manager, PERMISSION_NAMES);
+  assert.deepEqual(DEFAULT_ROLE_PERMISSIONS.agent, ['content.publish']);
+});
+
+test('users.manage alone cannot hand out a role with more permissions', () => {
+  const teamLead = new Set(['users.manage', 'clients.edit_others', 'content.publish']);
+  const manager = new Set(DEFAULT_ROLE_PERMISSIONS.manager);
+
+  assert.equal(canAssignRole(teamLead, manager), false);
+  assert.equal(canAssignRole(teamLead, new Set(['users.manage', 'roles.manage'])), false);
+  assert.equal(canAssignRole(teamLead, new Set(DEFAULT_ROLE_PERMISSIONS.agent)), true);
+  assert.equal(canAssignRole(teamLead, teamLead), true);
+  assert.equal(canAssignRole(teamLead, new Set()), true);
+});
+
+test('roles.manage can assign any role', () => {
+  assert.equal(canAssignRole(new Set(['users.manage', 'roles.manage']), new Set(DEFAULT_ROLE_PERMISSIONS.manager)), true);
+});
+
+test('role checks accept one role or a list', async () => {
+  assert.equal((await run(requireRole('manager'), { user: { role: 'manager' } })).nextCalled, true);
+  assert.equal((await run(requireRole(['manager', 'agent']), { user: { role: 'agent' } })).nextCalled, true);
+
+  const refused = await run(requireRole('manager'), { user: { role: 'agent' } });
+  assert.equal(refused.status, 403);
+  assert.deepEqual(refused.body.required, ['manager']);
+  assert.equal(refused.body.current, 'agent');
+});
@@ -0,0 +1,90 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextOccurrence, normaliseRRule, parseRRule, zonedTimeToUtc } from '../utils/rrule.js';
+
+const next = (rule, start, after, timeZone = 'UTC') => {
+  const occurrence = getNextOccurrence(rule, new Date(start), new Date(after), timeZone);
+  return occurrence && { date: occurrence.date.toISOString(), position: occurrence.position };
+};
+
+test('rules are normalised to a canonical form', () => {
+  assert.equal(normaliseRRule('rrule:byday=mo,th;interval=2;freq=weekly'), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+  assert.equal(normaliseRRule('FREQ=MONTHLY;INTERVAL=1;BYDAY=-1FR;COUNT=6'), 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=6');
+  assert.deepEqual(parseRRule('FREQ=DAILY;UNTIL=20271231T170000Z').until, { instant: new Date('2027-12-31T17:00:00Z') });
+});
+
+test('invalid rules are rejected with INVALID_RECURRENCE', () => {
+  const invalid = [
+    '',
+    'FREQ=HOURLY',
+    'INTERVAL=2',
+    'FREQ=DAILY;FREQ=WEEKLY',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=DAILY;COUNT=2;UNTIL=20260101',
+    'FREQ=DAILY;UNTIL=20260230',
+    'FREQ=DAILY;BYMONTH=1',
+    'FREQ=WEEKLY;BYDAY=2TU',
+    'FREQ=MONTHLY;BYDAY=6MO',
+    'FREQ=YEARLY;BYDAY=MO'
+  ];
+  for (const rule of invalid) {
+    assert.throws(() => parseRRule(rule), { code: 'INVALID_RECURRENCE' }, rule);
+  }
+});
+
+test('the start is the first occurrence', () => {
+  assert.deepEqual(
+    next('FREQ=DAILY', '2026-05-01T09:00:00Z', '2026-04-01T00:00:00Z'),
+    { date: '2026-05-01T09:00:00.000Z', position: 1 }
+  );
+});
+
+test('occurrences keep their wall-clock time across daylight saving changes', () => {
+  // New York moves to EDT on 8 March 2026
+  assert.deepEqual(
+    next('FREQ=DAILY', '2026-03-07T14:00:00Z', '2026-03-07T14:00:00Z', 'America/New_York'),
+    { date: '2026-03-08T13:00:00.000Z', position: 2 }
+  );
+
+  // London moves back to GMT on 25 October 2026
+  assert.deepEqual(
+    next('FREQ=WEEKLY', '2026-10-19T08:00:00Z', '2026-10-20T00:00:00Z', 'Europe/London'),
+    { date: '2026-10-26T09:00:00.000Z', position: 2 }
+  );
+});
+
+test('weekly rules with several days step through each week in order', () => {
+  // 1 June 2026 is a Monday
+  const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH';
+  assert.deepEqual(next(rule, '2026-06-01T09:00:00Z', '2026-06-01T09:00:00Z'), { date: '2026-06-04T09:00:00.000Z', position: 2 });
+  assert.deepEqual(next(rule, '2026-06-01T09:00:00Z', '2026-06-04T09:00:00Z'), { date: '2026-06-15T09:00:00.000Z', position: 3 });
+});
+
+test('monthly rules fall back to the last day of shorter months', () => {
+  const start = '2026-01-31T09:00:00Z';
+  assert.deepEqual(next('FREQ=MONTHLY', start, '2026-02-01T00:00:00Z'), { date: '2026-02-28T09:00:00.000Z', position: 2 });
+  assert.deepEqual(next('FREQ=MONTHLY', start, '2026-03-01T00:00:00Z'), { date: '2026-03-31T09:00:00.000Z', position: 3 });
+  assert.deepEqual(next('FREQ=MONTHLY', start, '2026-04-01T00:00:00Z'), { date: '2026-04-30T09:00:00.000Z', position: 4 });
+});
+
+test('monthly rules can pick a numbered weekday', () => {
+  // The last Friday of February 2026 is the 27th
+  assert.deepEqual(next('FREQ=MONTHLY;BYDAY=-1FR', '2026-01-30T09:00:00Z', '2026-02-01T00:00:00Z'), { date: '2026-02-27T09:00:00.000Z', position: 2 });
+  // The second Tuesday of March 2026 is the 10th
+  assert.deepEqual(next('FREQ=MONTHLY;BYDAY=2TU', '2026-02-10T09:00:00Z', '2026-02-11T00:00:00Z'), { date: '2026-03-10T09:00:00.000Z', position: 2 });
+});
+
+test('rules end after COUNT occurrences or on their UNTIL date', () => {
+  assert.deepEqual(next('FREQ=DAILY;COUNT=3', '2026-01-01T09:00:00Z', '2026-01-02T10:00:00Z'), { date: '2026-01-03T09:00:00.000Z', position: 3 });
+  assert.equal(next('FREQ=DAILY;COUNT=3', '2026-01-01T09:00:00Z', '2026-01-03T09:00:00Z'), null);
+
+  assert.deepEqual(next('FREQ=DAILY;UNTIL=20260105', '2026-01-01T09:00:00Z', '2026-01-04T10:00:00Z'), { date: '2026-01-05T09:00:00.000Z', position: 5 });
+  assert.equal(next('FREQ=DAILY;UNTIL=20260105', '2026-01-01T09:00:00Z', '2026-01-05T09:00:00Z'), null);
+  assert.equal(next('FREQ=DAILY;UNTIL=20260105T080000Z', '2026-01-01T09:00:00Z', '2026-01-04T10:00:00Z'), null);
+});
+
+test('wall-clock times convert to instants in the given time zone', () => {
+  assert.equal(zonedTimeToUtc(2026, 7, 1, 9, 0, 'America/New_York').toISOString(), '2026-07-01T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc(2026, 12, 1, 9, 0, 'America/New_York').toISOString(), '2026-12-01T14:00:00.000Z');
+});
@@ -0,0 +1,110 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { goals, notifications, sales, users } from '../models/schema.js';
+import { recalculateAgentGoals } from '../services/goalService.js';
+import { matchClient, parseSaleRows } from '../services/saleImportService.js';
+
+test('production report rows become sale lines with their problems attached', () => {
+  const lines = parseSaleRows([
+    { 'Policy No': 'TL-100', 'Insured Name': 'Smith, Jane', 'Plan': 'Term Life', 'Annualized Premium': '$1,200.499', 'Issue Date': '2026-03-02', 'Email': ' Jane@Example.com ' },
+    { 'Policy No': '', 'Insured Name': '', 'Plan': '', 'Annualized Premium': '' },
+    { 'Policy No': 'TL-101', 'Insured': 'Mary Ann Jones', 'Plan': '', 'Annualized Premium': '-50', 'Issue Date': 'next week' }
+  ]);
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(
+    { ...lines[0], errors: lines[0].errors.length },
+    {
+      row: 2,
+      policyNumber: 'TL-100',
+      firstName: 'Jane',
+      lastName: 'Smith',
+      email: 'jane@example.com',
+      phone: null,
+      dateOfBirth: null,
+      productName: 'Term Life',
+      premiumAmount: 1200.5,
+      commissionAmount: null,
+      saleDate: '2026-03-02',
+      effectiveDate: null,
+      errors: 0
+    }
+  );
+
+  assert.equal(lines[1].row, 4);
+  assert.deepEqual([lines[1].firstName, lines[1].lastName], ['Mary Ann', 'Jones']);
+  assert.deepEqual(lines[1].errors, [
+    'Premium is missing or not a positive number',
+    'Product is missing',
+    'Sale date "next week" is not a valid date'
+  ]);
+});
+
+test('lines match the agent\'s clients by policy number, then email, then name and date of birth', () => {
+  const agentClients = [
+    { id: 1, firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com', dateOfBirth: '1980-04-02' },
+    { id: 2, firstName: 'Jane', lastName: 'Smith', email: null, dateOfBirth: '1991-07-15' },
+    { id: 3, firstName: 'Omar', lastName: 'Haddad', email: null, dateOfBirth: null }
+  ];
+  const clients = { agentClients, clientIdByPolicy: new Map([['TL-100', 3]]) };
+  const line = (details) => ({ policyNumber: null, email: null, firstName: '', lastName: '', dateOfBirth: null, ...details });
+
+  assert.deepEqual(matchClient(line({ policyNumber: ' tl-100 ', email: 'jane@example.com' }), clients), { client: agentClients[2], matchedBy: 'policy' });
+  assert.deepEqual(matchClient(line({ email: 'jane@example.com', firstName: 'Omar', lastName: 'Haddad' }), clients), { client: agentClients[0], matchedBy: 'email' });
+  assert.deepEqual(matchClient(line({ firstName: 'omar', lastName: 'HADDAD' }), clients), { client: agentClients[2], matchedBy: 'name' });
+  assert.deepEqual(matchClient(line({ firstName: 'Jane', lastName: 'Smith' }), clients), { ambiguous: true });
+  assert.deepEqual(matchClient(line({ firstName: 'Jane', lastName: 'Smith', dateOfBirth: '1991-07-15' }), clients), { client: agentClients[1], matchedBy: 'name' });
+  assert.equal(matchClient(line({ firstName: 'New', lastName: 'Person' }), clients), null);
+});
+
+const select = db.select.bind(db);
+
+test('imports recalculate each of the agents\' goals once and notify goals that are reached', async (t) => {
+  const goal = (id, agentId, metricType, targetValue, currentValue) => ({ id, agentId, metricType, targetValue, currentValue, startDate: '2026-03-01', endDate: '2026-03-31', isActive: true });
+  const salesByAgent = new Map([[3, [{ premiumAmount: '600.00' }, { premiumAmount: '500.00' }]], [4, [{ commissionAmount: '80.00' }]]]);
+  const tables = new Map([
+    [goals, () => [goal(1, 3, 'sales_amount', '1000', '400'), goal(2, 3, 'sales_count', '5', '0'), goal(3, 4, 'commission', '100', '0')]],
+    [sales, (params) => salesByAgent.get(params[0]) || []],
+    [users, () => [{ id: 3, optedIn: true }]]
+  ]);
+  t.mock.method(db, 'select', () => ({
+    from: (table) => ({
+      where: async (condition) => tables.get(table)(select().from(table).where(condition).toSQL().params)
+    })
+  }));
+  const updated = [];
+  t.mock.method(db, 'update', () => ({
+    set: (values) => ({
+      where: async (condition) => {
+        const [goalId] = select().from(goals).where(condition).toSQL().params;
+        if (goalId === 3) {
+          throw new Error('deadlock detected');
+        }
+        updated.push([goalId, values.currentValue]);
+      }
+    })
+  }));
+  const notified = [];
+  t.mock.method(db, 'insert', (table) => ({
+    values: (rows) => ({
+      returning: async () => {
+        notified.push(...rows.map(row => ({ table, ...row })));
+        return rows;
+      }
+    })
+  }));
+  t.mock.method(console, 'error', () => {});
+
+  // A goal that fails to save doesn't stop the rest
+  assert.equal(await recalculateAgentGoals([3, 4, 3, null]), 2);
+  assert.deepEqual(updated, [[1, 1100], [2, 2]]);
+  assert.deepEqual(notified.map(row => [row.table, row.userId, row.type, row.entityId]), [[notifications, 3, 'goal_completed', 1]]);
+});
+
+test('recalculating no agents does nothing', async (t) => {
+  const query = t.mock.method(db, 'select');
+  assert.equal(await recalculateAgentGoals([null, undefined]), 0);
+  assert.equal(query.mock.callCount(), 0);
+});
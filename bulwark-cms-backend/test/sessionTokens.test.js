@@ -0,0 +1,52 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateToken,
+  verifyToken,
+  decodeToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken
+} from '../config/auth.js';
+import { rotateRefreshToken } from '../services/sessionService.js';
+
+test('refresh tokens carry their session and token ids', () => {
+  const token = generateRefreshToken({ id: 7, sid: 12, jti: 'abc' });
+  const decoded = verifyRefreshToken(token);
+
+  assert.equal(decoded.id, 7);
+  assert.equal(decoded.sid, 12);
+  assert.equal(decoded.jti, 'abc');
+  assert.equal(decoded.type, 'refresh');
+  assert.ok(decoded.exp > decoded.iat);
+});
+
+test('each kind of token is only accepted where it belongs', () => {
+  const accessToken = generateToken({ id: 7, role: 'agent', sid: 12 });
+  const refreshToken = generateRefreshToken({ id: 7, sid: 12, jti: 'abc' });
+  const challengeToken = generateChallengeToken({ id: 7 });
+
+  assert.equal(verifyToken(accessToken).sid, 12);
+  assert.throws(() => verifyRefreshToken(accessToken), /Invalid or expired refresh token/);
+  assert.throws(() => verifyRefreshToken(challengeToken), /Invalid or expired refresh token/);
+  assert.throws(() => verifyChallengeToken(refreshToken), /Invalid or expired challenge token/);
+  assert.equal(verifyChallengeToken(challengeToken).id, 7);
+});
+
+test('tampered tokens are rejected', () => {
+  const token = generateRefreshToken({ id: 7, sid: 12, jti: 'abc' });
+  const [header, , signature] = token.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ ...decodeToken(token), id: 1 })).toString('base64url');
+
+  assert.throws(() => verifyRefreshToken(`${header}.${forgedPayload}.${signature}`), /Invalid or expired refresh token/);
+  assert.throws(() => verifyToken('not-a-token'), /Invalid or expired token/);
+});
+
+test('rotateRefreshToken refuses tokens that are not refresh tokens', async () => {
+  const accessToken = generateToken({ id: 7, role: 'agent', sid: 12 });
+
+  await assert.rejects(rotateRefreshToken(accessToken, async () => null), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(rotateRefreshToken('garbage', async () => null), { code: 'INVALID_REFRESH_TOKEN' });
+});
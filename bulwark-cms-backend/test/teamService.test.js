@@ -0,0 +1,104 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../config/database.js';
+import { roles, teamMembers } from '../models/schema.js';
+import { clearRoleCache } from '../services/permissionService.js';
+import { addTeamMember, canViewTeam, getTeamRoleCounts, removeTeamMember, setTeamMemberRole } from '../services/teamService.js';
+
+// Built-in role defaults, and the given membership (or none) for any team and user
+const withMembership = (t, membership) => {
+  clearRoleCache();
+  t.mock.method(db, 'select', () => ({
+    from: (table) => {
+      const rows = table === roles ? [] : table === teamMembers && membership ? [membership] : [];
+      return Object.assign(Promise.resolve(rows), { where: () => ({ limit: async () => rows }) });
+    }
+  }));
+};
+
+// Records membership writes; each returns the row it wrote
+const captureWrites = (t) => {
+  const writes = [];
+  t.mock.method(db, 'update', () => ({
+    set: (values) => ({
+      where: () => ({
+        returning: async () => {
+          writes.push({ kind: 'update', values });
+          return [values];
+        }
+      })
+    })
+  }));
+  t.mock.method(db, 'insert', () => ({
+    values: (values) => ({
+      returning: async () => {
+        writes.push({ kind: 'insert', values });
+        return [values];
+      }
+    })
+  }));
+  return writes;
+};
+
+const team = { id: 4, managerId: 2, isActive: true };
+const agent = (id) => ({ id, role: 'agent' });
+
+test('a team is visible to its manager, its active leads and anyone with team.manage', async (t) => {
+  withMembership(t, null);
+  assert.equal(await canViewTeam(agent(2), team), true);
+  assert.equal(await canViewTeam({ id: 9, role: 'manager' }, team), true);
+  assert.equal(await canViewTeam(agent(7), team), false);
+
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'lead', isActive: true });
+  assert.equal(await canViewTeam(agent(7), team), true);
+
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'lead', isActive: false });
+  assert.equal(await canViewTeam(agent(7), team), false);
+
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'member', isActive: true });
+  assert.equal(await canViewTeam(agent(7), team), false);
+});
+
+test('adding a member creates a membership, or restores the one they left with the new role', async (t) => {
+  withMembership(t, null);
+  let writes = captureWrites(t);
+  await addTeamMember(team, 7);
+  assert.deepEqual(writes.map(write => [write.kind, write.values.userId, write.values.role, write.values.isActive]), [['insert', 7, 'member', true]]);
+
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'member', isActive: false });
+  writes = captureWrites(t);
+  await addTeamMember(team, 7, 'specialist');
+  assert.deepEqual(writes.map(write => [write.kind, write.values.role, write.values.isActive]), [['update', 'specialist', true]]);
+
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'member', isActive: true });
+  await assert.rejects(addTeamMember(team, 7), { code: 'ALREADY_MEMBER' });
+});
+
+test('removing a member deactivates the membership so it can be restored', async (t) => {
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'lead', isActive: true });
+  const writes = captureWrites(t);
+
+  const { before, membership } = await removeTeamMember(team, 7);
+  assert.equal(before.role, 'lead');
+  assert.deepEqual(membership, { isActive: false });
+  assert.equal(writes.length, 1);
+});
+
+test('only current members of active teams can be changed', async (t) => {
+  withMembership(t, { id: 1, teamId: 4, userId: 7, role: 'member', isActive: false });
+  await assert.rejects(setTeamMemberRole(team, 7, 'lead'), { code: 'NOT_A_MEMBER' });
+  await assert.rejects(removeTeamMember(team, 7), { code: 'NOT_A_MEMBER' });
+
+  const archived = { ...team, isActive: false };
+  await assert.rejects(addTeamMember(archived, 8), { code: 'TEAM_ARCHIVED' });
+  await assert.rejects(setTeamMemberRole(archived, 7, 'lead'), { code: 'TEAM_ARCHIVED' });
+  await assert.rejects(removeTeamMember(archived, 7), { code: 'TEAM_ARCHIVED' });
+});
+
+test('role counts cover every team role, with unknown roles counted as members', async (t) => {
+  const rows = [{ role: 'lead', count: 1 }, { role: 'member', count: '3' }, { role: 'trainee', count: 2 }];
+  t.mock.method(db, 'select', () => ({ from: () => ({ innerJoin: () => ({ where: () => ({ groupBy: async () => rows }) }) }) }));
+
+  assert.deepEqual(await getTeamRoleCounts(4), { member: 5, lead: 1, specialist: 0 });
+});
@@ -0,0 +1,83 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSecret,
+  generateTotp,
+  findTotpStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} from '../services/twoFactorService.js';
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" (SHA-1); this is its base32 form
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// The RFC lists 8-digit codes; authenticator apps use the last 6 digits of the same value
+const RFC_VECTORS = [
+  { seconds: 59, code: '287082' },
+  { seconds: 1111111109, code: '081804' },
+  { seconds: 1111111111, code: '050471' },
+  { seconds: 1234567890, code: '005924' },
+  { seconds: 2000000000, code: '279037' },
+  { seconds: 20000000000, code: '353130' }
+];
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  for (const { seconds, code } of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code, `at T=${seconds}`);
+  }
+});
+
+test('findTotpStep returns the time step a code belongs to', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  assert.equal(findTotpStep(RFC_SECRET, '050471', time), step);
+  // One step of clock drift either way is tolerated
+  assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), time), step - 1);
+  assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), time), step + 1);
+  // Two steps is too far
+  assert.equal(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, time - 60000), time), null);
+});
+
+test('findTotpStep rejects malformed codes', () => {
+  const time = 59 * 1000;
+
+  assert.equal(findTotpStep(RFC_SECRET, '94287082', time), null);
+  assert.equal(findTotpStep(RFC_SECRET, '28708a', time), null);
+  assert.equal(findTotpStep(RFC_SECRET, '', time), null);
+  assert.equal(findTotpStep(null, '287082', time), null);
+  assert.equal(findTotpStep(RFC_SECRET, '287 082', time), Math.floor(59 / 30));
+});
+
+test('verifyTotp accepts the current code for a new secret', () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(verifyTotp(secret, generateTotp(secret)), true);
+});
+
+test('buildOtpauthUrl describes the secret for authenticator apps', () => {
+  const url = new URL(buildOtpauthUrl('agent@example.com', RFC_SECRET));
+
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
+
+test('recovery codes are stored as hashes that ignore case, spaces and dashes', () => {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[0-9A-F]{5}-[0-9A-F]{5}$/));
+  assert.deepEqual(hashes, codes.map(hashRecoveryCode));
+
+  const [code] = codes;
+  assert.equal(hashRecoveryCode(code.toLowerCase()), hashes[0]);
+  assert.equal(hashRecoveryCode(code.replace('-', ' ')), hashes[0]);
+  assert.notEqual(hashRecoveryCode(codes[1]), hashes[0]);
+});
@@ -0,0 +1,196 @@
+// Five-field cron expressions: minute hour day-of-month month day-of-week
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 9-17/2), month and weekday names and the @daily style macros
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Stop looking for a next run after this many years (e.g. "0 0 30 2 *" never matches)
+const MAX_SEARCH_YEARS = 5;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const cronError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+};
+
+// Function to read one value of a field, allowing names such as "mon" or "jan"
+const parseValue = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.offset : Number(text);
+  if (!/^\d+$/.test(text) && nameIndex < 0) {
+    throw cronError(`"${text}" is not a valid ${field.name}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+};
+
+// Function to expand one field (e.g. "1-5" or "*/15") into the set of values it matches
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`"${part}" has an invalid step`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw cronError(`"${range}" is not a valid ${field.name} range`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+// Parse a cron expression; throws an error with code INVALID_SCHEDULE when it is not valid
+export const parseCron = (expression) => {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError('Schedule must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is also Sunday
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in standard cron, when both day fields are restricted a day matching either one runs
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+};
+
+export const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// Wall-clock date and time of an instant in a time zone
+export const zonedParts = (date, timeZone = 'UTC') => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+const dayMatches = (cron, parts) => {
+  const dayOfMonth = cron.daysOfMonth.has(parts.day);
+  const dayOfWeek = cron.daysOfWeek.has(parts.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+// Next time after `after` that the expression matches, read in the given time zone; null if it never does
+export const getNextCronRun = (expression, after = new Date(), timeZone = 'UTC') => {
+  const cron = parseCron(expression);
+  const minute = 60 * 1000;
+
+  let time = Math.floor(after.getTime() / minute) * minute + minute;
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * minute;
+
+  // Skip whole days, then whole hours, then minutes, re-reading the wall clock each time so DST changes are respected
+  while (time < limit) {
+    const parts = zonedParts(new Date(time), timeZone);
+    if (!cron.months.has(parts.month) || !dayMatches(cron, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * minute;
+    } else if (!cron.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * minute;
+    } else if (!cron.minutes.has(parts.minute)) {
+      time += minute;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+};
+
+export default {
+  parseCron,
+  isValidCron,
+  isValidTimeZone,
+  zonedParts,
+  getNextCronRun
+};
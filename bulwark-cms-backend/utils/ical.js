@@ -0,0 +1,229 @@
+// Minimal iCalendar (RFC 5545) writing and reading for the reminder calendar feed and .ics import
+import { isValidTimeZone } from './cron.js';
+import { zonedTimeToUtc } from './rrule.js';
+
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value (backslash, semicolon, comma and newlines)
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+export const unescapeText = (value) => String(value ?? '')
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Fold a content line at 75 octets, without splitting multi-byte characters
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// UTC date-time in iCalendar form, e.g. 20261019T090000Z
+export const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Build a VCALENDAR. Each event is { uid, start, end, summary, description, ... } with values already in iCalendar form where noted.
+export const buildCalendar = ({ name, description, refreshMinutes, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bulwark CMS//Reminders//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(event.stamp || new Date())}`);
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.priority) {
+      lines.push(`PRIORITY:${event.priority}`);
+    }
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Split a content line into name, parameters and value, e.g. DTSTART;TZID=Europe/London:20261019T090000
+const parseLine = (line) => {
+  // The value starts at the first colon that is not inside a quoted parameter value
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Read a DATE or DATE-TIME value. Floating times use the TZID, or `defaultTimeZone` when there is none or it is not one we know.
+// All-day dates are placed at `allDayTime` (HH:MM) in that zone.
+const parseDateValue = (property, defaultTimeZone, allDayTime) => {
+  const { value, params } = property;
+  const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (dateOnly || params.VALUE === 'DATE') {
+    const [, year, month, day] = (dateOnly || /^(\d{4})(\d{2})(\d{2})/.exec(value) || []).map(Number);
+    if (!year) {
+      return null;
+    }
+    const [hour, minute] = allDayTime.split(':').map(Number);
+    return { date: zonedTimeToUtc(year, month, day, hour, minute, timeZone), allDay: true };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match.slice(0, 7).map(Number);
+  const date = match[7]
+    ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+    : zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+  return { date, allDay: false };
+};
+
+// Read the VEVENTs of an iCalendar file. Events without a usable DTSTART come back with an `error`.
+export const parseCalendarEvents = (text, { timeZone = 'UTC', allDayTime = '09:00' } = {}) => {
+  // Unfold continuation lines, which start with a space or tab
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    const error = new Error('The file is not an iCalendar (.ics) file');
+    error.code = 'INVALID_CALENDAR';
+    throw error;
+  }
+
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trimEnd();
+    if (!line) {
+      continue;
+    }
+    const upper = line.toUpperCase();
+
+    if (upper === 'BEGIN:VEVENT') {
+      current = {};
+      nestedDepth = 0;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    if (upper === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+      continue;
+    }
+    // Skip components nested in the event, such as VALARM
+    if (upper.startsWith('BEGIN:')) {
+      nestedDepth++;
+      continue;
+    }
+    if (upper.startsWith('END:')) {
+      nestedDepth--;
+      continue;
+    }
+    if (nestedDepth > 0) {
+      continue;
+    }
+
+    const property = parseLine(line);
+    if (property && current[property.name] === undefined) {
+      current[property.name] = property;
+    }
+  }
+
+  return events.map((event, index) => {
+    const start = event.DTSTART ? parseDateValue(event.DTSTART, timeZone, allDayTime) : null;
+    const eventTimeZone = event.DTSTART?.params.TZID && isValidTimeZone(event.DTSTART.params.TZID)
+      ? event.DTSTART.params.TZID
+      : timeZone;
+
+    return {
+      index: index + 1,
+      uid: event.UID?.value || null,
+      summary: event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : '',
+      description: event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value).trim() : '',
+      location: event.LOCATION ? unescapeText(event.LOCATION.value).trim() : '',
+      status: event.STATUS?.value.toUpperCase() || null,
+      priority: event.PRIORITY ? parseInt(event.PRIORITY.value) || 0 : 0,
+      rrule: event.RRULE?.value || null,
+      // Set on changed instances of a repeating event, which share the UID of the series
+      recurrenceId: event['RECURRENCE-ID']?.value || null,
+      start: start?.date || null,
+      allDay: start?.allDay || false,
+      timeZone: eventTimeZone,
+      error: start ? null : 'Event has no valid start date (DTSTART)'
+    };
+  });
+};
+
+export default {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  buildCalendar,
+  parseCalendarEvents
+};
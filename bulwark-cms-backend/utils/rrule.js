@@ -0,0 +1,287 @@
+// RRULE-style recurrence rules (a subset of RFC 5545) for repeating reminders:
+// FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT or UNTIL, and BYDAY (MO,TH for daily and weekly rules, 2TU or -1FR for monthly ones)
+import { zonedParts } from './cron.js';
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 1000;
+
+// Stop looking for a next occurrence this many years past the search point
+const MAX_SEARCH_YEARS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rruleError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_RECURRENCE';
+  return error;
+};
+
+// Function to read a BYDAY entry such as "MO", "2TU" or "-1FR"
+const parseByDay = (text, freq) => {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(text);
+  const weekday = match ? WEEKDAY_CODES.indexOf(match[2]) : -1;
+  if (weekday < 0) {
+    throw rruleError(`"${text}" is not a valid BYDAY value`);
+  }
+
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null) {
+    if (freq !== 'MONTHLY') {
+      throw rruleError('Numbered weekdays such as 2TU are only supported on monthly rules');
+    }
+    if (ordinal === 0 || ordinal < -5 || ordinal > 5) {
+      throw rruleError(`"${text}" must use a week number between 1 and 5 (or -1 to -5 from the end of the month)`);
+    }
+  }
+
+  return { weekday, ordinal };
+};
+
+// UNTIL is either a date (20271231, inclusive in the rule's time zone) or a UTC instant (20271231T170000Z)
+const parseUntil = (text) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(text);
+  if (!match) {
+    throw rruleError('UNTIL must be a date (YYYYMMDD) or a UTC time (YYYYMMDDTHHMMSSZ)');
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw rruleError(`"${text}" is not a valid UNTIL date`);
+  }
+
+  return match[4] === undefined
+    ? { date: dayNumber(year, month, day) }
+    : { instant: new Date(Date.UTC(year, month - 1, day, hour, minute, second)) };
+};
+
+// Parse a rule such as "FREQ=MONTHLY;INTERVAL=3;COUNT=4"; throws an error with code INVALID_RECURRENCE when it is not valid
+export const parseRRule = (text) => {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '').toUpperCase();
+  if (!source) {
+    throw rruleError('Recurrence rule is empty');
+  }
+
+  const parts = {};
+  for (const part of source.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw rruleError(`"${part}" is not a valid rule part`);
+    }
+    if (parts[key] !== undefined) {
+      throw rruleError(`${key} is given more than once`);
+    }
+    parts[key] = value;
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY'].includes(key));
+  if (unsupported.length > 0) {
+    throw rruleError(`Unsupported rule part(s): ${unsupported.join(', ')}`);
+  }
+
+  const freq = parts.FREQ;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    throw rruleError(`FREQ must be one of ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw rruleError(`INTERVAL must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw rruleError('A rule can have COUNT or UNTIL, not both');
+  }
+
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+    throw rruleError(`COUNT must be a whole number between 1 and ${MAX_COUNT}`);
+  }
+
+  if (parts.BYDAY !== undefined && freq === 'YEARLY') {
+    throw rruleError('BYDAY is not supported on yearly rules');
+  }
+  const byDay = parts.BYDAY === undefined ? [] : parts.BYDAY.split(',').map(value => parseByDay(value, freq));
+
+  return {
+    freq,
+    interval,
+    count,
+    until: parts.UNTIL === undefined ? null : parseUntil(parts.UNTIL),
+    untilText: parts.UNTIL || null,
+    byDay
+  };
+};
+
+// Canonical text for a parsed rule, which is what gets stored
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAY_CODES[day.weekday]}`).join(',')}`);
+  }
+  if (rule.count !== null) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.untilText) {
+    parts.push(`UNTIL=${rule.untilText}`);
+  }
+  return parts.join(';');
+};
+
+// Parse and re-format a rule; throws INVALID_RECURRENCE like parseRRule
+export const normaliseRRule = (text) => formatRRule(parseRRule(text));
+
+// Days since the epoch for a calendar date, so dates can be compared and stepped without time zones getting involved
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (number) => {
+  const date = new Date(number * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const weekdayOf = (number) => new Date(number * DAY_MS).getUTCDay();
+
+// The instant a wall-clock time in a time zone refers to
+export const zonedTimeToUtc = (year, month, day, hour, minute, timeZone = 'UTC') => {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = target;
+  // Two passes settle the offset, including on the days clocks change
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = zonedParts(new Date(guess), timeZone);
+    guess += target - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  }
+  return new Date(guess);
+};
+
+// Days of one month matching the BYDAY entries, in order
+const monthlyByDay = (year, month, byDay) => {
+  const first = dayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+  const days = new Set();
+
+  for (const { weekday, ordinal } of byDay) {
+    const matches = [];
+    for (let offset = (weekday - weekdayOf(first) + 7) % 7; offset < length; offset += 7) {
+      matches.push(first + offset);
+    }
+    if (ordinal === null) {
+      matches.forEach(day => days.add(day));
+    } else {
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (match !== undefined) {
+        days.add(match);
+      }
+    }
+  }
+
+  return [...days].sort((a, b) => a - b);
+};
+
+// The period `index` intervals after the start (a day, week, month or year): the day it begins and the candidate dates in it
+const period = (rule, start, index) => {
+  const step = index * rule.interval;
+  const weekdays = new Set(rule.byDay.map(day => day.weekday));
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = start.dayNumber + step;
+      return { firstDay: day, days: weekdays.size === 0 || weekdays.has(weekdayOf(day)) ? [day] : [] };
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const monday = start.dayNumber - ((start.weekday + 6) % 7) + step * 7;
+      const days = weekdays.size === 0 ? [start.weekday] : [...weekdays];
+      return { firstDay: monday, days: days.map(weekday => monday + ((weekday + 6) % 7)).sort((a, b) => a - b) };
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.year * 12 + (start.month - 1) + step;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (rule.byDay.length > 0) {
+        return { firstDay: dayNumber(year, month, 1), days: monthlyByDay(year, month, rule.byDay) };
+      }
+      // The 31st falls on the last day of shorter months rather than being skipped
+      return { firstDay: dayNumber(year, month, 1), days: [dayNumber(year, month, Math.min(start.day, daysInMonth(year, month)))] };
+    }
+    default: {
+      // YEARLY; 29 February falls on the 28th in other years
+      const year = start.year + step;
+      return { firstDay: dayNumber(year, 1, 1), days: [dayNumber(year, start.month, Math.min(start.day, daysInMonth(year, start.month)))] };
+    }
+  }
+};
+
+// First occurrence after `after` of a rule starting at `startDate`, with its 1-based position in the series.
+// The start is always the first occurrence and sets the time of day. Returns null once the rule has ended (COUNT or UNTIL).
+export const getNextOccurrence = (ruleText, startDate, after = new Date(), timeZone = 'UTC') => {
+  const rule = typeof ruleText === 'string' ? parseRRule(ruleText) : ruleText;
+  const startParts = zonedParts(startDate, timeZone);
+  const start = { ...startParts, dayNumber: dayNumber(startParts.year, startParts.month, startParts.day) };
+
+  const afterParts = zonedParts(after, timeZone);
+  const afterDay = dayNumber(afterParts.year, afterParts.month, afterParts.day);
+  const lastDay = Math.max(afterDay, start.dayNumber) + MAX_SEARCH_YEARS * 366;
+
+  let position = 0;
+  // Returns the occurrence when `day` is the answer, false when the rule has ended and null to keep looking
+  const check = (day) => {
+    position++;
+    if (rule.count !== null && position > rule.count) {
+      return false;
+    }
+    if (rule.until?.date !== undefined && day > rule.until.date) {
+      return false;
+    }
+    // Days before the search point can't be the answer, so skip working out their time
+    if (day < afterDay) {
+      return null;
+    }
+
+    const { year, month, day: dayOfMonth } = fromDayNumber(day);
+    const date = zonedTimeToUtc(year, month, dayOfMonth, start.hour, start.minute, timeZone);
+    if (rule.until?.instant && date > rule.until.instant) {
+      return false;
+    }
+    return date > after ? { date, position } : null;
+  };
+
+  const first = check(start.dayNumber);
+  if (first !== null) {
+    return first || null;
+  }
+
+  for (let index = 0; ; index++) {
+    const { firstDay, days } = period(rule, start, index);
+    if (firstDay > lastDay) {
+      return null;
+    }
+
+    for (const day of days) {
+      if (day <= start.dayNumber) {
+        continue;
+      }
+      const result = check(day);
+      if (result !== null) {
+        return result || null;
+      }
+    }
+  }
+};
+
+export default {
+  RECURRENCE_FREQUENCIES,
+  parseRRule,
+  formatRRule,
+  normaliseRRule,
+  zonedTimeToUtc,
+  getNextOccurrence
+};
@@ -1,7 +1,8 @@
 import bcrypt from 'bcryptjs';
 import { eq } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { users, products, contentCategories, goals } from '../models/schema.js';
+import { users, products, productCommissionRates, contentCategories, goals, opportunityStages } from '../models/schema.js';
+import { DEFAULT_OPPORTUNITY_STAGES } from '../services/opportunityService.js';
 
 async function seedDatabase() {
   console.log('🌱 Starting database seeding...');
@@ -37,11 +38,17 @@ async function seedDatabase() {
     ];
 
     for (const product of defaultProducts) {
-      await db.insert(products).values({
+      const [createdProduct] = await db.insert(products).values({
         ...product,
         createdAt: new Date(),
         updatedAt: new Date()
-      });
+      }).returning();
+
+      // Default commission schedule so agents can record sales straight away
+      await db.insert(productCommissionRates).values([
+        { productId: createdProduct.id, commissionType: 'first_year', rate: 10, effectiveFrom: '2020-01-01' },
+        { productId: createdProduct.id, commissionType: 'renewal', rate: 5, effectiveFrom: '2020-01-01' }
+      ]);
     }
     console.log('✅ Products created successfully');
 
@@ -75,15 +82,23 @@ async function seedDatabase() {
       }
     ];
 
-    for (const category of defaultCategories) {
+    for (const [index, category] of defaultCategories.entries()) {
       await db.insert(contentCategories).values({
         ...category,
+        position: index + 1,
         createdAt: new Date(),
         updatedAt: new Date()
       });
     }
     console.log('✅ Content categories created successfully');
 
+    // Create default sales pipeline stages
+    console.log('🗂️ Creating default opportunity stages...');
+    await db.insert(opportunityStages)
+      .values(DEFAULT_OPPORTUNITY_STAGES)
+      .onConflictDoNothing({ target: opportunityStages.key });
+    console.log('✅ Opportunity stages created successfully');
+
     // Create default manager user
     console.log('👤 Creating default manager user...');
     
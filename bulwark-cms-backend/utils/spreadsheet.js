@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+
+// Function to normalise a column header for matching, e.g. "Policy No." -> "policyno"
+export const normaliseHeader = (header) => {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+// Function to turn an exceljs cell value into a plain string, number or Date
+const cellToValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+  if (value.richText) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if (value.text !== undefined) {
+    return value.text;
+  }
+  if (value.result !== undefined) {
+    return value.result;
+  }
+  return String(value);
+};
+
+const readCsvRows = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+const readXlsxRows = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber] = String(cellToValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const record = {};
+    headers.forEach((header, colNumber) => {
+      if (header) {
+        record[header] = cellToValue(row.getCell(colNumber).value);
+      }
+    });
+    rows.push(record);
+  });
+
+  return rows;
+};
+
+// Read the first sheet of a CSV or XLSX file into an array of objects keyed by the header row
+export const readSpreadsheetRows = async (filePath, originalName = filePath) => {
+  const extension = path.extname(originalName).toLowerCase();
+
+  if (extension === '.csv') {
+    return readCsvRows(filePath);
+  }
+  if (extension === '.xlsx') {
+    return readXlsxRows(filePath);
+  }
+
+  const error = new Error('Only .csv and .xlsx files are supported');
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  throw error;
+};
+
+// Pick the value of the first column whose header matches one of the aliases (in alias order)
+export const pickColumn = (row, aliases) => {
+  const entries = Object.entries(row).map(([header, value]) => [normaliseHeader(header), value]);
+  for (const alias of aliases.map(normaliseHeader)) {
+    const match = entries.find(([header, value]) => header === alias && value !== '' && value !== null && value !== undefined);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+// Function to parse amounts such as "$1,234.50" or "(45.00)"; returns null if there is no number
+export const parseAmount = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value || '').trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) {
+    return null;
+  }
+  return negative ? -amount : amount;
+};
+
+// Function to normalise a spreadsheet date cell to YYYY-MM-DD, or null if it is not a date
+export const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Quote a value for CSV output, doubling any embedded quotes
+// Text that a spreadsheet would read as a formula gets a leading ' so it shows as text; plain
+// numbers such as -12.50 are left alone so they stay numbers
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build one CSV line (without the line break) from an array of values
+export const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+// Build a CSV document from a header row and an array of value arrays
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows].map(toCsvLine).join('\n') + '\n';
+};
+
+export default {
+  normaliseHeader,
+  readSpreadsheetRows,
+  pickColumn,
+  parseAmount,
+  parseDate,
+  toCsvLine,
+  toCsv
+};
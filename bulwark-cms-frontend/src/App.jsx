@@ -6,15 +6,26 @@ import { GoalsProvider } from './contexts/GoalsContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import LoginForm from './components/LoginForm';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
 import Dashboard from './components/CleanDashboard';
 import ClientsManagement from './components/ClientsManagement';
+import DuplicateClients from './components/DuplicateClients';
 import SalesTracking from './components/SalesTracking';
+import OpportunityPipeline from './components/OpportunityPipeline';
 import RemindersManagement from './components/RemindersManagement';
 import GoalsTracking from './components/GoalsTracking';
 import Reports from './components/Reports';
+import ScheduledReports from './components/ScheduledReports';
+import BackgroundJobs from './components/BackgroundJobs';
 import TeamManagement from './components/TeamManagement';
+import OrgChart from './components/OrgChart';
 import ContentManagement from './components/ContentManagement';
 import UserProfile from './components/UserProfile';
+import AuditLog from './components/AuditLog';
+import RolesManagement from './components/RolesManagement';
+import ProductCatalog from './components/ProductCatalog';
+import CommissionReconciliation from './components/CommissionReconciliation';
 import InstallPrompt from './components/InstallPrompt';
 import { Toaster } from 'sonner';
 import './App.css';
@@ -27,6 +38,8 @@ function App() {
           <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
             <Routes>
               <Route path="/login" element={<LoginForm />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
               <Route
                 path="/dashboard"
@@ -48,6 +61,16 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/clients/duplicates"
+                element={
+                  <ProtectedRoute requirePermission="clients.merge">
+                    <Layout>
+                      <DuplicateClients />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/sales"
                 element={
@@ -58,6 +81,16 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/pipeline"
+                element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <OpportunityPipeline />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/reminders"
                 element={
@@ -88,16 +121,46 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/reports/scheduled"
+                element={
+                  <ProtectedRoute requirePermission="reports.schedule">
+                    <Layout>
+                      <ScheduledReports />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/jobs"
+                element={
+                  <ProtectedRoute requirePermission="jobs.manage">
+                    <Layout>
+                      <BackgroundJobs />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/team"
                 element={
-                  <ProtectedRoute requireManager>
+                  <ProtectedRoute requirePermission="reports.view_team">
                     <Layout>
                       <TeamManagement />
                     </Layout>
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/org-chart"
+                element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <OrgChart />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/content"
                 element={
@@ -108,6 +171,46 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/products"
+                element={
+                  <ProtectedRoute requirePermission="products.manage">
+                    <Layout>
+                      <ProductCatalog />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/commissions"
+                element={
+                  <ProtectedRoute requirePermission="commissions.reconcile">
+                    <Layout>
+                      <CommissionReconciliation />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/audit"
+                element={
+                  <ProtectedRoute requirePermission="audit.view">
+                    <Layout>
+                      <AuditLog />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/roles"
+                element={
+                  <ProtectedRoute requirePermission="roles.manage">
+                    <Layout>
+                      <RolesManagement />
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/profile"
                 element={
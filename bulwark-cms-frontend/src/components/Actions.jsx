@@ -27,7 +27,8 @@ import { ticketsAPI } from '@/lib/api';
 import { toast } from 'sonner';
 
 const Actions = () => {
-  const { user, isManager } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canSeeAllTickets = hasPermission('reminders.edit_others');
   const [tickets, setTickets] = useState([]);
   const [filteredTickets, setFilteredTickets] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -168,7 +169,7 @@ const Actions = () => {
     }
     
     // Apply role-based filtering
-    if (!isManager) {
+    if (!canSeeAllTickets) {
       // Agents can only see tickets assigned to them or created by them
       filtered = filtered.filter(ticket => 
         ticket.assigned_to === user?.email || 
@@ -443,7 +444,7 @@ const Actions = () => {
       <div className="bg-blue-50 p-4 rounded-lg">
         <p className="text-blue-800">
           Showing {filteredTickets.length} of {tickets.length} tickets
-          {!isManager && ' (your assigned tickets only)'}
+          {!canSeeAllTickets && ' (your assigned tickets only)'}
         </p>
       </div>
 
@@ -594,7 +595,8 @@ const Actions = () => {
 };
 
 const CreateTicketForm = ({ onCreateTicket, onCancel }) => {
-  const { user, isManager } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canAssignAgents = hasPermission('reminders.reassign');
   const [formData, setFormData] = useState({
     subject: '',
     description: '',
@@ -669,7 +671,7 @@ const CreateTicketForm = ({ onCreateTicket, onCancel }) => {
               <SelectValue placeholder="Select recipient" />
             </SelectTrigger>
             <SelectContent>
-              {isManager ? (
+              {canAssignAgents ? (
                 <>
                   <SelectItem value="agent1@bulwark.com">Agent 1</SelectItem>
                   <SelectItem value="agent2@bulwark.com">Agent 2</SelectItem>
@@ -0,0 +1,399 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { auditAPI, userProfileAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { ChevronLeft, ChevronRight, History, RefreshCw } from 'lucide-react';
+
+const ENTITY_TYPES = [
+  { value: 'client', label: 'Client' },
+  { value: 'client_note', label: 'Client Note' },
+  { value: 'client_relationship', label: 'Client Relationship' },
+  { value: 'sale', label: 'Sale' },
+  { value: 'goal', label: 'Goal' },
+  { value: 'user', label: 'User' },
+  { value: 'team', label: 'Team' },
+  { value: 'team_member', label: 'Team Member' },
+  { value: 'reminder', label: 'Reminder' },
+  { value: 'reminder_series', label: 'Reminder Series' },
+  { value: 'content', label: 'Content' },
+  { value: 'product', label: 'Product' },
+  { value: 'commission_rate', label: 'Commission Rate' },
+  { value: 'commission_statement', label: 'Commission Statement' },
+  { value: 'commission_statement_line', label: 'Commission Statement Line' },
+  { value: 'opportunity', label: 'Opportunity' },
+  { value: 'opportunity_stage', label: 'Opportunity Stage' },
+  { value: 'scheduled_report', label: 'Scheduled Report' },
+  { value: 'role', label: 'Role' },
+  { value: 'content_category', label: 'Content Category' }
+];
+
+const ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'import',
+  'complete',
+  'snooze',
+  'reassign',
+  'deactivate',
+  'reactivate',
+  'archive',
+  'restore',
+  'cancel',
+  'lapse',
+  'reinstate',
+  'renew',
+  'stage_change',
+  'issue',
+  'merge',
+  'dismiss',
+  'transfer',
+  'change_password',
+  'reset_password',
+  'reset_2fa'
+];
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  import: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  update: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  complete: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  snooze: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  reassign: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  delete: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  deactivate: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  archive: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  cancel: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  lapse: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  renew: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  stage_change: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  issue: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  merge: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+};
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = {
+  entityType: 'all',
+  entityId: '',
+  actorId: 'all',
+  action: 'all',
+  startDate: '',
+  endDate: ''
+};
+
+const formatLabel = (value) => value.replace(/_/g, ' ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const actorName = (event) => {
+  if (!event.actor?.id) {
+    return 'System';
+  }
+  return `${event.actor.firstName} ${event.actor.lastName}`;
+};
+
+// Short description of what changed, shown in the table row
+const summarizeChanges = (event) => {
+  const fields = Object.keys(event.changes || {});
+  if (event.action === 'create' || event.action === 'import' || event.action === 'delete') {
+    return `${fields.length} field${fields.length === 1 ? '' : 's'}`;
+  }
+  if (fields.length === 0) {
+    return '—';
+  }
+  return fields.slice(0, 3).join(', ') + (fields.length > 3 ? ` +${fields.length - 3} more` : '');
+};
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        const response = await userProfileAPI.getUsers({ limit: 100 });
+        setUsers(response.data.users || []);
+      } catch (error) {
+        console.error('Failed to load users for audit filters:', error);
+      }
+    };
+    loadUsers();
+  }, []);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      if (filters.entityType !== 'all') params.entityType = filters.entityType;
+      if (filters.entityId) params.entityId = filters.entityId;
+      if (filters.actorId !== 'all') params.actorId = filters.actorId;
+      if (filters.action !== 'all') params.action = filters.action;
+      if (filters.startDate) params.startDate = filters.startDate;
+      if (filters.endDate) params.endDate = filters.endDate;
+
+      const response = await auditAPI.getEvents(params);
+      setEvents(response.data.events || []);
+      setPagination(response.data.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Failed to load audit events:', error);
+      toast.error(error.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, filters]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const resetFilters = () => {
+    setFilters(emptyFilters);
+    setPage(1);
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Audit Log</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Every change to clients, sales, goals, users, reminders, content and products
+          </p>
+        </div>
+        <Button variant="outline" onClick={loadEvents} disabled={loading} className="w-full sm:w-auto">
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-4">
+            <div className="space-y-2">
+              <Label>Entity</Label>
+              <Select value={filters.entityType} onValueChange={(value) => updateFilter('entityType', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All entities</SelectItem>
+                  {ENTITY_TYPES.map(type => (
+                    <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-entity-id">Entity ID</Label>
+              <Input
+                id="audit-entity-id"
+                type="number"
+                min="1"
+                value={filters.entityId}
+                onChange={(e) => updateFilter('entityId', e.target.value)}
+                placeholder="Any"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>User</Label>
+              <Select value={filters.actorId} onValueChange={(value) => updateFilter('actorId', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All users</SelectItem>
+                  {users.map(user => (
+                    <SelectItem key={user.id} value={user.id.toString()}>
+                      {user.firstName} {user.lastName}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Action</Label>
+              <Select value={filters.action} onValueChange={(value) => updateFilter('action', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All actions</SelectItem>
+                  {ACTIONS.map(action => (
+                    <SelectItem key={action} value={action} className="capitalize">{formatLabel(action)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-start-date">From</Label>
+              <Input
+                id="audit-start-date"
+                type="date"
+                value={filters.startDate}
+                onChange={(e) => updateFilter('startDate', e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-end-date">To</Label>
+              <Input
+                id="audit-end-date"
+                type="date"
+                value={filters.endDate}
+                onChange={(e) => updateFilter('endDate', e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end mt-4">
+            <Button variant="ghost" size="sm" onClick={resetFilters}>
+              Clear filters
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Events
+          </CardTitle>
+          <CardDescription>{pagination.total} event{pagination.total === 1 ? '' : 's'} found</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : events.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No audit events match these filters</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>When</TableHead>
+                    <TableHead>User</TableHead>
+                    <TableHead>Action</TableHead>
+                    <TableHead>Entity</TableHead>
+                    <TableHead>Changes</TableHead>
+                    <TableHead>IP Address</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {events.map(event => (
+                    <TableRow
+                      key={event.id}
+                      className="cursor-pointer"
+                      onClick={() => setSelectedEvent(event)}
+                    >
+                      <TableCell className="whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</TableCell>
+                      <TableCell>{actorName(event)}</TableCell>
+                      <TableCell>
+                        <Badge variant="secondary" className={`capitalize ${ACTION_STYLES[event.action] || ''}`}>
+                          {formatLabel(event.action)}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="capitalize">
+                        {formatLabel(event.entityType)} {event.entityId ? `#${event.entityId}` : ''}
+                      </TableCell>
+                      <TableCell className="text-sm text-gray-600 dark:text-gray-300">{summarizeChanges(event)}</TableCell>
+                      <TableCell className="text-sm text-gray-600 dark:text-gray-300">{event.ipAddress || '—'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Page {pagination.page} of {pagination.pages}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setPage(p => p - 1)} disabled={page <= 1 || loading}>
+                  <ChevronLeft className="h-4 w-4" />
+                  Previous
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => setPage(p => p + 1)} disabled={page >= pagination.pages || loading}>
+                  Next
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!selectedEvent} onOpenChange={(open) => !open && setSelectedEvent(null)}>
+        <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+          {selectedEvent && (
+            <>
+              <DialogHeader>
+                <DialogTitle className="capitalize">
+                  {formatLabel(selectedEvent.action)} {formatLabel(selectedEvent.entityType)}
+                  {selectedEvent.entityId ? ` #${selectedEvent.entityId}` : ''}
+                </DialogTitle>
+                <DialogDescription>
+                  By {actorName(selectedEvent)} on {new Date(selectedEvent.createdAt).toLocaleString()}
+                  {selectedEvent.ipAddress ? ` from ${selectedEvent.ipAddress}` : ''}
+                </DialogDescription>
+              </DialogHeader>
+
+              {Object.keys(selectedEvent.changes || {}).length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No field changes were recorded for this event.</p>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Field</TableHead>
+                      <TableHead>Before</TableHead>
+                      <TableHead>After</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {Object.entries(selectedEvent.changes).map(([field, change]) => (
+                      <TableRow key={field}>
+                        <TableCell className="font-medium">{field}</TableCell>
+                        <TableCell className="text-sm text-red-700 dark:text-red-300 break-all">{formatValue(change.from)}</TableCell>
+                        <TableCell className="text-sm text-green-700 dark:text-green-300 break-all">{formatValue(change.to)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,318 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { jobsAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Cog, History, Play, RefreshCw, RotateCcw } from 'lucide-react';
+
+const JOB_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const RUNS_PER_PAGE = 25;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const jobLabel = (name) => name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const summariseResult = (result) => {
+  if (!result || typeof result !== 'object') {
+    return '';
+  }
+  return Object.entries(result).map(([key, value]) => `${key}: ${value}`).join(', ');
+};
+
+const StatusBadge = ({ status }) => (
+  <Badge className={`capitalize ${JOB_STATUS_STYLES[status] || ''}`}>{status}</Badge>
+);
+
+// Status page for the background job queue (managers only)
+const BackgroundJobs = () => {
+  const [status, setStatus] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState({ name: 'all', status: 'all' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await jobsAPI.getStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load job status:', error);
+      toast.error('Failed to load job status');
+    }
+  }, []);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const params = { page, limit: RUNS_PER_PAGE };
+      if (filters.name !== 'all') params.name = filters.name;
+      if (filters.status !== 'all') params.status = filters.status;
+
+      const response = await jobsAPI.getJobs(params);
+      setRuns(response.data.jobs || []);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Failed to load job runs:', error);
+      toast.error('Failed to load job runs');
+    }
+  }, [page, filters]);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    await Promise.all([loadStatus(), loadRuns()]);
+    setLoading(false);
+  }, [loadStatus, loadRuns]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleRun = async (name) => {
+    setBusyKey(name);
+    try {
+      await jobsAPI.runJob(name);
+      toast.success(`${jobLabel(name)} queued`);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to queue job');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleRetry = async (job) => {
+    setBusyKey(job.id);
+    try {
+      await jobsAPI.retryJob(job.id);
+      toast.success(`${jobLabel(job.name)} queued for retry`);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to retry job');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Background Jobs</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Reminder notifications, scheduled reports, renewals and nightly maintenance
+          </p>
+        </div>
+        <Button variant="outline" onClick={refresh} disabled={loading} className="w-full sm:w-auto">
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Cog className="h-5 w-5" />
+            Jobs
+          </CardTitle>
+          <CardDescription>
+            {status
+              ? `Schedules run in ${status.timeZone}. This server (${status.worker}) checks the queue every ${Math.round(status.pollIntervalMs / 1000)} seconds.`
+              : 'Loading job schedules...'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {!status ? (
+            <div className="flex items-center justify-center h-24">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Job</TableHead>
+                    <TableHead>Schedule</TableHead>
+                    <TableHead>Next Run</TableHead>
+                    <TableHead>Last Run</TableHead>
+                    <TableHead className="text-right">Failures (24h)</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {status.jobs.map(job => (
+                    <TableRow key={job.name}>
+                      <TableCell>
+                        <div className="font-medium">{jobLabel(job.name)}</div>
+                        <div className="text-xs text-muted-foreground">{job.description}</div>
+                      </TableCell>
+                      <TableCell className="font-mono text-sm whitespace-nowrap">{job.schedule}</TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {job.running.length > 0 ? (
+                          <StatusBadge status="running" />
+                        ) : (
+                          formatDateTime(job.nextRunAt)
+                        )}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {job.lastRun ? (
+                          <div className="flex items-center gap-2">
+                            <StatusBadge status={job.lastRun.status} />
+                            <span className="text-sm">{formatDateTime(job.lastRun.completedAt)}</span>
+                          </div>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell className={`text-right ${job.failuresLast24h > 0 ? 'text-red-600 dark:text-red-400 font-medium' : ''}`}>
+                        {job.failuresLast24h}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleRun(job.name)}
+                          disabled={busyKey === job.name}
+                        >
+                          <Play className="h-4 w-4 mr-1" />
+                          Run Now
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <History className="h-5 w-5" />
+                Recent Runs
+              </CardTitle>
+              <CardDescription>{pagination.total} run(s) kept in the queue</CardDescription>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Select value={filters.name} onValueChange={(value) => handleFilterChange('name', value)}>
+                <SelectTrigger className="w-full sm:w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All jobs</SelectItem>
+                  {(status?.jobs || []).map(job => (
+                    <SelectItem key={job.name} value={job.name}>{jobLabel(job.name)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={filters.status} onValueChange={(value) => handleFilterChange('status', value)}>
+                <SelectTrigger className="w-full sm:w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All statuses</SelectItem>
+                  {Object.keys(JOB_STATUS_STYLES).map(value => (
+                    <SelectItem key={value} value={value} className="capitalize">{value}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {runs.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No job runs match these filters</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Job</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Run At</TableHead>
+                    <TableHead>Finished</TableHead>
+                    <TableHead className="text-right">Attempts</TableHead>
+                    <TableHead>Details</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {runs.map(job => (
+                    <TableRow key={job.id}>
+                      <TableCell className="whitespace-nowrap">
+                        <div className="font-medium">{jobLabel(job.name)}</div>
+                        {job.creatorFirstName && (
+                          <div className="text-xs text-muted-foreground">
+                            Run by {[job.creatorFirstName, job.creatorLastName].filter(Boolean).join(' ')}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell><StatusBadge status={job.status} /></TableCell>
+                      <TableCell className="whitespace-nowrap">{formatDateTime(job.runAt)}</TableCell>
+                      <TableCell className="whitespace-nowrap">{formatDateTime(job.completedAt)}</TableCell>
+                      <TableCell className="text-right">{job.attempts} / {job.maxAttempts}</TableCell>
+                      <TableCell className="text-sm max-w-md">
+                        {job.lastError ? (
+                          <span className="text-red-600 dark:text-red-400">{job.lastError}</span>
+                        ) : (
+                          <span className="text-muted-foreground">
+                            {job.status === 'running' ? `Running on ${job.lockedBy}` : summariseResult(job.result)}
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {job.status === 'failed' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleRetry(job)}
+                            disabled={busyKey === job.id}
+                          >
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                            Retry
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between pt-4">
+              <p className="text-sm text-muted-foreground">Page {pagination.page} of {pagination.pages}</p>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                  Previous
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default BackgroundJobs;
@@ -42,7 +42,8 @@ import {
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
 
 const CleanDashboard = () => {
-  const { user, loading: authLoading } = useAuth();
+  const { user, hasPermission, loading: authLoading } = useAuth();
+  const canViewTeam = hasPermission('reports.view_team');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [viewMode, setViewMode] = useState('individual'); // 'individual' or 'overall'
@@ -78,7 +79,7 @@ const CleanDashboard = () => {
       }, 30000); // 30 second timeout
 
       // Determine if we should fetch individual or overall data
-      const shouldFetchOverall = viewMode === 'overall' && user?.role === 'manager';
+      const shouldFetchOverall = viewMode === 'overall' && canViewTeam;
 
 
 
@@ -222,7 +223,7 @@ const CleanDashboard = () => {
       clearTimeout(timeoutId);
       setLoading(false);
     }
-  }, [user?.id, viewMode, user?.role]);
+  }, [user?.id, viewMode, canViewTeam]);
 
   // Add useEffect after fetchDashboardData is defined
   useEffect(() => {
@@ -370,7 +371,7 @@ const CleanDashboard = () => {
           </p>
         </div>
         
-        {user?.role === 'manager' && (
+        {canViewTeam && (
           <div className="flex items-center space-x-2">
             <span className="text-sm text-muted-foreground">View:</span>
             <Button
@@ -444,7 +445,7 @@ const CleanDashboard = () => {
       </div>
 
       {/* Agent Performance Metrics */}
-      {user?.role === 'manager' && viewMode === 'overall' && (
+      {canViewTeam && viewMode === 'overall' && (
         <div className="space-y-3">
           <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Top 5 Agents This Month</h2>
           <Card className="bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 shadow-lg rounded-xl">
@@ -0,0 +1,270 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { clientsAPI } from '../lib/api.js';
+import { formatCurrency } from '../lib/utils';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Home, Link2, Unlink, User } from 'lucide-react';
+
+// A relationship row reads "client is the <type> of related client".
+// What the client is to the related client, and what the related client is to the client:
+const SUBJECT_LABELS = {
+  spouse: 'Spouse',
+  child: 'Child',
+  beneficiary: 'Beneficiary',
+  employer_of: 'Employer',
+  referred_by: 'Referral'
+};
+
+const OBJECT_LABELS = {
+  spouse: 'Spouse',
+  child: 'Parent',
+  beneficiary: 'Insured',
+  employer_of: 'Employee',
+  referred_by: 'Referrer'
+};
+
+const HOUSEHOLD_TYPES = ['spouse', 'child'];
+
+// Options for "the other client is this client's ...": isSubject means the other client is the row's client
+const LINK_OPTIONS = [
+  { value: 'spouse:subject', label: 'Spouse', relationshipType: 'spouse', isSubject: true },
+  { value: 'child:subject', label: 'Child', relationshipType: 'child', isSubject: true },
+  { value: 'child:object', label: 'Parent', relationshipType: 'child', isSubject: false },
+  { value: 'beneficiary:subject', label: 'Beneficiary', relationshipType: 'beneficiary', isSubject: true },
+  { value: 'beneficiary:object', label: 'Insured (this client is their beneficiary)', relationshipType: 'beneficiary', isSubject: false },
+  { value: 'employer_of:subject', label: 'Employer', relationshipType: 'employer_of', isSubject: true },
+  { value: 'employer_of:object', label: 'Employee', relationshipType: 'employer_of', isSubject: false },
+  { value: 'referred_by:object', label: 'Referred this client', relationshipType: 'referred_by', isSubject: false },
+  { value: 'referred_by:subject', label: 'Referred by this client', relationshipType: 'referred_by', isSubject: true }
+];
+
+// Turn the household's relationships into a tree rooted at the viewed client
+const buildTree = (rootId, rootName, relationships) => {
+  const visited = new Set([rootId]);
+  const root = { id: rootId, name: rootName, children: [] };
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    // Only household links are followed past the viewed client
+    const links = relationships.filter(link =>
+      (link.clientId === node.id || link.relatedClientId === node.id) &&
+      (node.id === rootId || HOUSEHOLD_TYPES.includes(link.relationshipType))
+    );
+
+    for (const link of links) {
+      const otherIsSubject = link.relatedClientId === node.id;
+      const otherId = otherIsSubject ? link.clientId : link.relatedClientId;
+      if (visited.has(otherId)) continue;
+      visited.add(otherId);
+
+      const child = {
+        id: otherId,
+        name: otherIsSubject ? link.clientName : link.relatedClientName,
+        label: otherIsSubject ? SUBJECT_LABELS[link.relationshipType] : OBJECT_LABELS[link.relationshipType],
+        isHousehold: HOUSEHOLD_TYPES.includes(link.relationshipType),
+        link,
+        children: []
+      };
+      node.children.push(child);
+      if (child.isHousehold) {
+        queue.push(child);
+      }
+    }
+  }
+
+  return root;
+};
+
+const TreeNode = ({ node, onUnlink, unlinking }) => (
+  <li className="space-y-2">
+    <div className="flex items-center justify-between gap-2 rounded-md border px-3 py-2">
+      <div className="flex items-center gap-2 min-w-0">
+        <User className="h-4 w-4 text-gray-400 shrink-0" />
+        <span className="text-sm font-medium truncate">{node.name}</span>
+        {node.label && (
+          <Badge variant={node.isHousehold ? 'default' : 'outline'}>{node.label}</Badge>
+        )}
+      </div>
+      {node.link && (
+        <Button
+          size="icon"
+          variant="ghost"
+          className="h-7 w-7 shrink-0"
+          title="Unlink"
+          onClick={() => onUnlink(node.link)}
+          disabled={unlinking}
+        >
+          <Unlink className="h-3 w-3" />
+        </Button>
+      )}
+    </div>
+    {node.children.length > 0 && (
+      <ul className="ml-4 pl-4 border-l space-y-2">
+        {node.children.map(child => (
+          <TreeNode key={child.id} node={child} onUnlink={onUnlink} unlinking={unlinking} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+// Household tree, combined policies and relationship links for a client
+const ClientHousehold = ({ client, clients, onChanged }) => {
+  const [otherClientId, setOtherClientId] = useState('');
+  const [linkOption, setLinkOption] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const household = client.household;
+  if (!household) return null;
+
+  const tree = buildTree(client.id, `${client.firstName} ${client.lastName}`, household.relationships);
+  const memberNames = new Map(household.members.map(member => [member.id, `${member.firstName} ${member.lastName}`]));
+
+  const handleLink = async () => {
+    const option = LINK_OPTIONS.find(item => item.value === linkOption);
+    if (!option || !otherClientId) return;
+
+    const otherId = parseInt(otherClientId);
+    const [subjectId, objectId] = option.isSubject ? [otherId, client.id] : [client.id, otherId];
+
+    setSaving(true);
+    try {
+      await clientsAPI.addRelationship(subjectId, {
+        relatedClientId: objectId,
+        relationshipType: option.relationshipType
+      });
+      toast.success('Clients linked');
+      setOtherClientId('');
+      setLinkOption('');
+      await onChanged();
+    } catch (error) {
+      console.error('Link clients error:', error);
+      toast.error(error.response?.data?.error || 'Failed to link clients');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlink = async (link) => {
+    if (!window.confirm(`Unlink ${link.clientName} and ${link.relatedClientName}?`)) return;
+
+    setSaving(true);
+    try {
+      await clientsAPI.removeRelationship(link.clientId, link.id);
+      toast.success('Clients unlinked');
+      await onChanged();
+    } catch (error) {
+      console.error('Unlink clients error:', error);
+      toast.error(error.response?.data?.error || 'Failed to unlink clients');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-3">
+        <div className="rounded-lg border p-3">
+          <div className="text-xs text-muted-foreground">Household members</div>
+          <div className="text-lg font-bold">{household.totals.memberCount}</div>
+        </div>
+        <div className="rounded-lg border p-3">
+          <div className="text-xs text-muted-foreground">Active policies</div>
+          <div className="text-lg font-bold">{household.totals.activePolicies}</div>
+        </div>
+        <div className="rounded-lg border p-3">
+          <div className="text-xs text-muted-foreground">Combined premium</div>
+          <div className="text-lg font-bold">{formatCurrency(household.totals.totalPremium)}</div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="font-medium flex items-center gap-2">
+          <Home className="h-4 w-4" />
+          Household &amp; Relationships
+        </h4>
+        <ul className="space-y-2">
+          <TreeNode node={tree} onUnlink={handleUnlink} unlinking={saving} />
+        </ul>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-end gap-2">
+        <div className="flex-1 space-y-1">
+          <Label className="text-xs">Client</Label>
+          <Select value={otherClientId} onValueChange={setOtherClientId}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select client" />
+            </SelectTrigger>
+            <SelectContent>
+              {clients.filter(other => other.id !== client.id).map(other => (
+                <SelectItem key={other.id} value={other.id.toString()}>
+                  {other.firstName} {other.lastName}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="flex-1 space-y-1">
+          <Label className="text-xs">is this client&apos;s</Label>
+          <Select value={linkOption} onValueChange={setLinkOption}>
+            <SelectTrigger>
+              <SelectValue placeholder="Relationship" />
+            </SelectTrigger>
+            <SelectContent>
+              {LINK_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button onClick={handleLink} disabled={saving || !otherClientId || !linkOption}>
+          <Link2 className="h-4 w-4 mr-1" />
+          Link
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="font-medium">Household Policies</h4>
+        <div className="border rounded-lg">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Insured</TableHead>
+                <TableHead>Product</TableHead>
+                <TableHead>Policy</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Premium</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {household.policies.length > 0 ? (
+                household.policies.map(policy => (
+                  <TableRow key={policy.id}>
+                    <TableCell>{memberNames.get(policy.clientId)}</TableCell>
+                    <TableCell>{policy.productName}</TableCell>
+                    <TableCell>{policy.policyNumber || '—'}</TableCell>
+                    <TableCell className="capitalize">{policy.status}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(policy.premiumAmount)}</TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center py-6 text-gray-500">
+                    No policies in this household yet
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClientHousehold;
@@ -0,0 +1,438 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { clientsAPI, userProfileAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Alert, AlertDescription } from './ui/alert';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Download, FileSpreadsheet, Upload } from 'lucide-react';
+
+const FIELD_LABELS = {
+  firstName: 'First name *',
+  lastName: 'Last name *',
+  email: 'Email',
+  phone: 'Phone',
+  dateOfBirth: 'Date of birth',
+  employer: 'Employer',
+  status: 'Status (client / prospect)',
+  notes: 'Notes'
+};
+
+const NOT_MAPPED = '__none__';
+
+const STATUS_STYLES = {
+  uploaded: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200',
+  validated: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const downloadErrorReport = async (jobId) => {
+  try {
+    const response = await clientsAPI.downloadImportErrors(jobId);
+    const blob = new Blob([response.data], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `client-import-${jobId}-errors.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Download import errors error:', error);
+    toast.error('Failed to download error report');
+  }
+};
+
+const ImportHistory = ({ isOpen }) => {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await clientsAPI.getImports({ limit: 20 });
+      setJobs(response.data.jobs || []);
+    } catch (error) {
+      console.error('Failed to load client imports:', error);
+      toast.error('Failed to load import history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadJobs();
+    }
+  }, [isOpen, loadJobs]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (jobs.length === 0) {
+    return <p className="text-center text-gray-500 dark:text-gray-400 py-8">No imports yet</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto border rounded-lg">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Job</TableHead>
+            <TableHead>File</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead className="text-right">Rows</TableHead>
+            <TableHead className="text-right">Imported</TableHead>
+            <TableHead className="text-right">Errors</TableHead>
+            <TableHead></TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {jobs.map(job => (
+            <TableRow key={job.id}>
+              <TableCell>
+                <div className="font-medium">#{job.id}</div>
+                <div className="text-xs text-muted-foreground">{new Date(job.createdAt).toLocaleString()}</div>
+              </TableCell>
+              <TableCell className="max-w-[160px] truncate">{job.fileName}</TableCell>
+              <TableCell>
+                <Badge className={`capitalize ${STATUS_STYLES[job.status] || ''}`}>{job.status}</Badge>
+              </TableCell>
+              <TableCell className="text-right">{job.totalRows}</TableCell>
+              <TableCell className="text-right">{job.importedCount}</TableCell>
+              <TableCell className="text-right">{job.errorCount}</TableCell>
+              <TableCell className="text-right">
+                {job.errorCount > 0 && (
+                  <Button variant="ghost" size="sm" onClick={() => downloadErrorReport(job.id)} title="Download error report">
+                    <Download className="h-4 w-4" />
+                  </Button>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+// Client import wizard: upload a CSV/XLSX file, map its columns, review the dry run, then commit
+const ClientImportDialog = ({ isOpen, onOpenChange, canImportForOthers, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [agentId, setAgentId] = useState('');
+  const [agents, setAgents] = useState([]);
+  const [job, setJob] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState([]);
+  const [rowResults, setRowResults] = useState([]);
+  const [skipInvalidRows, setSkipInvalidRows] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setStep('upload');
+    setFile(null);
+    setAgentId('');
+    setJob(null);
+    setRowResults([]);
+    setSkipInvalidRows(false);
+    setError('');
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !canImportForOthers) return;
+    const loadAgents = async () => {
+      try {
+        const response = await userProfileAPI.getUsers({ limit: 100 });
+        setAgents((response.data.users || []).filter(user => user.isActive));
+      } catch (error) {
+        console.error('Failed to load agents for import:', error);
+      }
+    };
+    loadAgents();
+  }, [isOpen, canImportForOthers]);
+
+  const handleUpload = async () => {
+    if (!file) return;
+    setWorking(true);
+    setError('');
+    try {
+      const response = await clientsAPI.uploadImport(file, agentId);
+      setJob(response.data.job);
+      setFields(response.data.fields);
+      setMapping(response.data.suggestedMapping);
+      setPreview(response.data.preview);
+      setStep('map');
+    } catch (error) {
+      console.error('Upload client import error:', error);
+      setError(error.response?.data?.error || 'Failed to upload file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDryRun = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await clientsAPI.dryRunImport(job.id, { mapping, agentId: agentId || undefined });
+      setJob(response.data.job);
+      setRowResults(response.data.rowResults);
+      setSkipInvalidRows(false);
+      setStep('review');
+    } catch (error) {
+      console.error('Client import dry run error:', error);
+      setError(error.response?.data?.error || 'Dry run failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await clientsAPI.commitImport(job.id, { skipInvalidRows });
+      const completedJob = response.data.job;
+      toast.success(`Imported ${completedJob.importedCount} clients (job #${completedJob.id})`);
+      onImported(completedJob);
+    } catch (error) {
+      console.error('Commit client import error:', error);
+      setError(error.response?.data?.error || 'Import failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const headers = job?.headers || [];
+  const flaggedRows = rowResults.filter(result => result.status === 'error' || result.duplicates.length > 0 || result.duplicateOfRow);
+  const canCommit = job && job.validCount > 0 && (job.errorCount === 0 || skipInvalidRows);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Clients</DialogTitle>
+          <DialogDescription>
+            Upload a CSV or Excel file, match its columns to client fields and check it before anything is imported.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs defaultValue="import">
+          <TabsList>
+            <TabsTrigger value="import">New Import</TabsTrigger>
+            <TabsTrigger value="history">History</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="import" className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {step === 'upload' && (
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="client-import-file">File (.csv or .xlsx)</Label>
+                  <Input
+                    id="client-import-file"
+                    type="file"
+                    accept=".csv,.xlsx"
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                  />
+                </div>
+                {canImportForOthers && (
+                  <div className="space-y-2">
+                    <Label>Assign imported clients to</Label>
+                    <Select value={agentId || 'me'} onValueChange={(value) => setAgentId(value === 'me' ? '' : value)}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="me">Me</SelectItem>
+                        {agents.map(agent => (
+                          <SelectItem key={agent.id} value={agent.id.toString()}>
+                            {agent.firstName} {agent.lastName}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
+                <DialogFooter>
+                  <Button onClick={handleUpload} disabled={!file || working}>
+                    <Upload className="h-4 w-4 mr-2" />
+                    {working ? 'Uploading...' : 'Upload'}
+                  </Button>
+                </DialogFooter>
+              </div>
+            )}
+
+            {step === 'map' && (
+              <div className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                  Job #{job.id}: {job.fileName}. Choose the column that holds each client field.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {fields.map(field => (
+                    <div key={field} className="space-y-1">
+                      <Label className="text-xs">{FIELD_LABELS[field] || field}</Label>
+                      <Select
+                        value={mapping[field] || NOT_MAPPED}
+                        onValueChange={(value) => setMapping({ ...mapping, [field]: value === NOT_MAPPED ? null : value })}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value={NOT_MAPPED}>— Not imported —</SelectItem>
+                          {headers.map(header => (
+                            <SelectItem key={header} value={header}>{header}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  ))}
+                </div>
+
+                {preview.length > 0 && (
+                  <div className="overflow-x-auto border rounded-lg">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          {headers.map(header => <TableHead key={header}>{header}</TableHead>)}
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {preview.map((row, index) => (
+                          <TableRow key={index}>
+                            {headers.map(header => (
+                              <TableCell key={header} className="whitespace-nowrap">{String(row[header] ?? '')}</TableCell>
+                            ))}
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+
+                <DialogFooter>
+                  <Button variant="outline" onClick={() => setStep('upload')} disabled={working}>Back</Button>
+                  <Button onClick={handleDryRun} disabled={working || !mapping.firstName || !mapping.lastName}>
+                    {working ? 'Checking...' : 'Run Dry Run'}
+                  </Button>
+                </DialogFooter>
+              </div>
+            )}
+
+            {step === 'review' && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  <div className="rounded-lg border p-3">
+                    <div className="text-xs text-muted-foreground">Rows</div>
+                    <div className="text-lg font-bold">{job.totalRows}</div>
+                  </div>
+                  <div className="rounded-lg border p-3">
+                    <div className="text-xs text-muted-foreground">Ready to import</div>
+                    <div className="text-lg font-bold text-green-600">{job.validCount}</div>
+                  </div>
+                  <div className="rounded-lg border p-3">
+                    <div className="text-xs text-muted-foreground">Errors</div>
+                    <div className="text-lg font-bold text-red-600">{job.errorCount}</div>
+                  </div>
+                  <div className="rounded-lg border p-3">
+                    <div className="text-xs text-muted-foreground">Possible duplicates</div>
+                    <div className="text-lg font-bold text-orange-600">{job.duplicateCount}</div>
+                  </div>
+                </div>
+
+                {flaggedRows.length > 0 ? (
+                  <div className="overflow-x-auto border rounded-lg max-h-72">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Row</TableHead>
+                          <TableHead>Client</TableHead>
+                          <TableHead>Problem</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {flaggedRows.map(result => (
+                          <TableRow key={result.row}>
+                            <TableCell>{result.row}</TableCell>
+                            <TableCell className="whitespace-nowrap">{result.client.firstName} {result.client.lastName}</TableCell>
+                            <TableCell>
+                              {result.status === 'error' ? (
+                                <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-4">
+                                  {result.errors.map(message => <li key={message}>{message}</li>)}
+                                </ul>
+                              ) : (
+                                <span className="text-sm text-orange-600 dark:text-orange-400">
+                                  Looks like{' '}
+                                  {[
+                                    ...result.duplicates.map(match => `${match.firstName} ${match.lastName}${match.agentName ? ` (${match.agentName})` : ''}`),
+                                    ...(result.duplicateOfRow ? [`row ${result.duplicateOfRow}`] : [])
+                                  ].join(', ')}
+                                  . It will still be imported.
+                                </span>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                ) : (
+                  <p className="text-sm text-green-600 dark:text-green-400">Every row passed validation.</p>
+                )}
+
+                {job.errorCount > 0 && (
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <div className="flex items-center gap-2">
+                      <Switch id="skip-invalid-rows" checked={skipInvalidRows} onCheckedChange={setSkipInvalidRows} />
+                      <Label htmlFor="skip-invalid-rows">Skip the {job.errorCount} invalid rows and import the rest</Label>
+                    </div>
+                    <Button variant="outline" size="sm" onClick={() => downloadErrorReport(job.id)}>
+                      <FileSpreadsheet className="h-4 w-4 mr-2" />
+                      Download Error CSV
+                    </Button>
+                  </div>
+                )}
+
+                <DialogFooter>
+                  <Button variant="outline" onClick={() => setStep('map')} disabled={working}>Change Mapping</Button>
+                  <Button onClick={handleCommit} disabled={working || !canCommit}>
+                    {working ? 'Importing...' : `Import ${job.validCount} Clients`}
+                  </Button>
+                </DialogFooter>
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="history">
+            <ImportHistory isOpen={isOpen} />
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ClientImportDialog;
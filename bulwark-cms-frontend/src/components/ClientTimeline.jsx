@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { clientsAPI } from '../lib/api.js';
+import { formatCurrency } from '../lib/utils';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Activity, Bell, DollarSign, FileText, MessageSquare, Pencil, RefreshCw } from 'lucide-react';
+
+const PAGE_SIZE = 20;
+
+const EVENT_TYPES = [
+  { value: 'note', label: 'Notes', icon: MessageSquare, style: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200' },
+  { value: 'sale', label: 'Sales', icon: DollarSign, style: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  { value: 'status', label: 'Status', icon: RefreshCw, style: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200' },
+  { value: 'reminder', label: 'Reminders', icon: Bell, style: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+  { value: 'document', label: 'Documents', icon: FileText, style: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200' },
+  { value: 'change', label: 'Changes', icon: Pencil, style: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200' }
+];
+
+const EVENT_TYPE_BY_VALUE = Object.fromEntries(EVENT_TYPES.map(type => [type.value, type]));
+
+// Extra detail line for events that carry amounts or dates
+const eventDetail = (event) => {
+  if (event.type === 'sale' && event.action === 'created' && event.details.premiumAmount) {
+    return `Premium ${formatCurrency(event.details.premiumAmount)}`;
+  }
+  if ((event.type === 'reminder' || event.type === 'document') && event.action === 'created' && event.details.reminderDate) {
+    return `Due ${new Date(event.details.reminderDate).toLocaleString()}`;
+  }
+  return null;
+};
+
+// Everything that happened with a client, newest first, filterable by kind of event
+const ClientTimeline = ({ clientId }) => {
+  const [types, setTypes] = useState(EVENT_TYPES.map(type => type.value));
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadPage = useCallback(async (page) => {
+    setLoading(true);
+    try {
+      const response = await clientsAPI.getClientTimeline(clientId, { page, limit: PAGE_SIZE, types: types.join(',') });
+      setEvents(current => (page === 1 ? response.data.events : [...current, ...response.data.events]));
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error loading client timeline:', error);
+      toast.error('Failed to load client timeline');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, types]);
+
+  useEffect(() => {
+    if (types.length === 0) {
+      setEvents([]);
+      setPagination(null);
+      return;
+    }
+    loadPage(1);
+  }, [loadPage, types]);
+
+  const toggleType = (value) => {
+    setTypes(current => (current.includes(value) ? current.filter(type => type !== value) : [...current, value]));
+  };
+
+  const hasMore = pagination && pagination.page < pagination.pages;
+
+  return (
+    <div className="space-y-4">
+      <h4 className="font-medium flex items-center gap-2">
+        <Activity className="h-4 w-4" />
+        Activity
+      </h4>
+
+      <div className="flex flex-wrap gap-2">
+        {EVENT_TYPES.map(type => (
+          <Button
+            key={type.value}
+            size="sm"
+            variant={types.includes(type.value) ? 'default' : 'outline'}
+            onClick={() => toggleType(type.value)}
+          >
+            <type.icon className="h-3 w-3 mr-1" />
+            {type.label}
+          </Button>
+        ))}
+      </div>
+
+      {loading && events.length === 0 ? (
+        <div className="flex items-center justify-center h-24">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="text-center py-6 text-sm text-muted-foreground">
+          {types.length === 0 ? 'Choose at least one kind of activity to show.' : 'No activity for this client yet.'}
+        </div>
+      ) : (
+        <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-4">
+          {events.map(event => {
+            const eventType = EVENT_TYPE_BY_VALUE[event.type];
+            const Icon = eventType.icon;
+            const detail = eventDetail(event);
+            return (
+              <li key={event.id} className="ml-6">
+                <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${eventType.style}`}>
+                  <Icon className="h-3 w-3" />
+                </span>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-sm">{event.title}</span>
+                  <Badge variant="outline" className="text-xs">{eventType.label}</Badge>
+                  {event.details.isPrivate && <Badge variant="secondary" className="text-xs">Private</Badge>}
+                </div>
+                {event.description && (
+                  <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap mt-1">{event.description}</p>
+                )}
+                {detail && <p className="text-xs text-muted-foreground mt-1">{detail}</p>}
+                <p className="text-xs text-muted-foreground mt-1">
+                  {new Date(event.occurredAt).toLocaleString()}
+                  {event.actor && ` · ${event.actor.firstName} ${event.actor.lastName}`}
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {hasMore && (
+        <div className="flex justify-center">
+          <Button variant="outline" size="sm" onClick={() => loadPage(pagination.page + 1)} disabled={loading}>
+            {loading ? 'Loading...' : `Load more (${pagination.total - events.length} remaining)`}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientTimeline;
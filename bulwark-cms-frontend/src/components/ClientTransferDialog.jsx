@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { clientsAPI, userProfileAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Switch } from './ui/switch';
+import { Checkbox } from './ui/checkbox';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { ArrowRightLeft, Search } from 'lucide-react';
+
+const fullName = (person) => `${person.firstName} ${person.lastName}`;
+
+// Move an agent's book, or part of it, to other agents: choose, preview, then confirm
+const ClientTransferDialog = ({ isOpen, onOpenChange, initialFromAgentId, onTransferred }) => {
+  const [agents, setAgents] = useState([]);
+  const [fromAgentId, setFromAgentId] = useState('');
+  const [scope, setScope] = useState('all');
+  const [bookClients, setBookClients] = useState([]);
+  const [clientSearch, setClientSearch] = useState('');
+  const [selectedClientIds, setSelectedClientIds] = useState([]);
+  const [mode, setMode] = useState('round_robin');
+  const [toAgentIds, setToAgentIds] = useState([]);
+  const [manualTargets, setManualTargets] = useState({});
+  const [includeRenewals, setIncludeRenewals] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFromAgentId(initialFromAgentId ? initialFromAgentId.toString() : '');
+    setScope('all');
+    setSelectedClientIds([]);
+    setMode('round_robin');
+    setToAgentIds([]);
+    setManualTargets({});
+    setIncludeRenewals(false);
+    setPreview(null);
+    setError('');
+
+    const loadAgents = async () => {
+      try {
+        const response = await userProfileAPI.getUsers({ limit: 100, include_deleted: true });
+        setAgents(response.data.users || []);
+      } catch (error) {
+        console.error('Failed to load agents for transfer:', error);
+      }
+    };
+    loadAgents();
+  }, [isOpen, initialFromAgentId]);
+
+  // Choosing clients one by one lists the source agent's book
+  useEffect(() => {
+    if (!isOpen || !fromAgentId || scope !== 'selected') return;
+    const loadBook = async () => {
+      try {
+        const params = { agent_id: fromAgentId, limit: 100 };
+        if (clientSearch) params.search = clientSearch;
+        const response = await clientsAPI.getClients(params);
+        setBookClients(response.data.clients || []);
+      } catch (error) {
+        console.error('Failed to load clients for transfer:', error);
+      }
+    };
+    loadBook();
+  }, [isOpen, fromAgentId, scope, clientSearch]);
+
+  const activeAgents = agents.filter(agent => agent.isActive && !agent.deletedAt && agent.id.toString() !== fromAgentId);
+
+  const resetPreview = () => setPreview(null);
+
+  const toggleClient = (clientId, checked) => {
+    setSelectedClientIds(checked ? [...selectedClientIds, clientId] : selectedClientIds.filter(id => id !== clientId));
+    resetPreview();
+  };
+
+  const toggleTarget = (agentId, checked) => {
+    setToAgentIds(checked ? [...toAgentIds, agentId] : toAgentIds.filter(id => id !== agentId));
+    resetPreview();
+  };
+
+  const buildRequest = (dryRun) => {
+    const request = { fromAgentId: parseInt(fromAgentId), mode, includeRenewals, dryRun };
+    if (mode === 'manual') {
+      request.assignments = selectedClientIds.map(clientId => ({ clientId, toAgentId: parseInt(manualTargets[clientId]) }));
+    } else {
+      request.toAgentIds = toAgentIds;
+      if (scope === 'selected') request.clientIds = selectedClientIds;
+    }
+    return request;
+  };
+
+  const canPreview = fromAgentId
+    && (scope === 'all' || selectedClientIds.length > 0)
+    && (mode === 'manual'
+      ? selectedClientIds.every(clientId => manualTargets[clientId])
+      : toAgentIds.length > 0);
+
+  const handlePreview = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await clientsAPI.transferClients(buildRequest(true));
+      setPreview(response.data);
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details?.[0]?.msg || error.response?.data?.error || 'Failed to preview the transfer');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleTransfer = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await clientsAPI.transferClients(buildRequest(false));
+      toast.success(`${response.data.moved.clientCount} client(s) transferred`);
+      onOpenChange(false);
+      onTransferred?.();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to transfer clients');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ArrowRightLeft className="h-5 w-5" />
+            Transfer Clients
+          </DialogTitle>
+          <DialogDescription>
+            Move clients with their open reminders to other agents, for example when an agent leaves
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Transfer from</Label>
+              <Select
+                value={fromAgentId}
+                onValueChange={(value) => {
+                  setFromAgentId(value);
+                  setSelectedClientIds([]);
+                  setToAgentIds(toAgentIds.filter(id => id.toString() !== value));
+                  resetPreview();
+                }}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose an agent" />
+                </SelectTrigger>
+                <SelectContent>
+                  {agents.map(agent => (
+                    <SelectItem key={agent.id} value={agent.id.toString()}>
+                      {fullName(agent)}{agent.deletedAt ? ' (deleted)' : !agent.isActive ? ' (suspended)' : ''}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Clients</Label>
+              <Select
+                value={scope}
+                onValueChange={(value) => {
+                  setScope(value);
+                  if (value === 'all') setMode('round_robin');
+                  resetPreview();
+                }}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">The whole book</SelectItem>
+                  <SelectItem value="selected">Selected clients</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label>Distribution</Label>
+            <Select value={mode} onValueChange={(value) => { setMode(value); resetPreview(); }}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="round_robin">Round robin across the chosen agents</SelectItem>
+                <SelectItem value="manual" disabled={scope !== 'selected'}>Choose an agent for each client</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {mode === 'round_robin' && (
+            <div className="space-y-2">
+              <Label>Transfer to</Label>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 rounded-md border p-3 max-h-40 overflow-y-auto">
+                {activeAgents.map(agent => (
+                  <div key={agent.id} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`transfer-target-${agent.id}`}
+                      checked={toAgentIds.includes(agent.id)}
+                      onCheckedChange={(checked) => toggleTarget(agent.id, checked === true)}
+                    />
+                    <Label htmlFor={`transfer-target-${agent.id}`} className="font-normal">{fullName(agent)}</Label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {scope === 'selected' && fromAgentId && (
+            <div className="space-y-2">
+              <Label>Clients to move ({selectedClientIds.length} selected)</Label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <Input
+                  value={clientSearch}
+                  onChange={(e) => setClientSearch(e.target.value)}
+                  placeholder="Search this agent's clients..."
+                  className="pl-9"
+                />
+              </div>
+              <div className="rounded-md border max-h-60 overflow-y-auto">
+                <Table>
+                  <TableBody>
+                    {bookClients.map(client => (
+                      <TableRow key={client.id}>
+                        <TableCell className="w-8">
+                          <Checkbox
+                            checked={selectedClientIds.includes(client.id)}
+                            onCheckedChange={(checked) => toggleClient(client.id, checked === true)}
+                          />
+                        </TableCell>
+                        <TableCell>{fullName(client)}</TableCell>
+                        {mode === 'manual' && (
+                          <TableCell className="w-52">
+                            {selectedClientIds.includes(client.id) && (
+                              <Select
+                                value={manualTargets[client.id] || ''}
+                                onValueChange={(value) => {
+                                  setManualTargets({ ...manualTargets, [client.id]: value });
+                                  resetPreview();
+                                }}
+                              >
+                                <SelectTrigger className="h-8">
+                                  <SelectValue placeholder="Move to..." />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {activeAgents.map(agent => (
+                                    <SelectItem key={agent.id} value={agent.id.toString()}>{fullName(agent)}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            )}
+                          </TableCell>
+                        )}
+                      </TableRow>
+                    ))}
+                    {bookClients.length === 0 && (
+                      <TableRow>
+                        <TableCell className="text-center text-sm text-muted-foreground">No clients found</TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <Switch
+              id="transfer-renewals"
+              checked={includeRenewals}
+              onCheckedChange={(checked) => { setIncludeRenewals(checked); resetPreview(); }}
+            />
+            <Label htmlFor="transfer-renewals">Also hand over upcoming renewals (the original sales stay credited to this agent)</Label>
+          </div>
+
+          {preview && (
+            <div className="space-y-2 rounded-md border p-3">
+              <p className="text-sm">
+                {preview.summary.clientCount} client(s) from {preview.fromAgent.name}, with {preview.summary.openReminderCount} open
+                reminder(s){preview.includeRenewals ? ` and ${preview.summary.renewalCount} upcoming renewal(s)` : ''}.
+              </p>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Receiving agent</TableHead>
+                    <TableHead className="text-right">Clients</TableHead>
+                    <TableHead className="text-right">Open reminders</TableHead>
+                    {preview.includeRenewals && <TableHead className="text-right">Renewals</TableHead>}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {preview.summary.byAgent.map(agent => (
+                    <TableRow key={agent.agentId}>
+                      <TableCell>{agent.agentName}</TableCell>
+                      <TableCell className="text-right">{agent.clientCount}</TableCell>
+                      <TableCell className="text-right">{agent.openReminderCount}</TableCell>
+                      {preview.includeRenewals && <TableCell className="text-right">{agent.renewalCount}</TableCell>}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          {preview ? (
+            <Button onClick={handleTransfer} disabled={working}>
+              {working ? 'Transferring...' : `Transfer ${preview.summary.clientCount} Client(s)`}
+            </Button>
+          ) : (
+            <Button onClick={handlePreview} disabled={!canPreview || working}>
+              {working ? 'Working...' : 'Preview'}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ClientTransferDialog;
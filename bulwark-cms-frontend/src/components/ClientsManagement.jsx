@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
@@ -8,12 +8,12 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { Alert, AlertDescription } from './ui/alert';
 import { Textarea } from './ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import {
   Plus,
   Search,
   Edit,
   Trash2,
-  Download,
   Upload,
   Eye,
   UserPlus,
@@ -26,11 +26,19 @@ import {
   DollarSign,
   MessageSquare,
   Users,
-  UserCheck
+  UserCheck,
+  Copy,
+  ArrowRightLeft
 } from 'lucide-react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth.jsx';
 import { toast } from 'sonner';
 import { clientsAPI } from '../lib/api.js';
+import ClientHousehold from './ClientHousehold';
+import ClientTimeline from './ClientTimeline';
+import ClientImportDialog from './ClientImportDialog';
+import ClientTransferDialog from './ClientTransferDialog';
+import ExportMenu from './ExportMenu';
 
 const ClientForm = ({ client, onSave, onCancel }) => {
   const [formData, setFormData] = useState({
@@ -233,8 +241,86 @@ const ClientNotesDialog = ({ client, isOpen, onOpenChange, onAddNote }) => {
   );
 };
 
+const ClientDetailDialog = ({ clientId, clients, onOpenChange }) => {
+  const [client, setClient] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadClient = useCallback(async () => {
+    if (!clientId) return;
+
+    try {
+      setLoading(true);
+      const response = await clientsAPI.getClient(clientId);
+      setClient(response.data.client);
+    } catch (error) {
+      console.error('Error loading client:', error);
+      toast.error('Failed to load client details');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    setClient(null);
+    loadClient();
+  }, [loadClient]);
+
+  return (
+    <Dialog open={!!clientId} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{client ? `${client.firstName} ${client.lastName}` : 'Client Details'}</DialogTitle>
+          <DialogDescription>
+            Contact details, activity, household and combined policies
+          </DialogDescription>
+        </DialogHeader>
+        {loading && !client ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : client && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+              <div className="flex items-center gap-2">
+                <Mail className="h-4 w-4 text-gray-400" />
+                {client.email || 'N/A'}
+              </div>
+              <div className="flex items-center gap-2">
+                <Phone className="h-4 w-4 text-gray-400" />
+                {client.phone || 'N/A'}
+              </div>
+              <div className="flex items-center gap-2">
+                <Calendar className="h-4 w-4 text-gray-400" />
+                {client.dateOfBirth ? new Date(client.dateOfBirth).toLocaleDateString() : 'N/A'}
+              </div>
+              <div className="flex items-center gap-2">
+                <UserCheck className="h-4 w-4 text-gray-400" />
+                <span className="capitalize">{client.status}</span>
+                {client.employer && <span className="text-gray-500">· {client.employer}</span>}
+              </div>
+            </div>
+            <Tabs defaultValue="activity">
+              <TabsList>
+                <TabsTrigger value="activity">Activity</TabsTrigger>
+                <TabsTrigger value="household">Household</TabsTrigger>
+              </TabsList>
+              <TabsContent value="activity" className="pt-2">
+                <ClientTimeline clientId={client.id} />
+              </TabsContent>
+              <TabsContent value="household" className="pt-2">
+                <ClientHousehold client={client} clients={clients} onChanged={loadClient} />
+              </TabsContent>
+            </Tabs>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
 const ClientsManagement = () => {
-  const { user, isManager } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canEditOthers = hasPermission('clients.edit_others');
   const [clients, setClients] = useState([]);
   const [filteredClients, setFilteredClients] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -243,13 +329,26 @@ const ClientsManagement = () => {
   const [isEditDialogOpen, setIsEditDialogOpen] = useState(false);
   const [isDeleteDialogOpen, setIsDeleteDialogOpen] = useState(false);
   const [isNotesDialogOpen, setIsNotesDialogOpen] = useState(false);
+  const [isImportDialogOpen, setIsImportDialogOpen] = useState(false);
+  const [isTransferDialogOpen, setIsTransferDialogOpen] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [clientToDelete, setClientToDelete] = useState(null);
+  const [detailClientId, setDetailClientId] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadClients();
   }, []);
 
+  // Opened from a deleted user's profile to move the book they left behind
+  const transferFromAgentId = searchParams.get('transferFrom');
+  const canTransfer = hasPermission('clients.assign');
+  useEffect(() => {
+    if (transferFromAgentId && canTransfer) {
+      setIsTransferDialogOpen(true);
+    }
+  }, [transferFromAgentId, canTransfer]);
+
   // Filter clients based on search term and role-based access
   useEffect(() => {
     let filtered = clients.filter(client =>
@@ -364,7 +463,20 @@ const ClientsManagement = () => {
         console.log('Current user:', user);
 
         // Use the API service instead of direct fetch
-        const response = await clientsAPI.createClient(clientData);
+        let response;
+        try {
+          response = await clientsAPI.createClient(clientData);
+        } catch (error) {
+          // The server flags clients that look like existing ones; let the user decide
+          if (error.response?.data?.code !== 'POSSIBLE_DUPLICATE') throw error;
+
+          const matches = error.response.data.duplicates
+            .map(match => `- ${match.firstName} ${match.lastName}${match.agentName ? ` (${match.agentName})` : ''}`)
+            .join('\n');
+          if (!window.confirm(`This client looks like an existing one:\n${matches}\n\nCreate anyway?`)) return;
+
+          response = await clientsAPI.createClient({ ...clientData, allowDuplicate: true });
+        }
         const newClient = response.data;
         
         console.log('Client created successfully:', newClient);
@@ -442,40 +554,6 @@ const ClientsManagement = () => {
     }
   };
 
-  const exportToCSV = () => {
-    const headers = [
-      'ID', 'First Name', 'Last Name', 'Email', 'Phone', 'Employer',
-      'Date of Birth', 'Client Type', 'Created By', 'Notes Count'
-    ];
-
-    const csvData = filteredClients.map(client => [
-      client.id,
-      client.firstName,
-      client.lastName,
-      client.email,
-      client.phone,
-      client.employer,
-      client.dateOfBirth,
-      client.status,
-      client.createdBy,
-      (client.notes || []).length
-    ]);
-
-    const csvContent = [headers, ...csvData]
-      .map(row => row.map(field => `"${field || ''}"`).join(','))
-      .join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `bulwark_clients_${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
-
-    toast.success('Clients exported to CSV successfully');
-  };
-
   const downloadCSVTemplate = () => {
     const headers = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'employer', 'status', 'notes'];
     const sampleData = [
@@ -505,36 +583,10 @@ const ClientsManagement = () => {
     toast.success('CSV template downloaded successfully');
   };
 
-  const importFromCSV = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    try {
-      setLoading(true);
-      const response = await clientsAPI.bulkImportClients(file);
-      
-      if (response.data.imported_count > 0) {
-        toast.success(`Successfully imported ${response.data.imported_count} clients`);
-        
-        // Reload clients to show the newly imported ones
-        loadClients();
-        
-        // Show any import errors if they occurred
-        if (response.data.errors && response.data.errors.length > 0) {
-          console.warn('Import completed with some errors:', response.data.errors);
-          toast.warning(`Import completed with ${response.data.errors.length} errors. Check console for details.`);
-        }
-      } else {
-        toast.warning('No clients were imported');
-      }
-    } catch (error) {
-      console.error('Error importing CSV:', error);
-      toast.error('Failed to import CSV file');
-    } finally {
-      setLoading(false);
-      // Reset file input
-      event.target.value = '';
-    }
+  const handleImported = () => {
+    setIsImportDialogOpen(false);
+    // Reload clients to show the newly imported ones
+    loadClients();
   };
 
   const formatDate = (dateString) => {
@@ -569,14 +621,14 @@ const ClientsManagement = () => {
         <div className="flex-1">
           <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3">
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Clients Management</h1>
-            <Badge variant={isManager ? "default" : "secondary"} className="self-start sm:self-auto">
-              {isManager ? "Manager View" : "Agent View"}
+            <Badge variant={canEditOthers ? "default" : "secondary"} className="self-start sm:self-auto">
+              {canEditOthers ? "Team View" : "Agent View"}
             </Badge>
           </div>
           <p className="text-gray-600 dark:text-gray-400 mt-1 text-sm sm:text-base">
-            {isManager ? 'Manage your created clients and prospects' : 'Manage your assigned clients and import new ones via CSV'}
+            {canEditOthers ? 'Manage your created clients and prospects' : 'Manage your assigned clients and import new ones via CSV'}
           </p>
-          {!isManager && (
+          {!canEditOthers && (
             <p className="text-sm text-blue-600 dark:text-blue-400 mt-1">
               🔒 Viewing only your assigned clients
             </p>
@@ -603,27 +655,34 @@ const ClientsManagement = () => {
         </div>
         {/* Action Buttons - Stacked on Mobile, Horizontal on Larger Screens */}
         <div className="flex flex-col sm:flex-row gap-2 sm:gap-2">
-          <Button variant="outline" onClick={exportToCSV} className="w-full sm:w-auto justify-center sm:justify-start">
-            <Download className="h-4 w-4 mr-2" />
-            Export CSV
-          </Button>
+          <ExportMenu
+            fileName="clients"
+            request={(format) => clientsAPI.exportClients({ format, search: searchTerm || undefined })}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          />
           <Button variant="outline" onClick={downloadCSVTemplate} className="w-full sm:w-auto justify-center sm:justify-start">
             <FileText className="h-4 w-4 mr-2" />
             Download Template
           </Button>
-          {/* Allow both managers and agents to import CSV */}
-          <div className="relative w-full sm:w-auto">
-            <input
-              type="file"
-              accept=".csv"
-              onChange={importFromCSV}
-              className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
-            />
-            <Button variant="outline" className="w-full sm:w-auto justify-center sm:justify-start">
-              <Upload className="h-4 w-4 mr-2" />
-              {isManager ? 'Import CSV' : 'Import My Clients'}
+          {hasPermission('clients.merge') && (
+            <Button variant="outline" asChild className="w-full sm:w-auto justify-center sm:justify-start">
+              <Link to="/clients/duplicates">
+                <Copy className="h-4 w-4 mr-2" />
+                Possible Duplicates
+              </Link>
             </Button>
-          </div>
+          )}
+          {canTransfer && (
+            <Button variant="outline" onClick={() => setIsTransferDialogOpen(true)} className="w-full sm:w-auto justify-center sm:justify-start">
+              <ArrowRightLeft className="h-4 w-4 mr-2" />
+              Transfer Clients
+            </Button>
+          )}
+          {/* Allow both managers and agents to import CSV */}
+          <Button variant="outline" onClick={() => setIsImportDialogOpen(true)} className="w-full sm:w-auto justify-center sm:justify-start">
+            <Upload className="h-4 w-4 mr-2" />
+            {hasPermission('clients.assign') ? 'Import Clients' : 'Import My Clients'}
+          </Button>
         </div>
       </div>
 
@@ -633,12 +692,12 @@ const ClientsManagement = () => {
           Showing {filteredClients.length} of {clients.length} clients
         
         </p>
-        {!isManager && (
+        {!canEditOthers && (
           <p className="text-blue-700 dark:text-blue-300 text-xs sm:text-sm mt-2">
             💡 You can import new clients via CSV 
           </p>
         )}
-        {!isManager && (
+        {!canEditOthers && (
           <p className="text-blue-600 dark:text-blue-400 text-xs mt-1">
             📋 CSV should include: First Name, Last Name, Email, Phone, Date of Birth, Employer, Status, Notes
           </p>
@@ -732,7 +791,7 @@ const ClientsManagement = () => {
            <div className="flex items-center justify-between">
              <CardTitle className="text-gray-900 dark:text-white">Clients & Prospects</CardTitle>
              <div className="text-sm text-gray-500 dark:text-gray-400">
-               {isManager ? 'Your created clients data' : 'Your clients data only'}
+               {canEditOthers ? 'Your created clients data' : 'Your clients data only'}
              </div>
            </div>
          </CardHeader>
@@ -751,9 +810,13 @@ const ClientsManagement = () => {
                              <User className="h-6 w-6 text-blue-600 dark:text-blue-400" />
                            </div>
                                                       <div>
-                              <div className="font-medium text-gray-900 dark:text-white">
+                              <button
+                                type="button"
+                                onClick={() => setDetailClientId(client.id)}
+                                className="font-medium text-gray-900 dark:text-white hover:underline text-left"
+                              >
                                 {client.firstName} {client.lastName}
-                              </div>
+                              </button>
                               <div className="text-sm text-gray-500 dark:text-gray-400">
                                 DOB: {formatDate(client.dateOfBirth)}
                               </div>
@@ -780,6 +843,14 @@ const ClientsManagement = () => {
                        </div>
                       
                       <div className="flex items-center gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setDetailClientId(client.id)}
+                          className="border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                        >
+                          <Eye className="h-3 w-3" />
+                        </Button>
                         <Button
                           variant="outline"
                           size="sm"
@@ -876,9 +947,13 @@ const ClientsManagement = () => {
                               </div>
                             </div>
                                                          <div className="ml-4">
-                               <div className="text-sm font-medium text-gray-900 dark:text-white">
+                               <button
+                                 type="button"
+                                 onClick={() => setDetailClientId(client.id)}
+                                 className="text-sm font-medium text-gray-900 dark:text-white hover:underline text-left"
+                               >
                                  {client.firstName} {client.lastName}
-                               </div>
+                               </button>
                                <div className="text-sm text-gray-500 dark:text-gray-400">
                                  DOB: {formatDate(client.dateOfBirth)}
                                </div>
@@ -906,6 +981,15 @@ const ClientsManagement = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <div className="flex items-center gap-2">
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => setDetailClientId(client.id)}
+                                title={`View ${client.firstName} ${client.lastName}'s activity and household`}
+                                className="border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                              >
+                                <Eye className="h-3 w-3" />
+                              </Button>
                                                           <Button
                                 variant="outline"
                                 size="sm"
@@ -969,6 +1053,32 @@ const ClientsManagement = () => {
         </CardContent>
       </Card>
 
+      {/* Client Detail Dialog */}
+      <ClientDetailDialog
+        clientId={detailClientId}
+        clients={clients}
+        onOpenChange={(open) => !open && setDetailClientId(null)}
+      />
+
+      {/* Import Clients Dialog */}
+      <ClientImportDialog
+        isOpen={isImportDialogOpen}
+        onOpenChange={setIsImportDialogOpen}
+        canImportForOthers={hasPermission('clients.assign')}
+        onImported={handleImported}
+      />
+
+      {/* Transfer Clients Dialog */}
+      <ClientTransferDialog
+        isOpen={isTransferDialogOpen}
+        onOpenChange={(open) => {
+          setIsTransferDialogOpen(open);
+          if (!open && transferFromAgentId) setSearchParams({});
+        }}
+        initialFromAgentId={transferFromAgentId}
+        onTransferred={loadClients}
+      />
+
       {/* Create Client Dialog */}
       <Dialog open={isCreateDialogOpen} onOpenChange={setIsCreateDialogOpen}>
         <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
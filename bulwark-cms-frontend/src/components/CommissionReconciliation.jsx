@@ -0,0 +1,682 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { commissionsAPI } from '../lib/api.js';
+import { formatCurrency, currentPayPeriod } from '../lib/utils';
+import CommissionStatement, { MatchStatusBadge } from './CommissionStatement';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Switch } from './ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { Eye, FileSpreadsheet, Pencil, Trash2, Upload } from 'lucide-react';
+
+const emptyImport = {
+  carrierName: '',
+  statementDate: new Date().toISOString().split('T')[0],
+  periodStart: '',
+  periodEnd: ''
+};
+
+const ImportStatementDialog = ({ isOpen, onOpenChange, onImported }) => {
+  const [formData, setFormData] = useState(emptyImport);
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [rowErrors, setRowErrors] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(emptyImport);
+      setFile(null);
+      setError('');
+      setRowErrors([]);
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setError('Please choose a statement file');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    setRowErrors([]);
+    try {
+      const response = await commissionsAPI.importStatement(file, formData);
+      const statement = response.data.statement;
+      toast.success(`Imported ${statement.lineCount} line(s): ${statement.matchedCount} matched, ${statement.discrepancyCount} discrepancies, ${statement.unmatchedCount} unmatched`);
+      onImported(statement);
+    } catch (error) {
+      console.error('Import statement error:', error);
+      setError(error.response?.data?.error || 'Failed to import statement');
+      setRowErrors(error.response?.data?.errors || []);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Import Carrier Statement</DialogTitle>
+          <DialogDescription>
+            Upload a CSV or XLSX statement with a header row. Lines are matched to sales by policy number.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>
+                {error}
+                {rowErrors.length > 0 && (
+                  <ul className="mt-2 list-disc pl-4 text-xs">
+                    {rowErrors.slice(0, 10).map(rowError => (
+                      <li key={rowError.row}>Row {rowError.row}: {rowError.error}</li>
+                    ))}
+                    {rowErrors.length > 10 && <li>...and {rowErrors.length - 10} more</li>}
+                  </ul>
+                )}
+              </AlertDescription>
+            </Alert>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="statementFile">Statement File *</Label>
+            <Input
+              id="statementFile"
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="carrierName">Carrier *</Label>
+              <Input
+                id="carrierName"
+                value={formData.carrierName}
+                onChange={(e) => setFormData({ ...formData, carrierName: e.target.value })}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="statementDate">Statement Date *</Label>
+              <Input
+                id="statementDate"
+                type="date"
+                value={formData.statementDate}
+                onChange={(e) => setFormData({ ...formData, statementDate: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="importPeriodStart">Period Start</Label>
+              <Input
+                id="importPeriodStart"
+                type="date"
+                value={formData.periodStart}
+                onChange={(e) => setFormData({ ...formData, periodStart: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="importPeriodEnd">Period End</Label>
+              <Input
+                id="importPeriodEnd"
+                type="date"
+                value={formData.periodEnd}
+                onChange={(e) => setFormData({ ...formData, periodEnd: e.target.value })}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={importing}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={importing}>
+              {importing ? 'Importing...' : 'Import'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const LineDialog = ({ statementId, line, onOpenChange, onSaved }) => {
+  const [saleId, setSaleId] = useState('');
+  const [isResolved, setIsResolved] = useState(false);
+  const [resolutionNote, setResolutionNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (line) {
+      setSaleId(line.saleId?.toString() || '');
+      setIsResolved(!!line.isResolved);
+      setResolutionNote(line.resolutionNote || '');
+      setError('');
+    }
+  }, [line]);
+
+  if (!line) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const lineData = { isResolved, resolutionNote: resolutionNote || null };
+      const newSaleId = saleId ? parseInt(saleId) : null;
+      if (newSaleId !== line.saleId) {
+        lineData.saleId = newSaleId;
+      }
+      await commissionsAPI.updateStatementLine(statementId, line.id, lineData);
+      toast.success('Statement line updated');
+      onSaved();
+    } catch (error) {
+      console.error('Update statement line error:', error);
+      setError(error.response?.data?.error || 'Failed to update statement line');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!line} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Reconcile Line {line.rowNumber}</DialogTitle>
+          <DialogDescription>
+            Policy {line.policyNumber || 'N/A'}{line.insuredName && ` (${line.insuredName})`}, paid {formatCurrency(line.paidAmount)}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="lineSaleId">Matched Sale ID</Label>
+            <Input
+              id="lineSaleId"
+              type="number"
+              min="1"
+              value={saleId}
+              onChange={(e) => setSaleId(e.target.value)}
+              placeholder="Leave empty for no match"
+            />
+            <p className="text-xs text-muted-foreground">
+              Changing the sale re-checks the paid amount against that sale's commission.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Switch id="lineResolved" checked={isResolved} onCheckedChange={setIsResolved} />
+            <Label htmlFor="lineResolved">Resolved</Label>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="resolutionNote">Resolution Note</Label>
+            <Textarea
+              id="resolutionNote"
+              value={resolutionNote}
+              onChange={(e) => setResolutionNote(e.target.value)}
+              placeholder="e.g. Carrier paid a pro-rated first month"
+            />
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const StatementDetailDialog = ({ statementId, onOpenChange, onChanged }) => {
+  const [statement, setStatement] = useState(null);
+  const [matchStatus, setMatchStatus] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [editingLine, setEditingLine] = useState(null);
+
+  const fetchStatement = useCallback(async () => {
+    if (!statementId) return;
+
+    try {
+      setLoading(true);
+      const params = matchStatus !== 'all' ? { matchStatus } : {};
+      const response = await commissionsAPI.getStatement(statementId, params);
+      setStatement(response.data.statement);
+    } catch (error) {
+      console.error('Error fetching statement:', error);
+      toast.error('Failed to load statement');
+    } finally {
+      setLoading(false);
+    }
+  }, [statementId, matchStatus]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  useEffect(() => {
+    if (!statementId) {
+      setStatement(null);
+      setMatchStatus('all');
+    }
+  }, [statementId]);
+
+  const handleLineSaved = () => {
+    setEditingLine(null);
+    fetchStatement();
+    onChanged();
+  };
+
+  return (
+    <Dialog open={!!statementId} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5" />
+            {statement ? `${statement.carrierName} statement` : 'Statement'}
+          </DialogTitle>
+          <DialogDescription>
+            {statement && (
+              <>
+                {new Date(statement.statementDate).toLocaleDateString()} · {statement.lineCount} lines ·{' '}
+                {statement.matchedCount} matched · {statement.discrepancyCount} discrepancies ·{' '}
+                {statement.unmatchedCount} unmatched · {statement.chargebackCount} chargebacks
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex justify-end">
+          <Select value={matchStatus} onValueChange={setMatchStatus}>
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All lines</SelectItem>
+              <SelectItem value="matched">Matched</SelectItem>
+              <SelectItem value="discrepancy">Discrepancies</SelectItem>
+              <SelectItem value="unmatched">Unmatched</SelectItem>
+              <SelectItem value="chargeback">Chargebacks</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {loading && !statement ? (
+          <div className="flex items-center justify-center h-24">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <div className="border rounded-lg">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Row</TableHead>
+                  <TableHead>Policy</TableHead>
+                  <TableHead>Client</TableHead>
+                  <TableHead>Agent</TableHead>
+                  <TableHead className="text-right">Expected</TableHead>
+                  <TableHead className="text-right">Paid</TableHead>
+                  <TableHead className="text-right">Variance</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {statement?.lines?.length > 0 ? (
+                  statement.lines.map(line => (
+                    <TableRow key={line.id}>
+                      <TableCell>{line.rowNumber}</TableCell>
+                      <TableCell>{line.policyNumber || '—'}</TableCell>
+                      <TableCell>
+                        {line.client?.id ? `${line.client.firstName} ${line.client.lastName}` : (line.insuredName || '—')}
+                        {line.saleId && <div className="text-xs text-gray-500">Sale #{line.saleId}</div>}
+                      </TableCell>
+                      <TableCell>{line.agent?.id ? `${line.agent.firstName} ${line.agent.lastName}` : '—'}</TableCell>
+                      <TableCell className="text-right">
+                        {line.expectedAmount !== null ? formatCurrency(line.expectedAmount) : '—'}
+                      </TableCell>
+                      <TableCell className="text-right font-medium">{formatCurrency(line.paidAmount)}</TableCell>
+                      <TableCell className="text-right">
+                        {line.varianceAmount !== null ? formatCurrency(line.varianceAmount) : '—'}
+                      </TableCell>
+                      <TableCell>
+                        <MatchStatusBadge status={line.matchStatus} />
+                        {line.isResolved && (
+                          <div className="text-xs text-gray-500" title={line.resolutionNote || ''}>Resolved</div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button variant="ghost" size="sm" onClick={() => setEditingLine(line)} title="Reconcile">
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={9} className="text-center py-8 text-gray-500">
+                      No lines to show
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        <LineDialog
+          statementId={statementId}
+          line={editingLine}
+          onOpenChange={(open) => !open && setEditingLine(null)}
+          onSaved={handleLineSaved}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const CommissionReconciliation = () => {
+  const [statements, setStatements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+  const [viewingStatementId, setViewingStatementId] = useState(null);
+  const [period, setPeriod] = useState(currentPayPeriod);
+  const [payables, setPayables] = useState([]);
+  const [payablesLoading, setPayablesLoading] = useState(false);
+  const [selectedAgent, setSelectedAgent] = useState(null);
+
+  const fetchStatements = useCallback(async () => {
+    try {
+      const response = await commissionsAPI.getStatements({ limit: 100 });
+      setStatements(response.data.statements || []);
+    } catch (error) {
+      console.error('Error fetching statements:', error);
+      toast.error('Failed to load commission statements');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchPayables = useCallback(async () => {
+    if (!period.periodStart || !period.periodEnd) return;
+
+    try {
+      setPayablesLoading(true);
+      const response = await commissionsAPI.getPayables(period);
+      setPayables(response.data.payables || []);
+    } catch (error) {
+      console.error('Error fetching payables:', error);
+      toast.error('Failed to load payables');
+    } finally {
+      setPayablesLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    fetchStatements();
+  }, [fetchStatements]);
+
+  useEffect(() => {
+    fetchPayables();
+  }, [fetchPayables]);
+
+  const handleImported = (statement) => {
+    setShowImport(false);
+    fetchStatements();
+    fetchPayables();
+    setViewingStatementId(statement.id);
+  };
+
+  const handleDelete = async (statement) => {
+    if (!window.confirm(`Delete the ${statement.carrierName} statement of ${new Date(statement.statementDate).toLocaleDateString()}? Its lines will be removed from agent statements.`)) {
+      return;
+    }
+    try {
+      await commissionsAPI.deleteStatement(statement.id);
+      toast.success('Statement deleted');
+      fetchStatements();
+      fetchPayables();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete statement');
+    }
+  };
+
+  const handleStatementChanged = () => {
+    fetchStatements();
+    fetchPayables();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Commissions</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Reconcile carrier commission statements against recorded sales
+          </p>
+        </div>
+        <Button onClick={() => setShowImport(true)} className="w-full sm:w-auto">
+          <Upload className="h-4 w-4 mr-2" />
+          Import Statement
+        </Button>
+      </div>
+
+      <Tabs defaultValue="statements">
+        <TabsList>
+          <TabsTrigger value="statements">Statements</TabsTrigger>
+          <TabsTrigger value="payables">Payables</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="statements">
+          <Card>
+            <CardHeader>
+              <CardTitle>Carrier Statements</CardTitle>
+              <CardDescription>Imported statements and how their lines matched</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="border rounded-lg">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Carrier</TableHead>
+                      <TableHead>Statement Date</TableHead>
+                      <TableHead className="text-right">Lines</TableHead>
+                      <TableHead className="text-right">Matched</TableHead>
+                      <TableHead className="text-right">Discrepancies</TableHead>
+                      <TableHead className="text-right">Unmatched</TableHead>
+                      <TableHead className="text-right">Chargebacks</TableHead>
+                      <TableHead className="text-right">Total</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {statements.length > 0 ? (
+                      statements.map(statement => (
+                        <TableRow key={statement.id}>
+                          <TableCell>
+                            <div className="font-medium">{statement.carrierName}</div>
+                            {statement.fileName && <div className="text-xs text-gray-500">{statement.fileName}</div>}
+                          </TableCell>
+                          <TableCell>
+                            {new Date(statement.statementDate).toLocaleDateString()}
+                            {statement.periodStart && statement.periodEnd && (
+                              <div className="text-xs text-gray-500">
+                                {new Date(statement.periodStart).toLocaleDateString()} – {new Date(statement.periodEnd).toLocaleDateString()}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">{statement.lineCount}</TableCell>
+                          <TableCell className="text-right">{statement.matchedCount}</TableCell>
+                          <TableCell className="text-right">{statement.discrepancyCount}</TableCell>
+                          <TableCell className="text-right">{statement.unmatchedCount}</TableCell>
+                          <TableCell className="text-right">{statement.chargebackCount}</TableCell>
+                          <TableCell className="text-right font-medium">{formatCurrency(statement.totalAmount)}</TableCell>
+                          <TableCell className="text-right">
+                            <div className="flex items-center justify-end gap-2">
+                              <Button variant="ghost" size="sm" onClick={() => setViewingStatementId(statement.id)} title="View lines">
+                                <Eye className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleDelete(statement)}
+                                className="text-red-600 hover:text-red-700"
+                                title="Delete statement"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    ) : (
+                      <TableRow>
+                        <TableCell colSpan={9} className="text-center py-8">
+                          <div className="text-gray-500">
+                            <FileSpreadsheet className="h-8 w-8 mx-auto mb-2 opacity-50" />
+                            <p>No statements imported yet</p>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        <TabsContent value="payables" className="space-y-4 sm:space-y-6">
+          <Card>
+            <CardHeader>
+              <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+                <div>
+                  <CardTitle>Payables by Agent</CardTitle>
+                  <CardDescription>Net commission owed to each agent for the pay period</CardDescription>
+                </div>
+                <div className="flex gap-2">
+                  <div className="space-y-1">
+                    <Label htmlFor="payablesStart" className="text-xs">From</Label>
+                    <Input
+                      id="payablesStart"
+                      type="date"
+                      value={period.periodStart}
+                      onChange={(e) => setPeriod({ ...period, periodStart: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="payablesEnd" className="text-xs">To</Label>
+                    <Input
+                      id="payablesEnd"
+                      type="date"
+                      value={period.periodEnd}
+                      onChange={(e) => setPeriod({ ...period, periodEnd: e.target.value })}
+                    />
+                  </div>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div className="border rounded-lg">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Agent</TableHead>
+                      <TableHead className="text-right">Lines</TableHead>
+                      <TableHead className="text-right">Commission Paid</TableHead>
+                      <TableHead className="text-right">Chargebacks</TableHead>
+                      <TableHead className="text-right">Net Payable</TableHead>
+                      <TableHead className="text-right">Open Discrepancies</TableHead>
+                      <TableHead className="text-right">Statement</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {payablesLoading ? (
+                      <TableRow>
+                        <TableCell colSpan={7} className="text-center py-8 text-gray-500">Loading...</TableCell>
+                      </TableRow>
+                    ) : payables.length > 0 ? (
+                      payables.map(payable => (
+                        <TableRow key={payable.agentId}>
+                          <TableCell>
+                            <div className="font-medium">{payable.firstName} {payable.lastName}</div>
+                            <div className="text-xs text-gray-500">{payable.email}</div>
+                          </TableCell>
+                          <TableCell className="text-right">{payable.lineCount}</TableCell>
+                          <TableCell className="text-right text-green-600">{formatCurrency(payable.commissionPaid)}</TableCell>
+                          <TableCell className="text-right text-red-600">{formatCurrency(payable.chargebacks)}</TableCell>
+                          <TableCell className="text-right font-medium">{formatCurrency(payable.netPayable)}</TableCell>
+                          <TableCell className="text-right">{payable.openDiscrepancies}</TableCell>
+                          <TableCell className="text-right">
+                            <Button variant="ghost" size="sm" onClick={() => setSelectedAgent(payable)} title="View statement">
+                              <Eye className="h-4 w-4" />
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    ) : (
+                      <TableRow>
+                        <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                          No matched commission payments in this period
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+
+          {selectedAgent && (
+            <CommissionStatement
+              key={`${selectedAgent.agentId}-${period.periodStart}-${period.periodEnd}`}
+              agentId={selectedAgent.agentId}
+              initialPeriod={period}
+              title={`Commission Statement - ${selectedAgent.firstName} ${selectedAgent.lastName}`}
+            />
+          )}
+        </TabsContent>
+      </Tabs>
+
+      <ImportStatementDialog
+        isOpen={showImport}
+        onOpenChange={setShowImport}
+        onImported={handleImported}
+      />
+      <StatementDetailDialog
+        statementId={viewingStatementId}
+        onOpenChange={(open) => !open && setViewingStatementId(null)}
+        onChanged={handleStatementChanged}
+      />
+    </div>
+  );
+};
+
+export default CommissionReconciliation;
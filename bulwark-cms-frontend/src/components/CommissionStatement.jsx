@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { commissionsAPI } from '../lib/api.js';
+import { formatCurrency, currentPayPeriod } from '../lib/utils';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Receipt } from 'lucide-react';
+
+const MATCH_STATUS_LABELS = {
+  matched: 'Matched',
+  discrepancy: 'Discrepancy',
+  unmatched: 'Unmatched',
+  chargeback: 'Chargeback'
+};
+
+const MATCH_STATUS_STYLES = {
+  matched: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  discrepancy: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  unmatched: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200',
+  chargeback: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+export const MatchStatusBadge = ({ status }) => (
+  <Badge className={MATCH_STATUS_STYLES[status]}>
+    {MATCH_STATUS_LABELS[status] || status}
+  </Badge>
+);
+
+// Payable commission statement for one agent (the signed-in user unless agentId is given)
+const CommissionStatement = ({ agentId, title = 'Commission Statement', initialPeriod }) => {
+  const [period, setPeriod] = useState(() => initialPeriod || currentPayPeriod());
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchStatement = useCallback(async () => {
+    if (!period.periodStart || !period.periodEnd) return;
+
+    try {
+      setLoading(true);
+      const params = { ...period };
+      if (agentId) {
+        params.agentId = agentId;
+      }
+      const response = await commissionsAPI.getAgentStatement(params);
+      setStatement(response.data.statement);
+    } catch (error) {
+      console.error('Error fetching commission statement:', error);
+      toast.error(error.response?.data?.error || 'Failed to load commission statement');
+    } finally {
+      setLoading(false);
+    }
+  }, [period, agentId]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  const totals = statement?.totals;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Receipt className="h-5 w-5" />
+              {title}
+            </CardTitle>
+            <CardDescription>
+              Commission paid by carriers for the pay period, less chargebacks
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="periodStart" className="text-xs">From</Label>
+              <Input
+                id="periodStart"
+                type="date"
+                value={period.periodStart}
+                onChange={(e) => setPeriod({ ...period, periodStart: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="periodEnd" className="text-xs">To</Label>
+              <Input
+                id="periodEnd"
+                type="date"
+                value={period.periodEnd}
+                onChange={(e) => setPeriod({ ...period, periodEnd: e.target.value })}
+              />
+            </div>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="flex items-center justify-center h-24">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              <div className="rounded-lg border p-3">
+                <div className="text-xs text-muted-foreground">Commission paid</div>
+                <div className="text-lg font-bold text-green-600">{formatCurrency(totals?.commissionPaid)}</div>
+              </div>
+              <div className="rounded-lg border p-3">
+                <div className="text-xs text-muted-foreground">Chargebacks</div>
+                <div className="text-lg font-bold text-red-600">{formatCurrency(totals?.chargebacks)}</div>
+              </div>
+              <div className="rounded-lg border p-3">
+                <div className="text-xs text-muted-foreground">Net payable</div>
+                <div className="text-lg font-bold">{formatCurrency(totals?.netPayable)}</div>
+              </div>
+              <div className="rounded-lg border p-3">
+                <div className="text-xs text-muted-foreground">Open discrepancies</div>
+                <div className="text-lg font-bold">{totals?.openDiscrepancies || 0}</div>
+              </div>
+            </div>
+
+            <div className="border rounded-lg">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Paid</TableHead>
+                    <TableHead>Client</TableHead>
+                    <TableHead>Policy</TableHead>
+                    <TableHead>Carrier</TableHead>
+                    <TableHead className="text-right">Expected</TableHead>
+                    <TableHead className="text-right">Paid</TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {statement?.lines?.length > 0 ? (
+                    statement.lines.map(line => (
+                      <TableRow key={line.id}>
+                        <TableCell>{new Date(line.paymentDate).toLocaleDateString()}</TableCell>
+                        <TableCell>
+                          {line.clientFirstName ? `${line.clientFirstName} ${line.clientLastName}` : '—'}
+                          {line.productName && (
+                            <div className="text-xs text-gray-500">{line.productName}</div>
+                          )}
+                        </TableCell>
+                        <TableCell>{line.policyNumber || '—'}</TableCell>
+                        <TableCell>{line.carrierName}</TableCell>
+                        <TableCell className="text-right">
+                          {line.expectedAmount !== null ? formatCurrency(line.expectedAmount) : '—'}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">{formatCurrency(line.paidAmount)}</TableCell>
+                        <TableCell>
+                          <MatchStatusBadge status={line.matchStatus} />
+                          {line.isResolved && (
+                            <span className="ml-1 text-xs text-gray-500">Resolved</span>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={7} className="text-center py-8 text-gray-500">
+                        No commission payments recorded for this period
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CommissionStatement;
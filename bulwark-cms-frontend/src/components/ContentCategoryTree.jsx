@@ -0,0 +1,309 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { contentAPI } from '../lib/api.js';
+import { flattenCategories, findSiblings } from '../lib/contentCategories.js';
+import { cn } from '@/lib/utils';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Switch } from './ui/switch';
+import { Alert, AlertDescription } from './ui/alert';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { ArrowDown, ArrowUp, ChevronDown, ChevronRight, Folder, FolderOpen, Library, Pencil, Plus, Trash2 } from 'lucide-react';
+
+const CategoryForm = ({ category, parentId, categories, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: category?.name || '',
+    description: category?.description || '',
+    parentId: category ? category.parentId : parentId,
+    isActive: category ? category.isActive !== false : true
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // A category cannot move under itself or anything below it
+  const excluded = category ? new Set(flattenCategories([category]).map(entry => entry.id)) : new Set();
+  const parentOptions = flattenCategories(categories).filter(entry => !excluded.has(entry.id));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const data = {
+        name: formData.name,
+        description: formData.description,
+        parentId: formData.parentId || null
+      };
+      if (category) {
+        await contentAPI.updateCategory(category.id, { ...data, isActive: formData.isActive });
+      } else {
+        await contentAPI.createCategory(data);
+      }
+      toast.success(category ? 'Category updated successfully' : 'Category created successfully');
+      onSave();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details?.[0]?.msg || error.response?.data?.error || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      <div className="space-y-2">
+        <Label htmlFor="category-name">Name *</Label>
+        <Input
+          id="category-name"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          placeholder="e.g. Underwriting Guides"
+          required
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="category-parent">Inside</Label>
+        <select
+          id="category-parent"
+          value={formData.parentId || ''}
+          onChange={(e) => setFormData({ ...formData, parentId: e.target.value ? parseInt(e.target.value) : null })}
+          className="w-full p-2 border rounded"
+        >
+          <option value="">Top level</option>
+          {parentOptions.map(entry => (
+            <option key={entry.id} value={entry.id}>
+              {'\u00A0\u00A0'.repeat(entry.depth)}{entry.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="category-description">Description</Label>
+        <Textarea
+          id="category-description"
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          rows={2}
+        />
+      </div>
+      {category && (
+        <div className="flex items-center space-x-2">
+          <Switch
+            id="category-active"
+            checked={formData.isActive}
+            onCheckedChange={(checked) => setFormData({ ...formData, isActive: checked })}
+          />
+          <Label htmlFor="category-active">Show this category in the library</Label>
+        </div>
+      )}
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Category'}</Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+const CategoryNode = ({ category, depth, selectedCategoryId, expanded, onToggle, onSelect }) => {
+  const isOpen = expanded.has(category.id);
+  const hasChildren = category.children?.length > 0;
+  const FolderIcon = isOpen ? FolderOpen : Folder;
+
+  return (
+    <li>
+      <div
+        className={cn(
+          'flex items-center gap-1 rounded px-1 py-1 text-sm cursor-pointer hover:bg-muted',
+          selectedCategoryId === category.id && 'bg-muted font-medium',
+          category.isActive === false && 'text-muted-foreground italic'
+        )}
+        style={{ paddingLeft: `${depth * 12 + 4}px` }}
+        onClick={() => onSelect(category.id)}
+      >
+        <button
+          type="button"
+          className={cn('h-4 w-4 shrink-0', !hasChildren && 'invisible')}
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(category.id);
+          }}
+          aria-label={isOpen ? 'Collapse' : 'Expand'}
+        >
+          {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        </button>
+        <FolderIcon className="h-4 w-4 shrink-0" />
+        <span className="flex-1 truncate">{category.name}</span>
+        <span className="text-xs text-muted-foreground">{category.totalCount}</span>
+      </div>
+      {hasChildren && isOpen && (
+        <ul>
+          {category.children.map(child => (
+            <CategoryNode
+              key={child.id}
+              category={child}
+              depth={depth + 1}
+              selectedCategoryId={selectedCategoryId}
+              expanded={expanded}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Sidebar for browsing the document library by category; with content.manage it also edits the tree
+const ContentCategoryTree = ({ categories, selectedCategoryId, selectedPath, onSelect, canManage, onChanged }) => {
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [editing, setEditing] = useState(null);
+
+  // Categories start expanded until collapsed
+  const expanded = new Set(flattenCategories(categories).map(entry => entry.id).filter(id => !collapsed.has(id)));
+
+  const toggle = (categoryId) => {
+    const next = new Set(collapsed);
+    if (expanded.has(categoryId)) {
+      next.add(categoryId);
+    } else {
+      next.delete(categoryId);
+    }
+    setCollapsed(next);
+  };
+
+  const selected = selectedPath[selectedPath.length - 1];
+  const siblings = selected ? findSiblings(categories, selected.id) : [];
+  const selectedIndex = siblings.findIndex(entry => entry.id === selected?.id);
+
+  const move = async (offset) => {
+    const order = siblings.map(entry => entry.id);
+    [order[selectedIndex], order[selectedIndex + offset]] = [order[selectedIndex + offset], order[selectedIndex]];
+    try {
+      await contentAPI.reorderCategories({ parentId: selected.parentId, categoryIds: order });
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reorder categories');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${selected.name} category?`)) {
+      return;
+    }
+
+    try {
+      await contentAPI.deleteCategory(selected.id);
+      toast.success('Category deleted');
+      onSelect(selected.parentId || null);
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete category');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="flex items-center justify-between text-base">
+          Categories
+          {canManage && (
+            <Button variant="ghost" size="sm" onClick={() => setEditing({ parentId: null })} title="Add top-level category">
+              <Plus className="h-4 w-4" />
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div
+          className={cn(
+            'flex items-center gap-2 rounded px-1 py-1 text-sm cursor-pointer hover:bg-muted',
+            !selectedCategoryId && 'bg-muted font-medium'
+          )}
+          onClick={() => onSelect(null)}
+        >
+          <Library className="h-4 w-4" />
+          All documents
+        </div>
+        {categories.length > 0 ? (
+          <ul>
+            {categories.map(category => (
+              <CategoryNode
+                key={category.id}
+                category={category}
+                depth={0}
+                selectedCategoryId={selectedCategoryId}
+                expanded={expanded}
+                onToggle={toggle}
+                onSelect={onSelect}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-muted-foreground">No categories yet</p>
+        )}
+
+        {canManage && selected && (
+          <div className="flex flex-wrap gap-1 border-t pt-3">
+            <Button variant="ghost" size="sm" onClick={() => setEditing({ parentId: selected.id })} title="Add subcategory">
+              <Plus className="h-4 w-4" />
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setEditing({ category: selected })} title="Edit category">
+              <Pencil className="h-4 w-4" />
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => move(-1)} disabled={selectedIndex <= 0} title="Move up">
+              <ArrowUp className="h-4 w-4" />
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => move(1)} disabled={selectedIndex === siblings.length - 1} title="Move down">
+              <ArrowDown className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleDelete}
+              disabled={selected.children?.length > 0}
+              title={selected.children?.length > 0 ? 'Move or delete its subcategories first' : 'Delete category'}
+            >
+              <Trash2 className="h-4 w-4 text-red-600" />
+            </Button>
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{editing?.category ? `Edit ${editing.category.name}` : 'Add Category'}</DialogTitle>
+            <DialogDescription>
+              {editing?.category ? 'Rename, move or hide this category' : 'Create a category to group documents'}
+            </DialogDescription>
+          </DialogHeader>
+          {editing && (
+            <CategoryForm
+              key={editing.category?.id || `new-${editing.parentId}`}
+              category={editing.category}
+              parentId={editing.parentId}
+              categories={categories}
+              onSave={() => {
+                setEditing(null);
+                onChanged();
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ContentCategoryTree;
@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { contentAPI } from '../lib/api.js';
+import { flattenCategories, findCategoryPath } from '../lib/contentCategories.js';
 import { useAuth } from '@/hooks/useAuth.jsx';
+import ContentCategoryTree from './ContentCategoryTree';
 import {
   Card,
   CardContent,
@@ -39,6 +41,14 @@ import {
   AlertDialogTitle,
   AlertDialogTrigger,
 } from './ui/alert-dialog';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from './ui/breadcrumb';
 import { toast } from 'sonner';
 import { 
   Search, 
@@ -53,12 +63,15 @@ import {
   Globe,
   Calendar,
   User,
-  Filter
+  Filter,
+  Folder
 } from 'lucide-react';
 
 const ContentManagement = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canManageCategories = hasPermission('content.manage');
   const [content, setContent] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [selectedContent, setSelectedContent] = useState(null);
   const [loading, setLoading] = useState(false);
   const [downloadingContentId, setDownloadingContentId] = useState(null);
@@ -68,9 +81,29 @@ const ContentManagement = () => {
   const [filters, setFilters] = useState({
     type: '',
     visibility: '',
-    author_id: '' // Changed from authorId to author_id to match backend
+    author_id: '', // Changed from authorId to author_id to match backend
+    category_id: '' // Includes every subcategory
   });
 
+  // Category tree for the sidebar, with hidden categories for those who manage them
+  const loadCategories = useCallback(async () => {
+    try {
+      const response = await contentAPI.getCategories(canManageCategories ? { includeInactive: true } : {});
+      setCategories(response.data?.categories || []);
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  }, [canManageCategories]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  const selectedCategoryId = filters.category_id ? parseInt(filters.category_id) : null;
+  const selectedCategoryPath = findCategoryPath(categories, selectedCategoryId);
+  const categoryNames = new Map(flattenCategories(categories).map(category => [category.id, category.name]));
+  const selectCategory = (categoryId) => setFilters({ ...filters, category_id: categoryId ? categoryId.toString() : '' });
+
   // Helper function to get file extension from MIME type
   const getExtensionFromMimeType = (mimeType) => {
     const mimeToExt = {
@@ -282,6 +315,7 @@ const ContentManagement = () => {
         content_type: safeContentType,
         description: safeDescription,
         is_public: safeIsPublic,
+        category_id: contentData.categoryId || '',
         file: contentData.file
       };
 
@@ -290,6 +324,7 @@ const ContentManagement = () => {
       const response = await contentAPI.createContent(mappedData);
       toast.success('Content created successfully');
       loadContent();
+      loadCategories();
       return response;
     } catch (error) {
       console.error('Create content error:', error);
@@ -319,12 +354,14 @@ const ContentManagement = () => {
         title: contentData.title,
         contentType: contentData.content_type,
         description: contentData.description,
-        isPublic: contentData.isPublic
+        isPublic: contentData.isPublic,
+        categoryId: contentData.categoryId || null
       };
       
       const response = await contentAPI.updateContent(id, mappedData);
       toast.success('Content updated successfully');
       loadContent();
+      loadCategories();
       return response;
     } catch (error) {
       console.error('Update content error:', error);
@@ -354,6 +391,7 @@ const ContentManagement = () => {
       await contentAPI.deleteContent(id);
       toast.success('Content deleted successfully');
       loadContent();
+      loadCategories();
     } catch (error) {
       console.error('Delete content error:', error);
       if (error.response?.status === 404) {
@@ -433,114 +471,167 @@ const ContentManagement = () => {
             Store and manage company documentation, policies, and knowledge base
           </p>
         </div>
-        <CreateDocumentDialog onCreateContent={createContent} />
+        <CreateDocumentDialog
+          onCreateContent={createContent}
+          categories={categories}
+          defaultCategoryId={selectedCategoryId}
+        />
       </div>
 
-      {/* Search and Filters */}
-      <Card>
-        <CardContent className="p-6">
-          <form onSubmit={handleSearch} className="space-y-4">
-            <div className="flex gap-4">
-              <div className="flex-1">
-                <Input
-                  placeholder="Search documents..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                />
-              </div>
-              <Button type="submit">
-                <Search className="w-4 h-4 mr-2" />
-                Search
-              </Button>
-            </div>
+      <div className="grid grid-cols-1 lg:grid-cols-[260px_1fr] gap-6 items-start">
+        <ContentCategoryTree
+          categories={categories}
+          selectedCategoryId={selectedCategoryId}
+          selectedPath={selectedCategoryPath}
+          onSelect={selectCategory}
+          canManage={canManageCategories}
+          onChanged={() => {
+            loadCategories();
+            loadContent();
+          }}
+        />
+
+        <div className="space-y-6 min-w-0">
+          {/* Search and Filters */}
+          <Card>
+            <CardContent className="p-6">
+              <form onSubmit={handleSearch} className="space-y-4">
+                <div className="flex gap-4">
+                  <div className="flex-1">
+                    <Input
+                      placeholder="Search documents..."
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                    />
+                  </div>
+                  <Button type="submit">
+                    <Search className="w-4 h-4 mr-2" />
+                    Search
+                  </Button>
+                </div>
             
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-              <div>
-                <Label htmlFor="type">Document Type</Label>
-                <select
-                  id="type"
-                  value={filters.type}
-                  onChange={(e) => setFilters({ ...filters, type: e.target.value })}
-                  className="w-full p-2 border rounded"
-                >
-                  <option value="">All Types</option>
-                  <option value="policy_update">Policy Update</option>
-                  <option value="knowledge_base">Knowledge Base</option>
-                  <option value="forms_documents">Forms & Documents</option>
-                </select>
-              </div>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <Label htmlFor="type">Document Type</Label>
+                    <select
+                      id="type"
+                      value={filters.type}
+                      onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+                      className="w-full p-2 border rounded"
+                    >
+                      <option value="">All Types</option>
+                      <option value="policy_update">Policy Update</option>
+                      <option value="knowledge_base">Knowledge Base</option>
+                      <option value="forms_documents">Forms & Documents</option>
+                    </select>
+                  </div>
               
-              <div>
-                <Label htmlFor="visibility">Visibility</Label>
-                <select
-                  id="visibility"
-                  value={filters.visibility}
-                  onChange={(e) => setFilters({ ...filters, visibility: e.target.value })}
-                  className="w-full p-2 border rounded"
-                >
-                  <option value="">All</option>
-                  <option value="true">Public</option>
-                  <option value="false">Private</option>
-                </select>
-              </div>
+                  <div>
+                    <Label htmlFor="visibility">Visibility</Label>
+                    <select
+                      id="visibility"
+                      value={filters.visibility}
+                      onChange={(e) => setFilters({ ...filters, visibility: e.target.value })}
+                      className="w-full p-2 border rounded"
+                    >
+                      <option value="">All</option>
+                      <option value="true">Public</option>
+                      <option value="false">Private</option>
+                    </select>
+                  </div>
               
-              <div>
-                <Label htmlFor="author">Author</Label>
-                <select
-                  id="author"
-                  value={filters.author_id}
-                  onChange={(e) => setFilters({ ...filters, author_id: e.target.value })}
-                  className="w-full p-2 border rounded"
-                >
-                  <option value="">All Authors</option>
-                  <option value={user?.id}>My Documents</option>
-                </select>
-              </div>
-
-              <div className="flex items-end">
-                <Button 
-                  type="button" 
-                  variant="outline" 
-                  onClick={() => setFilters({ type: '', visibility: '', author_id: '' })}
-                  className="w-full"
-                >
-                  <Filter className="w-4 h-4 mr-2" />
-                  Clear Filters
-                </Button>
-              </div>
-            </div>
-          </form>
-        </CardContent>
-      </Card>
-
-      {/* Content List */}
-      <div className="space-y-4">
-                 {content && Array.isArray(content) && content.length > 0 ? (
-           <ContentList
-             content={content}
-             onUpdateContent={updateContent}
-             onDeleteContent={deleteContent}
-             onPreviewDocument={handlePreviewDocument}
-             onDownloadDocument={handleDownloadDocument}
-             previewLoading={previewLoading}
-             downloadingContentId={downloadingContentId}
-             user={user}
-             getContentTypeIcon={getContentTypeIcon}
-             getContentTypeLabel={getContentTypeLabel}
-             getVisibilityIcon={getVisibilityIcon}
-             getVisibilityLabel={getVisibilityLabel}
-           />
-         ) : (
-          <Card>
-            <CardContent className="p-12 text-center">
-              <FileText className="w-16 h-16 mx-auto text-muted-foreground mb-4" />
-              <h3 className="text-lg font-semibold mb-2">No documents found</h3>
-              <p className="text-muted-foreground">
-                Start by uploading your first document to build your knowledge base.
-              </p>
+                  <div>
+                    <Label htmlFor="author">Author</Label>
+                    <select
+                      id="author"
+                      value={filters.author_id}
+                      onChange={(e) => setFilters({ ...filters, author_id: e.target.value })}
+                      className="w-full p-2 border rounded"
+                    >
+                      <option value="">All Authors</option>
+                      <option value={user?.id}>My Documents</option>
+                    </select>
+                  </div>
+
+                  <div className="flex items-end">
+                    <Button 
+                      type="button" 
+                      variant="outline" 
+                      onClick={() => setFilters({ type: '', visibility: '', author_id: '', category_id: '' })}
+                      className="w-full"
+                    >
+                      <Filter className="w-4 h-4 mr-2" />
+                      Clear Filters
+                    </Button>
+                  </div>
+                </div>
+              </form>
             </CardContent>
           </Card>
-        )}
+
+          {/* Category Breadcrumbs */}
+          <Breadcrumb>
+            <BreadcrumbList>
+              <BreadcrumbItem>
+                {selectedCategoryPath.length > 0 ? (
+                  <BreadcrumbLink asChild>
+                    <button type="button" onClick={() => selectCategory(null)}>All documents</button>
+                  </BreadcrumbLink>
+                ) : (
+                  <BreadcrumbPage>All documents</BreadcrumbPage>
+                )}
+              </BreadcrumbItem>
+              {selectedCategoryPath.map((category, index) => (
+                <React.Fragment key={category.id}>
+                  <BreadcrumbSeparator />
+                  <BreadcrumbItem>
+                    {index < selectedCategoryPath.length - 1 ? (
+                      <BreadcrumbLink asChild>
+                        <button type="button" onClick={() => selectCategory(category.id)}>{category.name}</button>
+                      </BreadcrumbLink>
+                    ) : (
+                      <BreadcrumbPage>{category.name}</BreadcrumbPage>
+                    )}
+                  </BreadcrumbItem>
+                </React.Fragment>
+              ))}
+            </BreadcrumbList>
+          </Breadcrumb>
+
+          {/* Content List */}
+          <div className="space-y-4">
+            {content && Array.isArray(content) && content.length > 0 ? (
+              <ContentList
+                content={content}
+                categories={categories}
+                categoryNames={categoryNames}
+                onUpdateContent={updateContent}
+                onDeleteContent={deleteContent}
+                onPreviewDocument={handlePreviewDocument}
+                onDownloadDocument={handleDownloadDocument}
+                previewLoading={previewLoading}
+                downloadingContentId={downloadingContentId}
+                user={user}
+                getContentTypeIcon={getContentTypeIcon}
+                getContentTypeLabel={getContentTypeLabel}
+                getVisibilityIcon={getVisibilityIcon}
+                getVisibilityLabel={getVisibilityLabel}
+              />
+            ) : (
+              <Card>
+                <CardContent className="p-12 text-center">
+                  <FileText className="w-16 h-16 mx-auto text-muted-foreground mb-4" />
+                  <h3 className="text-lg font-semibold mb-2">No documents found</h3>
+                  <p className="text-muted-foreground">
+                    {selectedCategoryId
+                      ? 'There are no documents in this category yet.'
+                      : 'Start by uploading your first document to build your knowledge base.'}
+                  </p>
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -548,6 +639,8 @@ const ContentManagement = () => {
 
 const ContentList = ({ 
   content, 
+  categories,
+  categoryNames,
   onUpdateContent, 
   onDeleteContent,
   onPreviewDocument,
@@ -620,6 +713,12 @@ const ContentList = ({
                   {getVisibilityIcon(item?.isPublic || item?.is_public)}
                   {getVisibilityLabel(item?.isPublic || item?.is_public)}
                 </Badge>
+                {categoryNames.has(item?.categoryId) && (
+                  <Badge variant="outline" className="flex items-center gap-1">
+                    <Folder className="w-4 h-4" />
+                    {categoryNames.get(item.categoryId)}
+                  </Badge>
+                )}
               </div>
             </CardHeader>
             <CardContent className="space-y-3">
@@ -721,6 +820,7 @@ const ContentList = ({
       {editingContent && (
         <EditDocumentDialog
           content={editingContent}
+          categories={categories}
           onClose={() => setEditingContent(null)}
           onUpdate={onUpdateContent}
         />
@@ -736,7 +836,24 @@ const ContentList = ({
   );
 };
 
-const CreateDocumentDialog = ({ onCreateContent }) => {
+// Category picker for the upload and edit forms, indented to show nesting
+const CategorySelect = ({ id, categories, value, onChange }) => (
+  <select
+    id={id}
+    value={value || ''}
+    onChange={(e) => onChange(e.target.value ? parseInt(e.target.value) : null)}
+    className="w-full p-2 border rounded"
+  >
+    <option value="">No category</option>
+    {flattenCategories(categories).map(category => (
+      <option key={category.id} value={category.id}>
+        {'\u00A0\u00A0'.repeat(category.depth)}{category.name}
+      </option>
+    ))}
+  </select>
+);
+
+const CreateDocumentDialog = ({ onCreateContent, categories, defaultCategoryId }) => {
   const [open, setOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -755,10 +872,11 @@ const CreateDocumentDialog = ({ onCreateContent }) => {
         content_type: 'policy_update',
         description: '',
         isPublic: true,
+        categoryId: defaultCategoryId,
         file: null
       });
     }
-  }, [open]);
+  }, [open, defaultCategoryId]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -851,6 +969,16 @@ const CreateDocumentDialog = ({ onCreateContent }) => {
             </select>
           </div>
 
+          <div>
+            <Label htmlFor="category">Category</Label>
+            <CategorySelect
+              id="category"
+              categories={categories}
+              value={formData.categoryId}
+              onChange={(categoryId) => setFormData({ ...formData, categoryId })}
+            />
+          </div>
+
           <div>
             <Label htmlFor="description">Description</Label>
             <Textarea
@@ -901,13 +1029,14 @@ const CreateDocumentDialog = ({ onCreateContent }) => {
   );
 };
 
-const EditDocumentDialog = ({ content, onClose, onUpdate }) => {
+const EditDocumentDialog = ({ content, categories, onClose, onUpdate }) => {
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
     title: content?.title || '',
     content_type: content?.content_type || content?.contentType || 'policy_update',
     description: content?.description || '',
-    isPublic: content?.isPublic !== undefined ? content.isPublic : (content?.is_public !== undefined ? content.is_public : true)
+    isPublic: content?.isPublic !== undefined ? content.isPublic : (content?.is_public !== undefined ? content.is_public : true),
+    categoryId: content?.categoryId || null
   });
 
   // Update form data when content changes
@@ -917,7 +1046,8 @@ const EditDocumentDialog = ({ content, onClose, onUpdate }) => {
         title: content.title || '',
         content_type: content.content_type || content.contentType || 'policy_update',
         description: content.description || '',
-        isPublic: content.isPublic !== undefined ? content.isPublic : (content.is_public !== undefined ? content.is_public : true)
+        isPublic: content.isPublic !== undefined ? content.isPublic : (content.is_public !== undefined ? content.is_public : true),
+        categoryId: content.categoryId || null
       });
     }
   }, [content]);
@@ -983,6 +1113,16 @@ const EditDocumentDialog = ({ content, onClose, onUpdate }) => {
             </select>
           </div>
 
+          <div>
+            <Label htmlFor="edit_category">Category</Label>
+            <CategorySelect
+              id="edit_category"
+              categories={categories}
+              value={formData.categoryId}
+              onChange={(categoryId) => setFormData({ ...formData, categoryId })}
+            />
+          </div>
+
           <div>
             <Label htmlFor="edit_description">Description</Label>
             <Textarea
@@ -69,7 +69,7 @@ const StatCard = ({ title, value, description, icon: Icon, trend, color = 'blue'
 };
 
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [dashboardData, setDashboardData] = useState({
@@ -82,16 +82,12 @@ const Dashboard = () => {
     salesTrend: [],
     productSales: [],
     upcomingReminders: [],
+    overdueReminderList: [],
     featuredContent: []
   });
   const [viewMode, setViewMode] = useState('individual');
-  const [canViewAllData, setCanViewAllData] = useState(false);
-
-  useEffect(() => {
-    if (user?.role === 'manager') {
-      setCanViewAllData(true);
-    }
-  }, [user]);
+  // The overall view shows the team's data, as far as the user's part of the org reaches
+  const canViewAllData = hasPermission('reports.view_team');
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -109,14 +105,15 @@ const Dashboard = () => {
           salesAPI.getSales(viewMode === 'overall' && canViewAllData ? {} : { agent_id: user.id }),
           clientsAPI.getClients(viewMode === 'overall' && canViewAllData ? {} : { agent_id: user.id }),
           goalsAPI.getGoals(viewMode === 'overall' && canViewAllData ? {} : { agent_id: user.id }),
-          remindersAPI.getReminders(viewMode === 'overall' && canViewAllData ? {} : { agent_id: user.id })
+          remindersAPI.getUpcomingReminders(viewMode === 'overall' && canViewAllData ? { limit: 5 } : { limit: 5, agent_id: user.id })
         ]);
 
         // Extract data from responses
         const salesData = salesResponse.data.sales || salesResponse.data || [];
         const clientsData = clientsResponse.data.clients || clientsResponse.data || [];
         const goalsData = goalsResponse.data.data || goalsResponse.data || []; // Backend sends data.data
-        const remindersData = remindersResponse.data.reminders || remindersResponse.data || [];
+        // Upcoming and overdue reminders come in separate buckets, with totals for each
+        const { reminders: upcomingReminders = [], overdue: overdueReminderList = [], counts = {} } = remindersResponse.data;
         
         // Calculate metrics from real data
         
@@ -144,27 +141,18 @@ const Dashboard = () => {
         }).length;
         
 
-        const pendingReminders = remindersData.filter(reminder => !reminder.isCompleted && !reminder.is_completed).length;
-        const overdueReminders = remindersData.filter(reminder => {
-          const reminderDate = reminder.reminderDate || reminder.reminder_date;
-          return (!reminder.isCompleted && !reminder.is_completed) && new Date(reminderDate) < new Date();
-        }).length;
+        const overdueReminders = counts.overdue || 0;
+        const pendingReminders = (counts.upcoming || 0) + overdueReminders;
 
         // Generate charts data
         const salesTrend = generateSalesTrendData(salesData);
         const productSales = generateProductSalesData(salesData);
 
-        // Get upcoming reminders
-        const upcomingReminders = remindersData
-          .filter(reminder => !reminder.is_completed && new Date(reminder.reminder_date) >= new Date())
-          .sort((a, b) => new Date(a.reminder_date) - new Date(b.reminder_date))
-          .slice(0, 5);
-
         console.log('Real data fetched:', {
           sales: salesData.length,
           clients: clientsData.length,
           goals: goalsData.length,
-          reminders: remindersData.length
+          reminders: pendingReminders
         });
 
         const dashboardDataToSet = {
@@ -179,7 +167,8 @@ const Dashboard = () => {
           overdueReminders,
           salesTrend,
           productSales,
-          upcomingReminders
+          upcomingReminders,
+          overdueReminderList
         };
         
         console.log('🔍 Setting dashboard data:', dashboardDataToSet);
@@ -318,7 +307,8 @@ const Dashboard = () => {
     overdueReminders,
     salesTrend, 
     productSales, 
-    upcomingReminders 
+    upcomingReminders,
+    overdueReminderList
   } = dashboardData;
 
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
@@ -549,6 +539,30 @@ const Dashboard = () => {
           <CardDescription>Tasks and follow-ups</CardDescription>
         </CardHeader>
         <CardContent>
+          {overdueReminderList && overdueReminderList.length > 0 && (
+            <div className="space-y-3 mb-6">
+              <p className="text-sm font-medium text-red-600">
+                Overdue ({overdueReminders})
+              </p>
+              {overdueReminderList.map((reminder) => (
+                <div key={reminder.id} className="flex items-center justify-between p-3 bg-red-50 rounded-lg">
+                  <div className="flex items-center gap-3">
+                    <AlertTriangle className="h-4 w-4 text-red-500" />
+                    <div>
+                      <p className="font-medium">{reminder.title}</p>
+                      <p className="text-sm text-gray-500">
+                        {new Date(reminder.reminder_date).toLocaleDateString()}
+                        {reminder.client_name ? ` · ${reminder.client_name}` : ''}
+                      </p>
+                    </div>
+                  </div>
+                  <Badge variant={reminder.priority === 'high' || reminder.priority === 'urgent' ? 'destructive' : 'secondary'}>
+                    {reminder.priority || 'medium'}
+                  </Badge>
+                </div>
+              ))}
+            </div>
+          )}
           {upcomingReminders && upcomingReminders.length > 0 ? (
             <div className="space-y-3">
               {upcomingReminders.map((reminder, index) => (
@@ -0,0 +1,178 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { clientsAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { ArrowLeft, Check, Copy, Mail, Phone, Calendar, User, X } from 'lucide-react';
+
+const REASON_LABELS = {
+  email: 'Same email',
+  phone: 'Same phone',
+  name_dob: 'Name & date of birth',
+  name: 'Similar name'
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString();
+};
+
+const ClientSummary = ({ client, onKeep, disabled }) => (
+  <div className="flex-1 rounded-lg border p-3 space-y-2 min-w-0">
+    <div className="flex items-center justify-between gap-2">
+      <div className="font-medium truncate">{client.firstName} {client.lastName}</div>
+      <Badge variant="outline" className="capitalize">{client.status}</Badge>
+    </div>
+    <div className="space-y-1 text-sm text-gray-600 dark:text-gray-300">
+      <div className="flex items-center gap-2">
+        <Mail className="h-3 w-3 shrink-0" />
+        <span className="truncate">{client.email || 'N/A'}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <Phone className="h-3 w-3 shrink-0" />
+        <span>{client.phone || 'N/A'}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <Calendar className="h-3 w-3 shrink-0" />
+        <span>{formatDate(client.dateOfBirth)}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <User className="h-3 w-3 shrink-0" />
+        <span>{client.agentFirstName ? `${client.agentFirstName} ${client.agentLastName}` : 'Unassigned'}</span>
+      </div>
+    </div>
+    <Button size="sm" variant="outline" className="w-full" onClick={onKeep} disabled={disabled}>
+      <Check className="h-4 w-4 mr-1" />
+      Keep this record
+    </Button>
+  </div>
+);
+
+// Manager review queue for clients that look like the same person
+const DuplicateClients = () => {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  const loadPairs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await clientsAPI.getDuplicates({ limit: 100 });
+      setPairs(response.data.pairs || []);
+    } catch (error) {
+      console.error('Failed to load duplicate clients:', error);
+      toast.error('Failed to load possible duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPairs();
+  }, [loadPairs]);
+
+  const handleMerge = async (survivor, duplicate) => {
+    const message = `Merge ${duplicate.firstName} ${duplicate.lastName} into ${survivor.firstName} ${survivor.lastName}?\n\n` +
+      'Sales, reminders, notes, opportunities and relationships will move to the kept record ' +
+      'and the other record will be deleted. This cannot be undone.';
+    if (!window.confirm(message)) return;
+
+    setWorking(true);
+    try {
+      const response = await clientsAPI.mergeClients({ survivorId: survivor.id, duplicateId: duplicate.id });
+      const { moved } = response.data;
+      toast.success(`Clients merged: moved ${moved.sales} sales, ${moved.reminders} reminders and ${moved.notes} notes`);
+      await loadPairs();
+    } catch (error) {
+      console.error('Merge clients error:', error);
+      toast.error(error.response?.data?.error || 'Failed to merge clients');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDismiss = async (pair) => {
+    setWorking(true);
+    try {
+      await clientsAPI.dismissDuplicate({ clientId: pair.client.id, otherClientId: pair.duplicate.id });
+      toast.success('Pair marked as not duplicates');
+      setPairs(current => current.filter(item => item !== pair));
+    } catch (error) {
+      console.error('Dismiss duplicate error:', error);
+      toast.error(error.response?.data?.error || 'Failed to dismiss pair');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Possible Duplicates</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Review clients that look like the same person and merge or dismiss them
+          </p>
+        </div>
+        <Button variant="outline" asChild className="w-full sm:w-auto">
+          <Link to="/clients">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Clients
+          </Link>
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : pairs.length === 0 ? (
+        <Card>
+          <CardContent className="py-8">
+            <p className="text-center text-gray-500 dark:text-gray-400">No possible duplicates found</p>
+          </CardContent>
+        </Card>
+      ) : (
+        pairs.map(pair => (
+          <Card key={`${pair.client.id}:${pair.duplicate.id}`}>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2 text-base">
+                <Copy className="h-4 w-4" />
+                {Math.round(pair.score * 100)}% match
+              </CardTitle>
+              <CardDescription className="flex flex-wrap gap-2">
+                {pair.reasons.map(reason => (
+                  <Badge key={reason} variant="secondary">{REASON_LABELS[reason] || reason}</Badge>
+                ))}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <div className="flex flex-col sm:flex-row gap-3">
+                <ClientSummary
+                  client={pair.client}
+                  onKeep={() => handleMerge(pair.client, pair.duplicate)}
+                  disabled={working}
+                />
+                <ClientSummary
+                  client={pair.duplicate}
+                  onKeep={() => handleMerge(pair.duplicate, pair.client)}
+                  disabled={working}
+                />
+              </div>
+              <div className="flex justify-end">
+                <Button variant="ghost" size="sm" onClick={() => handleDismiss(pair)} disabled={working}>
+                  <X className="h-4 w-4 mr-1" />
+                  Not duplicates
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DuplicateClients;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { downloadResponse, readBlobError } from '../lib/utils';
+import { Button } from './ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { Download, FileSpreadsheet, FileText, FileType } from 'lucide-react';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', icon: <FileType className="h-4 w-4 mr-2" /> },
+  { value: 'xlsx', label: 'Excel (.xlsx)', icon: <FileSpreadsheet className="h-4 w-4 mr-2" /> },
+  { value: 'pdf', label: 'PDF', icon: <FileText className="h-4 w-4 mr-2" /> }
+];
+
+// Export dropdown for list pages: request(format) must return an axios blob response from a server-side export
+const ExportMenu = ({ request, fileName, label = 'Export', className = '' }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const response = await request(format);
+      downloadResponse(response, `${fileName}-${new Date().toISOString().split('T')[0]}.${format}`);
+    } catch (error) {
+      console.error(`Export ${fileName} error:`, error);
+      toast.error((await readBlobError(error)) || `Failed to export ${fileName}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={exporting} className={className}>
+          <Download className="h-4 w-4 mr-2" />
+          {exporting ? 'Exporting...' : label}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {FORMATS.map(format => (
+          <DropdownMenuItem key={format.value} onClick={() => handleExport(format.value)}>
+            {format.icon}
+            {format.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ExportMenu;
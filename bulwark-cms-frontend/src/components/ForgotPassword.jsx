@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../lib/api.js';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { ArrowLeft, Mail } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email);
+      setSubmitted(true);
+    } catch (error) {
+      if (error.response?.status === 429) {
+        toast.error('Too many reset requests. Please try again later.');
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to send reset link');
+      }
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-blue-100 dark:from-gray-900 dark:to-gray-800 p-4 transition-colors duration-200">
+      <div className="w-full max-w-md">
+        <Card className="shadow-xl border-0 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm transition-colors duration-200">
+          <CardHeader className="text-center pb-6">
+            <CardTitle className="text-2xl font-bold bulwark-text-blue dark:text-blue-400">
+              Forgot Password
+            </CardTitle>
+            <CardDescription className="text-gray-600 dark:text-gray-300">
+              Enter your email and we will send you a link to reset your password
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent>
+            {submitted ? (
+              <Alert>
+                <AlertDescription>
+                  If an account exists for {email}, a password reset link is on its way. The link can only be used once.
+                </AlertDescription>
+              </Alert>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email Address</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Enter your email"
+                    required
+                    className="h-11"
+                  />
+                </div>
+
+                <Button
+                  type="submit"
+                  className="w-full h-11 bulwark-gradient text-white font-semibold hover:opacity-90 transition-opacity"
+                  disabled={loading}
+                >
+                  <div className="flex items-center gap-2">
+                    <Mail className="h-4 w-4" />
+                    {loading ? 'Sending...' : 'Send Reset Link'}
+                  </div>
+                </Button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Link to="/login" className="inline-flex items-center gap-1 text-sm text-primary hover:underline">
+                <ArrowLeft className="h-4 w-4" />
+                Back to sign in
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -14,6 +14,8 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow, } from '
 import { Alert, AlertDescription } from './ui/alert';
 import { Progress } from './ui/progress';
 import { Target, Plus, Edit, Trash2, TrendingUp, Calendar, DollarSign, Users, Award, } from 'lucide-react';
+import { goalsAPI } from '../lib/api.js';
+import ExportMenu from './ExportMenu';
 
 const GOAL_TYPES = [
   { value: 'sales_amount', label: 'Sales Amount', icon: DollarSign },
@@ -253,13 +255,13 @@ const GoalForm = ({ goal, onSave, onCancel }) => {
 };
 
 const GoalsTracking = () => {
-  const { user, canViewAllData } = useAuth();
+  const { canViewAllData, hasPermission } = useAuth();
+  const canRecalculate = hasPermission('goals.recalculate_all');
   const { goals, loading, error: contextError, fetchGoals, createGoal, updateGoal, deleteGoal, recalculateProgress, handleSave, handleEdit, handleDelete } = useGoals();
   
   const [open, setOpen] = useState(false);
   const [selectedGoal, setSelectedGoal] = useState(null);
   const [showForm, setShowForm] = useState(false);
-  const [isManager, setIsManager] = useState(false);
   const [error, setError] = useState('');
   const [periodFilter, setPeriodFilter] = useState('all');
   const [statusFilter, setStatusFilter] = useState('all');
@@ -268,8 +270,8 @@ const GoalsTracking = () => {
   useEffect(() => {
     const initializeGoals = async () => {
       await fetchGoals();
-      // Auto-recalculate goals when page loads (only for managers)
-      if (user?.role === 'manager') {
+      // Auto-recalculate goals when page loads (only for users who may recalculate progress)
+      if (canRecalculate) {
         setAutoRecalculating(true);
         try {
           await recalculateProgress();
@@ -284,13 +286,7 @@ const GoalsTracking = () => {
       }
     };
     initializeGoals();
-  }, [fetchGoals, recalculateProgress, user?.role]);
-
-  useEffect(() => {
-    if (user && user.role) {
-      setIsManager(user.role === 'manager');
-    }
-  }, [user]);
+  }, [fetchGoals, recalculateProgress, canRecalculate]);
 
   // Combine context error with local error
   const displayError = contextError || error;
@@ -311,8 +307,8 @@ const GoalsTracking = () => {
         toast.success('Goal created successfully!');
       }
 
-              // Auto-recalculate goals after save/update (only for managers)
-        if (user?.role === 'manager') {
+              // Auto-recalculate goals after save/update (only for users who may recalculate progress)
+        if (canRecalculate) {
           setAutoRecalculating(true);
           try {
             await recalculateProgress();
@@ -516,6 +512,12 @@ const GoalsTracking = () => {
           >
             🔄 Refresh Goals
           </Button>
+
+          <ExportMenu
+            fileName="goals"
+            request={(format) => goalsAPI.exportGoals({ format, goalType: periodFilter === 'all' ? undefined : periodFilter })}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          />
           
           <Dialog open={showForm} onOpenChange={setShowForm}>
             <DialogTrigger asChild>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth.jsx';
+import { userProfileAPI } from '../lib/api.js';
 import { ThemeToggle } from './ThemeToggle';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
@@ -48,23 +49,37 @@ import {
   Shield,
   CheckCircle,
   AlertCircle,
-  XCircle
+  XCircle,
+  History,
+  Package,
+  Receipt,
+  Kanban,
+  Cog,
+  Network,
+  ShieldCheck
 } from 'lucide-react';
 // Remove the import and use the image directly in src
 
 const Sidebar = ({ className = '' }) => {
-  const { user, isManager } = useAuth();
+  const { user, hasPermission } = useAuth();
   const location = useLocation();
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Clients', href: '/clients', icon: Users },
     { name: 'Sales', href: '/sales', icon: DollarSign },
+    { name: 'Pipeline', href: '/pipeline', icon: Kanban },
     { name: 'Reminders', href: '/reminders', icon: Bell },
     { name: 'Goals', href: '/goals', icon: Target },
     { name: 'Reports', href: '/reports', icon: BarChart3 },
-    ...(isManager ? [{ name: 'Team View', href: '/team', icon: Users }] : []),
+    ...(hasPermission('reports.view_team') ? [{ name: 'Team View', href: '/team', icon: Users }] : []),
+    { name: 'Org Chart', href: '/org-chart', icon: Network },
     { name: 'Content', href: '/content', icon: FileText },
+    ...(hasPermission('products.manage') ? [{ name: 'Products', href: '/products', icon: Package }] : []),
+    ...(hasPermission('commissions.reconcile') ? [{ name: 'Commissions', href: '/commissions', icon: Receipt }] : []),
+    ...(hasPermission('audit.view') ? [{ name: 'Audit Log', href: '/audit', icon: History }] : []),
+    ...(hasPermission('jobs.manage') ? [{ name: 'Background Jobs', href: '/jobs', icon: Cog }] : []),
+    ...(hasPermission('roles.manage') ? [{ name: 'Roles', href: '/roles', icon: ShieldCheck }] : []),
   ];
 
   return (
@@ -120,6 +135,23 @@ const Header = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [showDropdown, setShowDropdown] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Poll the unread notification count so the header badge stays current
+  useEffect(() => {
+    const loadUnreadCount = async () => {
+      try {
+        const response = await userProfileAPI.getUnreadNotificationCount();
+        setUnreadCount(response.data.unreadCount || 0);
+      } catch (error) {
+        console.error('Error loading unread notifications:', error);
+      }
+    };
+
+    loadUnreadCount();
+    const interval = setInterval(loadUnreadCount, 60000);
+    return () => clearInterval(interval);
+  }, []);
 
   const handleLogout = async () => {
     await logout();
@@ -171,6 +203,21 @@ const Header = () => {
         <div className="flex items-center gap-4">
           {/* Theme Toggle */}
           <ThemeToggle />
+
+          {/* Notifications */}
+          <Button
+            variant="ghost"
+            size="sm"
+            className="relative"
+            onClick={() => navigate('/profile?tab=notifications')}
+          >
+            <Bell className="h-5 w-5" />
+            {unreadCount > 0 && (
+              <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] leading-[1.1rem] text-center">
+                {unreadCount > 99 ? '99+' : unreadCount}
+              </span>
+            )}
+          </Button>
           
           {/* Simple working dropdown menu */}
           <div className="relative profile-dropdown">
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth.jsx';
 import { toast } from 'sonner';
 import { Button } from './ui/button';
@@ -7,7 +7,8 @@ import { Input } from './ui/input';
 import { Label } from './ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Alert, AlertDescription } from './ui/alert';
-import { Shield, Eye, EyeOff, LogIn } from 'lucide-react';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from './ui/input-otp';
+import { Shield, Eye, EyeOff, LogIn, ArrowLeft } from 'lucide-react';
 // Remove the import and use the image directly in src
 
 const LoginForm = () => {
@@ -16,8 +17,12 @@ const LoginForm = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [otpCode, setOtpCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -30,7 +35,12 @@ const LoginForm = () => {
 
     const result = await login(email, password);
     
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setOtpCode('');
+      setRecoveryCode('');
+      setUseRecoveryCode(false);
+    } else if (result.success) {
       toast.success('Login successful! Welcome back.');
       navigate(from, { replace: true });
     } else {
@@ -54,6 +64,38 @@ const LoginForm = () => {
     setLoading(false);
   };
 
+  const handleVerify = async (e) => {
+    e?.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(challengeToken, useRecoveryCode ? { recoveryCode } : { code: otpCode });
+
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined) {
+        toast.warning(`Recovery code used. ${result.recoveryCodesRemaining} recovery codes remaining.`);
+      }
+      toast.success('Login successful! Welcome back.');
+      navigate(from, { replace: true });
+    } else {
+      setError(result.error);
+      toast.error(result.error);
+      setOtpCode('');
+      if (result.challengeExpired) {
+        setChallengeToken(null);
+        setPassword('');
+      }
+    }
+
+    setLoading(false);
+  };
+
+  const handleBackToLogin = () => {
+    setChallengeToken(null);
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-blue-100 dark:from-gray-900 dark:to-gray-800 p-4 transition-colors duration-200">
       <div className="w-full max-w-md">
@@ -75,82 +117,161 @@ const LoginForm = () => {
           </CardHeader>
           
           <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              {error && (
-                <Alert 
-                  variant={error.includes('Too many login attempts') ? "destructive" : "destructive"} 
-                  className="animate-fade-in"
+            {challengeToken ? (
+              <form onSubmit={handleVerify} className="space-y-4">
+                {error && (
+                  <Alert variant="destructive" className="animate-fade-in">
+                    <AlertDescription>{error}</AlertDescription>
+                  </Alert>
+                )}
+
+                <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <Shield className="h-4 w-4" />
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes'
+                    : 'Enter the 6-digit code from your authenticator app'}
+                </div>
+
+                {useRecoveryCode ? (
+                  <div className="space-y-2">
+                    <Label htmlFor="recoveryCode">Recovery Code</Label>
+                    <Input
+                      id="recoveryCode"
+                      value={recoveryCode}
+                      onChange={(e) => setRecoveryCode(e.target.value)}
+                      placeholder="XXXXX-XXXXX"
+                      autoComplete="off"
+                      required
+                      className="h-11"
+                    />
+                  </div>
+                ) : (
+                  <div className="flex justify-center">
+                    <InputOTP
+                      maxLength={6}
+                      value={otpCode}
+                      onChange={setOtpCode}
+                      onComplete={() => !loading && handleVerify()}
+                      autoFocus
+                    >
+                      <InputOTPGroup>
+                        {[0, 1, 2, 3, 4, 5].map((index) => (
+                          <InputOTPSlot key={index} index={index} />
+                        ))}
+                      </InputOTPGroup>
+                    </InputOTP>
+                  </div>
+                )}
+
+                <Button
+                  type="submit"
+                  className="w-full h-11 bulwark-gradient text-white font-semibold hover:opacity-90 transition-opacity"
+                  disabled={loading || (useRecoveryCode ? !recoveryCode : otpCode.length !== 6)}
                 >
-                  <AlertDescription>
-                    {error}
-                    {error.includes('Too many login attempts') && (
-                      <div className="mt-2 text-sm">
-                        💡 <strong>Tip:</strong> This is a security feature to prevent unauthorized access attempts.
-                      </div>
-                    )}
-                  </AlertDescription>
-                </Alert>
-              )}
-              
-              <div className="space-y-2">
-                <Label htmlFor="email">Email Address</Label>
-                <Input
-                  id="email"
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  placeholder="Enter your email"
-                  required
-                  className="h-11"
-                />
-              </div>
-              
-              <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
-                <div className="relative">
-                  <Input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="Enter your password"
-                    required
-                    className="h-11 pr-10"
-                  />
+                  {loading ? 'Verifying...' : 'Verify'}
+                </Button>
+
+                <div className="flex justify-between text-sm">
+                  <Button type="button" variant="link" className="px-0" onClick={handleBackToLogin}>
+                    <ArrowLeft className="h-4 w-4 mr-1" />
+                    Back
+                  </Button>
                   <Button
                     type="button"
-                    variant="ghost"
-                    size="sm"
-                    className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
-                    onClick={() => setShowPassword(!showPassword)}
+                    variant="link"
+                    className="px-0"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setError('');
+                    }}
                   >
-                    {showPassword ? (
-                      <EyeOff className="h-4 w-4 text-gray-400" />
-                    ) : (
-                      <Eye className="h-4 w-4 text-gray-400" />
-                    )}
+                    {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
                   </Button>
                 </div>
-              </div>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {error && (
+                  <Alert 
+                    variant={error.includes('Too many login attempts') ? "destructive" : "destructive"} 
+                    className="animate-fade-in"
+                  >
+                    <AlertDescription>
+                      {error}
+                      {error.includes('Too many login attempts') && (
+                        <div className="mt-2 text-sm">
+                          💡 <strong>Tip:</strong> This is a security feature to prevent unauthorized access attempts.
+                        </div>
+                      )}
+                    </AlertDescription>
+                  </Alert>
+                )}
+              
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email Address</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Enter your email"
+                    required
+                    className="h-11"
+                  />
+                </div>
               
-              <Button
-                type="submit"
-                className="w-full h-11 bulwark-gradient text-white font-semibold hover:opacity-90 transition-opacity"
-                disabled={loading}
-              >
-                {loading ? (
-                  <div className="flex items-center gap-2">
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    Signing in...
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password">Password</Label>
+                    <Link to="/forgot-password" className="text-sm text-primary hover:underline">
+                      Forgot password?
+                    </Link>
                   </div>
-                ) : (
-                  <div className="flex items-center gap-2">
-                    <LogIn className="h-4 w-4" />
-                    Sign In
+                  <div className="relative">
+                    <Input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="Enter your password"
+                      required
+                      className="h-11 pr-10"
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-4 w-4 text-gray-400" />
+                      ) : (
+                        <Eye className="h-4 w-4 text-gray-400" />
+                      )}
+                    </Button>
                   </div>
-                )}
-              </Button>
-            </form>
+                </div>
+              
+                <Button
+                  type="submit"
+                  className="w-full h-11 bulwark-gradient text-white font-semibold hover:opacity-90 transition-opacity"
+                  disabled={loading}
+                >
+                  {loading ? (
+                    <div className="flex items-center gap-2">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                      Signing in...
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <LogIn className="h-4 w-4" />
+                      Sign In
+                    </div>
+                  )}
+                </Button>
+              </form>
+            )}
             
             <div className="mt-6 text-center">
               <div className="text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
@@ -0,0 +1,837 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { opportunitiesAPI, clientsAPI, productsAPI } from '../lib/api.js';
+import { formatCurrency } from '../lib/utils';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { CalendarDays, Pencil, Plus, Settings, Trash2 } from 'lucide-react';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyOpportunity = {
+  clientId: '',
+  productId: '',
+  title: '',
+  expectedPremium: '',
+  probability: '',
+  expectedCloseDate: '',
+  notes: ''
+};
+
+const OpportunityDialog = ({ isOpen, onOpenChange, opportunity, clients, products, onSaved }) => {
+  const [formData, setFormData] = useState(emptyOpportunity);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(opportunity ? {
+        clientId: opportunity.clientId?.toString() || '',
+        productId: opportunity.productId?.toString() || '',
+        title: opportunity.title || '',
+        expectedPremium: opportunity.expectedPremium || '',
+        probability: opportunity.probability?.toString() || '',
+        expectedCloseDate: opportunity.expectedCloseDate || '',
+        notes: opportunity.notes || ''
+      } : emptyOpportunity);
+      setError('');
+    }
+  }, [isOpen, opportunity]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.clientId) {
+      setError('Please choose a client');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const opportunityData = {
+        ...formData,
+        productId: formData.productId || null,
+        probability: formData.probability === '' ? null : parseInt(formData.probability)
+      };
+      if (opportunity) {
+        await opportunitiesAPI.updateOpportunity(opportunity.id, opportunityData);
+        toast.success('Opportunity updated');
+      } else {
+        await opportunitiesAPI.createOpportunity(opportunityData);
+        toast.success('Opportunity created');
+      }
+      onSaved();
+    } catch (error) {
+      console.error('Save opportunity error:', error);
+      setError(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to save opportunity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{opportunity ? 'Edit Opportunity' : 'New Opportunity'}</DialogTitle>
+          <DialogDescription>
+            {opportunity ? 'Update the details of this opportunity' : 'New opportunities start in the first stage of the pipeline'}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="opportunityTitle">Title *</Label>
+            <Input
+              id="opportunityTitle"
+              value={formData.title}
+              onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+              placeholder="e.g. Family term life cover"
+              required
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Client *</Label>
+              <Select value={formData.clientId} onValueChange={(value) => setFormData({ ...formData, clientId: value })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select client" />
+                </SelectTrigger>
+                <SelectContent>
+                  {clients.map(client => (
+                    <SelectItem key={client.id} value={client.id.toString()}>
+                      {client.firstName} {client.lastName}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Product</Label>
+              <Select
+                value={formData.productId || 'none'}
+                onValueChange={(value) => setFormData({ ...formData, productId: value === 'none' ? '' : value })}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select product" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="none">Not decided yet</SelectItem>
+                  {products.map(product => (
+                    <SelectItem key={product.id} value={product.id.toString()}>
+                      {product.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="expectedPremium">Expected Premium</Label>
+              <Input
+                id="expectedPremium"
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.expectedPremium}
+                onChange={(e) => setFormData({ ...formData, expectedPremium: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="probability">Probability %</Label>
+              <Input
+                id="probability"
+                type="number"
+                min="0"
+                max="100"
+                value={formData.probability}
+                onChange={(e) => setFormData({ ...formData, probability: e.target.value })}
+                placeholder="Stage default"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="expectedCloseDate">Close Date</Label>
+              <Input
+                id="expectedCloseDate"
+                type="date"
+                value={formData.expectedCloseDate}
+                onChange={(e) => setFormData({ ...formData, expectedCloseDate: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="opportunityNotes">Notes</Label>
+            <Textarea
+              id="opportunityNotes"
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              rows={3}
+            />
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : opportunity ? 'Save Changes' : 'Create Opportunity'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Asks for what is needed to close an opportunity: the sale details when issued, a reason when lost
+const CloseOpportunityDialog = ({ move, products, canOverrideCommission, onOpenChange, onConfirm }) => {
+  const [formData, setFormData] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (move) {
+      setFormData({
+        productId: move.opportunity.productId?.toString() || '',
+        premiumAmount: move.opportunity.expectedPremium || '',
+        saleDate: today(),
+        policyNumber: '',
+        effectiveDate: '',
+        termMonths: '',
+        commissionAmount: '',
+        lostReason: ''
+      });
+      setError('');
+    }
+  }, [move]);
+
+  if (!move) return null;
+
+  const isIssue = move.stage.outcome === 'won';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await onConfirm(isIssue ? {
+        productId: formData.productId,
+        premiumAmount: formData.premiumAmount,
+        saleDate: formData.saleDate,
+        policyNumber: formData.policyNumber,
+        effectiveDate: formData.effectiveDate,
+        termMonths: formData.termMonths,
+        commissionAmount: formData.commissionAmount
+      } : {
+        lostReason: formData.lostReason
+      });
+    } catch (error) {
+      setError(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to move opportunity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!move} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{isIssue ? 'Issue Policy' : 'Mark as Lost'}</DialogTitle>
+          <DialogDescription>
+            {isIssue
+              ? `Issuing "${move.opportunity.title}" records the sale and makes ${move.opportunity.clientFirstName} ${move.opportunity.clientLastName} a client.`
+              : `Why was "${move.opportunity.title}" lost?`}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {isIssue ? (
+            <>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Product *</Label>
+                  <Select value={formData.productId} onValueChange={(value) => setFormData({ ...formData, productId: value })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select product" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {products.map(product => (
+                        <SelectItem key={product.id} value={product.id.toString()}>
+                          {product.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="issuePremium">Premium *</Label>
+                  <Input
+                    id="issuePremium"
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={formData.premiumAmount}
+                    onChange={(e) => setFormData({ ...formData, premiumAmount: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="issueSaleDate">Sale Date *</Label>
+                  <Input
+                    id="issueSaleDate"
+                    type="date"
+                    value={formData.saleDate}
+                    onChange={(e) => setFormData({ ...formData, saleDate: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="issuePolicyNumber">Policy Number</Label>
+                  <Input
+                    id="issuePolicyNumber"
+                    value={formData.policyNumber}
+                    onChange={(e) => setFormData({ ...formData, policyNumber: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="issueEffectiveDate">Effective Date</Label>
+                  <Input
+                    id="issueEffectiveDate"
+                    type="date"
+                    value={formData.effectiveDate}
+                    onChange={(e) => setFormData({ ...formData, effectiveDate: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="issueTermMonths">Term (months)</Label>
+                  <Input
+                    id="issueTermMonths"
+                    type="number"
+                    min="1"
+                    max="120"
+                    value={formData.termMonths}
+                    onChange={(e) => setFormData({ ...formData, termMonths: e.target.value })}
+                    placeholder="12"
+                  />
+                </div>
+              </div>
+              {canOverrideCommission && (
+                <div className="space-y-2">
+                  <Label htmlFor="issueCommission">Commission Amount</Label>
+                  <Input
+                    id="issueCommission"
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    value={formData.commissionAmount}
+                    onChange={(e) => setFormData({ ...formData, commissionAmount: e.target.value })}
+                    placeholder="Calculated from the commission schedule"
+                  />
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="lostReason">Reason *</Label>
+              <Textarea
+                id="lostReason"
+                value={formData.lostReason}
+                onChange={(e) => setFormData({ ...formData, lostReason: e.target.value })}
+                rows={3}
+                required
+              />
+            </div>
+          )}
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" variant={isIssue ? 'default' : 'destructive'} disabled={saving}>
+              {saving ? 'Saving...' : isIssue ? 'Issue Policy' : 'Mark as Lost'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const StagesDialog = ({ isOpen, onOpenChange, onChanged }) => {
+  const [stages, setStages] = useState([]);
+  const [newStage, setNewStage] = useState({ name: '', defaultProbability: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchStages = useCallback(async () => {
+    try {
+      const response = await opportunitiesAPI.getStages({ includeInactive: true });
+      setStages(response.data.stages || []);
+    } catch (error) {
+      console.error('Error fetching stages:', error);
+      toast.error('Failed to load stages');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchStages();
+      setNewStage({ name: '', defaultProbability: '' });
+    }
+  }, [isOpen, fetchStages]);
+
+  const updateField = (stageId, field, value) => {
+    setStages(stages.map(stage => stage.id === stageId ? { ...stage, [field]: value } : stage));
+  };
+
+  const saveStage = async (stage, changes = {}) => {
+    setSaving(true);
+    try {
+      await opportunitiesAPI.updateStage(stage.id, {
+        name: stage.name,
+        position: parseInt(stage.position),
+        defaultProbability: parseInt(stage.defaultProbability),
+        ...changes
+      });
+      toast.success('Stage updated');
+      await fetchStages();
+      onChanged();
+    } catch (error) {
+      console.error('Update stage error:', error);
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to update stage');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deactivateStage = async (stage) => {
+    setSaving(true);
+    try {
+      await opportunitiesAPI.deactivateStage(stage.id);
+      toast.success('Stage deactivated');
+      await fetchStages();
+      onChanged();
+    } catch (error) {
+      console.error('Deactivate stage error:', error);
+      toast.error(error.response?.data?.error || 'Failed to deactivate stage');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addStage = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await opportunitiesAPI.createStage({
+        name: newStage.name,
+        defaultProbability: newStage.defaultProbability === '' ? null : parseInt(newStage.defaultProbability)
+      });
+      toast.success('Stage added');
+      setNewStage({ name: '', defaultProbability: '' });
+      await fetchStages();
+      onChanged();
+    } catch (error) {
+      console.error('Create stage error:', error);
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to add stage');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Pipeline Stages</DialogTitle>
+          <DialogDescription>
+            Stages are shown in position order. The Issued and Lost stages close an opportunity and cannot be deactivated.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          <div className="grid grid-cols-12 gap-2 text-xs text-muted-foreground px-1">
+            <div className="col-span-2">Position</div>
+            <div className="col-span-5">Name</div>
+            <div className="col-span-2">Probability %</div>
+          </div>
+          {stages.map(stage => (
+            <div key={stage.id} className={`grid grid-cols-12 gap-2 items-center ${stage.isActive ? '' : 'opacity-60'}`}>
+              <Input
+                className="col-span-2"
+                type="number"
+                min="0"
+                value={stage.position}
+                onChange={(e) => updateField(stage.id, 'position', e.target.value)}
+              />
+              <Input
+                className="col-span-5"
+                value={stage.name}
+                onChange={(e) => updateField(stage.id, 'name', e.target.value)}
+              />
+              <Input
+                className="col-span-2"
+                type="number"
+                min="0"
+                max="100"
+                value={stage.defaultProbability}
+                onChange={(e) => updateField(stage.id, 'defaultProbability', e.target.value)}
+              />
+              <div className="col-span-3 flex justify-end gap-1">
+                <Button size="sm" variant="outline" onClick={() => saveStage(stage)} disabled={saving}>
+                  Save
+                </Button>
+                {stage.outcome ? (
+                  <Badge variant="secondary">{stage.outcome === 'won' ? 'Issued' : 'Lost'}</Badge>
+                ) : stage.isActive ? (
+                  <Button size="sm" variant="ghost" onClick={() => deactivateStage(stage)} disabled={saving}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                ) : (
+                  <Button size="sm" variant="ghost" onClick={() => saveStage(stage, { isActive: true })} disabled={saving}>
+                    Restore
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={addStage} className="flex items-end gap-2 border-t pt-4">
+          <div className="flex-1 space-y-1">
+            <Label htmlFor="newStageName" className="text-xs">New stage</Label>
+            <Input
+              id="newStageName"
+              value={newStage.name}
+              onChange={(e) => setNewStage({ ...newStage, name: e.target.value })}
+              placeholder="e.g. Medical Exam"
+              required
+            />
+          </div>
+          <div className="w-32 space-y-1">
+            <Label htmlFor="newStageProbability" className="text-xs">Probability %</Label>
+            <Input
+              id="newStageProbability"
+              type="number"
+              min="0"
+              max="100"
+              value={newStage.defaultProbability}
+              onChange={(e) => setNewStage({ ...newStage, defaultProbability: e.target.value })}
+            />
+          </div>
+          <Button type="submit" disabled={saving}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add
+          </Button>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const OpportunityCard = ({ opportunity, showAgent, onEdit, onDelete }) => {
+  const isClosed = !!opportunity.closedAt;
+  const isOverdue = !isClosed && opportunity.expectedCloseDate && opportunity.expectedCloseDate < today();
+
+  return (
+    <div
+      draggable={!opportunity.saleId}
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', opportunity.id.toString());
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      className={`rounded-lg border bg-white dark:bg-gray-900 p-3 space-y-2 shadow-sm ${opportunity.saleId ? '' : 'cursor-grab active:cursor-grabbing'}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="font-medium text-sm truncate">{opportunity.title}</div>
+          <div className="text-xs text-gray-500 truncate">
+            {opportunity.clientFirstName} {opportunity.clientLastName}
+            {opportunity.productName && ` · ${opportunity.productName}`}
+          </div>
+        </div>
+        {!isClosed && (
+          <div className="flex shrink-0">
+            <Button size="icon" variant="ghost" className="h-6 w-6" onClick={() => onEdit(opportunity)}>
+              <Pencil className="h-3 w-3" />
+            </Button>
+            <Button size="icon" variant="ghost" className="h-6 w-6" onClick={() => onDelete(opportunity)}>
+              <Trash2 className="h-3 w-3" />
+            </Button>
+          </div>
+        )}
+      </div>
+      <div className="flex items-center justify-between text-xs">
+        <span className="font-semibold">
+          {opportunity.expectedPremium ? formatCurrency(opportunity.expectedPremium) : '—'}
+        </span>
+        <Badge variant="outline">{opportunity.probability ?? 0}%</Badge>
+      </div>
+      {opportunity.expectedCloseDate && !isClosed && (
+        <div className={`flex items-center gap-1 text-xs ${isOverdue ? 'text-red-600' : 'text-gray-500'}`}>
+          <CalendarDays className="h-3 w-3" />
+          {new Date(opportunity.expectedCloseDate).toLocaleDateString()}
+        </div>
+      )}
+      {opportunity.lostReason && (
+        <div className="text-xs text-gray-500 line-clamp-2">{opportunity.lostReason}</div>
+      )}
+      {opportunity.saleId && (
+        <div className="text-xs text-green-600">Sale #{opportunity.saleId}</div>
+      )}
+      {showAgent && opportunity.agentFirstName && (
+        <div className="text-xs text-gray-400">{opportunity.agentFirstName} {opportunity.agentLastName}</div>
+      )}
+    </div>
+  );
+};
+
+const OpportunityPipeline = () => {
+  const { hasPermission } = useAuth();
+  const [stages, setStages] = useState([]);
+  const [opportunities, setOpportunities] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isOpportunityDialogOpen, setIsOpportunityDialogOpen] = useState(false);
+  const [editingOpportunity, setEditingOpportunity] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [isStagesDialogOpen, setIsStagesDialogOpen] = useState(false);
+  const [dragOverStageId, setDragOverStageId] = useState(null);
+
+  const fetchPipeline = useCallback(async () => {
+    try {
+      const [stagesResponse, opportunitiesResponse] = await Promise.all([
+        opportunitiesAPI.getStages(),
+        opportunitiesAPI.getOpportunities({ limit: 500 })
+      ]);
+      setStages(stagesResponse.data.stages || []);
+      setOpportunities(opportunitiesResponse.data.opportunities || []);
+    } catch (error) {
+      console.error('Error fetching pipeline:', error);
+      toast.error('Failed to load pipeline');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPipeline();
+  }, [fetchPipeline]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [clientsResponse, productsResponse] = await Promise.all([
+          clientsAPI.getClients({ limit: 100 }),
+          productsAPI.getProducts()
+        ]);
+        setClients(clientsResponse.data.clients || []);
+        setProducts(productsResponse.data.products || []);
+      } catch (error) {
+        console.error('Error fetching clients and products:', error);
+      }
+    };
+    fetchOptions();
+  }, []);
+
+  const moveOpportunity = async (opportunity, stage, stageData = {}) => {
+    const response = await opportunitiesAPI.moveOpportunity(opportunity.id, { stageId: stage.id, ...stageData });
+    setOpportunities(current => current.map(item => item.id === opportunity.id ? response.data.opportunity : item));
+    toast.success(response.data.message);
+  };
+
+  const handleDrop = async (e, stage) => {
+    e.preventDefault();
+    setDragOverStageId(null);
+
+    const opportunityId = parseInt(e.dataTransfer.getData('text/plain'));
+    const opportunity = opportunities.find(item => item.id === opportunityId);
+    if (!opportunity || opportunity.stageId === stage.id) return;
+
+    // Closing stages need more details before the move can be made
+    if (stage.outcome) {
+      setPendingMove({ opportunity, stage });
+      return;
+    }
+
+    try {
+      await moveOpportunity(opportunity, stage);
+    } catch (error) {
+      console.error('Move opportunity error:', error);
+      toast.error(error.response?.data?.error || 'Failed to move opportunity');
+    }
+  };
+
+  const handleConfirmMove = async (stageData) => {
+    await moveOpportunity(pendingMove.opportunity, pendingMove.stage, stageData);
+    setPendingMove(null);
+  };
+
+  const handleDelete = async (opportunity) => {
+    if (!window.confirm(`Delete the opportunity "${opportunity.title}"?`)) return;
+
+    try {
+      await opportunitiesAPI.deleteOpportunity(opportunity.id);
+      setOpportunities(current => current.filter(item => item.id !== opportunity.id));
+      toast.success('Opportunity deleted');
+    } catch (error) {
+      console.error('Delete opportunity error:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete opportunity');
+    }
+  };
+
+  const openOpportunities = opportunities.filter(opportunity => !opportunity.closedAt);
+  const pipelineValue = openOpportunities.reduce((total, opportunity) => total + (parseFloat(opportunity.expectedPremium) || 0), 0);
+  const weightedValue = openOpportunities.reduce(
+    (total, opportunity) => total + (parseFloat(opportunity.expectedPremium) || 0) * (opportunity.probability || 0) / 100,
+    0
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Sales Pipeline</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-1">
+            Drag opportunities between stages as they progress
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {hasPermission('opportunities.manage_stages') && (
+            <Button variant="outline" onClick={() => setIsStagesDialogOpen(true)}>
+              <Settings className="h-4 w-4 mr-2" />
+              Stages
+            </Button>
+          )}
+          <Button onClick={() => { setEditingOpportunity(null); setIsOpportunityDialogOpen(true); }}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Opportunity
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-muted-foreground">Open Opportunities</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{openOpportunities.length}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-muted-foreground">Pipeline Value</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{formatCurrency(pipelineValue)}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-muted-foreground">Weighted Value</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{formatCurrency(weightedValue)}</div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {stages.map(stage => {
+          const stageOpportunities = opportunities.filter(opportunity => opportunity.stageId === stage.id);
+          const stageValue = stageOpportunities.reduce((total, opportunity) => total + (parseFloat(opportunity.expectedPremium) || 0), 0);
+
+          return (
+            <div
+              key={stage.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDragOverStageId(stage.id);
+              }}
+              onDragLeave={() => setDragOverStageId(null)}
+              onDrop={(e) => handleDrop(e, stage)}
+              className={`flex-shrink-0 w-72 rounded-lg bg-gray-50 dark:bg-gray-800 p-3 space-y-3 transition-colors ${
+                dragOverStageId === stage.id ? 'ring-2 ring-primary' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="font-semibold text-sm">
+                  {stage.name}
+                  <span className="ml-2 text-xs font-normal text-gray-500">{stageOpportunities.length}</span>
+                </div>
+                <div className="text-xs text-gray-500">{formatCurrency(stageValue)}</div>
+              </div>
+              <div className="space-y-2 min-h-24">
+                {stageOpportunities.map(opportunity => (
+                  <OpportunityCard
+                    key={opportunity.id}
+                    opportunity={opportunity}
+                    showAgent={hasPermission('opportunities.edit_others')}
+                    onEdit={(item) => { setEditingOpportunity(item); setIsOpportunityDialogOpen(true); }}
+                    onDelete={handleDelete}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <OpportunityDialog
+        isOpen={isOpportunityDialogOpen}
+        onOpenChange={setIsOpportunityDialogOpen}
+        opportunity={editingOpportunity}
+        clients={clients}
+        products={products}
+        onSaved={() => {
+          setIsOpportunityDialogOpen(false);
+          fetchPipeline();
+        }}
+      />
+
+      <CloseOpportunityDialog
+        move={pendingMove}
+        products={products}
+        canOverrideCommission={hasPermission('sales.override_commission')}
+        onOpenChange={(open) => !open && setPendingMove(null)}
+        onConfirm={handleConfirmMove}
+      />
+
+      {hasPermission('opportunities.manage_stages') && (
+        <StagesDialog
+          isOpen={isStagesDialogOpen}
+          onOpenChange={setIsStagesDialogOpen}
+          onChanged={fetchPipeline}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OpportunityPipeline;
@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { teamAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { ChevronDown, ChevronRight, Network, RefreshCw, User } from 'lucide-react';
+
+// Everyone in a branch, the person at the top included
+const countPeople = (node) => 1 + node.reports.reduce((total, report) => total + countPeople(report), 0);
+
+const PersonNode = ({ person }) => {
+  const [expanded, setExpanded] = useState(true);
+  const hasReports = person.reports.length > 0;
+
+  return (
+    <li className="space-y-2">
+      <div className="flex items-center gap-2 rounded-md border px-3 py-2">
+        {hasReports ? (
+          <Button
+            size="icon"
+            variant="ghost"
+            className="h-6 w-6 shrink-0"
+            title={expanded ? 'Collapse' : 'Expand'}
+            onClick={() => setExpanded(!expanded)}
+          >
+            {expanded ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+          </Button>
+        ) : (
+          <User className="h-4 w-4 text-gray-400 shrink-0 mx-1" />
+        )}
+        <div className="min-w-0">
+          <p className="text-sm font-medium truncate">{person.firstName} {person.lastName}</p>
+          <p className="text-xs text-muted-foreground truncate">
+            {[person.position, person.department].filter(Boolean).join(' · ') || person.email}
+          </p>
+        </div>
+        <Badge variant={hasReports ? 'default' : 'outline'} className="ml-auto capitalize">{person.role}</Badge>
+        {!person.isActive && <Badge variant="secondary">Suspended</Badge>}
+        {hasReports && (
+          <span className="text-xs text-muted-foreground whitespace-nowrap">
+            {person.reports.length} direct
+          </span>
+        )}
+      </div>
+      {hasReports && expanded && (
+        <ul className="ml-4 pl-4 border-l space-y-2">
+          {person.reports.map(report => (
+            <PersonNode key={report.id} person={report} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Reporting lines from users.managerId, limited to the part of the org the user can see
+const OrgChart = () => {
+  const [chart, setChart] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadChart = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await teamAPI.getOrgChart();
+      setChart(response.data.chart);
+    } catch (error) {
+      console.error('Error loading org chart:', error);
+      toast.error('Failed to load org chart');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChart();
+  }, [loadChart]);
+
+  const totalPeople = chart.reduce((total, root) => total + countPeople(root), 0);
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Org Chart</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Who reports to whom. You see the data of everyone in your branch.
+          </p>
+        </div>
+        <Button variant="outline" onClick={loadChart} disabled={loading} className="w-full sm:w-auto">
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Network className="h-5 w-5" />
+            Reporting Lines
+          </CardTitle>
+          <CardDescription>{totalPeople} {totalPeople === 1 ? 'person' : 'people'}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading && chart.length === 0 ? (
+            <div className="flex items-center justify-center h-24">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+            </div>
+          ) : chart.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No one to show.</p>
+          ) : (
+            <ul className="space-y-2">
+              {chart.map(root => (
+                <PersonNode key={root.id} person={root} />
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default OrgChart;
@@ -0,0 +1,483 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { productsAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { Archive, ArchiveRestore, Package, Pencil, Plus, Search, Trash2 } from 'lucide-react';
+
+const COMMISSION_TYPE_LABELS = {
+  first_year: 'First year',
+  renewal: 'Renewal'
+};
+
+const emptyRate = {
+  commissionType: 'first_year',
+  rate: '',
+  effectiveFrom: new Date().toISOString().split('T')[0],
+  effectiveTo: ''
+};
+
+const ProductForm = ({ product, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: product?.name || '',
+    description: product?.description || '',
+    category: product?.category || ''
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = product?.id
+        ? await productsAPI.updateProduct(product.id, formData)
+        : await productsAPI.createProduct(formData);
+      toast.success(product?.id ? 'Product updated successfully' : 'Product created successfully');
+      onSave(response.data.product);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save product');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      <div className="space-y-2">
+        <Label htmlFor="product-name">Name *</Label>
+        <Input
+          id="product-name"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          required
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="product-category">Category</Label>
+        <Input
+          id="product-category"
+          value={formData.category}
+          onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+          placeholder="e.g. Life, Health, Annuity"
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="product-description">Description</Label>
+        <Textarea
+          id="product-description"
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          rows={3}
+        />
+      </div>
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Product'}</Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+const CommissionSchedule = ({ product, onChange }) => {
+  const [rateForm, setRateForm] = useState(emptyRate);
+  const [editingRateId, setEditingRateId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const resetForm = () => {
+    setRateForm(emptyRate);
+    setEditingRateId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    const payload = {
+      ...rateForm,
+      rate: parseFloat(rateForm.rate),
+      effectiveTo: rateForm.effectiveTo || null
+    };
+
+    try {
+      if (editingRateId) {
+        await productsAPI.updateCommissionRate(product.id, editingRateId, payload);
+        toast.success('Commission rate updated');
+      } else {
+        await productsAPI.createCommissionRate(product.id, payload);
+        toast.success('Commission rate added');
+      }
+      resetForm();
+      onChange();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.msg || error.response?.data?.error || 'Failed to save commission rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (rate) => {
+    setEditingRateId(rate.id);
+    setRateForm({
+      commissionType: rate.commissionType,
+      rate: rate.rate,
+      effectiveFrom: rate.effectiveFrom,
+      effectiveTo: rate.effectiveTo || ''
+    });
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm('Remove this commission rate? Existing sales keep the commission they were recorded with.')) {
+      return;
+    }
+
+    try {
+      await productsAPI.deleteCommissionRate(product.id, rate.id);
+      toast.success('Commission rate removed');
+      if (editingRateId === rate.id) {
+        resetForm();
+      }
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove commission rate');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {product.commissionRates?.length > 0 ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Type</TableHead>
+              <TableHead>Rate</TableHead>
+              <TableHead>Effective</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {product.commissionRates.map(rate => (
+              <TableRow key={rate.id}>
+                <TableCell>{COMMISSION_TYPE_LABELS[rate.commissionType] || rate.commissionType}</TableCell>
+                <TableCell>{parseFloat(rate.rate)}%</TableCell>
+                <TableCell className="text-sm">
+                  {rate.effectiveFrom} – {rate.effectiveTo || 'open-ended'}
+                </TableCell>
+                <TableCell className="text-right">
+                  <Button variant="ghost" size="sm" onClick={() => handleEdit(rate)} title="Edit rate">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => handleDelete(rate)} title="Remove rate">
+                    <Trash2 className="h-4 w-4 text-red-600" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <p className="text-sm text-muted-foreground">
+          No commission rates yet. Agents cannot record sales of this product until a first-year rate is set.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end border-t pt-4">
+        <div className="space-y-2">
+          <Label>Type</Label>
+          <Select value={rateForm.commissionType} onValueChange={(value) => setRateForm({ ...rateForm, commissionType: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="first_year">First year</SelectItem>
+              <SelectItem value="renewal">Renewal</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="rate-percent">Rate (%)</Label>
+          <Input
+            id="rate-percent"
+            type="number"
+            step="0.01"
+            min="0"
+            max="100"
+            value={rateForm.rate}
+            onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="rate-from">Effective from</Label>
+          <Input
+            id="rate-from"
+            type="date"
+            value={rateForm.effectiveFrom}
+            onChange={(e) => setRateForm({ ...rateForm, effectiveFrom: e.target.value })}
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="rate-to">Effective to</Label>
+          <Input
+            id="rate-to"
+            type="date"
+            value={rateForm.effectiveTo}
+            onChange={(e) => setRateForm({ ...rateForm, effectiveTo: e.target.value })}
+          />
+        </div>
+        <div className="col-span-2 sm:col-span-4 flex justify-end gap-2">
+          {editingRateId && (
+            <Button type="button" variant="outline" size="sm" onClick={resetForm}>Cancel edit</Button>
+          )}
+          <Button type="submit" size="sm" disabled={saving}>
+            <Plus className="h-4 w-4 mr-1" />
+            {editingRateId ? 'Update Rate' : 'Add Rate'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const ProductCatalog = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [scheduleProduct, setScheduleProduct] = useState(null);
+
+  const loadProducts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { limit: 100, includeArchived: showArchived };
+      if (search) params.search = search;
+      const response = await productsAPI.getProducts(params);
+      setProducts(response.data.products || []);
+    } catch (error) {
+      console.error('Failed to load products:', error);
+      toast.error('Failed to load products');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, showArchived]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const openSchedule = async (productId) => {
+    try {
+      const response = await productsAPI.getProduct(productId);
+      setScheduleProduct(response.data.product);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load commission schedule');
+    }
+  };
+
+  const handleArchive = async (product) => {
+    if (!window.confirm(`Archive ${product.name}? It will no longer be available for new sales.`)) {
+      return;
+    }
+
+    try {
+      await productsAPI.deleteProduct(product.id);
+      toast.success('Product archived');
+      loadProducts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to archive product');
+    }
+  };
+
+  const handleRestore = async (product) => {
+    try {
+      await productsAPI.restoreProduct(product.id);
+      toast.success('Product restored');
+      loadProducts();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore product');
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Product Catalog</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Manage insurance products and their commission schedules
+          </p>
+        </div>
+        <Button
+          onClick={() => {
+            setEditingProduct(null);
+            setShowForm(true);
+          }}
+          className="w-full sm:w-auto"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Product
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Package className="h-5 w-5" />
+            Products
+          </CardTitle>
+          <CardDescription>Archived products stay on existing sales but cannot be sold</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <Input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search products..."
+                className="pl-9"
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch id="show-archived" checked={showArchived} onCheckedChange={setShowArchived} />
+              <Label htmlFor="show-archived">Show archived</Label>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : products.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No products found</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Category</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {products.map(product => (
+                    <TableRow key={product.id}>
+                      <TableCell>
+                        <div className="font-medium">{product.name}</div>
+                        {product.description && (
+                          <div className="text-xs text-muted-foreground line-clamp-1">{product.description}</div>
+                        )}
+                      </TableCell>
+                      <TableCell>{product.category || '—'}</TableCell>
+                      <TableCell>
+                        {product.archivedAt ? (
+                          <Badge variant="secondary">Archived</Badge>
+                        ) : product.isActive ? (
+                          <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Active</Badge>
+                        ) : (
+                          <Badge variant="outline">Inactive</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="outline" size="sm" onClick={() => openSchedule(product.id)} className="mr-2">
+                          Commission Schedule
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => {
+                            setEditingProduct(product);
+                            setShowForm(true);
+                          }}
+                          title="Edit product"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        {product.archivedAt ? (
+                          <Button variant="ghost" size="sm" onClick={() => handleRestore(product)} title="Restore product">
+                            <ArchiveRestore className="h-4 w-4" />
+                          </Button>
+                        ) : (
+                          <Button variant="ghost" size="sm" onClick={() => handleArchive(product)} title="Archive product">
+                            <Archive className="h-4 w-4 text-red-600" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={showForm} onOpenChange={setShowForm}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingProduct ? 'Edit Product' : 'Add Product'}</DialogTitle>
+            <DialogDescription>
+              {editingProduct ? 'Update the product details' : 'Add a new product to the catalog'}
+            </DialogDescription>
+          </DialogHeader>
+          <ProductForm
+            key={editingProduct?.id || 'new'}
+            product={editingProduct}
+            onSave={(saved) => {
+              setShowForm(false);
+              loadProducts();
+              // New products need a commission schedule before agents can sell them
+              if (!editingProduct && saved?.id) {
+                openSchedule(saved.id);
+              }
+            }}
+            onCancel={() => setShowForm(false)}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!scheduleProduct} onOpenChange={(open) => !open && setScheduleProduct(null)}>
+        <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+          {scheduleProduct && (
+            <>
+              <DialogHeader>
+                <DialogTitle>{scheduleProduct.name} – Commission Schedule</DialogTitle>
+                <DialogDescription>
+                  New sales use the first-year rate in effect on the sale date; renewals use the renewal rate
+                </DialogDescription>
+              </DialogHeader>
+              <CommissionSchedule
+                product={scheduleProduct}
+                onChange={() => openSchedule(scheduleProduct.id)}
+              />
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ProductCatalog;
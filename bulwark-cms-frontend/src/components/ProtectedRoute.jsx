@@ -1,8 +1,8 @@
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth.jsx';
 
-const ProtectedRoute = ({ children, requireManager = false }) => {
-  const { isAuthenticated, isManager, loading } = useAuth();
+const ProtectedRoute = ({ children, requirePermission }) => {
+  const { isAuthenticated, hasPermission, loading } = useAuth();
   const location = useLocation();
 
   if (loading) {
@@ -17,7 +17,7 @@ const ProtectedRoute = ({ children, requireManager = false }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  if (requireManager && !isManager) {
+  if (requirePermission && !hasPermission(requirePermission)) {
     return <Navigate to="/dashboard" replace />;
   }
 
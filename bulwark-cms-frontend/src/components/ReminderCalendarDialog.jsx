@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { remindersAPI } from '../lib/api.js';
+import { getApiUrl } from '../config.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Alert, AlertDescription } from './ui/alert';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Copy, ExternalLink, RefreshCw } from 'lucide-react';
+
+// Full feed URL for a token; the API URL may be relative when the frontend is served alongside the backend
+const feedUrlFor = (token) => new URL(`${getApiUrl()}/reminders/calendar.ics?token=${token}`, window.location.origin).toString();
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+// Calendar subscription for the user's reminders: create, replace or turn off the .ics feed link
+const ReminderCalendarDialog = ({ isOpen, onOpenChange }) => {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFeedUrl('');
+    setError('');
+    const loadFeed = async () => {
+      setLoading(true);
+      try {
+        const response = await remindersAPI.getCalendarFeed();
+        setFeed(response.data.feed);
+      } catch (error) {
+        console.error('Failed to load calendar feed:', error);
+        setError('Failed to load calendar feed');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadFeed();
+  }, [isOpen]);
+
+  const handleCreate = async () => {
+    if (feed && !window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) {
+      return;
+    }
+    setWorking(true);
+    setError('');
+    try {
+      const response = await remindersAPI.createCalendarFeed();
+      setFeed(response.data.feed);
+      setFeedUrl(feedUrlFor(response.data.token));
+    } catch (error) {
+      console.error('Create calendar feed error:', error);
+      setError(error.response?.data?.error || 'Failed to create calendar link');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) {
+      return;
+    }
+    setWorking(true);
+    setError('');
+    try {
+      await remindersAPI.revokeCalendarFeed();
+      setFeed(null);
+      setFeedUrl('');
+      toast.success('Calendar feed turned off');
+    } catch (error) {
+      console.error('Revoke calendar feed error:', error);
+      setError(error.response?.data?.error || 'Failed to turn off calendar feed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Calendar link copied');
+    } catch {
+      toast.error('Could not copy the link; select it and copy it instead');
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Calendar Subscription</DialogTitle>
+          <DialogDescription>
+            Subscribe to your open reminders in Google Calendar, Outlook or Apple Calendar. Completed reminders drop off
+            the next time your calendar refreshes.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-muted-foreground">Loading...</p>
+          ) : feedUrl ? (
+            <div className="space-y-2">
+              <Label htmlFor="calendar-feed-url">Your calendar link</Label>
+              <div className="flex gap-2">
+                <Input id="calendar-feed-url" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+                <Button variant="outline" onClick={handleCopy}>
+                  <Copy className="h-4 w-4" />
+                </Button>
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Add this link to your calendar app as a subscribed calendar ("From URL" in Google Calendar). Keep it
+                private: anyone with the link can see your reminders. It is only shown once.
+              </p>
+              <Button variant="outline" asChild>
+                <a href={feedUrl.replace(/^https?:/, 'webcal:')}>
+                  <ExternalLink className="h-4 w-4 mr-2" />
+                  Open in calendar app
+                </a>
+              </Button>
+            </div>
+          ) : feed ? (
+            <div className="text-sm space-y-1">
+              <p>Your calendar feed is on.</p>
+              <p className="text-muted-foreground">Created {formatDateTime(feed.createdAt)} · Last fetched {formatDateTime(feed.lastUsedAt)}</p>
+              <p className="text-muted-foreground">
+                The link is only shown when it is created. To subscribe another calendar, create a new link; the current one stops working.
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">You don't have a calendar feed yet.</p>
+          )}
+
+          <DialogFooter className="gap-2">
+            {feed && (
+              <Button variant="destructive" onClick={handleRevoke} disabled={working}>
+                Turn Off
+              </Button>
+            )}
+            <Button onClick={handleCreate} disabled={working || loading}>
+              <RefreshCw className="h-4 w-4 mr-2" />
+              {feed ? 'Create New Link' : 'Create Link'}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReminderCalendarDialog;
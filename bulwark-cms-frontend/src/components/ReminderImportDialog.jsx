@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { remindersAPI } from '../lib/api.js';
+import { describeRule } from '../lib/recurrence.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Alert, AlertDescription } from './ui/alert';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Upload } from 'lucide-react';
+
+const EVENT_STATUS_STYLES = {
+  ready: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  error: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  skipped: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200'
+};
+
+// Reminder import from an .ics calendar file: preview every event, then import the ready ones
+const ReminderImportDialog = ({ isOpen, onOpenChange, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [includePast, setIncludePast] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFile(null);
+    setIncludePast(false);
+    setPreview(null);
+    setError('');
+  }, [isOpen]);
+
+  // Floating and all-day event times are read in the browser's time zone
+  const importOptions = (dryRun) => ({
+    dryRun,
+    includePast,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  });
+
+  const handlePreview = async () => {
+    if (!file) return;
+    setWorking(true);
+    setError('');
+    try {
+      const response = await remindersAPI.importCalendar(file, importOptions(true));
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Preview reminder import error:', error);
+      setError(error.response?.data?.error || 'Failed to read calendar file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await remindersAPI.importCalendar(file, importOptions(false));
+      const { summary } = response.data;
+      toast.success(`Imported ${summary.importedCount} reminder${summary.importedCount === 1 ? '' : 's'}`);
+      onImported(summary);
+    } catch (error) {
+      console.error('Import reminders error:', error);
+      setError(error.response?.data?.error || 'Import failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const summary = preview?.summary;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Reminders from Calendar</DialogTitle>
+          <DialogDescription>
+            Upload an .ics file exported from your calendar. Each event is previewed before any reminders are created;
+            repeating events become repeating reminders.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="reminder-import-file">Calendar file (.ics)</Label>
+            <Input
+              id="reminder-import-file"
+              type="file"
+              accept=".ics,text/calendar"
+              onChange={(e) => {
+                setFile(e.target.files[0] || null);
+                setPreview(null);
+              }}
+            />
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Switch
+              id="include-past-events"
+              checked={includePast}
+              onCheckedChange={(checked) => {
+                setIncludePast(checked);
+                setPreview(null);
+              }}
+            />
+            <Label htmlFor="include-past-events">Include events that have already happened</Label>
+          </div>
+
+          {summary && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Events</div>
+                  <div className="text-lg font-bold">{summary.totalEvents}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Ready</div>
+                  <div className="text-lg font-bold text-green-600">{summary.readyCount}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Skipped</div>
+                  <div className="text-lg font-bold text-gray-600">{summary.skippedCount}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Errors</div>
+                  <div className="text-lg font-bold text-red-600">{summary.errorCount}</div>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto border rounded-lg max-h-80">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Title</TableHead>
+                      <TableHead>Reminder Date</TableHead>
+                      <TableHead>Repeats</TableHead>
+                      <TableHead>Notes</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {preview.events.map(event => (
+                      <TableRow key={event.index}>
+                        <TableCell>
+                          <Badge className={`capitalize ${EVENT_STATUS_STYLES[event.status] || ''}`}>{event.status}</Badge>
+                        </TableCell>
+                        <TableCell>{event.title}</TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {event.reminderDate ? new Date(event.reminderDate).toLocaleString() : '—'}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {event.recurrence ? describeRule(event.recurrence.recurrenceRule) : '—'}
+                        </TableCell>
+                        <TableCell>
+                          <span className={`text-sm ${event.status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-muted-foreground'}`}>
+                            {event.message}
+                          </span>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={handlePreview} disabled={!file || working}>
+              <Upload className="h-4 w-4 mr-2" />
+              {working && !summary ? 'Checking...' : 'Preview'}
+            </Button>
+            <Button onClick={handleImport} disabled={working || !summary || summary.readyCount === 0}>
+              {working && summary ? 'Importing...' : `Import ${summary?.readyCount || 0} Reminders`}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReminderImportDialog;
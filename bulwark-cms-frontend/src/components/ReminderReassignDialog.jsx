@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { remindersAPI, userProfileAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Alert, AlertDescription } from './ui/alert';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+
+// Managers hand a reminder (or a repeating reminder's future occurrences) to another agent
+const ReminderReassignDialog = ({ reminder, onOpenChange, onReassigned }) => {
+  const [agents, setAgents] = useState([]);
+  const [agentId, setAgentId] = useState('');
+  const [scope, setScope] = useState('occurrence');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!reminder) return;
+    setAgentId('');
+    setScope('occurrence');
+    setError('');
+    const loadAgents = async () => {
+      try {
+        const response = await userProfileAPI.getUsers({ limit: 100 });
+        setAgents((response.data.users || []).filter(user => user.isActive && user.id !== reminder.agent_id));
+      } catch (error) {
+        console.error('Failed to load agents for reassignment:', error);
+      }
+    };
+    loadAgents();
+  }, [reminder]);
+
+  const handleReassign = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await remindersAPI.reassignReminder(reminder.id, { agentId: parseInt(agentId), scope });
+      toast.success(response.data.message);
+      onReassigned();
+    } catch (error) {
+      console.error('Reassign reminder error:', error);
+      setError(error.response?.data?.error || 'Failed to reassign reminder');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!reminder} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Reassign Reminder</DialogTitle>
+          <DialogDescription>
+            Give "{reminder?.title}" to another agent, for example while its agent is on leave. They will be notified.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="space-y-2">
+            <Label>Assign to</Label>
+            <Select value={agentId} onValueChange={setAgentId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Choose an agent" />
+              </SelectTrigger>
+              <SelectContent>
+                {agents.map(agent => (
+                  <SelectItem key={agent.id} value={agent.id.toString()}>
+                    {agent.firstName} {agent.lastName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {reminder?.series_id && (
+            <RadioGroup value={scope} onValueChange={setScope} className="space-y-1">
+              <div className="flex items-center gap-2">
+                <RadioGroupItem value="occurrence" id="reassign-occurrence" />
+                <Label htmlFor="reassign-occurrence" className="font-normal">Only this occurrence</Label>
+              </div>
+              <div className="flex items-center gap-2">
+                <RadioGroupItem value="series" id="reassign-series" />
+                <Label htmlFor="reassign-series" className="font-normal">This and future occurrences</Label>
+              </div>
+            </RadioGroup>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleReassign} disabled={saving || !agentId}>
+              {saving ? 'Reassigning...' : 'Reassign'}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReminderReassignDialog;
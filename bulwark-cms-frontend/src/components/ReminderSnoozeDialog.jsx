@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { remindersAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Alert, AlertDescription } from './ui/alert';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+
+const PRESET_LABELS = {
+  '15m': '15 minutes',
+  '1h': '1 hour',
+  tomorrow: 'Tomorrow morning',
+  custom: 'Custom time'
+};
+
+// Local date-time in the form a datetime-local input expects
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Snooze a reminder to a custom time, with the reminder's snooze history
+const ReminderSnoozeDialog = ({ reminder, onOpenChange, onSnoozed }) => {
+  const [until, setUntil] = useState('');
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!reminder) return;
+    setError('');
+    setUntil(toInputValue(new Date(Math.max(Date.now(), new Date(reminder.reminder_date).getTime()) + 60 * 60 * 1000)));
+    const loadHistory = async () => {
+      try {
+        const response = await remindersAPI.getSnoozeHistory(reminder.id);
+        setHistory(response.data.snoozes || []);
+      } catch (error) {
+        console.error('Failed to load snooze history:', error);
+        setHistory([]);
+      }
+    };
+    loadHistory();
+  }, [reminder]);
+
+  const handleSnooze = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await remindersAPI.snoozeReminder(reminder.id, { preset: 'custom', until: new Date(until).toISOString() });
+      toast.success(`Reminder snoozed until ${new Date(until).toLocaleString()}`);
+      onSnoozed();
+    } catch (error) {
+      console.error('Snooze reminder error:', error);
+      setError(error.response?.data?.error || 'Failed to snooze reminder');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!reminder} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Snooze Reminder</DialogTitle>
+          <DialogDescription>
+            Choose when "{reminder?.title}" should come back.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="snooze-until">Remind me at</Label>
+            <Input id="snooze-until" type="datetime-local" value={until} onChange={(e) => setUntil(e.target.value)} />
+          </div>
+
+          {history.length > 0 && (
+            <div className="space-y-2">
+              <Label>Snooze history</Label>
+              <ul className="text-sm space-y-1 max-h-40 overflow-y-auto">
+                {history.map(snooze => (
+                  <li key={snooze.id} className="text-muted-foreground">
+                    {new Date(snooze.createdAt).toLocaleString()}: {PRESET_LABELS[snooze.preset] || snooze.preset}
+                    {snooze.userFirstName ? ` by ${snooze.userFirstName} ${snooze.userLastName}` : ''},
+                    {' '}moved to {new Date(snooze.snoozedUntil).toLocaleString()}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSnooze} disabled={saving || !until}>
+              {saving ? 'Snoozing...' : 'Snooze'}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReminderSnoozeDialog;
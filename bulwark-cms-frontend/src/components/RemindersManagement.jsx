@@ -1,6 +1,16 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth.jsx';
 import { remindersAPI, clientsAPI } from '../lib/api.js';
+import {
+  WEEKDAYS,
+  FREQUENCIES,
+  buildRule,
+  parseRule,
+  describeRule,
+  describeMonthlyWeekday,
+  weekdayCode,
+} from '../lib/recurrence.js';
 import { toast } from 'sonner';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
@@ -31,7 +41,20 @@ import {
   TableHeader,
   TableRow,
 } from './ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
 import { Alert, AlertDescription } from './ui/alert';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import ExportMenu from './ExportMenu';
+import ReminderCalendarDialog from './ReminderCalendarDialog';
+import ReminderImportDialog from './ReminderImportDialog';
+import ReminderSnoozeDialog from './ReminderSnoozeDialog';
+import ReminderReassignDialog from './ReminderReassignDialog';
 import {
   Bell,
   Plus,
@@ -45,6 +68,12 @@ import {
   Phone,
   FileText,
   CalendarDays,
+  Repeat,
+  Upload,
+  Rss,
+  AlarmClock,
+  UserCog,
+  AlertTriangle,
 } from 'lucide-react';
 
 const REMINDER_STATUSES = [
@@ -61,6 +90,141 @@ const PRIORITY_LEVELS = [
   { value: 'high', label: 'High', color: 'bg-red-100 text-red-800' },
 ];
 
+const RecurrenceFields = ({ recurrence, onChange, date }) => {
+  const frequency = FREQUENCIES.find(item => item.value === recurrence.frequency);
+  const update = (changes) => onChange({ ...recurrence, ...changes });
+
+  const toggleWeekday = (code) => {
+    const weekdays = recurrence.weekdays.includes(code)
+      ? recurrence.weekdays.filter(day => day !== code)
+      : [...recurrence.weekdays, code];
+    // Keep the days in Monday-first order so the stored rule reads naturally
+    update({ weekdays: WEEKDAYS.map(day => day.code).filter(day => weekdays.includes(day)) });
+  };
+
+  return (
+    <div className="space-y-4 rounded-md border p-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="recurrence_frequency">Repeat</Label>
+          <Select
+            value={recurrence.frequency}
+            onValueChange={(value) => update({
+              frequency: value,
+              weekdays: value === 'WEEKLY' && recurrence.weekdays.length === 0 && date ? [weekdayCode(date)] : recurrence.weekdays,
+            })}
+          >
+            <SelectTrigger id="recurrence_frequency">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {FREQUENCIES.map((item) => (
+                <SelectItem key={item.value} value={item.value}>
+                  {item.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {recurrence.frequency !== 'none' && (
+          <div className="space-y-2">
+            <Label htmlFor="recurrence_interval">Every</Label>
+            <div className="flex items-center gap-2">
+              <Input
+                id="recurrence_interval"
+                type="number"
+                min="1"
+                max="999"
+                value={recurrence.interval}
+                onChange={(e) => update({ interval: e.target.value })}
+                className="w-20"
+              />
+              <span className="text-sm text-muted-foreground">{frequency?.unit}(s)</span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {recurrence.frequency === 'WEEKLY' && (
+        <div className="space-y-2">
+          <Label>On</Label>
+          <div className="flex flex-wrap gap-1">
+            {WEEKDAYS.map((day) => (
+              <Button
+                key={day.code}
+                type="button"
+                size="sm"
+                variant={recurrence.weekdays.includes(day.code) ? 'default' : 'outline'}
+                onClick={() => toggleWeekday(day.code)}
+              >
+                {day.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {recurrence.frequency === 'MONTHLY' && date && (
+        <div className="space-y-2">
+          <Label htmlFor="recurrence_monthly">On</Label>
+          <Select value={recurrence.monthlyMode} onValueChange={(value) => update({ monthlyMode: value })}>
+            <SelectTrigger id="recurrence_monthly">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="day">On day {date.getDate()}</SelectItem>
+              <SelectItem value="weekday">{describeMonthlyWeekday(date)}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      {recurrence.frequency !== 'none' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="recurrence_ends">Ends</Label>
+            <Select value={recurrence.ends} onValueChange={(value) => update({ ends: value })}>
+              <SelectTrigger id="recurrence_ends">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="never">Never</SelectItem>
+                <SelectItem value="count">After a number of times</SelectItem>
+                <SelectItem value="until">On a date</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {recurrence.ends === 'count' && (
+            <div className="space-y-2">
+              <Label htmlFor="recurrence_count">Occurrences</Label>
+              <Input
+                id="recurrence_count"
+                type="number"
+                min="1"
+                max="1000"
+                value={recurrence.count}
+                onChange={(e) => update({ count: e.target.value })}
+              />
+            </div>
+          )}
+          {recurrence.ends === 'until' && (
+            <div className="space-y-2">
+              <Label htmlFor="recurrence_until">Last date</Label>
+              <Input
+                id="recurrence_until"
+                type="date"
+                value={recurrence.until}
+                onChange={(e) => update({ until: e.target.value })}
+                required
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ReminderForm = ({ reminder, onSave, onCancel }) => {
   const { user, canAccessAllClients } = useAuth();
   const [clients, setClients] = useState([]);
@@ -74,9 +238,16 @@ const ReminderForm = ({ reminder, onSave, onCancel }) => {
     priority: 'medium',
     ...reminder,
   });
+  const [recurrence, setRecurrence] = useState(() => parseRule(reminder?.recurrence_rule));
+  const [scope, setScope] = useState('occurrence');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const isRecurring = !!reminder?.series_id;
+  // A one-off reminder can be made to repeat; an occurrence's rule is only edited along with the whole series
+  const canEditRecurrence = !isRecurring || scope === 'series';
+  const firstOccurrence = formData.reminder_date ? new Date(`${formData.reminder_date}T${formData.reminder_time || '00:00'}`) : null;
+
   useEffect(() => {
     fetchClients();
     
@@ -122,9 +293,17 @@ const ReminderForm = ({ reminder, onSave, onCancel }) => {
         type: formData.status, // Map status to type field
       };
 
+      if (canEditRecurrence) {
+        reminderData.recurrenceRule = buildRule(recurrence, reminderDateTime);
+        reminderData.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      }
+      if (isRecurring) {
+        reminderData.scope = scope;
+      }
+
       if (reminder?.id) {
         await remindersAPI.updateReminder(reminder.id, reminderData);
-        toast.success('Reminder updated successfully!');
+        toast.success(isRecurring && scope === 'series' ? 'Reminder series updated successfully!' : 'Reminder updated successfully!');
       } else {
         await remindersAPI.createReminder(reminderData);
         toast.success('Reminder created successfully!');
@@ -147,6 +326,22 @@ const ReminderForm = ({ reminder, onSave, onCancel }) => {
         </Alert>
       )}
       
+      {isRecurring && (
+        <div className="space-y-2">
+          <Label>Apply changes to</Label>
+          <RadioGroup value={scope} onValueChange={setScope} className="flex flex-col sm:flex-row gap-2 sm:gap-6">
+            <div className="flex items-center gap-2">
+              <RadioGroupItem value="occurrence" id="scope_occurrence" />
+              <Label htmlFor="scope_occurrence" className="font-normal">This occurrence only</Label>
+            </div>
+            <div className="flex items-center gap-2">
+              <RadioGroupItem value="series" id="scope_series" />
+              <Label htmlFor="scope_series" className="font-normal">The whole series</Label>
+            </div>
+          </RadioGroup>
+        </div>
+      )}
+
       <div className="space-y-2">
         <Label htmlFor="title">Title *</Label>
         <Input
@@ -198,6 +393,15 @@ const ReminderForm = ({ reminder, onSave, onCancel }) => {
         </div>
       </div>
 
+      {canEditRecurrence ? (
+        <RecurrenceFields recurrence={recurrence} onChange={setRecurrence} date={firstOccurrence} />
+      ) : (
+        <p className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Repeat className="h-4 w-4" />
+          {describeRule(reminder.recurrence_rule)}. Changes here only affect this occurrence.
+        </p>
+      )}
+
       <div className="grid grid-cols-2 gap-4">
         <div className="space-y-2">
           <Label htmlFor="status">Status</Label>
@@ -255,7 +459,10 @@ const ReminderForm = ({ reminder, onSave, onCancel }) => {
 };
 
 const RemindersManagement = () => {
-  const { user, canViewAllData } = useAuth();
+  const { user, canViewAllData, hasPermission } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Managers can switch to the overdue reminders of their agents that were escalated to them
+  const view = searchParams.get('view') === 'escalated' ? 'escalated' : 'mine';
   const [reminders, setReminders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -264,16 +471,21 @@ const RemindersManagement = () => {
   const [completedFilter, setCompletedFilter] = useState('pending');
   const [selectedReminder, setSelectedReminder] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [deletingReminder, setDeletingReminder] = useState(null);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [snoozingReminder, setSnoozingReminder] = useState(null);
+  const [reassigningReminder, setReassigningReminder] = useState(null);
   const [error, setError] = useState('');
 
   useEffect(() => {
     fetchReminders();
-  }, []);
+  }, [view]);
 
   const fetchReminders = async () => {
     try {
-      // All users (managers and agents) now see only their own reminders
-      const params = { agent_id: user?.id };
+      // All users (managers and agents) now see only their own reminders, plus any escalated to them
+      const params = view === 'escalated' ? { view } : { agent_id: user?.id };
       const response = await remindersAPI.getReminders(params);
       setReminders(response.data.reminders);
     } catch (error) {
@@ -290,29 +502,64 @@ const RemindersManagement = () => {
     fetchReminders();
   };
 
+  const handleImported = () => {
+    setShowImport(false);
+    fetchReminders();
+  };
+
   const handleEdit = (reminder) => {
     setSelectedReminder(reminder);
     setShowForm(true);
   };
 
-  const handleDelete = async (reminderId) => {
-    if (window.confirm('Are you sure you want to delete this reminder?')) {
-      try {
-        await remindersAPI.deleteReminder(reminderId);
-        fetchReminders();
-        toast.success('Reminder deleted successfully!');
-      } catch (error) {
-        setError('Failed to delete reminder');
-        toast.error('Failed to delete reminder.');
-      }
+  const deleteReminder = async (reminderId, scope) => {
+    try {
+      await remindersAPI.deleteReminder(reminderId, scope ? { scope } : undefined);
+      fetchReminders();
+      toast.success(scope === 'series' ? 'Reminder series deleted successfully!' : 'Reminder deleted successfully!');
+    } catch (error) {
+      setError('Failed to delete reminder');
+      toast.error('Failed to delete reminder.');
     }
   };
 
+  const handleDelete = (reminder) => {
+    // Repeating reminders ask whether to skip this occurrence or delete the whole series
+    if (reminder.series_id) {
+      setDeletingReminder(reminder);
+    } else if (window.confirm('Are you sure you want to delete this reminder?')) {
+      deleteReminder(reminder.id);
+    }
+  };
+
+  const handleSnooze = async (reminder, preset) => {
+    try {
+      const response = await remindersAPI.snoozeReminder(reminder.id, {
+        preset,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      fetchReminders();
+      toast.success(`Reminder snoozed until ${new Date(response.data.reminder.reminderDate).toLocaleString()}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to snooze reminder.');
+    }
+  };
+
+  const handleCustomSnoozed = () => {
+    setSnoozingReminder(null);
+    fetchReminders();
+  };
+
+  const handleReassigned = () => {
+    setReassigningReminder(null);
+    fetchReminders();
+  };
+
   const handleComplete = async (reminderId, isCompleted) => {
     try {
-      await remindersAPI.completeReminder(reminderId);
+      const response = await remindersAPI.completeReminder(reminderId);
       fetchReminders();
-      toast.success(isCompleted ? 'Reminder marked as pending' : 'Reminder marked as completed');
+      toast.success(isCompleted ? 'Reminder marked as pending' : response.data.message);
     } catch (error) {
       setError('Failed to update reminder');
       toast.error('Failed to update reminder.');
@@ -377,34 +624,61 @@ const RemindersManagement = () => {
           <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Reminders</h1>
           <p className="text-gray-600 text-sm sm:text-base">Manage your tasks and follow-ups</p>
           <p className="text-sm text-blue-600 mt-1">
-            🔒 Viewing only your reminders
+            {view === 'escalated' ? '⚠️ Viewing overdue reminders escalated to you' : '🔒 Viewing only your reminders'}
           </p>
         </div>
-        <Dialog open={showForm} onOpenChange={setShowForm}>
-          <DialogTrigger asChild>
-            <Button onClick={() => setSelectedReminder(null)} className="w-full sm:w-auto justify-center sm:justify-start">
-              <Plus className="h-4 w-4 mr-2" />
-              Add Reminder
-            </Button>
-          </DialogTrigger>
-          <DialogContent className="max-w-2xl">
-            <DialogHeader>
-              <DialogTitle>
-                {selectedReminder ? 'Edit Reminder' : 'Add New Reminder'}
-              </DialogTitle>
-              <DialogDescription>
-                {selectedReminder 
-                  ? 'Update reminder details below.' 
-                  : 'Create a new reminder to stay on top of your tasks.'}
-              </DialogDescription>
-            </DialogHeader>
-            <ReminderForm
-              reminder={selectedReminder}
-              onSave={handleSave}
-              onCancel={() => setShowForm(false)}
-            />
-          </DialogContent>
-        </Dialog>
+        <div className="flex flex-col sm:flex-row gap-2 sm:gap-3 w-full sm:w-auto">
+          <Button
+            variant="outline"
+            onClick={() => setShowCalendar(true)}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          >
+            <Rss className="h-4 w-4 mr-2" />
+            Calendar
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => setShowImport(true)}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <ExportMenu
+            fileName="reminders"
+            request={(format) => remindersAPI.exportReminders({
+              format,
+              type: statusFilter === 'all' ? undefined : statusFilter,
+              priority: priorityFilter === 'all' ? undefined : priorityFilter
+            })}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          />
+          <Dialog open={showForm} onOpenChange={setShowForm}>
+            <DialogTrigger asChild>
+              <Button onClick={() => setSelectedReminder(null)} className="w-full sm:w-auto justify-center sm:justify-start">
+                <Plus className="h-4 w-4 mr-2" />
+                Add Reminder
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle>
+                  {selectedReminder ? 'Edit Reminder' : 'Add New Reminder'}
+                </DialogTitle>
+                <DialogDescription>
+                  {selectedReminder 
+                    ? 'Update reminder details below.' 
+                    : 'Create a new reminder to stay on top of your tasks.'}
+                </DialogDescription>
+              </DialogHeader>
+              <ReminderForm
+                reminder={selectedReminder}
+                onSave={handleSave}
+                onCancel={() => setShowForm(false)}
+              />
+            </DialogContent>
+          </Dialog>
+        </div>
       </div>
 
       {error && (
@@ -471,6 +745,23 @@ const RemindersManagement = () => {
               />
             </div>
             <div className="flex flex-col sm:flex-row gap-2 sm:gap-4">
+              {hasPermission('reminders.edit_others') && (
+                <Select
+                  value={view}
+                  onValueChange={(value) => {
+                    setLoading(true);
+                    setSearchParams(value === 'escalated' ? { view: value } : {});
+                  }}
+                >
+                  <SelectTrigger className="w-full sm:w-44">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="mine">My Reminders</SelectItem>
+                    <SelectItem value="escalated">Escalated to Me</SelectItem>
+                  </SelectContent>
+                </Select>
+              )}
               <Select value={completedFilter} onValueChange={setCompletedFilter}>
                 <SelectTrigger className="w-full sm:w-40">
                   <SelectValue />
@@ -547,6 +838,23 @@ const RemindersManagement = () => {
                               {getStatusIcon(reminder.status)}
                               {reminder.title}
                             </div>
+                            {reminder.recurrence_rule && (
+                              <div className="text-xs text-blue-600 flex items-center gap-1 mt-1">
+                                <Repeat className="h-3 w-3" />
+                                {describeRule(reminder.recurrence_rule)}
+                              </div>
+                            )}
+                            {view === 'escalated' && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                Agent: {reminder.agent_first_name} {reminder.agent_last_name}
+                              </div>
+                            )}
+                            {reminder.snooze_count > 0 && (
+                              <div className="text-xs text-gray-500 flex items-center gap-1 mt-1">
+                                <AlarmClock className="h-3 w-3" />
+                                Snoozed {reminder.snooze_count} {reminder.snooze_count === 1 ? 'time' : 'times'}
+                              </div>
+                            )}
                             {reminder.description && (
                               <div className="text-sm text-gray-500 mt-1">
                                 {reminder.description}
@@ -584,6 +892,12 @@ const RemindersManagement = () => {
                               Due Today
                             </Badge>
                           )}
+                          {reminder.escalated_at && !reminder.is_completed && (
+                            <Badge variant="outline" className="text-xs mt-1 ml-1 text-red-600 border-red-300">
+                              <AlertTriangle className="h-3 w-3 mr-1" />
+                              Escalated
+                            </Badge>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Badge variant="outline">
@@ -597,6 +911,32 @@ const RemindersManagement = () => {
                         </TableCell>
                         <TableCell className="text-right">
                           <div className="flex items-center justify-end gap-2">
+                            {!reminder.is_completed && (
+                              <DropdownMenu>
+                                <DropdownMenuTrigger asChild>
+                                  <Button variant="ghost" size="sm" title="Snooze">
+                                    <AlarmClock className="h-4 w-4" />
+                                  </Button>
+                                </DropdownMenuTrigger>
+                                <DropdownMenuContent align="end">
+                                  <DropdownMenuItem onClick={() => handleSnooze(reminder, '15m')}>15 minutes</DropdownMenuItem>
+                                  <DropdownMenuItem onClick={() => handleSnooze(reminder, '1h')}>1 hour</DropdownMenuItem>
+                                  <DropdownMenuItem onClick={() => handleSnooze(reminder, 'tomorrow')}>Tomorrow morning</DropdownMenuItem>
+                                  <DropdownMenuSeparator />
+                                  <DropdownMenuItem onClick={() => setSnoozingReminder(reminder)}>Custom...</DropdownMenuItem>
+                                </DropdownMenuContent>
+                              </DropdownMenu>
+                            )}
+                            {hasPermission('reminders.reassign') && !reminder.is_completed && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                title="Reassign"
+                                onClick={() => setReassigningReminder(reminder)}
+                              >
+                                <UserCog className="h-4 w-4" />
+                              </Button>
+                            )}
                             <Button
                               variant="ghost"
                               size="sm"
@@ -607,7 +947,7 @@ const RemindersManagement = () => {
                             <Button
                               variant="ghost"
                               size="sm"
-                              onClick={() => handleDelete(reminder.id)}
+                              onClick={() => handleDelete(reminder)}
                               className="text-red-600 hover:text-red-700"
                             >
                               <Trash2 className="h-4 w-4" />
@@ -633,6 +973,61 @@ const RemindersManagement = () => {
           </div>
         </CardContent>
       </Card>
+
+      <Dialog open={!!deletingReminder} onOpenChange={(open) => !open && setDeletingReminder(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Delete repeating reminder</DialogTitle>
+            <DialogDescription>
+              "{deletingReminder?.title}" repeats ({describeRule(deletingReminder?.recurrence_rule)?.toLowerCase()}).
+              Deleting only this occurrence schedules the next one.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="gap-2">
+            <Button variant="outline" onClick={() => setDeletingReminder(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => {
+                deleteReminder(deletingReminder.id, 'occurrence');
+                setDeletingReminder(null);
+              }}
+            >
+              This occurrence
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => {
+                deleteReminder(deletingReminder.id, 'series');
+                setDeletingReminder(null);
+              }}
+            >
+              Whole series
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <ReminderCalendarDialog isOpen={showCalendar} onOpenChange={setShowCalendar} />
+
+      <ReminderImportDialog
+        isOpen={showImport}
+        onOpenChange={setShowImport}
+        onImported={handleImported}
+      />
+
+      <ReminderSnoozeDialog
+        reminder={snoozingReminder}
+        onOpenChange={(open) => !open && setSnoozingReminder(null)}
+        onSnoozed={handleCustomSnoozed}
+      />
+
+      <ReminderReassignDialog
+        reminder={reassigningReminder}
+        onOpenChange={(open) => !open && setReassigningReminder(null)}
+        onReassigned={handleReassigned}
+      />
     </div>
   );
 };
@@ -13,11 +13,16 @@ import {
 } from 'recharts';
 import { 
   FileText, Download, Calendar, TrendingUp, Users, DollarSign, 
-  Target, Activity, Filter, RefreshCw, Eye, FileSpreadsheet, AlertTriangle
+  Target, Activity, Filter, RefreshCw, Eye, FileSpreadsheet, AlertTriangle, CalendarClock
 } from 'lucide-react';
-import { reportsAPI, userProfileAPI, salesAPI } from '../lib/api.js';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { reportsAPI, userProfileAPI, salesAPI, teamAPI } from '../lib/api.js';
+import { downloadResponse, readBlobError } from '../lib/utils';
+import ExportMenu from './ExportMenu';
 
 const Reports = () => {
+  const { hasPermission } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState({
@@ -336,71 +341,64 @@ const Reports = () => {
     }
   };
 
-  const exportAgentSalesData = async () => {
+  // Query parameters for the server-side exports, matching the selected date range and agent
+  const salesExportParams = (format) => ({
+    format,
+    startDate: dateRange.startDate,
+    endDate: dateRange.endDate,
+    agent_id: selectedAgent === 'all' ? undefined : parseInt(selectedAgent)
+  });
+
+  const teamExportParams = (format) => ({
+    format,
+    startDate: dateRange.startDate,
+    endDate: dateRange.endDate
+  });
+
+  const exportSalesData = async (format) => {
+    try {
+      const response = await salesAPI.exportSales(salesExportParams(format));
+      downloadResponse(response, `sales-${new Date().toISOString().split('T')[0]}.${format}`);
+    } catch (error) {
+      console.error('Export sales data error:', error);
+      toast.error((await readBlobError(error)) || 'Failed to export sales data');
+    }
+  };
+
+  const exportTeamPerformance = async (format) => {
+    try {
+      const response = await teamAPI.exportPerformance(teamExportParams(format));
+      downloadResponse(response, `team-performance-${new Date().toISOString().split('T')[0]}.${format}`);
+    } catch (error) {
+      console.error('Export team performance error:', error);
+      toast.error((await readBlobError(error)) || 'Failed to export agent performance');
+    }
+  };
+
+  const exportAgentSalesData = async (agentId = selectedAgent) => {
     try {
-      if (selectedAgent === 'all') {
+      if (agentId === 'all') {
         toast.error('Please select a specific agent to export their sales data');
         return;
       }
 
       // Get the agent name for the filename
-      const agent = memoizedAgents.find(a => a.id.toString() === selectedAgent);
+      const agent = memoizedAgents.find(a => a.id.toString() === agentId);
       const agentName = agent ? agent.fullName || `${agent.first_name} ${agent.last_name}` : 'Unknown Agent';
-      
-      // Use the existing sales API endpoint (same as Sales page)
-      const params = {
+
+      // Server-side export with the same filters as the Sales page, so every sale in the range is included
+      const response = await salesAPI.exportSales({
+        format: 'csv',
         startDate: dateRange.startDate,
         endDate: dateRange.endDate,
-        agent_id: parseInt(selectedAgent),
-        limit: 100 // Maximum allowed by API validation
-      };
-
-      toast.info('Fetching detailed sales data...');
-      
-      const response = await salesAPI.getSales(params);
-      const salesData = response.data?.sales || response.data || [];
-      
-      if (salesData.length === 0) {
-        toast.error('No sales data found for the selected agent in the specified date range');
-        return;
-      }
-
-      // Format the data for export - using the same structure as the Sales page
-      const formattedData = salesData.map(sale => ({
-        'Sale ID': sale.id || 'N/A',
-        'Client Name': `${sale.client?.firstName || ''} ${sale.client?.lastName || ''}`.trim() || 'N/A',
-        'Client Email': sale.client?.email || 'N/A',
-        'Policy Number': sale.policyNumber || 'N/A',
-        'Product Name': sale.productName || 'N/A',
-        'Premium Amount': sale.premiumAmount || 0,
-        'Commission Amount': sale.commissionAmount || 0,
-        'Commission Percentage': sale.commissionRate ? `${sale.commissionRate}%` : '0%',
-        'Sale Date': sale.saleDate ? new Date(sale.saleDate).toLocaleDateString() : 'N/A',
-        'Status': sale.status || 'Active',
-        'Agent Name': `${sale.agent?.firstName || ''} ${sale.agent?.lastName || ''}`.trim() || agentName,
-        'Agent Email': sale.agent?.email || 'N/A',
-        'Notes': sale.notes || ''
-      }));
+        agent_id: parseInt(agentId)
+      });
+      downloadResponse(response, `${agentName.replace(/\s+/g, '_')}_detailed_sales_${new Date().toISOString().split('T')[0]}.csv`);
 
-      // Create CSV content
-    const csvContent = "data:text/csv;charset=utf-8," 
-        + Object.keys(formattedData[0]).join(",") + "\n"
-        + formattedData.map(row => Object.values(row).map(value => 
-          typeof value === 'string' && value.includes(',') ? `"${value}"` : value
-        ).join(",")).join("\n");
-    
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-      link.setAttribute("download", `${agentName.replace(/\s+/g, '_')}_detailed_sales_${new Date().toISOString().split('T')[0]}.csv`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-      
-      toast.success(`Detailed sales data for ${agentName} exported successfully! (${salesData.length} records)`);
+      toast.success(`Detailed sales data for ${agentName} exported successfully!`);
     } catch (error) {
       console.error('Export agent sales data error:', error);
-      toast.error(`Failed to export sales data: ${error.response?.data?.error || error.message}`);
+      toast.error(`Failed to export sales data: ${(await readBlobError(error)) || error.message}`);
     }
   };
 
@@ -464,14 +462,23 @@ const Reports = () => {
           <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
           {loading ? 'Generating...' : 'Refresh Reports'}
         </Button>
+
+          {hasPermission('reports.schedule') && (
+            <Button variant="outline" asChild className="w-full sm:w-auto">
+              <Link to="/reports/scheduled">
+                <CalendarClock className="h-4 w-4 mr-2" />
+                Scheduled Reports
+              </Link>
+            </Button>
+          )}
           
           <Select onValueChange={(value) => {
             if (value === 'all') {
               exportAllReports();
             } else if (value === 'sales') {
-              exportToCSV(memoizedReportData.monthlyTrends, 'sales_analysis');
+              exportSalesData('xlsx');
             } else if (value === 'agents') {
-              exportToCSV(memoizedReportData.agentPerformance, 'agent_performance');
+              exportTeamPerformance('xlsx');
             }
           }}>
             <SelectTrigger className="w-full sm:w-auto">
@@ -479,8 +486,8 @@ const Reports = () => {
             </SelectTrigger>
             <SelectContent>
               <SelectItem value="all">Export All Reports (JSON)</SelectItem>
-              <SelectItem value="sales">Export Sales Data (CSV)</SelectItem>
-              <SelectItem value="agents">Export Agent Performance (CSV)</SelectItem>
+              <SelectItem value="sales">Export Sales Data (Excel)</SelectItem>
+              <SelectItem value="agents">Export Agent Performance (Excel)</SelectItem>
             </SelectContent>
           </Select>
         </div>
@@ -875,14 +882,12 @@ const Reports = () => {
                     </SelectContent>
                   </Select>
                   
-            <Button 
-                    onClick={() => exportToCSV(memoizedReportData.monthlyTrends, 'sales_analysis')}
-              variant="outline"
+                  <ExportMenu
+                    label="Export All Sales"
+                    fileName="sales"
+                    request={(format) => salesAPI.exportSales(salesExportParams(format))}
                     className="w-full sm:w-auto"
-            >
-              <Download className="h-4 w-4 mr-2" />
-                    Export All
-            </Button>
+                  />
                 </div>
           </div>
 
@@ -968,14 +973,11 @@ const Reports = () => {
                       <CardDescription>Individual agent sales data and performance metrics</CardDescription>
                     </div>
                     <div className="flex gap-2">
-                      <Button 
-                        onClick={() => exportToCSV(memoizedReportData.agentPerformance, 'agent_sales_performance')}
-                        variant="outline"
-                        size="sm"
-                      >
-                        <Download className="h-4 w-4 mr-2" />
-                        Export All Agents
-                      </Button>
+                      <ExportMenu
+                        label="Export All Agents"
+                        fileName="team-performance"
+                        request={(format) => teamAPI.exportPerformance(teamExportParams(format))}
+                      />
                     </div>
                   </div>
                 </CardHeader>
@@ -1025,13 +1027,7 @@ const Reports = () => {
                                 <Button
                                   variant="outline"
                                   size="sm"
-                                  onClick={() => {
-                                    // Set the selected agent and export their data
-                                    setSelectedAgent(agentId.toString());
-                                    setTimeout(() => {
-                                      exportAgentSalesData();
-                                    }, 100);
-                                  }}
+                                  onClick={() => exportAgentSalesData(agentId.toString())}
                                   disabled={!agentId || agentId.toString().startsWith('agent_')}
                                 >
                                   <Download className="h-4 w-4 mr-1" />
@@ -1082,13 +1078,10 @@ const Reports = () => {
         <TabsContent value="agents" className="space-y-6">
           <div className="flex justify-between items-center">
             <h2 className="text-2xl font-bold">Agent Performance</h2>
-            <Button 
-                  onClick={() => exportToCSV(memoizedReportData.agentPerformance, 'agent_performance')}
-              variant="outline"
-            >
-              <Download className="h-4 w-4 mr-2" />
-              Export CSV
-            </Button>
+            <ExportMenu
+              fileName="team-performance"
+              request={(format) => teamAPI.exportPerformance(teamExportParams(format))}
+            />
           </div>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../lib/api.js';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Alert, AlertDescription } from './ui/alert';
+import { ArrowLeft, Lock } from 'lucide-react';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authAPI.resetPassword(token, password);
+      toast.success('Password reset successfully. Please sign in with your new password.');
+      navigate('/login', { replace: true });
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to reset password');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-blue-100 dark:from-gray-900 dark:to-gray-800 p-4 transition-colors duration-200">
+      <div className="w-full max-w-md">
+        <Card className="shadow-xl border-0 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm transition-colors duration-200">
+          <CardHeader className="text-center pb-6">
+            <CardTitle className="text-2xl font-bold bulwark-text-blue dark:text-blue-400">
+              Choose a New Password
+            </CardTitle>
+            <CardDescription className="text-gray-600 dark:text-gray-300">
+              Your new password must be at least 8 characters
+            </CardDescription>
+          </CardHeader>
+
+          <CardContent>
+            {!token ? (
+              <Alert variant="destructive">
+                <AlertDescription>
+                  This reset link is incomplete. Please request a new one.
+                </AlertDescription>
+              </Alert>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {error && (
+                  <Alert variant="destructive" className="animate-fade-in">
+                    <AlertDescription>{error}</AlertDescription>
+                  </Alert>
+                )}
+
+                <div className="space-y-2">
+                  <Label htmlFor="password">New Password</Label>
+                  <Input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    minLength={8}
+                    required
+                    className="h-11"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">Confirm New Password</Label>
+                  <Input
+                    id="confirmPassword"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    minLength={8}
+                    required
+                    className="h-11"
+                  />
+                </div>
+
+                <Button
+                  type="submit"
+                  className="w-full h-11 bulwark-gradient text-white font-semibold hover:opacity-90 transition-opacity"
+                  disabled={loading}
+                >
+                  <div className="flex items-center gap-2">
+                    <Lock className="h-4 w-4" />
+                    {loading ? 'Resetting...' : 'Reset Password'}
+                  </div>
+                </Button>
+              </form>
+            )}
+
+            <div className="mt-6 text-center space-y-2">
+              <Link to="/forgot-password" className="block text-sm text-primary hover:underline">
+                Request a new link
+              </Link>
+              <Link to="/login" className="inline-flex items-center gap-1 text-sm text-primary hover:underline">
+                <ArrowLeft className="h-4 w-4" />
+                Back to sign in
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,298 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import { rolesAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Checkbox } from './ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { Pencil, Plus, ShieldCheck, Trash2 } from 'lucide-react';
+
+// The permission catalog grouped for display, keeping the server's order
+const groupPermissions = (permissions) => permissions.reduce((groups, permission) => {
+  const group = groups.find(entry => entry.name === permission.group);
+  if (group) {
+    group.permissions.push(permission);
+  } else {
+    groups.push({ name: permission.group, permissions: [permission] });
+  }
+  return groups;
+}, []);
+
+const RoleForm = ({ role, permissionCatalog, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: role?.name || '',
+    label: role?.label || '',
+    description: role?.description || '',
+    permissions: role?.permissions || []
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const togglePermission = (name, checked) => {
+    setFormData({
+      ...formData,
+      permissions: checked
+        ? [...formData.permissions, name]
+        : formData.permissions.filter(permission => permission !== name)
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = role?.id
+        ? await rolesAPI.updateRole(role.id, {
+          label: formData.label,
+          description: formData.description,
+          permissions: formData.permissions
+        })
+        : await rolesAPI.createRole(formData);
+      toast.success(role?.id ? 'Role updated successfully' : 'Role created successfully');
+      onSave(response.data.role);
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details?.[0]?.msg || error.response?.data?.error || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="role-label">Label *</Label>
+          <Input
+            id="role-label"
+            value={formData.label}
+            onChange={(e) => setFormData({ ...formData, label: e.target.value })}
+            placeholder="e.g. Senior Agent"
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="role-name">Name *</Label>
+          <Input
+            id="role-name"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value.toLowerCase() })}
+            placeholder="e.g. senior_agent"
+            disabled={!!role?.id}
+            required
+          />
+          <p className="text-xs text-muted-foreground">
+            {role?.id ? 'The name is stored on each user and cannot change' : 'Lowercase letters, digits and underscores'}
+          </p>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="role-description">Description</Label>
+        <Textarea
+          id="role-description"
+          value={formData.description}
+          onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          rows={2}
+        />
+      </div>
+      <div className="space-y-3">
+        <Label>Permissions</Label>
+        {groupPermissions(permissionCatalog).map(group => (
+          <div key={group.name} className="rounded-md border p-3 space-y-2">
+            <p className="text-sm font-medium">{group.name}</p>
+            {group.permissions.map(permission => (
+              <div key={permission.name} className="flex items-start gap-2">
+                <Checkbox
+                  id={`permission-${permission.name}`}
+                  checked={formData.permissions.includes(permission.name)}
+                  onCheckedChange={(checked) => togglePermission(permission.name, checked === true)}
+                />
+                <Label htmlFor={`permission-${permission.name}`} className="font-normal leading-snug">
+                  {permission.description}
+                  <span className="block text-xs text-muted-foreground">{permission.name}</span>
+                </Label>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Role'}</Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+const RolesManagement = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissionCatalog, setPermissionCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingRole, setEditingRole] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const loadRoles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await rolesAPI.getRoles();
+      setRoles(response.data.roles || []);
+      setPermissionCatalog(response.data.permissions || []);
+    } catch (error) {
+      console.error('Failed to load roles:', error);
+      toast.error('Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRoles();
+  }, [loadRoles]);
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.label} role?`)) {
+      return;
+    }
+
+    try {
+      await rolesAPI.deleteRole(role.id);
+      toast.success('Role deleted');
+      loadRoles();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Roles</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Choose what each role is allowed to do
+          </p>
+        </div>
+        <Button
+          onClick={() => {
+            setEditingRole(null);
+            setShowForm(true);
+          }}
+          className="w-full sm:w-auto"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Role
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5" />
+            Roles
+          </CardTitle>
+          <CardDescription>Changes apply to everyone with the role within a minute</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : roles.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No roles found</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Role</TableHead>
+                    <TableHead>Permissions</TableHead>
+                    <TableHead>Users</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {roles.map(role => (
+                    <TableRow key={role.id}>
+                      <TableCell>
+                        <div className="font-medium flex items-center gap-2">
+                          {role.label}
+                          {role.isSystem && <Badge variant="secondary">Built-in</Badge>}
+                        </div>
+                        <div className="text-xs text-muted-foreground">{role.name}</div>
+                        {role.description && (
+                          <div className="text-xs text-muted-foreground line-clamp-1">{role.description}</div>
+                        )}
+                      </TableCell>
+                      <TableCell>{role.permissions.length} of {permissionCatalog.length}</TableCell>
+                      <TableCell>{role.userCount}</TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => {
+                            setEditingRole(role);
+                            setShowForm(true);
+                          }}
+                          title="Edit role"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        {!role.isSystem && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDelete(role)}
+                            disabled={role.userCount > 0}
+                            title={role.userCount > 0 ? 'Move its users to another role first' : 'Delete role'}
+                          >
+                            <Trash2 className="h-4 w-4 text-red-600" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={showForm} onOpenChange={setShowForm}>
+        <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editingRole ? `Edit ${editingRole.label}` : 'Add Role'}</DialogTitle>
+            <DialogDescription>
+              {editingRole ? 'Update what this role is allowed to do' : 'Create a role and choose its permissions'}
+            </DialogDescription>
+          </DialogHeader>
+          <RoleForm
+            key={editingRole?.id || 'new'}
+            role={editingRole}
+            permissionCatalog={permissionCatalog}
+            onSave={() => {
+              setShowForm(false);
+              loadRoles();
+            }}
+            onCancel={() => setShowForm(false)}
+          />
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default RolesManagement;
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { salesAPI, userProfileAPI } from '../lib/api.js';
+import { formatCurrency } from '../lib/utils';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Upload } from 'lucide-react';
+
+const ROW_STATUS_STYLES = {
+  ready: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  error: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  skipped: 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-200'
+};
+
+const MATCH_LABELS = {
+  policy: 'Matched by policy',
+  email: 'Matched by email',
+  name: 'Matched by name',
+  new: 'New client'
+};
+
+// Sales import from a carrier production report: preview every row, then import the ready ones
+const SalesImportDialog = ({ isOpen, onOpenChange, canImportForOthers, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [agentId, setAgentId] = useState('');
+  const [agents, setAgents] = useState([]);
+  const [createMissingClients, setCreateMissingClients] = useState(false);
+  const [skipInvalidRows, setSkipInvalidRows] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFile(null);
+    setAgentId('');
+    setCreateMissingClients(false);
+    setSkipInvalidRows(false);
+    setPreview(null);
+    setError('');
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !canImportForOthers) return;
+    const loadAgents = async () => {
+      try {
+        const response = await userProfileAPI.getUsers({ limit: 100 });
+        setAgents((response.data.users || []).filter(user => user.isActive));
+      } catch (error) {
+        console.error('Failed to load agents for sales import:', error);
+      }
+    };
+    loadAgents();
+  }, [isOpen, canImportForOthers]);
+
+  // Any change to the inputs invalidates the current preview
+  const resetPreview = () => {
+    setPreview(null);
+    setSkipInvalidRows(false);
+  };
+
+  const handlePreview = async () => {
+    if (!file) return;
+    setWorking(true);
+    setError('');
+    try {
+      const response = await salesAPI.importSales(file, { dryRun: true, createMissingClients, agentId });
+      setPreview(response.data);
+      setSkipInvalidRows(false);
+    } catch (error) {
+      console.error('Preview sales import error:', error);
+      setError(error.response?.data?.error || 'Failed to read production report');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await salesAPI.importSales(file, { dryRun: false, createMissingClients, skipInvalidRows, agentId });
+      const { summary } = response.data;
+      toast.success(`Imported ${summary.importedCount} sales${summary.createdClientCount > 0 ? ` and ${summary.createdClientCount} new clients` : ''}`);
+      onImported(summary);
+    } catch (error) {
+      console.error('Import sales error:', error);
+      setError(error.response?.data?.error || 'Import failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const summary = preview?.summary;
+  const canImport = summary && summary.readyCount > 0 && (summary.errorCount === 0 || skipInvalidRows);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Sales</DialogTitle>
+          <DialogDescription>
+            Upload a carrier production report (CSV or Excel). Each row is matched to a client and product and previewed before anything is saved.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="sales-import-file">Production report (.csv or .xlsx)</Label>
+              <Input
+                id="sales-import-file"
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => {
+                  setFile(e.target.files[0] || null);
+                  resetPreview();
+                }}
+              />
+            </div>
+            {canImportForOthers && (
+              <div className="space-y-2">
+                <Label>Import sales for</Label>
+                <Select
+                  value={agentId || 'me'}
+                  onValueChange={(value) => {
+                    setAgentId(value === 'me' ? '' : value);
+                    resetPreview();
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="me">Me</SelectItem>
+                    {agents.map(agent => (
+                      <SelectItem key={agent.id} value={agent.id.toString()}>
+                        {agent.firstName} {agent.lastName}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <Switch
+              id="create-missing-clients"
+              checked={createMissingClients}
+              onCheckedChange={(checked) => {
+                setCreateMissingClients(checked);
+                resetPreview();
+              }}
+            />
+            <Label htmlFor="create-missing-clients">Create clients that are not already in the book</Label>
+          </div>
+
+          {summary && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Rows</div>
+                  <div className="text-lg font-bold">{summary.totalRows}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Ready</div>
+                  <div className="text-lg font-bold text-green-600">{summary.readyCount}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Errors</div>
+                  <div className="text-lg font-bold text-red-600">{summary.errorCount}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Already imported</div>
+                  <div className="text-lg font-bold text-gray-600">{summary.skippedCount}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Premium</div>
+                  <div className="text-lg font-bold">{formatCurrency(summary.totalPremium)}</div>
+                </div>
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-muted-foreground">Commission</div>
+                  <div className="text-lg font-bold">{formatCurrency(summary.totalCommission)}</div>
+                </div>
+              </div>
+
+              {summary.newClientCount > 0 && (
+                <p className="text-sm text-muted-foreground">
+                  {summary.newClientCount} new client{summary.newClientCount === 1 ? '' : 's'} will be created.
+                </p>
+              )}
+
+              <div className="overflow-x-auto border rounded-lg max-h-80">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Row</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Policy</TableHead>
+                      <TableHead>Client</TableHead>
+                      <TableHead>Product</TableHead>
+                      <TableHead className="text-right">Premium</TableHead>
+                      <TableHead className="text-right">Commission</TableHead>
+                      <TableHead>Notes</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {preview.rowResults.map(result => (
+                      <TableRow key={result.row}>
+                        <TableCell>{result.row}</TableCell>
+                        <TableCell>
+                          <Badge className={`capitalize ${ROW_STATUS_STYLES[result.status] || ''}`}>{result.status}</Badge>
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">{result.policyNumber || '—'}</TableCell>
+                        <TableCell className="whitespace-nowrap">
+                          {result.client ? (
+                            <>
+                              <div>{result.client.firstName} {result.client.lastName}</div>
+                              <div className="text-xs text-muted-foreground">{MATCH_LABELS[result.client.matchedBy]}</div>
+                            </>
+                          ) : '—'}
+                        </TableCell>
+                        <TableCell className="whitespace-nowrap">{result.productName || '—'}</TableCell>
+                        <TableCell className="text-right">{result.premiumAmount != null ? formatCurrency(result.premiumAmount) : '—'}</TableCell>
+                        <TableCell className="text-right">{result.commissionAmount != null ? formatCurrency(result.commissionAmount) : '—'}</TableCell>
+                        <TableCell>
+                          {result.errors.length > 0 ? (
+                            <ul className="text-sm text-red-600 dark:text-red-400 list-disc pl-4">
+                              {result.errors.map(message => <li key={message}>{message}</li>)}
+                            </ul>
+                          ) : (
+                            <span className="text-sm text-muted-foreground">{result.note}</span>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+
+              {summary.errorCount > 0 && (
+                <div className="flex items-center gap-2">
+                  <Switch id="skip-invalid-sales" checked={skipInvalidRows} onCheckedChange={setSkipInvalidRows} />
+                  <Label htmlFor="skip-invalid-sales">Skip the {summary.errorCount} rows with errors and import the rest</Label>
+                </div>
+              )}
+            </>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={handlePreview} disabled={!file || working}>
+              <Upload className="h-4 w-4 mr-2" />
+              {working && !summary ? 'Checking...' : 'Preview'}
+            </Button>
+            <Button onClick={handleImport} disabled={working || !canImport}>
+              {working && summary ? 'Importing...' : `Import ${summary?.readyCount || 0} Sales`}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SalesImportDialog;
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth.jsx';
 import { toast } from 'sonner';
 
-import { salesAPI, clientsAPI, filesAPI, productsAPI } from '../lib/api.js';
+import { salesAPI, clientsAPI, productsAPI } from '../lib/api.js';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
@@ -33,22 +33,48 @@ import {
   TableRow,
 } from './ui/table';
 import { Alert, AlertDescription } from './ui/alert';
+import CommissionStatement from './CommissionStatement';
+import SalesImportDialog from './SalesImportDialog';
+import ExportMenu from './ExportMenu';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
 import {
   DollarSign,
   Plus,
   Search,
   Edit,
   Trash2,
-  Download,
   Upload,
   TrendingUp,
   Users,
   Calendar,
   MessageSquare,
+  MoreHorizontal,
+  History,
+  RefreshCw,
+  Ban,
+  PauseCircle,
+  PlayCircle,
 } from 'lucide-react';
 
+// Find the commission rate of a type from a product's schedule that applies on a date
+const findScheduledRate = (commissionRates, saleDate, commissionType = 'first_year') => {
+  const day = saleDate || new Date().toISOString().split('T')[0];
+  return (commissionRates || [])
+    .filter(rate => rate.commissionType === commissionType
+      && rate.effectiveFrom <= day
+      && (!rate.effectiveTo || rate.effectiveTo >= day))
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+};
+
 const SaleForm = ({ sale, onSave, onCancel, products }) => {
-  const { user, isManager, canAccessAllClients } = useAuth();
+  const { user, hasPermission, canAccessAllClients } = useAuth();
+  const canOverrideCommission = hasPermission('sales.override_commission');
   const [clients, setClients] = useState([]);
   const [filteredClients, setFilteredClients] = useState([]);
   const [clientSearchTerm, setClientSearchTerm] = useState('');
@@ -60,12 +86,54 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
     commissionRate: sale?.commissionRate || '',
     saleDate: sale?.saleDate ? new Date(sale.saleDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
     policyNumber: sale?.policyNumber || '',
-    status: sale?.status || 'active',
+    effectiveDate: sale?.effectiveDate || '',
+    termMonths: sale?.termMonths?.toString() || '12',
     notes: sale?.notes || '',
   });
   const [loading, setLoading] = useState(false);
   const [clientsLoading, setClientsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [productRates, setProductRates] = useState([]);
+  const [ratesLoading, setRatesLoading] = useState(false);
+
+  // Load the selected product's commission schedule
+  useEffect(() => {
+    if (!formData.productCode) {
+      setProductRates([]);
+      return;
+    }
+
+    let cancelled = false;
+    setRatesLoading(true);
+    productsAPI.getProduct(formData.productCode)
+      .then(response => {
+        if (!cancelled) {
+          setProductRates(response.data.product?.commissionRates || []);
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load product commission schedule:', error);
+        if (!cancelled) {
+          setProductRates([]);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setRatesLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.productCode]);
+
+  // Renewals are paid at the product's renewal rate
+  const commissionType = sale?.saleType === 'renewal' ? 'renewal' : 'first_year';
+  const scheduledRate = findScheduledRate(productRates, formData.saleDate, commissionType);
+  const scheduledCommission = scheduledRate && parseFloat(formData.premiumAmount) > 0
+    ? (parseFloat(formData.premiumAmount) * parseFloat(scheduledRate.rate) / 100).toFixed(2)
+    : null;
 
   useEffect(() => {
     if (user?.id) {
@@ -111,7 +179,8 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
         commissionRate: sale.commissionRate || '',
         saleDate: formattedSaleDate,
         policyNumber: sale.policyNumber || '',
-        status: sale.status || 'active',
+        effectiveDate: sale.effectiveDate || '',
+        termMonths: sale.termMonths?.toString() || '12',
         notes: sale.notes || '',
       };
       
@@ -188,7 +257,14 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
       return;
     }
     
-    if (!formData.commissionAmount || parseFloat(formData.commissionAmount) <= 0) {
+    // Commission is calculated by the server from the product schedule; only users who can override it enter it by hand
+    if (!scheduledRate && !canOverrideCommission && !sale?.id) {
+      setError('No commission rate is configured for this product on the sale date. Please ask a manager to set one up.');
+      setLoading(false);
+      return;
+    }
+
+    if (!scheduledRate && canOverrideCommission && (!formData.commissionAmount || parseFloat(formData.commissionAmount) <= 0)) {
       setError('Please enter a valid commission amount');
       setLoading(false);
       return;
@@ -200,11 +276,12 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
         clientId: parseInt(formData.clientId),
         productId: parseInt(formData.productCode),
         premiumAmount: parseFloat(formData.premiumAmount),
-        commissionAmount: parseFloat(formData.commissionAmount),
-        commissionRate: formData.commissionRate ? parseFloat(formData.commissionRate) : null,
+        commissionAmount: !scheduledRate && formData.commissionAmount ? parseFloat(formData.commissionAmount) : null,
+        commissionRate: !scheduledRate && formData.commissionRate ? parseFloat(formData.commissionRate) : null,
         saleDate: new Date(formData.saleDate).toISOString(),
         policyNumber: formData.policyNumber,
-        status: formData.status.toLowerCase(),
+        effectiveDate: formData.effectiveDate || null,
+        termMonths: parseInt(formData.termMonths) || null,
         notes: formData.notes
       };
 
@@ -387,46 +464,76 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
             required
           />
         </div>
-        <div className="space-y-2">
-          <Label htmlFor="commissionRate">Commission Rate (%)</Label>
-          <div className="flex gap-2">
-            <Input
-              id="commissionRate"
-              type="number"
-              step="0.01"
-              value={formData.commissionRate}
-              onChange={(e) => setFormData({ ...formData, commissionRate: e.target.value })}
-              className="flex-1"
-            />
-            <Button 
-              type="button" 
-              variant="outline" 
-              onClick={calculateCommission}
-              title="Calculate: Premium Amount × Commission Rate ÷ 100"
-              className="px-3 py-2 text-sm whitespace-nowrap"
-            >
-              Calc
-            </Button>
+        {scheduledRate ? (
+          <div className="space-y-2 col-span-2">
+            <Label>Commission</Label>
+            <div className="rounded-md border bg-muted/50 px-3 py-2 text-sm">
+              <span className="font-medium">{parseFloat(scheduledRate.rate)}%</span> {commissionType === 'renewal' ? 'renewal' : 'first-year'} rate
+              {scheduledCommission && (
+                <span> = <span className="font-medium">${parseFloat(scheduledCommission).toLocaleString()}</span></span>
+              )}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Calculated from the product's commission schedule for the sale date.
+            </p>
           </div>
-          <p className="text-xs text-muted-foreground">
-            Enter the commission rate percentage, then click Calculate to auto-fill the commission amount.
-          </p>
-        </div>
-        <div className="space-y-2">
-          <Label htmlFor="commissionAmount">Commission Amount *</Label>
-          <Input
-            id="commissionAmount"
-            type="number"
-            step="0.01"
-            value={formData.commissionAmount}
-            onChange={(e) => setFormData({ ...formData, commissionAmount: e.target.value })}
-            required
-            placeholder="Enter manually or use Calculate button"
-          />
-          <p className="text-xs text-muted-foreground">
-            Use the Calculate button to auto-calculate based on premium and rate, or enter manually if needed.
-          </p>
-        </div>
+        ) : canOverrideCommission ? (
+          <>
+            <div className="space-y-2">
+              <Label htmlFor="commissionRate">Commission Rate (%)</Label>
+              <div className="flex gap-2">
+                <Input
+                  id="commissionRate"
+                  type="number"
+                  step="0.01"
+                  value={formData.commissionRate}
+                  onChange={(e) => setFormData({ ...formData, commissionRate: e.target.value })}
+                  className="flex-1"
+                />
+                <Button 
+                  type="button" 
+                  variant="outline" 
+                  onClick={calculateCommission}
+                  title="Calculate: Premium Amount × Commission Rate ÷ 100"
+                  className="px-3 py-2 text-sm whitespace-nowrap"
+                >
+                  Calc
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Enter the commission rate percentage, then click Calculate to auto-fill the commission amount.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="commissionAmount">Commission Amount *</Label>
+              <Input
+                id="commissionAmount"
+                type="number"
+                step="0.01"
+                value={formData.commissionAmount}
+                onChange={(e) => setFormData({ ...formData, commissionAmount: e.target.value })}
+                required
+                placeholder="Enter manually or use Calculate button"
+              />
+              <p className="text-xs text-muted-foreground">
+                Use the Calculate button to auto-calculate based on premium and rate, or enter manually if needed.
+              </p>
+            </div>
+          </>
+        ) : (
+          <div className="space-y-2 col-span-2">
+            <Label>Commission</Label>
+            <p className="text-sm text-muted-foreground">
+              {ratesLoading
+                ? 'Loading commission schedule...'
+                : formData.productCode
+                  ? sale?.id
+                    ? 'No commission schedule for this product. The recorded commission is kept if the product and premium are unchanged.'
+                    : 'No commission rate is configured for this product on the sale date. Please ask a manager to set one up.'
+                  : 'Select a product to see its commission rate.'}
+            </p>
+          </div>
+        )}
       </div>
 
       <div className="grid grid-cols-2 gap-4">
@@ -450,18 +557,35 @@ const SaleForm = ({ sale, onSave, onCancel, products }) => {
         </div>
       </div>
 
-      <div className="space-y-2">
-        <Label htmlFor="status">Status</Label>
-        <Select value={formData.status} onValueChange={(value) => setFormData({ ...formData, status: value })}>
-          <SelectTrigger>
-            <SelectValue />
-          </SelectTrigger>
-          <SelectContent>
-            <SelectItem value="active">Active</SelectItem>
-            <SelectItem value="pending">Pending</SelectItem>
-            <SelectItem value="cancelled">Cancelled</SelectItem>
-          </SelectContent>
-        </Select>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="effectiveDate">Effective Date</Label>
+          <Input
+            id="effectiveDate"
+            type="date"
+            value={formData.effectiveDate}
+            onChange={(e) => setFormData({ ...formData, effectiveDate: e.target.value })}
+          />
+          <p className="text-xs text-muted-foreground">
+            Defaults to the sale date.
+          </p>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="termMonths">Term (months)</Label>
+          <Input
+            id="termMonths"
+            type="number"
+            min="1"
+            max="120"
+            value={formData.termMonths}
+            onChange={(e) => setFormData({ ...formData, termMonths: e.target.value })}
+          />
+          {sale?.renewalDate && (
+            <p className="text-xs text-muted-foreground">
+              Renews on {new Date(sale.renewalDate).toLocaleDateString()}
+            </p>
+          )}
+        </div>
       </div>
 
       <div className="space-y-2">
@@ -617,8 +741,280 @@ const SaleNotesDialog = ({ sale, isOpen, onOpenChange, onSaveNote }) => {
   );
 };
 
+const POLICY_STATUS_LABELS = {
+  active: 'Active',
+  cancelled: 'Cancelled',
+  lapsed: 'Lapsed',
+  renewed: 'Renewed',
+  expired: 'Expired',
+};
+
+const POLICY_ACTIONS = {
+  cancel: {
+    title: 'Cancel Policy',
+    description: 'Cancelling stops the policy and any renewal reminders. A reason is required.',
+    submitLabel: 'Cancel Policy',
+    success: 'Policy cancelled',
+  },
+  lapse: {
+    title: 'Mark Policy as Lapsed',
+    description: 'Use this when the client has stopped paying premiums. The policy can be reinstated later.',
+    submitLabel: 'Mark as Lapsed',
+    success: 'Policy marked as lapsed',
+  },
+  reinstate: {
+    title: 'Reinstate Policy',
+    description: 'Reinstating makes the policy active again.',
+    submitLabel: 'Reinstate',
+    success: 'Policy reinstated',
+  },
+  renew: {
+    title: 'Renew Policy',
+    description: 'Renewing creates a new sale for the next term, paid at the renewal commission rate.',
+    submitLabel: 'Renew Policy',
+    success: 'Policy renewed',
+  },
+};
+
+const PolicyActionDialog = ({ sale, action, onOpenChange, onDone }) => {
+  const [reason, setReason] = useState('');
+  const [effectiveDate, setEffectiveDate] = useState('');
+  const [premiumAmount, setPremiumAmount] = useState('');
+  const [termMonths, setTermMonths] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (sale && action) {
+      setReason('');
+      setEffectiveDate(action === 'renew' ? (sale.renewalDate || '') : new Date().toISOString().split('T')[0]);
+      setPremiumAmount(sale.premiumAmount || '');
+      setTermMonths(sale.termMonths?.toString() || '12');
+      setError('');
+    }
+  }, [sale, action]);
+
+  if (!sale || !action) return null;
+
+  const config = POLICY_ACTIONS[action];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (action === 'cancel' && !reason.trim()) {
+      setError('Please enter a reason for cancelling');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      if (action === 'renew') {
+        await salesAPI.renewPolicy(sale.id, {
+          premiumAmount: parseFloat(premiumAmount) || null,
+          effectiveDate: effectiveDate || null,
+          termMonths: parseInt(termMonths) || null,
+        });
+      } else {
+        const data = { reason: reason.trim() || undefined, effectiveDate: effectiveDate || null };
+        if (action === 'cancel') {
+          await salesAPI.cancelPolicy(sale.id, data);
+        } else if (action === 'lapse') {
+          await salesAPI.lapsePolicy(sale.id, data);
+        } else {
+          await salesAPI.reinstatePolicy(sale.id, data);
+        }
+      }
+      toast.success(config.success);
+      onDone();
+    } catch (error) {
+      console.error(`Policy ${action} error:`, error);
+      setError(error.response?.data?.error || `Failed to ${action} policy`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!action} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{config.title}</DialogTitle>
+          <DialogDescription>
+            {sale.client?.firstName} {sale.client?.lastName}
+            {sale.policyNumber && ` - Policy ${sale.policyNumber}`}. {config.description}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {action === 'renew' && (
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="renewPremium">Renewal Premium</Label>
+                <Input
+                  id="renewPremium"
+                  type="number"
+                  step="0.01"
+                  value={premiumAmount}
+                  onChange={(e) => setPremiumAmount(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="renewTerm">Term (months)</Label>
+                <Input
+                  id="renewTerm"
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={termMonths}
+                  onChange={(e) => setTermMonths(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="policyEffectiveDate">Effective Date</Label>
+            <Input
+              id="policyEffectiveDate"
+              type="date"
+              value={effectiveDate}
+              onChange={(e) => setEffectiveDate(e.target.value)}
+            />
+          </div>
+
+          {action !== 'renew' && (
+            <div className="space-y-2">
+              <Label htmlFor="policyReason">Reason{action === 'cancel' ? ' *' : ''}</Label>
+              <textarea
+                id="policyReason"
+                className="w-full min-h-[80px] px-3 py-2 border border-input bg-background rounded-md text-sm"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={action === 'cancel' ? 'Why is the policy being cancelled?' : 'Optional'}
+              />
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={loading}>
+              Close
+            </Button>
+            <Button
+              type="submit"
+              disabled={loading}
+              variant={action === 'cancel' || action === 'lapse' ? 'destructive' : 'default'}
+            >
+              {loading ? 'Saving...' : config.submitLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const PolicyHistoryDialog = ({ sale, isOpen, onOpenChange }) => {
+  const [history, setHistory] = useState([]);
+  const [renewals, setRenewals] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !sale) return;
+
+    setLoading(true);
+    salesAPI.getPolicyHistory(sale.id)
+      .then(response => {
+        setHistory(response.data.history || []);
+        setRenewals(response.data.renewals || []);
+      })
+      .catch(error => {
+        console.error('Error fetching policy history:', error);
+        toast.error('Failed to load policy history');
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen, sale]);
+
+  if (!sale) return null;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Policy History - {sale.client?.firstName} {sale.client?.lastName}
+          </DialogTitle>
+          <DialogDescription>
+            {sale.effectiveDate && `Effective ${new Date(sale.effectiveDate).toLocaleDateString()}`}
+            {sale.termMonths && ` for ${sale.termMonths} months`}
+            {sale.renewalDate && `, renews ${new Date(sale.renewalDate).toLocaleDateString()}`}
+            {sale.renewedFromSaleId && `. Renewal of sale #${sale.renewedFromSaleId}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-24">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No status changes recorded.</p>
+              ) : (
+                history.map(entry => (
+                  <div key={entry.id} className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg border">
+                    <div className="text-sm font-medium">
+                      {entry.fromStatus
+                        ? `${POLICY_STATUS_LABELS[entry.fromStatus] || entry.fromStatus} → ${POLICY_STATUS_LABELS[entry.toStatus] || entry.toStatus}`
+                        : `Issued as ${POLICY_STATUS_LABELS[entry.toStatus] || entry.toStatus}`}
+                    </div>
+                    {entry.reason && (
+                      <div className="text-sm text-gray-700 dark:text-gray-300">{entry.reason}</div>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {entry.effectiveDate && `Effective ${new Date(entry.effectiveDate).toLocaleDateString()} · `}
+                      Recorded {new Date(entry.createdAt).toLocaleString()}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+
+            {renewals.length > 0 && (
+              <div className="space-y-2">
+                <Label className="text-sm font-medium">Renewals</Label>
+                {renewals.map(renewal => (
+                  <div key={renewal.id} className="flex items-center justify-between text-sm p-2 border rounded-lg">
+                    <span>
+                      Sale #{renewal.id}, effective {renewal.effectiveDate ? new Date(renewal.effectiveDate).toLocaleDateString() : 'N/A'}
+                    </span>
+                    <Badge variant="outline">{POLICY_STATUS_LABELS[renewal.status] || renewal.status}</Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
 const SalesTracking = () => {
-  const { user, isManager, canAccessAllSales } = useAuth();
+  const { user, hasPermission, canAccessAllSales } = useAuth();
+  const canEditOthers = hasPermission('sales.edit_others');
   const [sales, setSales] = useState([]);
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -627,10 +1023,15 @@ const SalesTracking = () => {
   const [productFilter, setProductFilter] = useState('all');
   const [selectedSale, setSelectedSale] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [error, setError] = useState('');
   // Notes dialog state
   const [showNotesDialog, setShowNotesDialog] = useState(false);
   const [saleForNotes, setSaleForNotes] = useState(null);
+  // Policy lifecycle dialogs
+  const [policyAction, setPolicyAction] = useState(null);
+  const [saleForPolicyAction, setSaleForPolicyAction] = useState(null);
+  const [saleForHistory, setSaleForHistory] = useState(null);
   // Note: updateGoalProgress is not available in GoalsContext
   // Goal progress is updated automatically by the backend when sales are created
 
@@ -710,78 +1111,32 @@ const SalesTracking = () => {
     setSaleForNotes(null);
   };
 
-  const handleSaveNote = () => {
-    // Refresh sales data after note is saved
-    fetchSales();
+  const handleOpenPolicyAction = (sale, action) => {
+    setSaleForPolicyAction(sale);
+    setPolicyAction(action);
   };
 
-  const handleDownload = async () => {
-    try {
-      toast.info('Preparing sales data for export...');
-      
-      // Get user's own sales data (same as what they see on the page)
-      const response = await salesAPI.getSales({ limit: 100 });
-      const salesData = response.data?.sales || response.data || [];
-      
-      if (salesData.length === 0) {
-        toast.error('No sales data available to export');
-        return;
-      }
-
-      // Format the data for CSV export
-      const formattedData = salesData.map(sale => ({
-        'Sale ID': sale.id || 'N/A',
-        'Client Name': `${sale.client?.firstName || ''} ${sale.client?.lastName || ''}`.trim() || 'N/A',
-        'Client Email': sale.client?.email || 'N/A',
-        'Policy Number': sale.policyNumber || 'N/A',
-        'Product Name': sale.productName || 'N/A',
-        'Premium Amount': sale.premiumAmount || 0,
-        'Commission Amount': sale.commissionAmount || 0,
-        'Commission Rate (%)': sale.commissionRate || 0,
-        'Sale Date': sale.saleDate ? new Date(sale.saleDate).toLocaleDateString() : 'N/A',
-        'Status': sale.status || 'Active',
-        'Agent Name': `${sale.agent?.firstName || ''} ${sale.agent?.lastName || ''}`.trim() || 'N/A',
-        'Agent Email': sale.agent?.email || 'N/A',
-        'Notes': sale.notes || ''
-      }));
-
-      // Create CSV content
-      const csvContent = "data:text/csv;charset=utf-8," 
-        + Object.keys(formattedData[0]).join(",") + "\n"
-        + formattedData.map(row => Object.values(row).map(value => 
-          typeof value === 'string' && value.includes(',') ? `"${value}"` : value
-        ).join(",")).join("\n");
-      
-      const encodedUri = encodeURI(csvContent);
-      const link = document.createElement("a");
-      link.setAttribute("href", encodedUri);
-      link.setAttribute("download", `sales_export_${new Date().toISOString().split('T')[0]}.csv`);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      toast.success(`Sales data exported successfully! (${salesData.length} records)`);
-    } catch (error) {
-      console.error('Export sales data error:', error);
-      toast.error(`Failed to export sales data: ${error.response?.data?.error || error.message}`);
+  const handleClosePolicyAction = (open) => {
+    if (!open) {
+      setPolicyAction(null);
+      setSaleForPolicyAction(null);
     }
   };
 
-  const handleUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const handlePolicyActionDone = () => {
+    handleClosePolicyAction(false);
+    fetchSales();
+  };
 
-    try {
-      const response = await filesAPI.uploadSales(file);
-      setError('');
-      alert(`Successfully imported ${response.data.created_sales.length} sales`);
-      fetchSales();
-      // Goal progress is updated automatically by the backend
-      
-    } catch (error) {
-      setError(error.response?.data?.error || 'Failed to upload sales');
-    }
-    event.target.value = '';
+  const handleSaveNote = () => {
+    // Refresh sales data after note is saved
+    fetchSales();
+  };
+
+  const handleImported = () => {
+    setShowImport(false);
+    // Goal progress is updated automatically by the backend
+    fetchSales();
   };
 
   const filteredSales = sales.filter(sale => {
@@ -817,46 +1172,40 @@ const SalesTracking = () => {
         <div className="flex-1">
           <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3">
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Sales</h1>
-            <Badge variant={isManager ? "default" : "secondary"} className="self-start sm:self-auto">
-              {isManager ? "Manager View (Own Data)" : "Agent View"}
+            <Badge variant={canEditOthers ? "default" : "secondary"} className="self-start sm:self-auto">
+              {canEditOthers ? "Team View (Own Data)" : "Agent View"}
             </Badge>
           </div>
           <p className="text-gray-600 text-sm sm:text-base">
-            {isManager ? 'Track and manage your sales performance' : 'Track and manage your sales performance'}
+            {canEditOthers ? 'Track and manage your sales performance' : 'Track and manage your sales performance'}
           </p>
-          {isManager && (
+          {canEditOthers && (
             <p className="text-sm text-blue-600 mt-1">
               🔒 Viewing only your sales data
             </p>
           )}
-          {!isManager && (
+          {!canEditOthers && (
             <p className="text-sm text-blue-600 mt-1">
-              💡 You can import & export sales via Excel
+              💡 You can import carrier reports & export sales via Excel
             </p>
           )}
         </div>
         {/* Action Buttons - Stacked on Mobile, Horizontal on Larger Screens */}
         <div className="flex flex-col sm:flex-row gap-2 sm:gap-3 w-full sm:w-auto">
           {/* Allow both managers and agents to import sales */}
-          <input
-            type="file"
-            accept=".xlsx,.xls"
-            onChange={handleUpload}
-            className="hidden"
-            id="upload-sales"
-          />
           <Button
             variant="outline"
-            onClick={() => document.getElementById('upload-sales').click()}
+            onClick={() => setShowImport(true)}
             className="w-full sm:w-auto justify-center sm:justify-start"
           >
             <Upload className="h-4 w-4 mr-2" />
             Import
           </Button>
-          <Button variant="outline" onClick={handleDownload} className="w-full sm:w-auto justify-center sm:justify-start">
-            <Download className="h-4 w-4 mr-2" />
-            Export
-          </Button>
+          <ExportMenu
+            fileName="sales"
+            request={(format) => salesAPI.exportSales({ format, status: statusFilter === 'all' ? undefined : statusFilter })}
+            className="w-full sm:w-auto justify-center sm:justify-start"
+          />
           <Dialog open={showForm} onOpenChange={setShowForm}>
             <DialogTrigger asChild>
               <Button onClick={() => setSelectedSale(null)} className="w-full sm:w-auto justify-center sm:justify-start">
@@ -939,7 +1288,7 @@ const SalesTracking = () => {
           <div className="flex items-center justify-between">
             <CardTitle>Sales Records</CardTitle>
             <div className="text-sm text-gray-500">
-              {isManager ? 'All sales data' : 'Your sales data only'}
+              {canEditOthers ? 'All sales data' : 'Your sales data only'}
             </div>
           </div>
         </CardHeader>
@@ -960,9 +1309,9 @@ const SalesTracking = () => {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Status</SelectItem>
-                <SelectItem value="active">Active</SelectItem>
-                <SelectItem value="pending">Pending</SelectItem>
-                <SelectItem value="cancelled">Cancelled</SelectItem>
+                {Object.entries(POLICY_STATUS_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
                          <Select value={productFilter} onValueChange={setProductFilter}>
@@ -1035,16 +1384,26 @@ const SalesTracking = () => {
                            <Calendar className="h-3 w-3 text-gray-400" />
                            {new Date(sale.saleDate).toLocaleDateString()}
                          </div>
+                         {sale.renewalDate && (
+                           <div className="text-sm text-gray-500">
+                             Renews {new Date(sale.renewalDate).toLocaleDateString()}
+                           </div>
+                         )}
                        </TableCell>
                       <TableCell>
-                        <Badge 
-                          variant={
-                            sale.status === 'active' ? 'default' : 
-                            sale.status === 'pending' ? 'secondary' : 'destructive'
-                          }
-                        >
-                          {sale.status}
-                        </Badge>
+                        <div className="flex flex-col items-start gap-1">
+                          <Badge 
+                            variant={
+                              sale.status === 'active' ? 'default' : 
+                              sale.status === 'renewed' || sale.status === 'expired' ? 'secondary' : 'destructive'
+                            }
+                          >
+                            {POLICY_STATUS_LABELS[sale.status] || sale.status}
+                          </Badge>
+                          {sale.saleType === 'renewal' && (
+                            <Badge variant="outline">Renewal</Badge>
+                          )}
+                        </div>
                       </TableCell>
                       <TableCell className="text-right">
                         <div className="flex items-center justify-end gap-2">
@@ -1069,6 +1428,47 @@ const SalesTracking = () => {
                           >
                             <Edit className="h-4 w-4" />
                           </Button>
+                          <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                              <Button variant="ghost" size="sm" title="Policy actions">
+                                <MoreHorizontal className="h-4 w-4" />
+                              </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end">
+                              <DropdownMenuItem onClick={() => setSaleForHistory(sale)}>
+                                <History className="h-4 w-4 mr-2" />
+                                History
+                              </DropdownMenuItem>
+                              <DropdownMenuSeparator />
+                              {(sale.status === 'active' || sale.status === 'expired') && (
+                                <DropdownMenuItem onClick={() => handleOpenPolicyAction(sale, 'renew')}>
+                                  <RefreshCw className="h-4 w-4 mr-2" />
+                                  Renew
+                                </DropdownMenuItem>
+                              )}
+                              {(sale.status === 'lapsed' || sale.status === 'cancelled') && (
+                                <DropdownMenuItem onClick={() => handleOpenPolicyAction(sale, 'reinstate')}>
+                                  <PlayCircle className="h-4 w-4 mr-2" />
+                                  Reinstate
+                                </DropdownMenuItem>
+                              )}
+                              {sale.status === 'active' && (
+                                <DropdownMenuItem onClick={() => handleOpenPolicyAction(sale, 'lapse')}>
+                                  <PauseCircle className="h-4 w-4 mr-2" />
+                                  Mark as Lapsed
+                                </DropdownMenuItem>
+                              )}
+                              {(sale.status === 'active' || sale.status === 'lapsed') && (
+                                <DropdownMenuItem
+                                  onClick={() => handleOpenPolicyAction(sale, 'cancel')}
+                                  className="text-red-600"
+                                >
+                                  <Ban className="h-4 w-4 mr-2" />
+                                  Cancel Policy
+                                </DropdownMenuItem>
+                              )}
+                            </DropdownMenuContent>
+                          </DropdownMenu>
                           <Button
                             variant="ghost"
                             size="sm"
@@ -1098,6 +1498,9 @@ const SalesTracking = () => {
         </CardContent>
       </Card>
 
+      {/* Commission paid by carriers against the user's own sales */}
+      <CommissionStatement title="My Commission Statement" />
+
       {/* Notes Dialog */}
       <SaleNotesDialog
         sale={saleForNotes}
@@ -1105,6 +1508,26 @@ const SalesTracking = () => {
         onOpenChange={setShowNotesDialog}
         onSaveNote={handleSaveNote}
       />
+
+      {/* Policy Lifecycle Dialogs */}
+      <PolicyActionDialog
+        sale={saleForPolicyAction}
+        action={policyAction}
+        onOpenChange={handleClosePolicyAction}
+        onDone={handlePolicyActionDone}
+      />
+      <PolicyHistoryDialog
+        sale={saleForHistory}
+        isOpen={!!saleForHistory}
+        onOpenChange={(open) => !open && setSaleForHistory(null)}
+      />
+
+      <SalesImportDialog
+        isOpen={showImport}
+        onOpenChange={setShowImport}
+        canImportForOthers={hasPermission('sales.assign')}
+        onImported={handleImported}
+      />
     </div>
   );
 };
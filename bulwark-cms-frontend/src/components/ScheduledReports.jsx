@@ -0,0 +1,595 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { scheduledReportsAPI, userProfileAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Badge } from './ui/badge';
+import { Switch } from './ui/switch';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Alert, AlertDescription } from './ui/alert';
+import { ArrowLeft, CalendarClock, History, Pencil, Plus, Send, Trash2 } from 'lucide-react';
+
+const SCHEDULE_PRESETS = [
+  { value: '0 8 * * 1', label: 'Every Monday at 08:00' },
+  { value: '0 8 * * 1-5', label: 'Weekdays at 08:00' },
+  { value: '0 8 * * *', label: 'Every day at 08:00' },
+  { value: '0 8 1 * *', label: 'First of the month at 08:00' }
+];
+
+const RUN_STATUS_STYLES = {
+  sent: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+};
+
+const describeSchedule = (schedule) => {
+  return SCHEDULE_PRESETS.find(preset => preset.value === schedule)?.label || schedule;
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const ScheduledReportForm = ({ report, options, agents, onSave, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: report?.name || '',
+    reportType: report?.reportType || 'sales',
+    format: report?.format || 'xlsx',
+    period: report?.filters?.period || 'previous_week',
+    agentId: report?.filters?.agentId ? report.filters.agentId.toString() : 'all',
+    status: report?.filters?.status || 'all',
+    limit: report?.filters?.limit || 10,
+    recipients: (report?.recipients || []).join('\n'),
+    schedule: report?.schedule || SCHEDULE_PRESETS[0].value,
+    timeZone: report?.timeZone || browserTimeZone(),
+    isActive: report?.isActive ?? true
+  });
+  const [customSchedule, setCustomSchedule] = useState(
+    !!report && !SCHEDULE_PRESETS.some(preset => preset.value === report.schedule)
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const reportFilters = options.reportTypes.find(type => type.value === formData.reportType)?.filters || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const payload = {
+      name: formData.name,
+      reportType: formData.reportType,
+      format: formData.format,
+      schedule: formData.schedule,
+      timeZone: formData.timeZone,
+      isActive: formData.isActive,
+      recipients: formData.recipients.split(/[\s,;]+/).filter(Boolean),
+      filters: {
+        period: formData.period,
+        agentId: formData.agentId !== 'all' ? parseInt(formData.agentId) : null,
+        status: formData.status !== 'all' ? formData.status : null,
+        limit: parseInt(formData.limit) || null
+      }
+    };
+
+    try {
+      const response = report?.id
+        ? await scheduledReportsAPI.updateReport(report.id, payload)
+        : await scheduledReportsAPI.createReport(payload);
+      toast.success(report?.id ? 'Scheduled report updated' : 'Scheduled report created');
+      onSave(response.data.report);
+    } catch (error) {
+      const data = error.response?.data;
+      setError(data?.details?.[0]?.msg || data?.error || 'Failed to save scheduled report');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      <div className="space-y-2">
+        <Label htmlFor="scheduled-report-name">Name *</Label>
+        <Input
+          id="scheduled-report-name"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          placeholder="e.g. Weekly sales summary"
+          required
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Report</Label>
+          <Select value={formData.reportType} onValueChange={(value) => setFormData({ ...formData, reportType: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {options.reportTypes.map(type => (
+                <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Period</Label>
+          <Select value={formData.period} onValueChange={(value) => setFormData({ ...formData, period: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {options.periods.map(period => (
+                <SelectItem key={period.value} value={period.value}>{period.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        {reportFilters.includes('agentId') && (
+          <div className="space-y-2">
+            <Label>Agent</Label>
+            <Select value={formData.agentId} onValueChange={(value) => setFormData({ ...formData, agentId: value })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All agents</SelectItem>
+                {agents.map(agent => (
+                  <SelectItem key={agent.id} value={agent.id.toString()}>
+                    {agent.firstName} {agent.lastName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        {reportFilters.includes('status') && (
+          <div className="space-y-2">
+            <Label>Sale status</Label>
+            <Select value={formData.status} onValueChange={(value) => setFormData({ ...formData, status: value })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                {options.saleStatuses.map(status => (
+                  <SelectItem key={status} value={status} className="capitalize">{status}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        {reportFilters.includes('limit') && (
+          <div className="space-y-2">
+            <Label htmlFor="scheduled-report-limit">Top agents</Label>
+            <Input
+              id="scheduled-report-limit"
+              type="number"
+              min="1"
+              max="50"
+              value={formData.limit}
+              onChange={(e) => setFormData({ ...formData, limit: e.target.value })}
+            />
+          </div>
+        )}
+        <div className="space-y-2">
+          <Label>Format</Label>
+          <Select value={formData.format} onValueChange={(value) => setFormData({ ...formData, format: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="xlsx">Excel (.xlsx)</SelectItem>
+              <SelectItem value="pdf">PDF</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="scheduled-report-recipients">Recipients *</Label>
+        <Textarea
+          id="scheduled-report-recipients"
+          value={formData.recipients}
+          onChange={(e) => setFormData({ ...formData, recipients: e.target.value })}
+          placeholder="One email address per line"
+          rows={3}
+          required
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Schedule</Label>
+          <Select
+            value={customSchedule ? 'custom' : formData.schedule}
+            onValueChange={(value) => {
+              setCustomSchedule(value === 'custom');
+              if (value !== 'custom') {
+                setFormData({ ...formData, schedule: value });
+              }
+            }}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SCHEDULE_PRESETS.map(preset => (
+                <SelectItem key={preset.value} value={preset.value}>{preset.label}</SelectItem>
+              ))}
+              <SelectItem value="custom">Custom (cron)</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="scheduled-report-timezone">Time zone</Label>
+          <Input
+            id="scheduled-report-timezone"
+            value={formData.timeZone}
+            onChange={(e) => setFormData({ ...formData, timeZone: e.target.value })}
+            placeholder="e.g. America/New_York"
+          />
+        </div>
+      </div>
+
+      {customSchedule && (
+        <div className="space-y-2">
+          <Label htmlFor="scheduled-report-cron">Cron expression</Label>
+          <Input
+            id="scheduled-report-cron"
+            value={formData.schedule}
+            onChange={(e) => setFormData({ ...formData, schedule: e.target.value })}
+            placeholder="minute hour day-of-month month day-of-week"
+            className="font-mono"
+          />
+          <p className="text-xs text-muted-foreground">For example, <code>30 7 * * 1,4</code> sends at 07:30 every Monday and Thursday.</p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Switch
+          id="scheduled-report-active"
+          checked={formData.isActive}
+          onCheckedChange={(checked) => setFormData({ ...formData, isActive: checked })}
+        />
+        <Label htmlFor="scheduled-report-active">Active</Label>
+      </div>
+
+      <DialogFooter>
+        <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</Button>
+      </DialogFooter>
+    </form>
+  );
+};
+
+const RunHistory = ({ report }) => {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadRuns = async () => {
+      setLoading(true);
+      try {
+        const response = await scheduledReportsAPI.getRuns(report.id, { limit: 50 });
+        setRuns(response.data.runs || []);
+      } catch (error) {
+        console.error('Failed to load report runs:', error);
+        toast.error('Failed to load run history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRuns();
+  }, [report.id]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-24">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (runs.length === 0) {
+    return <p className="text-center text-gray-500 dark:text-gray-400 py-8">This report has not been sent yet</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Started</TableHead>
+            <TableHead>Trigger</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead>Period</TableHead>
+            <TableHead className="text-right">Rows</TableHead>
+            <TableHead>Details</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {runs.map(run => (
+            <TableRow key={run.id}>
+              <TableCell className="whitespace-nowrap">{formatDateTime(run.startedAt)}</TableCell>
+              <TableCell className="whitespace-nowrap">
+                {run.trigger === 'manual'
+                  ? `Sent by ${[run.triggeredByFirstName, run.triggeredByLastName].filter(Boolean).join(' ') || 'a manager'}`
+                  : 'Schedule'}
+              </TableCell>
+              <TableCell>
+                <Badge className={`capitalize ${RUN_STATUS_STYLES[run.status] || ''}`}>{run.status}</Badge>
+              </TableCell>
+              <TableCell className="whitespace-nowrap">
+                {run.periodStart ? `${run.periodStart} – ${run.periodEnd}` : '—'}
+              </TableCell>
+              <TableCell className="text-right">{run.rowCount ?? '—'}</TableCell>
+              <TableCell className="text-sm">
+                {run.error ? (
+                  <span className="text-red-600 dark:text-red-400">{run.error}</span>
+                ) : (
+                  <span className="text-muted-foreground">
+                    {run.fileName} to {(run.recipients || []).length} recipient(s)
+                  </span>
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+// Saved report definitions emailed on a schedule (managers only)
+const ScheduledReports = () => {
+  const [reports, setReports] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [agents, setAgents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingReport, setEditingReport] = useState(null);
+  const [historyReport, setHistoryReport] = useState(null);
+  const [sendingId, setSendingId] = useState(null);
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await scheduledReportsAPI.getReports();
+      setReports(response.data.reports || []);
+    } catch (error) {
+      console.error('Failed to load scheduled reports:', error);
+      toast.error('Failed to load scheduled reports');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  useEffect(() => {
+    const loadFormData = async () => {
+      try {
+        const [optionsResponse, usersResponse] = await Promise.all([
+          scheduledReportsAPI.getOptions(),
+          userProfileAPI.getUsers({ limit: 100 })
+        ]);
+        setOptions(optionsResponse.data);
+        setAgents((usersResponse.data.users || []).filter(user => user.isActive));
+      } catch (error) {
+        console.error('Failed to load scheduled report options:', error);
+      }
+    };
+    loadFormData();
+  }, []);
+
+  const reportTypeLabel = (value) => options?.reportTypes.find(type => type.value === value)?.label || value;
+  const periodLabel = (value) => options?.periods.find(period => period.value === value)?.label || value;
+
+  const handleSend = async (report) => {
+    setSendingId(report.id);
+    try {
+      const response = await scheduledReportsAPI.sendReport(report.id);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send report');
+    } finally {
+      setSendingId(null);
+      loadReports();
+    }
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete "${report.name}"? Its run history will be deleted too.`)) {
+      return;
+    }
+
+    try {
+      await scheduledReportsAPI.deleteReport(report.id);
+      toast.success('Scheduled report deleted');
+      loadReports();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete scheduled report');
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <Link to="/reports" className="inline-flex items-center text-sm text-muted-foreground hover:text-foreground mb-2">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Reports
+          </Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">Scheduled Reports</h1>
+          <p className="text-gray-600 dark:text-gray-300 text-sm sm:text-base">
+            Email sales and team reports to your recipients on a schedule
+          </p>
+        </div>
+        <Button
+          onClick={() => {
+            setEditingReport(null);
+            setShowForm(true);
+          }}
+          disabled={!options}
+          className="w-full sm:w-auto"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          New Schedule
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <CalendarClock className="h-5 w-5" />
+            Schedules
+          </CardTitle>
+          <CardDescription>Each report covers its period as of the day it is sent</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : reports.length === 0 ? (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8">No scheduled reports yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Name</TableHead>
+                    <TableHead>Schedule</TableHead>
+                    <TableHead>Recipients</TableHead>
+                    <TableHead>Next Run</TableHead>
+                    <TableHead>Last Run</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {reports.map(report => (
+                    <TableRow key={report.id}>
+                      <TableCell>
+                        <div className="font-medium">{report.name}</div>
+                        <div className="text-xs text-muted-foreground">
+                          {reportTypeLabel(report.reportType)} · {periodLabel(report.filters?.period)} · {report.format.toUpperCase()}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <div>{describeSchedule(report.schedule)}</div>
+                        <div className="text-xs text-muted-foreground">{report.timeZone}</div>
+                      </TableCell>
+                      <TableCell>
+                        <div className="text-sm">{report.recipients[0]}</div>
+                        {report.recipients.length > 1 && (
+                          <div className="text-xs text-muted-foreground">and {report.recipients.length - 1} more</div>
+                        )}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {report.isActive ? formatDateTime(report.nextRunAt) : <Badge variant="outline">Paused</Badge>}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap">
+                        {report.lastRunAt ? (
+                          <>
+                            <Badge className={`capitalize ${RUN_STATUS_STYLES[report.lastRunStatus] || ''}`}>{report.lastRunStatus}</Badge>
+                            <div className="text-xs text-muted-foreground">{formatDateTime(report.lastRunAt)}</div>
+                          </>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleSend(report)}
+                          disabled={sendingId === report.id}
+                          className="mr-2"
+                        >
+                          <Send className="h-4 w-4 mr-1" />
+                          {sendingId === report.id ? 'Sending...' : 'Send Now'}
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => setHistoryReport(report)} title="Run history">
+                          <History className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => {
+                            setEditingReport(report);
+                            setShowForm(true);
+                          }}
+                          disabled={!options}
+                          title="Edit schedule"
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(report)} title="Delete schedule">
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={showForm} onOpenChange={setShowForm}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{editingReport ? 'Edit Scheduled Report' : 'New Scheduled Report'}</DialogTitle>
+            <DialogDescription>
+              Choose what to send, who receives it and when
+            </DialogDescription>
+          </DialogHeader>
+          {options && (
+            <ScheduledReportForm
+              key={editingReport?.id || 'new'}
+              report={editingReport}
+              options={options}
+              agents={agents}
+              onSave={() => {
+                setShowForm(false);
+                loadReports();
+              }}
+              onCancel={() => setShowForm(false)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!historyReport} onOpenChange={(open) => !open && setHistoryReport(null)}>
+        <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+          {historyReport && (
+            <>
+              <DialogHeader>
+                <DialogTitle>{historyReport.name} – Run History</DialogTitle>
+                <DialogDescription>Scheduled and manual sends, newest first</DialogDescription>
+              </DialogHeader>
+              <RunHistory report={historyReport} />
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ScheduledReports;
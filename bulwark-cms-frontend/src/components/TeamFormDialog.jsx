@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { toast } from 'sonner';
+import { teamAPI } from '../lib/api.js';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Alert, AlertDescription } from './ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+
+// Create a team, or rename one and change its manager when a team is passed in
+const TeamFormDialog = ({ isOpen, team, managers, onOpenChange, onSaved }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [managerId, setManagerId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(team?.name || '');
+    setDescription(team?.description || '');
+    setManagerId(team?.managerId ? team.managerId.toString() : '');
+    setError('');
+  }, [isOpen, team]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const teamData = {
+        name,
+        description: description || null,
+        ...(managerId ? { managerId: parseInt(managerId) } : {})
+      };
+      const response = team
+        ? await teamAPI.updateTeam(team.id, teamData)
+        : await teamAPI.createTeam(teamData);
+      toast.success(response.data.message);
+      onSaved(response.data.team);
+    } catch (error) {
+      console.error('Save team error:', error);
+      setError(error.response?.data?.error || 'Failed to save team');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{team ? 'Edit Team' : 'New Team'}</DialogTitle>
+          <DialogDescription>
+            {team ? 'Rename the team or hand it to another manager.' : 'Group agents into a team to track its performance together.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="team-name">Name</Label>
+            <Input id="team-name" value={name} maxLength={100} onChange={(e) => setName(e.target.value)} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="team-description">Description</Label>
+            <Textarea id="team-description" rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Manager</Label>
+            <Select value={managerId} onValueChange={setManagerId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Me" />
+              </SelectTrigger>
+              <SelectContent>
+                {managers.map(manager => (
+                  <SelectItem key={manager.id} value={manager.id.toString()}>
+                    {manager.firstName} {manager.lastName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={saving || !name.trim()}>
+              {saving ? 'Saving...' : team ? 'Save' : 'Create Team'}
+            </Button>
+          </DialogFooter>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TeamFormDialog;
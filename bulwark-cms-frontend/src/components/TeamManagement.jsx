@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { teamAPI, userProfileAPI, reportsAPI, authAPI } from '../lib/api.js';
+import { teamAPI, userProfileAPI, reportsAPI, authAPI, rolesAPI } from '../lib/api.js';
 import { useAuth } from '@/hooks/useAuth.jsx';
 import {
   Card,
@@ -37,7 +37,11 @@ import {
   SelectValue,
 } from './ui/select';
 import { toast } from 'sonner';
+import TeamFormDialog from './TeamFormDialog';
+import TeamMembershipEditor from './TeamMembershipEditor';
 import {
+  Archive,
+  RotateCcw,
   Users,
   Plus,
   Edit,
@@ -49,6 +53,7 @@ import {
   TrendingUp,
   Calendar,
   Lock,
+  ShieldOff,
   Eye,
   EyeOff,
   AlertCircle,
@@ -77,9 +82,17 @@ const CreateMemberDialog = ({ onCreateMember }) => {
     role: 'agent',
     password: ''
   });
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  useEffect(() => {
+    if (!open) return;
+    rolesAPI.getAssignableRoles()
+      .then((response) => setRoles(response.data.roles || []))
+      .catch((error) => console.error('Error loading roles:', error));
+  }, [open]);
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -232,9 +245,9 @@ const CreateMemberDialog = ({ onCreateMember }) => {
                 <SelectValue />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="agent">Agent</SelectItem>
-                <SelectItem value="senior">Senior Agent</SelectItem>
-                <SelectItem value="manager">Manager</SelectItem>
+                {roles.map(role => (
+                  <SelectItem key={role.name} value={role.name}>{role.label}</SelectItem>
+                ))}
               </SelectContent>
             </Select>
           </div>
@@ -391,7 +404,7 @@ const PasswordResetDialog = ({ member, onPasswordReset, open, onOpenChange }) =>
   );
 };
 
-const MemberCard = ({ member, onSuspend, onDelete, onViewMetrics, onPasswordReset }) => {
+const MemberCard = ({ member, onSuspend, onDelete, onViewMetrics, onPasswordReset, onTwoFactorReset }) => {
   const [showMetrics, setShowMetrics] = useState(false);
   const [metrics, setMetrics] = useState(null);
   const [loadingMetrics, setLoadingMetrics] = useState(false);
@@ -587,6 +600,17 @@ const MemberCard = ({ member, onSuspend, onDelete, onViewMetrics, onPasswordRese
               Reset Password
             </Button>
           </div>
+
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => onTwoFactorReset(member)}
+            className="w-full"
+            disabled={statusType === 'deleted'}
+          >
+            <ShieldOff className="h-4 w-4 mr-2" />
+            Reset 2FA
+          </Button>
           
           <div className="grid grid-cols-2 gap-2">
             <Button
@@ -628,7 +652,8 @@ const MemberCard = ({ member, onSuspend, onDelete, onViewMetrics, onPasswordRese
 };
 
 const TeamManagement = () => {
-  const { user, isManager, isAuthenticated } = useAuth();
+  const { user, hasPermission, isAuthenticated } = useAuth();
+  const canViewTeam = hasPermission('reports.view_team');
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedMember, setSelectedMember] = useState(null);
@@ -637,12 +662,17 @@ const TeamManagement = () => {
   const [passwordResetMember, setPasswordResetMember] = useState(null);
   const [error, setError] = useState(null);
   const [loadingTimeout, setLoadingTimeout] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const [selectedTeamId, setSelectedTeamId] = useState('all');
+  const [selectedTeam, setSelectedTeam] = useState(null);
+  const [teamDialog, setTeamDialog] = useState({ open: false, team: null });
 
   useEffect(() => {
-    if (isManager && isAuthenticated) {
+    if (canViewTeam && isAuthenticated) {
       loadMembers();
-    } else if (isAuthenticated && !isManager) {
-      setError('Access denied. Manager role required.');
+      loadTeams();
+    } else if (isAuthenticated && !canViewTeam) {
+      setError('Access denied. Team view permission required.');
       setLoading(false);
     }
     
@@ -652,7 +682,7 @@ const TeamManagement = () => {
         clearTimeout(loadingTimeout);
       }
     };
-  }, [isManager, isAuthenticated]);
+  }, [canViewTeam, isAuthenticated]);
 
   const loadMembers = async () => {
     try {
@@ -782,6 +812,69 @@ const TeamManagement = () => {
     }
   };
 
+  const loadTeams = async () => {
+    try {
+      const response = await teamAPI.getTeams({ includeArchived: true });
+      setTeams(response.data.teams || []);
+    } catch (error) {
+      console.error('Error loading teams:', error);
+      toast.error('Failed to load teams');
+    }
+  };
+
+  const loadSelectedTeam = async (teamId = selectedTeamId) => {
+    if (teamId === 'all') {
+      setSelectedTeam(null);
+      return;
+    }
+    try {
+      const response = await teamAPI.getTeam(teamId);
+      setSelectedTeam(response.data.team);
+    } catch (error) {
+      console.error('Error loading team:', error);
+      toast.error('Failed to load team');
+    }
+  };
+
+  const selectTeam = (teamId) => {
+    setSelectedTeamId(teamId);
+    loadSelectedTeam(teamId);
+  };
+
+  const handleTeamSaved = (team) => {
+    setTeamDialog({ open: false, team: null });
+    loadTeams();
+    selectTeam(team.id.toString());
+  };
+
+  const handleTeamMembersChanged = () => {
+    loadTeams();
+    loadSelectedTeam();
+  };
+
+  const archiveTeam = async () => {
+    if (!window.confirm(`Archive ${selectedTeam.name}? Its members are kept and the team can be restored later.`)) return;
+    try {
+      await teamAPI.archiveTeam(selectedTeam.id);
+      toast.success('Team archived successfully');
+      handleTeamMembersChanged();
+    } catch (error) {
+      console.error('Error archiving team:', error);
+      toast.error(`Failed to archive team: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const restoreTeam = async () => {
+    try {
+      await teamAPI.updateTeam(selectedTeam.id, { name: selectedTeam.name, isActive: true });
+      toast.success('Team restored successfully');
+      handleTeamMembersChanged();
+    } catch (error) {
+      console.error('Error restoring team:', error);
+      toast.error(`Failed to restore team: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   const createMember = async () => {
     // Reload members after creation
     await loadMembers();
@@ -846,6 +939,21 @@ const TeamManagement = () => {
     }
   };
 
+  const resetTwoFactor = async (member) => {
+    const firstName = safeGet(member, 'firstName', '');
+    const lastName = safeGet(member, 'lastName', '');
+
+    if (window.confirm(`Reset two-factor authentication for ${firstName} ${lastName}? They will be able to sign in with just their password until they enroll again.`)) {
+      try {
+        await userProfileAPI.resetUserTwoFactor(member.id);
+        toast.success('Two-factor authentication reset successfully');
+      } catch (error) {
+        console.error('Error resetting 2FA:', error);
+        toast.error(`Failed to reset 2FA: ${error.response?.data?.error || error.message}`);
+      }
+    }
+  };
+
   const handlePasswordReset = (member) => {
     setPasswordResetMember(member);
     setShowPasswordReset(true);
@@ -868,13 +976,13 @@ const TeamManagement = () => {
     );
   }
 
-  if (!isManager) {
+  if (!canViewTeam) {
     return (
       <div className="flex items-center justify-center h-64">
         <div className="text-center">
           <AlertCircle className="h-16 w-16 text-red-500 mx-auto mb-4" />
           <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Access Denied</h2>
-          <p className="text-gray-600 dark:text-gray-300 mb-4">You need manager privileges to access team management.</p>
+          <p className="text-gray-600 dark:text-gray-300 mb-4">You do not have permission to view the team.</p>
         </div>
       </div>
     );
@@ -931,6 +1039,11 @@ const TeamManagement = () => {
     );
   }
 
+  // With a team picked, the overview and member cards cover just its members
+  const teamMemberIds = selectedTeam ? new Set(selectedTeam.members.map(member => member.userId)) : null;
+  const visibleMembers = teamMemberIds ? members.filter(member => teamMemberIds.has(member.id)) : members;
+  const managers = members.filter(member => member.role === 'manager' && member.isActive !== false && !member.deletedAt);
+
   return (
     <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
       {/* Header - Improved Mobile Layout */}
@@ -942,6 +1055,52 @@ const TeamManagement = () => {
         <CreateMemberDialog onCreateMember={createMember} />
       </div>
 
+      {/* Team Picker */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <Select value={selectedTeamId} onValueChange={selectTeam}>
+          <SelectTrigger className="sm:w-72">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Everyone</SelectItem>
+            {teams.map(team => (
+              <SelectItem key={team.id} value={team.id.toString()}>
+                {team.name} ({team.memberCount}){team.isActive ? '' : ' - archived'}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button variant="outline" onClick={() => setTeamDialog({ open: true, team: null })}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Team
+        </Button>
+        {selectedTeam && (
+          <>
+            {selectedTeam.isActive && (
+              <Button variant="outline" onClick={() => setTeamDialog({ open: true, team: selectedTeam })}>
+                <Edit className="h-4 w-4 mr-2" />
+                Edit Team
+              </Button>
+            )}
+            {selectedTeam.isActive ? (
+              <Button variant="outline" onClick={archiveTeam}>
+                <Archive className="h-4 w-4 mr-2" />
+                Archive
+              </Button>
+            ) : (
+              <Button variant="outline" onClick={restoreTeam}>
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Restore
+              </Button>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedTeam && (
+        <TeamMembershipEditor team={selectedTeam} users={members} onChanged={handleTeamMembersChanged} />
+      )}
+
       {/* Stats Overview */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <Card>
@@ -954,7 +1113,7 @@ const TeamManagement = () => {
               {loading ? (
                 <div className="animate-pulse bg-gray-200 h-8 w-16 rounded"></div>
               ) : (
-                members.length
+                visibleMembers.length
               )}
             </div>
           </CardContent>
@@ -969,7 +1128,7 @@ const TeamManagement = () => {
               {loading ? (
                 <div className="animate-pulse bg-gray-200 h-8 w-16 rounded"></div>
               ) : (
-                members.filter(m => {
+                visibleMembers.filter(m => {
                   const isActive = safeGet(m, 'isActive', true) !== false && safeGet(m, 'is_active', true) !== false;
                   return isActive;
                 }).length
@@ -987,7 +1146,7 @@ const TeamManagement = () => {
               {loading ? (
                 <div className="animate-pulse bg-gray-200 h-8 w-16 rounded"></div>
               ) : (
-                members.filter(m => {
+                visibleMembers.filter(m => {
                   const isActive = safeGet(m, 'isActive', true) !== false && safeGet(m, 'is_active', true) !== false;
                   return !isActive;
                 }).length
@@ -1005,7 +1164,7 @@ const TeamManagement = () => {
               {loading ? (
                 <div className="animate-pulse bg-gray-200 h-8 w-16 rounded"></div>
               ) : (
-                members.reduce((sum, m) => {
+                visibleMembers.reduce((sum, m) => {
                   const totalSales = safeNumber(safeGet(m, 'metrics.total_sales', 0));
                   return sum + totalSales;
                 }, 0).toLocaleString()
@@ -1018,16 +1177,22 @@ const TeamManagement = () => {
       </div>
 
       {/* Members Grid */}
-      {members.length === 0 ? (
+      {visibleMembers.length === 0 ? (
         <div className="text-center py-12">
           <Users className="h-16 w-16 text-gray-400 mx-auto mb-4" />
           <h3 className="text-lg font-medium text-gray-900 mb-2">No team members found</h3>
-          <p className="text-gray-600 mb-4">Get started by creating your first team member.</p>
-          <CreateMemberDialog onCreateMember={createMember} />
+          {selectedTeam ? (
+            <p className="text-gray-600 mb-4">Add people to {selectedTeam.name} above.</p>
+          ) : (
+            <>
+              <p className="text-gray-600 mb-4">Get started by creating your first team member.</p>
+              <CreateMemberDialog onCreateMember={createMember} />
+            </>
+          )}
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {members.map((member) => (
+          {visibleMembers.map((member) => (
             <MemberCard
               key={member.id}
               member={member}
@@ -1035,6 +1200,7 @@ const TeamManagement = () => {
               onDelete={deleteMember}
               onViewMetrics={viewMetrics}
               onPasswordReset={handlePasswordReset}
+              onTwoFactorReset={resetTwoFactor}
             />
           ))}
         </div>
@@ -1124,6 +1290,15 @@ const TeamManagement = () => {
         </DialogContent>
       </Dialog>
 
+      {/* Create / Edit Team Dialog */}
+      <TeamFormDialog
+        isOpen={teamDialog.open}
+        team={teamDialog.team}
+        managers={managers}
+        onOpenChange={(open) => !open && setTeamDialog({ open: false, team: null })}
+        onSaved={handleTeamSaved}
+      />
+
       {/* Password Reset Dialog */}
       <PasswordResetDialog
         member={passwordResetMember}
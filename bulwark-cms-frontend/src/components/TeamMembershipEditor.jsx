@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { teamAPI } from '../lib/api.js';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { UserMinus, UserPlus } from 'lucide-react';
+
+const TEAM_ROLE_LABELS = {
+  member: 'Member',
+  lead: 'Lead',
+  specialist: 'Specialist'
+};
+
+// Members of the selected team: add people, change their team role and remove them
+const TeamMembershipEditor = ({ team, users, onChanged }) => {
+  const [userId, setUserId] = useState('');
+  const [role, setRole] = useState('member');
+  const [saving, setSaving] = useState(false);
+
+  const memberIds = new Set(team.members.map(member => member.userId));
+  const candidates = users.filter(user => user.isActive && !user.deletedAt && !memberIds.has(user.id));
+
+  const runChange = async (request, fallbackMessage) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      onChanged();
+      return true;
+    } catch (error) {
+      console.error('Team membership error:', error);
+      toast.error(error.response?.data?.error || fallbackMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const added = await runChange(
+      () => teamAPI.addTeamMember(team.id, { userId: parseInt(userId), role }),
+      'Failed to add team member'
+    );
+    if (added) {
+      setUserId('');
+      setRole('member');
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.firstName} ${member.lastName} from ${team.name}?`)) return;
+    runChange(() => teamAPI.removeTeamMember(team.id, member.userId), 'Failed to remove team member');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{team.name} Members</CardTitle>
+        <CardDescription>
+          {team.isActive ? team.description || 'Add people to the team and set their roles.' : 'This team is archived. Restore it to change its members.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {team.isActive && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Select value={userId} onValueChange={setUserId}>
+              <SelectTrigger className="sm:w-64">
+                <SelectValue placeholder="Choose a person" />
+              </SelectTrigger>
+              <SelectContent>
+                {candidates.map(user => (
+                  <SelectItem key={user.id} value={user.id.toString()}>
+                    {user.firstName} {user.lastName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={role} onValueChange={setRole}>
+              <SelectTrigger className="sm:w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(TEAM_ROLE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={handleAdd} disabled={saving || !userId}>
+              <UserPlus className="h-4 w-4 mr-2" />
+              Add to Team
+            </Button>
+          </div>
+        )}
+
+        {team.members.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No one is on this team yet.</p>
+        ) : (
+          <div className="overflow-x-auto border rounded-lg">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Team Role</TableHead>
+                  <TableHead>Joined</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {team.members.map(member => (
+                  <TableRow key={member.id}>
+                    <TableCell>
+                      {member.firstName} {member.lastName}
+                      {!member.isUserActive && <Badge variant="secondary" className="ml-2">Suspended</Badge>}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">{member.email}</TableCell>
+                    <TableCell>
+                      {team.isActive ? (
+                        <Select
+                          value={member.role || 'member'}
+                          onValueChange={(value) => runChange(
+                            () => teamAPI.updateTeamMember(team.id, member.userId, { role: value }),
+                            'Failed to change team role'
+                          )}
+                          disabled={saving}
+                        >
+                          <SelectTrigger className="w-36">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(TEAM_ROLE_LABELS).map(([value, label]) => (
+                              <SelectItem key={value} value={value}>{label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      ) : (
+                        TEAM_ROLE_LABELS[member.role] || 'Member'
+                      )}
+                    </TableCell>
+                    <TableCell className="whitespace-nowrap">
+                      {member.joinedAt ? new Date(member.joinedAt).toLocaleDateString() : '—'}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {team.isActive && (
+                        <Button variant="outline" size="sm" onClick={() => handleRemove(member)} disabled={saving}>
+                          <UserMinus className="h-3 w-3" />
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TeamMembershipEditor;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { userProfileAPI } from '../lib/api.js';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { userProfileAPI, authAPI, rolesAPI } from '../lib/api.js';
 import { useAuth } from '@/hooks/useAuth.jsx';
 import {
   Card,
@@ -14,6 +15,7 @@ import { Textarea } from './ui/textarea';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Badge } from './ui/badge';
 import { Progress } from './ui/progress';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from './ui/input-otp';
 import {
   Table,
   TableBody,
@@ -46,20 +48,25 @@ import {
 } from 'lucide-react';
 
 const UserProfile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, hasPermission } = useAuth();
+  const canManageUsers = hasPermission('users.manage');
+  const navigate = useNavigate();
   const [profile, setProfile] = useState({});
   const [settings, setSettings] = useState({});
   const [users, setUsers] = useState([]);
   const [notifications, setNotifications] = useState([]);
+  const [notificationPagination, setNotificationPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('profile');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
 
   useEffect(() => {
     if (user) {
       loadProfile();
       loadSettings();
-      // Only load users if the current user is a manager
-      if (user.role === 'manager') {
+      // Only load users if the current user can manage them
+      if (canManageUsers) {
         loadUsers();
       } else {
         // For non-managers, ensure active tab is not 'users'
@@ -135,8 +142,8 @@ const UserProfile = () => {
   };
 
   const loadUsers = async () => {
-    // Only load users if the current user is a manager
-    if (user?.role !== 'manager') {
+    // Only load users if the current user can manage them
+    if (!canManageUsers) {
       setUsers([]);
       return;
     }
@@ -155,15 +162,30 @@ const UserProfile = () => {
     }
   };
 
-  const loadNotifications = async () => {
+  const loadNotifications = async (page = 1) => {
     try {
-      const response = await userProfileAPI.getNotifications();
-      setNotifications(response.data.notifications || []);
+      const response = await userProfileAPI.getNotifications({ page, limit: 20 });
+      const loaded = response.data.notifications || [];
+      setNotifications(prev => (page > 1 ? [...prev, ...loaded] : loaded));
+      setNotificationPagination(response.data.pagination || { page: 1, pages: 1, total: loaded.length });
+      setUnreadCount(response.data.unreadCount || 0);
     } catch (error) {
       console.error('Error loading notifications:', error);
     }
   };
 
+  const markNotificationRead = async (id) => {
+    await userProfileAPI.markNotificationRead(id);
+    setNotifications(prev => prev.map(n => (n.id === id ? { ...n, isRead: true } : n)));
+    setUnreadCount(prev => Math.max(0, prev - 1));
+  };
+
+  const markAllNotificationsRead = async () => {
+    await userProfileAPI.markAllNotificationsRead();
+    setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+    setUnreadCount(0);
+  };
+
   const updateProfile = async (profileData) => {
     try {
       const response = await userProfileAPI.updateProfile(profileData);
@@ -249,8 +271,18 @@ const UserProfile = () => {
 
   const deleteUser = async (id) => {
     try {
-      await userProfileAPI.deleteUser(id);
-      toast.success('User deleted successfully');
+      const response = await userProfileAPI.deleteUser(id);
+      const remainingBook = response.data.remainingBook;
+      if (remainingBook?.clientCount > 0 && hasPermission('clients.assign')) {
+        // Offer to move the clients the user still holds
+        toast.success('User deleted successfully', {
+          description: `They still hold ${remainingBook.clientCount} client(s) and ${remainingBook.openReminderCount} open reminder(s)`,
+          action: { label: 'Transfer', onClick: () => navigate(`/clients?transferFrom=${id}`) },
+          duration: 10000
+        });
+      } else {
+        toast.success('User deleted successfully');
+      }
       loadUsers();
     } catch (error) {
       toast.error('Failed to delete user');
@@ -406,16 +438,21 @@ const UserProfile = () => {
       {!loading && (
         <Tabs value={activeTab} onValueChange={setActiveTab}>
           <TabsList className={`grid w-full gap-2 ${
-             user?.role === 'manager' 
+             canManageUsers
                ? 'grid-cols-2 sm:grid-cols-3 lg:grid-cols-5' 
                : 'grid-cols-2 sm:grid-cols-2 lg:grid-cols-4'
            }`}>
             <TabsTrigger value="profile">Profile</TabsTrigger>
             <TabsTrigger value="settings">Settings</TabsTrigger>
-            {user?.role === 'manager' && (
+            {canManageUsers && (
               <TabsTrigger value="users">Users</TabsTrigger>
             )}
-            <TabsTrigger value="notifications">Notifications</TabsTrigger>
+            <TabsTrigger value="notifications">
+              Notifications
+              {unreadCount > 0 && (
+                <Badge variant="secondary" className="ml-2">{unreadCount}</Badge>
+              )}
+            </TabsTrigger>
             <TabsTrigger value="security">Security</TabsTrigger>
           </TabsList>
 
@@ -436,7 +473,7 @@ const UserProfile = () => {
             />
           </TabsContent>
 
-          {user?.role === 'manager' && (
+          {canManageUsers && (
             <TabsContent value="users" className="space-y-4">
               <UsersTab
                 users={users}
@@ -451,8 +488,11 @@ const UserProfile = () => {
           <TabsContent value="notifications" className="space-y-4">
             <NotificationsTab
               notifications={notifications}
-              onMarkRead={userProfileAPI.markNotificationRead}
-              onMarkAllRead={userProfileAPI.markAllNotificationsRead}
+              unreadCount={unreadCount}
+              pagination={notificationPagination}
+              onMarkRead={markNotificationRead}
+              onMarkAllRead={markAllNotificationsRead}
+              onLoadMore={() => loadNotifications(notificationPagination.page + 1)}
             />
           </TabsContent>
 
@@ -884,6 +924,42 @@ const SettingsTab = ({ settings, onUpdatePreferences, onUpdateNotifications, onU
                   onChange={(e) => setNotifications({ ...notifications, push_enabled: e.target.checked })}
                 />
               </div>
+
+              <div className="flex items-center justify-between">
+                <Label>Sales Updates</Label>
+                <input
+                  type="checkbox"
+                  checked={notifications.sales_updates ?? true}
+                  onChange={(e) => setNotifications({ ...notifications, sales_updates: e.target.checked })}
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <Label>Goal Progress</Label>
+                <input
+                  type="checkbox"
+                  checked={notifications.goal_progress ?? true}
+                  onChange={(e) => setNotifications({ ...notifications, goal_progress: e.target.checked })}
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <Label>Reminders</Label>
+                <input
+                  type="checkbox"
+                  checked={notifications.reminders ?? true}
+                  onChange={(e) => setNotifications({ ...notifications, reminders: e.target.checked })}
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <Label>Team Updates</Label>
+                <input
+                  type="checkbox"
+                  checked={notifications.team_updates ?? true}
+                  onChange={(e) => setNotifications({ ...notifications, team_updates: e.target.checked })}
+                />
+              </div>
             </div>
             
             <Button type="submit">Save Notification Settings</Button>
@@ -944,6 +1020,13 @@ const UsersTab = ({ users, onCreateUser, onUpdateUser, onDeleteUser, onReactivat
   const [editingUser, setEditingUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const [roles, setRoles] = useState([]);
+
+  useEffect(() => {
+    rolesAPI.getAssignableRoles()
+      .then((response) => setRoles(response.data.roles || []))
+      .catch((error) => console.error('Error loading roles:', error));
+  }, []);
 
   // Filter users based on search and status
   const filteredUsers = users.filter(user => {
@@ -977,7 +1060,7 @@ const UsersTab = ({ users, onCreateUser, onUpdateUser, onDeleteUser, onReactivat
     };
     return (
       <Badge variant={variants[role] || 'outline'} className="text-xs capitalize">
-        {role}
+        {roles.find(option => option.name === role)?.label || role}
       </Badge>
     );
   };
@@ -1122,6 +1205,7 @@ const UsersTab = ({ users, onCreateUser, onUpdateUser, onDeleteUser, onReactivat
           open={showCreateDialog}
           onOpenChange={setShowCreateDialog}
           onCreateUser={onCreateUser}
+          roles={roles}
         />
       )}
 
@@ -1130,53 +1214,60 @@ const UsersTab = ({ users, onCreateUser, onUpdateUser, onDeleteUser, onReactivat
           user={editingUser}
           onClose={() => setEditingUser(null)}
           onUpdate={onUpdateUser}
+          roles={roles}
         />
       )}
     </div>
   );
 };
 
-const NotificationsTab = ({ notifications, onMarkRead, onMarkAllRead }) => {
+const NotificationsTab = ({ notifications, unreadCount, pagination, onMarkRead, onMarkAllRead, onLoadMore }) => {
   const handleMarkRead = async (id) => {
     try {
       await onMarkRead(id);
-      // Refresh notifications
     } catch (error) {
       console.error('Error marking notification as read:', error);
+      toast.error('Failed to mark notification as read');
     }
   };
 
   const handleMarkAllRead = async () => {
     try {
       await onMarkAllRead();
-      // Refresh notifications
+      toast.success('All notifications marked as read');
     } catch (error) {
       console.error('Error marking all notifications as read:', error);
+      toast.error('Failed to mark notifications as read');
     }
   };
 
   return (
     <div className="space-y-4">
       <div className="flex justify-between items-center">
-        <h3 className="text-lg font-semibold">Notifications</h3>
-        <Button onClick={handleMarkAllRead}>
+        <div>
+          <h3 className="text-lg font-semibold">Notifications</h3>
+          <p className="text-sm text-muted-foreground">
+            {unreadCount > 0 ? `${unreadCount} unread` : 'You are all caught up'}
+          </p>
+        </div>
+        <Button onClick={handleMarkAllRead} disabled={unreadCount === 0}>
           Mark All as Read
         </Button>
       </div>
 
       <div className="space-y-2">
         {notifications.map((notification) => (
-          <Card key={notification.id} className={notification.is_read ? 'opacity-60' : ''}>
+          <Card key={notification.id} className={notification.isRead ? 'opacity-60' : ''}>
             <CardContent className="p-4">
               <div className="flex justify-between items-start">
                 <div className="flex-1">
                   <div className="font-medium">{notification.title}</div>
                   <div className="text-sm text-muted-foreground">{notification.message}</div>
                   <div className="text-xs text-muted-foreground mt-1">
-                    {new Date(notification.created_at).toLocaleString()}
+                    {new Date(notification.createdAt).toLocaleString()}
                   </div>
                 </div>
-                {!notification.is_read && (
+                {!notification.isRead && (
                   <Button
                     variant="ghost"
                     size="sm"
@@ -1197,11 +1288,231 @@ const NotificationsTab = ({ notifications, onMarkRead, onMarkAllRead }) => {
             </CardContent>
           </Card>
         )}
+
+        {pagination.page < pagination.pages && (
+          <div className="flex justify-center">
+            <Button variant="outline" onClick={onLoadMore}>
+              Load More
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
+const OtpCodeInput = ({ value, onChange }) => (
+  <InputOTP maxLength={6} value={value} onChange={onChange}>
+    <InputOTPGroup>
+      {[0, 1, 2, 3, 4, 5].map((index) => (
+        <InputOTPSlot key={index} index={index} />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+const TwoFactorCard = () => {
+  const { user, updateUser } = useAuth();
+  const [enabled, setEnabled] = useState(!!user?.twoFactorEnabled);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [showDisable, setShowDisable] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    authAPI.getProfile()
+      .then((response) => setEnabled(!!response.data.profile?.twoFactorEnabled))
+      .catch((error) => console.error('Error loading 2FA status:', error));
+  }, []);
+
+  const setEnabledState = (value) => {
+    setEnabled(value);
+    updateUser({ ...user, twoFactorEnabled: value });
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSubmitting(true);
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+      setRecoveryCodes([]);
+    } catch (error) {
+      console.error('Error starting 2FA setup:', error);
+      toast.error(error.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    try {
+      setSubmitting(true);
+      const response = await authAPI.enableTwoFactor(code);
+      setRecoveryCodes(response.data.recoveryCodes || []);
+      setSetup(null);
+      setCode('');
+      setEnabledState(true);
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      console.error('Error enabling 2FA:', error);
+      toast.error(error.response?.data?.error || 'Failed to enable two-factor authentication');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      setSubmitting(true);
+      const response = await authAPI.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.recoveryCodes || []);
+      setCode('');
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      toast.error(error.response?.data?.error || 'Failed to regenerate recovery codes');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      setSubmitting(true);
+      await authAPI.disableTwoFactor({ password, code });
+      setEnabledState(false);
+      setShowDisable(false);
+      setRecoveryCodes([]);
+      setPassword('');
+      setCode('');
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      toast.error(error.response?.data?.error || 'Failed to disable two-factor authentication');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          Two-Factor Authentication
+          <Badge variant={enabled ? 'default' : 'secondary'}>{enabled ? 'Enabled' : 'Disabled'}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {recoveryCodes.length > 0 && (
+          <div className="space-y-2 rounded-md border p-4">
+            <p className="text-sm font-medium">Save these recovery codes somewhere safe</p>
+            <p className="text-sm text-muted-foreground">
+              Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!enabled && !setup && (
+          <>
+            <p className="text-sm text-muted-foreground">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            <Button onClick={handleStartSetup} disabled={submitting}>
+              Set Up Two-Factor Authentication
+            </Button>
+          </>
+        )}
+
+        {!enabled && setup && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Add Bulwark CMS to your authenticator app by opening the setup link on your phone, or enter the key manually.
+            </p>
+            <div className="space-y-1">
+              <Label>Setup Key</Label>
+              <div className="font-mono text-sm break-all">{setup.secret}</div>
+            </div>
+            <div className="space-y-1">
+              <Label>Setup Link</Label>
+              <a href={setup.otpauthUrl} className="block text-sm text-primary underline break-all">
+                {setup.otpauthUrl}
+              </a>
+            </div>
+            <div className="space-y-2">
+              <Label>Enter the 6-digit code from your app</Label>
+              <OtpCodeInput value={code} onChange={setCode} />
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={handleEnable} disabled={submitting || code.length !== 6}>
+                Verify & Enable
+              </Button>
+              <Button variant="outline" onClick={() => setSetup(null)}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {enabled && (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Current authenticator code</Label>
+              <OtpCodeInput value={code} onChange={setCode} />
+            </div>
+            {showDisable && (
+              <div className="space-y-2">
+                <Label htmlFor="two_factor_password">Password</Label>
+                <Input
+                  id="two_factor_password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {showDisable ? (
+                <>
+                  <Button
+                    variant="destructive"
+                    onClick={handleDisable}
+                    disabled={submitting || code.length !== 6 || !password}
+                  >
+                    Confirm Disable
+                  </Button>
+                  <Button variant="outline" onClick={() => setShowDisable(false)}>
+                    Cancel
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <Button variant="outline" onClick={handleRegenerate} disabled={submitting || code.length !== 6}>
+                    Regenerate Recovery Codes
+                  </Button>
+                  <Button variant="destructive" onClick={() => setShowDisable(true)}>
+                    Disable
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
 const SecurityTab = ({ onChangePassword }) => {
   const [formData, setFormData] = useState({
     current_password: '',
@@ -1209,6 +1520,23 @@ const SecurityTab = ({ onChangePassword }) => {
     confirm_password: ''
   });
   const [showPasswords, setShowPasswords] = useState(false);
+  const { logoutAll } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) {
+      return;
+    }
+    try {
+      await logoutAll();
+      toast.success('Logged out of all devices');
+    } catch (error) {
+      console.error('Error logging out of all devices:', error);
+      toast.error('Failed to log out of all devices');
+    } finally {
+      navigate('/login');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -1233,68 +1561,86 @@ const SecurityTab = ({ onChangePassword }) => {
   };
 
   return (
-    <Card>
-      <CardHeader>
-        <CardTitle>Change Password</CardTitle>
-      </CardHeader>
-      <CardContent>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <Label htmlFor="current_password">Current Password</Label>
-            <div className="relative">
-              <Input
-                id="current_password"
-                type={showPasswords ? "text" : "password"}
-                value={formData.current_password}
-                onChange={(e) => setFormData({ ...formData, current_password: e.target.value })}
-                required
-              />
-              <Button
-                type="button"
-                variant="ghost"
-                size="sm"
-                className="absolute right-0 top-0 h-full px-3"
-                onClick={() => setShowPasswords(!showPasswords)}
-              >
-                {showPasswords ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-              </Button>
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Change Password</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Label htmlFor="current_password">Current Password</Label>
+              <div className="relative">
+                <Input
+                  id="current_password"
+                  type={showPasswords ? "text" : "password"}
+                  value={formData.current_password}
+                  onChange={(e) => setFormData({ ...formData, current_password: e.target.value })}
+                  required
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="absolute right-0 top-0 h-full px-3"
+                  onClick={() => setShowPasswords(!showPasswords)}
+                >
+                  {showPasswords ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                </Button>
+              </div>
             </div>
-          </div>
           
-          <div>
-            <Label htmlFor="new_password">New Password</Label>
-            <div className="relative">
-              <Input
-                id="new_password"
-                type={showPasswords ? "text" : "password"}
-                value={formData.new_password}
-                onChange={(e) => setFormData({ ...formData, new_password: e.target.value })}
-                required
-              />
+            <div>
+              <Label htmlFor="new_password">New Password</Label>
+              <div className="relative">
+                <Input
+                  id="new_password"
+                  type={showPasswords ? "text" : "password"}
+                  value={formData.new_password}
+                  onChange={(e) => setFormData({ ...formData, new_password: e.target.value })}
+                  required
+                />
+              </div>
             </div>
-          </div>
           
-          <div>
-            <Label htmlFor="confirm_password">Confirm New Password</Label>
-            <div className="relative">
-              <Input
-                id="confirm_password"
-                type={showPasswords ? "text" : "password"}
-                value={formData.confirm_password}
-                onChange={(e) => setFormData({ ...formData, confirm_password: e.target.value })}
-                required
-              />
+            <div>
+              <Label htmlFor="confirm_password">Confirm New Password</Label>
+              <div className="relative">
+                <Input
+                  id="confirm_password"
+                  type={showPasswords ? "text" : "password"}
+                  value={formData.confirm_password}
+                  onChange={(e) => setFormData({ ...formData, confirm_password: e.target.value })}
+                  required
+                />
+              </div>
             </div>
-          </div>
           
-          <Button type="submit">Change Password</Button>
-        </form>
-      </CardContent>
-    </Card>
+            <Button type="submit">Change Password</Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <TwoFactorCard />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Sessions</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Signed in on a shared or lost device? Log out everywhere to revoke every active session.
+          </p>
+          <Button variant="destructive" onClick={handleLogoutAll}>
+            Log Out of All Devices
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
   );
 };
 
-const CreateUserDialog = ({ open, onOpenChange, onCreateUser }) => {
+const CreateUserDialog = ({ open, onOpenChange, onCreateUser, roles }) => {
   const [formData, setFormData] = useState({
     first_name: '',
     last_name: '',
@@ -1372,8 +1718,9 @@ const CreateUserDialog = ({ open, onOpenChange, onCreateUser }) => {
                 onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                 className="w-full p-2 border rounded"
               >
-                <option value="agent">Agent</option>
-                <option value="manager">Manager</option>
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>{role.label}</option>
+                ))}
               </select>
             </div>
             <div>
@@ -1412,7 +1759,7 @@ const CreateUserDialog = ({ open, onOpenChange, onCreateUser }) => {
   );
 };
 
-const EditUserDialog = ({ user, onClose, onUpdate }) => {
+const EditUserDialog = ({ user, onClose, onUpdate, roles }) => {
   const [formData, setFormData] = useState({
     firstName: user.firstName || '',
     lastName: user.lastName || '',
@@ -1505,8 +1852,9 @@ const EditUserDialog = ({ user, onClose, onUpdate }) => {
                 onChange={(e) => setFormData({ ...formData, role: e.target.value })}
                 className="w-full p-2 border rounded"
               >
-                <option value="agent">Agent</option>
-                <option value="manager">Manager</option>
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>{role.label}</option>
+                ))}
               </select>
             </div>
             <div>
@@ -21,6 +21,18 @@ export const AuthProvider = ({ children }) => {
     
     if (token && savedUser) {
       setUser(JSON.parse(savedUser));
+
+      // Role permissions can change between logins, so refresh them from the server
+      authAPI.getProfile()
+        .then((response) => {
+          const { permissions = [], role } = response.data.profile;
+          setUser((current) => {
+            const refreshed = { ...current, role, permissions };
+            localStorage.setItem('user', JSON.stringify(refreshed));
+            return refreshed;
+          });
+        })
+        .catch((error) => console.error('Error refreshing permissions:', error));
     }
     setLoading(false);
   }, []);
@@ -28,11 +40,17 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
-      const { access_token, user: userData } = response.data;
-      
-      localStorage.setItem('token', access_token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+
+      // Accounts with 2FA need a second step before any tokens are issued
+      if (response.data.two_factor_required) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challenge_token
+        };
+      }
+
+      storeSession(response.data);
       
       return { success: true };
     } catch (error) {
@@ -56,6 +74,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const storeSession = ({ access_token, refresh_token, user: userData }) => {
+    localStorage.setItem('token', access_token);
+    localStorage.setItem('refreshToken', refresh_token);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
+  };
+
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await authAPI.verifyTwoFactor({
+        challenge_token: challengeToken,
+        ...(recoveryCode ? { recovery_code: recoveryCode } : { code })
+      });
+      storeSession(response.data);
+
+      return {
+        success: true,
+        recoveryCodesRemaining: response.data.recoveryCodesRemaining
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error || 'Verification failed. Please try again.',
+        challengeExpired: error.response?.data?.code === 'CHALLENGE_INVALID'
+      };
+    }
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -63,6 +109,18 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+      setUser(null);
+    }
+  };
+
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       setUser(null);
     }
@@ -73,26 +131,28 @@ export const AuthProvider = ({ children }) => {
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
+  const permissions = user?.permissions || [];
+
   const value = {
     user,
+    permissions,
     login,
+    verifyTwoFactor,
     logout,
+    logoutAll,
     updateUser,
     loading,
     isAuthenticated: !!user,
-    isManager: user?.role === 'manager',
-    isAgent: user?.role === 'agent',
-    // Role-based access control utilities
+    // Access control utilities; gate features on permissions, not role names
     canViewAllData: false, // Managers now only see their own data
     canViewOwnData: true, // All users can view their own data
-    canManageUsers: user?.role === 'manager',
+    canManageUsers: permissions.includes('users.manage'),
     canAccessAllClients: false, // Managers now only see their own clients
     canAccessAllSales: false, // Managers now only see their own sales
     canCreateSales: true, // All users can create sales
     canViewReports: true, // All users can view reports
     // Helper functions
-    hasRole: (role) => user?.role === role,
-    hasAnyRole: (roles) => roles.includes(user?.role),
+    hasPermission: (permission) => permissions.includes(permission),
     isCurrentUser: (userId) => user?.id === userId,
   };
 
@@ -31,14 +31,52 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle token expiration
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Shared refresh request so concurrent 401s only rotate the refresh token once
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.access_token);
+        localStorage.setItem('refreshToken', response.data.refresh_token);
+        return response.data.access_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Handle token expiration by rotating the refresh token once, then retrying
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = ['/auth/login', '/auth/refresh', '/auth/2fa/verify', '/auth/forgot-password', '/auth/reset-password'].some(path => originalRequest?.url?.startsWith(path));
+
+    if (error.response?.status === 401 && !isAuthRequest) {
+      if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+        originalRequest._retry = true;
+        try {
+          const newToken = await refreshAccessToken();
+          originalRequest.headers.Authorization = `Bearer ${newToken}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(refreshError);
+        }
+      }
+      clearSession();
     }
     return Promise.reject(error);
   }
@@ -48,6 +86,14 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
   getProfile: () => api.get('/auth/profile'),
   register: (userData) => api.post('/auth/register', userData),
 };
@@ -77,6 +123,17 @@ export const clientsAPI = {
   // Client Notes API
   getClientNotes: (clientId) => api.get(`/clients/${clientId}/notes`),
   addClientNote: (clientId, noteData) => api.post(`/clients/${clientId}/notes`, noteData),
+  // Client Activity Timeline API
+  getClientTimeline: (clientId, params) => api.get(`/clients/${clientId}/timeline`, { params }),
+  // Client Relationships API
+  addRelationship: (clientId, relationshipData) => api.post(`/clients/${clientId}/relationships`, relationshipData),
+  removeRelationship: (clientId, relationshipId) => api.delete(`/clients/${clientId}/relationships/${relationshipId}`),
+  // Duplicate Detection API
+  getDuplicates: (params = {}) => api.get('/clients/duplicates', { params }),
+  dismissDuplicate: (data) => api.post('/clients/duplicates/dismiss', data),
+  mergeClients: (data) => api.post('/clients/merge', data),
+  // Book Transfer API
+  transferClients: (data) => api.post('/clients/transfer', data),
   bulkImportClients: (file) => {
     const formData = new FormData();
     formData.append('file', file);
@@ -84,6 +141,24 @@ export const clientsAPI = {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
   },
+  // Client Import API (upload, map columns, dry run, commit)
+  uploadImport: (file, agentId) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (agentId) {
+      formData.append('agentId', agentId);
+    }
+    return api.post('/clients/imports', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getImports: (params) => api.get('/clients/imports', { params }),
+  getImport: (id) => api.get(`/clients/imports/${id}`),
+  dryRunImport: (id, data) => api.post(`/clients/imports/${id}/dry-run`, data),
+  commitImport: (id, data) => api.post(`/clients/imports/${id}/commit`, data),
+  downloadImportErrors: (id) => api.get(`/clients/imports/${id}/errors.csv`, { responseType: 'blob' }),
+  // Server-side export in csv, xlsx or pdf; takes the same filters as getClients plus format
+  exportClients: (params) => api.get('/clients/export', { params, responseType: 'blob' }),
   // Client Portal Access Management
   grantPortalAccess: (clientId, accessData) => api.post(`/clients/${clientId}/portal-access`, accessData),
   revokePortalAccess: (clientId) => api.delete(`/clients/${clientId}/portal-access`),
@@ -105,15 +180,74 @@ export const salesAPI = {
   updateSale: (id, saleData) => api.put(`/sales/${id}`, saleData),
   updateSaleNotes: (id, notes) => api.patch(`/sales/${id}/notes`, { notes }),
   deleteSale: (id) => api.delete(`/sales/${id}`),
+  getPolicyHistory: (id) => api.get(`/sales/${id}/history`),
+  cancelPolicy: (id, data) => api.post(`/sales/${id}/cancel`, data),
+  lapsePolicy: (id, data = {}) => api.post(`/sales/${id}/lapse`, data),
+  reinstatePolicy: (id, data = {}) => api.post(`/sales/${id}/reinstate`, data),
+  renewPolicy: (id, data = {}) => api.post(`/sales/${id}/renew`, data),
+  exportSales: (params) => api.get('/sales/export', { params, responseType: 'blob' }),
+  // Carrier production report import; dryRun defaults to true on the server
+  importSales: (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        formData.append(key, value);
+      }
+    });
+    return api.post('/sales/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+};
+
+// Opportunities API
+export const opportunitiesAPI = {
+  getStages: (params) => api.get('/opportunities/stages', { params }),
+  createStage: (stageData) => api.post('/opportunities/stages', stageData),
+  updateStage: (id, stageData) => api.put(`/opportunities/stages/${id}`, stageData),
+  deactivateStage: (id) => api.delete(`/opportunities/stages/${id}`),
+  getOpportunities: (params) => api.get('/opportunities', { params }),
+  getOpportunity: (id) => api.get(`/opportunities/${id}`),
+  createOpportunity: (opportunityData) => api.post('/opportunities', opportunityData),
+  updateOpportunity: (id, opportunityData) => api.put(`/opportunities/${id}`, opportunityData),
+  moveOpportunity: (id, stageData) => api.put(`/opportunities/${id}/stage`, stageData),
+  deleteOpportunity: (id) => api.delete(`/opportunities/${id}`),
 };
 
 // Products API
 export const productsAPI = {
-  getProducts: () => api.get('/products'),
+  getProducts: (params) => api.get('/products', { params }),
   createProduct: (productData) => api.post('/products', productData),
   getProduct: (id) => api.get(`/products/${id}`),
   updateProduct: (id, productData) => api.put(`/products/${id}`, productData),
   deleteProduct: (id) => api.delete(`/products/${id}`),
+  restoreProduct: (id) => api.put(`/products/${id}/restore`),
+  createCommissionRate: (id, rateData) => api.post(`/products/${id}/commission-rates`, rateData),
+  updateCommissionRate: (id, rateId, rateData) => api.put(`/products/${id}/commission-rates/${rateId}`, rateData),
+  deleteCommissionRate: (id, rateId) => api.delete(`/products/${id}/commission-rates/${rateId}`),
+};
+
+// Commissions API
+export const commissionsAPI = {
+  getStatements: (params) => api.get('/commissions/statements', { params }),
+  importStatement: (file, statementData) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(statementData).forEach(([key, value]) => {
+      if (value) {
+        formData.append(key, value);
+      }
+    });
+    return api.post('/commissions/statements/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getStatement: (id, params) => api.get(`/commissions/statements/${id}`, { params }),
+  updateStatementLine: (id, lineId, lineData) => api.put(`/commissions/statements/${id}/lines/${lineId}`, lineData),
+  deleteStatement: (id) => api.delete(`/commissions/statements/${id}`),
+  getPayables: (params) => api.get('/commissions/payables', { params }),
+  getAgentStatement: (params) => api.get('/commissions/agent-statement', { params }),
 };
 
 // Reminders API
@@ -126,11 +260,30 @@ export const remindersAPI = {
   getReminder: (id) => api.get(`/reminders/${id}`),
   updateReminder: (id, reminderData) => api.put(`/reminders/${id}`, reminderData),
   completeReminder: (id) => api.put(`/reminders/${id}/complete`),
-  deleteReminder: (id) => api.delete(`/reminders/${id}`),
+  snoozeReminder: (id, snoozeData) => api.post(`/reminders/${id}/snooze`, snoozeData),
+  getSnoozeHistory: (id) => api.get(`/reminders/${id}/snoozes`),
+  reassignReminder: (id, reassignData) => api.put(`/reminders/${id}/reassign`, reassignData),
+  deleteReminder: (id, params) => api.delete(`/reminders/${id}`, { params }),
   getUpcomingReminders: (params = {}) => {
     const queryString = new URLSearchParams(params).toString();
     return api.get(`/reminders/upcoming${queryString ? `?${queryString}` : ''}`);
   },
+  exportReminders: (params) => api.get('/reminders/export', { params, responseType: 'blob' }),
+  getCalendarFeed: () => api.get('/reminders/calendar-feed'),
+  createCalendarFeed: () => api.post('/reminders/calendar-feed'),
+  revokeCalendarFeed: () => api.delete('/reminders/calendar-feed'),
+  importCalendar: (file, options = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        formData.append(key, value);
+      }
+    });
+    return api.post('/reminders/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
 };
 
 // Goals API
@@ -142,22 +295,27 @@ export const goalsAPI = {
   deleteGoal: (id) => api.delete(`/goals/${id}`),
   updateProgress: () => api.post('/goals/update-progress'),
   recalculateProgress: () => api.post('/goals/recalculate-progress'),
+  exportGoals: (params) => api.get('/goals/export', { params, responseType: 'blob' }),
 };
 
 // Team Management API
 export const teamAPI = {
-  getTeams: () => api.get('/team'),
-  createTeam: (teamData) => api.post('/team', teamData),
-  getTeam: (id) => api.get(`/team/${id}`),
-  updateTeam: (id, teamData) => api.put(`/team/${id}`, teamData),
-  deleteTeam: (id) => api.delete(`/team/${id}`),
+  getTeams: (params) => api.get('/team/teams', { params }),
+  createTeam: (teamData) => api.post('/team/teams', teamData),
+  getTeam: (id) => api.get(`/team/teams/${id}`),
+  updateTeam: (id, teamData) => api.put(`/team/teams/${id}`, teamData),
+  archiveTeam: (id) => api.delete(`/team/teams/${id}`),
   getMembers: () => api.get('/team/members'),
-  getTeamMembers: (teamId) => api.get(`/team/${teamId}/members`),
-  addTeamMember: (teamId, memberData) => api.post(`/team/${teamId}/members`, memberData),
-  removeTeamMember: (teamId, memberId) => api.delete(`/team/${teamId}/members/${memberId}`),
-  getPerformanceRecords: (teamId) => api.get(`/team/${teamId}/performance`),
+  addTeamMember: (teamId, memberData) => api.post(`/team/teams/${teamId}/members`, memberData),
+  updateTeamMember: (teamId, userId, memberData) => api.put(`/team/teams/${teamId}/members/${userId}`, memberData),
+  removeTeamMember: (teamId, userId) => api.delete(`/team/teams/${teamId}/members/${userId}`),
+  getPerformance: (params) => api.get('/team/performance', { params }),
+  getLeaderboard: (params) => api.get('/team/leaderboard', { params }),
+  getStats: (params) => api.get('/team/stats', { params }),
   getTeamAnalytics: (teamId) => api.get(`/team/${teamId}/analytics`),
   getTopAgents: () => api.get('/team/top-agents'),
+  getOrgChart: () => api.get('/team/org-chart'),
+  exportPerformance: (params) => api.get('/team/performance/export', { params, responseType: 'blob' }),
 };
 
 // Content Management API
@@ -171,6 +329,9 @@ export const contentAPI = {
       formData.append('content_type', contentData.content_type);
       formData.append('description', contentData.description || '');
       formData.append('is_public', contentData.is_public);
+      if (contentData.category_id) {
+        formData.append('category_id', contentData.category_id);
+      }
       formData.append('file', contentData.file);
       return api.post('/content-management/content', formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
@@ -191,8 +352,11 @@ export const contentAPI = {
   },
   downloadFile: (id) => api.get(`/content-management/content/${id}/download`, { responseType: 'blob' }),
   previewFile: (id) => api.get(`/content-management/content/${id}/preview`, { responseType: 'blob' }),
-  getCategories: () => api.get('/content-management/categories'),
+  getCategories: (params) => api.get('/content-management/categories', { params }),
   createCategory: (categoryData) => api.post('/content-management/categories', categoryData),
+  updateCategory: (id, categoryData) => api.put(`/content-management/categories/${id}`, categoryData),
+  deleteCategory: (id) => api.delete(`/content-management/categories/${id}`),
+  reorderCategories: (data) => api.post('/content-management/categories/reorder', data),
   getTags: () => api.get('/content-management/tags'),
   createTag: (tagData) => api.post('/content-management/tags', tagData),
   searchContent: (query, params) => api.get('/content-management/content/search', { params: { q: query, ...params } }),
@@ -223,7 +387,9 @@ export const userProfileAPI = {
   deleteUser: (id) => api.delete(`/users/${id}`),
   reactivateUser: (id) => api.put(`/users/${id}/reactivate`),
   resetUserPassword: (id, passwordData) => api.post(`/users/${id}/reset-password`, passwordData),
+  resetUserTwoFactor: (id) => api.post(`/users/${id}/reset-2fa`),
   getNotifications: (params) => api.get('/users/notifications', { params }),
+  getUnreadNotificationCount: () => api.get('/users/notifications/unread-count'),
   markNotificationRead: (id) => api.patch(`/users/notifications/${id}/read`),
   markAllNotificationsRead: () => api.patch('/users/notifications/read-all'),
 };
@@ -238,6 +404,39 @@ export const reportsAPI = {
   getComprehensiveReport: (params) => api.get('/reports/comprehensive', { params }),
 };
 
+// Scheduled Reports API
+export const scheduledReportsAPI = {
+  getOptions: () => api.get('/scheduled-reports/options'),
+  getReports: () => api.get('/scheduled-reports'),
+  createReport: (reportData) => api.post('/scheduled-reports', reportData),
+  updateReport: (id, reportData) => api.put(`/scheduled-reports/${id}`, reportData),
+  deleteReport: (id) => api.delete(`/scheduled-reports/${id}`),
+  sendReport: (id) => api.post(`/scheduled-reports/${id}/send`),
+  getRuns: (id, params) => api.get(`/scheduled-reports/${id}/runs`, { params }),
+};
+
+// Background Jobs API
+export const jobsAPI = {
+  getStatus: () => api.get('/jobs/status'),
+  getJobs: (params) => api.get('/jobs', { params }),
+  runJob: (name) => api.post(`/jobs/${name}/run`),
+  retryJob: (id) => api.post(`/jobs/${id}/retry`),
+};
+
+// Audit Log API
+export const auditAPI = {
+  getEvents: (params) => api.get('/audit', { params }),
+};
+
+// Roles API
+export const rolesAPI = {
+  getRoles: () => api.get('/roles'),
+  getAssignableRoles: () => api.get('/roles/assignable'),
+  createRole: (data) => api.post('/roles', data),
+  updateRole: (id, data) => api.put(`/roles/${id}`, data),
+  deleteRole: (id) => api.delete(`/roles/${id}`),
+};
+
 // Tickets API
 export const ticketsAPI = {
   getTickets: () => api.get('/tickets'),
@@ -0,0 +1,35 @@
+// Helpers for the nested content category tree returned by GET /content-management/categories
+
+// Every category in tree order, each with its depth for indenting
+export const flattenCategories = (categories, depth = 0) => categories.flatMap(category => [
+  { ...category, depth },
+  ...flattenCategories(category.children || [], depth + 1)
+]);
+
+// The categories from the top of the tree down to categoryId, or [] when it is not in the tree
+export const findCategoryPath = (categories, categoryId) => {
+  for (const category of categories) {
+    if (category.id === categoryId) {
+      return [category];
+    }
+    const path = findCategoryPath(category.children || [], categoryId);
+    if (path.length > 0) {
+      return [category, ...path];
+    }
+  }
+  return [];
+};
+
+// The categories under the same parent as categoryId, in order
+export const findSiblings = (categories, categoryId) => {
+  if (categories.some(category => category.id === categoryId)) {
+    return categories;
+  }
+  for (const category of categories) {
+    const siblings = findSiblings(category.children || [], categoryId);
+    if (siblings.length > 0) {
+      return siblings;
+    }
+  }
+  return [];
+};
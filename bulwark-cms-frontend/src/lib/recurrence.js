@@ -0,0 +1,125 @@
+// Helpers for the RRULE-style recurrence rules on repeating reminders (see the backend's utils/rrule.js)
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+];
+
+export const FREQUENCIES = [
+  { value: 'none', label: 'Does not repeat', unit: '' },
+  { value: 'DAILY', label: 'Daily', unit: 'day' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year' },
+];
+
+const JS_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+export const DEFAULT_RECURRENCE = {
+  frequency: 'none',
+  interval: 1,
+  weekdays: [],
+  monthlyMode: 'day',
+  ends: 'never',
+  count: 10,
+  until: '',
+};
+
+const weekdayLabel = (code) => WEEKDAYS.find(day => day.code === code)?.label || code;
+
+// Week of the month a date falls in, counting its last week as -1 so "last Friday" works in every month
+export const weekOfMonth = (date) => {
+  const week = Math.ceil(date.getDate() / 7);
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return date.getDate() + 7 > daysInMonth && week >= 4 ? -1 : week;
+};
+
+export const weekdayCode = (date) => JS_DAY_CODES[date.getDay()];
+
+// "on the second Tuesday" style wording for a date
+export const describeMonthlyWeekday = (date) => `on the ${ORDINALS[weekOfMonth(date)]} ${weekdayLabel(weekdayCode(date))}`;
+
+// Build a rule from the form state; `date` is the first occurrence. Returns null for a one-off reminder.
+export const buildRule = (recurrence, date) => {
+  if (!recurrence || recurrence.frequency === 'none') {
+    return null;
+  }
+
+  const parts = [`FREQ=${recurrence.frequency}`];
+  const interval = parseInt(recurrence.interval) || 1;
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (recurrence.frequency === 'WEEKLY' && recurrence.weekdays.length > 0) {
+    parts.push(`BYDAY=${recurrence.weekdays.join(',')}`);
+  }
+  if (recurrence.frequency === 'MONTHLY' && recurrence.monthlyMode === 'weekday') {
+    parts.push(`BYDAY=${weekOfMonth(date)}${weekdayCode(date)}`);
+  }
+  if (recurrence.ends === 'count') {
+    parts.push(`COUNT=${parseInt(recurrence.count) || 1}`);
+  }
+  if (recurrence.ends === 'until' && recurrence.until) {
+    parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Read a stored rule back into form state
+export const parseRule = (rule) => {
+  if (!rule) {
+    return { ...DEFAULT_RECURRENCE };
+  }
+
+  const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const until = parts.UNTIL ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}` : '';
+
+  return {
+    frequency: parts.FREQ || 'none',
+    interval: parseInt(parts.INTERVAL) || 1,
+    weekdays: parts.FREQ === 'WEEKLY' ? byDay : [],
+    monthlyMode: parts.FREQ === 'MONTHLY' && byDay.length > 0 ? 'weekday' : 'day',
+    ends: parts.COUNT ? 'count' : parts.UNTIL ? 'until' : 'never',
+    count: parseInt(parts.COUNT) || DEFAULT_RECURRENCE.count,
+    until,
+  };
+};
+
+// Short wording for a rule, e.g. "Every 3 months" or "Weekly on Mon, Thu, 10 times"
+export const describeRule = (rule) => {
+  if (!rule) {
+    return '';
+  }
+
+  const parts = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+  const frequency = FREQUENCIES.find(item => item.value === parts.FREQ);
+  if (!frequency) {
+    return rule;
+  }
+
+  const interval = parseInt(parts.INTERVAL) || 1;
+  let text = interval > 1 ? `Every ${interval} ${frequency.unit}s` : frequency.label;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(day => {
+      const match = /^(-?\d)?([A-Z]{2})$/.exec(day);
+      return match?.[1] ? `the ${ORDINALS[match[1]]} ${weekdayLabel(match[2])}` : weekdayLabel(match?.[2] || day);
+    });
+    text += ` on ${days.join(', ')}`;
+  }
+  if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  }
+  if (parts.UNTIL) {
+    const until = new Date(`${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}T00:00:00`);
+    text += `, until ${until.toLocaleDateString()}`;
+  }
+  return text;
+};
@@ -4,3 +4,45 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+// Format a dollar amount with cents, e.g. -45 -> "-$45.00"
+export function formatCurrency(value) {
+  const amount = parseFloat(value) || 0;
+  return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// The current calendar month as a { periodStart, periodEnd } pair of YYYY-MM-DD dates
+export function currentPayPeriod() {
+  const now = new Date();
+  const start = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1));
+  const end = new Date(Date.UTC(now.getFullYear(), now.getMonth() + 1, 0));
+  return {
+    periodStart: start.toISOString().split('T')[0],
+    periodEnd: end.toISOString().split('T')[0]
+  };
+}
+
+// Save an axios blob response (e.g. a server-side export) as a file download
+export function downloadResponse(response, fileName) {
+  const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+// Blob responses hide the JSON error body; read the API error message back out of it
+export async function readBlobError(error) {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).error;
+    } catch {
+      return null;
+    }
+  }
+  return data?.error;
+}